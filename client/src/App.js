@@ -6,7 +6,16 @@ import SourceManager from './components/SourceManager';
 import DistroScoutLanding from './components/DistroScoutLanding';
 import DistroScoutEditSend from './components/DistroScoutEditSend';
 import ADKWeb from './components/ADKWeb';
+import ArticleSearch from './components/ArticleSearch';
+import Login from './components/Login';
+import Settings from './components/Settings';
+import ScheduledTasks from './components/ScheduledTasks';
 import config from './config';
+import { fetchCurrentUser, hasRole, logout, watchUnauthorized } from './auth';
+import { subscribeToLiveEvents } from './liveEvents';
+import { queueAndWait } from './jobs';
+
+const RUN_POLL_MS = 5000;
 
 function MainApp() {
   const location = useLocation();
@@ -16,6 +25,9 @@ function MainApp() {
   const getActiveTabFromPath = (path) => {
     if (path === '/agent-test') return 'adk-web';
     if (path === '/sources') return 'sources';
+    if (path === '/search') return 'search';
+    if (path === '/settings') return 'settings';
+    if (path === '/tasks') return 'tasks';
     return 'distro-scoopstream';
   };
   
@@ -26,13 +38,58 @@ function MainApp() {
   const [distroScoutStep, setDistroScoutStep] = useState('landing'); // 'landing', 'edit-send'
   const [refreshTrigger, setRefreshTrigger] = useState(0);
   const [isCheckingFeeds, setIsCheckingFeeds] = useState(false);
-  const checkTimeoutRef = useRef(null);
+  const checkRunIdRef = useRef(null); // check run started by Check Now, until it finishes
+  const [currentUser, setCurrentUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
   // inline editing only; no modal state
 
   useEffect(() => {
-    fetchSources();
+    fetchCurrentUser()
+      .then(setCurrentUser)
+      .catch(error => console.error('Error checking sign-in:', error))
+      .finally(() => setAuthChecked(true));
+    // Any API call coming back 401 means the session is gone: back to the sign-in screen
+    return watchUnauthorized(() => setCurrentUser(null));
+  }, []);
+
+  useEffect(() => {
+    if (currentUser) fetchSources();
+  }, [currentUser]);
+
+  // Check Now runs in the background; its check-finished event ends the "checking" state
+  useEffect(() => {
+    return subscribeToLiveEvents((type, data) => {
+      if (type === 'check-finished' && checkRunIdRef.current && data.runId === checkRunIdRef.current) {
+        checkRunIdRef.current = null;
+        setRefreshTrigger(prev => prev + 1);
+        setIsCheckingFeeds(false);
+      }
+    });
   }, []);
 
+  // The check runs in the worker and its events reach us through Postgres LISTEN, which some
+  // connection poolers drop; poll the run as well so the "checking" state always ends
+  useEffect(() => {
+    if (!isCheckingFeeds) return undefined;
+    const timer = setInterval(async () => {
+      const runId = checkRunIdRef.current;
+      if (!runId) return;
+      try {
+        const response = await fetch(`${config.API_BASE_URL}/api/monitor/runs/${runId}`);
+        if (!response.ok) return;
+        const run = await response.json();
+        if (run.finished_at && checkRunIdRef.current === runId) {
+          checkRunIdRef.current = null;
+          setRefreshTrigger(prev => prev + 1);
+          setIsCheckingFeeds(false);
+        }
+      } catch (error) {
+        console.error('Error polling check run:', error);
+      }
+    }, RUN_POLL_MS);
+    return () => clearInterval(timer);
+  }, [isCheckingFeeds]);
+
   // Sync active tab with URL path changes
   useEffect(() => {
     const path = location.pathname;
@@ -63,16 +120,8 @@ function MainApp() {
     try {
       const articleIds = articles.map(a => a.id);
 
-      // Ask server to generate summaries for these IDs
-      const resp = await fetch(`${config.API_BASE_URL}/api/articles/generate-summaries`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ articleIds })
-      });
-
-      if (!resp.ok) throw new Error('Failed to generate summaries');
-
-      const { results } = await resp.json();
+      // Ask server to generate summaries for these IDs (a worker job; wait for its result)
+      const { results = [] } = await queueAndWait('/api/articles/generate-summaries', { articleIds });
       // Map returned summaries back onto the same selected articles
       const idToSummary = new Map(results.filter(r => r.success).map(r => [r.articleId, r.summary]));
       const withSummaries = articles.map(a => ({ ...a, ai_summary: idToSummary.get(a.id) || a.ai_summary }));
@@ -104,58 +153,17 @@ function MainApp() {
     ));
   };
 
-  const handleSendToDistro = async (articles) => {
-    try {
-      const response = await fetch(`${config.API_BASE_URL}/api/articles/send`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          articleIds: articles.map(article => article.id),
-          userInfo: {
-            name: "Distro Scoopstream User"
-          }
-        }),
-      });
-
-      if (!response.ok) {
-        throw new Error('Failed to send articles');
-      }
-
-      const result = await response.json();
-      alert(result.message || `Successfully sent ${result.successCount} articles to Distro!`);
-    } catch (error) {
-      console.error('Error sending articles:', error);
-      alert('Failed to send articles. Please try again.');
-    }
-  };
-
   const handleBackToEdit = () => {
     setWorkflowStep('edit');
   };
 
   const handleSendArticles = async () => {
     try {
-      const response = await fetch(`${config.API_BASE_URL}/api/articles/send`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          articleIds: selectedArticles.map(article => article.id),
-          userInfo: {
-            name: "Author Name" // This could be made configurable
-          }
-        }),
+      // Queued as a send job: wait for the worker to send them
+      const result = await queueAndWait('/api/articles/send', {
+        articleIds: selectedArticles.map(article => article.id)
       });
 
-      if (!response.ok) {
-        throw new Error('Failed to send articles');
-      }
-
-      const result = await response.json();
-      
       // Show detailed message from server
       if (result.success) {
         alert(result.message);
@@ -172,26 +180,26 @@ function MainApp() {
     }
   };
 
-  const handleCheckNow = async () => {
+  // selection narrows the check ({ sourceIds, categories, monitoringTypes, onlyFailed, priority })
+  const handleCheckNow = async (selection = null) => {
     setIsCheckingFeeds(true);
     try {
-      // Trigger immediate feed check
+      // Start a feed check; it answers right away with the run id
       const response = await fetch(`${config.API_BASE_URL}/api/monitor/trigger`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
-        }
+        },
+        body: JSON.stringify(selection || {})
       });
+      const data = await response.json();
       
-      if (response.ok) {
-        console.log('Feed check triggered successfully');
-        // Wait a moment for the feeds to process, then refresh sources
-        checkTimeoutRef.current = setTimeout(() => {
-          setRefreshTrigger(prev => prev + 1);
-          setIsCheckingFeeds(false);
-          checkTimeoutRef.current = null;
-        }, 2000);
+      // 409: a check is already running (maybe a scheduled one); follow that run instead
+      if ((response.ok || response.status === 409) && data.runId) {
+        console.log(`Feed check run ${data.runId} in progress`);
+        checkRunIdRef.current = data.runId;
       } else {
+        if (data.error) alert(data.error);
         setIsCheckingFeeds(false);
       }
     } catch (error) {
@@ -201,11 +209,7 @@ function MainApp() {
   };
 
   const handleStopChecking = async () => {
-    // Clear client-side timeout
-    if (checkTimeoutRef.current) {
-      clearTimeout(checkTimeoutRef.current);
-      checkTimeoutRef.current = null;
-    }
+    checkRunIdRef.current = null;
     
     // Send cancel request to server
     try {
@@ -228,9 +232,27 @@ function MainApp() {
     setIsCheckingFeeds(false);
   };
 
+  const handleLogout = async () => {
+    try {
+      await logout();
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+    setCurrentUser(null);
+    setSelectedArticles([]);
+    setDistroScoutStep('landing');
+  };
+
   // Don't show header/nav for agent-test - it has its own full-screen UI
   const showHeaderNav = activeTab !== 'adk-web';
 
+  if (!authChecked) {
+    return null;
+  }
+  if (!currentUser) {
+    return <Login onLogin={setCurrentUser} />;
+  }
+
   return (
     <div className="App distro-app">
       {showHeaderNav && (
@@ -257,6 +279,14 @@ function MainApp() {
                   Sources
                 </button>
               )}
+              {activeTab !== 'search' && (
+                <button
+                  className="distro-nav-link"
+                  onClick={() => { setActiveTab('search'); navigate('/search'); }}
+                >
+                  Search
+                </button>
+              )}
               {activeTab !== 'adk-web' && (
                 <button
                   className="distro-nav-link"
@@ -265,6 +295,26 @@ function MainApp() {
                   Agent Test
                 </button>
               )}
+              {activeTab !== 'tasks' && hasRole(currentUser, 'admin') && (
+                <button
+                  className="distro-nav-link"
+                  onClick={() => { setActiveTab('tasks'); navigate('/tasks'); }}
+                >
+                  Tasks
+                </button>
+              )}
+              {activeTab !== 'settings' && (
+                <button
+                  className="distro-nav-link"
+                  onClick={() => { setActiveTab('settings'); navigate('/settings'); }}
+                >
+                  Settings
+                </button>
+              )}
+              <span className="distro-nav-user" title={`Role: ${currentUser.role}`}>{currentUser.display_name}</span>
+              <button className="distro-nav-link" onClick={handleLogout}>
+                Sign out
+              </button>
             </nav>
           </div>
         </header>
@@ -285,7 +335,6 @@ function MainApp() {
             onBack={handleBackToDistroScoutLanding}
             onEditArticle={handleEditArticle}
             onRemoveArticle={handleRemoveArticle}
-            onSendToDistro={handleSendToDistro}
             onArticleStatusChange={handleArticleStatusChange}
           />
         )}
@@ -295,11 +344,22 @@ function MainApp() {
             onSourceAdded={handleSourceAdded}
             onSourceRemoved={handleSourceRemoved}
             refreshTrigger={refreshTrigger}
+            onCheckNow={handleCheckNow}
+            isCheckingFeeds={isCheckingFeeds}
           />
         )}
+        {activeTab === 'search' && (
+          <ArticleSearch sources={sources} />
+        )}
         {activeTab === 'adk-web' && (
           <ADKWeb />
         )}
+        {activeTab === 'settings' && (
+          <Settings currentUser={currentUser} />
+        )}
+        {activeTab === 'tasks' && hasRole(currentUser, 'admin') && (
+          <ScheduledTasks />
+        )}
         {activeTab === 'new' && workflowStep === 'send' && (
           <div className="send-confirmation">
             <h2>Send Articles</h2>
@@ -327,6 +387,9 @@ function App() {
       <Routes>
         <Route path="/agent-test" element={<MainApp />} />
         <Route path="/sources" element={<MainApp />} />
+        <Route path="/search" element={<MainApp />} />
+        <Route path="/settings" element={<MainApp />} />
+        <Route path="/tasks" element={<MainApp />} />
         <Route path="/" element={<MainApp />} />
         <Route path="/scoopstream" element={<MainApp />} />
       </Routes>
@@ -0,0 +1,53 @@
+// Signed-in user helpers. The session lives in an HttpOnly cookie set by /api/auth/login, so
+// API calls only need to stay same-origin (the dev server proxies /api to the backend).
+import axios from 'axios';
+import config from './config';
+
+// The signed-in user ({ id, username, display_name, role }) or null
+export const fetchCurrentUser = async () => {
+  const response = await fetch(`${config.API_BASE_URL}/api/auth/me`);
+  return response.ok ? response.json() : null;
+};
+
+export const login = async (username, password) => {
+  const response = await fetch(`${config.API_BASE_URL}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Sign-in failed');
+  }
+  return data;
+};
+
+export const logout = () => fetch(`${config.API_BASE_URL}/api/auth/logout`, { method: 'POST' });
+
+const ROLES = ['viewer', 'editor', 'admin'];
+export const hasRole = (user, role) => !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+// Call handler whenever an API request comes back 401 (session expired or signed out in
+// another tab), from fetch or axios. Returns a function that stops watching.
+export const watchUnauthorized = (handler) => {
+  const originalFetch = window.fetch;
+  window.fetch = async (...args) => {
+    const response = await originalFetch(...args);
+    const url = String(args[0] && args[0].url ? args[0].url : args[0]);
+    if (response.status === 401 && url.includes('/api/') && !url.includes('/api/auth/')) {
+      handler();
+    }
+    return response;
+  };
+  const interceptor = axios.interceptors.response.use(
+    response => response,
+    error => {
+      if (error.response && error.response.status === 401) handler();
+      return Promise.reject(error);
+    }
+  );
+  return () => {
+    window.fetch = originalFetch;
+    axios.interceptors.response.eject(interceptor);
+  };
+};
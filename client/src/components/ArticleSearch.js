@@ -0,0 +1,286 @@
+import React, { useState, useEffect } from 'react';
+import config from '../config';
+
+const PAGE_SIZE = 20;
+const EMPTY_FILTERS = { source_id: '', category: '', status: '', from: '', to: '', sort: 'relevance' };
+
+// Archive search: full-text query with filters, ranked results and saved searches
+function ArticleSearch({ sources = [] }) {
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [categories, setCategories] = useState([]);
+  const [workflowStates, setWorkflowStates] = useState([]);
+  const [results, setResults] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
+  const [hasSearched, setHasSearched] = useState(false);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState(null);
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [saveName, setSaveName] = useState('');
+
+  useEffect(() => {
+    fetchCategories();
+    fetchWorkflowStates();
+    fetchSavedSearches();
+  }, []);
+
+  const fetchCategories = async () => {
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/categories`);
+      if (response.ok) {
+        setCategories(await response.json());
+      }
+    } catch (err) {
+      console.error('Error fetching categories:', err);
+    }
+  };
+
+  const fetchWorkflowStates = async () => {
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/workflow`);
+      if (response.ok) {
+        setWorkflowStates((await response.json()).states);
+      }
+    } catch (err) {
+      console.error('Error fetching workflow:', err);
+    }
+  };
+
+  const fetchSavedSearches = async () => {
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/saved-searches`);
+      if (response.ok) {
+        setSavedSearches(await response.json());
+      }
+    } catch (err) {
+      console.error('Error fetching saved searches:', err);
+    }
+  };
+
+  const runSearch = async (searchQuery, searchFilters, searchOffset = 0) => {
+    if (!searchQuery.trim()) return;
+    setIsSearching(true);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ q: searchQuery, limit: PAGE_SIZE, offset: searchOffset });
+      Object.entries(searchFilters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+      });
+      const response = await fetch(`${config.API_BASE_URL}/api/articles/search?${params.toString()}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Search failed');
+      }
+      setResults(data.results);
+      setTotal(data.total);
+      setOffset(searchOffset);
+      setHasSearched(true);
+    } catch (err) {
+      console.error('Error searching articles:', err);
+      setError(err.message);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runSearch(query, filters);
+  };
+
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleSaveSearch = async () => {
+    if (!saveName.trim() || !query.trim()) return;
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/saved-searches`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: saveName, query, filters })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save search');
+      }
+      setSaveName('');
+      fetchSavedSearches();
+    } catch (err) {
+      console.error('Error saving search:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleRunSaved = (saved) => {
+    const savedFilters = { ...EMPTY_FILTERS, ...(saved.filters || {}) };
+    setQuery(saved.query);
+    setFilters(savedFilters);
+    runSearch(saved.query, savedFilters);
+  };
+
+  const handleDeleteSaved = async (id) => {
+    try {
+      await fetch(`${config.API_BASE_URL}/api/saved-searches/${id}`, { method: 'DELETE' });
+      setSavedSearches(prev => prev.filter(saved => saved.id !== id));
+    } catch (err) {
+      console.error('Error deleting saved search:', err);
+    }
+  };
+
+  const renderParts = (parts, fallback) => {
+    if (!parts || parts.length === 0) return fallback;
+    return parts.map((part, index) => (
+      part.match ? <mark key={index} className="search-highlight">{part.text}</mark> : <span key={index}>{part.text}</span>
+    ));
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return 'Date unavailable';
+    return new Date(dateString).toLocaleDateString();
+  };
+
+  return (
+    <div className="distro-scoopstream-landing article-search">
+      <div className="distro-scoopstream-header">
+        <h2 className="distro-scoopstream-title">Search Archive</h2>
+      </div>
+
+      <form onSubmit={handleSubmit} className="search-form">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder='e.g. "circle ipo" OR stablecoin* -sponsored'
+          className="url-input search-input"
+        />
+        <button type="submit" className="select-all-btn" disabled={isSearching || !query.trim()}>
+          {isSearching ? 'Searching…' : 'Search'}
+        </button>
+      </form>
+
+      <div className="filter-sort-section">
+        <div className="filter-sort-controls search-filters">
+          <div className="dropdown-group">
+            <label htmlFor="search-source">Source:</label>
+            <select id="search-source" value={filters.source_id} onChange={(e) => handleFilterChange('source_id', e.target.value)} className="filter-dropdown">
+              <option value="">All sources</option>
+              {sources.map(source => (
+                <option key={source.id} value={String(source.id)}>{source.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="dropdown-group">
+            <label htmlFor="search-category">Category:</label>
+            <select id="search-category" value={filters.category} onChange={(e) => handleFilterChange('category', e.target.value)} className="filter-dropdown">
+              <option value="">All categories</option>
+              {categories.map(category => (
+                <option key={category.id || category.name} value={category.name}>{category.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="dropdown-group">
+            <label htmlFor="search-status">Status:</label>
+            <select id="search-status" value={filters.status} onChange={(e) => handleFilterChange('status', e.target.value)} className="filter-dropdown">
+              <option value="">Any status</option>
+              {workflowStates.map(state => (
+                <option key={state.key} value={state.key}>{state.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="dropdown-group">
+            <label htmlFor="search-from">From:</label>
+            <input id="search-from" type="date" value={filters.from} onChange={(e) => handleFilterChange('from', e.target.value)} className="filter-dropdown" />
+          </div>
+          <div className="dropdown-group">
+            <label htmlFor="search-to">To:</label>
+            <input id="search-to" type="date" value={filters.to} onChange={(e) => handleFilterChange('to', e.target.value)} className="filter-dropdown" />
+          </div>
+          <div className="dropdown-group">
+            <label htmlFor="search-sort">Sort:</label>
+            <select id="search-sort" value={filters.sort} onChange={(e) => handleFilterChange('sort', e.target.value)} className="sort-dropdown">
+              <option value="relevance">Most relevant</option>
+              <option value="date">Newest</option>
+            </select>
+          </div>
+        </div>
+      </div>
+
+      <div className="saved-searches">
+        {savedSearches.map(saved => (
+          <span key={saved.id} className="saved-search-chip">
+            <button type="button" onClick={() => handleRunSaved(saved)} title={saved.query}>🔖 {saved.name}</button>
+            <button type="button" onClick={() => handleDeleteSaved(saved.id)} aria-label={`Delete saved search ${saved.name}`}>×</button>
+          </span>
+        ))}
+        <span className="saved-search-new">
+          <input
+            type="text"
+            value={saveName}
+            onChange={(e) => setSaveName(e.target.value)}
+            placeholder="Name this search"
+            className="url-input"
+          />
+          <button type="button" className="add-url-btn" onClick={handleSaveSearch} disabled={!saveName.trim() || !query.trim()}>
+            Save search
+          </button>
+        </span>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {hasSearched && (
+        <div className="search-summary">
+          {total === 0 ? 'No matching articles.' : `${total} matching ${total === 1 ? 'article' : 'articles'}`}
+        </div>
+      )}
+
+      <div className="articles-list">
+        {results.map(result => (
+          <div key={result.id} className="article-card">
+            <div className="article-content">
+              <div className="article-source">{(result.source_name || '').toUpperCase()}</div>
+              <h3 className="article-title">
+                <a href={result.more_info_url} target="_blank" rel="noopener noreferrer" className="article-title-link">
+                  {renderParts(result.title_parts, result.title)}
+                </a>
+              </h3>
+              <div className="article-date">
+                {formatDate(result.pub_date || result.created_at)}
+                {result.status && <span className="search-status"> · {result.status}</span>}
+              </div>
+              {result.snippet_parts.length > 0 && (
+                <div className="article-preview">{renderParts(result.snippet_parts)}</div>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {total > PAGE_SIZE && (
+        <div className="search-pagination">
+          <button
+            type="button"
+            className="distro-nav-link"
+            disabled={offset === 0 || isSearching}
+            onClick={() => runSearch(query, filters, Math.max(offset - PAGE_SIZE, 0))}
+          >
+            ← Previous
+          </button>
+          <span>{offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}</span>
+          <button
+            type="button"
+            className="distro-nav-link"
+            disabled={offset + PAGE_SIZE >= total || isSearching}
+            onClick={() => runSearch(query, filters, offset + PAGE_SIZE)}
+          >
+            Next →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ArticleSearch;
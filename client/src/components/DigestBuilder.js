@@ -0,0 +1,506 @@
+import React, { useState, useEffect } from 'react';
+import config from '../config';
+
+const FORMAT_LABELS = { html: 'HTML', markdown: 'Markdown', text: 'Plain text' };
+const EMPTY_TEMPLATE = { id: null, name: '', subject: '', html: '', markdown: '', text: '' };
+
+// Newsletter digest panel for Edit & Send: build from the articles on the page or a query,
+// preview every format, copy or download it, and manage saved digests and templates. A saved
+// digest can be emailed every day through an email destination, or right away.
+function DigestBuilder({ articles, destinations }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [mode, setMode] = useState('articles'); // articles | query | saved
+  const [form, setForm] = useState({ title: 'Daily digest', intro: '', groupBy: 'category', templateId: '' });
+  const [query, setQuery] = useState({ destination: 'distro', sinceHours: 24, category: '' });
+  const [savedId, setSavedId] = useState('');
+  const [categories, setCategories] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [savedDigests, setSavedDigests] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [previewFormat, setPreviewFormat] = useState('html');
+  const [isBuilding, setIsBuilding] = useState(false);
+  const [templateDraft, setTemplateDraft] = useState(null); // template being edited, null when the editor is closed
+  const [schedule, setSchedule] = useState({ emailDestinationId: '', sendTime: '' });
+  const [isSending, setIsSending] = useState(false);
+
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const emailDestinations = destinations.filter(d => d.type === 'email');
+  const selectedSaved = savedDigests.find(d => String(d.id) === savedId);
+
+  const fetchTemplates = async () => {
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/digest-templates`);
+      if (response.ok) setTemplates(await response.json());
+    } catch (error) {
+      console.error('Error fetching digest templates:', error);
+    }
+  };
+
+  const fetchSavedDigests = async () => {
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/saved-digests`);
+      if (response.ok) setSavedDigests(await response.json());
+    } catch (error) {
+      console.error('Error fetching saved digests:', error);
+    }
+  };
+
+  useEffect(() => {
+    if (!isOpen) return;
+    fetchTemplates();
+    fetchSavedDigests();
+    fetch(`${config.API_BASE_URL}/api/categories`)
+      .then(response => (response.ok ? response.json() : []))
+      .then(setCategories)
+      .catch(error => console.error('Error fetching categories:', error));
+  }, [isOpen]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    setSchedule({
+      emailDestinationId: selectedSaved && selectedSaved.email_destination_id ? String(selectedSaved.email_destination_id) : '',
+      sendTime: selectedSaved && selectedSaved.send_time ? selectedSaved.send_time : ''
+    });
+  }, [savedId, savedDigests]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Request body for the ad-hoc preview/download routes
+  const buildRequestBody = () => ({
+    ...(mode === 'articles'
+      ? { articleIds: articles.map(article => article.id) }
+      : { query: { ...query, category: query.category || undefined } }),
+    title: form.title,
+    intro: form.intro,
+    groupBy: form.groupBy,
+    templateId: form.templateId || undefined,
+    timeZone
+  });
+
+  const requestDigest = (action, format) => {
+    if (mode === 'saved') {
+      const params = new URLSearchParams({ timeZone });
+      if (format) params.set('format', format);
+      return fetch(`${config.API_BASE_URL}/api/saved-digests/${savedId}/${action}?${params}`);
+    }
+    return fetch(`${config.API_BASE_URL}/api/digests/${action}${format ? `?format=${format}` : ''}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(buildRequestBody())
+    });
+  };
+
+  const canBuild = mode === 'articles' ? articles.length > 0 : mode === 'saved' ? Boolean(savedId) : true;
+
+  const handlePreview = async () => {
+    setIsBuilding(true);
+    try {
+      const response = await requestDigest('preview');
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Preview failed');
+      }
+      setPreview(data);
+    } catch (error) {
+      console.error('Error building digest:', error);
+      alert(`❌ Failed to build digest: ${error.message || 'Please try again.'}`);
+    } finally {
+      setIsBuilding(false);
+    }
+  };
+
+  const handleDownload = async (format) => {
+    try {
+      const response = await requestDigest('download', format);
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Download failed');
+      }
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const match = disposition.match(/filename="([^"]+)"/);
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? match[1] : `digest.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading digest:', error);
+      alert(`❌ Failed to download digest: ${error.message || 'Please try again.'}`);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(preview[previewFormat]);
+    } catch (error) {
+      console.error('Error copying digest:', error);
+      alert('❌ Could not copy to the clipboard.');
+    }
+  };
+
+  const handleSaveQuery = async () => {
+    const name = window.prompt('Name this digest (e.g. "Distro daily")');
+    if (!name) return;
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/saved-digests`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...buildRequestBody(), name })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Save failed');
+      }
+      await fetchSavedDigests();
+      setSavedId(String(data.id));
+      setMode('saved');
+    } catch (error) {
+      console.error('Error saving digest:', error);
+      alert(`❌ Failed to save digest: ${error.message || 'Please try again.'}`);
+    }
+  };
+
+  const handleDeleteSaved = async () => {
+    const saved = selectedSaved;
+    if (!saved || !window.confirm(`Delete the saved digest "${saved.name}"?`)) return;
+    try {
+      await fetch(`${config.API_BASE_URL}/api/saved-digests/${saved.id}`, { method: 'DELETE' });
+      setSavedId('');
+      fetchSavedDigests();
+    } catch (error) {
+      console.error('Error deleting saved digest:', error);
+    }
+  };
+
+  // The daily email is stored on the saved digest, in the browser's time zone
+  const handleSaveSchedule = async () => {
+    const saved = selectedSaved;
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/saved-digests/${saved.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: saved.name,
+          query: saved.query,
+          title: saved.title,
+          intro: saved.intro,
+          groupBy: saved.group_by,
+          templateId: saved.template_id,
+          emailDestinationId: schedule.emailDestinationId || null,
+          sendTime: schedule.emailDestinationId ? schedule.sendTime || null : null,
+          timeZone
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Save failed');
+      }
+      fetchSavedDigests();
+    } catch (error) {
+      console.error('Error saving digest schedule:', error);
+      alert(`❌ Failed to save the email schedule: ${error.message || 'Please try again.'}`);
+    }
+  };
+
+  const handleSendNow = async () => {
+    const saved = selectedSaved;
+    if (!window.confirm(`Email "${saved.name}" to ${saved.email_destination} now?`)) return;
+    setIsSending(true);
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/saved-digests/${saved.id}/send`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Send failed');
+      }
+      if (data.status === 'skipped') {
+        alert('ℹ️ No stories match this digest right now; nothing was sent.');
+      } else {
+        alert(`✅ Digest emailed to ${data.accepted} recipient(s)${data.rejected ? ` (${data.rejected} refused)` : ''}.`);
+      }
+    } catch (error) {
+      console.error('Error sending digest:', error);
+      alert(`❌ Failed to email digest: ${error.message || 'Please try again.'}`);
+    } finally {
+      setIsSending(false);
+      fetchSavedDigests();
+    }
+  };
+
+  // Open the template editor on an existing template, or on a copy of the default one
+  const handleEditTemplate = async () => {
+    const existing = templates.find(t => String(t.id) === String(form.templateId));
+    if (existing) {
+      setTemplateDraft({ ...EMPTY_TEMPLATE, ...existing });
+      return;
+    }
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/digests/default-template`);
+      const defaults = await response.json();
+      setTemplateDraft({ ...EMPTY_TEMPLATE, ...defaults, name: '' });
+    } catch (error) {
+      console.error('Error fetching default digest template:', error);
+    }
+  };
+
+  const handleSaveTemplate = async () => {
+    const { id, name, subject, html, markdown, text } = templateDraft;
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/digest-templates${id ? `/${id}` : ''}`, {
+        method: id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, subject, html, markdown, text })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Save failed');
+      }
+      await fetchTemplates();
+      setForm(prev => ({ ...prev, templateId: String(data.id) }));
+      setTemplateDraft(null);
+    } catch (error) {
+      console.error('Error saving digest template:', error);
+      alert(`❌ Failed to save template: ${error.message || 'Please try again.'}`);
+    }
+  };
+
+  const handleDeleteTemplate = async () => {
+    if (!templateDraft.id || !window.confirm(`Delete the template "${templateDraft.name}"?`)) return;
+    try {
+      await fetch(`${config.API_BASE_URL}/api/digest-templates/${templateDraft.id}`, { method: 'DELETE' });
+      setForm(prev => ({ ...prev, templateId: '' }));
+      setTemplateDraft(null);
+      fetchTemplates();
+    } catch (error) {
+      console.error('Error deleting digest template:', error);
+    }
+  };
+
+  return (
+    <div className="digest-section">
+      <div className="digest-header">
+        <h2 className="section-title">Digest</h2>
+        <button onClick={() => setIsOpen(open => !open)} className="remove-btn">
+          {isOpen ? 'Hide' : 'Build newsletter digest'}
+        </button>
+      </div>
+
+      {isOpen && (
+        <div className="digest-builder">
+          <div className="digest-modes">
+            <label className="schedule-target">
+              <input type="radio" checked={mode === 'articles'} onChange={() => setMode('articles')} />
+              Articles to review ({articles.length})
+            </label>
+            <label className="schedule-target">
+              <input type="radio" checked={mode === 'query'} onChange={() => setMode('query')} />
+              Query
+            </label>
+            <label className="schedule-target">
+              <input type="radio" checked={mode === 'saved'} onChange={() => setMode('saved')} />
+              Saved digest
+            </label>
+          </div>
+
+          {mode === 'query' && (
+            <div className="digest-row">
+              <label className="schedule-field">
+                Sent to
+                <select value={query.destination} onChange={(e) => setQuery(prev => ({ ...prev, destination: e.target.value }))}>
+                  <option value="">Any (added recently)</option>
+                  {destinations.map(d => (
+                    <option key={d.id} value={d.destination_key || d.id}>{d.name}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="schedule-field">
+                in the last
+                <input
+                  type="number"
+                  min="1"
+                  max="720"
+                  className="digest-hours"
+                  value={query.sinceHours}
+                  onChange={(e) => setQuery(prev => ({ ...prev, sinceHours: e.target.value }))}
+                />
+                hours
+              </label>
+              <label className="schedule-field">
+                Category
+                <select value={query.category} onChange={(e) => setQuery(prev => ({ ...prev, category: e.target.value }))}>
+                  <option value="">All</option>
+                  {categories.map(c => (
+                    <option key={c.id} value={c.name}>{c.name}</option>
+                  ))}
+                </select>
+              </label>
+              <button onClick={handleSaveQuery} className="remove-btn">Save as digest</button>
+            </div>
+          )}
+
+          {mode === 'saved' && (
+            <div className="digest-row">
+              <select value={savedId} onChange={(e) => setSavedId(e.target.value)}>
+                <option value="">Choose a saved digest</option>
+                {savedDigests.map(d => (
+                  <option key={d.id} value={d.id}>{d.name}</option>
+                ))}
+              </select>
+              {savedId && <button onClick={handleDeleteSaved} className="remove-btn">Delete</button>}
+            </div>
+          )}
+
+          {mode === 'saved' && selectedSaved && (
+            <div className="digest-row">
+              <label className="schedule-field">
+                Email to
+                <select
+                  value={schedule.emailDestinationId}
+                  onChange={(e) => setSchedule(prev => ({ ...prev, emailDestinationId: e.target.value }))}
+                >
+                  <option value="">{emailDestinations.length ? 'Nobody' : 'No email destinations'}</option>
+                  {emailDestinations.map(d => (
+                    <option key={d.id} value={d.id}>{d.name}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="schedule-field">
+                every day at
+                <input
+                  type="time"
+                  className="digest-hours digest-time"
+                  value={schedule.sendTime}
+                  disabled={!schedule.emailDestinationId}
+                  onChange={(e) => setSchedule(prev => ({ ...prev, sendTime: e.target.value }))}
+                />
+                ({timeZone})
+              </label>
+              <button onClick={handleSaveSchedule} className="remove-btn">Save schedule</button>
+              {selectedSaved.email_destination_id && (
+                <button onClick={handleSendNow} className="remove-btn" disabled={isSending}>
+                  {isSending ? 'Sending...' : 'Email now'}
+                </button>
+              )}
+              {selectedSaved.last_sent_at && (
+                <span className="schedule-field">Last emailed {new Date(selectedSaved.last_sent_at).toLocaleString()}</span>
+              )}
+              {selectedSaved.last_error && (
+                <span className="schedule-field digest-error">⚠️ {selectedSaved.last_error}</span>
+              )}
+            </div>
+          )}
+
+          {mode !== 'saved' && (
+            <div className="digest-row">
+              <input
+                type="text"
+                className="schedule-note"
+                placeholder="Title"
+                value={form.title}
+                onChange={(e) => setForm(prev => ({ ...prev, title: e.target.value }))}
+              />
+              <label className="schedule-field">
+                Group by
+                <select value={form.groupBy} onChange={(e) => setForm(prev => ({ ...prev, groupBy: e.target.value }))}>
+                  <option value="category">Category</option>
+                  <option value="source">Source</option>
+                  <option value="none">Nothing</option>
+                </select>
+              </label>
+              <label className="schedule-field">
+                Template
+                <select value={form.templateId} onChange={(e) => setForm(prev => ({ ...prev, templateId: e.target.value }))}>
+                  <option value="">Default</option>
+                  {templates.map(t => (
+                    <option key={t.id} value={t.id}>{t.name}</option>
+                  ))}
+                </select>
+              </label>
+              <button onClick={handleEditTemplate} className="remove-btn">
+                {form.templateId ? 'Edit template' : 'New template'}
+              </button>
+              <textarea
+                className="schedule-note digest-intro"
+                placeholder="Intro (optional)"
+                value={form.intro}
+                onChange={(e) => setForm(prev => ({ ...prev, intro: e.target.value }))}
+              />
+            </div>
+          )}
+
+          {templateDraft && (
+            <div className="digest-template-editor">
+              <input
+                type="text"
+                className="schedule-note"
+                placeholder="Template name"
+                value={templateDraft.name}
+                onChange={(e) => setTemplateDraft(prev => ({ ...prev, name: e.target.value }))}
+              />
+              <input
+                type="text"
+                className="schedule-note"
+                placeholder="Subject"
+                value={templateDraft.subject || ''}
+                onChange={(e) => setTemplateDraft(prev => ({ ...prev, subject: e.target.value }))}
+              />
+              {Object.entries(FORMAT_LABELS).map(([format, label]) => (
+                <label key={format} className="digest-template-field">
+                  {label} (leave empty to use the default)
+                  <textarea
+                    value={templateDraft[format] || ''}
+                    onChange={(e) => setTemplateDraft(prev => ({ ...prev, [format]: e.target.value }))}
+                    rows={10}
+                    spellCheck={false}
+                  />
+                </label>
+              ))}
+              <div className="digest-row">
+                <button onClick={handleSaveTemplate} className="send-btn" disabled={!templateDraft.name.trim()}>
+                  Save template
+                </button>
+                {templateDraft.id && <button onClick={handleDeleteTemplate} className="remove-btn">Delete</button>}
+                <button onClick={() => setTemplateDraft(null)} className="remove-btn">Close</button>
+              </div>
+            </div>
+          )}
+
+          <div className="digest-row">
+            <button onClick={handlePreview} className="send-btn" disabled={!canBuild || isBuilding}>
+              {isBuilding ? 'Building...' : 'Preview'}
+            </button>
+            {Object.entries(FORMAT_LABELS).map(([format, label]) => (
+              <button key={format} onClick={() => handleDownload(format)} className="remove-btn" disabled={!canBuild}>
+                Download {label}
+              </button>
+            ))}
+          </div>
+
+          {preview && (
+            <div className="digest-preview">
+              <div className="digest-preview-meta">
+                <strong>{preview.subject}</strong> · {preview.article_count} {preview.article_count === 1 ? 'story' : 'stories'}
+              </div>
+              <div className="digest-row">
+                {Object.entries(FORMAT_LABELS).map(([format, label]) => (
+                  <button
+                    key={format}
+                    onClick={() => setPreviewFormat(format)}
+                    className={`digest-tab ${previewFormat === format ? 'active' : ''}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+                <button onClick={handleCopy} className="remove-btn">Copy</button>
+              </div>
+              {previewFormat === 'html' ? (
+                <iframe title="Digest preview" className="digest-preview-frame" srcDoc={preview.html} sandbox="" />
+              ) : (
+                <pre className="digest-preview-source">{preview[previewFormat]}</pre>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DigestBuilder;
@@ -1,14 +1,27 @@
 import React, { useState, useEffect, useRef } from 'react';
 import config from '../config';
+import DigestBuilder from './DigestBuilder';
+import { queueAndWait } from '../jobs';
 
-function DistroScoutEditSend({ articles, onBack, onEditArticle, onRemoveArticle, onSendToDistro, onArticleStatusChange }) {
+function DistroScoutEditSend({ articles, onBack, onEditArticle, onRemoveArticle, onArticleStatusChange }) {
   const [isGenerating, setIsGenerating] = useState(false);
-  const [telegramSending, setTelegramSending] = useState({});
+  const [sending, setSending] = useState({}); // `${articleId}:${destinationId}` -> true while a delivery runs
   const [localArticles, setLocalArticles] = useState([]);
   const [editingId, setEditingId] = useState(null);
   const [editForm, setEditForm] = useState({ title: '', url: '', content: '' });
-  const [sentToDistro, setSentToDistro] = useState([]);
-  const [sentToTelegram, setSentToTelegram] = useState([]);
+  const [destinations, setDestinations] = useState([]);
+  const [deliveries, setDeliveries] = useState({}); // articleId -> [{ destination_id, delivered_at }]
+  const [sentLists, setSentLists] = useState({}); // destinationId -> articles delivered there
+  const [failedJobs, setFailedJobs] = useState([]); // outbox jobs that failed (retrying) or gave up (dead)
+  const [retryingJobId, setRetryingJobId] = useState(null);
+  const [scheduledSends, setScheduledSends] = useState([]);
+  const [schedulingId, setSchedulingId] = useState(null); // article whose schedule form is open
+  const [scheduleForm, setScheduleForm] = useState({ sendAt: '', targets: [], note: '' });
+  const [rescheduleValues, setRescheduleValues] = useState({}); // scheduled send id -> datetime-local value
+  const [workflow, setWorkflow] = useState(null); // { states, transitions, enforceOnSend }
+  const [events, setEvents] = useState({}); // articleId -> workflow history, oldest first
+  const [moveForms, setMoveForms] = useState({}); // articleId -> { to, note }
+  const [historyOpenId, setHistoryOpenId] = useState(null);
   // Use a ref to track status changes so we can preserve them across prop updates
   const statusMapRef = useRef(new Map());
 
@@ -35,29 +48,342 @@ function DistroScoutEditSend({ articles, onBack, onEditArticle, onRemoveArticle,
     setLocalArticles(mergedArticles);
   }, [articles]);
 
-  const fetchSentLists = async () => {
+  // Built-in destinations are seeded with these keys; any others get a generic "Send to" button
+  const findDestination = (key) => destinations.find(d => d.destination_key === key);
+  const distroDestination = findDestination('distro');
+  const telegramDestination = findDestination('telegram');
+  const flashDestination = findDestination('distro-flash');
+  const otherDestinations = destinations.filter(d => !['distro', 'telegram', 'distro-flash'].includes(d.destination_key));
+
+  // What can be scheduled; Telegram goes out with a Distro news flash, as with "send now"
+  const scheduleTargets = [
+    distroDestination && { key: 'distro', label: 'Distro', destinations: [distroDestination] },
+    telegramDestination && { key: 'telegram', label: 'Telegram', destinations: [telegramDestination, flashDestination].filter(Boolean) },
+    ...otherDestinations.map(d => ({ key: `destination-${d.id}`, label: d.name, destinations: [d] }))
+  ].filter(Boolean);
+
+  // <input type="datetime-local"> works in local wall-clock time; the API takes ISO instants
+  const toLocalInputValue = (date) => {
+    const d = new Date(date);
+    return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  };
+
+  const fetchDestinations = async () => {
     try {
-      const [distroRes, telegramRes] = await Promise.all([
-        fetch(`${config.API_BASE_URL}/api/articles/sent-to-distro`),
-        fetch(`${config.API_BASE_URL}/api/articles/sent-to-telegram`)
-      ]);
-      if (distroRes.ok) {
-        const data = await distroRes.json();
-        setSentToDistro(Array.isArray(data) ? data : []);
-      }
-      if (telegramRes.ok) {
-        const data = await telegramRes.json();
-        setSentToTelegram(Array.isArray(data) ? data : []);
+      const response = await fetch(`${config.API_BASE_URL}/api/destinations`);
+      if (response.ok) {
+        const data = await response.json();
+        setDestinations(data.filter(d => d.is_active));
       }
+    } catch (e) {
+      console.error('Failed to fetch destinations:', e);
+    }
+  };
+
+  const fetchSentLists = async (destinationList = destinations) => {
+    try {
+      const lists = await Promise.all(destinationList.map(async destination => {
+        const response = await fetch(`${config.API_BASE_URL}/api/destinations/${destination.id}/deliveries`);
+        const data = response.ok ? await response.json() : [];
+        return [destination.id, Array.isArray(data) ? data : []];
+      }));
+      setSentLists(Object.fromEntries(lists));
     } catch (e) {
       console.error('Failed to fetch sent articles:', e);
     }
   };
 
+  const fetchScheduledSends = async () => {
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/scheduled-sends?status=scheduled,sending,failed`);
+      if (response.ok) {
+        setScheduledSends(await response.json());
+      }
+    } catch (e) {
+      console.error('Failed to fetch scheduled sends:', e);
+    }
+  };
+
+  const fetchFailedJobs = async () => {
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/delivery-jobs?status=failed,dead`);
+      if (response.ok) {
+        setFailedJobs(await response.json());
+      }
+    } catch (e) {
+      console.error('Failed to fetch failed sends:', e);
+    }
+  };
+
+  const fetchDeliveries = async (ids) => {
+    if (ids.length === 0) return;
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/articles/deliveries?ids=${ids.join(',')}`);
+      if (response.ok) {
+        setDeliveries(await response.json());
+      }
+    } catch (e) {
+      console.error('Failed to fetch article deliveries:', e);
+    }
+  };
+
+  const fetchWorkflow = async () => {
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/workflow`);
+      if (response.ok) {
+        setWorkflow(await response.json());
+      }
+    } catch (e) {
+      console.error('Failed to fetch workflow:', e);
+    }
+  };
+
+  const fetchEvents = async (ids) => {
+    if (ids.length === 0) return;
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/articles/events?ids=${ids.join(',')}`);
+      if (response.ok) {
+        setEvents(await response.json());
+      }
+    } catch (e) {
+      console.error('Failed to fetch article history:', e);
+    }
+  };
+
   useEffect(() => {
-    fetchSentLists();
+    fetchDestinations();
+    fetchWorkflow();
+    fetchFailedJobs();
+    fetchScheduledSends();
+    // Scheduled items fire on the server; refresh the list so sent ones drop off
+    const interval = setInterval(fetchScheduledSends, 60000);
+    return () => clearInterval(interval);
   }, []);
 
+  useEffect(() => {
+    fetchSentLists(destinations);
+  }, [destinations]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const articleIdsKey = (articles || []).map(a => a.id).join(',');
+  useEffect(() => {
+    fetchDeliveries((articles || []).map(a => a.id));
+    fetchEvents((articles || []).map(a => a.id));
+  }, [articleIdsKey]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const stateLabel = (key) => {
+    const state = workflow && workflow.states.find(s => s.key === key);
+    return state ? state.label : key;
+  };
+
+  const nextStates = (key) => (workflow && workflow.transitions[key]) || [];
+
+  const updateLocalStatus = (articleId, status) => {
+    statusMapRef.current.set(articleId, status);
+    setLocalArticles(prev => prev.map(a => (a.id === articleId ? { ...a, status } : a)));
+    if (onArticleStatusChange) {
+      onArticleStatusChange(articleId, status);
+    }
+  };
+
+  // POST /api/articles/:id/transition; the server checks the move against the workflow and
+  // records it as the signed-in user
+  const handleTransition = async (article) => {
+    const form = moveForms[article.id] || {};
+    const to = form.to || nextStates(article.status)[0];
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/articles/${article.id}/transition`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ to, note: form.note || '' })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Move failed');
+      }
+      updateLocalStatus(article.id, data.to_status);
+      setMoveForms(prev => {
+        const next = { ...prev };
+        delete next[article.id];
+        return next;
+      });
+    } catch (error) {
+      console.error('Error moving article:', error);
+      alert(`❌ Failed to move article: ${error.message || 'Please try again.'}`);
+    } finally {
+      fetchEvents(localArticles.map(a => a.id));
+    }
+  };
+
+  const isDelivered = (articleId, destination) =>
+    !!destination && (deliveries[articleId] || []).some(d => d.destination_id === destination.id);
+
+  const isSending = (articleId, destination) => !!destination && !!sending[`${articleId}:${destination.id}`];
+
+  // POST /api/articles/:id/deliver for one article, or /api/articles/deliver-batch for several
+  // (so threaded destinations like Slack group them), and wait for the worker's send job;
+  // returns the per-article responses
+  const deliverArticles = async (articlesToSend, destinationList) => {
+    const destinationIds = destinationList.filter(Boolean).map(d => d.id);
+    const keys = articlesToSend.flatMap(article => destinationIds.map(id => `${article.id}:${id}`));
+    setSending(prev => ({ ...prev, ...Object.fromEntries(keys.map(key => [key, true])) }));
+    try {
+      const isBatch = articlesToSend.length > 1;
+      const data = await queueAndWait(
+        isBatch ? '/api/articles/deliver-batch' : `/api/articles/${articlesToSend[0].id}/deliver`,
+        {
+          ...(isBatch ? { articleIds: articlesToSend.map(a => a.id) } : {}),
+          destinationIds
+        }
+      );
+
+      const responses = articlesToSend.map(article => {
+        const results = isBatch
+          ? ((data.articles || []).find(a => a.article_id === article.id) || { results: [] }).results
+          : data.results;
+        return { article, results, successCount: results.filter(r => r.status === 'sent').length };
+      });
+      responses
+        .filter(r => r.successCount > 0)
+        .forEach(r => updateLocalStatus(r.article.id, 'sent'));
+      return responses;
+    } finally {
+      setSending(prev => {
+        const next = { ...prev };
+        keys.forEach(key => delete next[key]);
+        return next;
+      });
+      fetchDeliveries(localArticles.map(a => a.id));
+      fetchEvents(localArticles.map(a => a.id));
+      fetchSentLists();
+      fetchFailedJobs();
+    }
+  };
+
+  const handleRetryJob = async (job) => {
+    setRetryingJobId(job.id);
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/delivery-jobs/${job.id}/retry`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Retry failed');
+      }
+      if (data.status !== 'sent') {
+        alert(`❌ Still failing: ${data.error || 'Unknown error'}`);
+      }
+    } catch (error) {
+      console.error('Error retrying send:', error);
+      alert(`❌ Failed to retry: ${error.message || 'Please try again.'}`);
+    } finally {
+      setRetryingJobId(null);
+      fetchFailedJobs();
+      fetchDeliveries(localArticles.map(a => a.id));
+      fetchSentLists();
+    }
+  };
+
+  const handleOpenSchedule = (article) => {
+    const inOneHour = new Date(Date.now() + 60 * 60 * 1000);
+    setSchedulingId(article.id);
+    setScheduleForm({ sendAt: toLocalInputValue(inOneHour), targets: scheduleTargets.length > 0 ? [scheduleTargets[0].key] : [], note: '' });
+  };
+
+  const toggleScheduleTarget = (key) => {
+    setScheduleForm(prev => ({
+      ...prev,
+      targets: prev.targets.includes(key) ? prev.targets.filter(k => k !== key) : [...prev.targets, key]
+    }));
+  };
+
+  const handleSchedule = async (article) => {
+    const destinationIds = scheduleTargets
+      .filter(target => scheduleForm.targets.includes(target.key))
+      .flatMap(target => target.destinations.map(d => d.id));
+    if (!scheduleForm.sendAt || destinationIds.length === 0) {
+      alert('Pick a time and at least one destination.');
+      return;
+    }
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/articles/${article.id}/schedule`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          destinationIds,
+          sendAt: new Date(scheduleForm.sendAt).toISOString(),
+          note: scheduleForm.note
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Scheduling failed');
+      }
+      if (data.skipped.length > 0) {
+        alert(`Already scheduled for ${data.skipped.length} of these destination(s); reschedule it in the Scheduled list instead.`);
+      }
+      setSchedulingId(null);
+      fetchScheduledSends();
+    } catch (error) {
+      console.error('Error scheduling article:', error);
+      alert(`❌ Failed to schedule: ${error.message || 'Please try again.'}`);
+    }
+  };
+
+  const handleReschedule = async (item) => {
+    const value = rescheduleValues[item.id];
+    if (!value) return;
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/scheduled-sends/${item.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sendAt: new Date(value).toISOString() })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Reschedule failed');
+      }
+      setRescheduleValues(prev => {
+        const next = { ...prev };
+        delete next[item.id];
+        return next;
+      });
+    } catch (error) {
+      console.error('Error rescheduling send:', error);
+      alert(`❌ Failed to reschedule: ${error.message || 'Please try again.'}`);
+    } finally {
+      fetchScheduledSends();
+    }
+  };
+
+  const handleCancelScheduled = async (item) => {
+    if (!window.confirm(`Cancel the scheduled send of "${item.article_title}" to ${item.destination}?`)) {
+      return;
+    }
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/scheduled-sends/${item.id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Cancel failed');
+      }
+    } catch (error) {
+      console.error('Error cancelling scheduled send:', error);
+      alert(`❌ Failed to cancel: ${error.message || 'Please try again.'}`);
+    } finally {
+      fetchScheduledSends();
+    }
+  };
+
+  const handleDismissJob = async (job) => {
+    if (!window.confirm(`Stop trying to send "${job.article_title}" to ${job.destination}?`)) {
+      return;
+    }
+    try {
+      await fetch(`${config.API_BASE_URL}/api/delivery-jobs/${job.id}`, { method: 'DELETE' });
+    } catch (error) {
+      console.error('Error dismissing failed send:', error);
+    } finally {
+      fetchFailedJobs();
+    }
+  };
+
   const handleEditSummary = (article) => {
     setEditingId(article.id);
     setEditForm({
@@ -112,9 +438,9 @@ function DistroScoutEditSend({ articles, onBack, onEditArticle, onRemoveArticle,
     // Determine which articles to send
     const articlesToSend = articleId 
       ? localArticles.filter(a => a.id === articleId)
-      : localArticles;
+      : localArticles.filter(a => !isDelivered(a.id, distroDestination));
     
-    if (articlesToSend.length === 0) {
+    if (articlesToSend.length === 0 || !distroDestination) {
       return;
     }
     
@@ -129,83 +455,77 @@ function DistroScoutEditSend({ articles, onBack, onEditArticle, onRemoveArticle,
     
     setIsGenerating(true);
     try {
-      if (onSendToDistro) {
-        await onSendToDistro(articlesToSend);
-        // Update local articles to reflect that they've been sent to Distro
-        setLocalArticles(prev => prev.map(a => 
-          articlesToSend.some(sent => sent.id === a.id) 
-            ? { 
-                ...a, 
-                status: 'sent',
-                sent_to_distro_at: new Date().toISOString()
-              }
-            : a
-        ));
-        // Update status map
-        articlesToSend.forEach(article => {
-          statusMapRef.current.set(article.id, 'sent');
-        });
-        fetchSentLists(); // Refresh Already sent section
-        // Notify parent of status change
-        if (onArticleStatusChange && articleId) {
-          onArticleStatusChange(articleId, 'sent');
-        }
+      const responses = await deliverArticles(articlesToSend, [distroDestination]);
+      const failed = responses.filter(r => r.successCount === 0);
+      if (failed.length > 0) {
+        alert(`❌ Failed to send ${failed.length} article(s) to Distro: ${failed[0].results[0] ? failed[0].results[0].error : 'Article not found'}. Failed sends are retried automatically; see "Failed sends" below.`);
+      } else {
+        alert(`Successfully sent ${responses.length} article(s) to Distro!`);
       }
+    } catch (error) {
+      console.error('Error sending articles:', error);
+      alert('Failed to send articles. Please try again.');
     } finally {
       setIsGenerating(false);
     }
   };
 
-  const handleSendToTelegram = async (articleId) => {
-    setTelegramSending(prev => ({ ...prev, [articleId]: true }));
+  // Telegram posts also go out as a Distro news flash, as before
+  const handleSendToTelegram = async (article) => {
     try {
-      const response = await fetch(`${config.API_BASE_URL}/api/articles/send-telegram`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ articleId }),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Failed to send to Telegram');
-      }
-
-      const result = await response.json();
-      
-      if (result.success) {
+      const [response] = await deliverArticles([article], [telegramDestination, flashDestination]);
+      const telegramResult = response.results.find(r => r.destination_id === telegramDestination.id);
+      if (telegramResult && telegramResult.status === 'sent') {
         alert('✅ Article sent to Telegram successfully!');
-        // Update status map ref to preserve 'sent' status across prop updates
-        statusMapRef.current.set(articleId, 'sent');
-        // Update local article to reflect that it's been sent to Telegram
-        setLocalArticles(prev => prev.map(a => 
-          a.id === articleId 
-            ? { 
-                ...a, 
-                status: 'sent',
-                sent_to_telegram_at: new Date().toISOString()
-              } 
-            : a
-        ));
-        fetchSentLists(); // Refresh Already sent section
-        // Notify parent component of status change
-        if (onArticleStatusChange) {
-          onArticleStatusChange(articleId, 'sent');
-        }
       } else {
-        // Check for top-level error or nested Telegram error
-        const errorMessage = result.error || result.telegram?.error || 'Unknown error';
-        alert(`❌ Failed to send to Telegram: ${errorMessage}`);
+        alert(`❌ Failed to send to Telegram: ${(telegramResult && telegramResult.error) || 'Unknown error'}`);
       }
     } catch (error) {
       console.error('Error sending to Telegram:', error);
       alert(`❌ Failed to send to Telegram: ${error.message || 'Please try again.'}`);
-    } finally {
-      setTelegramSending(prev => ({ ...prev, [articleId]: false }));
     }
   };
 
+  const handleSendToDestination = async (article, destination) => {
+    try {
+      const [response] = await deliverArticles([article], [destination]);
+      const [result] = response.results;
+      if (result.status !== 'sent') {
+        alert(`❌ Failed to send to ${destination.name}: ${result.error || 'Unknown error'}`);
+      }
+    } catch (error) {
+      console.error(`Error sending to ${destination.name}:`, error);
+      alert(`❌ Failed to send to ${destination.name}: ${error.message || 'Please try again.'}`);
+    }
+  };
+
+  // Bulk send of every article not yet delivered there, as one batch
+  const handleSendAllToDestination = async (destination) => {
+    const articlesToSend = localArticles.filter(a => !isDelivered(a.id, destination));
+    if (articlesToSend.length === 0) {
+      return;
+    }
+    if (!window.confirm(`Are you sure you want to send ${articlesToSend.length} article(s) to ${destination.name}?`)) {
+      return;
+    }
+
+    setIsGenerating(true);
+    try {
+      const responses = await deliverArticles(articlesToSend, [destination]);
+      const failed = responses.filter(r => r.successCount === 0);
+      if (failed.length > 0) {
+        const firstError = failed[0].results[0] ? failed[0].results[0].error : 'Article not found';
+        alert(`❌ Failed to send ${failed.length} article(s) to ${destination.name}: ${firstError}`);
+      } else {
+        alert(`Successfully sent ${responses.length} article(s) to ${destination.name}!`);
+      }
+    } catch (error) {
+      console.error(`Error sending articles to ${destination.name}:`, error);
+      alert('Failed to send articles. Please try again.');
+    } finally {
+      setIsGenerating(false);
+    }
+  };
 
   // Calculate the full Telegram message length (including formatting)
   const calculateTelegramMessageLength = (article) => {
@@ -300,8 +620,39 @@ function DistroScoutEditSend({ articles, onBack, onEditArticle, onRemoveArticle,
                   <h3 className="article-title">{article.title}</h3>
                 )}
                 
-                <div className="article-date">{formatDate(article.pub_date || article.created_at)}</div>
-                
+                <div className="article-date">
+                  {formatDate(article.pub_date || article.created_at)}
+                  {article.updated_at_source && (
+                    <span style={{ marginLeft: '8px', color: '#6c757d' }}>
+                      (updated {formatDate(article.updated_at_source)})
+                    </span>
+                  )}
+                </div>
+                {article.author && article.author !== 'Author Name' && (
+                  <div className="article-author"><strong>Author:</strong> {article.author}</div>
+                )}
+                {article.tags && article.tags.length > 0 && (
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', margin: '4px 0' }}>
+                    {article.tags.map(tag => (
+                      <span
+                        key={tag}
+                        style={{ fontSize: '0.75rem', padding: '2px 8px', borderRadius: '10px', background: '#eef2f7', color: '#495057' }}
+                      >
+                        {tag}
+                      </span>
+                    ))}
+                  </div>
+                )}
+                {article.image_url && (
+                  <img
+                    src={article.image_url}
+                    alt=""
+                    loading="lazy"
+                    style={{ maxWidth: '160px', maxHeight: '90px', objectFit: 'cover', borderRadius: '4px', margin: '4px 0' }}
+                    onError={(e) => { e.target.style.display = 'none'; }}
+                  />
+                )}
+
                 {editingId === article.id ? (
                   <>
                     <textarea
@@ -357,6 +708,88 @@ function DistroScoutEditSend({ articles, onBack, onEditArticle, onRemoveArticle,
                     </a>
                   )
                 )}
+
+                {workflow && (
+                  <div className="workflow-row">
+                    <span className={`workflow-badge workflow-badge-${article.status}`}>{stateLabel(article.status)}</span>
+                    {nextStates(article.status).length > 0 && (
+                      <>
+                        <select
+                          value={(moveForms[article.id] || {}).to || nextStates(article.status)[0]}
+                          onChange={(e) => setMoveForms(prev => ({ ...prev, [article.id]: { ...prev[article.id], to: e.target.value } }))}
+                        >
+                          {nextStates(article.status).map(key => (
+                            <option key={key} value={key}>{stateLabel(key)}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="text"
+                          className="workflow-note"
+                          value={(moveForms[article.id] || {}).note || ''}
+                          onChange={(e) => setMoveForms(prev => ({ ...prev, [article.id]: { ...prev[article.id], note: e.target.value } }))}
+                          placeholder="Note (optional)"
+                        />
+                        <button onClick={() => handleTransition(article)} className="edit-btn">Move</button>
+                      </>
+                    )}
+                    <button
+                      onClick={() => setHistoryOpenId(historyOpenId === article.id ? null : article.id)}
+                      className="workflow-history-toggle"
+                    >
+                      History ({(events[article.id] || []).length})
+                    </button>
+                  </div>
+                )}
+
+                {historyOpenId === article.id && (
+                  <ul className="workflow-history">
+                    {(events[article.id] || []).length === 0 && <li>No moves recorded yet.</li>}
+                    {(events[article.id] || []).map(event => (
+                      <li key={event.id}>
+                        <span className="workflow-history-move">
+                          {event.from_status ? `${stateLabel(event.from_status)} → ` : ''}{stateLabel(event.to_status)}
+                        </span>
+                        {' '}by {event.actor} · {formatDate(event.created_at)}
+                        {event.note && <div className="workflow-history-note">{event.note}</div>}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {schedulingId === article.id && (
+                  <div className="schedule-form">
+                    <label className="schedule-field">
+                      Send at
+                      <input
+                        type="datetime-local"
+                        value={scheduleForm.sendAt}
+                        onChange={(e) => setScheduleForm(prev => ({ ...prev, sendAt: e.target.value }))}
+                      />
+                    </label>
+                    <div className="schedule-targets">
+                      {scheduleTargets.map(target => (
+                        <label key={target.key} className="schedule-target">
+                          <input
+                            type="checkbox"
+                            checked={scheduleForm.targets.includes(target.key)}
+                            onChange={() => toggleScheduleTarget(target.key)}
+                          />
+                          {target.label}
+                        </label>
+                      ))}
+                    </div>
+                    <input
+                      type="text"
+                      className="schedule-note"
+                      value={scheduleForm.note}
+                      onChange={(e) => setScheduleForm(prev => ({ ...prev, note: e.target.value }))}
+                      placeholder="Note (optional, e.g. embargo until 9:00 ET)"
+                    />
+                    <button onClick={() => handleSchedule(article)} className="send-btn">
+                      Schedule Send
+                    </button>
+                  </div>
+                )}
               </div>
 
               <div className="article-actions">
@@ -374,19 +807,20 @@ function DistroScoutEditSend({ articles, onBack, onEditArticle, onRemoveArticle,
                       Edit Summary
                     </button>
                     
-                    {(() => {
+                    {telegramDestination && (() => {
                       const msgInfo = calculateTelegramMessageLength(article);
                       const isOverLimit = msgInfo.isOverLimit;
-                      const hasSentToTelegram = !!article.sent_to_telegram_at;
-                      const isDisabled = telegramSending[article.id] || editingId === article.id || hasSentToTelegram || isOverLimit;
+                      const hasSentToTelegram = isDelivered(article.id, telegramDestination);
+                      const telegramSending = isSending(article.id, telegramDestination);
+                      const isDisabled = telegramSending || editingId === article.id || hasSentToTelegram || isOverLimit;
                       return (
                         <button 
-                          onClick={() => handleSendToTelegram(article.id)}
+                          onClick={() => handleSendToTelegram(article)}
                           className={`telegram-btn ${hasSentToTelegram ? 'already-sent' : ''}`}
                           disabled={isDisabled}
                           title={isOverLimit ? `Message exceeds Telegram limit (${msgInfo.totalLength}/${msgInfo.maxLength} chars). Please shorten the content.` : undefined}
                         >
-                          {telegramSending[article.id] 
+                          {telegramSending 
                             ? 'Sending...' 
                             : hasSentToTelegram 
                               ? 'Already Sent to Telegram' 
@@ -397,14 +831,40 @@ function DistroScoutEditSend({ articles, onBack, onEditArticle, onRemoveArticle,
                       );
                     })()}
                     
-                    <button 
-                      onClick={() => handleSendToDistro(article.id)}
-                      className={`send-btn ${article.sent_to_distro_at ? 'already-sent' : ''}`}
-                      disabled={isGenerating || editingId === article.id || !!article.sent_to_distro_at}
-                      title="Send this article to Distro"
-                    >
-                      {isGenerating ? 'Sending...' : article.sent_to_distro_at ? 'Sent to Distro' : 'To Distro'}
-                    </button>
+                    {distroDestination && (
+                      <button 
+                        onClick={() => handleSendToDistro(article.id)}
+                        className={`send-btn ${isDelivered(article.id, distroDestination) ? 'already-sent' : ''}`}
+                        disabled={isGenerating || editingId === article.id || isDelivered(article.id, distroDestination)}
+                        title="Send this article to Distro"
+                      >
+                        {isSending(article.id, distroDestination) ? 'Sending...' : isDelivered(article.id, distroDestination) ? 'Sent to Distro' : 'To Distro'}
+                      </button>
+                    )}
+
+                    {otherDestinations.map(destination => (
+                      <button
+                        key={destination.id}
+                        onClick={() => handleSendToDestination(article, destination)}
+                        className={`send-btn ${isDelivered(article.id, destination) ? 'already-sent' : ''}`}
+                        disabled={editingId === article.id || isSending(article.id, destination) || isDelivered(article.id, destination)}
+                        title={`Send this article to ${destination.name} (${destination.type_label})`}
+                      >
+                        {isSending(article.id, destination)
+                          ? 'Sending...'
+                          : isDelivered(article.id, destination) ? `Sent to ${destination.name}` : `To ${destination.name}`}
+                      </button>
+                    ))}
+                    
+                    {scheduleTargets.length > 0 && (
+                      <button
+                        onClick={() => (schedulingId === article.id ? setSchedulingId(null) : handleOpenSchedule(article))}
+                        className="edit-btn"
+                        title="Send this article later (embargo, newsletter slot)"
+                      >
+                        {schedulingId === article.id ? 'Close Schedule' : 'Schedule'}
+                      </button>
+                    )}
                     
                     <button 
                       onClick={() => handleRemove(article.id)}
@@ -422,71 +882,133 @@ function DistroScoutEditSend({ articles, onBack, onEditArticle, onRemoveArticle,
       </div>
 
       {/* Bulk Actions */}
-      {localArticles.length > 0 && (
+      {localArticles.length > 0 && (distroDestination || otherDestinations.length > 0) && (
         <div className="bulk-actions">
-          <button 
-            onClick={handleSendToDistro}
-            className="bulk-send-btn"
-            disabled={isGenerating}
-          >
-            {isGenerating ? 'Sending All...' : `Send All to Distro (${localArticles.length})`}
-          </button>
+          {distroDestination && (
+            <button 
+              onClick={() => handleSendToDistro()}
+              className="bulk-send-btn"
+              disabled={isGenerating}
+            >
+              {isGenerating ? 'Sending All...' : `Send All to Distro (${localArticles.length})`}
+            </button>
+          )}
+          {otherDestinations.map(destination => (
+            <button
+              key={destination.id}
+              onClick={() => handleSendAllToDestination(destination)}
+              className="bulk-send-btn"
+              disabled={isGenerating}
+            >
+              {isGenerating ? 'Sending All...' : `Send All to ${destination.name} (${localArticles.length})`}
+            </button>
+          ))}
         </div>
       )}
 
-      {/* Already sent — two categories */}
-      <div className="already-sent-section">
-        <h2 className="section-title">Already sent</h2>
-
-        <div className="already-sent-category">
-          <h3 className="already-sent-category-title">Sent to Distro</h3>
-          {sentToDistro.length === 0 ? (
-            <div className="no-articles">No articles sent to Distro yet.</div>
-          ) : (
-            sentToDistro.map(article => (
-              <div key={`distro-${article.id}`} className="article-card article-card-sent">
-                <div className="article-content">
-                  <div className="article-source">{article.source_name || article.source || 'Unknown source'}</div>
-                  <h3 className="article-title">{article.title}</h3>
-                  <div className="article-date">{formatDate(article.sent_to_distro_at || article.updated_at || article.pub_date)}</div>
-                  <div className="article-summary">
-                    {article.ai_summary || article.publisher_description || article.preview || article.content || 'No summary'}
-                  </div>
-                  {article.link && (
-                    <a href={article.link} target="_blank" rel="noopener noreferrer" className="article-link">
-                      {article.link}
-                    </a>
-                  )}
+      {scheduledSends.length > 0 && (
+        <div className="scheduled-sends-section">
+          <h2 className="section-title">Scheduled ({scheduledSends.length})</h2>
+          {scheduledSends.map(item => (
+            <div key={item.id} className={`scheduled-send scheduled-send-${item.status}`}>
+              <div className="scheduled-send-info">
+                <div className="scheduled-send-title">{item.article_title}</div>
+                <div className="scheduled-send-meta">
+                  {item.destination} · {formatDate(item.send_at)}
+                  {item.status !== 'scheduled' && ` · ${item.status === 'sending' ? 'Sending now' : 'Failed'}`}
                 </div>
+                {item.note && <div className="scheduled-send-note">{item.note}</div>}
+                {item.error && <div className="failed-send-error">{item.error}</div>}
               </div>
-            ))
-          )}
+              {item.status !== 'sending' && (
+                <div className="scheduled-send-actions">
+                  <input
+                    type="datetime-local"
+                    value={rescheduleValues[item.id] || toLocalInputValue(item.send_at)}
+                    onChange={(e) => setRescheduleValues(prev => ({ ...prev, [item.id]: e.target.value }))}
+                  />
+                  <button
+                    onClick={() => handleReschedule(item)}
+                    className="send-btn"
+                    disabled={!rescheduleValues[item.id]}
+                  >
+                    Reschedule
+                  </button>
+                  <button onClick={() => handleCancelScheduled(item)} className="remove-btn">
+                    {item.status === 'failed' ? 'Dismiss' : 'Cancel'}
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
         </div>
+      )}
 
-        <div className="already-sent-category">
-          <h3 className="already-sent-category-title">Sent to Telegram</h3>
-          {sentToTelegram.length === 0 ? (
-            <div className="no-articles">No articles sent to Telegram yet.</div>
-          ) : (
-            sentToTelegram.map(article => (
-              <div key={`telegram-${article.id}`} className="article-card article-card-sent">
-                <div className="article-content">
-                  <div className="article-source">{article.source_name || article.source || 'Unknown source'}</div>
-                  <h3 className="article-title">{article.title}</h3>
-                  <div className="article-date">{formatDate(article.sent_to_telegram_at || article.updated_at || article.pub_date)}</div>
-                  <div className="article-summary">
-                    {article.ai_summary || article.publisher_description || article.preview || article.content || 'No summary'}
-                  </div>
-                  {article.link && (
-                    <a href={article.link} target="_blank" rel="noopener noreferrer" className="article-link">
-                      {article.link}
-                    </a>
-                  )}
+      {failedJobs.length > 0 && (
+        <div className="failed-sends-section">
+          <h2 className="section-title">Failed sends ({failedJobs.length})</h2>
+          {failedJobs.map(job => (
+            <div key={job.id} className={`failed-send failed-send-${job.status}`}>
+              <div className="failed-send-info">
+                <div className="failed-send-title">{job.article_title}</div>
+                <div className="failed-send-meta">
+                  {job.destination} · {job.attempts} attempt{job.attempts === 1 ? '' : 's'} ·{' '}
+                  {job.status === 'dead' ? 'Gave up' : `Next retry ${formatDate(job.next_attempt_at)}`}
                 </div>
+                {job.last_error && <div className="failed-send-error">{job.last_error}</div>}
               </div>
-            ))
-          )}
+              <div className="failed-send-actions">
+                <button
+                  onClick={() => handleRetryJob(job)}
+                  className="send-btn"
+                  disabled={retryingJobId === job.id}
+                >
+                  {retryingJobId === job.id ? 'Retrying...' : 'Retry now'}
+                </button>
+                <button onClick={() => handleDismissJob(job)} className="remove-btn">
+                  Dismiss
+                </button>
+              </div>
+            </div>
+          ))}
         </div>
+      )}
+
+      <DigestBuilder articles={localArticles} destinations={destinations} />
+
+      {/* Already sent — two categories */}
+      <div className="already-sent-section">
+        <h2 className="section-title">Already sent</h2>
+
+        {destinations.map(destination => {
+          const sent = sentLists[destination.id] || [];
+          return (
+            <div key={destination.id} className="already-sent-category">
+              <h3 className="already-sent-category-title">Sent to {destination.name}</h3>
+              {sent.length === 0 ? (
+                <div className="no-articles">No articles sent to {destination.name} yet.</div>
+              ) : (
+                sent.map(article => (
+                  <div key={`${destination.id}-${article.id}`} className="article-card article-card-sent">
+                    <div className="article-content">
+                      <div className="article-source">{article.source_name || article.source || 'Unknown source'}</div>
+                      <h3 className="article-title">{article.title}</h3>
+                      <div className="article-date">{formatDate(article.delivered_at || article.updated_at || article.pub_date)}</div>
+                      <div className="article-summary">
+                        {article.ai_summary || article.publisher_description || article.preview || article.content || 'No summary'}
+                      </div>
+                      {article.link && (
+                        <a href={article.link} target="_blank" rel="noopener noreferrer" className="article-link">
+                          {article.link}
+                        </a>
+                      )}
+                    </div>
+                  </div>
+                ))
+              )}
+            </div>
+          );
+        })}
       </div>
     </div>
   );
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import config from '../config';
+import { subscribeToLiveEvents } from '../liveEvents';
 
 function DistroScoutLanding({ onArticlesSelected, onCheckNow, onStopChecking, isCheckingFeeds }) {
   const [articles, setArticles] = useState([]);
@@ -15,12 +16,56 @@ function DistroScoutLanding({ onArticlesSelected, onCheckNow, onStopChecking, is
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [sortOrder, setSortOrder] = useState('newest'); // 'newest' | 'oldest'
   const [lastChecked, setLastChecked] = useState(null);
+  const [watchlists, setWatchlists] = useState([]);
+  const [selectedWatchlist, setSelectedWatchlist] = useState('all'); // 'all' | 'any' | watchlist id
+  const [checkProgress, setCheckProgress] = useState(null); // live progress of a running check (SSE)
+  const [expandedClusters, setExpandedClusters] = useState([]); // story cluster ids showing their other sources
 
   useEffect(() => {
     fetchArticles();
     fetchCategories();
+    fetchWatchlists();
     fetchLastChecked();
-  }, [timeFilter]); // eslint-disable-line react-hooks/exhaustive-deps
+  }, [timeFilter, selectedWatchlist]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Live updates: new cards, enrichment and check progress arrive over SSE instead of re-fetching
+  useEffect(() => {
+    const matchesWatchlistFilter = (article) => {
+      const matches = article.watchlist_matches || [];
+      if (selectedWatchlist === 'all') return true;
+      if (selectedWatchlist === 'any') return matches.length > 0;
+      return matches.some(match => String(match.id) === String(selectedWatchlist));
+    };
+
+    return subscribeToLiveEvents((type, data) => {
+      if (type === 'article-inserted' && data.article) {
+        const { cluster } = data;
+        setArticles(prev => {
+          // Articles already on screen may have just joined (or got a new lead in) this story cluster
+          const updated = cluster
+            ? prev.map(a => (cluster.articleIds.includes(a.id)
+              ? { ...a, cluster_id: cluster.clusterId, cluster_lead_id: cluster.leadArticleId }
+              : a))
+            : prev;
+          if (!matchesWatchlistFilter(data.article) || updated.some(a => a.id === data.article.id)) return updated;
+          return [data.article, ...updated];
+        });
+      } else if (type === 'article-enriched') {
+        const { id, ...fields } = data;
+        delete fields.at;
+        setArticles(prev => prev.map(a => (a.id === id ? { ...a, ...fields } : a)));
+      } else if (type === 'check-started') {
+        setCheckProgress({ processedSources: 0, totalSources: data.totalSources, newArticles: 0, currentSource: null });
+      } else if (type === 'source-check-started') {
+        setCheckProgress(prev => ({ ...(prev || {}), totalSources: data.totalSources, currentSource: data.name }));
+      } else if (type === 'check-progress') {
+        setCheckProgress(prev => ({ ...(prev || {}), ...data }));
+      } else if (type === 'check-finished') {
+        setCheckProgress(null);
+        fetchLastChecked();
+      }
+    });
+  }, [selectedWatchlist]); // eslint-disable-line react-hooks/exhaustive-deps
 
   useEffect(() => {
     applyFiltersAndSort();
@@ -30,7 +75,8 @@ function DistroScoutLanding({ onArticlesSelected, onCheckNow, onStopChecking, is
     try {
       setLoading(true);
       const endpoint = timeFilter === '2days' ? '/api/articles/recent/2' : '/api/articles/recent/7';
-      const response = await fetch(`${config.API_BASE_URL}${endpoint}`);
+      const query = selectedWatchlist !== 'all' ? `?watchlist=${encodeURIComponent(selectedWatchlist)}` : '';
+      const response = await fetch(`${config.API_BASE_URL}${endpoint}${query}`);
       if (!response.ok) {
         throw new Error('Failed to fetch articles');
       }
@@ -57,6 +103,35 @@ function DistroScoutLanding({ onArticlesSelected, onCheckNow, onStopChecking, is
     }
   };
 
+  const fetchWatchlists = async () => {
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/watchlists`);
+      if (response.ok) {
+        const data = await response.json();
+        setWatchlists(data);
+      }
+    } catch (err) {
+      console.error('Error fetching watchlists:', err);
+    }
+  };
+
+  // Wrap the terms an article's watchlists matched in <mark> tags
+  const highlightMatches = (text, article) => {
+    const terms = [...new Set((article.watchlist_matches || []).flatMap(match => match.terms || []))]
+      .filter(Boolean)
+      .sort((a, b) => b.length - a.length);
+    if (!text || terms.length === 0) return text;
+
+    const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+    const lowerTerms = terms.map(term => term.toLowerCase());
+    return text.split(pattern).map((part, index) => (
+      lowerTerms.includes(part.toLowerCase())
+        ? <mark key={index} className="watchlist-highlight">{part}</mark>
+        : part
+    ));
+  };
+
   const fetchLastChecked = async () => {
     try {
       const response = await fetch(`${config.API_BASE_URL}/api/monitor/last-checked`);
@@ -117,34 +192,61 @@ function DistroScoutLanding({ onArticlesSelected, onCheckNow, onStopChecking, is
       }
     });
 
-    setFilteredArticles(filtered);
+    // Collapse each story cluster into one card for its lead article (or the first member shown),
+    // carrying the other sources that covered the story
+    const clusterCards = new Map();
+    const cards = [];
+    filtered.forEach(article => {
+      if (!article.cluster_id) {
+        cards.push({ ...article, cluster_members: [] });
+        return;
+      }
+      const card = clusterCards.get(article.cluster_id);
+      if (!card) {
+        const newCard = { ...article, cluster_members: [] };
+        clusterCards.set(article.cluster_id, newCard);
+        cards.push(newCard);
+      } else if (article.id === article.cluster_lead_id) {
+        const { cluster_members: members, ...previousLead } = card;
+        Object.assign(card, article, { cluster_members: [previousLead, ...members] });
+      } else {
+        card.cluster_members.push(article);
+      }
+    });
+
+    setFilteredArticles(cards);
   };
 
-  const handleCheckNow = async () => {
+  const toggleCluster = (clusterId) => {
+    setExpandedClusters(prev =>
+      prev.includes(clusterId) ? prev.filter(id => id !== clusterId) : [...prev, clusterId]
+    );
+  };
+
+  // selection narrows the check, e.g. { categories: ['Tech'] }; none checks every source
+  const handleCheckNow = async (selection = null) => {
     setIsRefreshing(true);
     try {
       // Use the prop if provided, otherwise use local implementation
       if (onCheckNow) {
-        await onCheckNow();
+        await onCheckNow(selection);
       } else {
         // Fallback: trigger immediate feed check
         const response = await fetch(`${config.API_BASE_URL}/api/monitor/trigger`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json'
-          }
+          },
+          body: JSON.stringify(selection || {})
         });
         if (!response.ok) {
           throw new Error('Failed to trigger feed check');
         }
       }
-      
-      // Wait a moment for feeds to process, then refresh articles and last checked time
-      setTimeout(async () => {
-        await fetchArticles();
-        await fetchLastChecked();
-        setIsRefreshing(false);
-      }, 2000);
+
+      // New cards were already added live as the check ran
+      await fetchLastChecked();
+      setIsRefreshing(false);
     } catch (error) {
       console.error('Error triggering check now:', error);
       setIsRefreshing(false);
@@ -286,7 +388,7 @@ function DistroScoutLanding({ onArticlesSelected, onCheckNow, onStopChecking, is
               Past 7 Days
             </button>
             <button
-              onClick={handleCheckNow}
+              onClick={() => handleCheckNow()}
               disabled={isRefreshing || isCheckingFeeds}
               className="refresh-btn"
             >
@@ -297,7 +399,14 @@ function DistroScoutLanding({ onArticlesSelected, onCheckNow, onStopChecking, is
             {(isRefreshing || isCheckingFeeds) && onStopChecking && (
               <button onClick={onStopChecking} className="stop-btn">Stop</button>
             )}
-            {lastChecked && !isRefreshing && !isCheckingFeeds && (
+            {checkProgress && (
+              <span className="last-checked-text">
+                Checking {checkProgress.processedSources || 0}/{checkProgress.totalSources || '?'}
+                {checkProgress.currentSource ? ` · ${checkProgress.currentSource}` : ''}
+                {checkProgress.newArticles ? ` · ${checkProgress.newArticles} new` : ''}
+              </span>
+            )}
+            {lastChecked && !checkProgress && !isRefreshing && !isCheckingFeeds && (
               <span className="last-checked-text">Last checked {formatLastChecked(lastChecked)}</span>
             )}
           </div>
@@ -321,6 +430,33 @@ function DistroScoutLanding({ onArticlesSelected, onCheckNow, onStopChecking, is
               ))}
             </select>
           </div>
+          {selectedCategory !== 'all' && (
+            <button
+              onClick={() => handleCheckNow({ categories: [selectedCategory] })}
+              disabled={isRefreshing || isCheckingFeeds}
+              className="check-category-btn"
+              title={`Check only the ${selectedCategory} sources`}
+            >
+              🔍 Check {selectedCategory}
+            </button>
+          )}
+          {watchlists.length > 0 && (
+            <div className="dropdown-group">
+              <label htmlFor="watchlist-filter">Watchlist:</label>
+              <select
+                id="watchlist-filter"
+                value={selectedWatchlist}
+                onChange={(e) => setSelectedWatchlist(e.target.value)}
+                className="filter-dropdown"
+              >
+                <option value="all">All Articles</option>
+                <option value="any">Any Watchlist Match</option>
+                {watchlists.map((watchlist) => (
+                  <option key={watchlist.id} value={String(watchlist.id)}>{watchlist.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
           <div className="dropdown-group">
             <label htmlFor="sort-order">Sort:</label>
             <select
@@ -382,12 +518,21 @@ function DistroScoutLanding({ onArticlesSelected, onCheckNow, onStopChecking, is
                 </div>
                 <h3 className="article-title">
                   <a href={article.more_info_url || article.link} target="_blank" rel="noopener noreferrer" className="article-title-link">
-                    {article.title}
+                    {highlightMatches(article.title, article)}
                   </a>
                 </h3>
                 <div className="article-date">{formatDate(article.pub_date)}</div>
+                {article.watchlist_matches && article.watchlist_matches.length > 0 && (
+                  <div className="watchlist-tags">
+                    {article.watchlist_matches.map(match => (
+                      <span key={match.id} className="watchlist-tag" title={(match.terms || []).join(', ')}>
+                        🎯 {match.name}
+                      </span>
+                    ))}
+                  </div>
+                )}
                 {article.preview && article.preview !== 'No preview available' && article.preview !== '9' && article.preview !== '9...' && (
-                  <div className="article-preview">{article.preview}</div>
+                  <div className="article-preview">{highlightMatches(article.preview, article)}</div>
                 )}
                 {article.author && article.author !== 'Author Name' && (
                   <div className="article-author"><strong>Author:</strong> {article.author}</div>
@@ -397,6 +542,30 @@ function DistroScoutLanding({ onArticlesSelected, onCheckNow, onStopChecking, is
                     {article.more_info_url || article.link}
                   </a>
                 </div>
+                {article.cluster_members.length > 0 && (
+                  <div className="story-cluster">
+                    <button
+                      type="button"
+                      className="story-cluster-toggle"
+                      onClick={() => toggleCluster(article.cluster_id)}
+                    >
+                      {expandedClusters.includes(article.cluster_id) ? '▾' : '▸'} Also covered by {article.cluster_members.length} more {article.cluster_members.length === 1 ? 'source' : 'sources'}
+                    </button>
+                    {expandedClusters.includes(article.cluster_id) && (
+                      <ul className="story-cluster-list">
+                        {article.cluster_members.map(member => (
+                          <li key={member.id}>
+                            <span className="story-cluster-source">{member.source_name || member.source}</span>
+                            <a href={member.more_info_url || member.link} target="_blank" rel="noopener noreferrer">
+                              {member.title}
+                            </a>
+                            <span className="story-cluster-date">{formatDate(member.pub_date)}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
               </div>
             </div>
           ))
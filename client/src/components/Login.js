@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import { login } from '../auth';
+
+// Sign-in screen shown until there is a session
+function Login({ onLogin }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      onLogin(await login(username.trim(), password));
+    } catch (err) {
+      setError(err.message);
+      setPassword('');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login-page">
+      <form onSubmit={handleSubmit} className="login-form">
+        <h1 className="distro-header-title">Distro Scoopstream</h1>
+        <p className="distro-header-subtitle">Sign in to continue</p>
+        <input
+          type="text"
+          className="url-input"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="Username"
+          autoComplete="username"
+          autoFocus
+        />
+        <input
+          type="password"
+          className="url-input"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password"
+          autoComplete="current-password"
+        />
+        {error && <div className="login-error">{error}</div>}
+        <button type="submit" className="select-all-btn" disabled={isSubmitting || !username.trim() || !password}>
+          {isSubmitting ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default Login;
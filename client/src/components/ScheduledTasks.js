@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react';
+import config from '../config';
+
+const POLL_MS = 10000;
+
+// "deletedCount: 4, daysOld: 90" from a task's JSON result (nested values left out)
+const summarizeResult = (result) => {
+  if (!result || typeof result !== 'object') return '';
+  return Object.entries(result)
+    .filter(([, value]) => value !== null && typeof value !== 'object')
+    .map(([key, value]) => `${key}: ${value}`)
+    .join(', ');
+};
+
+const formatDuration = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`);
+
+// Admin page for the worker's periodic tasks: enable, disable, reschedule (cron) and run now
+function ScheduledTasks() {
+  const [tasks, setTasks] = useState([]);
+  const [cronDrafts, setCronDrafts] = useState({}); // task name -> edited cron expression
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchTasks = async () => {
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/scheduled-tasks`);
+      if (response.ok) setTasks(await response.json());
+    } catch (err) {
+      console.error('Error fetching scheduled tasks:', err);
+    }
+  };
+
+  useEffect(() => {
+    fetchTasks();
+  }, []);
+
+  // Follow runs in progress (and ones waiting for the worker) until they finish
+  const busy = tasks.some(task => task.running || task.run_requested_at);
+  useEffect(() => {
+    if (!busy) return undefined;
+    const timer = setInterval(fetchTasks, POLL_MS);
+    return () => clearInterval(timer);
+  }, [busy]);
+
+  // Run a request that returns JSON; shows its error, returns the data or null
+  const request = async (url, options, successMessage) => {
+    setMessage(null);
+    setError(null);
+    try {
+      const response = await fetch(`${config.API_BASE_URL}${url}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json' }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Request failed');
+      }
+      if (successMessage) setMessage(successMessage);
+      return data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const handleUpdate = async (task, changes, successMessage) => {
+    const updated = await request(`/api/scheduled-tasks/${task.name}`, { method: 'PUT', body: JSON.stringify(changes) }, successMessage);
+    if (updated && changes.cron !== undefined) {
+      setCronDrafts(prev => ({ ...prev, [task.name]: undefined }));
+    }
+    fetchTasks();
+  };
+
+  const handleRunNow = async (task) => {
+    await request(`/api/scheduled-tasks/${task.name}/run`, { method: 'POST' }, `${task.label} will start within half a minute`);
+    fetchTasks();
+  };
+
+  const describeLastRun = (task) => {
+    if (task.running) return `Running since ${new Date(task.running_since).toLocaleString()}`;
+    if (!task.last_run_at) return 'Never run';
+    const who = task.last_trigger === 'manual' ? ` (run by ${task.last_run_by || 'hand'})` : '';
+    const outcome = task.last_status === 'failed' ? `Failed: ${task.last_error}` : summarizeResult(task.last_result) || 'Succeeded';
+    return `${new Date(task.last_run_at).toLocaleString()}${who}, ${formatDuration(task.last_duration_ms || 0)}: ${outcome}`;
+  };
+
+  return (
+    <div className="distro-scoopstream-landing settings-page">
+      <div className="distro-scoopstream-header">
+        <h2 className="distro-scoopstream-title">Scheduled tasks</h2>
+        <span className="settings-whoami">Run by the worker process; schedules are cron expressions in server time</span>
+      </div>
+
+      {message && <div className="settings-message">{message}</div>}
+      {error && <div className="login-error">{error}</div>}
+
+      <table className="settings-table">
+        <tbody>
+          {tasks.map(task => {
+            const cronDraft = cronDrafts[task.name] !== undefined ? cronDrafts[task.name] : task.cron;
+            return (
+              <tr key={task.name} className={task.enabled ? '' : 'settings-inactive'}>
+                <td>
+                  <strong>{task.label}</strong>
+                  <div className="settings-hint">{task.description}</div>
+                </td>
+                <td>
+                  <form
+                    className="settings-row"
+                    onSubmit={(e) => {
+                      e.preventDefault();
+                      handleUpdate(task, { cron: cronDraft }, `${task.label} rescheduled`);
+                    }}
+                  >
+                    <input
+                      className="url-input"
+                      value={cronDraft}
+                      onChange={(e) => setCronDrafts(prev => ({ ...prev, [task.name]: e.target.value }))}
+                      placeholder={task.default_cron}
+                      title={`Default: ${task.default_cron}`}
+                    />
+                    <button type="submit" className="add-url-btn" disabled={cronDraft.trim() === task.cron}>Save</button>
+                  </form>
+                  <div className="settings-hint">
+                    {task.enabled && task.next_run_at ? `Next run ${new Date(task.next_run_at).toLocaleString()}` : 'Not scheduled'}
+                  </div>
+                </td>
+                <td>{task.run_requested_at && !task.running ? 'Waiting for the worker…' : describeLastRun(task)}</td>
+                <td className="settings-actions">
+                  <button
+                    onClick={() => handleUpdate(task, { enabled: !task.enabled }, `${task.label} ${task.enabled ? 'disabled' : 'enabled'}`)}
+                    className="add-url-btn"
+                  >
+                    {task.enabled ? 'Disable' : 'Enable'}
+                  </button>
+                  <button onClick={() => handleRunNow(task)} className="add-url-btn" disabled={task.running || !!task.run_requested_at}>
+                    Run now
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default ScheduledTasks;
@@ -0,0 +1,313 @@
+import React, { useState, useEffect } from 'react';
+import config from '../config';
+import { hasRole } from '../auth';
+
+const EMPTY_USER = { username: '', displayName: '', password: '', role: 'editor' };
+
+// Account settings: your password and API keys; admins also manage user accounts and background jobs
+function Settings({ currentUser }) {
+  const isAdmin = hasRole(currentUser, 'admin');
+  const [passwordForm, setPasswordForm] = useState({ currentPassword: '', newPassword: '' });
+  const [apiKeys, setApiKeys] = useState([]);
+  const [keyName, setKeyName] = useState('');
+  const [newKey, setNewKey] = useState(null); // just-created key, shown once
+  const [users, setUsers] = useState([]);
+  const [userForm, setUserForm] = useState(EMPTY_USER);
+  const [stuckJobs, setStuckJobs] = useState([]); // failed (retry pending) or dead worker jobs
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchApiKeys = async () => {
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/auth/api-keys`);
+      if (response.ok) setApiKeys(await response.json());
+    } catch (err) {
+      console.error('Error fetching API keys:', err);
+    }
+  };
+
+  const fetchUsers = async () => {
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/users`);
+      if (response.ok) setUsers(await response.json());
+    } catch (err) {
+      console.error('Error fetching users:', err);
+    }
+  };
+
+  const fetchStuckJobs = async () => {
+    try {
+      const response = await fetch(`${config.API_BASE_URL}/api/jobs?status=failed,dead`);
+      if (response.ok) setStuckJobs(await response.json());
+    } catch (err) {
+      console.error('Error fetching background jobs:', err);
+    }
+  };
+
+  useEffect(() => {
+    fetchApiKeys();
+    if (isAdmin) {
+      fetchUsers();
+      fetchStuckJobs();
+    }
+  }, [isAdmin]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Run a request that returns JSON; shows its error, returns the data or null
+  const request = async (url, options, successMessage) => {
+    setMessage(null);
+    setError(null);
+    try {
+      const response = await fetch(`${config.API_BASE_URL}${url}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json' }
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Request failed');
+      }
+      if (successMessage) setMessage(successMessage);
+      return data;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    if (await request('/api/auth/password', { method: 'PUT', body: JSON.stringify(passwordForm) }, 'Password changed. Other sessions were signed out.')) {
+      setPasswordForm({ currentPassword: '', newPassword: '' });
+    }
+  };
+
+  const handleCreateKey = async (e) => {
+    e.preventDefault();
+    const created = await request('/api/auth/api-keys', { method: 'POST', body: JSON.stringify({ name: keyName.trim() }) });
+    if (created) {
+      setNewKey(created);
+      setKeyName('');
+      fetchApiKeys();
+    }
+  };
+
+  const handleRevokeKey = async (key) => {
+    if (!window.confirm(`Revoke the API key "${key.name}"? Scripts using it will stop working.`)) return;
+    await request(`/api/auth/api-keys/${key.id}`, { method: 'DELETE' }, 'API key revoked');
+    fetchApiKeys();
+  };
+
+  const handleCreateUser = async (e) => {
+    e.preventDefault();
+    if (await request('/api/users', { method: 'POST', body: JSON.stringify(userForm) }, `Added ${userForm.username}`)) {
+      setUserForm(EMPTY_USER);
+      fetchUsers();
+    }
+  };
+
+  const handleUpdateUser = async (user, changes, successMessage) => {
+    await request(`/api/users/${user.id}`, { method: 'PUT', body: JSON.stringify(changes) }, successMessage);
+    fetchUsers();
+  };
+
+  const handleResetPassword = (user) => {
+    const password = window.prompt(`New password for ${user.username} (at least 10 characters):`);
+    if (password) handleUpdateUser(user, { password }, `Password reset for ${user.username}`);
+  };
+
+  const handleRemoveUser = async (user) => {
+    if (!window.confirm(`Remove ${user.username}? Their API keys stop working.`)) return;
+    await request(`/api/users/${user.id}`, { method: 'DELETE' }, `Removed ${user.username}`);
+    fetchUsers();
+  };
+
+  const handleRetryJob = async (job) => {
+    await request(`/api/jobs/${job.id}/retry`, { method: 'POST' }, `Job ${job.id} queued again`);
+    fetchStuckJobs();
+  };
+
+  const handleDiscardJob = async (job) => {
+    if (!window.confirm(`Discard ${job.type} job ${job.id}? It won't be run again.`)) return;
+    await request(`/api/jobs/${job.id}`, { method: 'DELETE' }, `Job ${job.id} discarded`);
+    fetchStuckJobs();
+  };
+
+  return (
+    <div className="distro-scoopstream-landing settings-page">
+      <div className="distro-scoopstream-header">
+        <h2 className="distro-scoopstream-title">Settings</h2>
+        <span className="settings-whoami">
+          Signed in as {currentUser.display_name} ({currentUser.role})
+        </span>
+      </div>
+
+      {message && <div className="settings-message">{message}</div>}
+      {error && <div className="login-error">{error}</div>}
+
+      <section className="settings-section">
+        <h3>Password</h3>
+        <form onSubmit={handleChangePassword} className="settings-row">
+          <input
+            type="password"
+            className="url-input"
+            value={passwordForm.currentPassword}
+            onChange={(e) => setPasswordForm(prev => ({ ...prev, currentPassword: e.target.value }))}
+            placeholder="Current password"
+            autoComplete="current-password"
+          />
+          <input
+            type="password"
+            className="url-input"
+            value={passwordForm.newPassword}
+            onChange={(e) => setPasswordForm(prev => ({ ...prev, newPassword: e.target.value }))}
+            placeholder="New password (10+ characters)"
+            autoComplete="new-password"
+          />
+          <button type="submit" className="add-url-btn" disabled={!passwordForm.currentPassword || !passwordForm.newPassword}>
+            Change password
+          </button>
+        </form>
+      </section>
+
+      <section className="settings-section">
+        <h3>API keys</h3>
+        <p className="settings-hint">
+          For scripts: send the key as <code>X-API-Key</code> or <code>Authorization: Bearer</code>. It acts as you, with your role.
+        </p>
+        <form onSubmit={handleCreateKey} className="settings-row">
+          <input
+            type="text"
+            className="url-input"
+            value={keyName}
+            onChange={(e) => setKeyName(e.target.value)}
+            placeholder="Key name (e.g. nightly cleanup)"
+            maxLength={100}
+          />
+          <button type="submit" className="add-url-btn" disabled={!keyName.trim()}>Create key</button>
+        </form>
+        {newKey && (
+          <div className="settings-new-key">
+            Copy this key now; it won't be shown again: <code>{newKey.key}</code>
+            <button onClick={() => setNewKey(null)} className="add-url-btn">Done</button>
+          </div>
+        )}
+        <table className="settings-table">
+          <tbody>
+            {apiKeys.map(key => (
+              <tr key={key.id}>
+                <td>{key.name}</td>
+                {isAdmin && <td>{key.username}</td>}
+                <td><code>…{key.key_hint}</code></td>
+                <td>{key.last_used_at ? `Last used ${new Date(key.last_used_at).toLocaleString()}` : 'Never used'}</td>
+                <td><button onClick={() => handleRevokeKey(key)} className="add-url-btn">Revoke</button></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      {isAdmin && (
+        <section className="settings-section">
+          <h3>Users</h3>
+          <p className="settings-hint">
+            Viewers can read everything; editors can also review, edit and send; admins also manage users, sources, maintenance and integrations.
+          </p>
+          <form onSubmit={handleCreateUser} className="settings-row">
+            <input
+              type="text"
+              className="url-input"
+              value={userForm.username}
+              onChange={(e) => setUserForm(prev => ({ ...prev, username: e.target.value }))}
+              placeholder="Username"
+            />
+            <input
+              type="text"
+              className="url-input"
+              value={userForm.displayName}
+              onChange={(e) => setUserForm(prev => ({ ...prev, displayName: e.target.value }))}
+              placeholder="Name (shown on posts)"
+            />
+            <input
+              type="password"
+              className="url-input"
+              value={userForm.password}
+              onChange={(e) => setUserForm(prev => ({ ...prev, password: e.target.value }))}
+              placeholder="Password (10+ characters)"
+              autoComplete="new-password"
+            />
+            <select value={userForm.role} onChange={(e) => setUserForm(prev => ({ ...prev, role: e.target.value }))} className="filter-dropdown">
+              <option value="viewer">Viewer</option>
+              <option value="editor">Editor</option>
+              <option value="admin">Admin</option>
+            </select>
+            <button type="submit" className="add-url-btn" disabled={!userForm.username.trim() || !userForm.password}>Add user</button>
+          </form>
+          <table className="settings-table">
+            <tbody>
+              {users.map(user => (
+                <tr key={user.id} className={user.is_active ? '' : 'settings-inactive'}>
+                  <td>{user.username}</td>
+                  <td>{user.display_name}</td>
+                  <td>
+                    <select
+                      value={user.role}
+                      onChange={(e) => handleUpdateUser(user, { role: e.target.value }, `${user.username} is now ${e.target.value}`)}
+                      className="filter-dropdown"
+                    >
+                      <option value="viewer">Viewer</option>
+                      <option value="editor">Editor</option>
+                      <option value="admin">Admin</option>
+                    </select>
+                  </td>
+                  <td>{user.last_login_at ? `Last sign-in ${new Date(user.last_login_at).toLocaleString()}` : 'Never signed in'}</td>
+                  <td className="settings-actions">
+                    <button onClick={() => handleResetPassword(user)} className="add-url-btn">Reset password</button>
+                    <button
+                      onClick={() => handleUpdateUser(user, { isActive: !user.is_active }, `${user.username} ${user.is_active ? 'disabled' : 'enabled'}`)}
+                      className="add-url-btn"
+                    >
+                      {user.is_active ? 'Disable' : 'Enable'}
+                    </button>
+                    {user.id !== currentUser.id && (
+                      <button onClick={() => handleRemoveUser(user)} className="add-url-btn">Remove</button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+
+      {isAdmin && (
+        <section className="settings-section">
+          <h3>Background jobs</h3>
+          <p className="settings-hint">
+            Checks, enrichment, summaries and sends run in the worker process. Failed jobs are retried automatically; dead ones ran out of attempts.
+          </p>
+          {stuckJobs.length === 0 ? (
+            <p className="settings-hint">No failed jobs.</p>
+          ) : (
+            <table className="settings-table">
+              <tbody>
+                {stuckJobs.map(job => (
+                  <tr key={job.id}>
+                    <td>#{job.id} {job.type}</td>
+                    <td>{job.status === 'dead' ? 'Dead' : `Retrying (attempt ${job.attempts}/${job.max_attempts})`}</td>
+                    <td>{job.last_error}</td>
+                    <td>{new Date(job.updated_at).toLocaleString()}</td>
+                    <td className="settings-actions">
+                      <button onClick={() => handleRetryJob(job)} className="add-url-btn">Retry now</button>
+                      <button onClick={() => handleDiscardJob(job)} className="add-url-btn">Discard</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+      )}
+    </div>
+  );
+}
+
+export default Settings;
@@ -1,7 +1,12 @@
 import React, { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
+import { subscribeToLiveEvents } from '../liveEvents';
+import { waitForJob } from '../jobs';
 
-function SourceManager({ onSourceAdded, onSourceRemoved, refreshTrigger }) {
+// Stopping only stops waiting: the scrape job already queued may still add the source
+const STOPPED_SCRAPING_MESSAGE = 'Stopped waiting for the scraping setup. The worker may still finish it, so check the source list before trying again.';
+
+function SourceManager({ onSourceAdded, onSourceRemoved, refreshTrigger, onCheckNow, isCheckingFeeds }) {
   const [sources, setSources] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showAddForm, setShowAddForm] = useState(false);
@@ -23,6 +28,15 @@ function SourceManager({ onSourceAdded, onSourceRemoved, refreshTrigger }) {
   const [showCategorySuggestions, setShowCategorySuggestions] = useState(false);
   const [editingCategory, setEditingCategory] = useState(null);
   const [newCategory, setNewCategory] = useState('');
+  const [editingSchedule, setEditingSchedule] = useState(null);
+  const [scheduleDraft, setScheduleDraft] = useState({ schedule_type: 'interval', interval_minutes: 30, cron: '' });
+  const [opmlText, setOpmlText] = useState(null);
+  const [opmlPreview, setOpmlPreview] = useState(null);
+  const [isImportingOpml, setIsImportingOpml] = useState(false);
+  const [opmlMessage, setOpmlMessage] = useState('');
+  const opmlInputRef = useRef(null);
+  const [liveCheck, setLiveCheck] = useState({}); // sourceId -> 'checking' | { newArticles, success, error } (SSE)
+  const [checkCategory, setCheckCategory] = useState('');
   const abortControllerRef = useRef(null);
 
   useEffect(() => {
@@ -37,6 +51,22 @@ function SourceManager({ onSourceAdded, onSourceRemoved, refreshTrigger }) {
     };
   }, []);
 
+  // Live per-source check status over SSE; refresh the list once the whole run is done
+  useEffect(() => {
+    return subscribeToLiveEvents((type, data) => {
+      if (type === 'check-started') {
+        setLiveCheck({});
+      } else if (type === 'source-check-started') {
+        setLiveCheck(prev => ({ ...prev, [data.sourceId]: 'checking' }));
+      } else if (type === 'source-check-finished') {
+        setLiveCheck(prev => ({ ...prev, [data.sourceId]: { newArticles: data.newArticles, success: data.success, error: data.error } }));
+        setSources(prev => prev.map(s => (s.id === data.sourceId && !data.skipped ? { ...s, last_checked: data.at } : s)));
+      } else if (type === 'check-finished') {
+        fetchSources();
+      }
+    });
+  }, []);
+
   // Watch for refresh trigger from parent
   useEffect(() => {
     if (refreshTrigger) {
@@ -176,6 +206,22 @@ function SourceManager({ onSourceAdded, onSourceRemoved, refreshTrigger }) {
     }
   };
 
+  // Show why scraping could not be set up ({ error, errorDetails })
+  const showScrapingError = (errorData) => {
+    const errorMsg = errorData.error || 'Failed to set up scraping';
+    const errorDetails = errorData.errorDetails || null;
+
+    // Show detailed error message
+    const fullErrorMsg = errorDetails
+      ? `${errorMsg}\n\n${errorDetails}`
+      : errorMsg;
+
+    // Clear the feed check result so we don't show "proceed with scraping" after a failure
+    setFeedCheckResult(null);
+    setValidationError(fullErrorMsg);
+    alert(fullErrorMsg);
+  };
+
   // Step 2: Set up scraping (when user confirms)
   const handleSetupScraping = async () => {
     setIsSettingUpScraping(true);
@@ -183,18 +229,24 @@ function SourceManager({ onSourceAdded, onSourceRemoved, refreshTrigger }) {
 
     // Create AbortController for this request
     abortControllerRef.current = new AbortController();
+    const { signal } = abortControllerRef.current;
 
     try {
       const response = await axios.post('/api/sources/setup-scraping', {
         url: newSource.url.trim(),
         name: newSource.name.trim(),
         category: newSource.category.trim() || ''
-      }, {
-        signal: abortControllerRef.current.signal
-      });
+      }, { signal });
+
+      // Queued as a scrape job: wait for the worker to scrape the page
+      const result = await waitForJob(response.data.jobId, { signal });
+      if (!result.success) {
+        showScrapingError(result);
+        return;
+      }
 
       // Show success message
-      alert(response.data.message || "OK, you're all set!");
+      alert(result.message || "OK, you're all set!");
 
       // Refresh sources list and categories
       await fetchSources();
@@ -212,36 +264,24 @@ function SourceManager({ onSourceAdded, onSourceRemoved, refreshTrigger }) {
     } catch (error) {
       // Don't show error if request was aborted
       if (axios.isCancel(error) || error.name === 'AbortError' || error.code === 'ERR_CANCELED') {
-        setValidationError('Scraping setup was stopped.');
+        setValidationError(STOPPED_SCRAPING_MESSAGE);
         return;
       }
 
-      const errorData = error.response?.data || {};
-      const errorMsg = errorData.error || 'Failed to set up scraping';
-      const errorDetails = errorData.errorDetails || null;
-      
-      // Show detailed error message
-      const fullErrorMsg = errorDetails 
-        ? `${errorMsg}\n\n${errorDetails}`
-        : errorMsg;
-      
-      // Clear the feed check result so we don't show "proceed with scraping" after a failure
-      setFeedCheckResult(null);
-      setValidationError(fullErrorMsg);
-      alert(fullErrorMsg);
+      showScrapingError(error.response?.data || { error: error.message });
     } finally {
       setIsSettingUpScraping(false);
       abortControllerRef.current = null;
     }
   };
 
-  // Stop scraping setup (cancels the request but keeps form open)
+  // Stop waiting for the scraping setup (keeps the form open). The worker may still finish it.
   const handleStopScraping = () => {
     if (abortControllerRef.current) {
       abortControllerRef.current.abort();
     }
     setIsSettingUpScraping(false);
-    setValidationError('Scraping setup was stopped. You can try again or cancel to go back.');
+    setValidationError(STOPPED_SCRAPING_MESSAGE);
   };
 
   // Cancel and reset form completely
@@ -274,8 +314,13 @@ function SourceManager({ onSourceAdded, onSourceRemoved, refreshTrigger }) {
     
     try {
       const response = await axios.post(`/api/sources/${sourceId}/re-scrape`);
-      
-      alert(`Re-scraping complete!\n\nUpdated ${response.data.articles_updated} articles with improved titles/dates.`);
+      // Queued as a scrape job: wait for the worker to finish it
+      const result = await waitForJob(response.data.jobId);
+      if (!result.success) {
+        throw new Error(result.error || 'Re-scrape failed');
+      }
+
+      alert(`Re-scraping complete!\n\nUpdated ${result.articles_updated} articles with improved titles/dates.`);
       
       // Refresh sources list
       await fetchSources();
@@ -342,6 +387,111 @@ function SourceManager({ onSourceAdded, onSourceRemoved, refreshTrigger }) {
     setNewCategory('');
   };
 
+  const handleEditSchedule = (source) => {
+    setEditingSchedule(source.id);
+    setScheduleDraft({
+      schedule_type: source.schedule_type || 'interval',
+      interval_minutes: source.schedule_interval_minutes || 30,
+      cron: source.schedule_cron || ''
+    });
+  };
+
+  const handleSaveSchedule = async (sourceId) => {
+    try {
+      await axios.put(`/api/sources/${sourceId}/schedule`, {
+        schedule_type: scheduleDraft.schedule_type,
+        interval_minutes: parseInt(scheduleDraft.interval_minutes, 10),
+        cron: scheduleDraft.cron.trim()
+      });
+
+      // Refresh so the effective interval and its reason come back from the server
+      await fetchSources();
+      setEditingSchedule(null);
+    } catch (error) {
+      console.error('Error updating schedule:', error);
+      alert('Failed to update schedule: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const formatSchedule = (source) => {
+    const type = source.schedule_type || 'interval';
+    if (type === 'cron') return `Cron: ${source.schedule_cron}`;
+    const minutes = (type === 'adaptive' && source.polling_interval_minutes) || source.schedule_interval_minutes || 30;
+    const every = minutes % 60 === 0 ? `${minutes / 60}h` : `${minutes} min`;
+    return type === 'adaptive' ? `Adaptive: every ${every}` : `Every ${every}`;
+  };
+
+  const handleOpmlFileSelected = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ''; // allow re-selecting the same file
+    if (!file) return;
+
+    setOpmlMessage('');
+    setIsImportingOpml(true);
+    try {
+      const text = await file.text();
+      const response = await axios.post('/api/sources/import-opml?dryRun=true', text, {
+        headers: { 'Content-Type': 'text/x-opml' }
+      });
+      setOpmlText(text);
+      setOpmlPreview(response.data);
+    } catch (error) {
+      console.error('Error previewing OPML:', error);
+      alert('Failed to read OPML: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setIsImportingOpml(false);
+    }
+  };
+
+  const handleConfirmOpmlImport = async () => {
+    setIsImportingOpml(true);
+    try {
+      const response = await axios.post('/api/sources/import-opml', opmlText, {
+        headers: { 'Content-Type': 'text/x-opml' }
+      });
+      setOpmlMessage(response.data.message);
+      setOpmlPreview(null);
+      setOpmlText(null);
+      await fetchSources();
+      await fetchCategories();
+    } catch (error) {
+      console.error('Error importing OPML:', error);
+      alert('Failed to import OPML: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setIsImportingOpml(false);
+    }
+  };
+
+  const handleCancelOpmlImport = () => {
+    setOpmlPreview(null);
+    setOpmlText(null);
+  };
+
+  const handleExportOpml = async () => {
+    try {
+      const response = await axios.get('/api/sources/export.opml', { responseType: 'blob' });
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `scoopstream-sources-${new Date().toISOString().split('T')[0]}.opml`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting OPML:', error);
+      alert('Failed to export sources: ' + error.message);
+    }
+  };
+
+  const opmlActionLabels = {
+    add_rss: { text: 'New feed', color: '#27ae60' },
+    discover: { text: 'New site (feed discovery)', color: '#3498db' },
+    duplicate: { text: 'Duplicate', color: '#f39c12' },
+    duplicate_in_file: { text: 'Duplicate in file', color: '#f39c12' },
+    invalid: { text: 'Invalid URL', color: '#e74c3c' }
+  };
+
   const confirmRemoveSource = (source) => {
     setShowRemoveConfirm(source);
   };
@@ -383,6 +533,14 @@ function SourceManager({ onSourceAdded, onSourceRemoved, refreshTrigger }) {
     }
   };
 
+  const getConditionalGetText = (source) => {
+    const stats = source.scraping_result?.conditionalGet;
+    if (!stats || !stats.requests) return null;
+    const savedKb = Math.round((stats.bytesSaved || 0) / 1024);
+    const saved = savedKb >= 1024 ? `${(savedKb / 1024).toFixed(1)} MB` : `${savedKb} KB`;
+    return `304 hit rate ${Math.round(stats.hitRate * 100)}% · ${saved} saved`;
+  };
+
   const getScrapingHealthColor = (source) => {
     if (source.monitoring_type !== 'SCRAPING') return null;
     
@@ -445,8 +603,133 @@ function SourceManager({ onSourceAdded, onSourceRemoved, refreshTrigger }) {
               + Add Source
           </button>
           )}
+          <div style={{ display: 'flex', gap: '8px', marginTop: '12px' }}>
+            <input
+              ref={opmlInputRef}
+              type="file"
+              accept=".opml,.xml,text/x-opml,text/xml,application/xml"
+              style={{ display: 'none' }}
+              onChange={handleOpmlFileSelected}
+            />
+            <button
+              className="btn btn-secondary"
+              onClick={() => opmlInputRef.current && opmlInputRef.current.click()}
+              disabled={isImportingOpml}
+              style={{ padding: '6px 14px', fontSize: '0.85rem' }}
+            >
+              {isImportingOpml && !opmlPreview ? 'Reading OPML...' : 'Import OPML'}
+            </button>
+            <button
+              className="btn btn-secondary"
+              onClick={handleExportOpml}
+              disabled={sources.length === 0}
+              style={{ padding: '6px 14px', fontSize: '0.85rem' }}
+            >
+              Export OPML
+            </button>
+          </div>
+          {onCheckNow && sources.length > 0 && (
+            <div style={{ display: 'flex', gap: '8px', marginTop: '12px', alignItems: 'center', flexWrap: 'wrap', justifyContent: 'center' }}>
+              <select
+                value={checkCategory}
+                onChange={(e) => setCheckCategory(e.target.value)}
+                className="form-input"
+                style={{ padding: '6px 10px', fontSize: '0.85rem', width: 'auto' }}
+              >
+                <option value="">Choose a category...</option>
+                {categories.map(category => (
+                  <option key={category.id} value={category.name}>{category.name}</option>
+                ))}
+              </select>
+              <button
+                className="btn btn-secondary"
+                onClick={() => onCheckNow({ categories: [checkCategory] })}
+                disabled={!checkCategory || isCheckingFeeds}
+                style={{ padding: '6px 14px', fontSize: '0.85rem' }}
+              >
+                🔍 Check category
+              </button>
+              <button
+                className="btn btn-secondary"
+                onClick={() => onCheckNow({ onlyFailed: true })}
+                disabled={isCheckingFeeds}
+                title="Check again only the sources whose last check failed"
+                style={{ padding: '6px 14px', fontSize: '0.85rem' }}
+              >
+                🔁 Retry failed
+              </button>
+            </div>
+          )}
+          {opmlMessage && (
+            <div style={{ marginTop: '8px', fontSize: '0.9rem', color: '#27ae60' }}>{opmlMessage}</div>
+          )}
         </div>
 
+        {opmlPreview && (
+          <div style={{
+            padding: '20px',
+            background: 'var(--dark-800)',
+            borderRadius: '8px',
+            marginBottom: '24px',
+            border: '1px solid rgba(3, 210, 111, 0.25)'
+          }}>
+            <h3 style={{ marginTop: 0 }}>Import preview{opmlPreview.title ? `: ${opmlPreview.title}` : ''}</h3>
+            <p style={{ margin: '0 0 12px 0', fontSize: '0.9rem', color: 'var(--text-secondary)' }}>
+              {opmlPreview.summary.total} entr{opmlPreview.summary.total === 1 ? 'y' : 'ies'} ·{' '}
+              {(opmlPreview.summary.add_rss || 0) + (opmlPreview.summary.discover || 0)} to add ·{' '}
+              {(opmlPreview.summary.duplicate || 0) + (opmlPreview.summary.duplicate_in_file || 0)} duplicate ·{' '}
+              {opmlPreview.summary.invalid || 0} invalid
+              {opmlPreview.newCategories && opmlPreview.newCategories.length > 0 && (
+                <> · new categories: {opmlPreview.newCategories.join(', ')}</>
+              )}
+            </p>
+            <div style={{ maxHeight: '320px', overflowY: 'auto', marginBottom: '16px' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+                <thead>
+                  <tr style={{ textAlign: 'left', color: 'var(--text-secondary)' }}>
+                    <th style={{ padding: '6px' }}>Name</th>
+                    <th style={{ padding: '6px' }}>URL</th>
+                    <th style={{ padding: '6px' }}>Category</th>
+                    <th style={{ padding: '6px' }}>Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {opmlPreview.entries.map((entry, index) => {
+                    const label = opmlActionLabels[entry.action] || { text: entry.action, color: '#95a5a6' };
+                    return (
+                      <tr key={`${entry.url}-${index}`} style={{ borderTop: '1px solid rgba(255, 255, 255, 0.08)' }}>
+                        <td style={{ padding: '6px' }}>{entry.name}</td>
+                        <td style={{ padding: '6px', wordBreak: 'break-all' }}>{entry.url}</td>
+                        <td style={{ padding: '6px' }}>{entry.category || '—'}</td>
+                        <td style={{ padding: '6px', color: label.color }} title={entry.reason || ''}>{label.text}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <div style={{ display: 'flex', gap: '12px' }}>
+              <button
+                className="btn btn-primary"
+                onClick={handleConfirmOpmlImport}
+                disabled={isImportingOpml || ((opmlPreview.summary.add_rss || 0) + (opmlPreview.summary.discover || 0)) === 0}
+              >
+                {isImportingOpml ? (
+                  <>
+                    <div className="spinner"></div>
+                    Importing...
+                  </>
+                ) : (
+                  `Import ${(opmlPreview.summary.add_rss || 0) + (opmlPreview.summary.discover || 0)} source(s)`
+                )}
+              </button>
+              <button className="btn btn-secondary" onClick={handleCancelOpmlImport} disabled={isImportingOpml}>
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
         {showAddForm && (
           <div style={{ 
             padding: '20px', 
@@ -776,6 +1059,116 @@ function SourceManager({ onSourceAdded, onSourceRemoved, refreshTrigger }) {
                         </span>
                       )}
                       Last checked: {formatDate(source.last_checked)}
+                      {liveCheck[source.id] === 'checking' && (
+                        <span style={{ marginLeft: '8px', color: 'var(--color-green)' }}>⏳ Checking now...</span>
+                      )}
+                      {liveCheck[source.id] && liveCheck[source.id] !== 'checking' && (
+                        <span
+                          style={{ marginLeft: '8px', color: liveCheck[source.id].success ? '#27ae60' : '#e74c3c' }}
+                          title={liveCheck[source.id].error || ''}
+                        >
+                          {liveCheck[source.id].success
+                            ? `✓ ${liveCheck[source.id].newArticles} new`
+                            : '✗ check failed'}
+                        </span>
+                      )}
+                    </div>
+                    <div style={{ fontSize: '0.85rem', color: 'var(--text-muted)', marginBottom: '12px' }}>
+                      {editingSchedule === source.id ? (
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+                          <select
+                            value={scheduleDraft.schedule_type}
+                            onChange={(e) => setScheduleDraft({ ...scheduleDraft, schedule_type: e.target.value })}
+                            style={{
+                              padding: '4px 8px',
+                              border: '1px solid rgba(3, 210, 111, 0.25)',
+                              borderRadius: '4px',
+                              fontSize: '0.85rem',
+                              background: 'var(--dark-800)',
+                              color: 'var(--text-primary)'
+                            }}
+                          >
+                            <option value="interval">Fixed interval</option>
+                            <option value="adaptive">Adaptive</option>
+                            <option value="cron">Cron</option>
+                          </select>
+                          {scheduleDraft.schedule_type === 'cron' ? (
+                            <input
+                              type="text"
+                              value={scheduleDraft.cron}
+                              onChange={(e) => setScheduleDraft({ ...scheduleDraft, cron: e.target.value })}
+                              placeholder="*/15 6-22 * * 1-5"
+                              style={{
+                                padding: '4px 8px',
+                                border: '1px solid rgba(3, 210, 111, 0.25)',
+                                borderRadius: '4px',
+                                fontSize: '0.85rem',
+                                width: '150px',
+                                background: 'var(--dark-800)',
+                                color: 'var(--text-primary)'
+                              }}
+                            />
+                          ) : (
+                            <>
+                              <input
+                                type="number"
+                                min="1"
+                                value={scheduleDraft.interval_minutes}
+                                onChange={(e) => setScheduleDraft({ ...scheduleDraft, interval_minutes: e.target.value })}
+                                style={{
+                                  padding: '4px 8px',
+                                  border: '1px solid rgba(3, 210, 111, 0.25)',
+                                  borderRadius: '4px',
+                                  fontSize: '0.85rem',
+                                  width: '70px',
+                                  background: 'var(--dark-800)',
+                                  color: 'var(--text-primary)'
+                                }}
+                              />
+                              <span>min</span>
+                            </>
+                          )}
+                          <button
+                            onClick={() => handleSaveSchedule(source.id)}
+                            style={{
+                              background: 'var(--color-green)',
+                              color: 'var(--dark-900)',
+                              border: 'none',
+                              padding: '4px 8px',
+                              borderRadius: '4px',
+                              fontSize: '0.8rem',
+                              cursor: 'pointer'
+                            }}
+                          >
+                            ✓
+                          </button>
+                          <button
+                            onClick={() => setEditingSchedule(null)}
+                            style={{
+                              background: 'var(--dark-700)',
+                              color: 'var(--text-primary)',
+                              border: '1px solid rgba(3, 210, 111, 0.25)',
+                              padding: '4px 8px',
+                              borderRadius: '4px',
+                              fontSize: '0.8rem',
+                              cursor: 'pointer'
+                            }}
+                          >
+                            ✕
+                          </button>
+                        </div>
+                      ) : (
+                        <span
+                          style={{ cursor: 'pointer' }}
+                          onClick={() => handleEditSchedule(source)}
+                          title={source.polling_reason ? `${source.polling_reason} — click to edit polling schedule` : 'Click to edit polling schedule'}
+                        >
+                          ⏱️ {formatSchedule(source)}
+                          {source.next_check_at && !source.is_paused && (
+                            <> · Next check: {formatDate(source.next_check_at)}</>
+                          )}
+                        </span>
+                      )}
                     </div>
                     <div style={{ fontSize: '0.9rem', wordBreak: 'break-all', color: 'var(--text-primary)' }}>
                       <a href={source.url} target="_blank" rel="noopener noreferrer" style={{ color: 'var(--color-green)', textDecoration: 'none' }}>
@@ -805,6 +1198,14 @@ function SourceManager({ onSourceAdded, onSourceRemoved, refreshTrigger }) {
                         {getSuccessRateText(source.success_rate)} success
                       </div>
                     )}
+                    {getConditionalGetText(source) && (
+                      <div
+                        style={{ fontSize: '0.75rem', color: 'var(--text-muted)', marginBottom: '8px' }}
+                        title={`${source.scraping_result.conditionalGet.notModified} of ${source.scraping_result.conditionalGet.requests} feed fetches returned 304 Not Modified`}
+                      >
+                        {getConditionalGetText(source)}
+                      </div>
+                    )}
                     <div style={{ 
                       fontSize: '0.9rem', 
                       color: source.is_paused ? '#ffc107' : '#28a745',
@@ -826,6 +1227,25 @@ function SourceManager({ onSourceAdded, onSourceRemoved, refreshTrigger }) {
                       {source.monitoring_type === 'SCRAPING' ? '🌐 Scraping' : '📡 RSS Feed'}
                     </div>
                     <div style={{ display: 'flex', gap: '8px', flexDirection: 'column' }}>
+                      {onCheckNow && !source.is_paused && (
+                        <button
+                          onClick={() => onCheckNow({ sourceIds: [source.id] })}
+                          disabled={isCheckingFeeds}
+                          style={{
+                            background: isCheckingFeeds ? '#6c757d' : 'var(--color-green)',
+                            color: 'var(--dark-900)',
+                            border: 'none',
+                            padding: '6px 12px',
+                            borderRadius: '4px',
+                            fontSize: '0.8rem',
+                            cursor: isCheckingFeeds ? 'not-allowed' : 'pointer',
+                            fontWeight: '500',
+                            opacity: isCheckingFeeds ? 0.6 : 1
+                          }}
+                        >
+                          {liveCheck[source.id] === 'checking' ? '⏳ Checking...' : '🔍 Check now'}
+                        </button>
+                      )}
                       {source.monitoring_type === 'SCRAPING' && (
                         <button
                           onClick={() => handleReScrapeSource(source.id, source.name)}
@@ -0,0 +1,41 @@
+// Background jobs. Endpoints that hand work to the worker process (summaries, sends,
+// enrichment, source scraping) answer 202 with { jobId }; the job's result is what they used
+// to answer with.
+import config from './config';
+
+const POLL_MS = 1500;
+const TIMEOUT_MS = 10 * 60 * 1000;
+
+// Poll GET /api/jobs/:id until the job succeeds (resolves with its result) or gives up (rejects).
+// A failed attempt that will be retried keeps waiting. Aborting signal stops waiting (rejects with
+// an AbortError); the job itself carries on.
+export const waitForJob = async (jobId, { pollMs = POLL_MS, timeoutMs = TIMEOUT_MS, signal } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const response = await fetch(`${config.API_BASE_URL}/api/jobs/${jobId}`, { signal });
+    const job = await response.json();
+    if (!response.ok) {
+      throw new Error(job.error || 'Could not load the job');
+    }
+    if (job.status === 'succeeded') return job.result || {};
+    if (job.status === 'dead' || job.status === 'cancelled') {
+      throw new Error(job.last_error || `The job was ${job.status}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, pollMs));
+  }
+  throw new Error('Timed out waiting for the worker');
+};
+
+// POST body to a job-queueing endpoint and wait for the job's result
+export const queueAndWait = async (path, body) => {
+  const response = await fetch(`${config.API_BASE_URL}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || 'Request failed');
+  }
+  return waitForJob(data.jobId);
+};
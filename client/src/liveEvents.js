@@ -0,0 +1,46 @@
+// Shared Server-Sent Events connection to /api/events.
+// Components subscribe with a handler (type, data); one EventSource is opened for the
+// first subscriber and closed when the last one unsubscribes. The browser reconnects on
+// its own and sends Last-Event-ID, so events missed during a blip are replayed.
+import config from './config';
+
+const EVENT_TYPES = [
+  'check-started',
+  'check-progress',
+  'check-finished',
+  'source-check-started',
+  'source-check-finished',
+  'article-inserted',
+  'article-enriched'
+];
+
+const handlers = new Set();
+let eventSource = null;
+
+const dispatch = (type) => (event) => {
+  let data = {};
+  try {
+    data = JSON.parse(event.data);
+  } catch (err) {
+    console.error(`Invalid ${type} event payload:`, err);
+    return;
+  }
+  handlers.forEach(handler => handler(type, data));
+};
+
+export function subscribeToLiveEvents(handler) {
+  handlers.add(handler);
+
+  if (!eventSource && typeof window !== 'undefined' && window.EventSource) {
+    eventSource = new EventSource(`${config.API_BASE_URL}/api/events`);
+    EVENT_TYPES.forEach(type => eventSource.addEventListener(type, dispatch(type)));
+  }
+
+  return () => {
+    handlers.delete(handler);
+    if (handlers.size === 0 && eventSource) {
+      eventSource.close();
+      eventSource = null;
+    }
+  };
+}
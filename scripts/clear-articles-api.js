@@ -3,11 +3,17 @@ const axios = require('axios');
 
 // Get URL from command line argument or environment variable
 const SERVER_URL = process.argv[2] || process.env.SERVER_URL || process.env.RENDER_EXTERNAL_URL || 'http://localhost:10000';
+// Clearing is admin-only: an API key of an admin user (Settings → API keys)
+const API_KEY = process.env.SCOOPSTREAM_API_KEY;
 
 async function clearArticles() {
+  if (!API_KEY) {
+    console.error('❌ Error: set SCOOPSTREAM_API_KEY to an admin API key');
+    process.exit(1);
+  }
   try {
     console.log(`Clearing all articles from ${SERVER_URL}...`);
-    const response = await axios.delete(`${SERVER_URL}/api/articles/clear`);
+    const response = await axios.delete(`${SERVER_URL}/api/articles/clear`, { headers: { 'X-API-Key': API_KEY } });
     console.log(`✅ Success: ${response.data.message}`);
     console.log(`   Deleted ${response.data.deletedCount} articles`);
   } catch (error) {
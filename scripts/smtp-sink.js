@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+/**
+ * Local SMTP sink for trying the email destination without a real mail server. Accepts any
+ * login, keeps every message and prints its envelope and subject. Recipients at
+ * @bounce.test are refused with a 550, so per-recipient failures can be tried too.
+ *
+ * Usage:
+ *   npm run smtp:sink                       # listens on localhost:2525
+ *   SMTP_HOST=localhost SMTP_PORT=2525 SMTP_SECURITY=none SMTP_FROM=desk@example.com npm run server
+ *   # add an email destination and a recipient list (see README), then send from Edit & Send
+ *
+ * scripts/test-email.js starts the same sink in-process with startSmtpSink().
+ */
+
+const net = require('net');
+
+const REJECT_PATTERN = /@bounce\.test$/i;
+
+// Subject line of a raw message, with RFC 2047 encoded-words decoded
+function messageSubject(data) {
+  const subject = (data.match(/^Subject: (.*)$/m) || [])[1] || '(no subject)';
+  return subject.replace(/=\?UTF-8\?B\?([^?]+)\?=/gi, (m, b64) => Buffer.from(b64, 'base64').toString('utf8'));
+}
+
+/**
+ * Start a sink on 127.0.0.1. Resolves { server, port, messages } where each message is
+ * { from, recipients, data } (data is the raw message with dot-stuffing undone).
+ */
+function startSmtpSink({ port = 0, rejectPattern = REJECT_PATTERN, onMessage = null } = {}) {
+  const messages = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let envelope = { from: null, recipients: [] };
+    let inData = false;
+    let dataLines = [];
+    let authStep = null; // waiting for the username / password lines of AUTH LOGIN
+
+    const reply = line => socket.write(`${line}\r\n`);
+    reply('220 localhost Scoopstream SMTP sink');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            const message = { ...envelope, data: dataLines.join('\r\n') };
+            messages.push(message);
+            if (onMessage) onMessage(message);
+            envelope = { from: null, recipients: [] };
+            dataLines = [];
+            reply(`250 OK queued as ${messages.length}`);
+          } else {
+            dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        if (authStep) {
+          authStep = authStep === 'username' ? 'password' : null;
+          reply(authStep ? '334 UGFzc3dvcmQ6' : '235 Authentication successful');
+          continue;
+        }
+
+        const [verb] = line.split(' ');
+        switch (verb.toUpperCase()) {
+          case 'EHLO':
+            reply('250-localhost');
+            reply('250-AUTH PLAIN LOGIN');
+            reply('250 8BITMIME');
+            break;
+          case 'HELO':
+          case 'NOOP':
+            reply('250 OK');
+            break;
+          case 'AUTH':
+            if (/^AUTH LOGIN/i.test(line)) {
+              authStep = 'username';
+              reply('334 VXNlcm5hbWU6');
+            } else {
+              reply('235 Authentication successful');
+            }
+            break;
+          case 'MAIL':
+            envelope = { from: (line.match(/<([^>]*)>/) || [])[1] || '', recipients: [] };
+            reply('250 OK');
+            break;
+          case 'RCPT': {
+            const address = (line.match(/<([^>]*)>/) || [])[1] || '';
+            if (rejectPattern && rejectPattern.test(address)) {
+              reply(`550 5.1.1 <${address}>: Recipient address rejected`);
+            } else {
+              envelope.recipients.push(address);
+              reply('250 OK');
+            }
+            break;
+          }
+          case 'DATA':
+            if (envelope.recipients.length === 0) {
+              reply('554 No valid recipients');
+            } else {
+              inData = true;
+              reply('354 End data with <CR><LF>.<CR><LF>');
+            }
+            break;
+          case 'RSET':
+            envelope = { from: null, recipients: [] };
+            reply('250 OK');
+            break;
+          case 'QUIT':
+            reply('221 Bye');
+            socket.end();
+            break;
+          default:
+            reply('502 Command not implemented');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, '127.0.0.1', () => resolve({ server, port: server.address().port, messages }));
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2] || process.env.SMTP_SINK_PORT || '2525', 10);
+  startSmtpSink({
+    port,
+    onMessage: message => {
+      console.log(`📨 [SMTP SINK] "${messageSubject(message.data)}" from ${message.from} to ${message.recipients.join(', ')}`);
+    }
+  }).then(() => {
+    console.log(`🚀 [SMTP SINK] Listening on localhost:${port} (recipients @bounce.test are refused)`);
+  });
+}
+
+module.exports = { startSmtpSink };
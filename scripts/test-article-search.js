@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Synthetic tests for archive search query parsing and highlighting (no network, no database).
+ * Run: npm run test:article-search
+ * CI-friendly: exits 1 on failure.
+ */
+
+const assert = require('assert');
+const {
+  parseSearchQuery,
+  normalizeSearchParams,
+  snippetParts,
+  normalizeSavedSearchInput
+} = require('../server/services/articleSearch');
+
+function run() {
+  // Implicit AND, phrases, prefixes, OR and exclusions
+  assert.strictEqual(parseSearchQuery('stablecoin regulation'), 'stablecoin & regulation');
+  assert.strictEqual(parseSearchQuery('"Circle IPO" filing'), '(circle <-> ipo) & filing');
+  assert.strictEqual(parseSearchQuery('stable*'), 'stable:*');
+  assert.strictEqual(parseSearchQuery('etf OR etp'), 'etf | etp');
+  assert.strictEqual(parseSearchQuery('bitcoin -sponsored NOT "press release"'), 'bitcoin & !sponsored & !(press <-> release)');
+  assert.strictEqual(parseSearchQuery('u.s. treasury'), '(u <-> s) & treasury');
+
+  // tsquery syntax typed by the user cannot leak through
+  assert.strictEqual(parseSearchQuery("ether' | (drop):* <->"), 'ether | drop:*');
+  assert.strictEqual(parseSearchQuery('OR AND -'), null);
+  assert.strictEqual(parseSearchQuery('   '), null);
+  assert.strictEqual(parseSearchQuery('"unterminated phrase'), '(unterminated <-> phrase)');
+
+  // Parameter validation
+  let result = normalizeSearchParams({ q: 'circle', source_id: '4', from: '2026-01-01', limit: '500', sort: 'date' });
+  assert.strictEqual(result.error, undefined, result.error);
+  assert.strictEqual(result.params.tsquery, 'circle');
+  assert.strictEqual(result.params.sourceId, 4);
+  assert.strictEqual(result.params.limit, 100, 'limit is capped');
+  assert.strictEqual(result.params.offset, 0);
+  assert.ok(result.params.from instanceof Date);
+  assert.strictEqual(result.params.to, null);
+  result = normalizeSearchParams({ q: 'circle', to: '2026-01-31' });
+  assert.strictEqual(result.params.to.toISOString(), '2026-01-31T23:59:59.999Z', 'date-only "to" covers the whole day');
+  assert.ok(normalizeSearchParams({}).error, 'q required');
+  assert.ok(normalizeSearchParams({ q: '!!!' }).error, 'no searchable words');
+  assert.ok(normalizeSearchParams({ q: 'x', source_id: 'abc' }).error, 'bad source id');
+  assert.ok(normalizeSearchParams({ q: 'x', to: 'yesterday-ish' }).error, 'bad date');
+  assert.ok(normalizeSearchParams({ q: 'x', sort: 'popular' }).error, 'bad sort');
+
+  // Highlight markers become parts
+  assert.deepStrictEqual(snippetParts('Circle [[[files]]] for an [[[IPO]]]'), [
+    { text: 'Circle ', match: false },
+    { text: 'files', match: true },
+    { text: ' for an ', match: false },
+    { text: 'IPO', match: true }
+  ]);
+  assert.deepStrictEqual(snippetParts('no markers'), [{ text: 'no markers', match: false }]);
+  assert.deepStrictEqual(snippetParts(null), []);
+
+  // Saved searches keep only known filter keys
+  result = normalizeSavedSearchInput({ name: ' Circle IPO ', query: '"circle ipo"', filters: { status: 'sent', bogus: 'x', category: '' } });
+  assert.deepStrictEqual(result.savedSearch, { name: 'Circle IPO', query: '"circle ipo"', filters: { status: 'sent' } });
+  assert.ok(normalizeSavedSearchInput({ query: 'x' }).error, 'name required');
+  assert.ok(normalizeSavedSearchInput({ name: 'Empty', query: '' }).error, 'query required');
+
+  console.log('✅ test-article-search: all checks passed');
+}
+
+try {
+  run();
+  process.exit(0);
+} catch (e) {
+  console.error('❌ test-article-search failed:', e.message);
+  if (e.actual !== undefined) console.error('  actual:', e.actual);
+  if (e.expected !== undefined) console.error('  expected:', e.expected);
+  process.exit(1);
+}
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Synthetic tests for user accounts: password hashing, credentials from cookies and API keys,
+ * the /api role gate, sign-in lockout and the last-admin guard (no network, no database;
+ * database calls are stubbed).
+ * Run: npm run test:auth
+ * CI-friendly: exits 1 on failure.
+ */
+
+const assert = require('assert');
+const database = require('../server/database-postgres');
+const auth = require('../server/services/auth');
+
+const { hasRole, hashPassword, verifyPassword, hashToken, credentialsFrom, normalizeUserInput } = auth;
+
+function fakeRequest({ method = 'GET', path = '/', headers = {} } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { method, path, secure: false, get: name => lower[name.toLowerCase()] };
+}
+
+// Run a middleware; resolves to { next: true } or { status, body }
+function runMiddleware(middleware, req) {
+  return new Promise(resolve => {
+    const res = {
+      status(code) { this.code = code; return this; },
+      json(body) { resolve({ status: this.code, body }); }
+    };
+    Promise.resolve(middleware(req, res, () => resolve({ next: true }))).catch(resolve);
+  });
+}
+
+async function run() {
+  // Passwords: salted scrypt, verified in constant time
+  const stored = await hashPassword('correct horse battery');
+  assert.ok(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/.test(stored), stored);
+  assert.notStrictEqual(stored, await hashPassword('correct horse battery'), 'salted');
+  assert.strictEqual(await verifyPassword('correct horse battery', stored), true);
+  assert.strictEqual(await verifyPassword('wrong horse battery', stored), false);
+  assert.strictEqual(await verifyPassword('anything', 'plain-text'), false);
+
+  // Roles are ordered viewer < editor < admin
+  assert.ok(hasRole({ role: 'admin' }, 'editor'));
+  assert.ok(hasRole({ role: 'editor' }, 'viewer'));
+  assert.ok(!hasRole({ role: 'viewer' }, 'editor'));
+  assert.ok(!hasRole(null, 'viewer'));
+
+  // User input
+  assert.deepStrictEqual(normalizeUserInput({ username: ' Ana.K ', password: 'long enough pw' }).user,
+    { username: 'ana.k', displayName: 'ana.k', password: 'long enough pw', role: 'viewer' });
+  assert.ok(normalizeUserInput({ username: 'ana', password: 'short' }).error, 'password length');
+  assert.ok(normalizeUserInput({ username: 'a b', password: 'long enough pw' }).error, 'username characters');
+  assert.ok(normalizeUserInput({ username: 'ana', password: 'long enough pw', role: 'owner' }).error, 'unknown role');
+  assert.deepStrictEqual(normalizeUserInput({ role: 'editor', isActive: false }, { partial: true }).user, { role: 'editor', isActive: false });
+  assert.ok(normalizeUserInput({ displayName: ' ' }, { partial: true }).error, 'display name cannot be blanked');
+
+  // Credentials: API keys by header or bearer, sessions by bearer or cookie
+  assert.deepStrictEqual(credentialsFrom(fakeRequest({ headers: { 'X-API-Key': 'ssk_abc' } })), { kind: 'api_key', token: 'ssk_abc' });
+  assert.deepStrictEqual(credentialsFrom(fakeRequest({ headers: { Authorization: 'Bearer ssk_abc' } })), { kind: 'api_key', token: 'ssk_abc' });
+  assert.deepStrictEqual(credentialsFrom(fakeRequest({ headers: { Authorization: 'Bearer f00d' } })), { kind: 'session', token: 'f00d' });
+  assert.deepStrictEqual(credentialsFrom(fakeRequest({ headers: { Cookie: 'theme=dark; scoopstream_session=beef' } })), { kind: 'session', token: 'beef' });
+  assert.strictEqual(credentialsFrom(fakeRequest({ headers: { Cookie: 'theme=dark' } })), null);
+
+  // The /api gate: public paths, 401 without a user, viewers read-only, admin-only routes
+  const users = {
+    [hashToken('viewer-session')]: { id: 1, username: 'vic', display_name: 'Vic', role: 'viewer' },
+    [hashToken('ssk_editor')]: { id: 2, username: 'eve', display_name: 'Eve', role: 'editor' }
+  };
+  database.getUserBySession = async tokenHash => users[tokenHash];
+  database.getUserByApiKey = async keyHash => users[keyHash];
+  const gate = auth.middleware();
+  const viewerCookie = { Cookie: 'scoopstream_session=viewer-session' };
+
+  assert.deepStrictEqual(await runMiddleware(gate, fakeRequest({ path: '/health' })), { next: true });
+  assert.deepStrictEqual(await runMiddleware(gate, fakeRequest({ method: 'POST', path: '/auth/login' })), { next: true });
+  assert.deepStrictEqual(await runMiddleware(gate, fakeRequest({ method: 'POST', path: '/websub/callback/4' })), { next: true });
+  assert.strictEqual((await runMiddleware(gate, fakeRequest({ path: '/articles/new' }))).status, 401);
+  assert.strictEqual((await runMiddleware(gate, fakeRequest({ path: '/articles/new', headers: { Cookie: 'scoopstream_session=expired' } }))).status, 401);
+
+  const viewerRead = fakeRequest({ path: '/articles/new', headers: viewerCookie });
+  assert.deepStrictEqual(await runMiddleware(gate, viewerRead), { next: true });
+  assert.deepStrictEqual(viewerRead.user, { id: 1, username: 'vic', display_name: 'Vic', role: 'viewer', via: 'session' });
+  assert.strictEqual((await runMiddleware(gate, fakeRequest({ method: 'POST', path: '/articles/7/deliver', headers: viewerCookie }))).status, 403);
+  assert.deepStrictEqual(await runMiddleware(gate, fakeRequest({ method: 'POST', path: '/auth/api-keys', headers: viewerCookie })), { next: true }, 'own account is self-service');
+
+  const editorSend = fakeRequest({ method: 'POST', path: '/articles/7/deliver', headers: { 'X-API-Key': 'ssk_editor' } });
+  assert.deepStrictEqual(await runMiddleware(gate, editorSend), { next: true });
+  assert.strictEqual(editorSend.user.via, 'api_key');
+  const adminOnly = auth.requireRole('admin');
+  assert.strictEqual((await runMiddleware(adminOnly, editorSend)).status, 403);
+  assert.deepStrictEqual(await runMiddleware(adminOnly, { user: { role: 'admin' } }), { next: true });
+
+  // Sign-in: same answer for unknown users and wrong passwords, lockout after repeated failures
+  const sessions = [];
+  database.getUserForLogin = async username => (username === 'ana'
+    ? { id: 5, username: 'ana', display_name: 'Ana', role: 'editor', is_active: true, password_hash: stored }
+    : undefined);
+  database.createUserSession = async (userId, tokenHash, expiresAt) => { sessions.push({ userId, tokenHash, expiresAt }); };
+
+  const now = new Date('2026-03-02T08:00:00Z');
+  assert.strictEqual((await auth.login('nobody', 'x', '10.0.0.1', now)).error, 'Wrong username or password');
+  const signedIn = await auth.login(' ANA ', 'correct horse battery', '10.0.0.1', now);
+  assert.strictEqual(signedIn.user.id, 5);
+  assert.ok(/^[0-9a-f]{64}$/.test(signedIn.token));
+  assert.strictEqual(sessions[0].tokenHash, hashToken(signedIn.token), 'only the hash is stored');
+  assert.strictEqual(sessions[0].expiresAt.toISOString(), '2026-03-16T08:00:00.000Z');
+
+  for (let i = 0; i < 10; i++) {
+    assert.strictEqual((await auth.login('ana', 'wrong', '10.0.0.1', now)).error, 'Wrong username or password');
+  }
+  assert.strictEqual((await auth.login('ana', 'correct horse battery', '10.0.0.1', now)).locked, true);
+  assert.strictEqual((await auth.login('ana', 'correct horse battery', '10.0.0.2', now)).user.id, 5, 'locked per username and IP');
+  const later = new Date(now.getTime() + 16 * 60 * 1000);
+  assert.strictEqual((await auth.login('ana', 'correct horse battery', '10.0.0.1', later)).user.id, 5, 'unlocked after 15 minutes');
+
+  // Failure records are pruned: stale ones expire, and the map never grows past its cap
+  await auth.login('ana', 'wrong', '10.0.0.3', now);
+  assert.ok(auth.failedLogins.has('ana|10.0.0.3'));
+  await auth.login('nobody', 'x', '10.0.0.4', later);
+  assert.ok(!auth.failedLogins.has('ana|10.0.0.3'), 'failures older than the lock window are forgotten');
+  for (let i = 0; i < 10005; i++) {
+    await auth.login(`guess${i}`, 'x', '10.0.0.5', later);
+  }
+  assert.strictEqual(auth.failedLogins.size, 10000);
+  assert.ok(!auth.failedLogins.has('guess0|10.0.0.5') && auth.failedLogins.has('guess10004|10.0.0.5'), 'oldest dropped first');
+
+  // Cookies: HttpOnly session cookie, cleared with Max-Age=0
+  assert.strictEqual(auth.sessionCookie({ secure: true }, 'abc', new Date('2026-03-16T08:00:00Z')),
+    'scoopstream_session=abc; Path=/; HttpOnly; SameSite=Lax; Secure; Expires=Mon, 16 Mar 2026 08:00:00 GMT');
+  assert.strictEqual(auth.sessionCookie({ secure: false }, null), 'scoopstream_session=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0');
+
+  // The last active admin can't be demoted or disabled; a new password signs the user out
+  const signedOut = [];
+  database.getUserById = async id => ({ id, role: 'admin', is_active: true });
+  database.countOtherActiveAdmins = async () => 0;
+  database.updateUser = async (id, fields) => ({ id, ...fields });
+  database.deleteUserSessions = async id => { signedOut.push(id); };
+  assert.ok(/last active admin/.test((await auth.updateUser(1, { role: 'editor' })).error));
+  assert.ok(/last active admin/.test((await auth.updateUser(1, { isActive: false })).error));
+  assert.strictEqual((await auth.updateUser(1, { displayName: 'Boss' })).user.displayName, 'Boss');
+  database.countOtherActiveAdmins = async () => 1;
+  const updated = await auth.updateUser(1, { role: 'editor', password: 'a new long password' });
+  assert.ok(await verifyPassword('a new long password', updated.user.passwordHash));
+  assert.deepStrictEqual(signedOut, [1]);
+
+  // API keys: prefixed, shown once, stored hashed
+  let savedKey = null;
+  database.createApiKey = async entry => { savedKey = entry; return { id: 3, user_id: entry.userId, name: entry.name, key_hint: entry.keyHint }; };
+  const key = await auth.createApiKey({ userId: 2, name: 'Nightly cleanup' });
+  assert.ok(/^ssk_[0-9a-f]{48}$/.test(key.key));
+  assert.strictEqual(savedKey.keyHash, hashToken(key.key));
+  assert.strictEqual(key.key_hint, key.key.slice(-4));
+
+  console.log('✅ test-auth: all checks passed');
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch(e => {
+    console.error('❌ test-auth failed:', e.message);
+    if (e.actual !== undefined) console.error('  actual:', e.actual);
+    if (e.expected !== undefined) console.error('  expected:', e.expected);
+    process.exit(1);
+  });
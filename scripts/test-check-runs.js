@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+/**
+ * Synthetic tests for check run history: list filters, a Check Now queued as a scrape job and
+ * recorded source by source when the worker runs it, targeted checks (source ids, categories,
+ * types, only failed, priority), scheduled checks, retried jobs and skipped / cancelled /
+ * failed / interrupted runs (no network, no database; database calls and the per-source feed
+ * check are stubbed).
+ * Run: npm run test:check-runs
+ * CI-friendly: exits 1 on failure.
+ */
+
+const assert = require('assert');
+const config = require('../server/config');
+const database = require('../server/database-postgres');
+const eventStream = require('../server/services/eventStream');
+const webhooks = require('../server/services/webhooks');
+const feedMonitor = require('../server/services/feedMonitor');
+const checkRuns = require('../server/services/checkRuns');
+const sourceScheduler = require('../server/services/sourceScheduler');
+
+const { parseRunFilters, outcomeOf, normalizeCheckSelection, selectSources } = checkRuns;
+
+const SOURCES = [
+  { id: 1, name: 'Wire', url: 'https://wire.example.com/rss', monitoring_type: 'RSS', category: 'Markets', last_checked: '2026-03-02T08:00:00Z' },
+  { id: 2, name: 'Broken', url: 'https://broken.example.com/rss', monitoring_type: 'RSS', category: 'Tech', last_checked: null },
+  { id: 3, name: 'Hyper Cycle', url: 'https://hypercycle.ai/news', monitoring_type: 'SCRAPING', category: 'tech', last_checked: '2026-03-01T08:00:00Z' },
+  { id: 4, name: 'Paused', url: 'https://paused.example.com/rss', monitoring_type: 'RSS', category: 'Tech', is_paused: true }
+];
+
+// Fake check_runs and jobs storage; work() does what the worker does with the next queued job
+function stubRunStorage() {
+  const store = { runs: new Map(), sources: [], jobs: [], nextId: 1 };
+  database.createCheckRun = async ({ trigger, requestedBy, selection }) => {
+    const run = { id: store.nextId++, trigger, requested_by: requestedBy, selection, status: 'queued' };
+    store.runs.set(run.id, run);
+    return { ...run };
+  };
+  database.startCheckRun = async (id, totalSources) => Object.assign(store.runs.get(id), { status: 'running', total_sources: totalSources });
+  database.addCheckRunSource = async (runId, entry) => { store.sources.push({ runId, ...entry }); };
+  database.finishCheckRun = async (id, { status, error }) => Object.assign(store.runs.get(id), { status, error });
+  database.deleteCheckRunsOlderThan = async () => 0;
+  database.getCheckRunById = async id => (store.runs.has(id) ? { ...store.runs.get(id) } : undefined);
+  database.requestCheckRunCancel = async id => Object.assign(store.runs.get(id), { cancel_requested_at: new Date() });
+  database.isCheckRunCancelRequested = async id => !!store.runs.get(id).cancel_requested_at;
+
+  const active = job => ['queued', 'in_flight', 'failed'].includes(job.status);
+  database.createJob = async ({ type, payload, dedupeKey, requestedBy }) => {
+    if (store.jobs.some(job => job.dedupe_key === dedupeKey && active(job))) return null;
+    const job = { id: store.jobs.length + 1, type, payload, dedupe_key: dedupeKey, requested_by: requestedBy, status: 'queued', attempts: 0 };
+    store.jobs.push(job);
+    return { ...job };
+  };
+  database.getActiveJobByDedupeKey = async key => store.jobs.find(job => job.dedupe_key === key && active(job)) || null;
+  database.getJobById = async id => store.jobs.find(job => job.id === id);
+  database.cancelJob = async id => {
+    const job = store.jobs.find(j => j.id === id);
+    if (job.status !== 'queued') return null;
+    job.status = 'cancelled';
+    return { ...job };
+  };
+  database.updateJobPayload = async (id, payload) => { store.jobs.find(job => job.id === id).payload = payload; };
+  database.notify = async () => {};
+
+  store.work = async () => {
+    const job = store.jobs.find(j => j.status === 'queued' || j.status === 'failed');
+    job.status = 'in_flight';
+    job.attempts++;
+    try {
+      job.result = await feedMonitor.runCheckJob(job.payload, { job });
+      job.status = 'succeeded';
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+    }
+    return job;
+  };
+  store.run = id => store.runs.get(id);
+  return store;
+}
+
+async function run() {
+  // List filters
+  assert.deepStrictEqual(parseRunFilters({}).filters, { status: null, trigger: null, limit: 50 });
+  assert.deepStrictEqual(parseRunFilters({ status: 'failed', trigger: 'manual', limit: '500' }).filters,
+    { status: 'failed', trigger: 'manual', limit: 200 });
+  assert.ok(parseRunFilters({ status: 'done' }).error, 'unknown status');
+  assert.ok(parseRunFilters({ trigger: 'cron' }).error, 'unknown trigger');
+  assert.ok(parseRunFilters({ limit: '0' }).error, 'limit must be positive');
+
+  assert.strictEqual(outcomeOf({ success: true }), 'success');
+  assert.strictEqual(outcomeOf({ success: false, error: 'x' }), 'failed');
+  assert.strictEqual(outcomeOf({ success: false, skipped: true }), 'skipped');
+
+  // Targeted check bodies
+  assert.deepStrictEqual(normalizeCheckSelection({}).selection, null, 'no body checks everything');
+  assert.deepStrictEqual(normalizeCheckSelection({ priority: 'name', onlyFailed: false }).selection, null);
+  assert.deepStrictEqual(normalizeCheckSelection({
+    sourceIds: ['3', 3, 1],
+    categories: [' Tech '],
+    monitoringTypes: ['rss'],
+    onlyFailed: true,
+    priority: 'failed-first'
+  }).selection, { sourceIds: [3, 1], categories: ['Tech'], monitoringTypes: ['RSS'], onlyFailed: true, priority: 'failed-first' });
+  assert.ok(normalizeCheckSelection({ sourceIds: 'all' }).error, 'sourceIds must be an array');
+  assert.ok(normalizeCheckSelection({ sourceIds: ['x'] }).error, 'sourceIds must be numbers');
+  assert.ok(normalizeCheckSelection({ categories: [] }).error, 'empty categories');
+  assert.ok(normalizeCheckSelection({ monitoringTypes: ['FTP'] }).error, 'unknown monitoring type');
+  assert.ok(normalizeCheckSelection({ onlyFailed: 'yes' }).error, 'onlyFailed is boolean');
+  assert.ok(normalizeCheckSelection({ priority: 'random' }).error, 'unknown priority');
+
+  // Picking and ordering sources (paused ones never run)
+  const names = list => list.map(s => s.name);
+  const lastOutcomes = { 1: 'success', 2: 'failed', 3: 'failed' };
+  assert.deepStrictEqual(names(selectSources(SOURCES, { categories: ['TECH'] })), ['Broken', 'Hyper Cycle'], 'categories ignore case');
+  assert.deepStrictEqual(names(selectSources(SOURCES, { sourceIds: [4, 1] })), ['Wire']);
+  assert.deepStrictEqual(names(selectSources(SOURCES, { monitoringTypes: ['SCRAPING'] })), ['Hyper Cycle']);
+  assert.deepStrictEqual(names(selectSources(SOURCES, { onlyFailed: true }, lastOutcomes)), ['Broken', 'Hyper Cycle']);
+  assert.deepStrictEqual(names(selectSources(SOURCES, { priority: 'failed-first' }, { 3: 'failed' })), ['Hyper Cycle', 'Wire', 'Broken']);
+  assert.deepStrictEqual(names(selectSources(SOURCES, { priority: 'least-recently-checked' })), ['Broken', 'Hyper Cycle', 'Wire'], 'never checked first');
+
+  const events = [];
+  eventStream.publish = (type, data) => { events.push({ type, data }); };
+  webhooks.emit = () => {};
+  feedMonitor.enrichNewArticlesDates = async () => 0;
+  database.updateSourceLastChecked = async () => {};
+  feedMonitor.checkFeedLimited = async source => {
+    if (source.id === 2) throw new Error('Feed returned HTTP 500');
+    return [{ title: 'Fresh story', link: 'https://wire.example.com/fresh' }];
+  };
+
+  // Check Now answers with a queued run right away and queues a scrape job for the worker
+  let store = stubRunStorage();
+  database.getAllSources = async () => SOURCES;
+  const started = await feedMonitor.startManualCheck({ requestedBy: 'Ana' });
+  assert.strictEqual(started.run.status, 'queued');
+  assert.strictEqual(started.run.trigger, 'manual');
+  assert.strictEqual(started.run.requested_by, 'Ana');
+  assert.deepStrictEqual(store.jobs.map(j => [j.type, j.dedupe_key, j.payload]), [
+    ['scrape', feedMonitor.CHECK_JOB_KEY, { runId: started.run.id, trigger: 'manual', sourceIds: null }]
+  ]);
+  assert.deepStrictEqual(await feedMonitor.startManualCheck(), { alreadyRunning: true, runId: started.run.id }, 'one check at a time');
+  assert.strictEqual(store.runs.size, 1);
+
+  // The worker runs it and records every active source
+  const job = await store.work();
+  assert.strictEqual(job.status, 'succeeded');
+  assert.deepStrictEqual(job.result, { runId: started.run.id, status: 'completed', processedSources: undefined, newArticles: undefined });
+  const finished = store.run(started.run.id);
+  assert.strictEqual(finished.status, 'completed');
+  assert.strictEqual(finished.total_sources, 3, 'paused sources are left out');
+  // Feeds and browser sources run in parallel lanes, so rows arrive in completion order
+  const bySourceName = (a, b) => a[0].localeCompare(b[0]);
+  assert.deepStrictEqual(store.sources.map(s => [s.sourceName, s.outcome, s.newArticles, s.error]).sort(bySourceName), [
+    ['Broken', 'failed', 0, 'Feed returned HTTP 500'],
+    ['Hyper Cycle', 'skipped', 0, 'Skipped - known problematic source'],
+    ['Wire', 'success', 1, null]
+  ]);
+  assert.ok(store.sources.every(s => s.runId === started.run.id && s.durationMs >= 0 && s.memoryMB > 0));
+  assert.strictEqual(feedMonitor.currentCheckOperation, null);
+  const finishedEvent = events.find(e => e.type === 'check-finished');
+  assert.strictEqual(finishedEvent.data.runId, started.run.id);
+  assert.strictEqual(finishedEvent.data.newArticles, 1);
+  assert.ok((await feedMonitor.startManualCheck()).run, 'the next check can be queued');
+
+  // Scheduled checks get a run of their own
+  store = stubRunStorage();
+  await feedMonitor.checkAllFeeds(false, { sources: [SOURCES[0]] });
+  assert.deepStrictEqual([...store.runs.values()].map(r => [r.trigger, r.status]), [['scheduled', 'completed']]);
+
+  // Scheduler ticks queue the due sources; the job checks them in that order (even if
+  // monitoring was stopped since) and re-tunes the adaptive ones afterwards
+  store = stubRunStorage();
+  const adaptive = { ...SOURCES[0], schedule_type: 'adaptive' };
+  database.getAllSources = async () => [adaptive, SOURCES[1]];
+  const scheduled = await feedMonitor.queueCheck({ trigger: 'scheduled', sources: [SOURCES[1], adaptive] });
+  assert.deepStrictEqual(store.jobs[0].payload.sourceIds, [2, 1]);
+  const retuned = [];
+  const updateAdaptiveIntervals = sourceScheduler.updateAdaptiveIntervals;
+  sourceScheduler.updateAdaptiveIntervals = async (sources, startedAt) => { retuned.push([sources.map(s => s.id), startedAt instanceof Date]); };
+  await store.work();
+  sourceScheduler.updateAdaptiveIntervals = updateAdaptiveIntervals;
+  assert.strictEqual(store.run(scheduled.run.id).status, 'completed');
+  assert.deepStrictEqual(store.sources.map(s => s.sourceName).sort(), ['Broken', 'Wire']);
+  assert.deepStrictEqual(retuned, [[[1], true]]);
+
+  // Nothing to check: the run is closed as skipped and the client hears about it
+  store = stubRunStorage();
+  events.length = 0;
+  database.getAllSources = async () => [SOURCES[3]];
+  const empty = await feedMonitor.startManualCheck();
+  await store.work();
+  const skipped = store.run(empty.run.id);
+  assert.strictEqual(skipped.status, 'skipped');
+  assert.strictEqual(skipped.error, 'No active sources to check');
+  assert.deepStrictEqual(events.map(e => e.type), ['check-finished']);
+  assert.strictEqual(events[0].data.runId, empty.run.id);
+
+  // Stop pressed during the first feed: nothing new starts and the run ends as cancelled
+  store = stubRunStorage();
+  database.getAllSources = async () => SOURCES.filter(s => s.monitoring_type === 'RSS');
+  const originalCheck = feedMonitor.checkFeedLimited;
+  const rssConcurrency = config.checks.rssConcurrency;
+  config.checks.rssConcurrency = 1;
+  feedMonitor.checkFeedLimited = async source => {
+    assert.strictEqual((await feedMonitor.cancelCheckNow()).success, true);
+    return originalCheck(source);
+  };
+  const cancelled = await feedMonitor.startManualCheck();
+  await store.work();
+  assert.strictEqual(store.run(cancelled.run.id).status, 'cancelled');
+  assert.ok(store.run(cancelled.run.id).cancel_requested_at, 'recorded for a worker in another process');
+  assert.deepStrictEqual(store.sources.map(s => s.sourceName), ['Wire']);
+  feedMonitor.checkFeedLimited = originalCheck;
+  config.checks.rssConcurrency = rssConcurrency;
+
+  // Stop pressed before a worker picked it up: the job is dropped and the run cancelled
+  store = stubRunStorage();
+  events.length = 0;
+  const waiting = await feedMonitor.startManualCheck();
+  assert.deepStrictEqual(await feedMonitor.cancelCheckNow(), { success: true, message: 'Check cancelled before it started.' });
+  assert.strictEqual(store.jobs[0].status, 'cancelled');
+  assert.strictEqual(store.run(waiting.run.id).status, 'cancelled');
+  assert.deepStrictEqual(events.map(e => [e.type, e.data.runId, e.data.cancelled]), [['check-finished', waiting.run.id, true]]);
+  assert.strictEqual((await feedMonitor.cancelCheckNow()).success, false, 'nothing left to stop');
+
+  // The source list can't be loaded: failed, with the reason, and the job is retried
+  store = stubRunStorage();
+  database.getAllSources = async () => { throw new Error('connection refused'); };
+  const broken = await feedMonitor.startManualCheck();
+  const failedJob = await store.work();
+  assert.strictEqual(failedJob.status, 'failed');
+  const failed = store.run(broken.run.id);
+  assert.strictEqual(failed.status, 'failed');
+  assert.strictEqual(failed.error, 'connection refused');
+  assert.strictEqual(feedMonitor.currentCheckOperation, null);
+
+  // The retry records a new run (the job follows it) rather than reopening the failed one
+  database.getAllSources = async () => [SOURCES[0]];
+  await store.work();
+  const retryRunId = failedJob.payload.runId;
+  assert.notStrictEqual(retryRunId, broken.run.id);
+  assert.strictEqual(store.run(retryRunId).status, 'completed');
+  assert.strictEqual(store.run(broken.run.id).status, 'failed');
+
+  // A worker died mid-run: the run it left is marked interrupted and the retry starts afresh
+  store = stubRunStorage();
+  const crashed = await feedMonitor.startManualCheck();
+  store.run(crashed.run.id).status = 'running';
+  await store.work();
+  assert.strictEqual(store.run(crashed.run.id).status, 'interrupted');
+  assert.strictEqual(store.run(store.jobs[0].payload.runId).status, 'completed');
+
+  // A database hiccup while recording doesn't stop the check
+  store = stubRunStorage();
+  database.addCheckRunSource = async () => { throw new Error('deadlock detected'); };
+  const bumpy = await feedMonitor.startManualCheck();
+  await store.work();
+  assert.strictEqual(store.run(bumpy.run.id).status, 'completed');
+
+  // A targeted Check Now runs only its selection, in order, and keeps the selection on the run
+  store = stubRunStorage();
+  database.getAllSources = async () => SOURCES;
+  database.getLastCheckOutcomes = async () => lastOutcomes;
+  const retry = await feedMonitor.startManualCheck({ selection: { onlyFailed: true, monitoringTypes: ['RSS'] } });
+  assert.deepStrictEqual(retry.run.selection, { onlyFailed: true, monitoringTypes: ['RSS'] });
+  await store.work();
+  assert.strictEqual(store.run(retry.run.id).total_sources, 1);
+  assert.deepStrictEqual(store.sources.map(s => s.sourceName), ['Broken']);
+
+  store = stubRunStorage();
+  assert.deepStrictEqual(await feedMonitor.startManualCheck({ selection: { categories: ['Sports'] } }), { noSources: true });
+  assert.strictEqual(store.runs.size, 0, 'no run for an empty selection');
+  assert.strictEqual(store.jobs.length, 0, 'no job either');
+
+  // Startup only interrupts runs from before this process
+  let interruptedBefore = null;
+  database.interruptUnfinishedCheckRuns = async before => { interruptedBefore = before; return 2; };
+  assert.strictEqual(await checkRuns.interruptUnfinished(), 2);
+  assert.ok(interruptedBefore instanceof Date && interruptedBefore <= new Date());
+
+  // A run comes back with its sources
+  database.getCheckRunById = async id => (id === 7 ? { id: 7, status: 'completed' } : undefined);
+  database.getCheckRunSources = async runId => [{ run_id: runId, source_name: 'Wire', outcome: 'success' }];
+  assert.deepStrictEqual(await checkRuns.get(7), {
+    id: 7,
+    status: 'completed',
+    sources: [{ run_id: 7, source_name: 'Wire', outcome: 'success' }]
+  });
+  assert.strictEqual(await checkRuns.get(8), null);
+
+  console.log('✅ test-check-runs: all checks passed');
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch(e => {
+    console.error('❌ test-check-runs failed:', e.message);
+    if (e.actual !== undefined) console.error('  actual:', e.actual);
+    if (e.expected !== undefined) console.error('  expected:', e.expected);
+    process.exit(1);
+  });
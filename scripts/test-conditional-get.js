@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * Synthetic tests for conditional GET on feed fetches: stored ETag / Last-Modified sent as
+ * If-None-Match / If-Modified-Since, a 304 skipping the download and counting the bandwidth
+ * saved, a 200 storing the new validators, and a failed ingest leaving the old validators so
+ * the items are read again (no network, no database; axios and database calls are stubbed).
+ * Run: npm run test:conditional-get
+ * CI-friendly: exits 1 on failure.
+ */
+
+const assert = require('assert');
+const axios = require('axios');
+const database = require('../server/database-postgres');
+const feedMonitor = require('../server/services/feedMonitor');
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0"><channel><title>Wire</title>
+  <item><title>First story</title><link>https://example.com/first</link></item>
+  <item><title>Second story</title><link>https://example.com/second</link></item>
+</channel></rss>`;
+
+// A fresh source row with stored validators and one earlier full download
+function source() {
+  return {
+    id: 4,
+    name: 'Wire',
+    url: 'https://example.com/feed.xml',
+    feed_etag: '"v1"',
+    feed_last_modified: 'Mon, 04 May 2026 10:00:00 GMT',
+    last_scraping_result: { conditionalGet: { requests: 1, notModified: 0, bytesDownloaded: 2048, bytesSaved: 0, lastFeedBytes: 2048 } }
+  };
+}
+
+async function run() {
+  const requests = [];
+  const saved = [];
+  let respond = null;
+  axios.get = async (url, options) => {
+    requests.push({ url, headers: options.headers });
+    return respond();
+  };
+  database.updateFeedFetchState = async (id, state) => { saved.push({ id, ...state }); };
+  database.updateSourceLastChecked = async () => {};
+  const ingested = [];
+  feedMonitor.ingestFeedItems = async (src, items) => {
+    ingested.push(items.map(item => item.link));
+    return [];
+  };
+
+  // 304: validators sent, nothing parsed, hit rate and bytes saved counted, validators kept
+  respond = () => ({ status: 304, headers: {}, data: '' });
+  let src = source();
+  assert.deepStrictEqual(await feedMonitor.checkFeedLimited(src, 5, true), []);
+  assert.strictEqual(requests[0].headers['If-None-Match'], '"v1"');
+  assert.strictEqual(requests[0].headers['If-Modified-Since'], 'Mon, 04 May 2026 10:00:00 GMT');
+  assert.strictEqual(ingested.length, 0, 'a 304 has no items');
+  assert.strictEqual(saved.length, 1);
+  const notModified = saved[0].conditionalGet;
+  assert.deepStrictEqual([notModified.requests, notModified.notModified, notModified.hitRate, notModified.lastStatus], [2, 1, 0.5, 304]);
+  assert.deepStrictEqual([notModified.bytesSaved, notModified.bytesDownloaded], [2048, 2048]);
+  assert.deepStrictEqual([saved[0].etag, saved[0].lastModified], ['"v1"', 'Mon, 04 May 2026 10:00:00 GMT']);
+
+  // No stored validators: a plain GET
+  requests.length = 0;
+  await feedMonitor.checkFeedLimited({ ...source(), feed_etag: null, feed_last_modified: null }, 5, true);
+  assert.strictEqual(requests[0].headers['If-None-Match'], undefined);
+  assert.strictEqual(requests[0].headers['If-Modified-Since'], undefined);
+
+  // 200: the items are ingested, then the new validators and download size are stored
+  respond = () => ({ status: 200, headers: { etag: '"v2"', 'last-modified': 'Tue, 05 May 2026 08:00:00 GMT', 'content-type': 'application/rss+xml' }, data: RSS });
+  saved.length = 0;
+  ingested.length = 0;
+  src = source();
+  await feedMonitor.checkFeedLimited(src, 5, true);
+  assert.deepStrictEqual(ingested, [['https://example.com/first', 'https://example.com/second']]);
+  assert.strictEqual(saved.length, 1);
+  assert.deepStrictEqual([saved[0].etag, saved[0].lastModified], ['"v2"', 'Tue, 05 May 2026 08:00:00 GMT']);
+  const downloaded = saved[0].conditionalGet;
+  assert.deepStrictEqual([downloaded.requests, downloaded.notModified, downloaded.lastStatus], [2, 0, 200]);
+  assert.strictEqual(downloaded.lastFeedBytes, Buffer.byteLength(RSS));
+  assert.strictEqual(downloaded.bytesDownloaded, 2048 + Buffer.byteLength(RSS));
+  assert.strictEqual(src.feed_etag, '"v2"', 'in-memory row updated');
+
+  // A failed ingest stores nothing: the next check sends the old validators and reads the items again
+  feedMonitor.ingestFeedItems = async () => { throw new Error('connection terminated'); };
+  saved.length = 0;
+  requests.length = 0;
+  src = source();
+  await assert.rejects(feedMonitor.checkFeedLimited(src, 5, true), /connection terminated/);
+  assert.strictEqual(saved.length, 0, 'validators not advanced');
+  assert.strictEqual(src.feed_etag, '"v1"');
+  feedMonitor.ingestFeedItems = async () => [];
+  await feedMonitor.checkFeedLimited(src, 5, true);
+  assert.strictEqual(requests[1].headers['If-None-Match'], '"v1"');
+  assert.strictEqual(saved[0].etag, '"v2"');
+
+  console.log('✅ test-conditional-get: all checks passed');
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error('❌ test-conditional-get failed:', err.message);
+    if (err.actual !== undefined) console.error('   actual:  ', JSON.stringify(err.actual));
+    if (err.expected !== undefined) console.error('   expected:', JSON.stringify(err.expected));
+    process.exit(1);
+  });
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/**
+ * Synthetic tests for distribution destination adapters and config handling (no network, no database).
+ * Run: npm run test:destinations
+ * CI-friendly: exits 1 on failure.
+ */
+
+const assert = require('assert');
+const destinations = require('../server/services/destinations');
+const distro = require('../server/services/destinations/distro');
+const telegram = require('../server/services/destinations/telegram');
+const slack = require('../server/services/destinations/slack');
+const { truncateText } = require('../server/services/destinations/text');
+const { retryDelayMs } = require('../server/services/destinations/http');
+
+const {
+  normalizeDestinationInput, mergeConfig, presentDestination, listDestinationTypes, getAdapter, SECRET_MASK,
+  nextJobState, OUTBOX_MAX_ATTEMPTS
+} = destinations;
+
+function run() {
+  // Every registered adapter implements the full interface
+  assert.deepStrictEqual(listDestinationTypes().map(t => t.type), ['distro', 'telegram', 'slack', 'email']);
+  for (const { type } of listDestinationTypes()) {
+    const adapter = getAdapter(type);
+    for (const method of ['validate', 'format', 'send']) {
+      assert.strictEqual(typeof adapter[method], 'function', `${type}.${method}`);
+    }
+    assert.ok(Array.isArray(adapter.fields) && adapter.fields.length > 0, `${type}.fields`);
+  }
+
+  // Input validation
+  let result = normalizeDestinationInput({ name: ' Newsroom TG ', type: 'telegram', config: { channelId: '@newsroom' } });
+  assert.deepStrictEqual(result.destination, { name: 'Newsroom TG', type: 'telegram', config: { channelId: '@newsroom' }, isActive: true });
+  assert.ok(normalizeDestinationInput({ name: 'X', type: 'carrier-pigeon' }).error, 'unknown type');
+  assert.ok(normalizeDestinationInput({ type: 'distro' }).error, 'name required');
+  assert.ok(normalizeDestinationInput({ name: 'X', type: 'distro', config: ['a'] }).error, 'config must be an object');
+  assert.deepStrictEqual(normalizeDestinationInput({ is_active: false }, { partial: true }).destination, { isActive: false });
+
+  // Secrets are masked on the way out and a masked value leaves the stored secret alone
+  const stored = { botToken: '123:abc', channelId: '@old' };
+  const shown = presentDestination({ id: 1, name: 'TG', type: 'telegram', config: stored });
+  assert.strictEqual(shown.config.botToken, SECRET_MASK);
+  assert.strictEqual(shown.config.channelId, '@old');
+  assert.deepStrictEqual(
+    mergeConfig(telegram, stored, { botToken: SECRET_MASK, channelId: '@new', messageThreadId: '', unknownKey: 'x' }),
+    { botToken: '123:abc', channelId: '@new' }
+  );
+
+  // Distro: article and flash payload styles
+  const article = {
+    id: 7,
+    title: 'Circle files for IPO',
+    link: 'https://example.com/circle',
+    source_name: 'CoinDesk',
+    content: 'Circle filed on Monday.',
+    ai_summary: 'Summary.',
+    author: 'Jane Doe',
+    tags: ['IPO']
+  };
+  const post = distro.format(article, { format: 'article' }, { userName: 'Editor' });
+  assert.deepStrictEqual(post, {
+    user_info: { name: 'Editor' },
+    title: 'Circle files for IPO',
+    content: '<p>Circle filed on Monday.</p>',
+    more_info_url: 'https://example.com/circle',
+    source: 'CoinDesk',
+    author: 'Jane Doe',
+    tags: ['IPO']
+  });
+  const flash = distro.format(article, { format: 'flash', userName: 'News Flash' });
+  assert.strictEqual(flash.user_info.name, 'News Flash');
+  assert.strictEqual(flash.preview, 'Summary.');
+  assert.strictEqual(flash.cost, 10);
+  assert.ok(distro.validate({ endpoint: '', apiKey: 'k', format: 'article' }), 'endpoint required');
+  assert.ok(distro.validate({ endpoint: 'https://x', apiKey: 'k', format: 'tweet' }), 'unknown format');
+  assert.strictEqual(distro.validate({ endpoint: 'https://x', apiKey: 'k', format: 'flash' }), null);
+
+  // Telegram: HTML escaping, topic parsing and the 4096 character limit
+  const message = telegram.format({ ...article, title: 'A <b> & B' }, { channelId: '1234567890_529' });
+  assert.strictEqual(message.chat_id, '-1001234567890');
+  assert.strictEqual(message.message_thread_id, 529);
+  assert.ok(message.text.startsWith('📰 <b>A &lt;b&gt; &amp; B</b>'), message.text);
+  assert.ok(telegram.validate({ channelId: '@x' }), 'bot token required');
+
+  const long = telegram.buildTelegramMessage({ ...article, ai_summary: 'A sentence that keeps going. '.repeat(300) });
+  assert.ok(long.truncated);
+  assert.ok(long.text.length <= 4096, `length ${long.text.length}`);
+  assert.ok(long.text.includes('...'), 'ellipsis added');
+  assert.ok(long.text.endsWith('📊 Source: CoinDesk'), 'footer survives truncation');
+
+  // Outbox: only Distro is durable; failures back off until the last attempt is dead
+  assert.deepStrictEqual(listDestinationTypes().filter(t => getAdapter(t.type).durable).map(t => t.type), ['distro']);
+  assert.deepStrictEqual(nextJobState(true, 1), { status: 'succeeded', retryInSeconds: null });
+  assert.deepStrictEqual(nextJobState(false, 1), { status: 'failed', retryInSeconds: 60 });
+  assert.deepStrictEqual(nextJobState(false, 3), { status: 'failed', retryInSeconds: 240 });
+  assert.deepStrictEqual(nextJobState(false, OUTBOX_MAX_ATTEMPTS), { status: 'dead', retryInSeconds: null });
+  assert.deepStrictEqual(nextJobState(true, OUTBOX_MAX_ATTEMPTS), { status: 'succeeded', retryInSeconds: null });
+
+  // Shared truncation: sentence/word boundaries, ellipsis counted in the limit
+  assert.strictEqual(truncateText('Short.', 10), 'Short.');
+  assert.strictEqual(truncateText('First sentence. Second sentence here.', 25), 'First sentence....');
+  assert.strictEqual(truncateText('alpha beta gamma delta', 15), 'alpha beta...');
+
+  // Slack: Block Kit layout, mrkdwn escaping and webhook vs bot token config
+  const hooked = { ...article, title: 'Circle <files> & more', article_hook: '  Stablecoin issuer\n goes public ' };
+  const slackMessage = slack.format(hooked, { webhookUrl: 'https://hooks.slack.com/x' });
+  assert.strictEqual(slackMessage.channel, undefined, 'webhooks post to their own channel');
+  assert.deepStrictEqual(slackMessage.blocks.map(b => b.type), ['header', 'section', 'section', 'context', 'actions']);
+  assert.strictEqual(slackMessage.blocks[0].text.text, 'Circle <files> & more', 'plain_text header is not escaped');
+  assert.strictEqual(slackMessage.blocks[1].text.text, '*Stablecoin issuer goes public*');
+  assert.strictEqual(slackMessage.blocks[2].text.text, 'Summary.');
+  assert.strictEqual(slackMessage.blocks[3].elements[0].text, '📊 Source: *CoinDesk*');
+  assert.strictEqual(slackMessage.blocks[4].elements[0].url, 'https://example.com/circle');
+  assert.strictEqual(slackMessage.text, '📰 Circle &lt;files&gt; &amp; more (CoinDesk)');
+  assert.strictEqual(slack.format(article, { botToken: 'xoxb-1', channel: 'C123' }).channel, 'C123');
+
+  assert.ok(slack.validate({}), 'webhook or bot token required');
+  assert.ok(slack.validate({ botToken: 'xoxb-1' }), 'channel required with a bot token');
+  assert.ok(slack.validate({ webhookUrl: 'https://hooks.slack.com/x', threadBatches: 'true' }), 'threads need a bot token');
+  assert.strictEqual(slack.validate({ webhookUrl: 'https://hooks.slack.com/x' }), null);
+  assert.strictEqual(slack.validate({ botToken: 'xoxb-1', channel: 'C123', threadBatches: 'true' }), null);
+
+  // Slack limits: 150 character header, 3000 character sections even after escaping
+  const huge = slack.buildSlackMessage({
+    ...article,
+    title: 'Very long headline '.repeat(20),
+    ai_summary: 'Markets & <tokens> moved. '.repeat(400)
+  });
+  assert.ok(huge.truncated);
+  assert.ok(huge.blocks[0].text.text.length <= 150, `header ${huge.blocks[0].text.text.length}`);
+  const summaryText = huge.blocks[1].text.text;
+  assert.ok(summaryText.length <= 3000, `section ${summaryText.length}`);
+  assert.ok(summaryText.endsWith('...') && !/&[a-z]*\.\.\.$/.test(summaryText), 'no half-escaped entity at the cut');
+  assert.ok(huge.text.length <= 3000);
+  assert.ok(!slack.buildSlackMessage({ ...article, link: `https://example.com/${'x'.repeat(3000)}` }).blocks.some(b => b.type === 'actions'), 'overlong URLs get no button');
+
+  // Retries: Slack posts only retry when rate limited; other adapters also retry transient failures
+  const timedOut = Object.assign(new Error('timeout of 15000ms exceeded'), { code: 'ECONNABORTED' });
+  const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+  const serverError = Object.assign(new Error('Request failed'), { response: { status: 503, headers: {} } });
+  const rateLimited = Object.assign(new Error('Request failed'), { response: { status: 429, headers: { 'retry-after': '3' } } });
+  for (const error of [timedOut, reset, serverError]) {
+    assert.strictEqual(retryDelayMs(error, 1, { rateLimitedOnly: true }), null, `${error.message} is not retried`);
+  }
+  assert.strictEqual(retryDelayMs(rateLimited, 1, { rateLimitedOnly: true }), 3000, 'waits for Retry-After');
+  assert.strictEqual(retryDelayMs({ response: { status: 429, headers: {} } }, 1, { rateLimitedOnly: true }), null, '429 without Retry-After');
+  assert.strictEqual(retryDelayMs({ response: { status: 429, headers: { 'retry-after': '600' } } }, 1), null, 'too long to wait');
+  assert.strictEqual(retryDelayMs(timedOut, 2), 4000);
+  assert.strictEqual(retryDelayMs(serverError, 1), 2000);
+  assert.strictEqual(retryDelayMs({ response: { status: 400, headers: {} } }, 1), null);
+
+  console.log('✅ test-destinations: all checks passed');
+}
+
+try {
+  run();
+  process.exit(0);
+} catch (e) {
+  console.error('❌ test-destinations failed:', e.message);
+  if (e.actual !== undefined) console.error('  actual:', e.actual);
+  if (e.expected !== undefined) console.error('  expected:', e.expected);
+  process.exit(1);
+}
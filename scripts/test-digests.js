@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Synthetic tests for digests: the template renderer, grouping, rendering in every format and
+ * request validation (no network, no database; article lookups are stubbed).
+ * Run: npm run test:digests
+ * CI-friendly: exits 1 on failure.
+ */
+
+const assert = require('assert');
+const database = require('../server/database-postgres');
+const digests = require('../server/services/digests');
+
+const {
+  parseTemplate, renderTemplate, buildDigestView, renderDigest, digestFilename,
+  normalizeDigestInput, normalizeTemplateInput
+} = digests;
+
+const articles = [
+  {
+    id: 1, title: 'Rollup fees drop <again>', link: 'https://example.com/fees?a=1&b=2', source_name: 'The Block',
+    category: 'Layer 2', article_hook: 'Fees fell 40% overnight', ai_summary: 'Blob space got *cheap*.',
+    publisher_description: 'Publisher text', pub_date: '2026-03-02T06:00:00Z'
+  },
+  {
+    id: 2, title: 'Validator exits spike', link: 'javascript:alert(1)', source_name: 'CoinDesk',
+    category: null, article_hook: null, ai_summary: null,
+    publisher_description: 'Exits queue grows.', pub_date: '2026-03-02T07:00:00Z'
+  },
+  {
+    id: 3, title: 'New bridge audit', link: 'https://example.com/audit', source_name: 'The Block',
+    category: 'Bridges', article_hook: null, ai_summary: 'Two findings, both fixed.',
+    publisher_description: null, pub_date: '2026-03-01T22:00:00Z'
+  }
+];
+
+async function run() {
+  // Renderer: variables, escaping, sections, inverted sections, standalone section lines
+  assert.strictEqual(renderTemplate('Hi {{name}} {{{name}}}', { name: '<b>' }, 'html'), 'Hi &lt;b&gt; <b>');
+  assert.strictEqual(renderTemplate('{{#items}}[{{.}}]{{/items}}{{^items}}none{{/items}}', { items: ['a', 'b'] }), '[a][b]');
+  assert.strictEqual(renderTemplate('{{#items}}x{{/items}}{{^items}}none{{/items}}', { items: [] }), 'none');
+  assert.strictEqual(renderTemplate('{{#user}}{{name}} of {{team}}{{/user}}', { team: 'Desk', user: { name: 'Ana' } }), 'Ana of Desk');
+  assert.strictEqual(renderTemplate('{{a.b}}', { a: { b: 2 } }), '2');
+  assert.strictEqual(renderTemplate('top\n  {{#list}}\n- {{.}}\n  {{/list}}\nend\n', { list: [1, 2] }), 'top\n- 1\n- 2\nend\n');
+  assert.strictEqual(renderTemplate('{{x}}', { x: 'a_b*c' }, 'markdown'), 'a\\_b\\*c');
+  assert.throws(() => parseTemplate('{{#a}}x'), /Unclosed section \{\{#a\}\}/);
+  assert.throws(() => parseTemplate('{{#a}}{{/b}}'), /expected \{\{\/a\}\}/);
+  assert.throws(() => parseTemplate('{{/a}}'), /Unexpected/);
+
+  // Grouping: alphabetical, fallback group last, newest first within a group
+  const now = new Date('2026-03-02T08:00:00Z');
+  let view = buildDigestView(articles, { title: 'Morning', groupBy: 'category', now });
+  assert.deepStrictEqual(view.groups.map(g => [g.name, g.articles.map(a => a.id)]), [
+    ['Bridges', [3]], ['Layer 2', [1]], ['Uncategorized', [2]]
+  ]);
+  assert.strictEqual(view.date, 'Monday, March 2, 2026');
+  assert.strictEqual(view.article_count_label, '3 stories');
+  view = buildDigestView(articles, { groupBy: 'source', now });
+  assert.deepStrictEqual(view.groups.map(g => [g.name, g.articles.map(a => a.id)]), [['CoinDesk', [2]], ['The Block', [1, 3]]]);
+  view = buildDigestView(articles, { groupBy: 'none', now });
+  assert.deepStrictEqual(view.groups.map(g => [g.name, g.article_count]), [[null, 3]]);
+
+  // Entries: hook, AI summary with the publisher description as fallback, only http(s) links
+  const [entry] = view.groups[0].articles.filter(a => a.id === 2);
+  assert.strictEqual(entry.summary, 'Exits queue grows.');
+  assert.strictEqual(entry.link, null);
+
+  // Rendering every format with the default template
+  const out = renderDigest(articles, {}, { title: 'Morning', intro: 'Top stories & more', now, timeZone: 'America/New_York' });
+  assert.strictEqual(out.subject, 'Morning — Monday, March 2, 2026');
+  assert.strictEqual(out.article_count, 3);
+  assert.ok(out.html.includes('<a href="https://example.com/fees?a=1&amp;b=2"'), 'escaped href');
+  assert.ok(out.html.includes('Rollup fees drop &lt;again&gt;'));
+  assert.ok(out.html.includes('Top stories &amp; more'));
+  assert.ok(!out.html.includes('javascript:'), 'non-http links are dropped');
+  assert.ok(out.markdown.includes('### [New bridge audit](https://example.com/audit)'));
+  assert.ok(out.markdown.includes('**Fees fell 40% overnight**'));
+  assert.ok(out.markdown.includes('Blob space got \\*cheap\\*.'));
+  assert.ok(out.markdown.includes('## Uncategorized\n\n### Validator exits spike\n\nExits queue grows.'));
+  assert.ok(out.text.includes('== Layer 2 ==\n\nRollup fees drop <again>\nFees fell 40% overnight\nBlob space got *cheap*.\nThe Block · Mar 2\nhttps://example.com/fees?a=1&b=2\n'));
+  assert.ok(!/\n{3,}/.test(out.text), 'no stray blank lines from section tags');
+
+  // A custom template only overrides the formats it sets
+  const custom = renderDigest(articles, { subject: 'Brief: {{article_count}}', text: '{{#groups}}{{name}};{{/groups}}' }, { now });
+  assert.strictEqual(custom.subject, 'Brief: 3');
+  assert.strictEqual(custom.text, 'Bridges;Layer 2;Uncategorized;');
+  assert.ok(custom.markdown.startsWith('# Daily digest'));
+
+  assert.strictEqual(digestFilename('Morning Brief!', 'markdown', now), 'morning-brief-2026-03-02.md');
+
+  // Request validation
+  let result = normalizeDigestInput({ articleIds: ['3', 3, 'x', 1], groupBy: 'source', timeZone: 'Europe/Berlin' });
+  assert.deepStrictEqual(result.digest, {
+    articleIds: [3, 1], title: 'Daily digest', intro: null, groupBy: 'source', templateId: null, timeZone: 'Europe/Berlin'
+  });
+  result = normalizeDigestInput({ query: { destination: 'distro', category: ' Layer 2 ' }, templateId: '4' });
+  assert.deepStrictEqual(result.digest.query, { destination: 'distro', sinceHours: 24, category: 'Layer 2', sourceId: null });
+  assert.strictEqual(result.digest.templateId, 4);
+  assert.strictEqual(normalizeDigestInput({ query: { destination: '7' } }).digest.query.destination, 7);
+  assert.ok(normalizeDigestInput({}).error, 'needs ids or a query');
+  assert.ok(normalizeDigestInput({ articleIds: [1], query: {} }).error, 'not both');
+  assert.ok(normalizeDigestInput({ query: { sinceHours: 0 } }).error, 'window too short');
+  assert.ok(normalizeDigestInput({ articleIds: [1], groupBy: 'day' }).error, 'unknown grouping');
+  assert.ok(normalizeDigestInput({ articleIds: [1], timeZone: 'Mars/Olympus' }).error, 'unknown time zone');
+  assert.ok(normalizeDigestInput({ name: 'Daily', articleIds: [1] }, { saved: true }).error, 'saved digests use a query');
+  result = normalizeDigestInput({ name: 'Daily', query: {} }, { saved: true });
+  assert.strictEqual(result.digest.timeZone, 'UTC');
+  assert.strictEqual(result.digest.sendTime, null);
+  result = normalizeDigestInput({ name: 'Daily', query: {}, emailDestinationId: '3', sendTime: '07:30', timeZone: 'Europe/Berlin' }, { saved: true });
+  assert.deepStrictEqual([result.digest.emailDestinationId, result.digest.sendTime], [3, '07:30']);
+  assert.ok(normalizeDigestInput({ name: 'Daily', query: {}, emailDestinationId: 3, sendTime: '7:30' }, { saved: true }).error, 'sendTime is HH:MM');
+  assert.ok(normalizeDigestInput({ name: 'Daily', query: {}, sendTime: '07:30' }, { saved: true }).error, 'a send needs a destination');
+
+  assert.deepStrictEqual(normalizeTemplateInput({ name: ' Weekly ', subject: 'W {{date}}', html: '  ' }).template, {
+    name: 'Weekly', subject: 'W {{date}}', html: null, markdown: null, text: null
+  });
+  assert.ok(/markdown template is invalid/.test(normalizeTemplateInput({ name: 'X', markdown: '{{#groups}}' }).error));
+
+  // Building from a query resolves the destination key, then renders what the database returns
+  const queries = [];
+  database.getDestinationByKey = async key => (key === 'distro' ? { id: 9 } : undefined);
+  database.getDigestArticles = async query => { queries.push(query); return articles.slice(0, 1); };
+  database.getDigestTemplateById = async id => (id === 4 ? { text: '{{#groups}}{{#articles}}{{title}}{{/articles}}{{/groups}}' } : undefined);
+
+  let built = await digests.build(normalizeDigestInput({ query: { destination: 'distro', sinceHours: 12 }, templateId: 4 }).digest, now);
+  assert.deepStrictEqual(queries[0], { destinationId: 9, sinceHours: 12, category: null, sourceId: null, limit: 200 });
+  assert.strictEqual(built.digest.text, 'Rollup fees drop <again>');
+  built = await digests.build(normalizeDigestInput({ query: { destination: 'fax' } }).digest, now);
+  assert.strictEqual(built.error, 'Destination not found: fax');
+  built = await digests.build(normalizeDigestInput({ articleIds: [1], templateId: 5 }).digest, now);
+  assert.strictEqual(built.error, 'Digest template not found');
+
+  console.log('✅ test-digests: all checks passed');
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch(e => {
+    console.error('❌ test-digests failed:', e.message);
+    if (e.actual !== undefined) console.error('  actual:', e.actual);
+    if (e.expected !== undefined) console.error('  expected:', e.expected);
+    process.exit(1);
+  });
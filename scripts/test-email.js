@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * Synthetic tests for the email destination: the SMTP client against the in-process sink,
+ * per-recipient recording, recipient lists and daily digest emails (no network beyond
+ * localhost, no database; database calls are stubbed).
+ * Run: npm run test:email
+ * CI-friendly: exits 1 on failure.
+ */
+
+const assert = require('assert');
+const net = require('net');
+const database = require('../server/database-postgres');
+const destinations = require('../server/services/destinations');
+const digests = require('../server/services/digests');
+const email = require('../server/services/destinations/email');
+const { sendMail, parseAddressList } = require('../server/services/destinations/smtp');
+const { startSmtpSink } = require('./smtp-sink');
+
+const { lastScheduledSlot, dueSlot } = digests;
+
+// Decoded body of one part of a multipart message sent by sendMail
+function mimePart(data, contentType) {
+  const start = data.indexOf(`Content-Type: ${contentType}`);
+  const headerEnd = data.indexOf('\r\n\r\n', start);
+  const encoding = (data.slice(start, headerEnd).match(/Content-Transfer-Encoding: (\S+)/i) || [])[1];
+  const body = data.slice(headerEnd + 4, data.indexOf('\r\n--', headerEnd));
+  if (encoding === 'base64') return Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8');
+  if (encoding === 'quoted-printable') {
+    const bytes = body.replace(/=\r\n/g, '').replace(/=([0-9A-F]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return Buffer.from(bytes, 'latin1').toString('utf8').replace(/\r\n/g, '\n');
+  }
+  return body.replace(/\r\n/g, '\n');
+}
+
+// Header block of a raw message
+function messageHeaders(data) {
+  return data.slice(0, data.indexOf('\r\n\r\n'));
+}
+
+// A port with nothing listening on it
+function closedPort() {
+  return new Promise(resolve => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+async function run() {
+  // Address lists: separators, case, duplicates and junk
+  assert.deepStrictEqual(parseAddressList('A@x.com, b@y.org;\na@X.com\n\nnope'), { addresses: ['a@x.com', 'b@y.org'], invalid: ['nope'] });
+  assert.deepStrictEqual(email.normalizeEmailListInput({ name: ' Desk ', addresses: ['ed@news.test'] }).list, { name: 'Desk', addresses: ['ed@news.test'] });
+  assert.ok(/Invalid email/.test(email.normalizeEmailListInput({ name: 'Desk', addresses: 'ed@news.test, oops' }).error));
+  assert.ok(email.normalizeEmailListInput({ name: 'Desk', addresses: '' }).error, 'needs an address');
+
+  // SMTP against the sink: one refused recipient doesn't stop the others
+  const sink = await startSmtpSink();
+  const smtp = { host: '127.0.0.1', port: sink.port, security: 'none', username: 'desk', password: 'secret', from: 'desk@news.test' };
+  try {
+    const result = await sendMail({
+      ...smtp, toLabel: 'Desk', recipients: ['ed@news.test', 'gone@bounce.test', 'ops@news.test'],
+      subject: 'Story', html: '<p>.starts with a dot</p>', text: '.starts with a dot\nline two'
+    });
+    assert.deepStrictEqual(result.accepted, ['ed@news.test', 'ops@news.test']);
+    assert.strictEqual(result.rejected[0].address, 'gone@bounce.test');
+    assert.strictEqual(result.rejected[0].code, 550);
+    assert.ok(/^<.+@news\.test>$/.test(result.messageId));
+    assert.strictEqual(sink.messages.length, 1);
+    assert.deepStrictEqual(sink.messages[0].recipients, ['ed@news.test', 'ops@news.test']);
+    assert.strictEqual(mimePart(sink.messages[0].data, 'text/plain'), '.starts with a dot\nline two');
+    assert.strictEqual(mimePart(sink.messages[0].data, 'text/html'), '<p>.starts with a dot</p>');
+
+    // Headers: encoded subject, recipients hidden behind the list name, no header injection
+    await sendMail({
+      ...smtp, fromName: 'Desk\r\nBcc: spy@evil.test', replyTo: 'desk@news.test\r\nX-Injected: 1', toLabel: 'Morning <list>',
+      recipients: ['ed@news.test'], subject: 'Café — news\r\nX-Injected: 2', html: '<p>Hi</p>', text: 'Hi'
+    });
+    const headers = messageHeaders(sink.messages[1].data);
+    assert.ok(/^Subject: =\?UTF-8\?/m.test(headers), 'non-ASCII subject is encoded');
+    assert.ok(/^To: Morning list:;$/m.test(headers));
+    assert.ok(!/^(Bcc|X-Injected):/im.test(headers), 'CR/LF in From name, Reply-To or Subject adds no header');
+    assert.deepStrictEqual(sink.messages[1].recipients, ['ed@news.test']);
+
+    // Nobody accepted: nothing is sent
+    const none = await sendMail({ ...smtp, recipients: ['a@bounce.test'], subject: 'x', html: 'x', text: 'x' });
+    assert.deepStrictEqual([none.accepted, none.rejected.map(r => r.code), none.response, sink.messages.length], [[], [550], null, 2]);
+
+    // STARTTLS required but not offered
+    await assert.rejects(sendMail({ ...smtp, security: 'starttls', recipients: ['ed@news.test'], subject: 'x', html: 'x', text: 'x' }), /STARTTLS/);
+
+    // Adapter: loads the list, records one row per recipient
+    const recorded = [];
+    database.getEmailListByName = async name => (name === 'desk' ? { name: 'desk', addresses: ['ed@news.test', 'gone@bounce.test'] } : undefined);
+    database.recordEmailRecipients = async entry => { recorded.push(entry); };
+    const settings = { ...email.defaults(), ...smtp, list: 'desk' };
+    assert.strictEqual(email.validate(settings), null);
+    assert.ok(email.validate({ ...settings, from: 'nobody' }), 'needs a From address');
+    assert.ok(email.validate({ ...settings, replyTo: 'desk@news.test\r\nBcc: spy@evil.test' }), 'Reply-To must be an address');
+
+    // Saved config: From and Reply-To are plain addresses; unset values are left to SMTP_* defaults
+    assert.strictEqual(email.checkConfig({ list: 'desk' }), null);
+    assert.strictEqual(email.checkConfig({ from: 'desk@news.test', replyTo: 'ed@news.test' }), null);
+    assert.ok(email.checkConfig({ from: 'desk@news.test\r\nBcc: spy@evil.test' }));
+    assert.ok(email.checkConfig({ replyTo: 'Desk <desk@news.test>' }));
+
+    const payload = email.format({ title: 'Rollup fees drop', link: 'https://example.com/a', source_name: 'The Block', ai_summary: 'Cheaper.' });
+    assert.ok(payload.text.includes('Source: The Block'));
+    const sent = await email.send(payload, settings, { deliveryId: 70 });
+    assert.deepStrictEqual(sent.response.accepted, 1);
+    assert.deepStrictEqual(recorded[0].recipients.map(r => [r.address, r.status, r.code]), [
+      ['ed@news.test', 'accepted', null], ['gone@bounce.test', 'rejected', 550]
+    ]);
+    assert.deepStrictEqual([recorded[0].deliveryId, recorded[0].messageId], [70, sent.remoteId]);
+
+    await assert.rejects(email.send(payload, { ...settings, list: 'missing' }), /not found/);
+
+    // Connection failure: every recipient is recorded as failed and the send throws
+    await assert.rejects(email.send(payload, { ...settings, port: await closedPort() }, { savedDigestId: 4 }), /ECONNREFUSED/);
+    const failed = recorded[recorded.length - 1];
+    assert.deepStrictEqual([failed.savedDigestId, failed.messageId], [4, null]);
+    assert.deepStrictEqual(failed.recipients.map(r => r.status), ['failed', 'failed']);
+
+    // Daily slots: today's time once it has passed, else yesterday's; DST-aware
+    const now = new Date('2026-03-09T14:00:00Z'); // 10:00 in New York, the day after clocks went forward
+    assert.strictEqual(lastScheduledSlot('08:00', 'America/New_York', now).toISOString(), '2026-03-09T12:00:00.000Z');
+    assert.strictEqual(lastScheduledSlot('11:00', 'America/New_York', now).toISOString(), '2026-03-08T15:00:00.000Z');
+    assert.strictEqual(lastScheduledSlot('07:30', 'Asia/Kolkata', now).toISOString(), '2026-03-09T02:00:00.000Z');
+
+    const daily = { id: 4, name: 'Daily', send_time: '08:00', time_zone: 'America/New_York', email_destination_id: 12, created_at: '2026-03-01T00:00:00Z' };
+    assert.strictEqual(dueSlot({ ...daily, last_run_at: null }, now).toISOString(), '2026-03-09T12:00:00.000Z');
+    assert.strictEqual(dueSlot({ ...daily, last_run_at: new Date('2026-03-09T12:00:00Z') }, now), null, 'already sent today');
+    assert.strictEqual(dueSlot({ ...daily, last_run_at: null, created_at: '2026-03-09T13:00:00Z' }, now), null, 'created after the slot');
+    assert.strictEqual(dueSlot({ ...daily, send_time: null }, now), null);
+
+    // Scheduled digest: claimed once, built, emailed through the destination and recorded
+    const destination = { id: 12, type: 'email', name: 'Desk email', is_active: true, config: { ...smtp, list: 'desk' } };
+    const runs = [];
+    database.getDestinationById = async id => (id === 12 ? destination : undefined);
+    database.getDigestArticles = async () => [{ id: 1, title: 'Rollup fees drop', link: 'https://example.com/a', source_name: 'The Block', category: 'L2' }];
+    database.getScheduledSavedDigests = async () => [{ ...daily, last_run_at: null, query: { destination: null, sinceHours: 24 }, title: 'Daily', group_by: 'category' }];
+    database.claimSavedDigestRun = async (id, slot, previous) => {
+      runs.push({ id, slot: slot.toISOString(), previous });
+      return runs.length === 1 ? { ...daily, last_run_at: slot, query: { destination: null, sinceHours: 24 }, title: 'Daily', group_by: 'category' } : undefined;
+    };
+    const sends = [];
+    database.recordSavedDigestSend = async (id, outcome) => { sends.push({ id, ...outcome }); };
+
+    const before = sink.messages.length;
+    assert.strictEqual(await digests.processScheduled(now), 1);
+    assert.deepStrictEqual(runs[0], { id: 4, slot: '2026-03-09T12:00:00.000Z', previous: null });
+    assert.deepStrictEqual(sends[0], { id: 4, sent: true, error: null });
+    assert.strictEqual(sink.messages.length, before + 1);
+    assert.ok(mimePart(sink.messages[before].data, 'text/plain').includes('Rollup fees drop'));
+    assert.strictEqual(recorded[recorded.length - 1].savedDigestId, 4);
+    assert.strictEqual(await digests.processScheduled(now), 0, 'someone else claimed the slot');
+
+    // Nothing to send, or no email destination: recorded without sending
+    database.getDigestArticles = async () => [];
+    assert.strictEqual((await digests.sendSavedDigest({ ...daily, query: {}, group_by: 'none' }, now)).status, 'skipped');
+    assert.deepStrictEqual(sends[sends.length - 1], { id: 4, sent: false, error: null });
+    const orphan = await digests.sendSavedDigest({ ...daily, email_destination_id: 99, query: {} }, now);
+    assert.deepStrictEqual([orphan.status, sends[sends.length - 1].error], ['failed', 'This digest has no email destination']);
+    assert.strictEqual(destinations.getAdapter('email').type, 'email');
+  } finally {
+    sink.server.close();
+  }
+
+  console.log('✅ test-email: all checks passed');
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch(e => {
+    console.error('❌ test-email failed:', e.message);
+    if (e.actual !== undefined) console.error('  actual:', e.actual);
+    if (e.expected !== undefined) console.error('  expected:', e.expected);
+    process.exit(1);
+  });
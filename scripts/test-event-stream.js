@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Synthetic tests for the Server-Sent Events stream (no network, no database).
+ * Run: npm run test:event-stream
+ * CI-friendly: exits 1 on failure.
+ */
+
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const eventStream = require('../server/services/eventStream');
+
+function fakeClient(lastEventId) {
+  const req = new EventEmitter();
+  req.query = {};
+  req.get = name => (name === 'Last-Event-ID' && lastEventId !== undefined ? String(lastEventId) : undefined);
+  const res = {
+    status: null,
+    headers: null,
+    chunks: [],
+    writeHead(status, headers) { this.status = status; this.headers = headers; },
+    write(chunk) { this.chunks.push(chunk); return true; }
+  };
+  return { req, res };
+}
+
+function framesOf(res) {
+  return res.chunks.join('').split('\n\n').filter(f => f.startsWith('id: '));
+}
+
+function run() {
+  // Publishing with no clients is a no-op apart from the replay buffer
+  eventStream.publish('check-started', { totalSources: 2 });
+
+  const a = fakeClient();
+  eventStream.addClient(a.req, a.res);
+  assert.strictEqual(a.res.status, 200);
+  assert.strictEqual(a.res.headers['Content-Type'], 'text/event-stream');
+  assert.strictEqual(framesOf(a.res).length, 0, 'no replay without Last-Event-ID');
+
+  eventStream.publish('article-inserted', { article: { id: 42, title: 'Hello' } });
+  let frames = framesOf(a.res);
+  assert.strictEqual(frames.length, 1);
+  assert.ok(frames[0].includes('event: article-inserted'), frames[0]);
+  const data = JSON.parse(frames[0].split('\n').find(line => line.startsWith('data: ')).slice(6));
+  assert.strictEqual(data.article.id, 42);
+  assert.ok(data.at, 'events are timestamped');
+
+  // A reconnecting client gets everything after its Last-Event-ID
+  const firstId = parseInt(frames[0].split('\n')[0].slice(4), 10);
+  eventStream.publish('check-finished', { newArticles: 1 });
+  const b = fakeClient(firstId);
+  eventStream.addClient(b.req, b.res);
+  frames = framesOf(b.res);
+  assert.strictEqual(frames.length, 1, `replayed ${frames.length}`);
+  assert.ok(frames[0].includes('event: check-finished'));
+
+  // Closed connections stop receiving events
+  assert.strictEqual(eventStream.getStatus().clients, 2);
+  a.req.emit('close');
+  b.req.emit('close');
+  assert.strictEqual(eventStream.getStatus().clients, 0);
+  const before = a.res.chunks.length;
+  eventStream.publish('check-started', { totalSources: 1 });
+  assert.strictEqual(a.res.chunks.length, before);
+  assert.strictEqual(eventStream.heartbeatInterval, null, 'heartbeat stops with the last client');
+
+  console.log('✅ test-event-stream: all checks passed');
+}
+
+try {
+  run();
+  process.exit(0);
+} catch (e) {
+  console.error('❌ test-event-stream failed:', e.message);
+  if (e.actual !== undefined) console.error('  actual:', e.actual);
+  if (e.expected !== undefined) console.error('  expected:', e.expected);
+  process.exit(1);
+}
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * Synthetic tests for mapping feed item metadata (author, tags, image, Atom <updated>)
+ * across RSS 2.0, Atom, RSS 1.0/RDF and JSON Feed (no network, no database).
+ * Run: npm run test:feed-metadata
+ * CI-friendly: exits 1 on failure.
+ */
+
+const assert = require('assert');
+const feedMonitor = require('../server/services/feedMonitor');
+const { extractItemMetadata } = feedMonitor;
+
+const RSS = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>Example RSS</title>
+    <link>https://example.com/</link>
+    <item>
+      <title>Media thumbnail item</title>
+      <link>https://example.com/a</link>
+      <dc:creator>Jane Reporter</dc:creator>
+      <category>Markets</category>
+      <category domain="https://example.com/tags">Bitcoin</category>
+      <category>markets</category>
+      <media:thumbnail url="https://cdn.example.com/a-thumb.jpg" width="150" height="100" />
+      <pubDate>Mon, 10 Mar 2025 09:00:00 GMT</pubDate>
+    </item>
+    <item>
+      <title>Enclosure item</title>
+      <link>https://example.com/b</link>
+      <author>editor@example.com (Sam Editor)</author>
+      <enclosure url="https://cdn.example.com/b.png" length="1234" type="image/png" />
+    </item>
+    <item>
+      <title>Podcast item</title>
+      <link>https://example.com/c</link>
+      <enclosure url="https://cdn.example.com/c.mp3" length="1234" type="audio/mpeg" />
+      <media:content url="https://cdn.example.com/c-cover.webp" medium="image" />
+    </item>
+  </channel>
+</rss>`;
+
+const ATOM = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+  <title>Example Atom</title>
+  <id>urn:example</id>
+  <updated>2025-03-12T10:00:00Z</updated>
+  <entry>
+    <title>Atom entry</title>
+    <link href="https://example.com/atom-1" />
+    <link rel="enclosure" type="image/jpeg" href="https://cdn.example.com/atom-1.jpg" />
+    <id>urn:example:1</id>
+    <published>2025-03-10T08:00:00Z</published>
+    <updated>2025-03-12T10:00:00Z</updated>
+    <author><name>Alex Writer</name></author>
+    <author><name>Kim Coauthor</name></author>
+    <category term="defi" />
+    <category term="ethereum" label="Ethereum" />
+  </entry>
+  <entry>
+    <title>Atom entry with media group</title>
+    <link href="https://example.com/atom-2" />
+    <id>urn:example:2</id>
+    <updated>2025-03-11T10:00:00Z</updated>
+    <media:group>
+      <media:thumbnail url="https://i.ytimg.com/vi/xyz/hqdefault.jpg" />
+    </media:group>
+  </entry>
+</feed>`;
+
+const RDF = `<?xml version="1.0"?>
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns="http://purl.org/rss/1.0/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel rdf:about="https://example.com/rdf">
+    <title>Example RDF</title>
+    <link>https://example.com/</link>
+  </channel>
+  <item rdf:about="https://example.com/rdf-1">
+    <title>RDF item</title>
+    <link>https://example.com/rdf-1</link>
+    <dc:creator>Pat Columnist</dc:creator>
+    <dc:subject>Regulation</dc:subject>
+    <dc:date>2025-03-09T12:00:00Z</dc:date>
+  </item>
+</rdf:RDF>`;
+
+const JSON_FEED = JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: 'Example JSON Feed',
+  authors: [{ name: 'Feed Default Author' }],
+  items: [
+    {
+      id: '1',
+      url: 'https://example.com/json-1',
+      title: 'JSON item',
+      content_text: 'Body',
+      date_published: '2025-03-10T08:00:00Z',
+      date_modified: '2025-03-11T08:00:00Z',
+      authors: [{ name: 'Lee Analyst' }, { name: 'Ren Analyst' }],
+      tags: ['stablecoins', 'Stablecoins', 'policy'],
+      banner_image: 'https://cdn.example.com/json-1-banner.jpg'
+    },
+    {
+      id: '2',
+      url: 'https://example.com/json-2',
+      title: 'JSON item without authors',
+      content_text: 'Body',
+      image: 'https://cdn.example.com/json-2.jpg',
+      banner_image: 'https://cdn.example.com/json-2-banner.jpg'
+    }
+  ]
+});
+
+async function run() {
+  // RSS 2.0
+  const rss = await feedMonitor.parseFeedBody(RSS, 'application/rss+xml', 'https://example.com/rss');
+  let meta = extractItemMetadata(rss.items[0]);
+  assert.strictEqual(meta.author, 'Jane Reporter', `rss author: ${meta.author}`);
+  assert.deepStrictEqual(meta.tags, ['Markets', 'Bitcoin'], `rss tags: ${meta.tags}`);
+  assert.strictEqual(meta.imageUrl, 'https://cdn.example.com/a-thumb.jpg', `rss thumbnail: ${meta.imageUrl}`);
+  assert.strictEqual(meta.updatedAtSource, null);
+
+  meta = extractItemMetadata(rss.items[1]);
+  assert.strictEqual(meta.author, 'editor@example.com (Sam Editor)', `rss <author>: ${meta.author}`);
+  assert.strictEqual(meta.imageUrl, 'https://cdn.example.com/b.png', `image enclosure: ${meta.imageUrl}`);
+
+  meta = extractItemMetadata(rss.items[2]);
+  assert.strictEqual(meta.imageUrl, 'https://cdn.example.com/c-cover.webp', `audio enclosure skipped: ${meta.imageUrl}`);
+  assert.strictEqual(meta.author, null);
+  assert.deepStrictEqual(meta.tags, []);
+
+  // Atom
+  const atom = await feedMonitor.parseFeedBody(ATOM, 'application/atom+xml', 'https://example.com/atom');
+  meta = extractItemMetadata(atom.items[0]);
+  assert.strictEqual(meta.author, 'Alex Writer, Kim Coauthor', `atom authors: ${meta.author}`);
+  assert.deepStrictEqual(meta.tags, ['defi', 'ethereum'], `atom tags: ${meta.tags}`);
+  assert.strictEqual(meta.imageUrl, 'https://cdn.example.com/atom-1.jpg', `atom enclosure: ${meta.imageUrl}`);
+  assert.strictEqual(meta.updatedAtSource, '2025-03-12T10:00:00.000Z', `atom updated: ${meta.updatedAtSource}`);
+  assert.strictEqual(new Date(atom.items[0].pubDate).toISOString(), '2025-03-10T08:00:00.000Z', 'atom pubDate stays <published>');
+
+  meta = extractItemMetadata(atom.items[1]);
+  assert.strictEqual(meta.imageUrl, 'https://i.ytimg.com/vi/xyz/hqdefault.jpg', `media:group: ${meta.imageUrl}`);
+
+  // RSS 1.0 / RDF
+  const rdf = await feedMonitor.parseFeedBody(RDF, 'application/rdf+xml', 'https://example.com/rdf');
+  meta = extractItemMetadata(rdf.items[0]);
+  assert.strictEqual(meta.author, 'Pat Columnist', `rdf author: ${meta.author}`);
+  assert.deepStrictEqual(meta.tags, ['Regulation'], `rdf tags: ${meta.tags}`);
+
+  // JSON Feed
+  const json = await feedMonitor.parseFeedBody(JSON_FEED, 'application/feed+json', 'https://example.com/feed.json');
+  meta = extractItemMetadata(json.items[0]);
+  assert.strictEqual(meta.author, 'Lee Analyst, Ren Analyst', `json authors: ${meta.author}`);
+  assert.deepStrictEqual(meta.tags, ['stablecoins', 'policy'], `json tags: ${meta.tags}`);
+  assert.strictEqual(meta.imageUrl, 'https://cdn.example.com/json-1-banner.jpg', `json banner_image: ${meta.imageUrl}`);
+  assert.strictEqual(meta.updatedAtSource, '2025-03-11T08:00:00.000Z', `json date_modified: ${meta.updatedAtSource}`);
+
+  meta = extractItemMetadata(json.items[1]);
+  assert.strictEqual(meta.author, 'Feed Default Author', `json feed-level author: ${meta.author}`);
+  assert.strictEqual(meta.imageUrl, 'https://cdn.example.com/json-2.jpg', `json image over banner: ${meta.imageUrl}`);
+
+  console.log('✅ test-feed-metadata: all checks passed');
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch(e => {
+    console.error('❌ test-feed-metadata failed:', e.message);
+    if (e.actual !== undefined) console.error('  actual:', e.actual);
+    if (e.expected !== undefined) console.error('  expected:', e.expected);
+    process.exit(1);
+  });
@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+/**
+ * Synthetic tests for the background job queue: filters and dedupe keys, queueing with
+ * dedupe, running a claimed job (success, retry with backoff, dead), dead-lettering jobs
+ * whose worker vanished, handing a job back on shutdown, retried sends skipping destinations
+ * already reached, the legacy send routes' answers, scrape jobs for feed checks, source
+ * scrapes and WebSub pushes, and the live event relay (no network, no database; database
+ * calls are stubbed).
+ * Run: npm run test:job-queue
+ * CI-friendly: exits 1 on failure.
+ */
+
+const assert = require('assert');
+const database = require('../server/database-postgres');
+const jobQueue = require('../server/services/jobQueue');
+const jobHandlers = require('../server/services/jobHandlers');
+const feedMonitor = require('../server/services/feedMonitor');
+const sourceScraping = require('../server/services/sourceScraping');
+const destinations = require('../server/services/destinations');
+const eventStream = require('../server/services/eventStream');
+const webSub = require('../server/services/webSub');
+const { failedJobState, parseJobFilters, requestKey, JOB_SETTINGS } = jobQueue;
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+// Fake jobs storage with the claim / lease rules of the real queries
+function stubJobStorage() {
+  const store = { jobs: [], notified: [], released: [] };
+  const active = job => ['queued', 'in_flight', 'failed'].includes(job.status);
+  database.createJob = async ({ type, payload, dedupeKey, requestedBy, maxAttempts }) => {
+    if (dedupeKey && store.jobs.some(job => job.dedupe_key === dedupeKey && active(job))) return null;
+    const job = { id: store.jobs.length + 1, type, payload, dedupe_key: dedupeKey, requested_by: requestedBy, status: 'queued', attempts: 0, max_attempts: maxAttempts, created_at: new Date() };
+    store.jobs.push(job);
+    return { ...job };
+  };
+  database.getActiveJobByDedupeKey = async key => store.jobs.find(job => job.dedupe_key === key && active(job)) || null;
+  database.getJobById = async id => store.jobs.find(job => job.id === id);
+  database.notify = async (channel, payload) => { store.notified.push([channel, payload]); };
+  database.listen = () => () => {};
+  database.deadLetterExpiredJobs = async () => [];
+  database.deleteFinishedJobsOlderThan = async () => 0;
+  database.extendJobLease = async () => true;
+  database.claimJob = async (types, workerId) => {
+    const job = store.jobs.find(j => ['queued', 'failed'].includes(j.status) && types.includes(j.type));
+    if (!job) return null;
+    Object.assign(job, { status: 'in_flight', locked_by: workerId, attempts: job.attempts + 1 });
+    return { ...job };
+  };
+  database.finishJob = async (id, workerId, { status, result = null, error = null, retryInSeconds = null }) => {
+    const job = store.jobs.find(j => j.id === id && j.locked_by === workerId && j.status === 'in_flight');
+    if (!job) return null;
+    return Object.assign(job, { status, result, last_error: error, retry_in: retryInSeconds, locked_by: null });
+  };
+  database.releaseJob = async (id, workerId) => {
+    const job = store.jobs.find(j => j.id === id && j.locked_by === workerId);
+    if (!job) return null;
+    store.released.push(id);
+    return Object.assign(job, { status: 'queued', attempts: job.attempts - 1, locked_by: null });
+  };
+  database.retryJob = async id => {
+    const job = store.jobs.find(j => j.id === id && ['failed', 'dead'].includes(j.status));
+    if (!job) return null;
+    return Object.assign(job, { status: 'queued', attempts: job.status === 'dead' ? 0 : job.attempts });
+  };
+  database.cancelJob = async id => {
+    const job = store.jobs.find(j => j.id === id && ['queued', 'failed', 'dead'].includes(j.status));
+    return job ? Object.assign(job, { status: 'cancelled' }) : null;
+  };
+  return store;
+}
+
+async function run() {
+  // Backoff doubles from 30s and the last attempt makes the job dead
+  assert.deepStrictEqual(failedJobState(1, 3), { status: 'failed', retryInSeconds: 30 });
+  assert.deepStrictEqual(failedJobState(2, 3), { status: 'failed', retryInSeconds: 60 });
+  assert.deepStrictEqual(failedJobState(3, 3), { status: 'dead', retryInSeconds: null });
+  assert.strictEqual(failedJobState(20, 99).retryInSeconds, 30 * 60, 'capped at 30 minutes');
+
+  // Filters
+  assert.deepStrictEqual(parseJobFilters({}), { filters: { statuses: null, type: null, limit: 50 } });
+  assert.deepStrictEqual(parseJobFilters({ status: 'failed,dead', type: 'send', limit: '500' }), { filters: { statuses: ['failed', 'dead'], type: 'send', limit: 200 } });
+  assert.ok(parseJobFilters({ status: 'failed,stuck' }).error);
+  assert.ok(parseJobFilters({ type: 'email' }).error);
+  assert.ok(parseJobFilters({ limit: '0' }).error);
+
+  // Dedupe keys: same request, same key, whatever the type prefix covers
+  assert.strictEqual(requestKey('send', { a: [1, 2] }), requestKey('send', { a: [1, 2] }));
+  assert.notStrictEqual(requestKey('send', { a: [1, 2] }), requestKey('send', { a: [2, 1] }));
+  assert.ok(/^summary:[0-9a-f]{24}$/.test(requestKey('summary', [1])));
+
+  // Queueing: attempts come from the type's settings, workers are woken, a key is held once
+  let store = stubJobStorage();
+  const queued = await jobQueue.enqueue('summary', { articleIds: [1] }, { dedupeKey: 'summary:x', requestedBy: 'Ana' });
+  assert.strictEqual(queued.job.max_attempts, JOB_SETTINGS.summary.maxAttempts);
+  assert.deepStrictEqual(store.notified, [['scoopstream_jobs', { id: 1, type: 'summary' }]]);
+  const again = await jobQueue.enqueue('summary', { articleIds: [1] }, { dedupeKey: 'summary:x' });
+  assert.deepStrictEqual([again.job, again.duplicate.id], [undefined, 1]);
+  assert.ok((await jobQueue.enqueue('summary', { articleIds: [1] })).job, 'no key, no dedupe');
+  await assert.rejects(() => jobQueue.enqueue('email', {}), /Unknown job type/);
+
+  // Running: a result is stored, a throw is retried later and the last attempt is dead
+  store = stubJobStorage();
+  jobQueue.workerId = 'test:1';
+  jobQueue.handlers = {
+    summary: async payload => ({ done: payload.articleIds }),
+    enrich: async () => { throw new Error('Memory too high (400MB), try again later'); }
+  };
+  await jobQueue.enqueue('summary', { articleIds: [7] });
+  const succeeded = await jobQueue.runJob(await jobQueue.claimNext());
+  assert.deepStrictEqual([succeeded.status, succeeded.result, succeeded.attempts], ['succeeded', { done: [7] }, 1]);
+  assert.strictEqual(jobQueue.currentJob, null);
+
+  const { job: enrichJob } = await jobQueue.enqueue('enrich', { kind: 'playwright' });
+  const states = [];
+  for (let i = 0; i < JOB_SETTINGS.enrich.maxAttempts; i++) {
+    const finished = await jobQueue.runJob(await jobQueue.claimNext());
+    states.push([finished.status, finished.retry_in]);
+  }
+  assert.deepStrictEqual(states, [['failed', 30], ['failed', 60], ['dead', null]]);
+  assert.strictEqual(store.jobs[enrichJob.id - 1].last_error, 'Memory too high (400MB), try again later');
+  assert.strictEqual(await jobQueue.claimNext(), null, 'dead jobs are not claimed');
+
+  // An admin retries the dead job (fresh attempts) or discards it; running jobs can be neither
+  const retried = await jobQueue.retry(enrichJob.id);
+  assert.deepStrictEqual([retried.job.status, retried.job.attempts], ['queued', 0]);
+  assert.ok((await jobQueue.retry(succeeded.id)).error, 'succeeded jobs are not retried');
+  assert.strictEqual(await jobQueue.retry(99), null);
+  assert.strictEqual((await jobQueue.cancel(enrichJob.id)).job.status, 'cancelled');
+  store.jobs[0].status = 'in_flight';
+  assert.ok((await jobQueue.cancel(1)).error, 'a running job is not discarded');
+
+  // Jobs whose worker vanished on their last attempt are reported before the next claim
+  store = stubJobStorage();
+  let deadLettered = 0;
+  database.deadLetterExpiredJobs = async () => { deadLettered++; return [{ id: 4, type: 'scrape', attempts: 2, max_attempts: 2 }]; };
+  assert.strictEqual(await jobQueue.claimNext(), null);
+  assert.strictEqual(deadLettered, 1);
+
+  // The worker loop picks up what is queued and a wake-up skips the rest of the poll wait
+  store = stubJobStorage();
+  const handled = [];
+  let release;
+  const blocked = new Promise(resolve => { release = resolve; });
+  jobQueue.start({
+    handlers: {
+      send: async payload => { handled.push(payload.n); return { sent: payload.n }; },
+      scrape: async () => { await blocked; return { late: true }; }
+    },
+    workerId: 'test:2',
+    pollSeconds: 60
+  });
+  await jobQueue.enqueue('send', { n: 1 });
+  await tick();
+  await jobQueue.enqueue('send', { n: 2 });
+  await tick();
+  assert.deepStrictEqual(handled, [1, 2]);
+  assert.deepStrictEqual(store.jobs.map(j => j.status), ['succeeded', 'succeeded']);
+
+  // Shutdown with a job in hand: past the grace period it goes back to the queue, attempt unused
+  await jobQueue.enqueue('scrape', { runId: 1 });
+  await tick();
+  assert.strictEqual(jobQueue.getStatus().currentJob.type, 'scrape');
+  await jobQueue.stop(0.01);
+  assert.deepStrictEqual(store.released, [3]);
+  assert.deepStrictEqual([store.jobs[2].status, store.jobs[2].attempts], ['queued', 0]);
+  assert.strictEqual(jobQueue.running, false);
+  release();
+  await tick();
+  assert.strictEqual(store.jobs[2].status, 'queued', 'the late outcome is not recorded over the hand-back');
+
+  // A retried send reports destinations an earlier attempt reached instead of sending again
+  const createdAt = new Date('2026-05-01T10:00:00Z');
+  database.getArticlesByIds = async ids => ids.map(id => ({ id, title: `Article ${id}`, status: 'approved' }));
+  database.getDestinationsByIds = async ids => ids.map(id => ({ id, name: `Dest ${id}`, type: 'webhook' }));
+  database.getSuccessfulDeliveriesForArticles = async ([id]) => new Map([[id, [
+    { destination_id: 1, destination: 'Dest 1', delivered_at: new Date('2026-05-01T10:00:05Z'), remote_id: 'r1' },
+    { destination_id: 2, destination: 'Dest 2', delivered_at: new Date('2026-04-30T09:00:00Z'), remote_id: 'old' }
+  ]]]);
+  const sent = [];
+  const deliver = destinations.deliver;
+  destinations.deliver = async (article, destination) => {
+    sent.push([article.id, destination.id]);
+    return { destination_id: destination.id, destination: destination.name, type: destination.type, status: 'sent', remote_id: 'new', error: null };
+  };
+  const payload = { articleIds: [5], destinationIds: [1, 2] };
+  const retriedSend = await jobHandlers.send(payload, { job: { attempts: 2, created_at: createdAt } });
+  assert.deepStrictEqual(sent, [[5, 2]], 'an older delivery to Dest 2 does not count');
+  assert.deepStrictEqual([retriedSend.success, retriedSend.successCount, retriedSend.failureCount], [true, 2, 0]);
+  assert.deepStrictEqual(retriedSend.results.map(r => [r.destination_id, r.remote_id, !!r.already_sent]), [[1, 'r1', true], [2, 'new', false]]);
+
+  sent.length = 0;
+  await jobHandlers.send(payload, { job: { attempts: 1, created_at: createdAt } });
+  assert.deepStrictEqual(sent, [[5, 1], [5, 2]], 'a first attempt sends everywhere');
+
+  database.getArticlesByIds = async () => [];
+  assert.strictEqual((await jobHandlers.send(payload, { job: { attempts: 1 } })).error, 'Article not found');
+
+  // The legacy send routes get their old answers back from the job
+  database.getArticlesByIds = async ids => ids.map(id => ({ id, title: `Article ${id}`, status: 'approved' }));
+  database.getSuccessfulDeliveriesForArticles = async () => new Map();
+  destinations.deliver = async (article, destination) => ({
+    destination_id: destination.id,
+    destination: destination.name,
+    type: destination.type,
+    status: article.id === 6 || destination.id === 4 ? 'failed' : 'sent',
+    remote_id: 'r',
+    error: article.id === 6 || destination.id === 4 ? 'HTTP 500' : null
+  });
+  const distro = await jobHandlers.send({ legacy: 'distro', articleIds: [5, 6], destinationIds: [1] }, { job: { attempts: 1 } });
+  assert.deepStrictEqual([distro.success, distro.successCount, distro.failureCount, distro.count], [true, 1, 1, 2]);
+  assert.ok(/sent 1 article to Distro, but 1 failed/.test(distro.message), distro.message);
+  assert.deepStrictEqual(distro.results.map(r => [r.article, r.success]), [['Article 5', true], ['Article 6', false]]);
+  const telegram = await jobHandlers.send({ legacy: 'telegram', articleIds: [5], telegramId: 3, flashId: 4 }, { job: { attempts: 1 } });
+  assert.deepStrictEqual([telegram.success, telegram.telegram.success, telegram.externalApi.error], [true, true, 'HTTP 500']);
+  assert.ok(/failed to send to external API/.test(telegram.message));
+  const noTelegram = await jobHandlers.send({ legacy: 'telegram', articleIds: [5], telegramId: null, flashId: 4 }, { job: { attempts: 1 } });
+  assert.deepStrictEqual([noTelegram.success, noTelegram.error], [false, 'Destination is not configured']);
+  destinations.deliver = deliver;
+
+  // Scrape jobs: a feed check run, or setting up or re-scraping a scraping source
+  const scraped = [];
+  feedMonitor.runCheckJob = async (payload) => { scraped.push(['check', payload.runId]); return { runId: payload.runId }; };
+  sourceScraping.setupScrapingSource = async ({ url }) => { scraped.push(['setup', url]); return { success: true }; };
+  sourceScraping.rescrapeSource = async (source) => { scraped.push(['re-scrape', source.id]); return { success: true, articles_updated: 2 }; };
+  sourceScraping.rescrapeAllSources = async () => { scraped.push(['re-scrape-all']); return { success: true, sources_processed: 0 }; };
+  database.getSourceById = async id => (id === 7 ? { id: 7, name: 'Wire', monitoring_type: 'SCRAPING' } : null);
+  assert.deepStrictEqual(await jobHandlers.scrape({ runId: 4, trigger: 'manual' }, {}), { runId: 4 });
+  await jobHandlers.scrape({ kind: 'setup', url: 'https://example.com/news', name: 'Example' });
+  assert.strictEqual((await jobHandlers.scrape({ kind: 're-scrape', sourceId: 7 })).articles_updated, 2);
+  assert.deepStrictEqual(await jobHandlers.scrape({ kind: 're-scrape', sourceId: 8 }), { success: false, error: 'Source not found' });
+  await jobHandlers.scrape({ kind: 're-scrape-all' });
+  assert.deepStrictEqual(scraped, [['check', 4], ['setup', 'https://example.com/news'], ['re-scrape', 7], ['re-scrape-all']]);
+  // WebSub pushes: the API queues the signed body, the worker ingests it
+  webSub.ingestPush = async (sourceId, rawBody, contentType) => {
+    scraped.push(['push', sourceId, rawBody.toString('utf8'), contentType]);
+    return [{ id: 1 }, { id: 2 }];
+  };
+  const pushed = '<rss><channel><item><title>Fresh</title></item></channel></rss>';
+  assert.deepStrictEqual(
+    await jobHandlers.scrape({ kind: 'push', sourceId: 7, body: Buffer.from(pushed).toString('base64'), contentType: 'application/rss+xml' }),
+    { sourceId: 7, newArticles: 2 }
+  );
+  assert.deepStrictEqual(scraped[4], ['push', 7, pushed, 'application/rss+xml']);
+
+  // Live events go to the relay as well as local clients; a relay error doesn't break publishing
+  const relayed = [];
+  eventStream.setRelay((type, data) => relayed.push([type, data]));
+  eventStream.publish('check-progress', { runId: 3 });
+  eventStream.setRelay(() => { throw new Error('relay down'); });
+  eventStream.publish('check-finished', { runId: 3 });
+  eventStream.setRelay(null);
+  assert.deepStrictEqual(relayed, [['check-progress', { runId: 3 }]]);
+  assert.strictEqual(eventStream.RELAY_CHANNEL, 'scoopstream_events');
+
+  console.log('✅ test-job-queue: all checks passed');
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error('❌ test-job-queue failed:', err.message);
+    if (err.actual !== undefined) console.error('   actual:  ', JSON.stringify(err.actual));
+    if (err.expected !== undefined) console.error('   expected:', JSON.stringify(err.expected));
+    process.exit(1);
+  });
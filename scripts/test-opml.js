@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * Synthetic tests for OPML source import/export (no network, no database).
+ * Run: npm run test:opml
+ * CI-friendly: exits 1 on failure.
+ */
+
+const assert = require('assert');
+const { parseOpml, buildOpml, planOpmlImport, sourceUrlKey } = require('../server/services/opml');
+
+const OPML = `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head><title>Reader export</title></head>
+  <body>
+    <outline text="Markets" title="Markets">
+      <outline type="rss" text="The Block" xmlUrl="https://www.theblock.co/rss.xml" htmlUrl="https://www.theblock.co/" />
+      <outline type="rss" text="CoinDesk" xmlUrl="https://www.coindesk.com/arc/outboundfeeds/rss/" />
+    </outline>
+    <outline text="Research">
+      <outline text="Nested folder">
+        <outline type="link" text="Messari" htmlUrl="https://messari.io/research" />
+      </outline>
+    </outline>
+    <outline type="rss" text="Uncategorized feed" xmlUrl="https://example.com/feed" category="/Tech/Infra,/Other" />
+    <outline type="rss" text="Same feed again" xmlUrl="http://example.com/feed/" />
+    <outline type="rss" text="Broken" xmlUrl="feed://example.org/rss" />
+  </body>
+</opml>`;
+
+function run() {
+  // Parsing
+  const parsed = parseOpml(OPML);
+  assert.strictEqual(parsed.title, 'Reader export');
+  assert.strictEqual(parsed.entries.length, 6, `entries: ${parsed.entries.length}`);
+  assert.deepStrictEqual(parsed.entries[0], {
+    name: 'The Block',
+    feedUrl: 'https://www.theblock.co/rss.xml',
+    siteUrl: 'https://www.theblock.co/',
+    category: 'Markets'
+  });
+  assert.strictEqual(parsed.entries[2].feedUrl, null, 'website-only outline has no feed URL');
+  assert.strictEqual(parsed.entries[2].category, 'Nested folder', 'nearest folder wins');
+  assert.strictEqual(parsed.entries[3].category, 'Infra', 'category attribute path');
+  assert.deepStrictEqual(parsed.categories, ['Markets', 'Research', 'Nested folder', 'Infra']);
+
+  assert.throws(() => parseOpml('<rss><channel></channel></rss>'), /OPML/);
+
+  // URL keys ignore scheme, www and trailing slashes
+  assert.strictEqual(sourceUrlKey('https://www.Example.com/feed/'), sourceUrlKey('http://example.com/feed'));
+  assert.notStrictEqual(sourceUrlKey('https://example.com/feed?cat=1'), sourceUrlKey('https://example.com/feed'));
+
+  // Dry-run plan against existing sources
+  const plan = planOpmlImport(parsed, [
+    { id: 7, name: 'CoinDesk', url: 'https://coindesk.com/arc/outboundfeeds/rss' }
+  ]);
+  const actions = plan.entries.map(e => e.action);
+  assert.deepStrictEqual(actions, ['add_rss', 'duplicate', 'discover', 'add_rss', 'duplicate_in_file', 'invalid'], `actions: ${actions}`);
+  assert.strictEqual(plan.entries[1].existingSourceId, 7);
+  assert.deepStrictEqual(plan.summary, { total: 6, add_rss: 2, duplicate: 1, discover: 1, duplicate_in_file: 1, invalid: 1 });
+
+  // Export round-trips through the parser, keeping categories and SCRAPING sources as websites
+  const xml = buildOpml([
+    { name: 'The Block', url: 'https://www.theblock.co/rss.xml', category: 'Markets', monitoring_type: 'RSS' },
+    { name: 'Messari & Co', url: 'https://messari.io/research', category: 'Research', monitoring_type: 'SCRAPING' },
+    { name: 'No category', url: 'https://example.com/feed', category: null, monitoring_type: 'RSS' }
+  ], { dateCreated: new Date('2025-03-10T00:00:00Z') });
+  assert.ok(xml.includes('Messari &amp; Co'), 'names are escaped');
+  const roundTrip = parseOpml(xml);
+  assert.deepStrictEqual(roundTrip.entries.map(e => [e.name, e.feedUrl, e.siteUrl, e.category]), [
+    ['The Block', 'https://www.theblock.co/rss.xml', null, 'Markets'],
+    ['Messari & Co', null, 'https://messari.io/research', 'Research'],
+    ['No category', 'https://example.com/feed', null, null]
+  ]);
+
+  console.log('✅ test-opml: all checks passed');
+}
+
+try {
+  run();
+  process.exit(0);
+} catch (e) {
+  console.error('❌ test-opml failed:', e.message);
+  if (e.actual !== undefined) console.error('  actual:', e.actual);
+  if (e.expected !== undefined) console.error('  expected:', e.expected);
+  process.exit(1);
+}
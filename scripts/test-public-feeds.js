@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+/**
+ * Synthetic tests for outbound feeds: feed selection, RSS / Atom / JSON Feed rendering and
+ * token access (no network, no database; database calls are stubbed).
+ * Run: npm run test:public-feeds
+ * CI-friendly: exits 1 on failure.
+ */
+
+const assert = require('assert');
+const cheerio = require('cheerio');
+const database = require('../server/database-postgres');
+const publicFeeds = require('../server/services/publicFeeds');
+
+const { parseFeedSelection, normalizeFeedTokenInput, renderFeed, hashToken } = publicFeeds;
+
+const articles = [
+  {
+    id: 7, title: 'Rollup fees drop <again> & more', link: 'https://example.com/fees?a=1&b=2', source_name: 'The Block',
+    category: 'Layer 2', article_hook: 'Fees fell 40%', ai_summary: 'Blob space got cheap.\u0007',
+    pub_date: '2026-03-02T06:00:00Z', sent_at: '2026-03-02T07:30:00Z', updated_at: '2026-03-02T07:45:00Z'
+  },
+  {
+    id: 8, title: 'Validator exits spike', link: 'javascript:alert(1)', source_name: null, author: 'Ana',
+    category: null, article_hook: null, ai_summary: null, publisher_description: 'Exits queue grows.',
+    pub_date: null, created_at: '2026-03-01T22:00:00Z'
+  }
+];
+
+const feed = {
+  title: 'Scoopstream: Sent stories', description: 'Stories the desk has sent',
+  homeUrl: 'https://scoop.test/', feedUrl: 'https://scoop.test/feeds/sent.xml'
+};
+
+async function run() {
+  // Selection from the URL, and token requests
+  assert.deepStrictEqual(parseFeedSelection('sent'), { key: 'sent', kind: 'sent', statuses: null, category: null, title: 'Sent stories', label: 'sent', isPublic: true });
+  assert.deepStrictEqual(parseFeedSelection('selected').statuses, ['triaged', 'drafting', 'in_review', 'approved']);
+  assert.deepStrictEqual(parseFeedSelection('in_review').statuses, ['in_review']);
+  assert.strictEqual(parseFeedSelection('in_review').title, 'In review stories');
+  assert.deepStrictEqual(['selected', 'new', 'drafting', 'rejected'].map(feed => parseFeedSelection(feed).isPublic), [false, false, false, false]);
+  assert.strictEqual(parseFeedSelection('category', 'DeFi').isPublic, true);
+  assert.strictEqual(parseFeedSelection('category', ' Layer 2 ').key, 'category/layer 2');
+  assert.strictEqual(parseFeedSelection('dismissed'), null);
+  assert.strictEqual(parseFeedSelection('category', ''), null);
+
+  assert.deepStrictEqual(normalizeFeedTokenInput({ feed: 'category/Layer 2', name: ' Partner ' }).token, { feedKey: 'category/layer 2', name: 'Partner' });
+  assert.deepStrictEqual(normalizeFeedTokenInput({ feed: 'selected', name: 'P' }).token, { feedKey: 'selected', name: 'P' });
+  assert.ok(normalizeFeedTokenInput({ feed: 'category', name: 'P' }).error, 'category needs a name');
+  assert.ok(normalizeFeedTokenInput({ feed: 'sent/x', name: 'P' }).error, 'only categories take a name');
+  assert.ok(normalizeFeedTokenInput({ feed: 'sent' }).error, 'name required');
+
+  const now = new Date('2026-03-02T08:00:00Z');
+
+  // RSS 2.0: escaped, control characters dropped, only http(s) links, sent time as pubDate
+  const rss = renderFeed('xml', feed, articles, now);
+  assert.strictEqual(rss.contentType, 'application/rss+xml; charset=utf-8');
+  assert.ok(!/[\u0000-\u0008]/.test(rss.body), 'no control characters');
+  let $ = cheerio.load(rss.body, { xmlMode: true });
+  assert.strictEqual($('channel > title').text(), 'Scoopstream: Sent stories');
+  assert.strictEqual($('channel > lastBuildDate').text(), 'Mon, 02 Mar 2026 07:45:00 GMT');
+  assert.strictEqual($('item').length, 2);
+  assert.strictEqual($('item').eq(0).find('title').text(), 'Rollup fees drop <again> & more');
+  assert.strictEqual($('item').eq(0).find('link').text(), 'https://example.com/fees?a=1&b=2');
+  assert.strictEqual($('item').eq(0).find('guid').text(), 'urn:scoopstream:article:7');
+  assert.strictEqual($('item').eq(0).find('pubDate').text(), 'Mon, 02 Mar 2026 07:30:00 GMT');
+  assert.strictEqual($('item').eq(0).find('description').text(), '<p><strong>Fees fell 40%</strong></p><p>Blob space got cheap.</p><p>Source: The Block</p>');
+  assert.strictEqual($('item').eq(1).find('link').length, 0, 'non-http link dropped');
+  assert.strictEqual($('item').eq(1).find('dc\\:creator').text(), 'Ana');
+
+  // Atom 1.0: every entry has an id, updated and author
+  const atom = renderFeed('atom', { ...feed, feedUrl: 'https://scoop.test/feeds/sent.atom' }, articles, now);
+  $ = cheerio.load(atom.body, { xmlMode: true });
+  assert.strictEqual($('feed > id').text(), 'https://scoop.test/feeds/sent.atom');
+  assert.strictEqual($('feed > link[rel="self"]').attr('href'), 'https://scoop.test/feeds/sent.atom');
+  assert.strictEqual($('entry').eq(0).find('link').attr('href'), 'https://example.com/fees?a=1&b=2');
+  assert.strictEqual($('entry').eq(0).find('updated').text(), '2026-03-02T07:45:00.000Z');
+  assert.strictEqual($('entry').eq(0).find('summary').text(), 'Blob space got cheap.');
+  assert.strictEqual($('entry').eq(0).find('category').attr('term'), 'Layer 2');
+  assert.strictEqual($('entry').eq(1).find('author > name').text(), 'Ana');
+  assert.strictEqual($('entry').eq(1).find('published').text(), '2026-03-01T22:00:00.000Z');
+
+  // JSON Feed 1.1
+  const json = renderFeed('json', feed, articles, now);
+  assert.strictEqual(json.contentType, 'application/feed+json; charset=utf-8');
+  const parsed = JSON.parse(json.body);
+  assert.strictEqual(parsed.version, 'https://jsonfeed.org/version/1.1');
+  assert.deepStrictEqual(parsed.items[0].tags, ['Layer 2']);
+  assert.strictEqual(parsed.items[0].date_published, '2026-03-02T07:30:00.000Z');
+  assert.strictEqual(parsed.items[1].url, undefined);
+  assert.strictEqual(parsed.items[1].summary, 'Exits queue grows.');
+
+  // Building: the destination filter resolves keys and ids and shows up in the title and self link
+  const queries = [];
+  database.getDestinationByKey = async key => (key === 'distro' ? { id: 3, name: 'Distro' } : undefined);
+  database.getDestinationById = async id => (id === 3 ? { id: 3, name: 'Distro' } : undefined);
+  database.getFeedArticles = async query => { queries.push(query); return articles.slice(0, 1); };
+
+  const built = await publicFeeds.build(parseFeedSelection('sent'), {
+    format: 'json', destination: 'distro', limit: '500', baseUrl: 'https://scoop.test', path: '/feeds/sent.json'
+  });
+  assert.deepStrictEqual(queries[0], { kind: 'sent', statuses: null, category: null, destinationId: 3, limit: 200 });
+  const builtFeed = JSON.parse(built.body);
+  assert.strictEqual(builtFeed.title, 'Scoopstream: Sent stories — Distro');
+  assert.strictEqual(builtFeed.feed_url, 'https://scoop.test/feeds/sent.json?destination=distro');
+  assert.strictEqual((await publicFeeds.build(parseFeedSelection('sent'), { format: 'xml', destination: '9', baseUrl: '', path: '' })).error, 'Destination not found: 9');
+
+  await publicFeeds.build(parseFeedSelection('category', 'Layer 2'), { format: 'atom', baseUrl: 'https://scoop.test', path: '/feeds/category/Layer%202.atom' });
+  assert.deepStrictEqual(queries[1], { kind: 'sent', statuses: null, category: 'Layer 2', destinationId: null, limit: 50 });
+  await publicFeeds.build(parseFeedSelection('selected'), { format: 'rss', destination: 'distro', baseUrl: 'https://scoop.test', path: '/feeds/selected.rss' });
+  assert.deepStrictEqual(queries[2], { kind: 'status', statuses: ['triaged', 'drafting', 'in_review', 'approved'], category: null, destinationId: null, limit: 50 }, 'destination only narrows sent feeds');
+
+  // Access: public until a feed has tokens, then only its tokens (stored hashed) work
+  const sent = parseFeedSelection('sent');
+  const tokens = { sent: [] };
+  database.checkFeedToken = async (feedKey, tokenHash) => {
+    const list = tokens[feedKey] || [];
+    return { tokenCount: list.length, tokenId: list.includes(tokenHash) ? 1 : null };
+  };
+  database.createFeedToken = async ({ feedKey, name, tokenHash, tokenHint }) => {
+    tokens[feedKey] = [...(tokens[feedKey] || []), tokenHash];
+    return { id: 1, feed_key: feedKey, name, token_hint: tokenHint };
+  };
+  assert.strictEqual(await publicFeeds.authorize(sent, null), true);
+  const created = await publicFeeds.createToken({ feedKey: 'sent', name: 'Partner' });
+  assert.ok(/^[0-9a-f]{48}$/.test(created.token));
+  assert.strictEqual(created.token_hint, created.token.slice(-4));
+  assert.strictEqual(tokens.sent[0], hashToken(created.token), 'only the hash is stored');
+  assert.strictEqual(await publicFeeds.authorize(sent, null), false);
+  assert.strictEqual(await publicFeeds.authorize(sent, 'wrong'), false);
+  assert.strictEqual(await publicFeeds.authorize(sent, created.token), true);
+  assert.strictEqual(await publicFeeds.authorize(parseFeedSelection('category', 'DeFi'), null), true, 'other feeds stay public');
+
+  // The selected and workflow-state feeds (unpublished work) are never public, only readable with
+  // their own tokens: /feeds/selected.xml without one is a 401
+  for (const feed of ['selected', 'new', 'drafting', 'in_review', 'rejected']) {
+    assert.strictEqual(await publicFeeds.authorize(parseFeedSelection(feed), null), false, `${feed} needs a token`);
+  }
+  const reviewToken = await publicFeeds.createToken({ feedKey: 'in_review', name: 'Copy desk' });
+  assert.strictEqual(await publicFeeds.authorize(parseFeedSelection('in_review'), reviewToken.token), true);
+  assert.strictEqual(await publicFeeds.authorize(parseFeedSelection('drafting'), reviewToken.token), false, 'tokens are per feed');
+
+  console.log('✅ test-public-feeds: all checks passed');
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch(e => {
+    console.error('❌ test-public-feeds failed:', e.message);
+    if (e.actual !== undefined) console.error('  actual:', e.actual);
+    if (e.expected !== undefined) console.error('  expected:', e.expected);
+    process.exit(1);
+  });
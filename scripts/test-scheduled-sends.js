@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/**
+ * Synthetic tests for scheduled sends: request validation and how a due send is fired and
+ * recorded (no network, no database; the send path and database writes are stubbed).
+ * Run: npm run test:scheduled-sends
+ * CI-friendly: exits 1 on failure.
+ */
+
+const assert = require('assert');
+const database = require('../server/database-postgres');
+const destinations = require('../server/services/destinations');
+const scheduledSends = require('../server/services/scheduledSends');
+
+const { parseSendAt, normalizeScheduleInput } = scheduledSends;
+
+async function run() {
+  const now = new Date('2026-03-02T08:00:00Z');
+
+  // Send time: ISO with offset, not in the past (a minute of slack), within a year
+  assert.strictEqual(parseSendAt('2026-03-02T09:00:00-05:00', now).sendAt.toISOString(), '2026-03-02T14:00:00.000Z');
+  assert.ok(parseSendAt('2026-03-02T07:59:30Z', now).sendAt, 'a few seconds ago is fine');
+  assert.ok(parseSendAt('2026-03-02T07:50:00Z', now).error, 'past');
+  assert.ok(parseSendAt('2027-06-01T00:00:00Z', now).error, 'too far out');
+  assert.ok(parseSendAt('tomorrow morning', now).error, 'unparseable');
+  assert.ok(parseSendAt(undefined, now).error, 'missing');
+
+  const { schedule } = normalizeScheduleInput(
+    { destinationIds: ['3', 3, 'x', 5], sendAt: '2026-03-02T12:00:00Z', note: '  Embargo until noon UTC ', userName: 'Desk' },
+    now
+  );
+  assert.deepStrictEqual(schedule.destinationIds, [3, 5]);
+  assert.strictEqual(schedule.note, 'Embargo until noon UTC');
+  assert.deepStrictEqual(schedule.options, { userName: 'Desk' });
+  assert.ok(normalizeScheduleInput({ destinationIds: [], sendAt: '2026-03-02T12:00:00Z' }, now).error, 'needs a destination');
+
+  // Firing: outcome of the normal send path is recorded on the row
+  const finished = [];
+  database.finishScheduledSend = async (id, outcome) => { finished.push({ id, ...outcome }); };
+  const outcomes = {
+    1: { status: 'sent', delivery_id: 70, destination: 'Telegram' },
+    2: { status: 'failed', delivery_id: 71, error: 'Distro API error 503', job_status: 'failed' },
+    3: { status: 'failed', delivery_id: 72, error: 'Bot was blocked' }
+  };
+  const calls = [];
+  destinations.deliverArticle = async (articleId, destinationIds, options) => {
+    calls.push({ articleId, destinationIds, options });
+    if (articleId === 404) return null;
+    return { article: { id: articleId, title: 'Story' }, results: [outcomes[articleId]] };
+  };
+
+  await scheduledSends.fire({ id: 10, article_id: 1, destination_id: 9, options: { userName: 'Desk' } });
+  await scheduledSends.fire({ id: 11, article_id: 2, destination_id: 9, options: {} });
+  await scheduledSends.fire({ id: 12, article_id: 3, destination_id: 9, options: {} });
+  await scheduledSends.fire({ id: 13, article_id: 404, destination_id: 9, options: {} });
+
+  assert.deepStrictEqual(calls[0], { articleId: 1, destinationIds: [9], options: { userName: 'Desk' } });
+  assert.deepStrictEqual(finished[0], { id: 10, status: 'sent', deliveryId: 70 });
+  assert.deepStrictEqual(finished[1], {
+    id: 11, status: 'failed', error: 'Distro API error 503 (retrying from the delivery outbox)', deliveryId: 71
+  });
+  assert.deepStrictEqual(finished[2], { id: 12, status: 'failed', error: 'Bot was blocked', deliveryId: 72 });
+  assert.deepStrictEqual(finished[3], { id: 13, status: 'failed', error: 'Article not found' });
+
+  console.log('✅ test-scheduled-sends: all checks passed');
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch(e => {
+    console.error('❌ test-scheduled-sends failed:', e.message);
+    if (e.actual !== undefined) console.error('  actual:', e.actual);
+    if (e.expected !== undefined) console.error('  expected:', e.expected);
+    process.exit(1);
+  });
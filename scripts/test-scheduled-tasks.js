@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ * Synthetic tests for scheduled tasks: defaults from the legacy environment variables,
+ * validating changes, claiming and running due tasks (result, error, duration, next run),
+ * run now, and the feed-monitoring task queueing due sources (no network, no database;
+ * database calls are stubbed).
+ * Run: npm run test:scheduled-tasks
+ * CI-friendly: exits 1 on failure.
+ */
+
+const assert = require('assert');
+const database = require('../server/database-postgres');
+const feedMonitor = require('../server/services/feedMonitor');
+const jobQueue = require('../server/services/jobQueue');
+const taskScheduler = require('../server/services/taskScheduler');
+const { TASKS, intervalCron, normalizeTaskUpdate } = taskScheduler;
+
+// Fake scheduled_tasks storage with the claim rules of the real query
+function stubTaskStorage() {
+  const store = { rows: new Map(), finished: [] };
+  database.ensureScheduledTasks = async (tasks) => {
+    for (const { name, cron, enabled, nextRunAt } of tasks) {
+      if (!store.rows.has(name)) store.rows.set(name, { name, cron, enabled, next_run_at: nextRunAt, running_since: null, run_requested_at: null });
+    }
+  };
+  database.getScheduledTasks = async () => [...store.rows.values()].sort((a, b) => a.name.localeCompare(b.name));
+  database.getScheduledTaskByName = async name => store.rows.get(name);
+  database.updateScheduledTask = async (name, { enabled, cron, nextRunAt, updatedBy }) =>
+    Object.assign(store.rows.get(name), { enabled, cron, next_run_at: nextRunAt, updated_by: updatedBy });
+  database.requestScheduledTaskRun = async (name, requestedBy) =>
+    Object.assign(store.rows.get(name), { run_requested_at: new Date(), run_requested_by: requestedBy });
+  database.claimDueScheduledTasks = async (workerId) => {
+    const now = new Date();
+    const due = [...store.rows.values()].filter(row => !row.running_since
+      && ((row.enabled && row.next_run_at <= now) || row.run_requested_at));
+    return due.map(row => Object.assign(row, {
+      running_since: now,
+      locked_by: workerId,
+      last_trigger: row.run_requested_at ? 'manual' : 'schedule',
+      last_run_by: row.run_requested_at ? row.run_requested_by : null,
+      run_requested_at: null
+    }));
+  };
+  database.finishScheduledTask = async (name, workerId, outcome) => {
+    const row = store.rows.get(name);
+    if (row.locked_by !== workerId) return null;
+    store.finished.push({ name, ...outcome });
+    return Object.assign(row, {
+      running_since: null,
+      locked_by: null,
+      last_status: outcome.status,
+      last_result: outcome.result || null,
+      last_error: outcome.error || null,
+      last_duration_ms: outcome.durationMs,
+      next_run_at: outcome.nextRunAt
+    });
+  };
+  taskScheduler.ensured = false;
+  return store;
+}
+
+async function run() {
+  // Legacy intervals become the nearest cron expression
+  assert.strictEqual(intervalCron(30), '*/30 * * * *');
+  assert.strictEqual(intervalCron(5), '*/5 * * * *');
+  assert.strictEqual(intervalCron(6 * 60), '0 */6 * * *');
+  assert.strictEqual(intervalCron(24 * 60), '0 3 * * *');
+  assert.strictEqual(intervalCron(72 * 60), '0 3 * * *');
+  // Rounded to steps that divide the hour or the day evenly, the shorter one on a tie
+  assert.strictEqual(intervalCron(45), '*/30 * * * *');
+  assert.strictEqual(intervalCron(50), '0 * * * *');
+  assert.strictEqual(intervalCron(7), '*/6 * * * *');
+  assert.strictEqual(intervalCron(5 * 60), '0 */4 * * *');
+  assert.strictEqual(intervalCron(11 * 60), '0 */12 * * *');
+  assert.strictEqual(intervalCron(0), '*/1 * * * *');
+
+  // Changes
+  assert.deepStrictEqual(normalizeTaskUpdate({ enabled: true }), { changes: { enabled: true } });
+  assert.deepStrictEqual(normalizeTaskUpdate({ cron: ' 0  */2 * * * ' }), { changes: { cron: '0 */2 * * *' } });
+  assert.ok(normalizeTaskUpdate({ enabled: 'yes' }).error);
+  assert.ok(/5 fields/.test(normalizeTaskUpdate({ cron: '0 3 * *' }).error));
+  assert.strictEqual(normalizeTaskUpdate({ cron: '0 0 31 2 *' }).error, 'Cron expression never fires');
+  assert.ok(normalizeTaskUpdate({}).error, 'nothing to change');
+
+  // First start: every task gets a row; the ENABLE_AUTO_* variables pick what is on
+  let store = stubTaskStorage();
+  const now = new Date(2026, 4, 1, 10, 0, 30);
+  await taskScheduler.ensureTasks({
+    ENABLE_AUTO_MONITORING: 'true',
+    ENABLE_AUTO_CLEANUP: 'true',
+    CLEANUP_INTERVAL_HOURS: '12',
+    ENRICHMENT_INTERVAL_MINUTES: '15'
+  }, now);
+  assert.deepStrictEqual([...store.rows.values()].map(r => [r.name, r.cron, r.enabled]), [
+    ['feed-monitoring', '* * * * *', true],
+    ['cleanup-old-articles', '0 */12 * * *', true],
+    ['enrich-articles', '*/15 * * * *', false],
+    ['enrich-articles-playwright', '0 */6 * * *', false],
+    ['backfill-pubdates', '0 4 * * *', false],
+    ['cleanup-junk-articles', '30 3 * * *', false]
+  ]);
+  assert.deepStrictEqual(store.rows.get('cleanup-old-articles').next_run_at, new Date(2026, 4, 1, 12, 0, 0));
+  assert.deepStrictEqual(store.rows.get('feed-monitoring').next_run_at, new Date(2026, 4, 1, 10, 1, 0));
+
+  const listed = await taskScheduler.list();
+  assert.strictEqual(listed.length, Object.keys(TASKS).length);
+  const junk = listed.find(t => t.name === 'cleanup-junk-articles');
+  assert.deepStrictEqual([junk.label, junk.default_cron, junk.running], ['Delete junk articles', '30 3 * * *', false]);
+
+  // Reschedule / disable: the next run is counted from the new schedule
+  assert.strictEqual(await taskScheduler.update('reindex', { enabled: true }), null);
+  assert.ok((await taskScheduler.update('backfill-pubdates', { cron: 'often' })).error);
+  const { task: rescheduled } = await taskScheduler.update('backfill-pubdates', { enabled: true, cron: '15 2 * * *' }, 'Ana');
+  assert.deepStrictEqual([rescheduled.enabled, rescheduled.cron, rescheduled.updated_by], [true, '15 2 * * *', 'Ana']);
+  assert.strictEqual(rescheduled.next_run_at.getHours(), 2);
+  assert.strictEqual(rescheduled.next_run_at.getMinutes(), 15);
+  const { task: disabled } = await taskScheduler.update('feed-monitoring', { enabled: false });
+  assert.deepStrictEqual([disabled.enabled, disabled.cron], [false, '* * * * *'], 'cron left as it was');
+
+  // A tick runs what is due and records the result or error, duration and next run
+  store = stubTaskStorage();
+  await taskScheduler.ensureTasks({}, now);
+  const ran = [];
+  const runs = Object.fromEntries(Object.keys(TASKS).map(name => [name, TASKS[name].run]));
+  TASKS['cleanup-junk-articles'].run = async () => { ran.push('junk'); return { deletedCount: 4 }; };
+  TASKS['backfill-pubdates'].run = async () => { ran.push('backfill'); throw new Error('feed timed out'); };
+  TASKS['enrich-articles'].run = async () => { ran.push('enrich'); };
+  for (const name of ['cleanup-junk-articles', 'backfill-pubdates']) {
+    Object.assign(store.rows.get(name), { enabled: true, next_run_at: new Date(Date.now() - 1000) });
+  }
+  Object.assign(store.rows.get('enrich-articles'), { next_run_at: new Date(Date.now() - 1000) }); // due, but disabled
+  taskScheduler.workerId = 'test:1';
+
+  const finished = await taskScheduler.tick();
+  assert.deepStrictEqual(ran.sort(), ['backfill', 'junk']);
+  assert.strictEqual(finished.length, 2);
+  const junkRow = store.rows.get('cleanup-junk-articles');
+  assert.deepStrictEqual([junkRow.last_status, junkRow.last_result, junkRow.last_trigger, junkRow.running_since], ['succeeded', { deletedCount: 4 }, 'schedule', null]);
+  assert.ok(junkRow.last_duration_ms >= 0);
+  assert.ok(junkRow.next_run_at > new Date(), 'next run pushed out');
+  assert.deepStrictEqual([junkRow.next_run_at.getHours(), junkRow.next_run_at.getMinutes()], [3, 30]);
+  const backfillRow = store.rows.get('backfill-pubdates');
+  assert.deepStrictEqual([backfillRow.last_status, backfillRow.last_error], ['failed', 'feed timed out']);
+  assert.deepStrictEqual(await taskScheduler.tick(), [], 'nothing due any more');
+
+  // Run now works for disabled tasks, records who asked and is refused while the task runs
+  const { task: requested } = await taskScheduler.runNow('enrich-articles', 'Ben');
+  assert.ok(requested.run_requested_at);
+  await taskScheduler.tick();
+  const enrichRow = store.rows.get('enrich-articles');
+  assert.deepStrictEqual([enrichRow.last_status, enrichRow.last_result, enrichRow.last_trigger, enrichRow.last_run_by], ['succeeded', null, 'manual', 'Ben']);
+  assert.strictEqual(ran.filter(r => r === 'enrich').length, 1);
+  assert.strictEqual(enrichRow.enabled, false, 'still disabled');
+  store.rows.get('enrich-articles').running_since = new Date();
+  assert.ok(/already running/.test((await taskScheduler.runNow('enrich-articles')).error));
+  store.rows.get('enrich-articles').running_since = new Date(Date.now() - 2 * 60 * 60 * 1000);
+  assert.ok((await taskScheduler.runNow('enrich-articles')).task, 'a run from a dead worker does not block');
+  assert.strictEqual(await taskScheduler.runNow('reindex'), null);
+  for (const [name, fn] of Object.entries(runs)) TASKS[name].run = fn;
+
+  // Feed monitoring: due sources are claimed and queued as one scheduled check
+  const SOURCES = [
+    { id: 1, name: 'Wire', schedule_type: 'interval', schedule_interval_minutes: 30 },
+    { id: 2, name: 'Daily', schedule_type: 'cron', schedule_cron: '0 6 * * *' }
+  ];
+  const claimedAt = new Map();
+  const queued = [];
+  let activeJob = null;
+  database.getDueSources = async () => SOURCES;
+  database.setSourceNextCheckAt = async (id, at) => { claimedAt.set(id, at); };
+  jobQueue.findActive = async () => activeJob;
+  feedMonitor.queueCheck = async (request) => {
+    queued.push([request.trigger, request.sources.map(s => s.id)]);
+    return { run: { id: 12 } };
+  };
+  assert.deepStrictEqual(await TASKS['feed-monitoring'].run(), { dueSources: 2, runId: 12 });
+  assert.deepStrictEqual(queued, [['scheduled', [1, 2]]]);
+  assert.strictEqual(claimedAt.get(2).getHours(), 6);
+
+  activeJob = { id: 3, payload: { runId: 11 } };
+  assert.deepStrictEqual(await TASKS['feed-monitoring'].run(), { skipped: 'Another check is in progress' });
+  assert.strictEqual(queued.length, 1, 'due sources wait for the running check');
+
+  activeJob = null;
+  database.getDueSources = async () => [];
+  assert.deepStrictEqual(await TASKS['feed-monitoring'].run(), { dueSources: 0 });
+
+  console.log('✅ test-scheduled-tasks: all checks passed');
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error('❌ test-scheduled-tasks failed:', err.message);
+    if (err.actual !== undefined) console.error('   actual:  ', JSON.stringify(err.actual));
+    if (err.expected !== undefined) console.error('   expected:', JSON.stringify(err.expected));
+    process.exit(1);
+  });
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * Synthetic tests for the feed check worker pool: per-lane concurrency and order, memory
+ * admission (hold back, collect garbage, run or skip), stopping, worker errors and the
+ * browser slot limiter (no network, no database; memory readings are faked).
+ * Run: npm run test:source-pool
+ * CI-friendly: exits 1 on failure.
+ */
+
+const assert = require('assert');
+const { runPool, createLimiter } = require('../server/services/sourcePool');
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 1));
+
+const LANES = {
+  rss: { concurrency: 3, memoryBudgetMB: 350, overBudget: 'run' },
+  browser: { concurrency: 1, memoryBudgetMB: 280, overBudget: 'skip' }
+};
+const ITEMS = [
+  { name: 'feed-1', lane: 'rss' },
+  { name: 'site-1', lane: 'browser' },
+  { name: 'feed-2', lane: 'rss' },
+  { name: 'feed-3', lane: 'rss' },
+  { name: 'site-2', lane: 'browser' },
+  { name: 'feed-4', lane: 'rss' },
+  { name: 'feed-5', lane: 'rss' }
+];
+const laneOf = item => item.lane;
+
+// Worker that records start order and the most items each lane had running at once
+function tracker() {
+  const running = { rss: 0, browser: 0 };
+  const peak = { rss: 0, browser: 0 };
+  const started = [];
+  const worker = async item => {
+    started.push(item.name);
+    running[item.lane]++;
+    peak[item.lane] = Math.max(peak[item.lane], running[item.lane]);
+    await tick();
+    running[item.lane]--;
+  };
+  return { running, peak, started, worker };
+}
+
+async function run() {
+  // Lanes run side by side, each up to its own concurrency, in the order given
+  let t = tracker();
+  assert.deepStrictEqual(await runPool(ITEMS, { laneOf, lanes: LANES, worker: t.worker, getMemoryMB: () => 100 }), { stopped: false });
+  assert.deepStrictEqual(t.peak, { rss: 3, browser: 1 });
+  assert.deepStrictEqual(t.started.filter(name => name.startsWith('feed')), ['feed-1', 'feed-2', 'feed-3', 'feed-4', 'feed-5']);
+  assert.deepStrictEqual(t.started.filter(name => name.startsWith('site')), ['site-1', 'site-2']);
+  assert.deepStrictEqual(await runPool([], { laneOf, lanes: LANES, worker: t.worker }), { stopped: false }, 'nothing to do');
+
+  // Over budget with work in flight: hold back until memory comes down (here every feed
+  // takes memory over budget until it finishes)
+  t = tracker();
+  let memory = 100;
+  await runPool(ITEMS.filter(item => item.lane === 'rss'), {
+    laneOf,
+    lanes: LANES,
+    worker: async item => {
+      await t.worker(item);
+      memory = 100;
+    },
+    getMemoryMB: () => {
+      const reading = memory;
+      memory = 400;
+      return reading;
+    }
+  });
+  assert.strictEqual(t.peak.rss, 1, 'one at a time while over budget');
+  assert.strictEqual(t.started.length, 5);
+
+  // Over budget with nothing in flight: collect garbage once, then feeds run anyway and
+  // browser sources are skipped
+  t = tracker();
+  let collections = 0;
+  const skipped = [];
+  await runPool(ITEMS, {
+    laneOf,
+    lanes: LANES,
+    worker: t.worker,
+    onSkip: async (item, memoryMB) => { skipped.push([item.name, memoryMB]); },
+    getMemoryMB: () => 400,
+    gc: () => { collections++; }
+  });
+  assert.deepStrictEqual(t.started, ['feed-1', 'feed-2', 'feed-3', 'feed-4', 'feed-5']);
+  assert.strictEqual(t.peak.rss, 1);
+  assert.deepStrictEqual(skipped, [['site-1', 400], ['site-2', 400]]);
+  assert.ok(collections >= 1);
+
+  // Garbage collection that frees enough lets the item run normally
+  t = tracker();
+  memory = 300;
+  await runPool([{ name: 'site-1', lane: 'browser' }], {
+    laneOf,
+    lanes: LANES,
+    worker: t.worker,
+    onSkip: async () => assert.fail('should not skip'),
+    getMemoryMB: () => memory,
+    gc: () => { memory = 200; }
+  });
+  assert.deepStrictEqual(t.started, ['site-1']);
+
+  // Stop: nothing new starts, in-flight items finish
+  t = tracker();
+  let stop = false;
+  const result = await runPool(ITEMS, {
+    laneOf,
+    lanes: LANES,
+    worker: async item => {
+      stop = true;
+      await t.worker(item);
+    },
+    shouldStop: () => stop,
+    getMemoryMB: () => 100
+  });
+  assert.deepStrictEqual(result, { stopped: true });
+  assert.deepStrictEqual(t.started, ['feed-1', 'feed-2', 'feed-3', 'site-1']);
+  assert.deepStrictEqual(t.running, { rss: 0, browser: 0 }, 'in-flight items finished first');
+
+  // A worker error: nothing new starts and the pool rejects once the others are done
+  t = tracker();
+  await assert.rejects(runPool(ITEMS, {
+    laneOf,
+    lanes: LANES,
+    worker: async item => {
+      await t.worker(item);
+      if (item.name === 'feed-2') throw new Error('database gone');
+    },
+    getMemoryMB: () => 100
+  }), /database gone/);
+  assert.deepStrictEqual(t.running, { rss: 0, browser: 0 });
+  assert.ok(!t.started.includes('feed-5'));
+  await assert.rejects(runPool(ITEMS, { laneOf: () => 'gpu', lanes: LANES, worker: t.worker }), /Unknown pool lane "gpu"/);
+
+  // Browser slot: one holder at a time, first come first served
+  const slot = createLimiter(1);
+  const order = [];
+  let holders = 0;
+  const useBrowser = name => slot.run(async () => {
+    holders++;
+    assert.strictEqual(holders, 1, 'one browser at a time');
+    order.push(name);
+    await tick();
+    holders--;
+    return name;
+  });
+  assert.deepStrictEqual(await Promise.all([useBrowser('a'), useBrowser('b'), useBrowser('c')]), ['a', 'b', 'c']);
+  assert.deepStrictEqual(order, ['a', 'b', 'c']);
+  await assert.rejects(slot.run(async () => { throw new Error('launch failed'); }), /launch failed/);
+  const release = await slot.acquire();
+  assert.strictEqual(slot.active, 1, 'a failed task gave its slot back');
+  const waiter = useBrowser('d');
+  await tick();
+  assert.strictEqual(slot.waiting, 1);
+  release();
+  assert.strictEqual(await waiter, 'd');
+  assert.strictEqual(slot.active, 0);
+
+  console.log('✅ test-source-pool: all checks passed');
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch(e => {
+    console.error('❌ test-source-pool failed:', e.message);
+    if (e.actual !== undefined) console.error('  actual:', e.actual);
+    if (e.expected !== undefined) console.error('  expected:', e.expected);
+    process.exit(1);
+  });
@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+/**
+ * Synthetic tests for per-source polling schedules and adaptive backoff (no network, no database).
+ * Run: npm run test:source-schedule
+ * CI-friendly: exits 1 on failure.
+ */
+
+const assert = require('assert');
+const sourceScheduler = require('../server/services/sourceScheduler');
+const { getNextCronDate, validateSchedule, computeAdaptiveInterval } = sourceScheduler;
+
+// Local-time helper so results don't depend on the machine's timezone
+function at(y, mo, d, h = 0, mi = 0) {
+  return new Date(y, mo - 1, d, h, mi, 0, 0);
+}
+
+function run() {
+  // Every 5 minutes
+  let got = getNextCronDate('*/5 * * * *', at(2025, 3, 10, 9, 2));
+  assert.strictEqual(got.getTime(), at(2025, 3, 10, 9, 5).getTime(), `*/5: got ${got}`);
+
+  // Strictly after `from`, even when `from` is itself a match
+  got = getNextCronDate('*/5 * * * *', at(2025, 3, 10, 9, 5));
+  assert.strictEqual(got.getTime(), at(2025, 3, 10, 9, 10).getTime(), `*/5 on boundary: got ${got}`);
+
+  // Weekdays at 08:30 — Friday evening rolls to Monday (2025-03-14 is a Friday)
+  got = getNextCronDate('30 8 * * mon-fri', at(2025, 3, 14, 18, 0));
+  assert.strictEqual(got.getTime(), at(2025, 3, 17, 8, 30).getTime(), `mon-fri: got ${got}`);
+
+  // Monthly on the 1st at midnight, across a year boundary
+  got = getNextCronDate('0 0 1 * *', at(2025, 12, 15, 12, 0));
+  assert.strictEqual(got.getTime(), at(2026, 1, 1, 0, 0).getTime(), `monthly: got ${got}`);
+
+  // Sunday can be written as 7
+  got = getNextCronDate('0 12 * * 7', at(2025, 3, 10, 0, 0));
+  assert.strictEqual(got.getDay(), 0, `dow 7: got ${got}`);
+
+  // Both day fields restricted: either may match (the 1st, or a Monday; 2025-03-10 is a Monday)
+  got = getNextCronDate('0 9 1 * mon', at(2025, 3, 5, 0, 0));
+  assert.strictEqual(got.getTime(), at(2025, 3, 10, 9, 0).getTime(), `dom or dow: got ${got}`);
+
+  // A day-of-month step starts with * and isn't a restriction: odd days that are Mondays
+  got = getNextCronDate('0 9 */2 * mon', at(2025, 3, 5, 0, 0));
+  assert.strictEqual(got.getTime(), at(2025, 3, 17, 9, 0).getTime(), `*/2 and dow: got ${got}`);
+
+  // Impossible date never fires
+  assert.strictEqual(getNextCronDate('0 0 31 2 *', at(2025, 1, 1)), null, 'Feb 31');
+
+  // Interval / adaptive next check
+  const from = at(2025, 3, 10, 9, 0);
+  got = sourceScheduler.computeNextCheckAt({ schedule_type: 'interval', schedule_interval_minutes: 5 }, from);
+  assert.strictEqual(got.getTime(), at(2025, 3, 10, 9, 5).getTime(), `interval: got ${got}`);
+  got = sourceScheduler.computeNextCheckAt({}, from);
+  assert.strictEqual(got.getTime(), at(2025, 3, 10, 9, 30).getTime(), `default interval: got ${got}`);
+  got = sourceScheduler.computeNextCheckAt({ schedule_type: 'cron', schedule_cron: '0 * * * *' }, from);
+  assert.strictEqual(got.getTime(), at(2025, 3, 10, 10, 0).getTime(), `cron: got ${got}`);
+
+  // Validation
+  assert.strictEqual(validateSchedule({ scheduleType: 'interval', intervalMinutes: 5 }), null);
+  assert.strictEqual(validateSchedule({ scheduleType: 'cron', cron: '*/10 6-22 * * *' }), null);
+  assert.ok(validateSchedule({ scheduleType: 'hourly', intervalMinutes: 60 }), 'unknown type');
+  assert.ok(validateSchedule({ scheduleType: 'interval', intervalMinutes: 0 }), 'zero interval');
+  assert.ok(validateSchedule({ scheduleType: 'cron', cron: '* * *' }), 'too few fields');
+  assert.ok(validateSchedule({ scheduleType: 'cron', cron: '61 * * * *' }), 'minute out of range');
+
+  // Adaptive: a burst halves the interval
+  const now = at(2025, 3, 10, 12, 0);
+  let decision = computeAdaptiveInterval({ currentMinutes: 30, baseMinutes: 30, newArticles: 4, articlesLast7d: 10, lastArticleAt: now, now });
+  assert.strictEqual(decision.minutes, 15, `burst: got ${decision.minutes}`);
+  assert.ok(decision.reason.includes('Burst'), `burst reason: ${decision.reason}`);
+
+  // Adaptive: bursts never go below the 5-minute floor
+  decision = computeAdaptiveInterval({ currentMinutes: 6, baseMinutes: 30, newArticles: 10, now });
+  assert.strictEqual(decision.minutes, 5, `burst floor: got ${decision.minutes}`);
+
+  // Adaptive: quiet for days backs off exponentially, capped at one day
+  const threeDaysAgo = new Date(now.getTime() - 3 * 24 * 60 * 60 * 1000);
+  decision = computeAdaptiveInterval({ currentMinutes: 120, baseMinutes: 30, newArticles: 0, lastArticleAt: threeDaysAgo, now });
+  assert.strictEqual(decision.minutes, 240, `backoff: got ${decision.minutes}`);
+  assert.ok(decision.reason.includes('3 day'), `backoff reason: ${decision.reason}`);
+  decision = computeAdaptiveInterval({ currentMinutes: 1000, baseMinutes: 30, newArticles: 0, lastArticleAt: threeDaysAgo, now });
+  assert.strictEqual(decision.minutes, 24 * 60, `backoff cap: got ${decision.minutes}`);
+
+  // Adaptive: a failed scrape backs off even if the last article is recent
+  decision = computeAdaptiveInterval({ currentMinutes: 30, baseMinutes: 30, newArticles: 0, lastArticleAt: now, scrapingResult: { success: false }, now });
+  assert.strictEqual(decision.minutes, 60, `scrape failed: got ${decision.minutes}`);
+
+  // Adaptive: after a burst, quiet checks relax back toward the base interval
+  decision = computeAdaptiveInterval({ currentMinutes: 10, baseMinutes: 30, newArticles: 0, lastArticleAt: now, now });
+  assert.strictEqual(decision.minutes, 20, `relax: got ${decision.minutes}`);
+
+  // Adaptive: steady publisher (14/week) is checked about twice per 12h gap
+  decision = computeAdaptiveInterval({ currentMinutes: 30, baseMinutes: 30, newArticles: 1, articlesLast7d: 14, lastArticleAt: now, now });
+  assert.strictEqual(decision.minutes, 360, `steady: got ${decision.minutes}`);
+
+  // describeSchedule surfaces the adaptive reason
+  const described = sourceScheduler.describeSchedule({ schedule_type: 'adaptive', schedule_interval_minutes: 30, adaptive_interval_minutes: 240, adaptive_reason: 'quiet' });
+  assert.deepStrictEqual(described, { interval_minutes: 240, reason: 'quiet' });
+
+  console.log('✅ test-source-schedule: all checks passed');
+}
+
+try {
+  run();
+  process.exit(0);
+} catch (e) {
+  console.error('❌ test-source-schedule failed:', e.message);
+  if (e.actual !== undefined) console.error('  actual:', e.actual);
+  if (e.expected !== undefined) console.error('  expected:', e.expected);
+  process.exit(1);
+}
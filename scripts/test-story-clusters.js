@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * Synthetic tests for near-duplicate story clustering (no network, no database).
+ * Run: npm run test:story-clusters
+ * CI-friendly: exits 1 on failure.
+ */
+
+const assert = require('assert');
+const { storySimilarity, findBestMatch, pickLeadArticle } = require('../server/services/storyClusters');
+
+function run() {
+  const coindesk = {
+    id: 1,
+    source_id: 10,
+    title: 'Circle files for IPO on the New York Stock Exchange',
+    preview: 'USDC issuer Circle has filed confidentially for an initial public offering on the NYSE.',
+    pub_date: '2026-06-01T10:00:00Z'
+  };
+  const theBlock = {
+    id: 2,
+    source_id: 11,
+    title: 'USDC issuer Circle files for New York Stock Exchange IPO',
+    preview: 'Circle, the company behind USDC, filed for an IPO on the NYSE on Monday.',
+    pub_date: '2026-06-01T11:30:00Z'
+  };
+  const unrelated = {
+    id: 3,
+    source_id: 12,
+    title: 'Ethereum developers schedule Pectra upgrade for mainnet',
+    preview: 'Core developers agreed on a date for the next hard fork.',
+    pub_date: '2026-06-01T09:00:00Z'
+  };
+
+  // Same story, different wording
+  const same = storySimilarity(coindesk, theBlock);
+  assert.ok(same.same, `expected a match, title ${same.titleScore.toFixed(2)} body ${same.bodyScore.toFixed(2)}`);
+  assert.strictEqual(storySimilarity(coindesk, unrelated).same, false);
+
+  // Short generic titles are never clustered on, even when identical
+  assert.strictEqual(storySimilarity({ title: 'Weekly update' }, { title: 'Weekly update' }).same, false);
+
+  // Best match skips the article's own source
+  assert.strictEqual(findBestMatch(theBlock, [unrelated, coindesk]).article.id, 1);
+  assert.strictEqual(findBestMatch({ ...theBlock, source_id: 10 }, [unrelated, coindesk]), null, 'same source is not a near-duplicate');
+  assert.strictEqual(findBestMatch(theBlock, []), null);
+
+  // Lead is the earliest published; ties go to the article with more content
+  assert.strictEqual(pickLeadArticle([theBlock, coindesk]).id, 1);
+  const lead = pickLeadArticle([
+    { id: 5, pub_date: null, created_at: '2026-06-01T12:00:00Z', content_length: 100 },
+    { id: 6, pub_date: '2026-06-01T12:00:00Z', content_length: 4000 },
+    { id: 7, pub_date: '2026-06-01T12:00:00Z', content_length: 200 }
+  ]);
+  assert.strictEqual(lead.id, 6);
+
+  console.log('✅ test-story-clusters: all checks passed');
+}
+
+try {
+  run();
+  process.exit(0);
+} catch (e) {
+  console.error('❌ test-story-clusters failed:', e.message);
+  if (e.actual !== undefined) console.error('  actual:', e.actual);
+  if (e.expected !== undefined) console.error('  expected:', e.expected);
+  process.exit(1);
+}
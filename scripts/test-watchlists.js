@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Synthetic tests for watchlist rule validation and matching (no network, no database).
+ * Run: npm run test:watchlists
+ * CI-friendly: exits 1 on failure.
+ */
+
+const assert = require('assert');
+const { normalizeWatchlistInput, compileWatchlist, matchWatchlist } = require('../server/services/watchlists');
+
+function run() {
+  // Validation
+  let result = normalizeWatchlistInput({ name: '  Stablecoins ', include_terms: 'Circle, USDC\nTether', scope: 'title' });
+  assert.strictEqual(result.error, undefined, result.error);
+  assert.deepStrictEqual(result.watchlist, {
+    name: 'Stablecoins',
+    includeTerms: ['Circle', 'USDC', 'Tether'],
+    excludeTerms: [],
+    regexes: [],
+    scope: 'title',
+    isActive: true
+  });
+  assert.ok(normalizeWatchlistInput({ include_terms: ['x'] }).error, 'name required');
+  assert.ok(normalizeWatchlistInput({ name: 'Empty' }).error, 'needs a term or regex');
+  assert.ok(normalizeWatchlistInput({ name: 'Bad', regexes: ['(unclosed'] }).error, 'invalid regex');
+  assert.ok(normalizeWatchlistInput({ name: 'Bad scope', include_terms: ['x'], scope: 'everywhere' }).error, 'invalid scope');
+
+  // Partial updates leave omitted fields undefined
+  result = normalizeWatchlistInput({ exclude_terms: ['sponsored'] }, { partial: true });
+  assert.deepStrictEqual(result.watchlist, { excludeTerms: ['sponsored'] });
+
+  const article = {
+    title: 'Coinbase lists $ETH staking product as SEC review drags on',
+    preview: 'Brian Armstrong said the exchange expects clarity on ticker COIN by Q3.',
+    content: 'Full text mentions Ethereum and ETF flows.'
+  };
+
+  // Whole-word, case-insensitive include terms; tickers with symbols work
+  const companies = compileWatchlist({ id: 1, name: 'Companies', include_terms: ['coinbase', '$ETH', 'Base'], scope: 'body' });
+  assert.deepStrictEqual(matchWatchlist(companies, article), ['coinbase', '$ETH'], '"Base" must not match inside "Coinbase"');
+
+  // Title scope ignores the body
+  const people = compileWatchlist({ id: 2, name: 'People', include_terms: ['Brian Armstrong'], scope: 'title' });
+  assert.strictEqual(matchWatchlist(people, article), null);
+  const peopleBody = compileWatchlist({ id: 3, name: 'People (body)', include_terms: ['Brian Armstrong'], scope: 'body' });
+  assert.deepStrictEqual(matchWatchlist(peopleBody, article), ['Brian Armstrong']);
+
+  // Regexes report the text they matched; /pattern/flags form is supported
+  const tickers = compileWatchlist({ id: 4, name: 'Tickers', regexes: ['/\\bticker [A-Z]{2,5}\\b/', 'q[1-4]'], scope: 'body' });
+  assert.deepStrictEqual(matchWatchlist(tickers, article), ['ticker COIN', 'Q3']);
+
+  // Exclude terms veto a match
+  const etf = compileWatchlist({ id: 5, name: 'ETFs', include_terms: ['ETF'], exclude_terms: ['SEC review'], scope: 'body' });
+  assert.strictEqual(matchWatchlist(etf, article), null);
+
+  // Invalid stored regexes are skipped rather than throwing
+  const broken = compileWatchlist({ id: 6, name: 'Broken', include_terms: ['Ethereum'], regexes: ['(unclosed'], scope: 'body' });
+  assert.deepStrictEqual(matchWatchlist(broken, article), ['Ethereum']);
+
+  console.log('✅ test-watchlists: all checks passed');
+}
+
+try {
+  run();
+  process.exit(0);
+} catch (e) {
+  console.error('❌ test-watchlists failed:', e.message);
+  if (e.actual !== undefined) console.error('  actual:', e.actual);
+  if (e.expected !== undefined) console.error('  expected:', e.expected);
+  process.exit(1);
+}
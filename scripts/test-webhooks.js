@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * Synthetic tests for outbound webhooks: input validation, HMAC signing, backoff and the
+ * attempt/retry bookkeeping (no database; deliveries go to a throwaway server on 127.0.0.1).
+ * Run: npm run test:webhooks
+ * CI-friendly: exits 1 on failure.
+ */
+
+const assert = require('assert');
+const http = require('http');
+const database = require('../server/database-postgres');
+const webhooks = require('../server/services/webhooks');
+
+const { normalizeWebhookInput, presentWebhook, signPayload, retryDelaySeconds, MAX_ATTEMPTS, SECRET_MASK } = webhooks;
+
+// Receiver that answers with the queued status codes and keeps what it got
+function startReceiver(statusCodes) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(statusCodes.shift() || 200, { 'Content-Type': 'text/plain' });
+      res.end('thanks');
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, received, url: `http://127.0.0.1:${server.address().port}/hook` }));
+  });
+}
+
+async function run() {
+  // Input validation
+  let result = normalizeWebhookInput({ name: ' CMS ', url: 'https://cms.example.com/hook', event_types: ['article.sent', 'article.sent'] });
+  assert.deepStrictEqual(result.webhook, { name: 'CMS', url: 'https://cms.example.com/hook', eventTypes: ['article.sent'], isActive: true });
+  assert.ok(normalizeWebhookInput({ name: 'X', url: 'ftp://x', event_types: ['article.sent'] }).error, 'http(s) only');
+  assert.ok(normalizeWebhookInput({ name: 'X', url: 'https://x', event_types: [] }).error, 'needs an event type');
+  assert.ok(normalizeWebhookInput({ name: 'X', url: 'https://x', event_types: ['article.deleted'] }).error, 'unknown event type');
+  assert.ok(normalizeWebhookInput({ name: 'X', url: 'https://x', event_types: ['article.sent'], secret: 'short' }).error, 'short secret');
+  assert.deepStrictEqual(normalizeWebhookInput({ secret: SECRET_MASK, is_active: false }, { partial: true }).webhook, { isActive: false });
+  assert.strictEqual(presentWebhook({ id: 1, secret: 's3cret' }).secret, SECRET_MASK);
+  assert.strictEqual(presentWebhook({ id: 1, secret: 's3cret' }, { revealSecret: true }).secret, 's3cret');
+
+  // Backoff doubles from 30s and is capped at 6h
+  assert.deepStrictEqual([1, 2, 3, 4].map(retryDelaySeconds), [30, 60, 120, 240]);
+  assert.strictEqual(retryDelaySeconds(20), 6 * 60 * 60);
+
+  // Attempts against a live receiver; database writes are captured instead of stored
+  const recorded = [];
+  database.recordWebhookAttempt = async (id, outcome) => { recorded.push({ id, ...outcome }); };
+  const { server, received, url } = await startReceiver([200, 503]);
+  try {
+    const delivery = {
+      id: 11,
+      webhook_name: 'CMS',
+      url,
+      secret: 'receiver-shared-secret',
+      event_type: 'article.created',
+      attempts: 0,
+      payload: { id: 'evt-1', type: 'article.created', created_at: '2026-01-01T00:00:00.000Z', data: { article: { id: 5 } } }
+    };
+
+    assert.strictEqual(await webhooks.attempt(delivery), true);
+    const [request] = received;
+    assert.strictEqual(request.headers['x-scoopstream-event'], 'article.created');
+    assert.strictEqual(request.headers['x-scoopstream-delivery'], '11');
+    assert.strictEqual(
+      request.headers['x-scoopstream-signature'],
+      signPayload('receiver-shared-secret', request.headers['x-scoopstream-timestamp'], request.body),
+      'receiver can verify the signature over the exact body'
+    );
+    assert.deepStrictEqual(JSON.parse(request.body), delivery.payload);
+    assert.deepStrictEqual(recorded[0], { id: 11, status: 'delivered', attempts: 1, statusCode: 200, responseBody: 'thanks' });
+
+    // A 5xx is retried later with backoff; the last allowed attempt gives up
+    assert.strictEqual(await webhooks.attempt({ ...delivery, attempts: 2 }), false);
+    assert.deepStrictEqual(recorded[1], {
+      id: 11, status: 'pending', attempts: 3, retryInSeconds: 120, statusCode: 503, error: 'HTTP 503', responseBody: 'thanks'
+    });
+
+    assert.strictEqual(await webhooks.attempt({ ...delivery, url: 'http://127.0.0.1:1/closed', attempts: MAX_ATTEMPTS - 1 }), false);
+    assert.strictEqual(recorded[2].status, 'failed');
+    assert.strictEqual(recorded[2].attempts, MAX_ATTEMPTS);
+    assert.ok(/ECONNREFUSED/.test(recorded[2].error), recorded[2].error);
+  } finally {
+    server.close();
+  }
+
+  console.log('✅ test-webhooks: all checks passed');
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch(e => {
+    console.error('❌ test-webhooks failed:', e.message);
+    if (e.actual !== undefined) console.error('  actual:', e.actual);
+    if (e.expected !== undefined) console.error('  expected:', e.expected);
+    process.exit(1);
+  });
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Synthetic tests for WebSub hub discovery and push signature checks (no network, no database).
+ * Run: npm run test:websub
+ * CI-friendly: exits 1 on failure.
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const { discoverWebSubLinks, verifySignature } = require('../server/services/webSub');
+
+function run() {
+  // RSS with atom:link hub/self
+  let links = discoverWebSubLinks(`<rss><channel>
+    <atom:link href="https://example.com/feed/" rel="self" type="application/rss+xml" />
+    <atom:link rel="hub" href="https://pubsubhubbub.appspot.com/" />
+  </channel></rss>`);
+  assert.strictEqual(links.hub, 'https://pubsubhubbub.appspot.com/', `rss hub: got ${links.hub}`);
+  assert.strictEqual(links.self, 'https://example.com/feed/', `rss self: got ${links.self}`);
+
+  // Atom with plain <link> and single quotes
+  links = discoverWebSubLinks(`<feed><link rel='hub' href='https://hub.example/'/><link rel="alternate" href="https://example.com/"/></feed>`);
+  assert.strictEqual(links.hub, 'https://hub.example/', `atom hub: got ${links.hub}`);
+  assert.strictEqual(links.self, null, 'atom without self');
+
+  // HTTP Link header wins and works without a body
+  links = discoverWebSubLinks('', { link: '<https://hub.example/>; rel="hub", <https://example.com/feed>; rel="self"' });
+  assert.deepStrictEqual(links, { hub: 'https://hub.example/', self: 'https://example.com/feed' });
+
+  // JSON Feed hubs
+  links = discoverWebSubLinks(JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    feed_url: 'https://example.com/feed.json',
+    hubs: [{ type: 'WebSub', url: 'https://hub.example/' }],
+    items: []
+  }));
+  assert.deepStrictEqual(links, { hub: 'https://hub.example/', self: 'https://example.com/feed.json' });
+
+  // No hub advertised
+  assert.strictEqual(discoverWebSubLinks('<rss><channel></channel></rss>').hub, null, 'no hub');
+
+  // Signatures
+  const body = Buffer.from('<rss>pushed</rss>');
+  const secret = 's3cret';
+  const sha256 = crypto.createHmac('sha256', secret).update(body).digest('hex');
+  const sha1 = crypto.createHmac('sha1', secret).update(body).digest('hex');
+  assert.strictEqual(verifySignature(body, secret, `sha256=${sha256}`), true, 'sha256 valid');
+  assert.strictEqual(verifySignature(body, secret, `sha1=${sha1}`), true, 'sha1 valid');
+  assert.strictEqual(verifySignature(body, 'other', `sha256=${sha256}`), false, 'wrong secret');
+  assert.strictEqual(verifySignature(Buffer.from('tampered'), secret, `sha256=${sha256}`), false, 'tampered body');
+  assert.strictEqual(verifySignature(body, secret, `md5=${sha256}`), false, 'unsupported algorithm');
+  assert.strictEqual(verifySignature(body, secret, undefined), false, 'missing header');
+
+  console.log('✅ test-websub: all checks passed');
+}
+
+try {
+  run();
+  process.exit(0);
+} catch (e) {
+  console.error('❌ test-websub failed:', e.message);
+  if (e.actual !== undefined) console.error('  actual:', e.actual);
+  if (e.expected !== undefined) console.error('  expected:', e.expected);
+  process.exit(1);
+}
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * Synthetic tests for the editorial workflow: configuration validation, allowed moves,
+ * recorded transitions and send gating (no network, no database; database calls are stubbed).
+ * Run: npm run test:workflow
+ * CI-friendly: exits 1 on failure.
+ */
+
+const assert = require('assert');
+const database = require('../server/database-postgres');
+const destinations = require('../server/services/destinations');
+const workflow = require('../server/services/workflow');
+
+const { DEFAULT_WORKFLOW, normalizeWorkflowInput, normalizeTransitionInput, canTransition, activeStates, closedStates } = workflow;
+
+async function run() {
+  // The default: new → triaged → drafting → in_review → approved → sent, with rejected/archived branches
+  assert.deepStrictEqual(normalizeWorkflowInput(DEFAULT_WORKFLOW).workflow, DEFAULT_WORKFLOW, 'the default validates');
+  assert.deepStrictEqual(activeStates(DEFAULT_WORKFLOW), ['triaged', 'drafting', 'in_review', 'approved']);
+  assert.deepStrictEqual(closedStates(DEFAULT_WORKFLOW), ['rejected', 'archived']);
+  assert.ok(canTransition(DEFAULT_WORKFLOW, 'in_review', 'approved'));
+  assert.ok(!canTransition(DEFAULT_WORKFLOW, 'new', 'approved'), 'no skipping review');
+  assert.ok(!canTransition(DEFAULT_WORKFLOW, 'unknown', 'new'));
+
+  // Configuration validation
+  const minimal = {
+    states: [{ key: 'new' }, { key: 'ready', label: ' Ready ' }, { key: 'sent' }, { key: 'archived', closed: 'yes' }],
+    transitions: { new: ['ready', 'ready', 'archived'], ready: ['sent'] },
+    enforceOnSend: true
+  };
+  assert.deepStrictEqual(normalizeWorkflowInput(minimal).workflow, {
+    states: [{ key: 'new', label: 'new' }, { key: 'ready', label: 'Ready' }, { key: 'sent', label: 'sent' }, { key: 'archived', label: 'archived', closed: true }],
+    transitions: { new: ['ready', 'archived'], ready: ['sent'] },
+    enforceOnSend: true
+  });
+  assert.ok(/must include the states: archived/.test(normalizeWorkflowInput({ ...minimal, states: minimal.states.slice(0, 3) }).error));
+  assert.ok(normalizeWorkflowInput({ ...minimal, states: [...minimal.states, { key: 'Ready!' }] }).error, 'bad key');
+  assert.ok(normalizeWorkflowInput({ ...minimal, states: [...minimal.states, { key: 'ready' }] }).error, 'duplicate');
+  assert.ok(/unknown state "done"/.test(normalizeWorkflowInput({ ...minimal, transitions: { ready: ['done'] } }).error));
+  assert.ok(normalizeWorkflowInput({ ...minimal, transitions: { ready: ['ready'] } }).error, 'no self loops');
+  assert.ok(normalizeWorkflowInput({ ...minimal, transitions: { new: ['ready'] } }).error, 'enforceOnSend needs a way to sent');
+
+  assert.deepStrictEqual(normalizeTransitionInput({ to: ' approved ', actor: ' Ana ', note: '  ' }).transition, { to: 'approved', actor: 'Ana', note: null });
+  assert.ok(normalizeTransitionInput({ to: 'approved' }).error, 'actor required');
+  assert.ok(normalizeTransitionInput({ actor: 'Ana' }).error, 'target required');
+
+  // Transitions: checked against the workflow, recorded with who and why, optimistic on the status
+  const articles = new Map([[1, { id: 1, status: 'in_review' }], [2, { id: 2, status: 'new' }]]);
+  const recorded = [];
+  database.getArticleById = async id => articles.get(id);
+  database.transitionArticle = async (id, from, to, { actor, note }) => {
+    const article = articles.get(id);
+    if (article.status !== from) return undefined;
+    article.status = to;
+    const event = { id: recorded.length + 1, article_id: id, from_status: from, to_status: to, actor, note };
+    recorded.push(event);
+    return event;
+  };
+
+  const moved = await workflow.transition(1, { to: 'approved', actor: 'Ana', note: 'Facts checked' });
+  assert.deepStrictEqual(moved.event, { id: 1, article_id: 1, from_status: 'in_review', to_status: 'approved', actor: 'Ana', note: 'Facts checked' });
+  assert.strictEqual((await workflow.transition(9, { to: 'approved', actor: 'Ana' })).reason, 'not_found');
+  assert.strictEqual((await workflow.transition(1, { to: 'published', actor: 'Ana' })).reason, 'invalid');
+  const skipped = await workflow.transition(2, { to: 'approved', actor: 'Ana' });
+  assert.strictEqual(skipped.reason, 'invalid');
+  assert.ok(/allowed: triaged, rejected, archived/.test(skipped.error), skipped.error);
+
+  // Someone else moved it between the read and the update
+  database.getArticleById = async id => (id === 1 ? { id: 1, status: 'in_review' } : articles.get(id));
+  assert.strictEqual((await workflow.transition(1, { to: 'drafting', actor: 'Ben' })).reason, 'conflict');
+  database.getArticleById = async id => articles.get(id);
+
+  const many = await workflow.transitionMany([2, 1], { to: 'triaged', actor: 'Ben', note: null });
+  assert.deepStrictEqual(many.map(r => [r.article_id, r.success]), [[2, true], [1, false]]);
+  assert.strictEqual(recorded.length, 2);
+
+  // Saving: refused while articles sit in a state the new workflow drops
+  database.countArticlesByStatus = async () => [{ status: 'new', count: 4 }, { status: 'drafting', count: 2 }];
+  let saved = null;
+  database.saveWorkflowConfig = async config => { saved = config; };
+  const strictWorkflow = normalizeWorkflowInput(minimal).workflow;
+  assert.ok(/drafting \(2\)/.test((await workflow.save(strictWorkflow)).error));
+  assert.strictEqual(saved, null);
+  database.countArticlesByStatus = async () => [{ status: 'new', count: 4 }];
+  assert.deepStrictEqual((await workflow.save(strictWorkflow)).workflow, strictWorkflow);
+  assert.strictEqual(workflow.get(), strictWorkflow);
+
+  // A saved workflow that no longer validates falls back to what is loaded
+  database.getWorkflowConfig = async () => ({ states: [] });
+  assert.strictEqual(await workflow.load(), strictWorkflow);
+
+  // enforceOnSend: only states that may move to sent can be sent; resends are always allowed
+  assert.ok(/must be ready before it is sent/.test(workflow.sendBlockedReason({ status: 'new' })));
+  assert.strictEqual(workflow.sendBlockedReason({ status: 'ready' }), null);
+  assert.strictEqual(workflow.sendBlockedReason({ status: 'sent' }), null);
+
+  database.getArticlesByIds = async () => [{ id: 2, status: 'new', title: 'Not ready' }];
+  database.getDestinationsByIds = async () => { throw new Error('blocked sends must not load destinations'); };
+  const blocked = await destinations.deliverArticle(2, [3, 4]);
+  assert.deepStrictEqual(blocked.results.map(r => [r.destination_id, r.status]), [[3, 'failed'], [4, 'failed']]);
+  assert.ok(/must be ready/.test(blocked.results[0].error));
+
+  database.getWorkflowConfig = async () => DEFAULT_WORKFLOW;
+  await workflow.load();
+  assert.strictEqual(workflow.sendBlockedReason({ status: 'new' }), null, 'the default does not gate sends');
+
+  // Closed stories are never sent, enforceOnSend or not
+  assert.ok(/closed stories can't be sent/.test(workflow.sendBlockedReason({ status: 'rejected' })));
+  assert.ok(workflow.sendBlockedReason({ status: 'archived' }));
+  database.getArticlesByIds = async () => [{ id: 5, status: 'rejected', title: 'Dropped' }];
+  const refused = await destinations.deliverArticle(5, [3]);
+  assert.deepStrictEqual(refused.results.map(r => [r.destination_id, r.status]), [[3, 'failed']]);
+  assert.ok(/"rejected"/.test(refused.results[0].error));
+
+  // ... including outbox retries queued before the story was dropped
+  const attempts = [];
+  database.getDestinationById = async id => ({ id, name: 'Distro', type: 'distro', is_active: true, config: {} });
+  database.createArticleDelivery = async () => { throw new Error('closed stories must not be delivered'); };
+  database.recordDeliveryJobAttempt = async (id, attempt) => { attempts.push({ id, ...attempt }); };
+  const retried = await destinations.runClaimedJob({ id: 8, article_id: 5, destination_id: 3, attempts: 2 });
+  assert.deepStrictEqual([retried.status, retried.job_status], ['failed', 'dead']);
+  assert.deepStrictEqual([attempts[0].id, attempts[0].status, attempts[0].attempts], [8, 'dead', 2]);
+
+  console.log('✅ test-workflow: all checks passed');
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch(e => {
+    console.error('❌ test-workflow failed:', e.message);
+    if (e.actual !== undefined) console.error('  actual:', e.actual);
+    if (e.expected !== undefined) console.error('  expected:', e.expected);
+    process.exit(1);
+  });
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in WebSub hub + publisher for testing push subscriptions without a real hub.
+ * Serves a sample RSS feed that advertises this hub, verifies subscriptions with a
+ * challenge, and pushes signed (X-Hub-Signature: sha256=...) updates to subscribers.
+ *
+ * Usage:
+ *   npm run websub:hub                      # hub on http://localhost:7070
+ *   WEBSUB_CALLBACK_BASE_URL=http://localhost:3001 npm run server
+ *   # In the Sources page add http://localhost:7070/feed.xml as an RSS source, then:
+ *   curl -X POST http://localhost:7070/publish   # adds an item and pushes it to subscribers
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const PORT = parseInt(process.argv[2] || process.env.HUB_PORT || '7070', 10);
+const BASE = `http://localhost:${PORT}`;
+const TOPIC = `${BASE}/feed.xml`;
+
+const subscriptions = new Map(); // callback -> { topic, secret, expiresAt }
+const items = [];
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function renderFeed() {
+  const entries = items
+    .slice()
+    .reverse()
+    .map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.link)}</link>
+      <guid>${escapeXml(item.link)}</guid>
+      <pubDate>${item.date.toUTCString()}</pubDate>
+      <description>${escapeXml(item.description)}</description>
+    </item>`)
+    .join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>Local WebSub test feed</title>
+    <link>${BASE}/</link>
+    <description>Sample feed served by scripts/websub-local-hub.js</description>
+    <atom:link rel="hub" href="${BASE}/hub" />
+    <atom:link rel="self" href="${TOPIC}" />
+${entries}
+  </channel>
+</rss>`;
+}
+
+function addItem() {
+  const n = items.length + 1;
+  items.push({
+    title: `Local WebSub test article ${n} published at ${new Date().toISOString()}`,
+    link: `${BASE}/articles/${n}-${Date.now()}`,
+    date: new Date(),
+    description: `This is sample article number ${n}, pushed through the local stand-in WebSub hub to check that push ingestion works end to end.`
+  });
+}
+
+async function verifyIntent(callback, params) {
+  const challenge = crypto.randomBytes(16).toString('hex');
+  const url = new URL(callback);
+  url.searchParams.set('hub.mode', params.get('hub.mode'));
+  url.searchParams.set('hub.topic', params.get('hub.topic'));
+  url.searchParams.set('hub.challenge', challenge);
+  if (params.get('hub.mode') === 'subscribe') {
+    url.searchParams.set('hub.lease_seconds', params.get('hub.lease_seconds') || '864000');
+  }
+  const response = await axios.get(url.toString(), { timeout: 10000, validateStatus: () => true });
+  return response.status >= 200 && response.status < 300 && String(response.data) === challenge;
+}
+
+async function publish() {
+  addItem();
+  const body = renderFeed();
+  let delivered = 0;
+  for (const [callback, sub] of subscriptions) {
+    const signature = crypto.createHmac('sha256', sub.secret).update(body).digest('hex');
+    try {
+      const response = await axios.post(callback, body, {
+        timeout: 10000,
+        headers: {
+          'Content-Type': 'application/rss+xml',
+          'X-Hub-Signature': `sha256=${signature}`,
+          'Link': `<${BASE}/hub>; rel="hub", <${TOPIC}>; rel="self"`
+        },
+        validateStatus: () => true
+      });
+      console.log(`📤 Pushed to ${callback} → ${response.status}`);
+      delivered++;
+    } catch (err) {
+      console.log(`❌ Push to ${callback} failed: ${err.message}`);
+    }
+  }
+  return delivered;
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, BASE);
+
+  if (req.method === 'GET' && url.pathname === '/feed.xml') {
+    res.writeHead(200, { 'Content-Type': 'application/rss+xml', 'Link': `<${BASE}/hub>; rel="hub"` });
+    return res.end(renderFeed());
+  }
+
+  if (req.method === 'POST' && url.pathname === '/publish') {
+    publish().then(count => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ published: items.length, deliveredTo: count }));
+    });
+    return;
+  }
+
+  if (req.method === 'POST' && url.pathname === '/hub') {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const params = new URLSearchParams(raw);
+      const mode = params.get('hub.mode');
+      const callback = params.get('hub.callback');
+      if (!callback || !['subscribe', 'unsubscribe'].includes(mode)) {
+        res.writeHead(400);
+        return res.end('hub.mode and hub.callback are required');
+      }
+      res.writeHead(202);
+      res.end();
+
+      // Verify asynchronously, like a real hub
+      verifyIntent(callback, params)
+        .then(ok => {
+          if (!ok) {
+            console.log(`⚠️  ${mode} verification failed for ${callback}`);
+            return;
+          }
+          if (mode === 'subscribe') {
+            subscriptions.set(callback, { topic: params.get('hub.topic'), secret: params.get('hub.secret') || '' });
+          } else {
+            subscriptions.delete(callback);
+          }
+          console.log(`✅ ${mode} verified for ${callback} (${subscriptions.size} subscriber(s))`);
+        })
+        .catch(err => console.log(`❌ Verification request to ${callback} failed: ${err.message}`));
+    });
+    return;
+  }
+
+  res.writeHead(404);
+  res.end();
+});
+
+addItem();
+server.listen(PORT, () => {
+  console.log(`🛰️  Local WebSub hub listening on ${BASE}`);
+  console.log(`   Feed:    ${TOPIC}`);
+  console.log(`   Publish: curl -X POST ${BASE}/publish`);
+});
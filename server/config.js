@@ -25,5 +25,53 @@ module.exports = {
     channelId: process.env.TELEGRAM_CHANNEL_ID || '', // Channel username (e.g., @channelname) or numeric ID
     messageThreadId: process.env.TELEGRAM_MESSAGE_THREAD_ID || null, // Optional: for topics in channels
   },
+  slack: {
+    // Either an incoming webhook URL, or a bot token + channel (needed for threads and editing posts later)
+    webhookUrl: process.env.SLACK_WEBHOOK_URL || '',
+    botToken: process.env.SLACK_BOT_TOKEN || '',
+    channel: process.env.SLACK_CHANNEL || '',
+  },
+  smtp: {
+    // Defaults for email destinations (each destination can override them in its config)
+    host: process.env.SMTP_HOST || '',
+    port: process.env.SMTP_PORT || '587',
+    security: process.env.SMTP_SECURITY || 'starttls', // starttls | tls (implicit, port 465) | none
+    username: process.env.SMTP_USER || '',
+    password: process.env.SMTP_PASS || '',
+    from: process.env.SMTP_FROM || '',
+    fromName: process.env.SMTP_FROM_NAME || 'Scoopstream',
+  },
+  websub: {
+    // Public base URL hubs can reach (e.g. https://scoopstream.onrender.com). WebSub is off without it.
+    callbackBaseUrl: (process.env.WEBSUB_CALLBACK_BASE_URL || '').replace(/\/+$/, ''),
+    leaseSeconds: parseInt(process.env.WEBSUB_LEASE_SECONDS || '864000', 10), // 10 days
+  },
+  auth: {
+    // First admin, created on startup while there are no users (change the password after signing in)
+    adminUsername: process.env.ADMIN_USERNAME || '',
+    adminPassword: process.env.ADMIN_PASSWORD || '',
+    sessionDays: parseInt(process.env.SESSION_DAYS || '14', 10),
+  },
+  checks: {
+    // Feed checks run through a worker pool: RSS feeds many at a time, Playwright/ADK sources one at a time.
+    // New work is held back while process memory is over budget (Render's limit is 512MB).
+    rssConcurrency: parseInt(process.env.CHECK_RSS_CONCURRENCY || '6', 10),
+    memoryBudgetMB: parseInt(process.env.CHECK_MEMORY_BUDGET_MB || '350', 10),
+    browserMemoryBudgetMB: parseInt(process.env.CHECK_BROWSER_MEMORY_BUDGET_MB || '280', 10),
+  },
+  jobs: {
+    // Checks, enrichment, summaries and sends are queued in Postgres and run by `npm run worker`.
+    // RUN_JOBS_IN_API=true runs the worker loop inside the API process instead (single-service setups).
+    runInApi: process.env.RUN_JOBS_IN_API === 'true',
+    pollSeconds: parseInt(process.env.JOB_POLL_SECONDS || '5', 10),
+    shutdownGraceSeconds: parseInt(process.env.JOB_SHUTDOWN_GRACE_SECONDS || '20', 10),
+    // LISTEN/NOTIFY needs a session connection; Supabase's transaction pooler (port 6543) drops
+    // notifications, so point this at the session pooler (port 5432). Defaults to DATABASE_URL.
+    listenUrl: process.env.JOBS_LISTEN_DATABASE_URL || '',
+  },
+  feeds: {
+    // Base for the self links in /feeds/* (e.g. https://scoopstream.onrender.com); defaults to the request's host
+    baseUrl: (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, ''),
+  },
 };
 
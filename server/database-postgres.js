@@ -1,4 +1,4 @@
-const { Pool } = require('pg');
+const { Pool, Client } = require('pg');
 
 class Database {
   constructor() {
@@ -303,7 +303,7 @@ class Database {
         ADD COLUMN IF NOT EXISTS article_hook TEXT
       `);
 
-      // Track where each article was sent (for "Already sent" by destination)
+      // Legacy per-channel send timestamps; deliveries now live in article_deliveries (migrated below)
       await client.query(`
         ALTER TABLE articles 
         ADD COLUMN IF NOT EXISTS sent_to_distro_at TIMESTAMP
@@ -313,12 +313,13 @@ class Database {
         ADD COLUMN IF NOT EXISTS sent_to_telegram_at TIMESTAMP
       `);
 
-      // Backfill: existing status='sent' articles get both timestamps so they appear in both lists
+      // Feed metadata mapped from RSS/Atom/RDF/JSON Feed items (author, categories, lead image, Atom <updated>)
       await client.query(`
-        UPDATE articles 
-        SET sent_to_distro_at = COALESCE(sent_to_distro_at, updated_at),
-            sent_to_telegram_at = COALESCE(sent_to_telegram_at, updated_at)
-        WHERE status = 'sent' AND (sent_to_distro_at IS NULL OR sent_to_telegram_at IS NULL)
+        ALTER TABLE articles
+        ADD COLUMN IF NOT EXISTS author TEXT,
+        ADD COLUMN IF NOT EXISTS tags TEXT[],
+        ADD COLUMN IF NOT EXISTS image_url TEXT,
+        ADD COLUMN IF NOT EXISTS updated_at_source TIMESTAMP
       `);
 
       // Add last_scraping_result column to track scraping health
@@ -327,6 +328,44 @@ class Database {
         ADD COLUMN IF NOT EXISTS last_scraping_result JSONB
       `);
 
+      // HTTP validators from the last full feed download (for conditional GET)
+      await client.query(`
+        ALTER TABLE sources
+        ADD COLUMN IF NOT EXISTS feed_etag VARCHAR(500)
+      `);
+      await client.query(`
+        ALTER TABLE sources
+        ADD COLUMN IF NOT EXISTS feed_last_modified VARCHAR(100)
+      `);
+
+      // Per-source polling schedule: 'interval' (every N minutes), 'cron', or 'adaptive'
+      await client.query(`
+        ALTER TABLE sources
+        ADD COLUMN IF NOT EXISTS schedule_type VARCHAR(20) DEFAULT 'interval'
+      `);
+      await client.query(`
+        ALTER TABLE sources
+        ADD COLUMN IF NOT EXISTS schedule_interval_minutes INTEGER DEFAULT 30
+      `);
+      await client.query(`
+        ALTER TABLE sources
+        ADD COLUMN IF NOT EXISTS schedule_cron VARCHAR(100)
+      `);
+      // Interval chosen by adaptive polling and the reason for it
+      await client.query(`
+        ALTER TABLE sources
+        ADD COLUMN IF NOT EXISTS adaptive_interval_minutes INTEGER
+      `);
+      await client.query(`
+        ALTER TABLE sources
+        ADD COLUMN IF NOT EXISTS adaptive_reason TEXT
+      `);
+      // When the scheduler should next check this source (NULL = due now)
+      await client.query(`
+        ALTER TABLE sources
+        ADD COLUMN IF NOT EXISTS next_check_at TIMESTAMP
+      `);
+
       // Create indexes for better performance
       await client.query(`
         CREATE INDEX IF NOT EXISTS idx_articles_status ON articles(status);
@@ -340,6 +379,9 @@ class Database {
       await client.query(`
         CREATE INDEX IF NOT EXISTS idx_articles_created_at ON articles(created_at);
       `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_sources_next_check_at ON sources(next_check_at);
+      `);
 
       // Track seen article URLs so V2 can treat "date unavailable" with a rolling first-seen window
       await client.query(`
@@ -391,6 +433,549 @@ class Database {
         ON CONFLICT (canonical_key) DO NOTHING
       `);
 
+      // WebSub (PubSubHubbub) push subscriptions, one per source
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS websub_subscriptions (
+          id SERIAL PRIMARY KEY,
+          source_id INTEGER NOT NULL UNIQUE REFERENCES sources(id) ON DELETE CASCADE,
+          hub_url VARCHAR(500) NOT NULL,
+          topic_url VARCHAR(500) NOT NULL,
+          secret VARCHAR(200) NOT NULL,
+          status VARCHAR(20) DEFAULT 'pending',
+          lease_seconds INTEGER,
+          expires_at TIMESTAMP,
+          last_push_at TIMESTAMP,
+          last_error TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_websub_subscriptions_expires_at ON websub_subscriptions(expires_at);
+      `);
+
+      // Watchlists: named keyword/regex rule sets; matches are recorded per article
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS watchlists (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(100) NOT NULL UNIQUE,
+          include_terms TEXT[] DEFAULT '{}',
+          exclude_terms TEXT[] DEFAULT '{}',
+          regexes TEXT[] DEFAULT '{}',
+          scope VARCHAR(10) DEFAULT 'body',
+          is_active BOOLEAN DEFAULT TRUE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS article_watchlist_matches (
+          article_id INTEGER NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+          watchlist_id INTEGER NOT NULL REFERENCES watchlists(id) ON DELETE CASCADE,
+          matched_terms TEXT[] DEFAULT '{}',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (article_id, watchlist_id)
+        )
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_article_watchlist_matches_watchlist ON article_watchlist_matches(watchlist_id);
+      `);
+
+      // Story clusters: the same story covered by several sources, with one lead article
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS story_clusters (
+          id SERIAL PRIMARY KEY,
+          lead_article_id INTEGER REFERENCES articles(id) ON DELETE SET NULL,
+          title TEXT,
+          article_count INTEGER DEFAULT 1,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      // Add cluster_id column if it doesn't exist (for existing databases)
+      await client.query(`
+        ALTER TABLE articles ADD COLUMN IF NOT EXISTS cluster_id INTEGER REFERENCES story_clusters(id) ON DELETE SET NULL;
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_articles_cluster_id ON articles(cluster_id);
+      `);
+
+      // Full-text search: weighted tsvector over title, AI summary, preview and content.
+      // A trigger keeps it current for addArticle, updateArticle and every other write path.
+      await client.query(`
+        ALTER TABLE articles ADD COLUMN IF NOT EXISTS search_vector tsvector;
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_articles_search_vector ON articles USING GIN(search_vector);
+      `);
+      await client.query(`
+        CREATE OR REPLACE FUNCTION articles_search_vector_update() RETURNS trigger AS $$
+        BEGIN
+          NEW.search_vector :=
+            setweight(to_tsvector('english', COALESCE(NEW.title, '')), 'A') ||
+            setweight(to_tsvector('english', COALESCE(NEW.ai_summary, '')), 'B') ||
+            setweight(to_tsvector('english', COALESCE(NEW.preview, '')), 'B') ||
+            setweight(to_tsvector('english', LEFT(COALESCE(NEW.content, ''), 100000)), 'C');
+          RETURN NEW;
+        END
+        $$ LANGUAGE plpgsql;
+      `);
+      await client.query(`
+        DROP TRIGGER IF EXISTS articles_search_vector_trigger ON articles;
+        CREATE TRIGGER articles_search_vector_trigger
+          BEFORE INSERT OR UPDATE OF title, ai_summary, preview, content ON articles
+          FOR EACH ROW EXECUTE PROCEDURE articles_search_vector_update();
+      `);
+      // Backfill rows written before the column existed (touching title fires the trigger)
+      const backfill = await client.query(`
+        UPDATE articles SET title = title WHERE search_vector IS NULL
+      `);
+      if (backfill.rowCount > 0) {
+        console.log(`🔎 Indexed ${backfill.rowCount} existing articles for full-text search`);
+      }
+
+      // Saved searches for the archive search page
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS saved_searches (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(100) NOT NULL UNIQUE,
+          query TEXT NOT NULL,
+          filters JSONB DEFAULT '{}',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Distribution destinations (services/destinations adapters) and every delivery attempt.
+      // destination_key marks the built-in destinations the legacy send routes map onto.
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS destinations (
+          id SERIAL PRIMARY KEY,
+          destination_key VARCHAR(50) UNIQUE,
+          name VARCHAR(100) NOT NULL UNIQUE,
+          type VARCHAR(30) NOT NULL,
+          config JSONB DEFAULT '{}',
+          is_active BOOLEAN DEFAULT TRUE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS article_deliveries (
+          id SERIAL PRIMARY KEY,
+          article_id INTEGER NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+          destination_id INTEGER NOT NULL REFERENCES destinations(id) ON DELETE CASCADE,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending',
+          remote_id TEXT,
+          error TEXT,
+          response JSONB,
+          attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          delivered_at TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_article_deliveries_article ON article_deliveries(article_id);
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_article_deliveries_destination ON article_deliveries(destination_id, delivered_at DESC);
+      `);
+      // Editorial batches (several articles sent together) and the thread a threaded channel grouped them in;
+      // updated_at is set when a delivered post is edited or deleted on the remote side
+      await client.query(`
+        ALTER TABLE article_deliveries
+        ADD COLUMN IF NOT EXISTS batch_id VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS thread_id TEXT,
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_article_deliveries_batch ON article_deliveries(destination_id, batch_id) WHERE batch_id IS NOT NULL;
+      `);
+      // Built-in destinations; config left empty so they keep using the DISTRO_* / TELEGRAM_* env vars
+      await client.query(`
+        INSERT INTO destinations (destination_key, name, type, config) VALUES
+          ('distro', 'Distro', 'distro', '{}'),
+          ('telegram', 'Telegram', 'telegram', '{}'),
+          ('distro-flash', 'Distro News Flash', 'distro', '{"format": "flash", "userName": "Distro DeAI News Flash"}')
+        ON CONFLICT DO NOTHING
+      `);
+      // Carry over the old per-channel sent_to_distro_at / sent_to_telegram_at columns (no longer written).
+      // On the first run (no deliveries recorded yet) keep the old backfill: status='sent' articles
+      // without per-channel timestamps were sent to both, so they count as delivered to both.
+      const { rows: [{ migrated }] } = await client.query('SELECT EXISTS (SELECT 1 FROM article_deliveries) AS migrated');
+      if (!migrated) {
+        await client.query(`
+          UPDATE articles
+          SET sent_to_distro_at = COALESCE(sent_to_distro_at, updated_at),
+              sent_to_telegram_at = COALESCE(sent_to_telegram_at, updated_at)
+          WHERE status = 'sent' AND (sent_to_distro_at IS NULL OR sent_to_telegram_at IS NULL)
+        `);
+      }
+      for (const [column, key] of [['sent_to_distro_at', 'distro'], ['sent_to_telegram_at', 'telegram']]) {
+        await client.query(`
+          INSERT INTO article_deliveries (article_id, destination_id, status, attempted_at, delivered_at)
+          SELECT a.id, d.id, 'sent', a.${column}, a.${column}
+          FROM articles a
+          JOIN destinations d ON d.destination_key = $1
+          WHERE a.${column} IS NOT NULL
+            AND NOT EXISTS (
+              SELECT 1 FROM article_deliveries ad WHERE ad.article_id = a.id AND ad.destination_id = d.id
+            )
+        `, [key]);
+      }
+
+      // Outbox for destinations that must not lose sends (Distro): one job per article/destination,
+      // retried in the background until it succeeds or is given up on ('dead')
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS delivery_jobs (
+          id SERIAL PRIMARY KEY,
+          article_id INTEGER NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+          destination_id INTEGER NOT NULL REFERENCES destinations(id) ON DELETE CASCADE,
+          status VARCHAR(20) NOT NULL DEFAULT 'queued',
+          options JSONB DEFAULT '{}',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          last_error TEXT,
+          delivery_id INTEGER REFERENCES article_deliveries(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          finished_at TIMESTAMP
+        )
+      `);
+      // At most one unfinished job per article and destination (double clicks don't double-post)
+      await client.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_delivery_jobs_active
+        ON delivery_jobs(article_id, destination_id) WHERE status IN ('queued', 'in_flight', 'failed');
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_delivery_jobs_due ON delivery_jobs(next_attempt_at) WHERE status IN ('queued', 'in_flight', 'failed');
+      `);
+      // Sends scheduled from Edit & Send (embargoes, newsletter slots). send_at is timestamptz because
+      // editors pick a wall-clock time in their own time zone.
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS scheduled_sends (
+          id SERIAL PRIMARY KEY,
+          article_id INTEGER NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+          destination_id INTEGER NOT NULL REFERENCES destinations(id) ON DELETE CASCADE,
+          send_at TIMESTAMPTZ NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+          note TEXT,
+          options JSONB DEFAULT '{}',
+          error TEXT,
+          delivery_id INTEGER REFERENCES article_deliveries(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          sent_at TIMESTAMPTZ
+        )
+      `);
+      await client.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_scheduled_sends_pending
+        ON scheduled_sends(article_id, destination_id) WHERE status = 'scheduled';
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_scheduled_sends_due ON scheduled_sends(send_at) WHERE status IN ('scheduled', 'sending');
+      `);
+      // Outbound webhooks: subscribers to article/source/check events, and the persistent delivery queue
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS webhooks (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(100) UNIQUE NOT NULL,
+          url TEXT NOT NULL,
+          secret TEXT NOT NULL,
+          event_types TEXT[] NOT NULL DEFAULT '{}',
+          is_active BOOLEAN DEFAULT TRUE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+          id SERIAL PRIMARY KEY,
+          webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+          event_type VARCHAR(50) NOT NULL,
+          event_id VARCHAR(64) NOT NULL,
+          payload JSONB NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          last_attempt_at TIMESTAMP,
+          last_status_code INTEGER,
+          last_error TEXT,
+          response_body TEXT,
+          redelivery_of INTEGER REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          delivered_at TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at DESC);
+      `);
+      // Newsletter digests: editable templates (formats left NULL use the built-in default) and
+      // saved digests that rebuild the same query every day
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS digest_templates (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(100) UNIQUE NOT NULL,
+          subject TEXT,
+          html TEXT,
+          markdown TEXT,
+          text TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS saved_digests (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(100) UNIQUE NOT NULL,
+          title VARCHAR(200) NOT NULL,
+          intro TEXT,
+          group_by VARCHAR(20) NOT NULL DEFAULT 'category',
+          query JSONB NOT NULL DEFAULT '{}',
+          template_id INTEGER REFERENCES digest_templates(id) ON DELETE SET NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      // Daily digest emails: send_time (HH:MM) in time_zone to an email destination. last_run_at is
+      // the slot last claimed, so one slot is sent once even with several instances polling.
+      await client.query(`
+        ALTER TABLE saved_digests
+        ADD COLUMN IF NOT EXISTS email_destination_id INTEGER REFERENCES destinations(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS send_time VARCHAR(5),
+        ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64) DEFAULT 'UTC',
+        ADD COLUMN IF NOT EXISTS last_run_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS last_sent_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS last_error TEXT
+      `);
+      // Email recipient lists, and what happened to every address of every email sent
+      // (accepted / rejected at RCPT / failed with the whole send / bounced later)
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS email_lists (
+          id SERIAL PRIMARY KEY,
+          name VARCHAR(100) UNIQUE NOT NULL,
+          addresses TEXT[] NOT NULL DEFAULT '{}',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS email_recipients (
+          id SERIAL PRIMARY KEY,
+          delivery_id INTEGER REFERENCES article_deliveries(id) ON DELETE CASCADE,
+          saved_digest_id INTEGER REFERENCES saved_digests(id) ON DELETE CASCADE,
+          list_name VARCHAR(100),
+          address VARCHAR(254) NOT NULL,
+          message_id TEXT,
+          status VARCHAR(20) NOT NULL,
+          smtp_code INTEGER,
+          error TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_email_recipients_address ON email_recipients(address, created_at DESC);
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_email_recipients_message ON email_recipients(message_id) WHERE message_id IS NOT NULL;
+      `);
+      // Access tokens for the public /feeds endpoints. A feed with tokens is private. Only a
+      // SHA-256 of each token is kept; the token itself is shown once, when it is created.
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS feed_tokens (
+          id SERIAL PRIMARY KEY,
+          feed_key VARCHAR(200) NOT NULL,
+          name VARCHAR(100) NOT NULL,
+          token_hash CHAR(64) UNIQUE NOT NULL,
+          token_hint VARCHAR(8),
+          last_used_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_feed_tokens_feed ON feed_tokens(feed_key);
+      `);
+      // Editorial workflow: the state machine (one row; the built-in default applies without it)
+      // and every status change of every article with who made it and why
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS workflow_config (
+          id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+          config JSONB NOT NULL,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS article_events (
+          id SERIAL PRIMARY KEY,
+          article_id INTEGER NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+          from_status VARCHAR(50),
+          to_status VARCHAR(50) NOT NULL,
+          actor VARCHAR(100) NOT NULL,
+          note TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_article_events_article ON article_events(article_id, created_at);
+      `);
+      // Statuses from before the workflow: 'selected' is now 'triaged' and 'dismissed' is 'archived'
+      await client.query(`
+        UPDATE articles SET status = CASE status WHEN 'selected' THEN 'triaged' ELSE 'archived' END
+        WHERE status IN ('selected', 'dismissed')
+      `);
+      // User accounts. Passwords are scrypt hashes; sessions and API keys keep only a SHA-256
+      // of their token, which is shown once (the session one lives in an HttpOnly cookie).
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS users (
+          id SERIAL PRIMARY KEY,
+          username VARCHAR(50) UNIQUE NOT NULL,
+          display_name VARCHAR(100) NOT NULL,
+          password_hash TEXT NOT NULL,
+          role VARCHAR(20) NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'editor', 'admin')),
+          is_active BOOLEAN NOT NULL DEFAULT true,
+          last_login_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS user_sessions (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          token_hash CHAR(64) UNIQUE NOT NULL,
+          expires_at TIMESTAMP NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS api_keys (
+          id SERIAL PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          name VARCHAR(100) NOT NULL,
+          key_hash CHAR(64) UNIQUE NOT NULL,
+          key_hint VARCHAR(8),
+          last_used_at TIMESTAMP,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id);
+      `);
+      // Feed check runs (Check Now and scheduled checks) and what happened to each source in them.
+      // Counters on check_runs are bumped as sources finish, so a running row shows progress.
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS check_runs (
+          id SERIAL PRIMARY KEY,
+          trigger VARCHAR(20) NOT NULL,
+          status VARCHAR(20) NOT NULL DEFAULT 'queued',
+          requested_by VARCHAR(255),
+          total_sources INTEGER NOT NULL DEFAULT 0,
+          processed_sources INTEGER NOT NULL DEFAULT 0,
+          successful_sources INTEGER NOT NULL DEFAULT 0,
+          failed_sources INTEGER NOT NULL DEFAULT 0,
+          skipped_sources INTEGER NOT NULL DEFAULT 0,
+          new_articles INTEGER NOT NULL DEFAULT 0,
+          peak_memory_mb INTEGER,
+          error TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          started_at TIMESTAMP,
+          finished_at TIMESTAMP,
+          duration_ms INTEGER
+        )
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_check_runs_created ON check_runs(created_at DESC);
+      `);
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS check_run_sources (
+          id SERIAL PRIMARY KEY,
+          run_id INTEGER NOT NULL REFERENCES check_runs(id) ON DELETE CASCADE,
+          source_id INTEGER REFERENCES sources(id) ON DELETE SET NULL,
+          source_name VARCHAR(255),
+          source_url TEXT,
+          monitoring_type VARCHAR(20),
+          outcome VARCHAR(20) NOT NULL,
+          new_articles INTEGER NOT NULL DEFAULT 0,
+          error TEXT,
+          duration_ms INTEGER,
+          memory_mb INTEGER,
+          finished_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_check_run_sources_run ON check_run_sources(run_id);
+      `);
+      // Targeted checks: which sources a run was asked for (source ids, categories, types, only failed)
+      await client.query(`
+        ALTER TABLE check_runs ADD COLUMN IF NOT EXISTS selection JSONB
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_check_run_sources_source ON check_run_sources(source_id, id DESC);
+      `);
+      // Stop pressed for a run another process (the worker) is executing
+      await client.query(`
+        ALTER TABLE check_runs ADD COLUMN IF NOT EXISTS cancel_requested_at TIMESTAMP
+      `);
+      // Background job queue (see services/jobQueue.js): the API enqueues, worker processes claim
+      // with FOR UPDATE SKIP LOCKED. While a job is in_flight next_attempt_at is its lease.
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS jobs (
+          id SERIAL PRIMARY KEY,
+          type VARCHAR(30) NOT NULL,
+          payload JSONB NOT NULL DEFAULT '{}',
+          status VARCHAR(20) NOT NULL DEFAULT 'queued',
+          dedupe_key VARCHAR(100),
+          attempts INTEGER NOT NULL DEFAULT 0,
+          max_attempts INTEGER NOT NULL DEFAULT 3,
+          next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          locked_by VARCHAR(100),
+          requested_by VARCHAR(255),
+          result JSONB,
+          last_error TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          started_at TIMESTAMP,
+          finished_at TIMESTAMP
+        )
+      `);
+      // At most one unfinished job per dedupe key (one feed check at a time, no double-queued sends)
+      await client.query(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_dedupe_active
+        ON jobs(dedupe_key) WHERE dedupe_key IS NOT NULL AND status IN ('queued', 'in_flight', 'failed');
+      `);
+      await client.query(`
+        CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs(next_attempt_at) WHERE status IN ('queued', 'in_flight', 'failed');
+      `);
+
+      // Periodic tasks (see services/taskScheduler.js): one row per task with its cron schedule
+      // and how its last run went. While running_since is set a worker is running it.
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS scheduled_tasks (
+          name VARCHAR(60) PRIMARY KEY,
+          cron VARCHAR(100) NOT NULL,
+          enabled BOOLEAN NOT NULL DEFAULT false,
+          next_run_at TIMESTAMP,
+          run_requested_at TIMESTAMP,
+          run_requested_by VARCHAR(255),
+          running_since TIMESTAMP,
+          locked_by VARCHAR(100),
+          last_run_at TIMESTAMP,
+          last_trigger VARCHAR(20),
+          last_run_by VARCHAR(255),
+          last_status VARCHAR(20),
+          last_result JSONB,
+          last_error TEXT,
+          last_duration_ms INTEGER,
+          updated_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
     } finally {
       client.release();
     }
@@ -455,6 +1040,19 @@ class Database {
     );
   }
 
+  // Store ETag/Last-Modified and merge conditional GET stats into last_scraping_result
+  async updateFeedFetchState(id, { etag, lastModified, conditionalGet }) {
+    await this.queryWithRetry(
+      `UPDATE sources
+       SET feed_etag = $1,
+           feed_last_modified = $2,
+           last_scraping_result = COALESCE(last_scraping_result, '{}'::jsonb) || jsonb_build_object('conditionalGet', $3::jsonb)
+       WHERE id = $4`,
+      [etag, lastModified, JSON.stringify(conditionalGet), id],
+      2
+    );
+  }
+
   async pauseSource(id) {
     const result = await this.pool.query(
       'UPDATE sources SET is_paused = TRUE WHERE id = $1 RETURNING *',
@@ -479,29 +1077,378 @@ class Database {
     return result.rows[0];
   }
 
-  async updateArticlesCategoryBySource(sourceId, category) {
-    const result = await this.pool.query(
-      'UPDATE articles SET category = $1 WHERE source_id = $2',
-      [category, sourceId]
-    );
-    return result.rowCount;
-  }
-
-  // Articles methods
-  async getAllArticles() {
-    const result = await this.pool.query(`
-      SELECT a.*, s.name as source_name 
-      FROM articles a 
-      LEFT JOIN sources s ON a.source_id = s.id 
-      ORDER BY a.created_at DESC
+  // Active sources whose next_check_at has passed (or was never set)
+  async getDueSources() {
+    const result = await this.queryWithRetry(`
+      SELECT * FROM sources
+      WHERE COALESCE(is_paused, FALSE) = FALSE
+        AND (next_check_at IS NULL OR next_check_at <= CURRENT_TIMESTAMP)
+      ORDER BY next_check_at ASC NULLS FIRST, name
     `);
     return result.rows;
   }
 
-  async getArticlesByStatus(status) {
-    const result = await this.pool.query(`
-      SELECT a.*, s.name as source_name 
-      FROM articles a 
+  async setSourceNextCheckAt(id, nextCheckAt) {
+    await this.queryWithRetry(
+      'UPDATE sources SET next_check_at = $1 WHERE id = $2',
+      [nextCheckAt, id],
+      2
+    );
+  }
+
+  async updateSourceSchedule(id, { scheduleType, intervalMinutes, cron, nextCheckAt }) {
+    const result = await this.pool.query(
+      `UPDATE sources
+       SET schedule_type = $1,
+           schedule_interval_minutes = COALESCE($2, schedule_interval_minutes),
+           schedule_cron = $3,
+           next_check_at = $4,
+           adaptive_interval_minutes = NULL,
+           adaptive_reason = NULL
+       WHERE id = $5
+       RETURNING *`,
+      [scheduleType, intervalMinutes || null, cron || null, nextCheckAt || null, id]
+    );
+    return result.rows[0];
+  }
+
+  async updateSourceAdaptiveInterval(id, minutes, reason, nextCheckAt) {
+    await this.queryWithRetry(
+      `UPDATE sources
+       SET adaptive_interval_minutes = $1, adaptive_reason = $2, next_check_at = $3
+       WHERE id = $4`,
+      [minutes, reason, nextCheckAt, id],
+      2
+    );
+  }
+
+  // Publishing history used by adaptive polling
+  async getSourcePublishingStats(sourceId, sinceSeconds) {
+    const result = await this.queryWithRetry(
+      `SELECT
+         COUNT(*) FILTER (WHERE created_at >= CURRENT_TIMESTAMP - ($2 || ' seconds')::interval)::int AS new_since,
+         COUNT(*) FILTER (WHERE created_at >= CURRENT_TIMESTAMP - INTERVAL '7 days')::int AS last_7d,
+         MAX(created_at) AS last_article_at
+       FROM articles
+       WHERE source_id = $1`,
+      [sourceId, String(sinceSeconds)]
+    );
+    return result.rows[0];
+  }
+
+  // WebSub subscription methods
+  async upsertWebSubSubscription(sourceId, { hubUrl, topicUrl, secret, leaseSeconds }) {
+    const result = await this.queryWithRetry(
+      `INSERT INTO websub_subscriptions (source_id, hub_url, topic_url, secret, lease_seconds, status)
+       VALUES ($1, $2, $3, $4, $5, 'pending')
+       ON CONFLICT (source_id) DO UPDATE
+       SET hub_url = EXCLUDED.hub_url,
+           topic_url = EXCLUDED.topic_url,
+           secret = EXCLUDED.secret,
+           lease_seconds = EXCLUDED.lease_seconds,
+           status = CASE WHEN websub_subscriptions.status = 'active' THEN 'active' ELSE 'pending' END,
+           last_error = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [sourceId, hubUrl, topicUrl, secret, leaseSeconds]
+    );
+    return result.rows[0];
+  }
+
+  async getWebSubSubscriptionBySourceId(sourceId) {
+    const result = await this.queryWithRetry('SELECT * FROM websub_subscriptions WHERE source_id = $1', [sourceId]);
+    return result.rows[0];
+  }
+
+  async getAllWebSubSubscriptions() {
+    const result = await this.queryWithRetry(`
+      SELECT w.*, s.name AS source_name
+      FROM websub_subscriptions w
+      JOIN sources s ON s.id = w.source_id
+      ORDER BY s.name
+    `);
+    return result.rows;
+  }
+
+  // Active subscriptions whose lease ends within the window (renew before they lapse)
+  async getExpiringWebSubSubscriptions(withinSeconds) {
+    const result = await this.queryWithRetry(
+      `SELECT w.*, s.name AS source_name, s.url AS source_url
+       FROM websub_subscriptions w
+       JOIN sources s ON s.id = w.source_id
+       WHERE w.status = 'active'
+         AND w.expires_at IS NOT NULL
+         AND w.expires_at <= CURRENT_TIMESTAMP + ($1 || ' seconds')::interval`,
+      [String(withinSeconds)]
+    );
+    return result.rows;
+  }
+
+  async updateWebSubSubscription(sourceId, updates) {
+    const allowed = ['status', 'lease_seconds', 'expires_at', 'last_push_at', 'last_error'];
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+    for (const [key, value] of Object.entries(updates)) {
+      if (allowed.includes(key)) {
+        fields.push(`${key} = $${paramCount++}`);
+        values.push(value);
+      }
+    }
+    if (fields.length === 0) return null;
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(sourceId);
+    const result = await this.queryWithRetry(
+      `UPDATE websub_subscriptions SET ${fields.join(', ')} WHERE source_id = $${paramCount} RETURNING *`,
+      values
+    );
+    return result.rows[0];
+  }
+
+  // Watchlist methods
+  async getAllWatchlists() {
+    const result = await this.queryWithRetry(`
+      SELECT w.*, COUNT(m.article_id)::int AS match_count
+      FROM watchlists w
+      LEFT JOIN article_watchlist_matches m ON m.watchlist_id = w.id
+      GROUP BY w.id
+      ORDER BY w.name
+    `);
+    return result.rows;
+  }
+
+  async getActiveWatchlists() {
+    const result = await this.queryWithRetry('SELECT * FROM watchlists WHERE is_active = TRUE ORDER BY name');
+    return result.rows;
+  }
+
+  async getWatchlistById(id) {
+    const result = await this.queryWithRetry('SELECT * FROM watchlists WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  async createWatchlist({ name, includeTerms = [], excludeTerms = [], regexes = [], scope = 'body', isActive = true }) {
+    const result = await this.queryWithRetry(
+      `INSERT INTO watchlists (name, include_terms, exclude_terms, regexes, scope, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [name, includeTerms, excludeTerms, regexes, scope, isActive]
+    );
+    return result.rows[0];
+  }
+
+  async updateWatchlist(id, updates) {
+    const columns = {
+      name: 'name',
+      includeTerms: 'include_terms',
+      excludeTerms: 'exclude_terms',
+      regexes: 'regexes',
+      scope: 'scope',
+      isActive: 'is_active'
+    };
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+    for (const [key, column] of Object.entries(columns)) {
+      if (updates[key] !== undefined) {
+        fields.push(`${column} = $${paramCount++}`);
+        values.push(updates[key]);
+      }
+    }
+    if (fields.length === 0) return this.getWatchlistById(id);
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id);
+    const result = await this.queryWithRetry(
+      `UPDATE watchlists SET ${fields.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+      values
+    );
+    return result.rows[0];
+  }
+
+  async deleteWatchlist(id) {
+    const result = await this.queryWithRetry('DELETE FROM watchlists WHERE id = $1', [id]);
+    return result.rowCount;
+  }
+
+  async addArticleWatchlistMatch(articleId, watchlistId, matchedTerms) {
+    await this.queryWithRetry(
+      `INSERT INTO article_watchlist_matches (article_id, watchlist_id, matched_terms)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (article_id, watchlist_id) DO UPDATE SET matched_terms = EXCLUDED.matched_terms`,
+      [articleId, watchlistId, matchedTerms]
+    );
+  }
+
+  // Returns Map(articleId -> [{ id, name, terms }])
+  async getWatchlistMatchesForArticles(articleIds) {
+    const matches = new Map();
+    if (!articleIds || articleIds.length === 0) return matches;
+    const result = await this.queryWithRetry(`
+      SELECT m.article_id, m.matched_terms, w.id, w.name
+      FROM article_watchlist_matches m
+      JOIN watchlists w ON w.id = m.watchlist_id
+      WHERE m.article_id = ANY($1::int[])
+      ORDER BY w.name
+    `, [articleIds]);
+    for (const row of result.rows) {
+      if (!matches.has(row.article_id)) matches.set(row.article_id, []);
+      matches.get(row.article_id).push({ id: row.id, name: row.name, terms: row.matched_terms || [] });
+    }
+    return matches;
+  }
+
+  // Story cluster methods
+  // Recent articles from other sources that a new article could be a near-duplicate of
+  async getClusteringCandidates(articleId, sourceId, sinceHours, limit = 500) {
+    const result = await this.queryWithRetry(`
+      SELECT id, title, preview, publisher_description, source_id, source_name, cluster_id, pub_date, created_at
+      FROM articles
+      WHERE id <> $1
+        AND source_id IS DISTINCT FROM $2
+        AND created_at >= NOW() - ($3::text || ' hours')::interval
+      ORDER BY created_at DESC
+      LIMIT $4
+    `, [articleId, sourceId, sinceHours, limit]);
+    return result.rows;
+  }
+
+  async createStoryCluster(leadArticleId, title) {
+    const result = await this.queryWithRetry(
+      'INSERT INTO story_clusters (lead_article_id, title) VALUES ($1, $2) RETURNING id',
+      [leadArticleId, title]
+    );
+    return result.rows[0].id;
+  }
+
+  async setArticleCluster(articleId, clusterId) {
+    await this.queryWithRetry('UPDATE articles SET cluster_id = $1 WHERE id = $2', [clusterId, articleId]);
+  }
+
+  async getStoryClusterArticles(clusterId) {
+    const result = await this.queryWithRetry(`
+      SELECT id, title, link, source_id, source_name, pub_date, created_at,
+             LENGTH(COALESCE(content, '')) AS content_length
+      FROM articles
+      WHERE cluster_id = $1
+      ORDER BY COALESCE(pub_date, created_at) ASC
+    `, [clusterId]);
+    return result.rows;
+  }
+
+  async updateStoryCluster(clusterId, { leadArticleId, title, articleCount }) {
+    await this.queryWithRetry(
+      `UPDATE story_clusters
+       SET lead_article_id = $1, title = $2, article_count = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4`,
+      [leadArticleId, title, articleCount, clusterId]
+    );
+  }
+
+  // Full-text search methods
+  // tsquery comes from services/articleSearch.parseSearchQuery; filters are optional
+  async searchArticles({ tsquery, sourceId, category, status, from, to, sort = 'relevance', limit = 20, offset = 0, highlightStart, highlightStop }) {
+    const conditions = ['a.search_vector @@ q.query'];
+    const values = [tsquery];
+    let paramCount = 2;
+
+    if (sourceId) {
+      conditions.push(`a.source_id = $${paramCount++}`);
+      values.push(sourceId);
+    }
+    if (category) {
+      conditions.push(`a.category = $${paramCount++}`);
+      values.push(category);
+    }
+    if (status) {
+      conditions.push(`a.status = $${paramCount++}`);
+      values.push(status);
+    }
+    if (from) {
+      conditions.push(`COALESCE(a.pub_date, a.created_at) >= $${paramCount++}`);
+      values.push(from);
+    }
+    if (to) {
+      conditions.push(`COALESCE(a.pub_date, a.created_at) <= $${paramCount++}`);
+      values.push(to);
+    }
+
+    const order = sort === 'date' ? 'sort_date DESC, rank DESC' : 'rank DESC, sort_date DESC';
+    const limitParam = paramCount++;
+    const offsetParam = paramCount++;
+    const optionsParam = paramCount++;
+    values.push(limit, offset, `StartSel=${highlightStart}, StopSel=${highlightStop}`);
+
+    // Rank and page first, then build headlines only for the returned page (ts_headline is expensive)
+    const result = await this.queryWithRetry(`
+      WITH q AS (SELECT to_tsquery('english', $1) AS query),
+      matches AS (
+        SELECT a.id,
+               ts_rank_cd(a.search_vector, q.query) AS rank,
+               COALESCE(a.pub_date, a.created_at) AS sort_date,
+               COUNT(*) OVER() AS total
+        FROM articles a, q
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY ${order}
+        LIMIT $${limitParam} OFFSET $${offsetParam}
+      )
+      SELECT a.id, a.title, a.link, a.source_id, COALESCE(s.name, a.source_name) AS source_name,
+             a.category, a.status, a.pub_date, a.created_at, m.rank, m.total,
+             ts_headline('english', a.title, q.query, $${optionsParam}::text || ', HighlightAll=true') AS title_headline,
+             ts_headline(
+               'english',
+               CONCAT_WS(' ', NULLIF(a.ai_summary, ''), NULLIF(a.preview, ''), LEFT(COALESCE(a.content, ''), 20000)),
+               q.query,
+               $${optionsParam}::text || ', MaxFragments=2, MaxWords=35, MinWords=15, FragmentDelimiter=" … "'
+             ) AS snippet_headline
+      FROM matches m
+      JOIN articles a ON a.id = m.id
+      LEFT JOIN sources s ON s.id = a.source_id
+      CROSS JOIN q
+      ORDER BY ${order.replace(/(rank|sort_date)/g, 'm.$1')}
+    `, values);
+    return result.rows;
+  }
+
+  async getSavedSearches() {
+    const result = await this.queryWithRetry('SELECT * FROM saved_searches ORDER BY name');
+    return result.rows;
+  }
+
+  async createSavedSearch({ name, query, filters = {} }) {
+    const result = await this.queryWithRetry(
+      'INSERT INTO saved_searches (name, query, filters) VALUES ($1, $2, $3) RETURNING *',
+      [name, query, JSON.stringify(filters)]
+    );
+    return result.rows[0];
+  }
+
+  async deleteSavedSearch(id) {
+    const result = await this.queryWithRetry('DELETE FROM saved_searches WHERE id = $1', [id]);
+    return result.rowCount;
+  }
+
+  async updateArticlesCategoryBySource(sourceId, category) {
+    const result = await this.pool.query(
+      'UPDATE articles SET category = $1 WHERE source_id = $2',
+      [category, sourceId]
+    );
+    return result.rowCount;
+  }
+
+  // Articles methods
+  async getAllArticles() {
+    const result = await this.pool.query(`
+      SELECT a.*, s.name as source_name 
+      FROM articles a 
+      LEFT JOIN sources s ON a.source_id = s.id 
+      ORDER BY a.created_at DESC
+    `);
+    return result.rows;
+  }
+
+  async getArticlesByStatus(status) {
+    const result = await this.pool.query(`
+      SELECT a.*, s.name as source_name 
+      FROM articles a 
       LEFT JOIN sources s ON a.source_id = s.id 
       WHERE a.status = $1 
       ORDER BY a.created_at DESC
@@ -513,9 +1460,10 @@ class Database {
     // Get articles where either pub_date (if present) OR created_at is within the last N days
     // This ensures newly discovered articles without explicit pub_date still appear in the dashboard
     const result = await this.pool.query(`
-      SELECT a.*, s.name as source_name 
+      SELECT a.*, s.name as source_name, sc.lead_article_id as cluster_lead_id
       FROM articles a 
       LEFT JOIN sources s ON a.source_id = s.id 
+      LEFT JOIN story_clusters sc ON sc.id = a.cluster_id
       WHERE COALESCE(a.pub_date, a.created_at) >= NOW() - INTERVAL '${days} days'
       ORDER BY COALESCE(a.pub_date, a.created_at) DESC
     `);
@@ -540,9 +1488,11 @@ class Database {
         a.*,
         s.name as source_name,
         COALESCE(sa.first_seen_at, a.created_at) as first_seen_at,
-        COALESCE(sa.last_seen_at, a.created_at) as last_seen_at
+        COALESCE(sa.last_seen_at, a.created_at) as last_seen_at,
+        sc.lead_article_id as cluster_lead_id
       FROM articles a
       LEFT JOIN sources s ON a.source_id = s.id
+      LEFT JOIN story_clusters sc ON sc.id = a.cluster_id
       LEFT JOIN seen_articles sa
         ON sa.canonical_key = REGEXP_REPLACE(LOWER(split_part(a.link, '?', 1)), '/+$', '')
       WHERE a.pub_date IS NOT NULL
@@ -579,206 +1529,1541 @@ class Database {
     return result.rows;
   }
 
-  async getSentArticles() {
-    const result = await this.pool.query(`
-      SELECT a.*, s.name as source_name 
-      FROM articles a 
-      LEFT JOIN sources s ON a.source_id = s.id 
-      WHERE a.status = 'sent' 
-      ORDER BY a.created_at DESC
+  async getSentArticles() {
+    const result = await this.pool.query(`
+      SELECT a.*, s.name as source_name 
+      FROM articles a 
+      LEFT JOIN sources s ON a.source_id = s.id 
+      WHERE a.status = 'sent' 
+      ORDER BY a.created_at DESC
+    `);
+    return result.rows;
+  }
+
+  async addArticle(article) {
+    const result = await this.pool.query(`
+      INSERT INTO articles (
+        title, content, preview, link, pub_date, source_id, source_name, 
+        category, status, is_manual, ai_summary, publisher_description, article_hook,
+        author, tags, image_url, updated_at_source
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17) 
+      RETURNING *
+    `, [
+      article.title,
+      article.content,
+      article.preview,
+      article.link,
+      article.pub_date || article.pubDate || null,
+      article.source_id || article.sourceId || null,
+      article.source_name || article.sourceName || 'Unknown Source',
+      article.category,
+      article.status || 'new',
+      article.is_manual || false,
+      article.ai_summary,
+      article.publisher_description || article.publisherDescription || null,
+      article.article_hook || article.articleHook || null,
+      article.author || null,
+      article.tags && article.tags.length > 0 ? article.tags : null,
+      article.image_url || article.imageUrl || null,
+      article.updated_at_source || article.updatedAtSource || null
+    ]);
+    const inserted = result.rows[0];
+    try {
+      await this.markArticleSeen(
+        article.link,
+        article.source_id || article.sourceId || null,
+        inserted.id
+      );
+    } catch (seenErr) {
+      // Seen-cache failure should never block article insertion
+      console.warn(`⚠️ [SEEN] Failed to update seen cache for inserted article ${inserted.id}: ${seenErr.message}`);
+    }
+    return inserted.id;
+  }
+
+  async getArticleById(id) {
+    const result = await this.pool.query('SELECT * FROM articles WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  async getArticleByLink(link) {
+    const result = await this.pool.query('SELECT * FROM articles WHERE link = $1', [link]);
+    return result.rows[0];
+  }
+
+  async articleExists(link) {
+    const result = await this.pool.query('SELECT id FROM articles WHERE link = $1', [link]);
+    return result.rows.length > 0;
+  }
+
+  // Normalize link for dedup: strip query string and trailing slash (case-sensitive path)
+  _normalizedLink(link) {
+    if (!link || typeof link !== 'string') return '';
+    const withoutQuery = link.split('?')[0].trim();
+    return withoutQuery.replace(/\/+$/, '') || withoutQuery;
+  }
+
+  // Canonical key for persistent seen-cache dedupe.
+  // Keeps host+path only and normalizes case/trailing slash/query noise.
+  _canonicalSeenKey(link) {
+    if (!link || typeof link !== 'string') return '';
+    try {
+      const u = new URL(link.trim());
+      const host = (u.hostname || '').toLowerCase();
+      const path = (u.pathname || '/').replace(/\/+$/, '') || '/';
+      return `${host}${path}`.toLowerCase();
+    } catch {
+      // Fallback for malformed URLs
+      return this._normalizedLink(link).toLowerCase();
+    }
+  }
+
+  async getSeenArticleByLink(link) {
+    const key = this._canonicalSeenKey(link);
+    if (!key) return null;
+    const result = await this.pool.query(
+      `SELECT * FROM seen_articles WHERE canonical_key = $1 LIMIT 1`,
+      [key]
+    );
+    return result.rows[0] || null;
+  }
+
+  async markArticleSeen(link, sourceId = null, articleId = null) {
+    const key = this._canonicalSeenKey(link);
+    if (!key) return null;
+    const result = await this.pool.query(`
+      INSERT INTO seen_articles (canonical_key, source_id, first_seen_at, last_seen_at, last_article_id, updated_at)
+      VALUES ($1, $2, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, $3, CURRENT_TIMESTAMP)
+      ON CONFLICT (canonical_key)
+      DO UPDATE SET
+        source_id = COALESCE(EXCLUDED.source_id, seen_articles.source_id),
+        last_seen_at = CURRENT_TIMESTAMP,
+        last_article_id = COALESCE(EXCLUDED.last_article_id, seen_articles.last_article_id),
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [key, sourceId, articleId]);
+    return result.rows[0];
+  }
+
+  async articleExistsByNormalizedLink(link) {
+    const norm = this._normalizedLink(link);
+    if (!norm) return false;
+    const result = await this.pool.query(
+      `SELECT id FROM articles WHERE RTRIM(split_part(link, '?', 1), '/') = $1`,
+      [norm]
+    );
+    return result.rows.length > 0;
+  }
+
+  async articleExistsBySourceIdAndTitle(sourceId, title) {
+    if (!title || !sourceId) return false;
+    const result = await this.pool.query(
+      'SELECT id FROM articles WHERE source_id = $1 AND LOWER(TRIM(title)) = LOWER(TRIM($2))',
+      [sourceId, title]
+    );
+    return result.rows.length > 0;
+  }
+
+  async updateArticle(id, updates) {
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+
+    for (const [key, value] of Object.entries(updates)) {
+      if (value !== undefined) {
+        fields.push(`${key} = $${paramCount}`);
+        values.push(value);
+        paramCount++;
+      }
+    }
+
+    if (fields.length === 0) return null;
+
+    values.push(id);
+    const query = `UPDATE articles SET ${fields.join(', ')} WHERE id = $${paramCount} RETURNING *`;
+    
+    const result = await this.pool.query(query, values);
+    return result.rows[0];
+  }
+
+  async updateArticleStatus(id, status) {
+    const result = await this.pool.query(
+      'UPDATE articles SET status = $1 WHERE id = $2 RETURNING *',
+      [status, id]
+    );
+    return result.rows[0];
+  }
+
+  // Set an article to 'sent' after a delivery; the move is recorded unless it was already sent
+  // Move an article to 'sent' unless it is in one of closedStates (dropped meanwhile); undefined when it isn't moved
+  async markArticleSent(id, { actor = 'system', note = null, closedStates = [] } = {}) {
+    const result = await this.pool.query(`
+      WITH moved AS (
+        UPDATE articles a SET status = 'sent', updated_at = CURRENT_TIMESTAMP
+        FROM (SELECT id, status FROM articles WHERE id = $1 FOR UPDATE) previous
+        WHERE a.id = previous.id AND previous.status <> ALL($4::text[])
+        RETURNING a.*, previous.status AS previous_status
+      ), event AS (
+        INSERT INTO article_events (article_id, from_status, to_status, actor, note)
+        SELECT id, previous_status, 'sent', $2, $3 FROM moved WHERE previous_status IS DISTINCT FROM 'sent'
+      )
+      SELECT * FROM moved
+    `, [id, actor, note, closedStates]);
+    return result.rows[0];
+  }
+
+  // Workflow methods
+  async getWorkflowConfig() {
+    const result = await this.queryWithRetry('SELECT config FROM workflow_config WHERE id = 1');
+    return result.rows[0] ? result.rows[0].config : null;
+  }
+
+  async saveWorkflowConfig(config) {
+    await this.queryWithRetry(`
+      INSERT INTO workflow_config (id, config) VALUES (1, $1)
+      ON CONFLICT (id) DO UPDATE SET config = EXCLUDED.config, updated_at = CURRENT_TIMESTAMP
+    `, [JSON.stringify(config)]);
+  }
+
+  // [{ status, count }] over all articles
+  async countArticlesByStatus() {
+    const result = await this.queryWithRetry('SELECT status, COUNT(*)::int AS count FROM articles GROUP BY status');
+    return result.rows;
+  }
+
+  /**
+   * Move an article from one status to another and record who did it. Only succeeds while the
+   * article is still in `from`; returns the event, or undefined when it moved meanwhile.
+   */
+  async transitionArticle(id, from, to, { actor, note = null }) {
+    const result = await this.queryWithRetry(`
+      WITH moved AS (
+        UPDATE articles SET status = $3, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = $2
+        RETURNING id
+      )
+      INSERT INTO article_events (article_id, from_status, to_status, actor, note)
+      SELECT id, $2, $3, $4, $5 FROM moved
+      RETURNING *
+    `, [id, from, to, actor, note]);
+    return result.rows[0];
+  }
+
+  // Returns Map(articleId -> events oldest first)
+  async getArticleEvents(articleIds) {
+    const events = new Map();
+    if (!articleIds || articleIds.length === 0) return events;
+    const result = await this.queryWithRetry(`
+      SELECT * FROM article_events WHERE article_id = ANY($1::int[]) ORDER BY article_id, created_at, id
+    `, [articleIds]);
+    for (const row of result.rows) {
+      if (!events.has(row.article_id)) events.set(row.article_id, []);
+      events.get(row.article_id).push(row);
+    }
+    return events;
+  }
+
+  // Destination methods
+  async getAllDestinations() {
+    const result = await this.queryWithRetry(`
+      SELECT d.*,
+             COUNT(ad.id) FILTER (WHERE ad.status = 'sent')::int AS delivered_count,
+             MAX(ad.delivered_at) AS last_delivered_at
+      FROM destinations d
+      LEFT JOIN article_deliveries ad ON ad.destination_id = d.id
+      GROUP BY d.id
+      ORDER BY d.id
+    `);
+    return result.rows;
+  }
+
+  async getDestinationById(id) {
+    const result = await this.queryWithRetry('SELECT * FROM destinations WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  async getDestinationByKey(key) {
+    const result = await this.queryWithRetry('SELECT * FROM destinations WHERE destination_key = $1', [key]);
+    return result.rows[0];
+  }
+
+  async getDestinationsByIds(ids) {
+    if (!ids || ids.length === 0) return [];
+    const result = await this.queryWithRetry('SELECT * FROM destinations WHERE id = ANY($1::int[])', [ids]);
+    return result.rows;
+  }
+
+  async createDestination({ name, type, config = {}, isActive = true }) {
+    const result = await this.queryWithRetry(
+      `INSERT INTO destinations (name, type, config, is_active) VALUES ($1, $2, $3, $4) RETURNING *`,
+      [name, type, JSON.stringify(config), isActive]
+    );
+    return result.rows[0];
+  }
+
+  async updateDestination(id, updates) {
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+
+    const columns = { name: 'name', type: 'type', config: 'config', isActive: 'is_active' };
+    for (const [key, column] of Object.entries(columns)) {
+      if (updates[key] !== undefined) {
+        fields.push(`${column} = $${paramCount++}`);
+        values.push(key === 'config' ? JSON.stringify(updates[key]) : updates[key]);
+      }
+    }
+    if (fields.length === 0) return this.getDestinationById(id);
+
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id);
+    const result = await this.queryWithRetry(
+      `UPDATE destinations SET ${fields.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+      values
+    );
+    return result.rows[0];
+  }
+
+  async deleteDestination(id) {
+    const result = await this.queryWithRetry('DELETE FROM destinations WHERE id = $1', [id]);
+    return result.rowCount;
+  }
+
+  // Delivery methods
+  async createArticleDelivery(articleId, destinationId, batchId = null) {
+    const result = await this.queryWithRetry(
+      'INSERT INTO article_deliveries (article_id, destination_id, batch_id) VALUES ($1, $2, $3) RETURNING *',
+      [articleId, destinationId, batchId]
+    );
+    return result.rows[0];
+  }
+
+  async updateArticleDelivery(id, { status, remoteId = null, threadId = null, error = null, response = null }) {
+    const result = await this.queryWithRetry(
+      `UPDATE article_deliveries
+       SET status = $1, remote_id = $2, thread_id = $3, error = $4, response = $5,
+           delivered_at = CASE WHEN $1 = 'sent' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+       WHERE id = $6 RETURNING *`,
+      [status, remoteId, threadId, error, response === null ? null : JSON.stringify(response), id]
+    );
+    return result.rows[0];
+  }
+
+  async getArticleDeliveryById(id) {
+    const result = await this.queryWithRetry('SELECT * FROM article_deliveries WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  // After a delivered post was edited (status stays 'sent') or deleted (status 'deleted') on the remote side
+  async markArticleDeliveryChanged(id, { status, response = null }) {
+    const result = await this.queryWithRetry(
+      `UPDATE article_deliveries
+       SET status = $1, response = COALESCE($2, response), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 RETURNING *`,
+      [status, response === null ? null : JSON.stringify(response), id]
+    );
+    return result.rows[0];
+  }
+
+  // Thread opened by the first successful delivery of a batch to a destination, if any
+  async getBatchThreadId(destinationId, batchId) {
+    const result = await this.queryWithRetry(`
+      SELECT thread_id FROM article_deliveries
+      WHERE destination_id = $1 AND batch_id = $2 AND status = 'sent' AND thread_id IS NOT NULL
+      ORDER BY attempted_at, id
+      LIMIT 1
+    `, [destinationId, batchId]);
+    return result.rows[0] ? result.rows[0].thread_id : null;
+  }
+
+  async getArticleDeliveries(articleId) {
+    const result = await this.queryWithRetry(`
+      SELECT ad.id, ad.article_id, ad.destination_id, ad.status, ad.remote_id, ad.error,
+             ad.batch_id, ad.thread_id, ad.attempted_at, ad.delivered_at, ad.updated_at,
+             d.name AS destination, d.type
+      FROM article_deliveries ad
+      JOIN destinations d ON d.id = ad.destination_id
+      WHERE ad.article_id = $1
+      ORDER BY ad.attempted_at DESC
+    `, [articleId]);
+    return result.rows;
+  }
+
+  // Returns Map(articleId -> [{ destination_id, destination, delivered_at, remote_id }]) of successful deliveries
+  async getSuccessfulDeliveriesForArticles(articleIds) {
+    const deliveries = new Map();
+    if (!articleIds || articleIds.length === 0) return deliveries;
+    const result = await this.queryWithRetry(`
+      SELECT DISTINCT ON (ad.article_id, ad.destination_id)
+             ad.article_id, ad.destination_id, d.name AS destination, ad.delivered_at, ad.remote_id
+      FROM article_deliveries ad
+      JOIN destinations d ON d.id = ad.destination_id
+      WHERE ad.article_id = ANY($1::int[]) AND ad.status = 'sent'
+      ORDER BY ad.article_id, ad.destination_id, ad.delivered_at DESC
+    `, [articleIds]);
+    for (const row of result.rows) {
+      if (!deliveries.has(row.article_id)) deliveries.set(row.article_id, []);
+      deliveries.get(row.article_id).push({
+        destination_id: row.destination_id,
+        destination: row.destination,
+        delivered_at: row.delivered_at,
+        remote_id: row.remote_id
+      });
+    }
+    return deliveries;
+  }
+
+  // Articles successfully delivered to a destination, most recent first
+  async getDeliveredArticles(destinationId, limit = 100) {
+    const result = await this.queryWithRetry(`
+      SELECT a.*, s.name as source_name, latest.delivered_at, latest.remote_id
+      FROM (
+        SELECT DISTINCT ON (article_id) article_id, delivered_at, remote_id
+        FROM article_deliveries
+        WHERE destination_id = $1 AND status = 'sent'
+        ORDER BY article_id, delivered_at DESC
+      ) latest
+      JOIN articles a ON a.id = latest.article_id
+      LEFT JOIN sources s ON a.source_id = s.id
+      ORDER BY latest.delivered_at DESC
+      LIMIT $2
+    `, [destinationId, limit]);
+    return result.rows;
+  }
+
+  // Delivery outbox methods
+  // New jobs start claimed (in_flight) by the caller, which makes the first attempt right away.
+  // Returns null when the article already has an unfinished job for this destination.
+  async createDeliveryJob(articleId, destinationId, options, leaseSeconds) {
+    const result = await this.queryWithRetry(`
+      INSERT INTO delivery_jobs (article_id, destination_id, status, options, next_attempt_at)
+      VALUES ($1, $2, 'in_flight', $3, CURRENT_TIMESTAMP + ($4::int * INTERVAL '1 second'))
+      ON CONFLICT (article_id, destination_id) WHERE status IN ('queued', 'in_flight', 'failed') DO NOTHING
+      RETURNING *
+    `, [articleId, destinationId, JSON.stringify(options || {}), leaseSeconds]);
+    return result.rows[0] || null;
+  }
+
+  async getActiveDeliveryJob(articleId, destinationId) {
+    const result = await this.queryWithRetry(
+      `SELECT * FROM delivery_jobs WHERE article_id = $1 AND destination_id = $2 AND status IN ('queued', 'in_flight', 'failed')`,
+      [articleId, destinationId]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Claim jobs that are due: queued, failed with the retry time reached, or in_flight past
+   * their lease (the process died mid-send). Same lease scheme as claimDueWebhookDeliveries.
+   */
+  async claimDueDeliveryJobs(limit, leaseSeconds) {
+    const result = await this.queryWithRetry(`
+      UPDATE delivery_jobs
+      SET status = 'in_flight', next_attempt_at = CURRENT_TIMESTAMP + ($2::int * INTERVAL '1 second'), updated_at = CURRENT_TIMESTAMP
+      WHERE id IN (
+        SELECT id FROM delivery_jobs
+        WHERE status IN ('queued', 'in_flight', 'failed') AND next_attempt_at <= CURRENT_TIMESTAMP
+        ORDER BY next_attempt_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [limit, leaseSeconds]);
+    return result.rows;
+  }
+
+  // Manual retry of a failed or dead job; a dead job gets a fresh attempt budget
+  async claimDeliveryJobForRetry(id, leaseSeconds) {
+    const result = await this.queryWithRetry(`
+      UPDATE delivery_jobs
+      SET status = 'in_flight',
+          attempts = CASE WHEN status = 'dead' THEN 0 ELSE attempts END,
+          next_attempt_at = CURRENT_TIMESTAMP + ($2::int * INTERVAL '1 second'),
+          finished_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status IN ('failed', 'dead')
+      RETURNING *
+    `, [id, leaseSeconds]);
+    return result.rows[0] || null;
+  }
+
+  // retryInSeconds: when a 'failed' job is tried again; succeeded/dead jobs are finished
+  async recordDeliveryJobAttempt(id, { status, attempts, retryInSeconds = null, error = null, deliveryId = null }) {
+    const result = await this.queryWithRetry(`
+      UPDATE delivery_jobs
+      SET status = $1, attempts = $2,
+          next_attempt_at = CASE WHEN $3::int IS NULL THEN next_attempt_at ELSE CURRENT_TIMESTAMP + ($3::int * INTERVAL '1 second') END,
+          last_error = $4, delivery_id = COALESCE($5, delivery_id), updated_at = CURRENT_TIMESTAMP,
+          finished_at = CASE WHEN $1 IN ('succeeded', 'dead') THEN CURRENT_TIMESTAMP ELSE NULL END
+      WHERE id = $6 RETURNING *
+    `, [status, attempts, retryInSeconds, error, deliveryId, id]);
+    return result.rows[0];
+  }
+
+  async getDeliveryJobById(id) {
+    const result = await this.queryWithRetry('SELECT * FROM delivery_jobs WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  // Jobs in the given states with article title and destination name, most recently updated first
+  async getDeliveryJobs(statuses, limit = 100) {
+    const result = await this.queryWithRetry(`
+      SELECT j.*, a.title AS article_title, a.link AS article_link, d.name AS destination, d.type
+      FROM delivery_jobs j
+      JOIN articles a ON a.id = j.article_id
+      JOIN destinations d ON d.id = j.destination_id
+      WHERE j.status = ANY($1::text[])
+      ORDER BY j.updated_at DESC
+      LIMIT $2
+    `, [statuses, limit]);
+    return result.rows;
+  }
+
+  // Give up on a failed/dead job without sending it
+  async deleteDeliveryJob(id) {
+    const result = await this.queryWithRetry(
+      `DELETE FROM delivery_jobs WHERE id = $1 AND status IN ('failed', 'dead')`,
+      [id]
+    );
+    return result.rowCount;
+  }
+
+  // Job queue methods
+  // Returns null when an unfinished job already holds the dedupe key
+  async createJob({ type, payload = {}, dedupeKey = null, requestedBy = null, maxAttempts = 3, runAt = null }) {
+    const result = await this.queryWithRetry(`
+      INSERT INTO jobs (type, payload, dedupe_key, requested_by, max_attempts, next_attempt_at)
+      VALUES ($1, $2, $3, $4, $5, COALESCE($6::timestamp, CURRENT_TIMESTAMP))
+      ON CONFLICT (dedupe_key) WHERE dedupe_key IS NOT NULL AND status IN ('queued', 'in_flight', 'failed') DO NOTHING
+      RETURNING *
+    `, [type, JSON.stringify(payload), dedupeKey, requestedBy, maxAttempts, runAt]);
+    return result.rows[0] || null;
+  }
+
+  async getActiveJobByDedupeKey(dedupeKey) {
+    const result = await this.queryWithRetry(
+      `SELECT * FROM jobs WHERE dedupe_key = $1 AND status IN ('queued', 'in_flight', 'failed')`,
+      [dedupeKey]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Claim the next due job of the given types for workerId: queued, failed with its retry time
+   * reached, or in_flight past its lease (the worker running it died) with attempts left.
+   * leaseSeconds maps type -> seconds the claim is good for. Counts the attempt.
+   */
+  async claimJob(types, workerId, leaseSeconds) {
+    const result = await this.queryWithRetry(`
+      UPDATE jobs
+      SET status = 'in_flight', attempts = attempts + 1, locked_by = $2,
+          next_attempt_at = CURRENT_TIMESTAMP + (COALESCE(($3::jsonb ->> type)::int, 300) * INTERVAL '1 second'),
+          started_at = CURRENT_TIMESTAMP, finished_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = (
+        SELECT id FROM jobs
+        WHERE type = ANY($1::text[])
+          AND status IN ('queued', 'in_flight', 'failed')
+          AND next_attempt_at <= CURRENT_TIMESTAMP
+          AND attempts < max_attempts
+        ORDER BY next_attempt_at, id
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [types, workerId, JSON.stringify(leaseSeconds)]);
+    return result.rows[0] || null;
+  }
+
+  // In-flight jobs whose lease ran out on their last attempt: nobody will pick them up again
+  async deadLetterExpiredJobs() {
+    const result = await this.queryWithRetry(`
+      UPDATE jobs
+      SET status = 'dead', locked_by = NULL, finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP,
+          last_error = COALESCE(last_error || ' / ', '') || 'Worker stopped responding during the last attempt'
+      WHERE status = 'in_flight' AND next_attempt_at <= CURRENT_TIMESTAMP AND attempts >= max_attempts
+      RETURNING *
+    `);
+    return result.rows;
+  }
+
+  // Heartbeat: push the lease out while the job is still ours. False when it no longer is.
+  async extendJobLease(id, workerId, seconds) {
+    const result = await this.queryWithRetry(`
+      UPDATE jobs SET next_attempt_at = CURRENT_TIMESTAMP + ($3::int * INTERVAL '1 second'), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND locked_by = $2 AND status = 'in_flight'
+    `, [id, workerId, seconds]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Record the end of an attempt: succeeded / dead (finished) or failed (tried again in
+   * retryInSeconds). Only applies while workerId still holds the job; returns null otherwise.
+   */
+  async finishJob(id, workerId, { status, result = null, error = null, retryInSeconds = null }) {
+    const updated = await this.queryWithRetry(`
+      UPDATE jobs
+      SET status = $3, result = COALESCE($4, result), last_error = $5, locked_by = NULL,
+          next_attempt_at = CASE WHEN $6::int IS NULL THEN next_attempt_at ELSE CURRENT_TIMESTAMP + ($6::int * INTERVAL '1 second') END,
+          finished_at = CASE WHEN $3 IN ('succeeded', 'dead') THEN CURRENT_TIMESTAMP ELSE NULL END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND locked_by = $2 AND status = 'in_flight'
+      RETURNING *
+    `, [id, workerId, status, result === null ? null : JSON.stringify(result), error, retryInSeconds]);
+    return updated.rows[0] || null;
+  }
+
+  // Hand a job back without counting the attempt (worker shutting down)
+  async releaseJob(id, workerId) {
+    const result = await this.queryWithRetry(`
+      UPDATE jobs
+      SET status = 'queued', attempts = GREATEST(attempts - 1, 0), locked_by = NULL,
+          next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND locked_by = $2 AND status = 'in_flight'
+      RETURNING *
+    `, [id, workerId]);
+    return result.rows[0] || null;
+  }
+
+  async updateJobPayload(id, payload) {
+    await this.queryWithRetry(
+      'UPDATE jobs SET payload = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [id, JSON.stringify(payload)]
+    );
+  }
+
+  async getJobById(id) {
+    const result = await this.queryWithRetry('SELECT * FROM jobs WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  // Most recently updated first, optionally filtered by status(es) and type
+  async getJobs({ statuses = null, type = null, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (statuses) {
+      params.push(statuses);
+      conditions.push(`status = ANY($${params.length}::text[])`);
+    }
+    if (type) {
+      params.push(type);
+      conditions.push(`type = $${params.length}`);
+    }
+    params.push(limit);
+    const result = await this.queryWithRetry(`
+      SELECT * FROM jobs
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY updated_at DESC, id DESC
+      LIMIT $${params.length}
+    `, params);
+    return result.rows;
+  }
+
+  // Manual retry of a failed or dead job, due now; a dead job gets a fresh attempt budget
+  async retryJob(id) {
+    const result = await this.queryWithRetry(`
+      UPDATE jobs
+      SET status = 'queued', attempts = CASE WHEN status = 'dead' THEN 0 ELSE attempts END,
+          next_attempt_at = CURRENT_TIMESTAMP, finished_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status IN ('failed', 'dead')
+      RETURNING *
+    `, [id]);
+    return result.rows[0] || null;
+  }
+
+  // Drop a job nobody is working on (queued, waiting for a retry, or dead)
+  async cancelJob(id) {
+    const result = await this.queryWithRetry(`
+      UPDATE jobs SET status = 'cancelled', locked_by = NULL, finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status IN ('queued', 'failed', 'dead')
+      RETURNING *
+    `, [id]);
+    return result.rows[0] || null;
+  }
+
+  async deleteFinishedJobsOlderThan(days) {
+    const result = await this.queryWithRetry(`
+      DELETE FROM jobs
+      WHERE status IN ('succeeded', 'cancelled') AND finished_at < CURRENT_TIMESTAMP - ($1::int * INTERVAL '1 day')
+    `, [days]);
+    return result.rowCount;
+  }
+
+  // Scheduled task methods
+  // Add tasks that have no row yet with their default schedule; existing rows keep their settings
+  async ensureScheduledTasks(tasks) {
+    for (const { name, cron, enabled, nextRunAt } of tasks) {
+      await this.queryWithRetry(`
+        INSERT INTO scheduled_tasks (name, cron, enabled, next_run_at)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (name) DO NOTHING
+      `, [name, cron, enabled, nextRunAt]);
+    }
+  }
+
+  async getScheduledTasks() {
+    const result = await this.queryWithRetry('SELECT * FROM scheduled_tasks ORDER BY name');
+    return result.rows;
+  }
+
+  async getScheduledTaskByName(name) {
+    const result = await this.queryWithRetry('SELECT * FROM scheduled_tasks WHERE name = $1', [name]);
+    return result.rows[0];
+  }
+
+  async updateScheduledTask(name, { enabled, cron, nextRunAt, updatedBy = null }) {
+    const result = await this.queryWithRetry(`
+      UPDATE scheduled_tasks
+      SET enabled = $2, cron = $3, next_run_at = $4, updated_by = $5, updated_at = CURRENT_TIMESTAMP
+      WHERE name = $1 RETURNING *
+    `, [name, enabled, cron, nextRunAt, updatedBy]);
+    return result.rows[0];
+  }
+
+  // Run now: picked up at the next scheduler tick, even when the task is disabled
+  async requestScheduledTaskRun(name, requestedBy = null) {
+    const result = await this.queryWithRetry(`
+      UPDATE scheduled_tasks
+      SET run_requested_at = CURRENT_TIMESTAMP, run_requested_by = $2
+      WHERE name = $1 RETURNING *
+    `, [name, requestedBy]);
+    return result.rows[0];
+  }
+
+  /**
+   * Claim tasks that are due (or were asked to run now) and that no worker is running. A run
+   * older than staleMinutes belongs to a worker that died and is claimed again.
+   */
+  async claimDueScheduledTasks(workerId, staleMinutes) {
+    const result = await this.queryWithRetry(`
+      UPDATE scheduled_tasks
+      SET running_since = CURRENT_TIMESTAMP, locked_by = $1,
+          last_trigger = CASE WHEN run_requested_at IS NOT NULL THEN 'manual' ELSE 'schedule' END,
+          last_run_by = CASE WHEN run_requested_at IS NOT NULL THEN run_requested_by ELSE NULL END,
+          run_requested_at = NULL, run_requested_by = NULL
+      WHERE name IN (
+        SELECT name FROM scheduled_tasks
+        WHERE ((enabled AND next_run_at <= NOW()) OR run_requested_at IS NOT NULL)
+          AND (running_since IS NULL OR running_since < CURRENT_TIMESTAMP - ($2::int * INTERVAL '1 minute'))
+        ORDER BY name
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [workerId, staleMinutes]);
+    return result.rows;
+  }
+
+  // Record a claimed run's outcome and when the task is next due; only the claiming worker may
+  async finishScheduledTask(name, workerId, { status, result = null, error = null, durationMs, nextRunAt }) {
+    const updated = await this.queryWithRetry(`
+      UPDATE scheduled_tasks
+      SET running_since = NULL, locked_by = NULL, last_run_at = running_since, last_status = $3,
+          last_result = $4, last_error = $5, last_duration_ms = $6, next_run_at = $7
+      WHERE name = $1 AND locked_by = $2 RETURNING *
+    `, [name, workerId, status, result === null ? null : JSON.stringify(result), error, durationMs, nextRunAt]);
+    return updated.rows[0] || null;
+  }
+
+  // Scheduled send methods
+  // One row per destination; an article already scheduled for a destination is skipped (see the returned rows)
+  async createScheduledSends(articleId, destinationIds, sendAt, { note = null, options = {} } = {}) {
+    const result = await this.queryWithRetry(`
+      INSERT INTO scheduled_sends (article_id, destination_id, send_at, note, options)
+      SELECT $1, d.id, $3, $4, $5
+      FROM destinations d
+      WHERE d.id = ANY($2::int[])
+      ON CONFLICT (article_id, destination_id) WHERE status = 'scheduled' DO NOTHING
+      RETURNING *
+    `, [articleId, destinationIds, sendAt, note, JSON.stringify(options)]);
+    return result.rows;
+  }
+
+  async getScheduledSendById(id) {
+    const result = await this.queryWithRetry('SELECT * FROM scheduled_sends WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  // Scheduled sends in the given states with article title and destination name, soonest first
+  async getScheduledSends(statuses, limit = 200) {
+    const result = await this.queryWithRetry(`
+      SELECT ss.*, a.title AS article_title, a.link AS article_link, d.name AS destination, d.type
+      FROM scheduled_sends ss
+      JOIN articles a ON a.id = ss.article_id
+      JOIN destinations d ON d.id = ss.destination_id
+      WHERE ss.status = ANY($1::text[])
+      ORDER BY ss.send_at, ss.id
+      LIMIT $2
+    `, [statuses, limit]);
+    return result.rows;
+  }
+
+  /**
+   * Claim sends whose time has come, plus ones stuck in 'sending' for longer than staleMinutes
+   * (the process died mid-send).
+   */
+  async claimDueScheduledSends(limit, staleMinutes) {
+    const result = await this.queryWithRetry(`
+      UPDATE scheduled_sends
+      SET status = 'sending', updated_at = CURRENT_TIMESTAMP
+      WHERE id IN (
+        SELECT id FROM scheduled_sends
+        WHERE (status = 'scheduled' AND send_at <= NOW())
+           OR (status = 'sending' AND updated_at < CURRENT_TIMESTAMP - ($2::int * INTERVAL '1 minute'))
+        ORDER BY send_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [limit, staleMinutes]);
+    return result.rows;
+  }
+
+  async finishScheduledSend(id, { status, error = null, deliveryId = null }) {
+    const result = await this.queryWithRetry(`
+      UPDATE scheduled_sends
+      SET status = $1, error = $2, delivery_id = $3, updated_at = CURRENT_TIMESTAMP,
+          sent_at = CASE WHEN $1 = 'sent' THEN NOW() ELSE sent_at END
+      WHERE id = $4 RETURNING *
+    `, [status, error, deliveryId, id]);
+    return result.rows[0];
+  }
+
+  // Move a pending (or failed) send to a new time; it goes back to 'scheduled'
+  async rescheduleScheduledSend(id, sendAt) {
+    const result = await this.queryWithRetry(`
+      UPDATE scheduled_sends
+      SET send_at = $2, status = 'scheduled', error = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status IN ('scheduled', 'failed')
+      RETURNING *
+    `, [id, sendAt]);
+    return result.rows[0] || null;
+  }
+
+  // Cancel a pending send, or dismiss a failed one
+  async cancelScheduledSend(id) {
+    const result = await this.queryWithRetry(`
+      UPDATE scheduled_sends SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status IN ('scheduled', 'failed')
+      RETURNING *
+    `, [id]);
+    return result.rows[0] || null;
+  }
+
+  // Webhook methods
+  async getAllWebhooks() {
+    const result = await this.queryWithRetry(`
+      SELECT w.*,
+             COUNT(wd.id) FILTER (WHERE wd.status = 'pending')::int AS pending_count,
+             COUNT(wd.id) FILTER (WHERE wd.status = 'failed')::int AS failed_count,
+             MAX(wd.delivered_at) AS last_delivered_at
+      FROM webhooks w
+      LEFT JOIN webhook_deliveries wd ON wd.webhook_id = w.id
+      GROUP BY w.id
+      ORDER BY w.name
+    `);
+    return result.rows;
+  }
+
+  async getWebhookById(id) {
+    const result = await this.queryWithRetry('SELECT * FROM webhooks WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  async getActiveWebhooksForEvent(eventType) {
+    const result = await this.queryWithRetry(
+      'SELECT * FROM webhooks WHERE is_active = TRUE AND $1 = ANY(event_types)',
+      [eventType]
+    );
+    return result.rows;
+  }
+
+  async createWebhook({ name, url, secret, eventTypes, isActive = true }) {
+    const result = await this.queryWithRetry(
+      `INSERT INTO webhooks (name, url, secret, event_types, is_active) VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [name, url, secret, eventTypes, isActive]
+    );
+    return result.rows[0];
+  }
+
+  async updateWebhook(id, updates) {
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+
+    const columns = { name: 'name', url: 'url', secret: 'secret', eventTypes: 'event_types', isActive: 'is_active' };
+    for (const [key, column] of Object.entries(columns)) {
+      if (updates[key] !== undefined) {
+        fields.push(`${column} = $${paramCount++}`);
+        values.push(updates[key]);
+      }
+    }
+    if (fields.length === 0) return this.getWebhookById(id);
+
+    fields.push('updated_at = CURRENT_TIMESTAMP');
+    values.push(id);
+    const result = await this.queryWithRetry(
+      `UPDATE webhooks SET ${fields.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+      values
+    );
+    return result.rows[0];
+  }
+
+  async deleteWebhook(id) {
+    const result = await this.queryWithRetry('DELETE FROM webhooks WHERE id = $1', [id]);
+    return result.rowCount;
+  }
+
+  async createWebhookDelivery(webhookId, eventType, eventId, payload, redeliveryOf = null) {
+    const result = await this.queryWithRetry(
+      `INSERT INTO webhook_deliveries (webhook_id, event_type, event_id, payload, redelivery_of)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [webhookId, eventType, eventId, JSON.stringify(payload), redeliveryOf]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Claim due deliveries of active webhooks. Claimed rows have next_attempt_at pushed out by the
+   * lease, so another instance (or a crash mid-request) can't send them twice in a row; the
+   * attempt result overwrites it.
+   */
+  async claimDueWebhookDeliveries(limit, leaseSeconds) {
+    const result = await this.queryWithRetry(`
+      WITH claimed AS (
+        UPDATE webhook_deliveries
+        SET next_attempt_at = CURRENT_TIMESTAMP + ($2::int * INTERVAL '1 second')
+        WHERE id IN (
+          SELECT wd.id
+          FROM webhook_deliveries wd
+          JOIN webhooks w ON w.id = wd.webhook_id AND w.is_active = TRUE
+          WHERE wd.status = 'pending' AND wd.next_attempt_at <= CURRENT_TIMESTAMP
+          ORDER BY wd.next_attempt_at
+          LIMIT $1
+          FOR UPDATE OF wd SKIP LOCKED
+        )
+        RETURNING *
+      )
+      SELECT c.*, w.name AS webhook_name, w.url, w.secret
+      FROM claimed c
+      JOIN webhooks w ON w.id = c.webhook_id
+      ORDER BY c.id
+    `, [limit, leaseSeconds]);
+    return result.rows;
+  }
+
+  // retryInSeconds: when to try again (status stays 'pending'); null once delivered or given up
+  async recordWebhookAttempt(id, { status, attempts, retryInSeconds = null, statusCode = null, error = null, responseBody = null }) {
+    const result = await this.queryWithRetry(
+      `UPDATE webhook_deliveries
+       SET status = $1, attempts = $2,
+           next_attempt_at = CASE WHEN $3::int IS NULL THEN next_attempt_at ELSE CURRENT_TIMESTAMP + ($3::int * INTERVAL '1 second') END,
+           last_attempt_at = CURRENT_TIMESTAMP, last_status_code = $4, last_error = $5, response_body = $6,
+           delivered_at = CASE WHEN $1 = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+       WHERE id = $7 RETURNING *`,
+      [status, attempts, retryInSeconds, statusCode, error, responseBody, id]
+    );
+    return result.rows[0];
+  }
+
+  async getWebhookDeliveryById(id) {
+    const result = await this.queryWithRetry('SELECT * FROM webhook_deliveries WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  // Delivery log for a webhook, newest first (optionally only one status)
+  async getWebhookDeliveries(webhookId, { status = null, limit = 50, offset = 0 } = {}) {
+    const result = await this.queryWithRetry(`
+      SELECT id, webhook_id, event_type, event_id, payload, status, attempts, next_attempt_at, last_attempt_at,
+             last_status_code, last_error, response_body, redelivery_of, created_at, delivered_at
+      FROM webhook_deliveries
+      WHERE webhook_id = $1 AND ($2::text IS NULL OR status = $2)
+      ORDER BY created_at DESC, id DESC
+      LIMIT $3 OFFSET $4
+    `, [webhookId, status, limit, offset]);
+    return result.rows;
+  }
+
+  // Digest methods
+  /**
+   * Articles for a digest query, newest first. With a destination, the window applies to when
+   * they were sent there (sent_at is the latest send); otherwise to when they were added.
+   */
+  async getDigestArticles({ destinationId = null, sinceHours = 24, category = null, sourceId = null, limit = 200 }) {
+    const conditions = [];
+    const values = [sinceHours];
+    let paramCount = 2;
+    let deliveryJoin = '';
+
+    if (destinationId) {
+      deliveryJoin = `
+        JOIN (
+          SELECT article_id, MAX(delivered_at) AS sent_at
+          FROM article_deliveries
+          WHERE destination_id = $${paramCount++} AND status = 'sent'
+            AND delivered_at >= CURRENT_TIMESTAMP - ($1::int * INTERVAL '1 hour')
+          GROUP BY article_id
+        ) ad ON ad.article_id = a.id`;
+      values.push(destinationId);
+    } else {
+      conditions.push(`a.created_at >= CURRENT_TIMESTAMP - ($1::int * INTERVAL '1 hour')`);
+    }
+    if (category) {
+      conditions.push(`a.category = $${paramCount++}`);
+      values.push(category);
+    }
+    if (sourceId) {
+      conditions.push(`a.source_id = $${paramCount++}`);
+      values.push(sourceId);
+    }
+    values.push(limit);
+
+    const result = await this.queryWithRetry(`
+      SELECT a.*, s.name AS source_name${destinationId ? ', ad.sent_at' : ''}
+      FROM articles a
+      LEFT JOIN sources s ON a.source_id = s.id${deliveryJoin}
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY COALESCE(a.pub_date, a.created_at) DESC
+      LIMIT $${paramCount}
+    `, values);
+    return result.rows;
+  }
+
+  async getDigestTemplates() {
+    const result = await this.queryWithRetry('SELECT * FROM digest_templates ORDER BY name');
+    return result.rows;
+  }
+
+  async getDigestTemplateById(id) {
+    const result = await this.queryWithRetry('SELECT * FROM digest_templates WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  async createDigestTemplate({ name, subject, html, markdown, text }) {
+    const result = await this.queryWithRetry(
+      `INSERT INTO digest_templates (name, subject, html, markdown, text) VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [name, subject, html, markdown, text]
+    );
+    return result.rows[0];
+  }
+
+  async updateDigestTemplate(id, { name, subject, html, markdown, text }) {
+    const result = await this.queryWithRetry(`
+      UPDATE digest_templates
+      SET name = $1, subject = $2, html = $3, markdown = $4, text = $5, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $6
+      RETURNING *
+    `, [name, subject, html, markdown, text, id]);
+    return result.rows[0];
+  }
+
+  async deleteDigestTemplate(id) {
+    const result = await this.queryWithRetry('DELETE FROM digest_templates WHERE id = $1', [id]);
+    return result.rowCount;
+  }
+
+  async getSavedDigests() {
+    const result = await this.queryWithRetry(`
+      SELECT sd.*, dt.name AS template_name, d.name AS email_destination
+      FROM saved_digests sd
+      LEFT JOIN digest_templates dt ON dt.id = sd.template_id
+      LEFT JOIN destinations d ON d.id = sd.email_destination_id
+      ORDER BY sd.name
+    `);
+    return result.rows;
+  }
+
+  async getSavedDigestById(id) {
+    const result = await this.queryWithRetry('SELECT * FROM saved_digests WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  async createSavedDigest({ name, title, intro, groupBy, query, templateId, emailDestinationId = null, sendTime = null, timeZone = 'UTC' }) {
+    const result = await this.queryWithRetry(`
+      INSERT INTO saved_digests (name, title, intro, group_by, query, template_id, email_destination_id, send_time, time_zone)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [name, title, intro, groupBy, JSON.stringify(query), templateId, emailDestinationId, sendTime, timeZone]);
+    return result.rows[0];
+  }
+
+  async updateSavedDigest(id, { name, title, intro, groupBy, query, templateId, emailDestinationId = null, sendTime = null, timeZone = 'UTC' }) {
+    const result = await this.queryWithRetry(`
+      UPDATE saved_digests
+      SET name = $1, title = $2, intro = $3, group_by = $4, query = $5, template_id = $6,
+          email_destination_id = $7, send_time = $8, time_zone = $9, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $10
+      RETURNING *
+    `, [name, title, intro, groupBy, JSON.stringify(query), templateId, emailDestinationId, sendTime, timeZone, id]);
+    return result.rows[0];
+  }
+
+  async deleteSavedDigest(id) {
+    const result = await this.queryWithRetry('DELETE FROM saved_digests WHERE id = $1', [id]);
+    return result.rowCount;
+  }
+
+  // Saved digests with a daily email set up
+  async getScheduledSavedDigests() {
+    const result = await this.queryWithRetry(`
+      SELECT * FROM saved_digests
+      WHERE send_time IS NOT NULL AND email_destination_id IS NOT NULL
+      ORDER BY id
     `);
     return result.rows;
   }
 
-  async addArticle(article) {
-    const result = await this.pool.query(`
-      INSERT INTO articles (
-        title, content, preview, link, pub_date, source_id, source_name, 
-        category, status, is_manual, ai_summary, publisher_description, article_hook
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) 
+  /**
+   * Claim a digest's send slot: succeeds only if nobody moved last_run_at since it was read.
+   * Returns the row, or undefined when another run got there first.
+   */
+  async claimSavedDigestRun(id, slot, previousRunAt) {
+    const result = await this.queryWithRetry(`
+      UPDATE saved_digests SET last_run_at = $2
+      WHERE id = $1 AND last_run_at IS NOT DISTINCT FROM $3
       RETURNING *
-    `, [
-      article.title,
-      article.content,
-      article.preview,
-      article.link,
-      article.pub_date || article.pubDate || null,
-      article.source_id || article.sourceId || null,
-      article.source_name || article.sourceName || 'Unknown Source',
-      article.category,
-      article.status || 'new',
-      article.is_manual || false,
-      article.ai_summary,
-      article.publisher_description || article.publisherDescription || null,
-      article.article_hook || article.articleHook || null
-    ]);
-    const inserted = result.rows[0];
-    try {
-      await this.markArticleSeen(
-        article.link,
-        article.source_id || article.sourceId || null,
-        inserted.id
-      );
-    } catch (seenErr) {
-      // Seen-cache failure should never block article insertion
-      console.warn(`⚠️ [SEEN] Failed to update seen cache for inserted article ${inserted.id}: ${seenErr.message}`);
-    }
-    return inserted.id;
+    `, [id, slot, previousRunAt]);
+    return result.rows[0];
   }
 
-  async getArticleById(id) {
-    const result = await this.pool.query('SELECT * FROM articles WHERE id = $1', [id]);
+  async recordSavedDigestSend(id, { sent, error = null }) {
+    await this.queryWithRetry(`
+      UPDATE saved_digests
+      SET last_sent_at = CASE WHEN $2::boolean THEN CURRENT_TIMESTAMP ELSE last_sent_at END, last_error = $3
+      WHERE id = $1
+    `, [id, sent, error]);
+  }
+
+  // Email methods
+  async getEmailLists() {
+    const result = await this.queryWithRetry('SELECT * FROM email_lists ORDER BY name');
+    return result.rows;
+  }
+
+  async getEmailListByName(name) {
+    const result = await this.queryWithRetry('SELECT * FROM email_lists WHERE name = $1', [name]);
     return result.rows[0];
   }
 
-  async getArticleByLink(link) {
-    const result = await this.pool.query('SELECT * FROM articles WHERE link = $1', [link]);
+  async createEmailList({ name, addresses }) {
+    const result = await this.queryWithRetry(
+      'INSERT INTO email_lists (name, addresses) VALUES ($1, $2) RETURNING *',
+      [name, addresses]
+    );
     return result.rows[0];
   }
 
-  async articleExists(link) {
-    const result = await this.pool.query('SELECT id FROM articles WHERE link = $1', [link]);
-    return result.rows.length > 0;
+  async updateEmailList(id, { name, addresses }) {
+    const result = await this.queryWithRetry(
+      'UPDATE email_lists SET name = $1, addresses = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3 RETURNING *',
+      [name, addresses, id]
+    );
+    return result.rows[0];
   }
 
-  // Normalize link for dedup: strip query string and trailing slash (case-sensitive path)
-  _normalizedLink(link) {
-    if (!link || typeof link !== 'string') return '';
-    const withoutQuery = link.split('?')[0].trim();
-    return withoutQuery.replace(/\/+$/, '') || withoutQuery;
+  async deleteEmailList(id) {
+    const result = await this.queryWithRetry('DELETE FROM email_lists WHERE id = $1', [id]);
+    return result.rowCount;
   }
 
-  // Canonical key for persistent seen-cache dedupe.
-  // Keeps host+path only and normalizes case/trailing slash/query noise.
-  _canonicalSeenKey(link) {
-    if (!link || typeof link !== 'string') return '';
-    try {
-      const u = new URL(link.trim());
-      const host = (u.hostname || '').toLowerCase();
-      const path = (u.pathname || '/').replace(/\/+$/, '') || '/';
-      return `${host}${path}`.toLowerCase();
-    } catch {
-      // Fallback for malformed URLs
-      return this._normalizedLink(link).toLowerCase();
+  // One row per recipient of a sent (or failed) email
+  async recordEmailRecipients({ deliveryId = null, savedDigestId = null, listName, messageId, recipients }) {
+    if (recipients.length === 0) return;
+    await this.queryWithRetry(`
+      INSERT INTO email_recipients (delivery_id, saved_digest_id, list_name, message_id, address, status, smtp_code, error)
+      SELECT $1, $2, $3, $4, r.address, r.status, r.smtp_code, r.error
+      FROM jsonb_to_recordset($5::jsonb) AS r(address TEXT, status TEXT, smtp_code INTEGER, error TEXT)
+    `, [deliveryId, savedDigestId, listName, messageId, JSON.stringify(recipients.map(r => ({
+      address: r.address, status: r.status, smtp_code: r.code, error: r.error
+    })))]);
+  }
+
+  async getEmailRecipients({ deliveryId = null, savedDigestId = null, status = null, address = null, limit = 100, offset = 0 } = {}) {
+    const result = await this.queryWithRetry(`
+      SELECT * FROM email_recipients
+      WHERE ($1::int IS NULL OR delivery_id = $1)
+        AND ($2::int IS NULL OR saved_digest_id = $2)
+        AND ($3::text IS NULL OR status = $3)
+        AND ($4::text IS NULL OR address = $4)
+      ORDER BY created_at DESC, id DESC
+      LIMIT $5 OFFSET $6
+    `, [deliveryId, savedDigestId, status, address, limit, offset]);
+    return result.rows;
+  }
+
+  /**
+   * Mark a recipient as bounced: the email with that Message-ID, or without one the latest
+   * email accepted for the address. Returns the updated row, or undefined if none matched.
+   */
+  async recordEmailBounce({ address, messageId = null, code = null, reason }) {
+    const result = await this.queryWithRetry(`
+      UPDATE email_recipients
+      SET status = 'bounced', smtp_code = COALESCE($3, smtp_code), error = $4, updated_at = CURRENT_TIMESTAMP
+      WHERE id = (
+        SELECT id FROM email_recipients
+        WHERE address = $1 AND ($2::text IS NULL OR message_id = $2) AND status IN ('accepted', 'bounced')
+        ORDER BY created_at DESC, id DESC
+        LIMIT 1
+      )
+      RETURNING *
+    `, [address, messageId, code, reason]);
+    return result.rows[0];
+  }
+
+  // Outbound feed methods
+  /**
+   * Articles for an outbound feed, newest first.
+   * kind 'sent': delivered to a destination (any, or destinationId); sent_at is the latest delivery.
+   * kind 'status': articles in one of `statuses`. category narrows either (case-insensitive).
+   */
+  async getFeedArticles({ kind, statuses = null, category = null, destinationId = null, limit = 50 }) {
+    const conditions = [];
+    const values = [];
+    let paramCount = 1;
+    let deliveryJoin = '';
+
+    if (kind === 'sent') {
+      deliveryJoin = `
+        JOIN (
+          SELECT article_id, MAX(delivered_at) AS sent_at
+          FROM article_deliveries
+          WHERE status = 'sent'${destinationId ? ` AND destination_id = $${paramCount++}` : ''}
+          GROUP BY article_id
+        ) ad ON ad.article_id = a.id`;
+      if (destinationId) values.push(destinationId);
+    } else {
+      conditions.push(`a.status = ANY($${paramCount++}::text[])`);
+      values.push(statuses);
     }
+    if (category) {
+      conditions.push(`LOWER(a.category) = LOWER($${paramCount++})`);
+      values.push(category);
+    }
+    values.push(limit);
+
+    const result = await this.queryWithRetry(`
+      SELECT a.*, s.name AS source_name${kind === 'sent' ? ', ad.sent_at' : ''}
+      FROM articles a
+      LEFT JOIN sources s ON a.source_id = s.id${deliveryJoin}
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY ${kind === 'sent' ? 'ad.sent_at' : 'COALESCE(a.pub_date, a.created_at)'} DESC
+      LIMIT $${paramCount}
+    `, values);
+    return result.rows;
   }
 
-  async getSeenArticleByLink(link) {
-    const key = this._canonicalSeenKey(link);
-    if (!key) return null;
-    const result = await this.pool.query(
-      `SELECT * FROM seen_articles WHERE canonical_key = $1 LIMIT 1`,
-      [key]
+  async getFeedTokens() {
+    const result = await this.queryWithRetry(
+      'SELECT id, feed_key, name, token_hint, last_used_at, created_at FROM feed_tokens ORDER BY feed_key, name'
     );
-    return result.rows[0] || null;
+    return result.rows;
   }
 
-  async markArticleSeen(link, sourceId = null, articleId = null) {
-    const key = this._canonicalSeenKey(link);
-    if (!key) return null;
-    const result = await this.pool.query(`
-      INSERT INTO seen_articles (canonical_key, source_id, first_seen_at, last_seen_at, last_article_id, updated_at)
-      VALUES ($1, $2, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, $3, CURRENT_TIMESTAMP)
-      ON CONFLICT (canonical_key)
-      DO UPDATE SET
-        source_id = COALESCE(EXCLUDED.source_id, seen_articles.source_id),
-        last_seen_at = CURRENT_TIMESTAMP,
-        last_article_id = COALESCE(EXCLUDED.last_article_id, seen_articles.last_article_id),
-        updated_at = CURRENT_TIMESTAMP
-      RETURNING *
-    `, [key, sourceId, articleId]);
+  async createFeedToken({ feedKey, name, tokenHash, tokenHint }) {
+    const result = await this.queryWithRetry(`
+      INSERT INTO feed_tokens (feed_key, name, token_hash, token_hint) VALUES ($1, $2, $3, $4)
+      RETURNING id, feed_key, name, token_hint, last_used_at, created_at
+    `, [feedKey, name, tokenHash, tokenHint]);
     return result.rows[0];
   }
 
-  async articleExistsByNormalizedLink(link) {
-    const norm = this._normalizedLink(link);
-    if (!norm) return false;
-    const result = await this.pool.query(
-      `SELECT id FROM articles WHERE RTRIM(split_part(link, '?', 1), '/') = $1`,
-      [norm]
-    );
-    return result.rows.length > 0;
+  async deleteFeedToken(id) {
+    const result = await this.queryWithRetry('DELETE FROM feed_tokens WHERE id = $1', [id]);
+    return result.rowCount;
   }
 
-  async articleExistsBySourceIdAndTitle(sourceId, title) {
-    if (!title || !sourceId) return false;
-    const result = await this.pool.query(
-      'SELECT id FROM articles WHERE source_id = $1 AND LOWER(TRIM(title)) = LOWER(TRIM($2))',
-      [sourceId, title]
-    );
-    return result.rows.length > 0;
+  /**
+   * Access check for a feed: { tokenCount, tokenId } where tokenId is the matching token
+   * (its last_used_at is bumped) or null. A feed with no tokens is public.
+   */
+  async checkFeedToken(feedKey, tokenHash) {
+    const result = await this.queryWithRetry(`
+      WITH used AS (
+        UPDATE feed_tokens SET last_used_at = CURRENT_TIMESTAMP
+        WHERE feed_key = $1 AND token_hash = $2
+        RETURNING id
+      )
+      SELECT (SELECT COUNT(*) FROM feed_tokens WHERE feed_key = $1)::int AS token_count,
+             (SELECT id FROM used) AS token_id
+    `, [feedKey, tokenHash]);
+    return { tokenCount: result.rows[0].token_count, tokenId: result.rows[0].token_id };
   }
 
-  async updateArticle(id, updates) {
-    const fields = [];
+  // User methods (password hashes never leave these methods except through getUserForLogin)
+  async countUsers() {
+    const result = await this.queryWithRetry('SELECT COUNT(*)::int AS count FROM users');
+    return result.rows[0].count;
+  }
+
+  async getAllUsers() {
+    const result = await this.queryWithRetry(`
+      SELECT id, username, display_name, role, is_active, last_login_at, created_at, updated_at
+      FROM users ORDER BY username
+    `);
+    return result.rows;
+  }
+
+  async getUserById(id) {
+    const result = await this.queryWithRetry(`
+      SELECT id, username, display_name, role, is_active, last_login_at, created_at, updated_at
+      FROM users WHERE id = $1
+    `, [id]);
+    return result.rows[0];
+  }
+
+  async getUserForLogin(username) {
+    const result = await this.queryWithRetry('SELECT * FROM users WHERE username = LOWER($1)', [username]);
+    return result.rows[0];
+  }
+
+  async createUser({ username, displayName, passwordHash, role }) {
+    const result = await this.queryWithRetry(`
+      INSERT INTO users (username, display_name, password_hash, role) VALUES (LOWER($1), $2, $3, $4)
+      RETURNING id, username, display_name, role, is_active, last_login_at, created_at, updated_at
+    `, [username, displayName, passwordHash, role]);
+    return result.rows[0];
+  }
+
+  // fields: { displayName?, passwordHash?, role?, isActive? }
+  async updateUser(id, fields) {
+    const columns = { displayName: 'display_name', passwordHash: 'password_hash', role: 'role', isActive: 'is_active' };
+    const sets = [];
     const values = [];
     let paramCount = 1;
-
-    for (const [key, value] of Object.entries(updates)) {
-      if (value !== undefined) {
-        fields.push(`${key} = $${paramCount}`);
-        values.push(value);
-        paramCount++;
+    for (const [key, column] of Object.entries(columns)) {
+      if (fields[key] !== undefined) {
+        sets.push(`${column} = $${paramCount++}`);
+        values.push(fields[key]);
       }
     }
+    values.push(id);
+    const result = await this.queryWithRetry(`
+      UPDATE users SET ${[...sets, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+      WHERE id = $${paramCount}
+      RETURNING id, username, display_name, role, is_active, last_login_at, created_at, updated_at
+    `, values);
+    return result.rows[0];
+  }
 
-    if (fields.length === 0) return null;
+  async deleteUser(id) {
+    const result = await this.queryWithRetry('DELETE FROM users WHERE id = $1', [id]);
+    return result.rowCount;
+  }
 
-    values.push(id);
-    const query = `UPDATE articles SET ${fields.join(', ')} WHERE id = $${paramCount} RETURNING *`;
-    
-    const result = await this.pool.query(query, values);
+  // Active admins other than this user; the last one can't be demoted, disabled or removed
+  async countOtherActiveAdmins(userId) {
+    const result = await this.queryWithRetry(`
+      SELECT COUNT(*)::int AS count FROM users WHERE role = 'admin' AND is_active AND id <> $1
+    `, [userId]);
+    return result.rows[0].count;
+  }
+
+  async createUserSession(userId, tokenHash, expiresAt) {
+    await this.queryWithRetry(`
+      WITH login AS (
+        UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1
+      )
+      INSERT INTO user_sessions (user_id, token_hash, expires_at) VALUES ($1, $2, $3)
+    `, [userId, tokenHash, expiresAt]);
+    // Expired sessions are swept on every login
+    await this.queryWithRetry('DELETE FROM user_sessions WHERE expires_at < CURRENT_TIMESTAMP');
+  }
+
+  async deleteUserSession(tokenHash) {
+    await this.queryWithRetry('DELETE FROM user_sessions WHERE token_hash = $1', [tokenHash]);
+  }
+
+  async deleteUserSessions(userId) {
+    await this.queryWithRetry('DELETE FROM user_sessions WHERE user_id = $1', [userId]);
+  }
+
+  // The active user behind an unexpired session, or undefined
+  async getUserBySession(tokenHash) {
+    const result = await this.queryWithRetry(`
+      SELECT u.id, u.username, u.display_name, u.role
+      FROM user_sessions us
+      JOIN users u ON u.id = us.user_id
+      WHERE us.token_hash = $1 AND us.expires_at > CURRENT_TIMESTAMP AND u.is_active
+    `, [tokenHash]);
     return result.rows[0];
   }
 
-  async updateArticleStatus(id, status) {
-    const result = await this.pool.query(
-      'UPDATE articles SET status = $1 WHERE id = $2 RETURNING *',
-      [status, id]
-    );
+  // The active user behind an API key, or undefined (the key's last_used_at is bumped)
+  async getUserByApiKey(keyHash) {
+    const result = await this.queryWithRetry(`
+      WITH used AS (
+        UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE key_hash = $1
+        RETURNING user_id
+      )
+      SELECT u.id, u.username, u.display_name, u.role
+      FROM used JOIN users u ON u.id = used.user_id
+      WHERE u.is_active
+    `, [keyHash]);
     return result.rows[0];
   }
 
-  async markSentToDistro(id) {
-    const result = await this.pool.query(
-      `UPDATE articles SET status = 'sent', sent_to_distro_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`,
-      [id]
-    );
+  // API keys, all of them or one user's
+  async getApiKeys(userId = null) {
+    const result = await this.queryWithRetry(`
+      SELECT k.id, k.user_id, u.username, k.name, k.key_hint, k.last_used_at, k.created_at
+      FROM api_keys k
+      JOIN users u ON u.id = k.user_id
+      ${userId ? 'WHERE k.user_id = $1' : ''}
+      ORDER BY k.created_at DESC
+    `, userId ? [userId] : []);
+    return result.rows;
+  }
+
+  async createApiKey({ userId, name, keyHash, keyHint }) {
+    const result = await this.queryWithRetry(`
+      INSERT INTO api_keys (user_id, name, key_hash, key_hint) VALUES ($1, $2, $3, $4)
+      RETURNING id, user_id, name, key_hint, last_used_at, created_at
+    `, [userId, name, keyHash, keyHint]);
     return result.rows[0];
   }
 
-  async markSentToTelegram(id) {
-    const result = await this.pool.query(
-      `UPDATE articles SET status = 'sent', sent_to_telegram_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`,
-      [id]
+  // Revoke a key; limited to one user's keys unless userId is null
+  async deleteApiKey(id, userId = null) {
+    const result = await this.queryWithRetry(
+      `DELETE FROM api_keys WHERE id = $1${userId ? ' AND user_id = $2' : ''}`,
+      userId ? [id, userId] : [id]
+    );
+    return result.rowCount;
+  }
+
+  // Check run methods
+  async createCheckRun({ trigger, requestedBy = null, selection = null }) {
+    const result = await this.queryWithRetry(
+      'INSERT INTO check_runs (trigger, requested_by, selection) VALUES ($1, $2, $3) RETURNING *',
+      [trigger, requestedBy, selection ? JSON.stringify(selection) : null]
     );
     return result.rows[0];
   }
 
-  async getSentToDistro() {
-    const result = await this.pool.query(`
-      SELECT a.*, s.name as source_name 
-      FROM articles a 
-      LEFT JOIN sources s ON a.source_id = s.id 
-      WHERE a.sent_to_distro_at IS NOT NULL 
-      ORDER BY a.sent_to_distro_at DESC
-      LIMIT 100
-    `);
+  async startCheckRun(id, totalSources) {
+    const result = await this.queryWithRetry(`
+      UPDATE check_runs SET status = 'running', total_sources = $2, started_at = CURRENT_TIMESTAMP
+      WHERE id = $1 RETURNING *
+    `, [id, totalSources]);
+    return result.rows[0];
+  }
+
+  // Record one source's outcome and bump the run's counters in the same statement
+  async addCheckRunSource(runId, entry) {
+    await this.queryWithRetry(`
+      WITH inserted AS (
+        INSERT INTO check_run_sources (run_id, source_id, source_name, source_url, monitoring_type, outcome, new_articles, error, duration_ms, memory_mb)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING run_id
+      )
+      UPDATE check_runs SET
+        processed_sources = processed_sources + 1,
+        successful_sources = successful_sources + CASE WHEN $6 = 'success' THEN 1 ELSE 0 END,
+        failed_sources = failed_sources + CASE WHEN $6 = 'failed' THEN 1 ELSE 0 END,
+        skipped_sources = skipped_sources + CASE WHEN $6 = 'skipped' THEN 1 ELSE 0 END,
+        new_articles = new_articles + $7,
+        peak_memory_mb = GREATEST(COALESCE(peak_memory_mb, 0), COALESCE($10, 0))
+      WHERE id = (SELECT run_id FROM inserted)
+    `, [
+      runId, entry.sourceId, entry.sourceName, entry.sourceUrl, entry.monitoringType,
+      entry.outcome, entry.newArticles, entry.error, entry.durationMs, entry.memoryMB
+    ]);
+  }
+
+  async finishCheckRun(id, { status, error = null }) {
+    const result = await this.queryWithRetry(`
+      UPDATE check_runs SET
+        status = $2,
+        error = $3,
+        finished_at = CURRENT_TIMESTAMP,
+        duration_ms = (EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - COALESCE(started_at, created_at))) * 1000)::int
+      WHERE id = $1 RETURNING *
+    `, [id, status, error]);
+    return result.rows[0];
+  }
+
+  // Runs created before startedBefore and left queued or running (by a process that stopped).
+  // Runs a scrape job still owns are left alone: they are waiting for a worker, or one holds a
+  // live lease on them.
+  async interruptUnfinishedCheckRuns(startedBefore) {
+    const result = await this.queryWithRetry(`
+      UPDATE check_runs SET status = 'interrupted', error = 'The server restarted during this check', finished_at = CURRENT_TIMESTAMP
+      WHERE status IN ('queued', 'running') AND created_at < $1
+        AND NOT EXISTS (
+          SELECT 1 FROM jobs j
+          WHERE j.type = 'scrape' AND j.payload->>'runId' = check_runs.id::text
+            AND (j.status IN ('queued', 'failed') OR (j.status = 'in_flight' AND j.next_attempt_at > CURRENT_TIMESTAMP))
+        )
+      RETURNING id
+    `, [startedBefore]);
+    return result.rowCount;
+  }
+
+  async requestCheckRunCancel(id) {
+    const result = await this.queryWithRetry(`
+      UPDATE check_runs SET cancel_requested_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status IN ('queued', 'running') RETURNING *
+    `, [id]);
+    return result.rows[0] || null;
+  }
+
+  async isCheckRunCancelRequested(id) {
+    const result = await this.queryWithRetry('SELECT cancel_requested_at FROM check_runs WHERE id = $1', [id]);
+    return !!(result.rows[0] && result.rows[0].cancel_requested_at);
+  }
+
+  // Newest first, optionally filtered by status and/or trigger
+  async getCheckRuns({ status = null, trigger = null, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (trigger) {
+      params.push(trigger);
+      conditions.push(`trigger = $${params.length}`);
+    }
+    params.push(limit);
+    const result = await this.queryWithRetry(`
+      SELECT * FROM check_runs
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length}
+    `, params);
     return result.rows;
   }
 
-  async getSentToTelegram() {
-    const result = await this.pool.query(`
-      SELECT a.*, s.name as source_name 
-      FROM articles a 
-      LEFT JOIN sources s ON a.source_id = s.id 
-      WHERE a.sent_to_telegram_at IS NOT NULL 
-      ORDER BY a.sent_to_telegram_at DESC
-      LIMIT 100
+  async getCheckRunById(id) {
+    const result = await this.queryWithRetry('SELECT * FROM check_runs WHERE id = $1', [id]);
+    return result.rows[0];
+  }
+
+  // Each source's outcome in the most recent run that checked it: { sourceId: outcome }
+  async getLastCheckOutcomes() {
+    const result = await this.queryWithRetry(`
+      SELECT DISTINCT ON (source_id) source_id, outcome
+      FROM check_run_sources
+      WHERE source_id IS NOT NULL
+      ORDER BY source_id, id DESC
     `);
+    return Object.fromEntries(result.rows.map(row => [row.source_id, row.outcome]));
+  }
+
+  async getCheckRunSources(runId) {
+    const result = await this.queryWithRetry(
+      'SELECT * FROM check_run_sources WHERE run_id = $1 ORDER BY id',
+      [runId]
+    );
     return result.rows;
   }
 
+  // Keep history bounded: drop finished runs older than the given number of days
+  async deleteCheckRunsOlderThan(days) {
+    const result = await this.queryWithRetry(`
+      DELETE FROM check_runs
+      WHERE finished_at IS NOT NULL AND created_at < CURRENT_TIMESTAMP - ($1::int * INTERVAL '1 day')
+    `, [days]);
+    return result.rowCount;
+  }
+
   async deleteArticleByLink(link) {
     const result = await this.pool.query(
       'DELETE FROM articles WHERE link = $1 RETURNING id',
@@ -795,10 +3080,6 @@ class Database {
     return result.rows[0]?.id || null;
   }
 
-  async clearAllCurrentArticles() {
-    await this.pool.query("UPDATE articles SET status = 'dismissed' WHERE status = 'new'");
-  }
-
   async backfillSourceNames() {
     const result = await this.pool.query(`
       UPDATE articles 
@@ -828,14 +3109,15 @@ class Database {
     return result.rows;
   }
 
-  async getSelectedArticles() {
+  // Articles in any of the given workflow states (the in-progress ones for Edit & Send)
+  async getArticlesByStatuses(statuses) {
     const result = await this.pool.query(`
       SELECT a.*, s.name as source_name 
       FROM articles a 
       LEFT JOIN sources s ON a.source_id = s.id 
-      WHERE a.status = 'selected'
+      WHERE a.status = ANY($1::text[])
       ORDER BY COALESCE(a.pub_date, a.created_at) DESC
-    `);
+    `, [statuses]);
     return result.rows;
   }
 
@@ -1042,27 +3324,35 @@ class Database {
     return result.rowCount;
   }
 
-  async dismissAllCurrentArticles() {
+  /**
+   * Housekeeping: archive 'new' articles (optionally only those matching `condition`) and
+   * record each move as done by 'system'. Returns how many were archived.
+   */
+  async archiveNewArticles(note, condition = 'TRUE') {
     const result = await this.pool.query(`
-      UPDATE articles 
-      SET status = 'dismissed', updated_at = CURRENT_TIMESTAMP 
-      WHERE status = 'new'
-    `);
+      WITH moved AS (
+        UPDATE articles
+        SET status = 'archived', updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'new' AND (${condition})
+        RETURNING id
+      )
+      INSERT INTO article_events (article_id, from_status, to_status, actor, note)
+      SELECT id, 'new', 'archived', 'system', $1 FROM moved
+    `, [note]);
     return result.rowCount;
   }
 
+  async dismissAllCurrentArticles() {
+    return this.archiveNewArticles('Dismissed all current articles');
+  }
+
   async clearAllArticles() {
     const result = await this.pool.query('DELETE FROM articles');
     return result.rowCount;
   }
 
   async clearCurrentSession() {
-    const result = await this.pool.query(`
-      UPDATE articles 
-      SET status = 'dismissed', updated_at = CURRENT_TIMESTAMP 
-      WHERE status = 'new' AND (session_id IS NULL OR created_at < NOW() - INTERVAL '1 day')
-    `);
-    return result.rowCount;
+    return this.archiveNewArticles('Cleared with the session', "session_id IS NULL OR created_at < NOW() - INTERVAL '1 day'");
   }
 
   async startNewSession() {
@@ -1087,12 +3377,7 @@ class Database {
   }
 
   async clearAllCurrentArticles() {
-    const result = await this.pool.query(`
-      UPDATE articles 
-      SET status = 'dismissed', updated_at = CURRENT_TIMESTAMP 
-      WHERE status = 'new'
-    `);
-    return result.rowCount;
+    return this.archiveNewArticles('Cleared all current articles');
   }
 
   async backfillArticleSourceNames() {
@@ -1151,6 +3436,73 @@ class Database {
     await this.pool.end();
   }
 
+  // Cross-process signals (new jobs for the worker, the worker's live events for the API)
+  async notify(channel, payload) {
+    await this.pool.query('SELECT pg_notify($1, $2)', [channel, JSON.stringify(payload)]);
+  }
+
+  /**
+   * LISTEN on a dedicated connection (a pooled one may be handed to someone else) and call
+   * onMessage with each parsed payload. Reconnects after errors. connectionString defaults to
+   * the pool's. Returns a function that stops listening.
+   */
+  listen(channel, onMessage, { connectionString = null, retrySeconds = 10 } = {}) {
+    let client = null;
+    let retryTimer = null;
+    let stopped = false;
+
+    const drop = () => {
+      if (!client) return;
+      const old = client;
+      client = null;
+      old.removeAllListeners();
+      old.on('error', () => {});
+      old.end().catch(() => {});
+    };
+
+    const reconnect = (reason) => {
+      drop();
+      if (stopped || retryTimer) return;
+      console.log(`ℹ️  [DB LISTEN] ${channel}: ${reason}; reconnecting in ${retrySeconds}s`);
+      retryTimer = setTimeout(() => {
+        retryTimer = null;
+        connect();
+      }, retrySeconds * 1000);
+    };
+
+    const connect = async () => {
+      if (stopped) return;
+      const current = new Client({
+        connectionString: connectionString || this.pool.options.connectionString,
+        ssl: this.pool.options.ssl
+      });
+      client = current;
+      current.on('notification', (message) => {
+        if (message.channel !== channel) return;
+        try {
+          onMessage(JSON.parse(message.payload));
+        } catch (error) {
+          console.error(`❌ [DB LISTEN] ${channel}: could not handle a notification:`, error.message);
+        }
+      });
+      current.on('error', (error) => reconnect(error.message));
+      current.on('end', () => reconnect('connection closed'));
+      try {
+        await current.connect();
+        await current.query(`LISTEN ${current.escapeIdentifier(channel)}`);
+      } catch (error) {
+        if (client === current) reconnect(error.message);
+      }
+    };
+
+    connect();
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      drop();
+    };
+  }
+
   // Clean up old articles to prevent database bloat and memory issues
   // Deletes articles older than specified days that are not 'sent' status
   // Find articles that are placeholders, error pages, or generic non-article titles
@@ -1,7 +1,6 @@
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const axios = require('axios');
 const config = require('./config');
 require('dotenv').config();
 
@@ -24,51 +23,42 @@ process.on('uncaughtException', (error) => {
 
 const feedMonitor = require('./services/feedMonitor');
 const FeedDiscovery = require('./services/feedDiscovery');
-const WebScraper = require('./services/webScraper');
 const ADKScraper = require('./services/adkScraper');
 const llmService = require('./services/llmService');
 const articleEnrichment = require('./services/articleEnrichment');
+const sourceScheduler = require('./services/sourceScheduler');
+const webSub = require('./services/webSub');
+const opml = require('./services/opml');
+const watchlists = require('./services/watchlists');
+const eventStream = require('./services/eventStream');
+const articleSearch = require('./services/articleSearch');
+const destinations = require('./services/destinations');
+const webhooks = require('./services/webhooks');
+const scheduledSends = require('./services/scheduledSends');
+const digests = require('./services/digests');
+const emailDestination = require('./services/destinations/email');
+const publicFeeds = require('./services/publicFeeds');
+const workflow = require('./services/workflow');
+const auth = require('./services/auth');
+const checkRuns = require('./services/checkRuns');
+const jobQueue = require('./services/jobQueue');
+const taskScheduler = require('./services/taskScheduler');
+const worker = require('./worker');
 const database = require('./database-postgres');
 
-const webScraper = new WebScraper();
 const adkScraper = new ADKScraper(); // ADK scraper for AI-powered extraction
 
-// Helper: Send to Distro API with retry on timeout/network errors
-async function sendToDistroWithRetry(endpoint, payload, headers, maxRetries = 2) {
-  let lastError;
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      const response = await axios.post(endpoint, payload, {
-        headers,
-        timeout: 30000
-      });
-      return response;
-    } catch (error) {
-      lastError = error;
-      const isRetryable = error.code === 'ECONNABORTED' || 
-                          error.code === 'ETIMEDOUT' || 
-                          error.code === 'ECONNRESET' ||
-                          error.message?.includes('timeout') ||
-                          (error.response?.status >= 500);
-      
-      if (!isRetryable || attempt === maxRetries) {
-        throw error;
-      }
-      
-      const delay = 2000 * attempt; // 2s, 4s
-      console.log(`⏳ [DISTRO] Retry ${attempt}/${maxRetries} after ${delay}ms (${error.message})`);
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
-  }
-  throw lastError;
-}
-
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
 app.use(cors());
+// WebSub pushes must be verified against the exact bytes the hub signed, so keep them raw
+app.use('/api/websub/callback', express.raw({ type: '*/*', limit: '5mb' }));
 app.use(express.json());
+// Every /api route needs a signed-in user or an API key (public exceptions and roles in services/auth.js)
+app.use('/api', auth.middleware());
+app.use(['/api/maintenance', '/api/debug', '/api/adk', '/api/users', '/api/feed-tokens', '/api/scheduled-tasks'], auth.requireRole('admin'));
 
 // Routes
 app.get('/api/health', async (req, res) => {
@@ -81,26 +71,208 @@ app.get('/api/health', async (req, res) => {
   });
 });
 
+// Sign in: { username, password }. Sets the session cookie and returns the user.
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+    const { error, locked, user, token, expiresAt } = await auth.login(username, password, req.ip);
+    if (error) {
+      return res.status(locked ? 429 : 401).json({ error });
+    }
+    res.setHeader('Set-Cookie', auth.sessionCookie(req, token, expiresAt));
+    res.json({ id: user.id, username: user.username, display_name: user.display_name, role: user.role });
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await auth.logout(req);
+    res.setHeader('Set-Cookie', auth.sessionCookie(req, null));
+    res.json({ message: 'Signed out' });
+  } catch (error) {
+    console.error('Error signing out:', error);
+    res.status(500).json({ error: 'Failed to sign out' });
+  }
+});
+
+// The signed-in user
+app.get('/api/auth/me', (req, res) => {
+  const { id, username, display_name, role, via } = req.user;
+  res.json({ id, username, display_name, role, via });
+});
+
+// Change your own password: { currentPassword, newPassword }. Signs out every other session.
+app.put('/api/auth/password', async (req, res) => {
+  try {
+    if (req.user.via !== 'session') {
+      return res.status(403).json({ error: 'Passwords can only be changed from a signed-in session' });
+    }
+    const { currentPassword, newPassword } = req.body;
+    const current = await database.getUserForLogin(req.user.username);
+    if (!current || typeof currentPassword !== 'string' || !(await auth.verifyPassword(currentPassword, current.password_hash))) {
+      return res.status(400).json({ error: 'Current password is wrong' });
+    }
+    const passwordError = auth.validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    await auth.updateUser(req.user.id, { password: newPassword });
+    const { token, expiresAt } = await auth.startSession(req.user.id);
+    res.setHeader('Set-Cookie', auth.sessionCookie(req, token, expiresAt));
+    res.json({ message: 'Password changed' });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// API keys for scripts. Everyone manages their own; admins see and revoke everyone's.
+app.get('/api/auth/api-keys', async (req, res) => {
+  try {
+    res.json(await database.getApiKeys(auth.hasRole(req.user, 'admin') ? null : req.user.id));
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+// { name }. The key acts as you, with your role, and is only returned in this response.
+app.post('/api/auth/api-keys', async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+      return res.status(400).json({ error: 'Key name is required (e.g. the script it is for)' });
+    }
+    if (name.length > 100) {
+      return res.status(400).json({ error: 'Key name must be 100 characters or fewer' });
+    }
+    const created = await auth.createApiKey({ userId: req.user.id, name });
+    console.log(`🔑 [AUTH] API key "${name}" created for ${req.user.username}`);
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+app.delete('/api/auth/api-keys/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid API key ID is required' });
+    }
+    const deleted = await database.deleteApiKey(parseInt(id, 10), auth.hasRole(req.user, 'admin') ? null : req.user.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+// User accounts (admin only)
+app.get('/api/users', async (req, res) => {
+  try {
+    res.json(await database.getAllUsers());
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// { username, displayName?, password, role: viewer | editor | admin }
+app.post('/api/users', async (req, res) => {
+  try {
+    const { error, user } = auth.normalizeUserInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const created = await auth.createUser(user);
+    console.log(`🔑 [AUTH] ${req.user.username} created user ${created.username} (${created.role})`);
+    res.status(201).json(created);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'A user with this username already exists' });
+    }
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// { displayName?, password?, role?, isActive? }. A new password or disabling signs the user out.
+app.put('/api/users/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid user ID is required' });
+    }
+    const normalized = auth.normalizeUserInput(req.body, { partial: true });
+    if (normalized.error) {
+      return res.status(400).json({ error: normalized.error });
+    }
+    const { error, user } = await auth.updateUser(parseInt(id, 10), normalized.user);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(user);
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+app.delete('/api/users/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid user ID is required' });
+    }
+    if (parseInt(id, 10) === req.user.id) {
+      return res.status(400).json({ error: "You can't remove your own account" });
+    }
+    const deleted = await database.deleteUser(parseInt(id, 10));
+    if (!deleted) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ message: 'User removed' });
+  } catch (error) {
+    console.error('Error removing user:', error);
+    res.status(500).json({ error: 'Failed to remove user' });
+  }
+});
+
 // Get all monitored sources
 app.get('/api/sources', async (req, res) => {
   try {
     const sources = await database.getAllSources();
-    // derive basic success/active metrics for UI
+    // derive basic success/active metrics for UI (articles not dropped as rejected/archived count as successes)
     const { rows: counts } = await database.pool.query(`
       SELECT source_id, COUNT(*)::int AS total,
-             SUM(CASE WHEN status = 'new' OR status = 'selected' OR status = 'sent' THEN 1 ELSE 0 END)::int AS successes
+             SUM(CASE WHEN status <> ALL($1::text[]) THEN 1 ELSE 0 END)::int AS successes
       FROM articles
       GROUP BY source_id
-    `);
+    `, [workflow.closedStates(workflow.get())]);
     const bySourceId = new Map(counts.map(r => [r.source_id, r]));
     const enriched = sources.map(s => {
       const c = bySourceId.get(s.id) || { total: 0, successes: 0 };
       const success_rate = c.total > 0 ? c.successes / c.total : null;
       const active = s.last_checked ? (Date.now() - new Date(s.last_checked).getTime()) < (60 * 60 * 1000) : false;
       
-      // Parse scraping result for scraping sources
+      // Parse scraping health (scraper results for scraping sources, conditional GET stats for feeds)
       let scrapingResult = null;
-      if (s.monitoring_type === 'SCRAPING' && s.last_scraping_result) {
+      if (s.last_scraping_result) {
         try {
           scrapingResult = typeof s.last_scraping_result === 'string' 
             ? JSON.parse(s.last_scraping_result) 
@@ -110,11 +282,15 @@ app.get('/api/sources', async (req, res) => {
         }
       }
       
+      const polling = sourceScheduler.describeSchedule(s);
+      
       return { 
         ...s, 
         success_rate, 
         active,
-        scraping_result: scrapingResult
+        scraping_result: scrapingResult,
+        polling_interval_minutes: polling.interval_minutes,
+        polling_reason: polling.reason
       };
     });
     res.json(enriched);
@@ -240,173 +416,24 @@ app.post('/api/sources/check-feed', async (req, res) => {
   }
 });
 
-// Set up scraping for a source (step 2 of multi-step flow)
-// IMPORTANT: This endpoint includes explicit browser cleanup to prevent memory issues
+// Set up scraping for a source (step 2 of multi-step flow).
+// Queued as a scrape job (ADK and Playwright run in the worker); the job's result is
+// { success: true, message, source } or { success: false, error, errorDetails, errorType }.
 app.post('/api/sources/setup-scraping', async (req, res) => {
   try {
     const { url, name, category } = req.body;
-    
+
     if (!url || !name) {
       return res.status(400).json({ error: 'URL and name are required' });
     }
 
-    // Add category if provided
-    let categoryName = null;
-    if (category && category.trim()) {
-      const categoryRecord = await database.addCategory(category.trim());
-      categoryName = categoryRecord.name;
-    }
-
-    // Add source with SCRAPING monitoring type first
-    let source;
-    let sourceId;
-    try {
-      source = await database.addSource(name, url, categoryName, 'SCRAPING');
-      sourceId = source.id;
-    } catch (dbError) {
-      // Handle duplicate key error gracefully (no extra query needed)
-      if (dbError.code === '23505' || dbError.message.includes('duplicate key')) {
-        return res.status(400).json({ 
-          success: false,
-          error: 'This source already exists.',
-          errorDetails: `A source with URL "${url}" is already being monitored.`,
-          errorType: 'duplicate_source'
-        });
-      }
-      throw dbError; // Re-throw if it's a different error
-    }
-    
-    // Scrape articles using ADK (AI-powered extraction) - faster and more consistent
-    let scrapingError = null;
-    let articles = [];
-    try {
-      // Use ADK scraper for AI-powered extraction
-      articles = await adkScraper.scrapeArticles({ id: sourceId, url, name, category: categoryName });
-    } catch (scrapeErr) {
-      scrapingError = scrapeErr;
-      console.log(`⚠️ ADK scraping failed: ${scrapeErr.message}`);
-      // Fallback to traditional scraping if ADK fails
-      try {
-        console.log(`🔄 Falling back to traditional scraping...`);
-        articles = await webScraper.scrapeArticles({ id: sourceId, url, name, category: categoryName });
-        await webScraper.close();
-      } catch (fallbackErr) {
-        scrapingError = fallbackErr;
-        console.log(`⚠️ Fallback scraping also failed: ${fallbackErr.message}`);
-      }
-    }
-    
-    // Check if scraping worked
-    if (articles.length === 0) {
-      // If scraping fails, remove the source we just created
-      try {
-        await database.removeSource(sourceId);
-      } catch (deleteErr) {
-        console.error('Error deleting source after scraping failure:', deleteErr.message);
-      }
-    }
-    
-    // Check if scraping worked
-    if (articles.length === 0) {
-      // Provide more helpful error message
-      let errorMsg = 'Unfortunately, we were unable to set up scraping for this source.';
-      let errorDetails = null;
-      
-      if (scrapingError) {
-        const errorMessage = scrapingError.message || scrapingError.toString();
-        
-        // Check for specific error types
-        if (errorMessage.includes('403') || errorMessage.includes('Forbidden')) {
-          errorMsg = 'This website is blocking automated access (403 Forbidden).';
-          errorDetails = 'The site may be using Cloudflare or similar security measures that prevent scraping.';
-        } else if (errorMessage.includes('timeout') || errorMessage.includes('timed out')) {
-          errorMsg = 'Scraping timed out while trying to access the website.';
-          errorDetails = 'The site may be slow or unresponsive. Please try again later.';
-        } else if (errorMessage.includes('memory') || errorMessage.includes('Memory')) {
-          errorMsg = 'Insufficient memory to scrape this source.';
-          errorDetails = 'The server is running low on memory. This may be a temporary issue.';
-        } else if (errorMessage.includes('ECONNREFUSED') || errorMessage.includes('ENOTFOUND')) {
-          errorMsg = 'Could not connect to the website.';
-          errorDetails = 'The URL may be incorrect or the site may be down.';
-        } else if (errorMessage.includes('No articles found')) {
-          errorMsg = 'No articles were found on this page.';
-          errorDetails = 'The scraper could not detect any articles. The page structure may be different than expected.';
-        } else {
-          errorMsg = `Scraping failed: ${errorMessage}`;
-          errorDetails = 'Please check the URL and try again.';
-        }
-      } else {
-        errorMsg = 'No articles were found on this page.';
-        errorDetails = 'The scraper could not detect any articles. The page structure may be different than expected, or the site may require JavaScript rendering.';
-      }
-      
-      return res.status(400).json({ 
-        success: false,
-        error: errorMsg,
-        errorDetails: errorDetails,
-        errorType: scrapingError ? 'scraping_error' : 'no_articles'
-      });
-    }
-    
-    console.log(`✅ Scraping found ${articles.length} articles, proceeding with setup`);
-    
-    // Add the 3 most recent articles from the scraping result
-    try {
-      for (const article of articles.slice(0, 3)) {
-        try {
-          const exists = await database.articleExists(article.link);
-          if (!exists) {
-            // Ensure title is never null or empty (simple check, no heavy processing)
-            const originalTitle = (article.title && article.title.trim()) ? article.title.trim() : 'Untitled Article';
-            
-            // Skip if link is invalid
-            if (!article.link || typeof article.link !== 'string') {
-              continue;
-            }
-            
-            await database.addArticle(
-              originalTitle,
-              article.link,
-              article.content || '',
-              article.description || article.contentSnippet || '',
-              article.pubDate || null,
-              sourceId,
-              source.name,
-              categoryName,
-              'new'
-            );
-          }
-        } catch (articleError) {
-          console.error(`Error adding article ${article.link}:`, articleError.message);
-        }
-      }
-    } catch (fetchError) {
-      console.error('Error fetching initial articles:', fetchError.message);
-      // Don't fail the whole operation if we can't fetch articles
-    }
-
-    return res.json({
-      success: true,
-      message: "OK, you're all set!",
-      source: source
+    await sendQueuedJob(res, 'scrape', { kind: 'setup', url, name, category: category || null }, {
+      dedupeKey: jobQueue.requestKey('scrape', ['setup', url]),
+      requestedBy: req.user.display_name
     });
   } catch (error) {
     console.error('Error setting up scraping:', error);
-    
-    // Handle duplicate source error
-    if (error.code === '23505' || error.message.includes('duplicate key')) {
-      return res.status(400).json({ 
-        success: false,
-        error: 'This source already exists.',
-        errorDetails: `A source with this URL is already being monitored.`,
-        errorType: 'duplicate_source'
-      });
-    }
-    
-    res.status(500).json({ 
-      success: false,
-      error: 'Failed to set up scraping' 
-    });
+    res.status(500).json({ success: false, error: 'Failed to set up scraping' });
   }
 });
 
@@ -465,6 +492,17 @@ app.post('/api/sources', async (req, res) => {
     } catch (error) {
       console.log('Could not fetch recent articles for new source:', error.message);
     }
+
+    // Subscribe for push updates if the feed advertises a WebSub hub (non-blocking)
+    if (webSub.isEnabled()) {
+      webSub.subscribe(source)
+        .then(result => {
+          if (!result.subscribed) {
+            console.log(`ℹ️  [WEBSUB] [${name}] Not subscribed: ${result.reason}`);
+          }
+        })
+        .catch(err => console.warn(`⚠️  [WEBSUB] [${name}] Subscribe failed: ${err.message}`));
+    }
     
     res.json({ 
       success: true,
@@ -478,8 +516,66 @@ app.post('/api/sources', async (req, res) => {
   }
 });
 
+// Import sources from an OPML file. Send the OPML as the raw request body (or JSON { opml }).
+// ?dryRun=true returns the preview (new / duplicate / needs discovery) without saving anything.
+app.post('/api/sources/import-opml', express.text({ type: '*/*', limit: '2mb' }), async (req, res) => {
+  try {
+    const xml = typeof req.body === 'string' ? req.body : req.body?.opml;
+    const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+
+    if (!xml || !xml.trim()) {
+      return res.status(400).json({ error: 'OPML content is required' });
+    }
+
+    let result;
+    try {
+      result = dryRun ? await opml.previewImport(xml) : await opml.importOpml(xml);
+    } catch (parseError) {
+      if (/OPML/.test(parseError.message)) {
+        return res.status(400).json({ error: parseError.message });
+      }
+      throw parseError;
+    }
+
+    if (dryRun) {
+      return res.json({ dryRun: true, ...result });
+    }
+
+    // Subscribe new feeds for push updates where they advertise a WebSub hub (non-blocking)
+    if (webSub.isEnabled()) {
+      for (const source of result.createdSources.filter(s => s.monitoring_type === 'RSS')) {
+        webSub.subscribe(source).catch(err => console.warn(`⚠️  [WEBSUB] [${source.name}] Subscribe failed: ${err.message}`));
+      }
+    }
+
+    const { createdSources, ...summary } = result;
+    res.json({
+      success: true,
+      message: `Imported ${summary.added} source${summary.added === 1 ? '' : 's'} (${summary.skipped} skipped, ${summary.failed} failed)`,
+      ...summary
+    });
+  } catch (error) {
+    console.error('Error importing OPML:', error);
+    res.status(500).json({ error: 'Failed to import OPML' });
+  }
+});
+
+// Export all sources as OPML, grouped by category
+app.get('/api/sources/export.opml', async (req, res) => {
+  try {
+    const xml = await opml.exportOpml();
+    const date = new Date().toISOString().split('T')[0];
+    res.set('Content-Type', 'text/x-opml; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="scoopstream-sources-${date}.opml"`);
+    res.send(xml);
+  } catch (error) {
+    console.error('Error exporting OPML:', error);
+    res.status(500).json({ error: 'Failed to export sources' });
+  }
+});
+
 // Remove a source and its articles
-app.delete('/api/sources/:id', async (req, res) => {
+app.delete('/api/sources/:id', auth.requireRole('admin'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -493,6 +589,13 @@ app.delete('/api/sources/:id', async (req, res) => {
       return res.status(404).json({ error: 'Source not found' });
     }
 
+    // Stop WebSub pushes for this source (best-effort)
+    try {
+      await webSub.unsubscribe(parseInt(id));
+    } catch (err) {
+      console.warn(`⚠️  [WEBSUB] Could not unsubscribe source ${id}: ${err.message}`);
+    }
+
     // Delete the source and its articles
     await database.removeSource(parseInt(id));
     
@@ -586,6 +689,106 @@ app.put('/api/sources/:id/category', async (req, res) => {
   }
 });
 
+// Update source polling schedule (interval, cron, or adaptive)
+app.put('/api/sources/:id/schedule', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const scheduleType = req.body.schedule_type || req.body.scheduleType;
+    const intervalMinutes = req.body.interval_minutes ?? req.body.intervalMinutes;
+    const cron = (req.body.cron || '').trim();
+
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid source ID is required' });
+    }
+
+    const existing = await database.getSourceById(parseInt(id));
+    if (!existing) {
+      return res.status(404).json({ error: 'Source not found' });
+    }
+
+    const schedule = {
+      scheduleType,
+      intervalMinutes: intervalMinutes !== undefined && intervalMinutes !== null && intervalMinutes !== ''
+        ? Number(intervalMinutes)
+        : existing.schedule_interval_minutes || sourceScheduler.DEFAULT_INTERVAL_MINUTES,
+      cron: scheduleType === 'cron' ? cron : null
+    };
+    const validationError = sourceScheduler.validateSchedule(schedule);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    schedule.nextCheckAt = sourceScheduler.computeNextCheckAt({
+      ...existing,
+      schedule_type: schedule.scheduleType,
+      schedule_interval_minutes: schedule.intervalMinutes,
+      schedule_cron: schedule.cron
+    });
+    const source = await database.updateSourceSchedule(parseInt(id), schedule);
+
+    res.json({
+      message: `Source "${source.name}" schedule updated successfully`,
+      source: source
+    });
+  } catch (error) {
+    console.error('Error updating source schedule:', error);
+    res.status(500).json({ error: 'Failed to update source schedule' });
+  }
+});
+
+// WebSub: hub verifies (un)subscription intent with a challenge
+app.get('/api/websub/callback/:sourceId', async (req, res) => {
+  try {
+    const sourceId = parseInt(req.params.sourceId);
+    if (isNaN(sourceId)) {
+      return res.status(404).send('');
+    }
+    const { status, body } = await webSub.handleVerification(sourceId, req.query);
+    res.status(status).type('text/plain').send(body);
+  } catch (error) {
+    console.error('Error verifying WebSub subscription:', error);
+    res.status(500).send('');
+  }
+});
+
+// WebSub: hub pushes new feed content (signed with the subscription secret)
+app.post('/api/websub/callback/:sourceId', async (req, res) => {
+  try {
+    const sourceId = parseInt(req.params.sourceId);
+    if (isNaN(sourceId)) {
+      return res.status(404).send('');
+    }
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from('');
+    const { status, accepted } = await webSub.verifyPush(sourceId, rawBody, req.get('X-Hub-Signature'));
+
+    // Acknowledge quickly; the worker ingests the content (hooks, body fetches) as a scrape job
+    if (accepted) {
+      await jobQueue.enqueue('scrape', {
+        kind: 'push',
+        sourceId,
+        body: rawBody.toString('base64'),
+        contentType: req.get('Content-Type') || null
+      });
+    }
+    res.status(status).send('');
+  } catch (error) {
+    console.error('Error handling WebSub push:', error);
+    res.status(500).send('');
+  }
+});
+
+// List WebSub subscriptions and their lease status
+app.get('/api/websub/subscriptions', async (req, res) => {
+  try {
+    const subscriptions = await database.getAllWebSubSubscriptions();
+    // Never expose the shared secrets
+    res.json(subscriptions.map(({ secret, ...sub }) => sub));
+  } catch (error) {
+    console.error('Error fetching WebSub subscriptions:', error);
+    res.status(500).json({ error: 'Failed to fetch WebSub subscriptions' });
+  }
+});
+
 // Get all categories
 app.get('/api/categories', async (req, res) => {
   try {
@@ -614,39 +817,125 @@ app.post('/api/categories', async (req, res) => {
   }
 });
 
-// Clear all articles (for resetting the system)
-app.delete('/api/articles/clear', async (req, res) => {
+// Get all watchlists with their match counts
+app.get('/api/watchlists', async (req, res) => {
   try {
-    const deletedCount = await database.clearAllArticles();
-    res.json({ 
-      message: `Cleared ${deletedCount} articles from database`,
-      deletedCount: deletedCount
-    });
+    const rows = await database.getAllWatchlists();
+    res.json(rows);
   } catch (error) {
-    console.error('Error clearing articles:', error);
-    res.status(500).json({ error: 'Failed to clear articles' });
+    console.error('Error fetching watchlists:', error);
+    res.status(500).json({ error: 'Failed to fetch watchlists' });
   }
 });
 
-// Get new articles (unseen)
-app.get('/api/articles/new', async (req, res) => {
+// Create a watchlist: { name, include_terms, exclude_terms, regexes, scope: 'title' | 'body', is_active }
+app.post('/api/watchlists', async (req, res) => {
   try {
-    const articles = await database.getNewArticles();
-    
-    // Format articles for professional display
-    const formattedArticles = articles.map(article => {
-      // Priority: AI summary > author's note (publisher_description) > preview > fallback
-      let actualPreview = null;
-      
-      // 1. Try AI summary first (if available)
-      if (article.ai_summary && article.ai_summary.trim().length > 0) {
-        actualPreview = article.ai_summary;
-      }
-      // 2. Try author's note (publisher description) - this is the RSS description
-      else if (article.publisher_description && article.publisher_description.trim().length > 0 && 
-               article.publisher_description !== '9' && article.publisher_description !== '9...') {
-        actualPreview = article.publisher_description;
-      }
+    const { error, watchlist } = watchlists.normalizeWatchlistInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const created = await database.createWatchlist(watchlist);
+    watchlists.invalidate();
+    res.json(created);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'A watchlist with this name already exists' });
+    }
+    console.error('Error creating watchlist:', error);
+    res.status(500).json({ error: 'Failed to create watchlist' });
+  }
+});
+
+// Update a watchlist (only the fields provided are changed)
+app.put('/api/watchlists/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid watchlist ID is required' });
+    }
+
+    const { error, watchlist } = watchlists.normalizeWatchlistInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const existing = await database.getWatchlistById(parseInt(id));
+    if (!existing) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    const includeTerms = watchlist.includeTerms || existing.include_terms || [];
+    const regexes = watchlist.regexes || existing.regexes || [];
+    if (includeTerms.length === 0 && regexes.length === 0) {
+      return res.status(400).json({ error: 'At least one include term or regex is required' });
+    }
+
+    const updated = await database.updateWatchlist(parseInt(id), watchlist);
+    watchlists.invalidate();
+    res.json(updated);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'A watchlist with this name already exists' });
+    }
+    console.error('Error updating watchlist:', error);
+    res.status(500).json({ error: 'Failed to update watchlist' });
+  }
+});
+
+// Delete a watchlist and its article matches
+app.delete('/api/watchlists/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid watchlist ID is required' });
+    }
+
+    const deleted = await database.deleteWatchlist(parseInt(id));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    watchlists.invalidate();
+    res.json({ message: 'Watchlist deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting watchlist:', error);
+    res.status(500).json({ error: 'Failed to delete watchlist' });
+  }
+});
+
+// Clear all articles (for resetting the system)
+app.delete('/api/articles/clear', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const deletedCount = await database.clearAllArticles();
+    res.json({ 
+      message: `Cleared ${deletedCount} articles from database`,
+      deletedCount: deletedCount
+    });
+  } catch (error) {
+    console.error('Error clearing articles:', error);
+    res.status(500).json({ error: 'Failed to clear articles' });
+  }
+});
+
+// Get new articles (unseen)
+app.get('/api/articles/new', async (req, res) => {
+  try {
+    const articles = await database.getNewArticles();
+    
+    // Format articles for professional display
+    const formattedArticles = articles.map(article => {
+      // Priority: AI summary > author's note (publisher_description) > preview > fallback
+      let actualPreview = null;
+      
+      // 1. Try AI summary first (if available)
+      if (article.ai_summary && article.ai_summary.trim().length > 0) {
+        actualPreview = article.ai_summary;
+      }
+      // 2. Try author's note (publisher description) - this is the RSS description
+      else if (article.publisher_description && article.publisher_description.trim().length > 0 && 
+               article.publisher_description !== '9' && article.publisher_description !== '9...') {
+        actualPreview = article.publisher_description;
+      }
       // 3. Try preview
       else if (article.preview && article.preview.trim().length > 0 && 
                article.preview !== '9' && article.preview !== '9...') {
@@ -661,7 +950,10 @@ app.get('/api/articles/new', async (req, res) => {
       
       return {
         id: article.id,
-        author: "Author Name", // Default author name
+        author: article.author || "Author Name",
+        tags: article.tags || [],
+        image_url: article.image_url || null,
+        updated_at_source: article.updated_at_source || null,
         more_info_url: actualLink,
         source: article.source_name || "Unknown Source",
         cost: 10, // Default cost
@@ -687,548 +979,1195 @@ app.get('/api/articles/new', async (req, res) => {
   }
 });
 
-// Mark articles as reviewed/selected
+// Mark articles as reviewed: action 'select' moves them to 'triaged', 'dismiss' to 'rejected'
+// (workflow transitions, so each move is checked and recorded as the signed-in user; optional note)
 app.post('/api/articles/review', async (req, res) => {
   try {
-    const { articleIds, action } = req.body; // action: 'select' or 'dismiss'
+    const { articleIds = [], action } = req.body; // action: 'select' or 'dismiss'
+    const to = action === 'select' ? 'triaged' : 'rejected';
+    const results = await workflow.transitionMany(articleIds, {
+      to,
+      actor: req.user.display_name,
+      note: req.body.note || null
+    });
+
+    const selectedIds = results.filter(r => r.success).map(r => r.article_id);
+    if (action === 'select' && selectedIds.length > 0) {
+      for (const article of await database.getArticlesByIds(selectedIds)) {
+        webhooks.emit('article.selected', {
+          article: { id: article.id, title: article.title, link: article.link, source_name: article.source_name || null }
+        });
+      }
+    }
+    
+    res.json({ message: `Articles ${action}ed successfully`, results });
+  } catch (error) {
+    console.error('Error updating articles:', error);
+    res.status(500).json({ error: 'Failed to update articles' });
+  }
+});
+
+// Revert articles back to 'new' status (for back button functionality), where the workflow allows it
+app.post('/api/articles/revert', async (req, res) => {
+  try {
+    const { articleIds = [] } = req.body;
+    const results = await workflow.transitionMany(articleIds, {
+      to: 'new',
+      actor: req.user.display_name,
+      note: req.body.note || null
+    });
     
-    for (const id of articleIds) {
-      await database.updateArticleStatus(id, action === 'select' ? 'selected' : 'dismissed');
+    res.json({ message: 'Articles reverted to new status successfully', results });
+  } catch (error) {
+    console.error('Error reverting articles:', error);
+    res.status(500).json({ error: 'Failed to revert articles' });
+  }
+});
+
+// The editorial workflow: { states: [{ key, label, closed? }], transitions: { from: [to] }, enforceOnSend }
+app.get('/api/workflow', (req, res) => {
+  res.json(workflow.get());
+});
+
+// Replace the workflow (refused while articles are in a state it removes)
+app.put('/api/workflow', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const normalized = workflow.normalizeWorkflowInput(req.body);
+    if (normalized.error) {
+      return res.status(400).json({ error: normalized.error });
+    }
+    const { error, workflow: saved } = await workflow.save(normalized.workflow);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json(saved);
+  } catch (error) {
+    console.error('Error saving workflow:', error);
+    res.status(500).json({ error: 'Failed to save workflow' });
+  }
+});
+
+// Move an article to another workflow state as the signed-in user: { to, note? }
+app.post('/api/articles/:id/transition', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid article ID is required' });
+    }
+    const { error, transition } = workflow.normalizeTransitionInput({ ...req.body, actor: req.user.display_name });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await workflow.transition(parseInt(id, 10), transition);
+    if (result.error) {
+      const code = { not_found: 404, conflict: 409 }[result.reason] || 400;
+      return res.status(code).json({ error: result.error });
+    }
+    res.json(result.event);
+  } catch (error) {
+    console.error('Error moving article:', error);
+    res.status(500).json({ error: 'Failed to move article' });
+  }
+});
+
+// Move several articles: { articleIds, to, note? } -> { results: [{ article_id, success, event?, error? }] }
+app.post('/api/articles/transition', async (req, res) => {
+  try {
+    const articleIds = (Array.isArray(req.body.articleIds) ? req.body.articleIds : [])
+      .map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+    if (articleIds.length === 0) {
+      return res.status(400).json({ error: 'At least one article ID is required' });
+    }
+    const { error, transition } = workflow.normalizeTransitionInput({ ...req.body, actor: req.user.display_name });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const results = await workflow.transitionMany(articleIds, transition);
+    res.json({ results });
+  } catch (error) {
+    console.error('Error moving articles:', error);
+    res.status(500).json({ error: 'Failed to move articles' });
+  }
+});
+
+// Workflow history for a set of articles: ?ids=1,2,3 -> { [articleId]: [{ from_status, to_status, actor, note, created_at }] }
+app.get('/api/articles/events', async (req, res) => {
+  try {
+    const ids = String(req.query.ids || '').split(',').map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+    const events = await database.getArticleEvents(ids);
+    res.json(Object.fromEntries(events));
+  } catch (error) {
+    console.error('Error fetching article events:', error);
+    res.status(500).json({ error: 'Failed to fetch article history' });
+  }
+});
+
+// Workflow history of one article, oldest first
+app.get('/api/articles/:id/events', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid article ID is required' });
     }
+    const events = await database.getArticleEvents([parseInt(id, 10)]);
+    res.json(events.get(parseInt(id, 10)) || []);
+  } catch (error) {
+    console.error('Error fetching article events:', error);
+    res.status(500).json({ error: 'Failed to fetch article history' });
+  }
+});
+
+// Articles being worked on (every workflow state between new and sent that isn't closed)
+app.get('/api/articles/selected', async (req, res) => {
+  try {
+    const articles = await database.getArticlesByStatuses(workflow.activeStates(workflow.get()));
+    res.json(articles);
+  } catch (error) {
+    console.error('Error fetching selected articles:', error);
+    res.status(500).json({ error: 'Failed to fetch selected articles' });
+  }
+});
+
+// Update article content after editing
+app.put('/api/articles/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { title, content, preview } = req.body;
     
-    res.json({ message: `Articles ${action}ed successfully` });
+    await database.updateArticleContent(id, title, content, preview);
+    res.json({ message: 'Article updated successfully' });
+  } catch (error) {
+    console.error('Error updating article:', error);
+    res.status(500).json({ error: 'Failed to update article' });
+  }
+});
+
+// Distribution destinations (see services/destinations): adapter types with their config fields
+app.get('/api/destinations/types', (req, res) => {
+  res.json(destinations.listDestinationTypes());
+});
+
+// List destinations with delivery counts (secret config values are masked)
+app.get('/api/destinations', async (req, res) => {
+  try {
+    const rows = await database.getAllDestinations();
+    res.json(rows.map(destinations.presentDestination));
+  } catch (error) {
+    console.error('Error fetching destinations:', error);
+    res.status(500).json({ error: 'Failed to fetch destinations' });
+  }
+});
+
+// Create a destination: { name, type, config, is_active }
+app.post('/api/destinations', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const { error, destination } = destinations.normalizeDestinationInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const adapter = destinations.getAdapter(destination.type);
+    const config = destinations.mergeConfig(adapter, {}, destination.config);
+    const configError = adapter.checkConfig ? adapter.checkConfig(config) : null;
+    if (configError) {
+      return res.status(400).json({ error: configError });
+    }
+
+    const created = await database.createDestination({ ...destination, config });
+    res.json(destinations.presentDestination(created));
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'A destination with this name already exists' });
+    }
+    console.error('Error creating destination:', error);
+    res.status(500).json({ error: 'Failed to create destination' });
+  }
+});
+
+// Update a destination; config keys are merged and masked secrets keep their stored value
+app.put('/api/destinations/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid destination ID is required' });
+    }
+
+    const existing = await database.getDestinationById(parseInt(id, 10));
+    if (!existing) {
+      return res.status(404).json({ error: 'Destination not found' });
+    }
+
+    const { error, destination } = destinations.normalizeDestinationInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const adapter = destinations.getAdapter(destination.type || existing.type);
+    if (destination.config !== undefined || destination.type !== undefined) {
+      const storedConfig = destination.type && destination.type !== existing.type ? {} : existing.config;
+      destination.config = destinations.mergeConfig(adapter, storedConfig, destination.config || {});
+      const configError = adapter.checkConfig ? adapter.checkConfig(destination.config) : null;
+      if (configError) {
+        return res.status(400).json({ error: configError });
+      }
+    }
+
+    const updated = await database.updateDestination(existing.id, destination);
+    res.json(destinations.presentDestination(updated));
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'A destination with this name already exists' });
+    }
+    console.error('Error updating destination:', error);
+    res.status(500).json({ error: 'Failed to update destination' });
+  }
+});
+
+app.delete('/api/destinations/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid destination ID is required' });
+    }
+
+    const deleted = await database.deleteDestination(parseInt(id, 10));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Destination not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting destination:', error);
+    res.status(500).json({ error: 'Failed to delete destination' });
+  }
+});
+
+// Articles successfully delivered to a destination (for the "Already sent" lists)
+app.get('/api/destinations/:id/deliveries', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid destination ID is required' });
+    }
+
+    const articles = await database.getDeliveredArticles(parseInt(id, 10));
+    res.json(articles);
+  } catch (error) {
+    console.error('Error fetching destination deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch deliveries' });
+  }
+});
+
+// Successful deliveries for a set of articles: ?ids=1,2,3 -> { [articleId]: [{ destination_id, destination, delivered_at, remote_id }] }
+app.get('/api/articles/deliveries', async (req, res) => {
+  try {
+    const ids = String(req.query.ids || '').split(',').map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+    const deliveries = await database.getSuccessfulDeliveriesForArticles(ids);
+    res.json(Object.fromEntries(deliveries));
+  } catch (error) {
+    console.error('Error fetching article deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch deliveries' });
+  }
+});
+
+// Every delivery attempt for one article, newest first
+app.get('/api/articles/:id/deliveries', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid article ID is required' });
+    }
+
+    const deliveries = await database.getArticleDeliveries(parseInt(id, 10));
+    res.json(deliveries);
+  } catch (error) {
+    console.error('Error fetching article deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch deliveries' });
+  }
+});
+
+// Queue a job for the worker and answer 202 with it (follow it with GET /api/jobs/:id). The same
+// request again while the first is unfinished answers with that job.
+const sendQueuedJob = async (res, type, payload, options) => {
+  const { job, duplicate } = await jobQueue.enqueue(type, payload, options);
+  const queued = job || duplicate;
+  if (!queued) {
+    return res.status(409).json({ success: false, error: 'The same request just finished; try again' });
+  }
+  res.status(202).json({ success: true, jobId: queued.id, job: queued, duplicate: !job });
+};
+
+// Deliver an article: { destinationIds: [..] } (or destinationId). The signed-in user is the post's byline.
+// Queued as a send job; the job's result is { success, successCount, failureCount, results }.
+app.post('/api/articles/:id/deliver', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid article ID is required' });
+    }
+
+    const rawIds = req.body.destinationIds || (req.body.destinationId !== undefined ? [req.body.destinationId] : []);
+    const destinationIds = (Array.isArray(rawIds) ? rawIds : [rawIds]).map(d => parseInt(d, 10)).filter(d => !isNaN(d));
+    if (destinationIds.length === 0) {
+      return res.status(400).json({ error: 'At least one destination ID is required' });
+    }
+
+    const articleId = parseInt(id, 10);
+    if (!await database.getArticleById(articleId)) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    await sendQueuedJob(res, 'send', {
+      articleIds: [articleId],
+      destinationIds,
+      batch: false,
+      userName: req.user.display_name,
+      actor: req.user.display_name
+    }, { dedupeKey: jobQueue.requestKey('send', [[articleId], destinationIds]), requestedBy: req.user.display_name });
+  } catch (error) {
+    console.error('Error delivering article:', error);
+    res.status(500).json({ error: 'Failed to deliver article' });
+  }
+});
+
+// Deliver several articles as one editorial batch: { articleIds: [..], destinationIds: [..] }.
+// Threaded destinations (Slack with threadBatches) post the whole batch in one thread.
+// Queued as a send job; the job's result is { batchId, success, successCount, failureCount, articles }.
+app.post('/api/articles/deliver-batch', async (req, res) => {
+  try {
+    const toIds = (raw) => (Array.isArray(raw) ? raw : [raw]).map(v => parseInt(v, 10)).filter(v => !isNaN(v));
+    const articleIds = toIds(req.body.articleIds || []);
+    const destinationIds = toIds(req.body.destinationIds || []);
+    if (articleIds.length === 0) {
+      return res.status(400).json({ error: 'At least one article ID is required' });
+    }
+    if (destinationIds.length === 0) {
+      return res.status(400).json({ error: 'At least one destination ID is required' });
+    }
+
+    await sendQueuedJob(res, 'send', {
+      articleIds,
+      destinationIds,
+      batch: true,
+      userName: req.user.display_name,
+      actor: req.user.display_name
+    }, { dedupeKey: jobQueue.requestKey('send', [articleIds, destinationIds]), requestedBy: req.user.display_name });
+  } catch (error) {
+    console.error('Error delivering article batch:', error);
+    res.status(500).json({ error: 'Failed to deliver articles' });
+  }
+});
+
+// Edit (PUT, re-rendered from the article's current text) or delete (DELETE) a delivered post,
+// for destinations that support it (Slack with a bot token)
+const changeDeliveryRoute = (action) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid delivery ID is required' });
+    }
+
+    const result = await destinations.changeDelivery(parseInt(id, 10), action);
+    if (!result) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    if (result.error) {
+      return res.status(result.rejected ? 400 : 502).json({ error: result.error });
+    }
+    res.json(result.delivery);
+  } catch (error) {
+    console.error(`Error on delivery ${action}:`, error);
+    res.status(500).json({ error: `Failed to ${action} delivery` });
+  }
+};
+app.put('/api/deliveries/:id', changeDeliveryRoute('update'));
+app.delete('/api/deliveries/:id', changeDeliveryRoute('remove'));
+
+// Webhook event types receivers can subscribe to
+app.get('/api/webhooks/events', (req, res) => {
+  res.json({ eventTypes: webhooks.EVENT_TYPES, maxAttempts: webhooks.MAX_ATTEMPTS });
+});
+
+// List webhooks with pending/failed delivery counts (secrets are masked)
+app.get('/api/webhooks', async (req, res) => {
+  try {
+    const rows = await database.getAllWebhooks();
+    res.json(rows.map(row => webhooks.presentWebhook(row)));
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+// Create a webhook: { name, url, event_types, secret?, is_active }. The response is the only
+// place the secret is shown in full (one is generated when not given).
+app.post('/api/webhooks', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const { error, webhook } = webhooks.normalizeWebhookInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const created = await database.createWebhook({ ...webhook, secret: webhook.secret || webhooks.generateSecret() });
+    res.json(webhooks.presentWebhook(created, { revealSecret: true }));
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'A webhook with this name already exists' });
+    }
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// Update a webhook; the masked secret (or no secret) keeps the stored one
+app.put('/api/webhooks/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid webhook ID is required' });
+    }
+
+    const { error, webhook } = webhooks.normalizeWebhookInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const updated = await database.updateWebhook(parseInt(id, 10), webhook);
+    if (!updated) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(webhooks.presentWebhook(updated));
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'A webhook with this name already exists' });
+    }
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+app.delete('/api/webhooks/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid webhook ID is required' });
+    }
+
+    const deleted = await database.deleteWebhook(parseInt(id, 10));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Delivery log for a webhook, newest first: ?status=pending|delivered|failed&limit=50&offset=0
+app.get('/api/webhooks/:id/deliveries', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid webhook ID is required' });
+    }
+
+    const status = req.query.status || null;
+    if (status && !['pending', 'delivered', 'failed'].includes(status)) {
+      return res.status(400).json({ error: 'status must be pending, delivered or failed' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const webhook = await database.getWebhookById(parseInt(id, 10));
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    const deliveries = await database.getWebhookDeliveries(webhook.id, { status, limit, offset });
+    res.json(deliveries);
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+// Queue a past delivery again (same event id and payload, fresh retry budget)
+app.post('/api/webhook-deliveries/:id/redeliver', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid delivery ID is required' });
+    }
+
+    const delivery = await webhooks.redeliver(parseInt(id, 10));
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    res.json(delivery);
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({ error: 'Failed to redeliver webhook' });
+  }
+});
+
+// Outbox jobs for durable destinations (Distro): ?status=failed,dead (default) or any of queued, in_flight, succeeded
+app.get('/api/delivery-jobs', async (req, res) => {
+  try {
+    const statuses = String(req.query.status || 'failed,dead').split(',').map(st => st.trim()).filter(Boolean);
+    const allowed = ['queued', 'in_flight', 'failed', 'dead', 'succeeded'];
+    if (statuses.length === 0 || statuses.some(st => !allowed.includes(st))) {
+      return res.status(400).json({ error: `status must be a comma-separated list of: ${allowed.join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const jobs = await database.getDeliveryJobs(statuses, limit);
+    res.json(jobs);
+  } catch (error) {
+    console.error('Error fetching delivery jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch delivery jobs' });
+  }
+});
+
+// Retry a failed or dead outbox job now; responds with the attempt's result
+app.post('/api/delivery-jobs/:id/retry', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid job ID is required' });
+    }
+
+    const result = await destinations.retryDeliveryJob(parseInt(id, 10));
+    if (!result) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (result.error && !result.job_id) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error retrying delivery job:', error);
+    res.status(500).json({ error: 'Failed to retry delivery job' });
+  }
+});
+
+// Drop a failed or dead outbox job without sending it
+app.delete('/api/delivery-jobs/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid job ID is required' });
+    }
+
+    const deleted = await database.deleteDeliveryJob(parseInt(id, 10));
+    if (!deleted) {
+      return res.status(404).json({ error: 'No failed or dead job with this ID' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting delivery job:', error);
+    res.status(500).json({ error: 'Failed to delete delivery job' });
+  }
+});
+
+// Schedule an article for later: { destinationIds: [..], sendAt: ISO date-time, note? }; it goes out under
+// the name of the user who scheduled it.
+// Destinations it is already scheduled for are left alone and listed in `skipped`.
+app.post('/api/articles/:id/schedule', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid article ID is required' });
+    }
+
+    const { error, schedule } = scheduledSends.normalizeScheduleInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const article = await database.getArticleById(parseInt(id, 10));
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const created = await database.createScheduledSends(article.id, schedule.destinationIds, schedule.sendAt, {
+      note: schedule.note,
+      options: { ...schedule.options, userName: req.user.display_name, actor: req.user.display_name }
+    });
+    const createdIds = created.map(row => row.destination_id);
+    res.json({
+      scheduled: created,
+      skipped: schedule.destinationIds.filter(destinationId => !createdIds.includes(destinationId))
+    });
+  } catch (error) {
+    console.error('Error scheduling article:', error);
+    res.status(500).json({ error: 'Failed to schedule article' });
+  }
+});
+
+// Scheduled sends: ?status=scheduled (default), or a comma-separated list of scheduled, sending, sent, failed, cancelled
+app.get('/api/scheduled-sends', async (req, res) => {
+  try {
+    const statuses = String(req.query.status || 'scheduled').split(',').map(st => st.trim()).filter(Boolean);
+    const allowed = ['scheduled', 'sending', 'sent', 'failed', 'cancelled'];
+    if (statuses.length === 0 || statuses.some(st => !allowed.includes(st))) {
+      return res.status(400).json({ error: `status must be a comma-separated list of: ${allowed.join(', ')}` });
+    }
+    const rows = await database.getScheduledSends(statuses);
+    res.json(rows);
+  } catch (error) {
+    console.error('Error fetching scheduled sends:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduled sends' });
+  }
+});
+
+// Reschedule a pending or failed send: { sendAt }
+app.put('/api/scheduled-sends/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid scheduled send ID is required' });
+    }
+
+    const { error, sendAt } = scheduledSends.parseSendAt(req.body.sendAt);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const existing = await database.getScheduledSendById(parseInt(id, 10));
+    if (!existing) {
+      return res.status(404).json({ error: 'Scheduled send not found' });
+    }
+    const updated = await database.rescheduleScheduledSend(existing.id, sendAt);
+    if (!updated) {
+      return res.status(400).json({ error: `A ${existing.status} send can't be rescheduled` });
+    }
+    res.json(updated);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'This article is already scheduled for that destination' });
+    }
+    console.error('Error rescheduling send:', error);
+    res.status(500).json({ error: 'Failed to reschedule send' });
+  }
+});
+
+// Cancel a pending send (or dismiss a failed one)
+app.delete('/api/scheduled-sends/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid scheduled send ID is required' });
+    }
+
+    const existing = await database.getScheduledSendById(parseInt(id, 10));
+    if (!existing) {
+      return res.status(404).json({ error: 'Scheduled send not found' });
+    }
+    const cancelled = await database.cancelScheduledSend(existing.id);
+    if (!cancelled) {
+      return res.status(400).json({ error: `A ${existing.status} send can't be cancelled` });
+    }
+    res.json(cancelled);
+  } catch (error) {
+    console.error('Error cancelling scheduled send:', error);
+    res.status(500).json({ error: 'Failed to cancel scheduled send' });
+  }
+});
+
+// Digests: compile articles into an HTML / Markdown / plain-text newsletter (services/digests)
+
+// Validate ?format= (default html); returns null after answering 400
+function digestFormat(req, res) {
+  const format = String(req.query.format || 'html');
+  if (!Object.keys(digests.FORMATS).includes(format)) {
+    res.status(400).json({ error: `format must be one of: ${Object.keys(digests.FORMATS).join(', ')}` });
+    return null;
+  }
+  return format;
+}
+
+function sendDigestFile(res, digest, format, title) {
+  res.setHeader('Content-Type', `${digests.FORMATS[format].contentType}; charset=utf-8`);
+  res.setHeader('Content-Disposition', `attachment; filename="${digests.digestFilename(title, format)}"`);
+  res.send(digest[format]);
+}
+
+// The built-in template, as a starting point for custom ones
+app.get('/api/digests/default-template', (req, res) => {
+  res.json(digests.DEFAULT_TEMPLATE);
+});
+
+// Preview a digest: { articleIds: [..] } or { query: { destination, sinceHours, category, sourceId } },
+// plus optional title, intro, groupBy (category | source | none), templateId and timeZone
+app.post('/api/digests/preview', async (req, res) => {
+  try {
+    const { error, digest } = digests.normalizeDigestInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const built = await digests.build(digest);
+    if (built.error) {
+      return res.status(400).json({ error: built.error });
+    }
+    res.json(built.digest);
+  } catch (error) {
+    console.error('Error building digest preview:', error);
+    res.status(500).json({ error: 'Failed to build digest' });
+  }
+});
+
+// Same body as the preview; answers with one format as a file (?format=html|markdown|text)
+app.post('/api/digests/download', async (req, res) => {
+  try {
+    const format = digestFormat(req, res);
+    if (!format) return;
+    const { error, digest } = digests.normalizeDigestInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const built = await digests.build(digest);
+    if (built.error) {
+      return res.status(400).json({ error: built.error });
+    }
+    sendDigestFile(res, built.digest, format, digest.title);
+  } catch (error) {
+    console.error('Error building digest download:', error);
+    res.status(500).json({ error: 'Failed to build digest' });
+  }
+});
+
+app.get('/api/digest-templates', async (req, res) => {
+  try {
+    const templates = await database.getDigestTemplates();
+    res.json(templates);
+  } catch (error) {
+    console.error('Error fetching digest templates:', error);
+    res.status(500).json({ error: 'Failed to fetch digest templates' });
+  }
+});
+
+// { name, subject?, html?, markdown?, text? }; formats left empty use the default template
+app.post('/api/digest-templates', async (req, res) => {
+  try {
+    const { error, template } = digests.normalizeTemplateInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const created = await database.createDigestTemplate(template);
+    res.json(created);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'A digest template with this name already exists' });
+    }
+    console.error('Error creating digest template:', error);
+    res.status(500).json({ error: 'Failed to create digest template' });
+  }
+});
+
+app.put('/api/digest-templates/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid digest template ID is required' });
+    }
+    const { error, template } = digests.normalizeTemplateInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const updated = await database.updateDigestTemplate(parseInt(id, 10), template);
+    if (!updated) {
+      return res.status(404).json({ error: 'Digest template not found' });
+    }
+    res.json(updated);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'A digest template with this name already exists' });
+    }
+    console.error('Error updating digest template:', error);
+    res.status(500).json({ error: 'Failed to update digest template' });
+  }
+});
+
+// Saved digests using the template fall back to the default one
+app.delete('/api/digest-templates/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid digest template ID is required' });
+    }
+    const deleted = await database.deleteDigestTemplate(parseInt(id, 10));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Digest template not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting digest template:', error);
+    res.status(500).json({ error: 'Failed to delete digest template' });
+  }
+});
+
+app.get('/api/saved-digests', async (req, res) => {
+  try {
+    const saved = await database.getSavedDigests();
+    res.json(saved);
+  } catch (error) {
+    console.error('Error fetching saved digests:', error);
+    res.status(500).json({ error: 'Failed to fetch saved digests' });
+  }
+});
+
+// Returns { error } when the body is invalid or names a template or email destination that doesn't exist
+async function normalizeSavedDigest(body) {
+  const result = digests.normalizeDigestInput(body, { saved: true });
+  if (result.error) return result;
+  if (result.digest.templateId && !(await database.getDigestTemplateById(result.digest.templateId))) {
+    return { error: 'Digest template not found' };
+  }
+  if (result.digest.emailDestinationId) {
+    const destination = await database.getDestinationById(result.digest.emailDestinationId);
+    if (!destination || destination.type !== 'email') {
+      return { error: 'Email destination not found' };
+    }
+  }
+  return result;
+}
+
+// { name, query, title?, intro?, groupBy?, templateId?, emailDestinationId?, sendTime? ('HH:MM'), timeZone? }
+app.post('/api/saved-digests', async (req, res) => {
+  try {
+    const { error, digest } = await normalizeSavedDigest(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const created = await database.createSavedDigest(digest);
+    res.json(created);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'A saved digest with this name already exists' });
+    }
+    console.error('Error creating saved digest:', error);
+    res.status(500).json({ error: 'Failed to create saved digest' });
+  }
+});
+
+app.put('/api/saved-digests/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid saved digest ID is required' });
+    }
+    const { error, digest } = await normalizeSavedDigest(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const updated = await database.updateSavedDigest(parseInt(id, 10), digest);
+    if (!updated) {
+      return res.status(404).json({ error: 'Saved digest not found' });
+    }
+    res.json(updated);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'A saved digest with this name already exists' });
+    }
+    console.error('Error updating saved digest:', error);
+    res.status(500).json({ error: 'Failed to update saved digest' });
+  }
+});
+
+app.delete('/api/saved-digests/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid saved digest ID is required' });
+    }
+    const deleted = await database.deleteSavedDigest(parseInt(id, 10));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Saved digest not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting saved digest:', error);
+    res.status(500).json({ error: 'Failed to delete saved digest' });
+  }
+});
+
+// Build a saved digest with the current articles: /preview answers JSON, /download a file.
+// ?timeZone= sets the zone used for dates (default: the digest's own).
+app.get('/api/saved-digests/:id/:action(preview|download)', async (req, res) => {
+  try {
+    const { id, action } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid saved digest ID is required' });
+    }
+    const format = action === 'download' ? digestFormat(req, res) : 'html';
+    if (!format) return;
+    const saved = await database.getSavedDigestById(parseInt(id, 10));
+    if (!saved) {
+      return res.status(404).json({ error: 'Saved digest not found' });
+    }
+    const timeZone = String(req.query.timeZone || saved.time_zone || 'UTC');
+    if (!digests.isValidTimeZone(timeZone)) {
+      return res.status(400).json({ error: `Unknown time zone: ${timeZone}` });
+    }
+    const built = await digests.buildSaved(saved, { timeZone });
+    if (built.error) {
+      return res.status(400).json({ error: built.error });
+    }
+    if (action === 'download') {
+      return sendDigestFile(res, built.digest, format, saved.title);
+    }
+    res.json(built.digest);
+  } catch (error) {
+    console.error('Error building saved digest:', error);
+    res.status(500).json({ error: 'Failed to build digest' });
+  }
+});
+
+// Email a saved digest to its email destination now (outside its daily schedule)
+app.post('/api/saved-digests/:id/send', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid saved digest ID is required' });
+    }
+    const saved = await database.getSavedDigestById(parseInt(id, 10));
+    if (!saved) {
+      return res.status(404).json({ error: 'Saved digest not found' });
+    }
+    const outcome = await digests.sendSavedDigest(saved);
+    if (outcome.status === 'failed') {
+      return res.status(502).json(outcome);
+    }
+    res.json(outcome);
+  } catch (error) {
+    console.error('Error sending saved digest:', error);
+    res.status(500).json({ error: 'Failed to send digest' });
+  }
+});
+
+app.get('/api/email-lists', async (req, res) => {
+  try {
+    const lists = await database.getEmailLists();
+    res.json(lists);
+  } catch (error) {
+    console.error('Error fetching email lists:', error);
+    res.status(500).json({ error: 'Failed to fetch email lists' });
+  }
+});
+
+// { name, addresses } where addresses is an array or a comma/newline separated string
+app.post('/api/email-lists', async (req, res) => {
+  try {
+    const { error, list } = emailDestination.normalizeEmailListInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const created = await database.createEmailList(list);
+    res.json(created);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'An email list with this name already exists' });
+    }
+    console.error('Error creating email list:', error);
+    res.status(500).json({ error: 'Failed to create email list' });
+  }
+});
+
+app.put('/api/email-lists/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid email list ID is required' });
+    }
+    const { error, list } = emailDestination.normalizeEmailListInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const updated = await database.updateEmailList(parseInt(id, 10), list);
+    if (!updated) {
+      return res.status(404).json({ error: 'Email list not found' });
+    }
+    res.json(updated);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'An email list with this name already exists' });
+    }
+    console.error('Error updating email list:', error);
+    res.status(500).json({ error: 'Failed to update email list' });
+  }
+});
+
+app.delete('/api/email-lists/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid email list ID is required' });
+    }
+    const deleted = await database.deleteEmailList(parseInt(id, 10));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Email list not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting email list:', error);
+    res.status(500).json({ error: 'Failed to delete email list' });
+  }
+});
+
+// Per-recipient outcomes of email sends, newest first.
+// ?delivery_id= / ?saved_digest_id= / ?status=accepted|rejected|failed|bounced / ?address= / ?limit= / ?offset=
+app.get('/api/email-recipients', async (req, res) => {
+  try {
+    const { delivery_id: deliveryId, saved_digest_id: savedDigestId, status, address } = req.query;
+    if (status && !['accepted', 'rejected', 'failed', 'bounced'].includes(status)) {
+      return res.status(400).json({ error: 'status must be one of: accepted, rejected, failed, bounced' });
+    }
+    const recipients = await database.getEmailRecipients({
+      deliveryId: deliveryId && !isNaN(deliveryId) ? parseInt(deliveryId, 10) : null,
+      savedDigestId: savedDigestId && !isNaN(savedDigestId) ? parseInt(savedDigestId, 10) : null,
+      status: status || null,
+      address: address ? String(address).trim().toLowerCase() : null,
+      limit: Math.min(parseInt(req.query.limit, 10) || 100, 500),
+      offset: Math.max(parseInt(req.query.offset, 10) || 0, 0)
+    });
+    res.json(recipients);
+  } catch (error) {
+    console.error('Error fetching email recipients:', error);
+    res.status(500).json({ error: 'Failed to fetch email recipients' });
+  }
+});
+
+// Report a bounce (from a mailbox watcher or the provider's webhook):
+// { address, messageId?, code?, reason? }. Marks the latest send to that address as bounced.
+app.post('/api/email/bounces', async (req, res) => {
+  try {
+    const address = typeof req.body.address === 'string' ? req.body.address.trim().toLowerCase() : '';
+    if (!address) {
+      return res.status(400).json({ error: 'address is required' });
+    }
+    const rawMessageId = typeof req.body.messageId === 'string' ? req.body.messageId.trim() : '';
+    const messageId = rawMessageId ? (rawMessageId.startsWith('<') ? rawMessageId : `<${rawMessageId}>`) : null;
+    const code = req.body.code !== undefined && !isNaN(req.body.code) ? parseInt(req.body.code, 10) : null;
+    const reason = typeof req.body.reason === 'string' && req.body.reason.trim() ? req.body.reason.trim().substring(0, 1000) : 'Bounced';
+
+    const recipient = await database.recordEmailBounce({ address, messageId, code, reason });
+    if (!recipient) {
+      return res.status(404).json({ error: 'No email send found for this address' });
+    }
+    console.log(`↩️ [EMAIL] Bounce recorded for ${address}${messageId ? ` (${messageId})` : ''}`);
+    res.json(recipient);
   } catch (error) {
-    console.error('Error updating articles:', error);
-    res.status(500).json({ error: 'Failed to update articles' });
+    console.error('Error recording email bounce:', error);
+    res.status(500).json({ error: 'Failed to record bounce' });
   }
 });
 
-// Revert articles back to 'new' status (for back button functionality)
-app.post('/api/articles/revert', async (req, res) => {
+// Access tokens for the outbound feeds (/feeds/*). Adding a token to a feed makes it private.
+app.get('/api/feed-tokens', async (req, res) => {
   try {
-    const { articleIds } = req.body;
-    
-    for (const id of articleIds) {
-      await database.updateArticleStatus(id, 'new');
-    }
-    
-    res.json({ message: 'Articles reverted to new status successfully' });
+    const tokens = await database.getFeedTokens();
+    res.json(tokens);
   } catch (error) {
-    console.error('Error reverting articles:', error);
-    res.status(500).json({ error: 'Failed to revert articles' });
+    console.error('Error fetching feed tokens:', error);
+    res.status(500).json({ error: 'Failed to fetch feed tokens' });
   }
 });
 
-// Get selected articles for editing
-app.get('/api/articles/selected', async (req, res) => {
+// { feed: 'sent' | 'selected' | <workflow state> | 'category/<name>', name }. The token is only returned here.
+app.post('/api/feed-tokens', async (req, res) => {
   try {
-    const articles = await database.getSelectedArticles();
-    res.json(articles);
+    const { error, token } = publicFeeds.normalizeFeedTokenInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const created = await publicFeeds.createToken(token);
+    res.json(created);
   } catch (error) {
-    console.error('Error fetching selected articles:', error);
-    res.status(500).json({ error: 'Failed to fetch selected articles' });
+    console.error('Error creating feed token:', error);
+    res.status(500).json({ error: 'Failed to create feed token' });
   }
 });
 
-// Update article content after editing
-app.put('/api/articles/:id', async (req, res) => {
+app.delete('/api/feed-tokens/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, content, preview } = req.body;
-    
-    await database.updateArticleContent(id, title, content, preview);
-    res.json({ message: 'Article updated successfully' });
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid feed token ID is required' });
+    }
+    const deleted = await database.deleteFeedToken(parseInt(id, 10));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Feed token not found' });
+    }
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error updating article:', error);
-    res.status(500).json({ error: 'Failed to update article' });
+    console.error('Error deleting feed token:', error);
+    res.status(500).json({ error: 'Failed to delete feed token' });
   }
 });
 
-// Send articles (generate JSON payload)
+// Legacy: send articles to the built-in Distro destination. Prefer POST /api/articles/:id/deliver.
+// Queued as a send job; the job's result is { message, results, count, successCount, failureCount, success }.
 app.post('/api/articles/send', async (req, res) => {
   try {
-    const { articleIds, userInfo } = req.body;
-    
-    const articles = await database.getArticlesByIds(articleIds);
-    
-    // Send each article individually to the Distro external API
-    const results = [];
-    
-    for (const article of articles) {
-      // Map Scoopstream article fields into Distro external API payload
-      const hotTake = article.content || article.ai_summary || article.publisher_description || article.preview || '';
-      const payload = {
-        user_info: {
-          name: userInfo.name || 'Bradley Keoun'
-        },
-        title: article.title,
-        content: `<p>${hotTake}</p>`,
-        more_info_url: article.link,
-        source: article.source_name || 'Unknown Source'
-      };
-      
-      try {
-        const response = await sendToDistroWithRetry(
-          config.distro.apiEndpoint, 
-          payload,
-          {
-            'Content-Type': 'application/json',
-            'x-api-key': config.distro.apiKey
-          }
-        );
-        
-        console.log(`External API response for "${article.title}":`, response.data);
-        results.push({ success: true, article: article.title, response: response.data });
-        
-      } catch (externalError) {
-        console.error(`Error sending "${article.title}" to external API:`, externalError.message);
-        console.error('External API response status:', externalError.response?.status);
-        console.error('External API response data:', externalError.response?.data);
-        console.error('Payload we sent:', payload);
-        results.push({ success: false, article: article.title, error: externalError.message });
-      }
-    }
-    
-    // Mark all articles as sent to Distro (regardless of API success/failure)
-    for (const id of articleIds) {
-      await database.markSentToDistro(id);
+    const rawIds = req.body.articleIds || [];
+    const articleIds = (Array.isArray(rawIds) ? rawIds : [rawIds]).map(a => parseInt(a, 10)).filter(a => !isNaN(a));
+    if (articleIds.length === 0) {
+      return res.status(400).json({ error: 'At least one article ID is required' });
     }
-    
-    const successCount = results.filter(r => r.success).length;
-    const failureCount = results.filter(r => !r.success).length;
-    
-    // Create detailed response message
-    let responseMessage;
-    if (successCount === 0 && failureCount > 0) {
-      responseMessage = `Failed to send ${failureCount} article${failureCount > 1 ? 's' : ''} to Distro. Please check your API key and endpoint.`;
-    } else if (successCount > 0 && failureCount > 0) {
-      responseMessage = `Successfully sent ${successCount} article${successCount > 1 ? 's' : ''} to Distro, but ${failureCount} failed.`;
-    } else if (successCount > 0) {
-      responseMessage = `Successfully sent ${successCount} article${successCount > 1 ? 's' : ''} to Distro!`;
-    } else {
-      responseMessage = `No articles were sent. Please check your configuration.`;
+
+    const destination = await database.getDestinationByKey('distro');
+    if (!destination) {
+      return res.status(500).json({ error: 'Distro destination is not configured' });
     }
 
-    res.json({ 
-      message: responseMessage,
-      results: results,
-      count: articles.length,
-      successCount: successCount,
-      failureCount: failureCount,
-      success: successCount > 0
-    });
+    await sendQueuedJob(res, 'send', {
+      legacy: 'distro',
+      articleIds,
+      destinationIds: [destination.id],
+      userName: req.user.display_name,
+      actor: req.user.display_name
+    }, { dedupeKey: jobQueue.requestKey('send', ['distro', articleIds]), requestedBy: req.user.display_name });
   } catch (error) {
     console.error('Error preparing articles for send:', error);
     res.status(500).json({ error: 'Failed to prepare articles for sending' });
   }
 });
 
-// Send article to Telegram
+// Legacy: post to Telegram plus a Distro news flash. Prefer POST /api/articles/:id/deliver.
+// Queued as a send job; the job's result is { success, message or error, telegram, externalApi }.
 app.post('/api/articles/send-telegram', async (req, res) => {
-  const startTime = Date.now();
-  console.log(`\n📱 [TELEGRAM] Send request received at ${new Date().toISOString()}`);
-  console.log(`📱 [TELEGRAM] Request body:`, req.body);
-  
   try {
-    const { articleId } = req.body;
-    
-    if (!articleId) {
-      console.error(`❌ [TELEGRAM] Missing articleId in request`);
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Article ID is required' 
-      });
-    }
-
-    console.log(`📱 [TELEGRAM] Looking up article ID: ${articleId}`);
-
-    // Get article from database
-    const article = await database.getArticleById(articleId);
-    if (!article) {
-      console.error(`❌ [TELEGRAM] Article not found with ID: ${articleId}`);
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Article not found' 
-      });
-    }
-
-    console.log(`✅ [TELEGRAM] Article found: "${article.title}" (ID: ${article.id})`);
-    console.log(`📱 [TELEGRAM] Article link: ${article.link}`);
-
-    // Check Telegram configuration
-    console.log(`📱 [TELEGRAM] Checking configuration...`);
-    console.log(`📱 [TELEGRAM] Bot token present: ${!!config.telegram.botToken} (length: ${config.telegram.botToken?.length || 0})`);
-    console.log(`📱 [TELEGRAM] Channel ID: ${config.telegram.channelId || 'NOT SET'}`);
-    console.log(`📱 [TELEGRAM] Thread ID: ${config.telegram.messageThreadId || 'NOT SET'}`);
-    
-    if (!config.telegram.botToken || !config.telegram.channelId) {
-      console.error(`❌ [TELEGRAM] Configuration missing! Bot token: ${!!config.telegram.botToken}, Channel ID: ${!!config.telegram.channelId}`);
-      return res.status(500).json({ 
-        success: false, 
-        error: 'Telegram bot token or channel ID not configured. Please set TELEGRAM_BOT_TOKEN and TELEGRAM_CHANNEL_ID in environment variables.' 
-      });
-    }
-
-    // Format message for Telegram
-    console.log(`📱 [TELEGRAM] Formatting message...`);
-    // Use preview/description if available, otherwise use content (truncated)
-    const preview = article.ai_summary || article.publisher_description || article.preview || article.content || 'No preview available';
-    
-    // Escape HTML special characters for Telegram HTML parse mode
-    const escapeHtml = (text) => {
-      if (!text) return '';
-      return String(text)
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#39;');
-    };
-    
-    // Format the message with title, preview, source, and link
-    // Using HTML parse mode for better formatting control and simpler escaping
-    const title = escapeHtml(article.title || 'Untitled Article');
-    const source = escapeHtml(article.source_name || 'Unknown');
-    const link = escapeHtml(article.link);
-    
-    // Calculate the exact overhead for the message structure:
-    // 📰 <b>title</b>\n\n + preview + \n\n🔗 <a href="link">Read more</a>\n📊 Source: source
-    // Base structure: 📰 <b> + title + </b>\n\n + preview + \n\n🔗 <a href=" + link + ">Read more</a>\n📊 Source: + source
-    const baseOverhead = `📰 <b></b>\n\n\n\n🔗 <a href="">Read more</a>\n📊 Source: `.length;
-    // Account for actual title, link, and source lengths (already escaped)
-    const variableOverhead = title.length + link.length + source.length;
-    const totalOverhead = baseOverhead + variableOverhead;
-    
-    // Telegram has a 4096 character limit, reserve some buffer (50 chars) for safety
-    const maxMessageLength = 4096;
-    const safetyBuffer = 50;
-    const maxPreviewLength = maxMessageLength - totalOverhead - safetyBuffer;
-    
-    // Escape preview
-    let previewText = escapeHtml(preview);
-    const originalPreviewLength = previewText.length; // Store original length for logging
-    
-    // Build the full message first to check actual length
-    const buildMessage = (previewContent) => {
-      return `📰 <b>${title}</b>\n\n${previewContent}\n\n🔗 <a href="${link}">Read more</a>\n📊 Source: ${source}`;
-    };
-    
-    // Truncate preview if needed, ensuring the full message stays under limit
-    let finalMessage = buildMessage(previewText);
-    
-    // Helper function to find a good truncation point
-    const findTruncationPoint = (text, targetLength) => {
-      if (text.length <= targetLength) return text.length;
-      
-      // Look backwards from targetLength to find the last sentence boundary (period + space)
-      // Search in the last 1000 characters before the target
-      const searchStart = Math.max(0, targetLength - 1000);
-      const searchText = text.substring(searchStart, Math.min(text.length, targetLength + 100));
-      
-      // Try to find sentence end (period followed by space/newline)
-      // Look backwards from the end of the search area
-      let lastSentenceEnd = -1;
-      for (let i = searchText.length - 1; i >= 0; i--) {
-        if (searchText[i] === '.' && (i + 1 < searchText.length) && /\s/.test(searchText[i + 1])) {
-          lastSentenceEnd = searchStart + i + 1; // +1 to include the period
-          if (lastSentenceEnd <= targetLength) {
-            break;
-          }
-        }
-      }
-      
-      if (lastSentenceEnd > searchStart && lastSentenceEnd <= targetLength) {
-        return lastSentenceEnd;
-      }
-      
-      // Try to find word boundary (space) in the last 500 chars
-      const wordSearchStart = Math.max(0, targetLength - 500);
-      const wordSearchText = text.substring(wordSearchStart, Math.min(text.length, targetLength + 50));
-      const lastSpace = wordSearchText.lastIndexOf(' ');
-      
-      if (lastSpace > 0) {
-        const spacePos = wordSearchStart + lastSpace;
-        if (spacePos > wordSearchStart && spacePos <= targetLength) {
-          return spacePos;
-        }
-      }
-      
-      // Last resort: just truncate at target length
-      return targetLength;
-    };
-    
-    if (finalMessage.length > maxMessageLength) {
-      // Calculate how much we need to trim from the preview (accounting for ellipsis)
-      const excess = finalMessage.length - maxMessageLength + safetyBuffer;
-      const ellipsisLength = 3; // "..."
-      const targetPreviewLength = Math.max(100, previewText.length - excess - ellipsisLength);
-      
-      // Find a good truncation point
-      const truncationPoint = findTruncationPoint(previewText, targetPreviewLength);
-      previewText = previewText.substring(0, truncationPoint).trim();
-      previewText += '...';
-      
-      // Rebuild message with truncated preview
-      finalMessage = buildMessage(previewText);
-      
-      // Final safety check - if still too long, truncate more aggressively
-      if (finalMessage.length > maxMessageLength) {
-        const finalExcess = finalMessage.length - maxMessageLength + safetyBuffer;
-        // Remove ellipsis temporarily to recalculate
-        const textWithoutEllipsis = previewText.slice(0, -3);
-        const newTargetLength = Math.max(100, textWithoutEllipsis.length - finalExcess);
-        const finalTruncationPoint = findTruncationPoint(textWithoutEllipsis, newTargetLength);
-        previewText = textWithoutEllipsis.substring(0, finalTruncationPoint).trim();
-        previewText += '...';
-        finalMessage = buildMessage(previewText);
-        
-        // Absolute final check - hard truncate if still too long (shouldn't happen, but be safe)
-        if (finalMessage.length > maxMessageLength) {
-          const hardExcess = finalMessage.length - maxMessageLength + 10;
-          const textBeforeEllipsis = previewText.slice(0, -3);
-          previewText = textBeforeEllipsis.substring(0, Math.max(50, textBeforeEllipsis.length - hardExcess)).trim();
-          previewText += '...';
-          finalMessage = buildMessage(previewText);
-        }
-      }
-      
-      console.log(`⚠️ [TELEGRAM] WARNING: Message was truncated from ${originalPreviewLength} to ${previewText.length - 3} chars (ellipsis added). User should have been prevented from sending this!`);
-    }
-    
-    console.log(`📱 [TELEGRAM] Preview length: ${previewText.length} chars`);
-    console.log(`📱 [TELEGRAM] Message formatted (${finalMessage.length} chars, limit: ${maxMessageLength})`);
-    console.log(`📱 [TELEGRAM] Message preview: ${finalMessage.substring(0, 150)}...`);
-
-    // Send to Telegram using Bot API
-    const telegramApiUrl = `https://api.telegram.org/bot${config.telegram.botToken}/sendMessage`;
-    console.log(`📱 [TELEGRAM] Telegram API URL: https://api.telegram.org/bot***/sendMessage (token hidden)`);
-    
-    // Handle channel ID format - Telegram channels need -100 prefix for numeric IDs
-    let chatId = config.telegram.channelId;
-    let messageThreadId = config.telegram.messageThreadId;
-    
-    console.log(`📱 [TELEGRAM] Original channel ID: ${chatId}`);
-    console.log(`📱 [TELEGRAM] Original thread ID: ${messageThreadId || 'none'}`);
-    
-    // Check if channel ID contains thread ID (format: -1001234567890_529)
-    if (chatId.includes('_')) {
-      const parts = chatId.split('_');
-      chatId = parts[0]; // Channel ID is the part before underscore
-      messageThreadId = parts[1]; // Thread ID is the part after underscore
-      console.log(`📱 [TELEGRAM] Parsed channel ID: ${chatId}, thread ID: ${messageThreadId}`);
-    }
-    
-    // If it's a plain numeric ID (not starting with @ or -), try adding -100 prefix for channels
-    if (/^\d+$/.test(chatId)) {
-      // It's a plain number, try with -100 prefix (standard for Telegram channels)
-      chatId = `-100${chatId}`;
-      console.log(`📱 [TELEGRAM] Added -100 prefix: ${chatId}`);
-    }
-    
-    const payload = {
-      chat_id: chatId,
-      text: finalMessage,
-      parse_mode: 'HTML', // Use HTML for simpler formatting
-      disable_web_page_preview: false
-    };
-
-    // Add message_thread_id if configured (for topics in channels)
-    if (messageThreadId) {
-      payload.message_thread_id = parseInt(messageThreadId);
-      console.log(`📱 [TELEGRAM] Added thread ID to payload: ${messageThreadId}`);
-    }
-    
-    console.log(`📱 [TELEGRAM] Final payload:`, {
-      chat_id: payload.chat_id,
-      message_thread_id: payload.message_thread_id || 'none',
-      parse_mode: payload.parse_mode,
-      text_length: payload.text.length
-    });
-
-    const results = {
-      telegram: { success: false, error: null },
-      externalApi: { success: false, error: null }
-    };
-
-    // Step 1: Send to Telegram
-    console.log(`📱 [TELEGRAM] Sending to Telegram API...`);
-    const telegramStartTime = Date.now();
-    try {
-      const telegramResponse = await axios.post(telegramApiUrl, payload, {
-        timeout: 10000
-      });
-
-      const telegramDuration = Date.now() - telegramStartTime;
-      console.log(`📱 [TELEGRAM] Telegram API response received in ${telegramDuration}ms`);
-      console.log(`📱 [TELEGRAM] Response status: ${telegramResponse.status}`);
-      console.log(`📱 [TELEGRAM] Response data:`, JSON.stringify(telegramResponse.data, null, 2));
-
-      if (telegramResponse.data.ok) {
-        console.log(`✅ [TELEGRAM] Article "${article.title}" sent to Telegram successfully`);
-        console.log(`✅ [TELEGRAM] Message ID: ${telegramResponse.data.result.message_id}`);
-        results.telegram.success = true;
-        results.telegram.messageId = telegramResponse.data.result.message_id;
-        // Mark article as sent to Telegram when succeeds
-        await database.markSentToTelegram(article.id);
-      } else {
-        console.error(`❌ [TELEGRAM] Telegram API returned ok=false`);
-        console.error(`❌ [TELEGRAM] Error description: ${telegramResponse.data.description}`);
-        throw new Error(telegramResponse.data.description || 'Unknown Telegram API error');
-      }
-    } catch (telegramError) {
-      const telegramDuration = Date.now() - telegramStartTime;
-      console.error(`❌ [TELEGRAM] Error after ${telegramDuration}ms`);
-      console.error(`❌ [TELEGRAM] Error type: ${telegramError.name}`);
-      console.error(`❌ [TELEGRAM] Error message: ${telegramError.message}`);
-      
-      let errorMessage = 'Failed to send to Telegram';
-      
-      if (telegramError.response) {
-        console.error(`❌ [TELEGRAM] Response status: ${telegramError.response.status}`);
-        console.error(`❌ [TELEGRAM] Response data:`, JSON.stringify(telegramError.response.data, null, 2));
-        
-        // Extract error description from Telegram API response
-        const errorData = telegramError.response.data;
-        if (errorData) {
-          if (errorData.description) {
-            errorMessage = errorData.description;
-          } else if (errorData.error_code) {
-            // Common Telegram API errors:
-            // 400: Bad Request (wrong chat_id, etc.)
-            // 401: Unauthorized (invalid bot token)
-            // 403: Forbidden (bot not admin, etc.)
-            // 404: Not Found (chat not found)
-            const errorCodes = {
-              400: 'Bad Request - Check your channel ID or message format',
-              401: 'Unauthorized - Check your bot token',
-              403: 'Forbidden - Bot may not have permission to post to channel',
-              404: 'Chat not found - Check your channel ID'
-            };
-            errorMessage = errorCodes[errorData.error_code] || errorData.description || `Telegram API error ${errorData.error_code}`;
-          }
-        }
-      } else if (telegramError.request) {
-        console.error(`❌ [TELEGRAM] No response received from Telegram API`);
-        console.error(`❌ [TELEGRAM] Request config:`, {
-          url: telegramError.config?.url?.replace(/\/bot[^/]+/, '/bot***'), // Hide token in logs
-          method: telegramError.config?.method,
-          timeout: telegramError.config?.timeout
-        });
-        errorMessage = 'No response from Telegram API - Check your internet connection or Telegram API status';
-      } else if (telegramError.message) {
-        errorMessage = telegramError.message;
-      }
-      
-      console.error(`❌ [TELEGRAM] Final error message: ${errorMessage}`);
-      results.telegram.error = errorMessage;
-    }
-
-    // Step 2: Send to external API (pulse-chain)
-    console.log(`📱 [TELEGRAM] Sending to external API: ${config.distro.apiEndpoint}`);
-    const externalStartTime = Date.now();
-    try {
-      const externalPayload = {
-        user_info: {
-          name: "Distro DeAI News Flash"
-        },
-        more_info_url: article.link,
-        source: article.source_name || 'Unknown',
-        cost: 10,
-        preview: article.ai_summary || article.publisher_description || article.preview || '',
-        title: article.title,
-        content: article.content || ''
-      };
-
-      console.log(`📱 [TELEGRAM] External API payload:`, {
-        title: externalPayload.title,
-        source: externalPayload.source,
-        preview_length: externalPayload.preview.length,
-        content_length: externalPayload.content.length
-      });
-
-      const externalResponse = await sendToDistroWithRetry(
-        config.distro.apiEndpoint, 
-        externalPayload,
-        {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${config.distro.apiKey}`,
-          'X-API-Key': config.distro.apiKey
-        }
-      );
-
-      const externalDuration = Date.now() - externalStartTime;
-      console.log(`✅ [TELEGRAM] Article "${article.title}" sent to external API successfully in ${externalDuration}ms`);
-      console.log(`✅ [TELEGRAM] External API response:`, JSON.stringify(externalResponse.data, null, 2));
-      results.externalApi.success = true;
-      results.externalApi.response = externalResponse.data;
-    } catch (externalError) {
-      const externalDuration = Date.now() - externalStartTime;
-      console.error(`❌ [TELEGRAM] Error sending to external API after ${externalDuration}ms`);
-      console.error(`❌ [TELEGRAM] Error: ${externalError.message}`);
-      if (externalError.response) {
-        console.error(`❌ [TELEGRAM] External API response status: ${externalError.response.status}`);
-        console.error(`❌ [TELEGRAM] External API response data:`, JSON.stringify(externalError.response.data, null, 2));
-      }
-      results.externalApi.error = externalError.message;
-    }
-
-    // Return combined results
-    const totalDuration = Date.now() - startTime;
-    const telegramSuccess = results.telegram.success;
-    const externalSuccess = results.externalApi.success;
-    
-    console.log(`\n📱 [TELEGRAM] Summary (${totalDuration}ms total):`);
-    console.log(`📱 [TELEGRAM] Telegram: ${telegramSuccess ? '✅ Success' : '❌ Failed'}`);
-    console.log(`📱 [TELEGRAM] External API: ${externalSuccess ? '✅ Success' : '❌ Failed'}`);
-    
-    if (telegramSuccess && externalSuccess) {
-      console.log(`✅ [TELEGRAM] Both services succeeded`);
-      res.json({ 
-        success: true, 
-        message: 'Article sent to Telegram and external API successfully',
-        telegram: results.telegram,
-        externalApi: results.externalApi
-      });
-    } else if (telegramSuccess) {
-      console.log(`⚠️  [TELEGRAM] Telegram succeeded, external API failed`);
-      res.json({ 
-        success: true, 
-        message: 'Article sent to Telegram successfully, but failed to send to external API',
-        telegram: results.telegram,
-        externalApi: results.externalApi
-      });
-    } else if (externalSuccess) {
-      console.log(`⚠️  [TELEGRAM] External API succeeded, Telegram failed`);
-      res.json({ 
-        success: false, 
-        error: results.telegram.error || 'Failed to send to Telegram',
-        message: 'Article sent to external API successfully, but failed to send to Telegram',
-        telegram: results.telegram,
-        externalApi: results.externalApi
-      });
-    } else {
-      console.log(`❌ [TELEGRAM] Both services failed`);
-      const errorMsg = results.telegram.error || results.externalApi.error || 'Failed to send to both Telegram and external API';
-      res.status(500).json({ 
-        success: false, 
-        error: errorMsg,
-        message: 'Failed to send to both Telegram and external API',
-        telegram: results.telegram,
-        externalApi: results.externalApi
-      });
-    }
+    const articleId = parseInt(req.body.articleId, 10);
+    if (isNaN(articleId)) {
+      return res.status(400).json({ success: false, error: 'Article ID is required' });
+    }
+    if (!await database.getArticleById(articleId)) {
+      return res.status(404).json({ success: false, error: 'Article not found' });
+    }
+
+    const [telegramDestination, flashDestination] = await Promise.all([
+      database.getDestinationByKey('telegram'),
+      database.getDestinationByKey('distro-flash')
+    ]);
+    await sendQueuedJob(res, 'send', {
+      legacy: 'telegram',
+      articleIds: [articleId],
+      telegramId: telegramDestination ? telegramDestination.id : null,
+      flashId: flashDestination ? flashDestination.id : null,
+      userName: req.user.display_name,
+      actor: req.user.display_name
+    }, { dedupeKey: jobQueue.requestKey('send', ['telegram', articleId]), requestedBy: req.user.display_name });
   } catch (error) {
-    const totalDuration = Date.now() - startTime;
-    console.error(`❌ [TELEGRAM] Unexpected error after ${totalDuration}ms:`, error);
-    console.error(`❌ [TELEGRAM] Error stack:`, error.stack);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to send article to Telegram',
-      details: error.message
-    });
+    console.error('❌ [TELEGRAM] Unexpected error:', error);
+    res.status(500).json({ success: false, error: 'Failed to send article to Telegram', details: error.message });
   }
 });
 
+// Live event stream (Server-Sent Events): new articles, per-source check progress, enrichment updates
+app.get('/api/events', (req, res) => {
+  eventStream.addClient(req, res);
+});
+
 // Get the most recent last_checked timestamp from all sources
 app.get('/api/monitor/last-checked', async (req, res) => {
   try {
@@ -1254,69 +2193,83 @@ app.get('/api/monitor/last-checked', async (req, res) => {
   }
 });
 
-// Manual trigger for feed monitoring (for "Check Now" button)
+// Manual trigger for feed monitoring (for "Check Now" button). The check runs in the
+// background; follow it with /api/monitor/runs/:id or the live event stream. An optional
+// body narrows it: { sourceIds, categories, monitoringTypes, onlyFailed, priority }.
 app.post('/api/monitor/trigger', async (req, res) => {
-  const startTime = Date.now();
   console.log(`\n🔔 [TRIGGER] Manual feed check triggered at ${new Date().toISOString()}`);
-  
-    try {
-      // Pass allowManual=true to bypass monitoring check
-      const results = await feedMonitor.checkAllFeeds(true);
-      const duration = Date.now() - startTime;
-      
-      // Handle cancelled operation
-      if (results && results.cancelled) {
-        console.log(`🛑 [TRIGGER] Manual feed check was cancelled after ${duration}ms`);
-        return res.json({
-          success: true,
-          cancelled: true,
-          message: results.message,
-          summary: {
-            processedSources: results.processedSources,
-            totalSources: results.totalSources,
-            cancelled: true,
-            duration: `${duration}ms`
-          },
-          results: results.results || []
-        });
-      }
-      
-      const summary = {
-        totalSources: results.length,
-        successfulSources: results.filter(r => r.success).length,
-        failedSources: results.filter(r => !r.success).length,
-        totalNewArticles: results.reduce((sum, r) => sum + (r.newArticles || 0), 0),
-        duration: `${duration}ms`,
-        results: results
-      };
-      
-      console.log(`✅ [TRIGGER] Manual feed check completed in ${duration}ms`);
-      console.log(`📊 [TRIGGER] Summary: ${summary.successfulSources}/${summary.totalSources} sources successful, ${summary.totalNewArticles} new articles`);
-      
-      res.json({ 
-        success: true,
-        message: 'Feed check completed successfully', 
-        summary: summary,
-        results: results
+  try {
+    const { error, selection } = checkRuns.normalizeCheckSelection(req.body || {});
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    const started = await feedMonitor.startManualCheck({ requestedBy: req.user.display_name, selection });
+    if (started.noSources) {
+      return res.status(400).json({ success: false, error: 'No active sources match that selection' });
+    }
+    if (started.alreadyRunning) {
+      console.log(`ℹ️  [TRIGGER] A check is already running (run ${started.runId})`);
+      return res.status(409).json({
+        success: false,
+        error: 'A feed check is already running',
+        runId: started.runId
       });
+    }
+    console.log(`✅ [TRIGGER] Started run ${started.run.id}`);
+    res.status(202).json({
+      success: true,
+      message: 'Feed check started',
+      runId: started.run.id,
+      run: started.run
+    });
   } catch (error) {
-    const duration = Date.now() - startTime;
-    console.error(`❌ [TRIGGER] Error during manual feed check (${duration}ms):`, error);
-    res.status(500).json({ 
+    console.error('❌ [TRIGGER] Error starting manual feed check:', error);
+    res.status(500).json({
       success: false,
-      error: 'Failed to check feeds',
-      message: error.message,
-      duration: `${duration}ms`
+      error: 'Failed to start feed check',
+      message: error.message
     });
   }
 });
 
+// Check run history, newest first (?status=&trigger=&limit=)
+app.get('/api/monitor/runs', async (req, res) => {
+  try {
+    const { error, filters } = checkRuns.parseRunFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json(await checkRuns.list(filters));
+  } catch (error) {
+    console.error('Error fetching check runs:', error);
+    res.status(500).json({ error: 'Failed to fetch check runs' });
+  }
+});
+
+// One check run with the outcome of every source it checked
+app.get('/api/monitor/runs/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid run ID' });
+    }
+    const run = await checkRuns.get(id);
+    if (!run) {
+      return res.status(404).json({ error: 'Check run not found' });
+    }
+    res.json(run);
+  } catch (error) {
+    console.error('Error fetching check run:', error);
+    res.status(500).json({ error: 'Failed to fetch check run' });
+  }
+});
+
 // Cancel the current "Check Now" operation
 app.post('/api/monitor/cancel', async (req, res) => {
   console.log(`\n🛑 [CANCEL] Cancel request received at ${new Date().toISOString()}`);
   
   try {
-    const result = feedMonitor.cancelCheckNow();
+    const result = await feedMonitor.cancelCheckNow();
     
     if (result.success) {
       console.log(`✅ [CANCEL] Cancellation request accepted`);
@@ -1341,22 +2294,31 @@ app.post('/api/monitor/cancel', async (req, res) => {
   }
 });
 
-// Get status of current "Check Now" operation
+// Get status of the current check (queued or running in the worker)
 app.get('/api/monitor/status', async (req, res) => {
   try {
-    const operation = feedMonitor.currentCheckOperation;
+    const job = await jobQueue.findActive(feedMonitor.CHECK_JOB_KEY);
+    const run = job && job.payload.runId ? await database.getCheckRunById(job.payload.runId) : null;
     
-    if (operation) {
+    if (job) {
+      const startTime = new Date((run && run.started_at) || job.created_at).getTime();
       res.json({
         inProgress: true,
-        processedSources: operation.processedSources,
-        totalSources: operation.totalSources,
-        startTime: operation.startTime,
-        elapsedMs: Date.now() - operation.startTime
+        runId: job.payload.runId || null,
+        jobId: job.id,
+        queued: job.status !== 'in_flight',
+        processedSources: run ? run.processed_sources : 0,
+        totalSources: run ? run.total_sources : 0,
+        startTime,
+        elapsedMs: Date.now() - startTime,
+        scheduler: sourceScheduler.getStatus(),
+        events: eventStream.getStatus()
       });
     } else {
       res.json({
-        inProgress: false
+        inProgress: false,
+        scheduler: sourceScheduler.getStatus(),
+        events: eventStream.getStatus()
       });
     }
   } catch (error) {
@@ -1367,6 +2329,136 @@ app.get('/api/monitor/status', async (req, res) => {
   }
 });
 
+// Background jobs, most recently updated first (?status=failed,dead&type=&limit=)
+app.get('/api/jobs', async (req, res) => {
+  try {
+    const { error, filters } = jobQueue.parseJobFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json(await jobQueue.list(filters));
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// One job; its result holds what the queueing endpoint used to return once it succeeded
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+    const job = await jobQueue.get(id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+// Run a failed or dead job again now
+app.post('/api/jobs/:id/retry', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+    const result = await jobQueue.retry(id);
+    if (!result) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+    res.json(result.job);
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
+// Discard a job no worker is running (queued, waiting for a retry, or dead)
+app.delete('/api/jobs/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+    const result = await jobQueue.cancel(id);
+    if (!result) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+    res.json(result.job);
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+// Scheduled tasks (admin): cron schedule, enabled, next run and how the last run went
+app.get('/api/scheduled-tasks', async (req, res) => {
+  try {
+    res.json(await taskScheduler.list());
+  } catch (error) {
+    console.error('Error fetching scheduled tasks:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduled tasks' });
+  }
+});
+
+// Enable, disable or reschedule a task: { enabled?, cron? }
+app.put('/api/scheduled-tasks/:name', async (req, res) => {
+  try {
+    const result = await taskScheduler.update(req.params.name, req.body || {}, req.user.display_name);
+    if (!result) {
+      return res.status(404).json({ error: 'Scheduled task not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json(result.task);
+  } catch (error) {
+    console.error('Error updating scheduled task:', error);
+    res.status(500).json({ error: 'Failed to update scheduled task' });
+  }
+});
+
+// Ask the worker to run a scheduled task now and answer 202 with the task (404 unknown, 409 running)
+const sendTaskRun = async (res, name, requestedBy) => {
+  const result = await taskScheduler.runNow(name, requestedBy);
+  if (!result) {
+    return res.status(404).json({ error: 'Scheduled task not found' });
+  }
+  if (result.error) {
+    return res.status(409).json({ error: result.error });
+  }
+  res.status(202).json({ success: true, task: result.task });
+};
+
+// Run a task now; the worker picks it up within half a minute
+app.post('/api/scheduled-tasks/:name/run', async (req, res) => {
+  try {
+    const result = await taskScheduler.runNow(req.params.name, req.user.display_name);
+    if (!result) {
+      return res.status(404).json({ error: 'Scheduled task not found' });
+    }
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+    res.status(202).json(result.task);
+  } catch (error) {
+    console.error('Error running scheduled task:', error);
+    res.status(500).json({ error: 'Failed to run scheduled task' });
+  }
+});
+
 // Test RSS feed discovery for a website
 app.post('/api/feed/discover', async (req, res) => {
   try {
@@ -1428,7 +2520,10 @@ app.get('/api/articles/last5-per-source', async (req, res) => {
       
       return {
         id: article.id,
-        author: "Author Name", // Default author name
+        author: article.author || "Author Name",
+        tags: article.tags || [],
+        image_url: article.image_url || null,
+        updated_at_source: article.updated_at_source || null,
         more_info_url: actualLink,
         source: article.source_name || "Unknown Source",
         cost: 10, // Default cost
@@ -1472,9 +2567,22 @@ app.get('/api/articles/recent/:days', async (req, res) => {
     } else {
       console.log(`📊 Found ${articles.length} articles from last ${days} days (V1 pub_date/created_at window)`);
     }
+
+    // Watchlist hits per article; ?watchlist=any or ?watchlist=<id>[,<id>] keeps only matching articles
+    const watchlistMatches = await database.getWatchlistMatchesForArticles(articles.map(a => a.id));
+    let visibleArticles = articles;
+    if (req.query.watchlist) {
+      const wanted = req.query.watchlist === 'any'
+        ? null
+        : req.query.watchlist.split(',').map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+      visibleArticles = articles.filter(article => {
+        const hits = watchlistMatches.get(article.id) || [];
+        return wanted ? hits.some(hit => wanted.includes(hit.id)) : hits.length > 0;
+      });
+    }
     
     // Format articles for professional display
-    const formattedArticles = articles.map(article => {
+    const formattedArticles = visibleArticles.map(article => {
       // Priority: AI summary > author's note (publisher_description) > preview > fallback
       let actualPreview = null;
       
@@ -1501,7 +2609,10 @@ app.get('/api/articles/recent/:days', async (req, res) => {
       
       return {
         id: article.id,
-        author: "Author Name",
+        author: article.author || "Author Name",
+        tags: article.tags || [],
+        image_url: article.image_url || null,
+        updated_at_source: article.updated_at_source || null,
         more_info_url: actualLink,
         source: article.source_name || "Unknown Source",
         cost: 10,
@@ -1515,14 +2626,82 @@ app.get('/api/articles/recent/:days', async (req, res) => {
         pub_date: article.pub_date, // Only use publication date for display
         category: article.category,
         publisher_description: article.publisher_description || actualPreview,
-        ai_summary: article.ai_summary
+        ai_summary: article.ai_summary,
+        watchlist_matches: watchlistMatches.get(article.id) || [],
+        cluster_id: article.cluster_id || null,
+        cluster_lead_id: article.cluster_lead_id || null
       };
     });
     
     res.json(formattedArticles);
   } catch (error) {
-    console.error(`Error fetching articles from last ${req.params.days} days:`, error);
-    res.status(500).json({ error: 'Failed to fetch articles' });
+    console.error(`Error fetching articles from last ${req.params.days} days:`, error);
+    res.status(500).json({ error: 'Failed to fetch articles' });
+  }
+});
+
+// Full-text search over the article archive
+// ?q= supports "phrases", prefix*, OR and -exclusions; filters: source_id, category, status, from, to;
+// sort=relevance|date, limit, offset
+app.get('/api/articles/search', async (req, res) => {
+  try {
+    const { error, params } = articleSearch.normalizeSearchParams(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { total, results } = await articleSearch.search(params);
+    res.json({ query: req.query.q, total, limit: params.limit, offset: params.offset, results });
+  } catch (error) {
+    console.error('Error searching articles:', error);
+    res.status(500).json({ error: 'Failed to search articles' });
+  }
+});
+
+// Saved searches: { name, query, filters }
+app.get('/api/saved-searches', async (req, res) => {
+  try {
+    const rows = await database.getSavedSearches();
+    res.json(rows);
+  } catch (error) {
+    console.error('Error fetching saved searches:', error);
+    res.status(500).json({ error: 'Failed to fetch saved searches' });
+  }
+});
+
+app.post('/api/saved-searches', async (req, res) => {
+  try {
+    const { error, savedSearch } = articleSearch.normalizeSavedSearchInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const created = await database.createSavedSearch(savedSearch);
+    res.json(created);
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({ error: 'A saved search with this name already exists' });
+    }
+    console.error('Error saving search:', error);
+    res.status(500).json({ error: 'Failed to save search' });
+  }
+});
+
+app.delete('/api/saved-searches/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!id || isNaN(id)) {
+      return res.status(400).json({ error: 'Valid saved search ID is required' });
+    }
+
+    const deleted = await database.deleteSavedSearch(parseInt(id, 10));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting saved search:', error);
+    res.status(500).json({ error: 'Failed to delete saved search' });
   }
 });
 
@@ -1595,847 +2774,44 @@ app.get('/api/articles/all', async (req, res) => {
   }
 });
 
-// Re-scrape a source and update existing articles with improved titles/dates
+// Re-scrape a source and update existing articles with improved titles/dates.
+// Queued as a scrape job; the job's result is
+// { success, message, total_articles_found, articles_updated, articles_deleted, errors, updates }.
 app.post('/api/sources/:id/re-scrape', async (req, res) => {
-  const { id } = req.params;
-  const source = await database.getSourceById(parseInt(id));
-  
-  if (!source) {
-    return res.status(404).json({ error: 'Source not found' });
-  }
-  
-  if (source.monitoring_type !== 'SCRAPING') {
-    return res.status(400).json({ error: 'Re-scraping is only available for scraping sources' });
-  }
-  
-  console.log(`\n🔄 [Re-scrape] Starting re-scrape for source: ${source.name} (${source.url})`);
-  
-  // CRITICAL: Close feedMonitor's browser BEFORE setting lock to free memory
-  if (feedMonitor.webScraper && feedMonitor.webScraper.browser) {
-    console.log('🔒 [Re-scrape] Closing feedMonitor browser before re-scrape...');
-    await feedMonitor.webScraper.close();
-  }
-  
-  // Set lock to prevent automatic feed monitoring from running during re-scrape
-  feedMonitor.isScrapingInProgress = true;
-  console.log('🔒 [Re-scrape] Pausing automatic feed monitoring during re-scrape');
-  
   try {
-      // Extract articles using ADK (AI-powered extraction) - faster and more consistent
-      const articles = await adkScraper.scrapeArticles(source);
-      
-      // MEMORY FIX: Clean up both scrapers to free memory
-      await webScraper.close();
-      await adkScraper.close();
-      
-      console.log(`📰 [Re-scrape] Found ${articles.length} articles from listing page, checking for existing ones to update...`);
-      if (articles.length > 0) {
-        articles.forEach((article, i) => {
-          console.log(`   ${i + 1}. "${article.title.substring(0, 50)}..." (date: ${article.datePublished || 'none'})`);
-        });
-      }
-      
-      let updated = 0;
-      let deleted = 0;
-      let errors = 0;
-      const updates = [];
-      
-      // CRITICAL: Get existing articles for this source from database
-      // This ensures we check old bad articles even if they're no longer in current scrape
-      // MEMORY OPTIMIZATION: Limit to 100 articles per source to avoid memory issues
-      const allExistingArticles = await database.getArticlesBySourceId(source.id, 100);
-      console.log(`📋 [Re-scrape] Checking ${allExistingArticles.length} existing articles in database for ${source.name}`);
-      
-      // MEMORY OPTIMIZATION: Pre-fetch duplicate title check data ONCE (not per article)
-      let duplicateTitleCache = null;
-      const getDuplicateTitles = async (title) => {
-        if (!duplicateTitleCache) {
-          // Load once, not per article
-          // MEMORY OPTIMIZATION: Reduced from 1000 to 200 to prevent memory issues
-          const allArticles = await database.getAllArticles(200);
-          duplicateTitleCache = new Map();
-          allArticles.forEach(a => {
-            const key = (a.title || '').toLowerCase().trim();
-            if (key) {
-              if (!duplicateTitleCache.has(key)) {
-                duplicateTitleCache.set(key, []);
-              }
-              duplicateTitleCache.get(key).push(a);
-            }
-          });
-        }
-        const key = (title || '').toLowerCase().trim();
-        if (!key) return [];
-        const matches = duplicateTitleCache.get(key) || [];
-        return matches;
-      };
-      
-      // First pass: Check ALL existing articles for bad titles/URLs and delete them
-      console.log(`\n🔍 [Re-scrape] First pass: Checking all existing articles for bad titles/URLs...`);
-      const batchSize = 3; // Reduced from 5 to save memory
-      for (let i = 0; i < allExistingArticles.length; i += batchSize) {
-        const batch = allExistingArticles.slice(i, i + batchSize);
-        
-        for (const existing of batch) {
-          try {
-            if (!existing.link || !existing.title) continue;
-            
-            // Check if this is a non-article page (should be deleted)
-            try {
-              const urlObj = new URL(existing.link);
-              const pathname = urlObj.pathname.toLowerCase();
-              const isNonArticlePage = pathname === '/search' ||
-                                      pathname.startsWith('/c/') ||
-                                      pathname.match(/^\/[a-z]{2}$/i) ||
-                                      pathname.match(/^\/tag[s]?\/|\/category\/|\/archive\/|\/author\//i) ||
-                                      pathname.includes('/search?') ||
-                                      // Check for category pages like /blog/blockchain-web3
-                                      pathname.match(/\/blog\/(blockchain-web3|cybersecurity|company-updates|io-intelligence|ai-infrastructure-compute|ai-startup-corner|developer-resources)/i);
-              
-              if (isNonArticlePage) {
-                console.log(`🗑️  [Re-scrape] Deleting non-article page: ${existing.link}`);
-                await database.deleteArticleByLink(existing.link);
-                deleted++;
-                continue;
-              }
-            } catch (urlError) {
-              // Invalid URL, skip
-            }
-            
-            // Check for generic titles (category pages)
-            const currentTitleLower = (existing.title || '').toLowerCase().trim();
-            if (currentTitleLower) {
-              const isGenericTitle = currentTitleLower.length < 25 && (
-                currentTitleLower === 'blockchain web3' ||
-                currentTitleLower === 'cybersecurity' ||
-                currentTitleLower === 'company updates' ||
-                currentTitleLower === 'io intelligence' ||
-                currentTitleLower === 'ai infrastructure compute' ||
-                currentTitleLower === 'ai startup corner' ||
-                currentTitleLower === 'developer resources'
-              );
-              
-              if (isGenericTitle) {
-                console.log(`🗑️  [Re-scrape] Deleting article with generic title: "${existing.title}" (URL: ${existing.link})`);
-                await database.deleteArticleByLink(existing.link);
-                deleted++;
-                continue;
-              }
-              
-              // Check for duplicate titles (same title = likely category pages)
-              // Use cached duplicate check to avoid loading all articles repeatedly
-              const duplicateTitles = await getDuplicateTitles(currentTitleLower);
-              const otherDuplicates = duplicateTitles.filter(a => a.id !== existing.id);
-              
-              // If more than 2 articles share this exact title, it's likely a category page
-              if (otherDuplicates.length > 2) {
-                console.log(`🗑️  [Re-scrape] Deleting article with duplicate generic title (${otherDuplicates.length + 1} total): "${existing.title}" (URL: ${existing.link})`);
-                await database.deleteArticleByLink(existing.link);
-                deleted++;
-                continue;
-              }
-            }
-          } catch (err) {
-            console.error(`❌ [Re-scrape] Error checking existing article ${existing.link}:`, err);
-            errors++;
-          }
-        }
-        
-        // Small delay between batches
-        if (i + batchSize < allExistingArticles.length) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
-      }
-      
-      // Clear duplicate cache after first pass to free memory
-      duplicateTitleCache = null;
-      
-      console.log(`✅ [Re-scrape] First pass complete: Deleted ${deleted} bad articles`);
-      
-      // Second pass: Process current scrape results to update/improve existing articles
-      // LIMIT to 5 articles per source to save memory
-      console.log(`\n🔍 [Re-scrape] Second pass: Processing current scrape results to update existing articles...`);
-      const articlesToProcess = articles.slice(0, 5); // Reduced from 30 to 5
-      
-      for (let i = 0; i < articlesToProcess.length; i += batchSize) {
-        const batch = articlesToProcess.slice(i, i + batchSize);
-        
-        // Process batch sequentially (not parallel) to control memory
-        for (const article of batch) {
-          try {
-            if (!article.link || !article.title) continue;
-            
-            // Check if article exists
-            const existing = await database.getArticleByLink(article.link);
-            if (!existing) continue; // Skip new articles (they'll be added normally)
-            
-            // Check if this is a non-article page (should be deleted)
-            try {
-              const urlObj = new URL(article.link);
-              const pathname = urlObj.pathname.toLowerCase();
-              const isNonArticlePage = pathname === '/search' ||
-                                      pathname.startsWith('/c/') || // Category pages
-                                      pathname.match(/^\/[a-z]{2}$/i) || // Language codes
-                                      pathname.match(/^\/tag[s]?\/|\/category\/|\/archive\/|\/author\//i) || // Tag/category/archive/author pages
-                                      pathname.includes('/search?');
-              
-              if (isNonArticlePage) {
-                console.log(`🗑️  Deleting non-article page: ${article.link}`);
-                await database.deleteArticleByLink(article.link);
-                deleted++;
-                continue;
-              }
-            } catch (urlError) {
-              // Invalid URL, skip
-            }
-            
-            // Check for duplicate titles (same title = likely category pages)
-            const currentTitleLower = (existing.title || '').toLowerCase().trim();
-            if (currentTitleLower) {
-              // Check if this title appears on multiple articles (likely a category page)
-              // Use cached duplicate check to avoid loading all articles repeatedly
-              const duplicateTitles = await getDuplicateTitles(currentTitleLower);
-              const otherDuplicates = duplicateTitles.filter(a => a.id !== existing.id);
-              
-              // If more than 2 articles share this exact title, it's likely a category page
-              if (otherDuplicates.length > 2) {
-                console.log(`🗑️  [Re-scrape] Deleting article with duplicate generic title (${otherDuplicates.length + 1} total): "${existing.title}" (URL: ${article.link})`);
-                await database.deleteArticleByLink(article.link);
-                deleted++;
-                continue;
-              }
-            }
-            
-            // CRITICAL: Fetch metadata from article page for better title/date
-            // This is what makes re-scrape actually improve the data
-            let improvedTitle = article.title.trim();
-            let improvedDate = article.datePublished ? new Date(article.datePublished) : null;
-            let shouldDelete = false;
-            
-              try {
-                console.log(`🔍 [Re-scrape] Fetching article page metadata for: ${article.link.substring(0, 60)}...`);
-                const metadata = await feedMonitor.extractArticleMetadata(article.link);
-                
-                // MEMORY OPTIMIZATION: Small delay after each metadata fetch to allow browser cleanup
-                await new Promise(resolve => setTimeout(resolve, 500));
-              
-              // Use article page title if available and better
-              if (metadata.title && metadata.title.trim().length > 10) {
-                const newTitle = metadata.title.trim();
-                const newTitleLower = newTitle.toLowerCase();
-                const isGeneric = newTitleLower.includes('blog') ||
-                                 newTitleLower.includes('all posts') ||
-                                 newTitleLower.includes('latest by topic') ||
-                                 newTitleLower.includes('mothership') ||
-                                 newTitleLower.includes('backbone of ai infrastructure') ||
-                                 (newTitle.length < 25 && (
-                                   newTitleLower === 'blockchain web3' ||
-                                   newTitleLower === 'cybersecurity' ||
-                                   newTitleLower === 'company updates' ||
-                                   newTitleLower === 'io intelligence' ||
-                                   newTitleLower === 'ai infrastructure compute' ||
-                                   newTitleLower === 'ai startup corner' ||
-                                   newTitleLower === 'developer resources' ||
-                                   (newTitleLower.includes('swarm community call') && newTitleLower.includes('recap'))
-                                 ));
-                
-                if (!isGeneric) {
-                  improvedTitle = newTitle;
-                  console.log(`📝 [Re-scrape] Found better title: "${improvedTitle.substring(0, 60)}..." (was: "${existing.title?.substring(0, 60)}...")`);
-                } else {
-                  // If we can't get a good title from article page, mark for deletion
-                  console.log(`⚠️  [Re-scrape] Article page also has generic title, marking for deletion: ${article.link}`);
-                  shouldDelete = true;
-                }
-              } else {
-                // No title found on article page, check if current title is generic
-                const currentTitleLower = existing.title?.toLowerCase() || '';
-                const isCurrentGeneric = currentTitleLower.length < 25 && (
-                  currentTitleLower === 'blockchain web3' ||
-                  currentTitleLower === 'cybersecurity' ||
-                  currentTitleLower === 'company updates' ||
-                  currentTitleLower === 'io intelligence' ||
-                  currentTitleLower === 'ai infrastructure compute' ||
-                  currentTitleLower === 'ai startup corner' ||
-                  currentTitleLower === 'developer resources' ||
-                  (currentTitleLower.includes('swarm community call') && currentTitleLower.includes('recap'))
-                );
-                
-                if (isCurrentGeneric) {
-                  console.log(`🗑️  [Re-scrape] Deleting article with generic title that can't be fixed: ${article.link}`);
-                  shouldDelete = true;
-                } else {
-                  console.log(`⚠️  [Re-scrape] No title found on article page, keeping existing: "${existing.title?.substring(0, 60)}..."`);
-                }
-              }
-              
-              // Use article page date if available
-              if (metadata.pubDate) {
-                try {
-                  const articlePageDate = new Date(metadata.pubDate);
-                  if (!isNaN(articlePageDate.getTime())) {
-                    improvedDate = articlePageDate;
-                    console.log(`📅 [Re-scrape] Found date from article page: ${improvedDate.toISOString()} (was: ${existing.pub_date || 'none'})`);
-                  } else {
-                    console.log(`⚠️  [Re-scrape] Invalid date format: ${metadata.pubDate}`);
-                  }
-                } catch (e) {
-                  console.log(`⚠️  [Re-scrape] Date parsing error: ${e.message}`);
-                }
-              } else {
-                console.log(`⚠️  [Re-scrape] No date found on article page (current: ${existing.pub_date || 'none'})`);
-              }
-              
-              // Check if content is too short (likely not a real article)
-              if (metadata.content && metadata.content.length < 100 && !improvedDate) {
-                console.log(`⚠️  [Re-scrape] Article has very short content (${metadata.content.length} chars) and no date: ${article.link}`);
-                // Don't delete yet - might be a real article with minimal content
-              }
-            } catch (metadataError) {
-              // If fetching metadata fails, check if current article is clearly bad
-              const currentTitleLower = (existing.title || '').toLowerCase();
-              const isBadTitle = currentTitleLower.length < 25 && (
-                currentTitleLower === 'blockchain web3' ||
-                currentTitleLower === 'cybersecurity' ||
-                currentTitleLower === 'company updates' ||
-                currentTitleLower === 'io intelligence' ||
-                currentTitleLower === 'ai infrastructure compute' ||
-                currentTitleLower === 'ai startup corner' ||
-                currentTitleLower === 'developer resources' ||
-                (currentTitleLower.includes('swarm community call') && currentTitleLower.includes('recap'))
-              );
-              
-              // Also check if URL suggests it's a non-article page
-              const urlSuggestsNonArticle = article.link.includes('/search') ||
-                                           article.link.includes('/c/') ||
-                                           article.link.match(/\/tag[s]?\/|\/category\/|\/archive\/|\/author\//i);
-              
-              if (isBadTitle || urlSuggestsNonArticle) {
-                console.log(`🗑️  [Re-scrape] Deleting bad article (can't fetch metadata): ${article.link} (error: ${metadataError.message})`);
-                shouldDelete = true;
-              } else {
-                console.log(`⚠️  [Re-scrape] Could not fetch article page metadata: ${metadataError.message}`);
-              }
-            }
-            
-            // Delete bad articles
-            if (shouldDelete) {
-              await database.deleteArticleByLink(article.link);
-              deleted++;
-              continue;
-            }
-            
-            // Prepare updates
-            const updatesToApply = {};
-            let hasUpdates = false;
-            
-            // Update title if new one is better (longer, not generic)
-            const currentTitle = existing.title || '';
-            const isGeneric = improvedTitle.toLowerCase().includes('latest by topic') ||
-                             improvedTitle.toLowerCase().includes('mothership of ai') ||
-                             improvedTitle.toLowerCase().includes('backbone of ai infrastructure') ||
-                             (improvedTitle.length < 25 && (
-                               improvedTitle.toLowerCase() === 'blockchain web3' ||
-                               improvedTitle.toLowerCase() === 'cybersecurity' ||
-                               improvedTitle.toLowerCase() === 'company updates' ||
-                               improvedTitle.toLowerCase() === 'io intelligence' ||
-                               improvedTitle.toLowerCase() === 'ai infrastructure compute' ||
-                               improvedTitle.toLowerCase() === 'ai startup corner' ||
-                               improvedTitle.toLowerCase() === 'developer resources' ||
-                               (improvedTitle.toLowerCase().includes('swarm community call') && improvedTitle.toLowerCase().includes('recap'))
-                             ));
-            
-            if (improvedTitle && 
-                improvedTitle.length > 10 && 
-                !isGeneric &&
-                (improvedTitle !== currentTitle) &&
-                (improvedTitle.length > currentTitle.length || currentTitle.length < 20)) {
-              updatesToApply.title = improvedTitle;
-              hasUpdates = true;
-            }
-            
-            // Update date if we found one and existing doesn't have one
-            if (improvedDate && !existing.pub_date) {
-              try {
-                if (!isNaN(improvedDate.getTime())) {
-                  updatesToApply.pub_date = improvedDate.toISOString();
-                  hasUpdates = true;
-                }
-              } catch (e) {
-                // Invalid date, skip
-              }
-            }
-            
-            // Apply updates if any
-            if (hasUpdates) {
-              await database.updateArticleByLink(article.link, updatesToApply);
-              updated++;
-              updates.push({
-                link: article.link,
-                title: updatesToApply.title || existing.title,
-                pub_date: updatesToApply.pub_date || existing.pub_date
-              });
-            }
-          } catch (err) {
-            console.error(`Error updating article ${article.link}:`, err.message);
-            errors++;
-          }
-        }
-        
-        // Small delay between batches to prevent memory spikes
-        if (i + batchSize < articlesToProcess.length) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
-      }
-      
-      console.log(`\n✅ [Re-scrape] Complete for ${source.name}: Updated ${updated} articles, deleted ${deleted} bad articles, ${errors} errors`);
-      
-      res.json({
-        success: true,
-        message: `Re-scraped ${source.name}`,
-        total_articles_found: articles.length,
-        articles_updated: updated,
-        articles_deleted: deleted,
-        errors: errors,
-        updates: updates.slice(0, 20) // Return first 20 updates as examples
-      });
-    } catch (error) {
-      console.error('Error re-scraping source:', error);
-      res.status(500).json({ 
-        success: false,
-        error: 'Failed to re-scrape source',
-        details: error.message
-      });
-    } finally {
-      // Always clear the lock, even if re-scrape fails
-      feedMonitor.isScrapingInProgress = false;
-      console.log('🔓 Resuming automatic feed monitoring');
+    const sourceId = parseInt(req.params.id, 10);
+    const source = isNaN(sourceId) ? null : await database.getSourceById(sourceId);
+
+    if (!source) {
+      return res.status(404).json({ error: 'Source not found' });
     }
-});
 
-// Re-scrape all scraping sources (bulk operation)
-app.post('/api/sources/re-scrape-all', async (req, res) => {
-  try {
-    console.log('\n🔄 [Bulk Re-scrape] Starting bulk re-scrape of all scraping sources...');
-    
-    // Get all scraping sources (active = not paused)
-    const allSources = await database.getAllSources();
-    const scrapingSources = allSources.filter(s => s.monitoring_type === 'SCRAPING' && !s.is_paused);
-    
-    if (scrapingSources.length === 0) {
-      console.log('⚠️  [Bulk Re-scrape] No active scraping sources found');
-      return res.json({
-        success: true,
-        message: 'No active scraping sources found',
-        sources_processed: 0,
-        results: []
-      });
+    if (source.monitoring_type !== 'SCRAPING') {
+      return res.status(400).json({ error: 'Re-scraping is only available for scraping sources' });
     }
-    
-    console.log(`📋 [Bulk Re-scrape] Found ${scrapingSources.length} active scraping sources to re-scrape`);
-    scrapingSources.forEach((source, i) => {
-      console.log(`   ${i + 1}. ${source.name} (${source.url})`);
+
+    await sendQueuedJob(res, 'scrape', { kind: 're-scrape', sourceId }, {
+      dedupeKey: jobQueue.requestKey('scrape', ['re-scrape', sourceId]),
+      requestedBy: req.user.display_name
     });
-    
-    // Set lock to prevent automatic feed monitoring
-    feedMonitor.isScrapingInProgress = true;
-    console.log('🔒 [Bulk Re-scrape] Pausing automatic feed monitoring during bulk re-scrape');
-    
-    const results = [];
-    let totalUpdated = 0;
-    let totalDeleted = 0;
-    let totalErrors = 0;
-    
-    // Process sources sequentially to avoid memory issues
-    for (let i = 0; i < scrapingSources.length; i++) {
-      const source = scrapingSources[i];
-    console.log(`\n[${i + 1}/${scrapingSources.length}] [Bulk Re-scrape] Processing: ${source.name} (${source.url})`);
-    
-    // CRITICAL: Close any existing browsers before starting new scrape
-    if (feedMonitor.webScraper && feedMonitor.webScraper.browser) {
-      console.log('🔒 [Bulk Re-scrape] Closing feedMonitor browser before scraping...');
-      await feedMonitor.webScraper.close();
-    }
-    
-    try {
-      // Extract articles using ADK (AI-powered extraction) - faster and more consistent
-      const articles = await adkScraper.scrapeArticles(source);
-      
-      // MEMORY FIX: Clean up both scrapers to free memory
-      await webScraper.close();
-      await adkScraper.close();
-        
-        let updated = 0;
-        let deleted = 0;
-        let errors = 0;
-        
-        // CRITICAL: Get existing articles for this source from database
-        // This ensures we check old bad articles even if they're no longer in current scrape
-        // MEMORY OPTIMIZATION: Limit to 100 articles per source to avoid memory issues
-        const allExistingArticles = await database.getArticlesBySourceId(source.id, 100);
-        console.log(`📋 [Bulk Re-scrape] Checking ${allExistingArticles.length} existing articles in database for ${source.name}`);
-        
-        // MEMORY OPTIMIZATION: Pre-fetch duplicate title check data ONCE per source (not per article)
-        // This avoids loading 1000 articles into memory repeatedly
-        let duplicateTitleCache = null;
-        const getDuplicateTitles = async (title) => {
-          if (!duplicateTitleCache) {
-            // Load once per source, not per article
-            // MEMORY OPTIMIZATION: Reduced from 1000 to 200 to prevent memory issues
-          const allArticles = await database.getAllArticles(200);
-            duplicateTitleCache = new Map();
-            allArticles.forEach(a => {
-              const key = (a.title || '').toLowerCase().trim();
-              if (key) {
-                if (!duplicateTitleCache.has(key)) {
-                  duplicateTitleCache.set(key, []);
-                }
-                duplicateTitleCache.get(key).push(a);
-              }
-            });
-          }
-          const key = (title || '').toLowerCase().trim();
-          if (!key) return [];
-          const matches = duplicateTitleCache.get(key) || [];
-          return matches;
-        };
-        
-        // First pass: Check ALL existing articles for bad titles/URLs and delete them
-        console.log(`\n🔍 [Bulk Re-scrape] First pass: Checking all existing articles for bad titles/URLs...`);
-        const batchSize = 3; // Reduced from 5 to save memory
-        for (let j = 0; j < allExistingArticles.length; j += batchSize) {
-          const batch = allExistingArticles.slice(j, j + batchSize);
-          
-          for (const existing of batch) {
-            try {
-              if (!existing.link || !existing.title) continue;
-              
-              // Check if this is a non-article page (should be deleted)
-              try {
-                const urlObj = new URL(existing.link);
-                const pathname = urlObj.pathname.toLowerCase();
-                const isNonArticlePage = pathname === '/search' ||
-                                        pathname.startsWith('/c/') ||
-                                        pathname.match(/^\/[a-z]{2}$/i) ||
-                                        pathname.match(/^\/tag[s]?\/|\/category\/|\/archive\/|\/author\//i) ||
-                                        pathname.includes('/search?') ||
-                                        // Check for category pages like /blog/blockchain-web3
-                                        pathname.match(/\/blog\/(blockchain-web3|cybersecurity|company-updates|io-intelligence|ai-infrastructure-compute|ai-startup-corner|developer-resources)/i);
-                
-                if (isNonArticlePage) {
-                  console.log(`🗑️  [Bulk Re-scrape] Deleting non-article page: ${existing.link}`);
-                  await database.deleteArticleByLink(existing.link);
-                  deleted++;
-                  continue;
-                }
-              } catch (urlError) {
-                // Invalid URL, skip
-              }
-              
-              // Check for generic titles (category pages)
-              const currentTitleLower = (existing.title || '').toLowerCase().trim();
-              if (currentTitleLower) {
-                const isGenericTitle = currentTitleLower.length < 25 && (
-                  currentTitleLower === 'blockchain web3' ||
-                  currentTitleLower === 'cybersecurity' ||
-                  currentTitleLower === 'company updates' ||
-                  currentTitleLower === 'io intelligence' ||
-                  currentTitleLower === 'ai infrastructure compute' ||
-                  currentTitleLower === 'ai startup corner' ||
-                  currentTitleLower === 'developer resources'
-                );
-                
-                if (isGenericTitle) {
-                  console.log(`🗑️  [Bulk Re-scrape] Deleting article with generic title: "${existing.title}" (URL: ${existing.link})`);
-                  await database.deleteArticleByLink(existing.link);
-                  deleted++;
-                  continue;
-                }
-                
-                // Check for duplicate titles (same title = likely category pages)
-                // Use cached duplicate check to avoid loading all articles repeatedly
-                const duplicateTitles = await getDuplicateTitles(currentTitleLower);
-                const otherDuplicates = duplicateTitles.filter(a => a.id !== existing.id);
-                
-                // If more than 2 articles share this exact title, it's likely a category page
-                if (otherDuplicates.length > 2) {
-                  console.log(`🗑️  [Bulk Re-scrape] Deleting article with duplicate generic title (${otherDuplicates.length + 1} total): "${existing.title}" (URL: ${existing.link})`);
-                  await database.deleteArticleByLink(existing.link);
-                  deleted++;
-                  continue;
-                }
-              }
-            } catch (err) {
-              console.error(`❌ [Bulk Re-scrape] Error checking existing article ${existing.link}:`, err);
-              errors++;
-            }
-          }
-          
-          // Small delay between batches to allow garbage collection
-          if (j + batchSize < allExistingArticles.length) {
-            await new Promise(resolve => setTimeout(resolve, 200));
-          }
-        }
-        
-        // Clear duplicate cache after first pass to free memory
-        duplicateTitleCache = null;
-        
-        console.log(`✅ [Bulk Re-scrape] First pass complete for ${source.name}: Deleted ${deleted} bad articles`);
-        
-        // Second pass: Process current scrape results to update/improve existing articles
-        // LIMIT to 5 articles per source to save memory
-        console.log(`\n🔍 [Bulk Re-scrape] Second pass: Processing current scrape results to update existing articles...`);
-        const articlesToProcess = articles.slice(0, 5); // Reduced from 10 to 5
-        
-        for (let j = 0; j < articlesToProcess.length; j += batchSize) {
-          const batch = articlesToProcess.slice(j, j + batchSize);
-          
-          for (const article of batch) {
-            try {
-              if (!article.link || !article.title) continue;
-              
-              const existing = await database.getArticleByLink(article.link);
-              if (!existing) continue;
-              
-              // Check if this is a non-article page (should be deleted)
-              try {
-                const urlObj = new URL(article.link);
-                const pathname = urlObj.pathname.toLowerCase();
-                const isNonArticlePage = pathname === '/search' ||
-                                        pathname.startsWith('/c/') ||
-                                        pathname.match(/^\/[a-z]{2}$/i) ||
-                                        pathname.match(/^\/tag[s]?\/|\/category\/|\/archive\/|\/author\//i) ||
-                                        pathname.includes('/search?');
-                
-                if (isNonArticlePage) {
-                  console.log(`🗑️  Deleting non-article page: ${article.link}`);
-                  await database.deleteArticleByLink(article.link);
-                  deleted++;
-                  continue;
-                }
-              } catch (urlError) {
-                // Invalid URL, skip
-              }
-              
-              // Check for duplicate titles (same title = likely category pages)
-              const currentTitleLower = (existing.title || '').toLowerCase().trim();
-              if (currentTitleLower) {
-                // MEMORY OPTIMIZATION: Reduced from 1000 to 200 to prevent memory issues
-          const allArticles = await database.getAllArticles(200);
-                const duplicateTitles = allArticles.filter(a => 
-                  a.id !== existing.id && 
-                  a.title && 
-                  a.title.toLowerCase().trim() === currentTitleLower
-                );
-                
-                if (duplicateTitles.length > 2) {
-                  console.log(`🗑️  Deleting article with duplicate generic title (${duplicateTitles.length + 1} total): "${existing.title}"`);
-                  await database.deleteArticleByLink(article.link);
-                  deleted++;
-                  continue;
-                }
-              }
-              
-              // CRITICAL: Fetch metadata from article page for better title/date
-              let improvedTitle = article.title.trim();
-              let improvedDate = article.datePublished ? new Date(article.datePublished) : null;
-              let shouldDelete = false;
-              
-              try {
-                const metadata = await feedMonitor.extractArticleMetadata(article.link);
-                
-                // MEMORY OPTIMIZATION: Small delay after each metadata fetch to allow browser cleanup
-                await new Promise(resolve => setTimeout(resolve, 500));
-                
-                // Use article page title if available and better
-                if (metadata.title && metadata.title.trim().length > 10) {
-                  const newTitle = metadata.title.trim();
-                  const newTitleLower = newTitle.toLowerCase();
-                  const isGeneric = newTitleLower.includes('blog') ||
-                                   newTitleLower.includes('all posts') ||
-                                   newTitleLower.includes('latest by topic') ||
-                                   (newTitle.length < 25 && (
-                                     newTitleLower === 'blockchain web3' ||
-                                     newTitleLower === 'cybersecurity' ||
-                                     newTitleLower === 'company updates' ||
-                                     newTitleLower === 'io intelligence' ||
-                                     newTitleLower === 'ai infrastructure compute' ||
-                                     newTitleLower === 'ai startup corner' ||
-                                     newTitleLower === 'developer resources' ||
-                                     (newTitleLower.includes('swarm community call') && newTitleLower.includes('recap'))
-                                   ));
-                  
-                  if (!isGeneric) {
-                    improvedTitle = newTitle;
-                  } else {
-                    // Can't get good title, mark for deletion
-                    shouldDelete = true;
-                  }
-                } else {
-                  // Check if current title is generic
-                  const currentTitleLower = (existing.title || '').toLowerCase();
-                  const isCurrentGeneric = currentTitleLower.length < 25 && (
-                    currentTitleLower === 'blockchain web3' ||
-                    currentTitleLower === 'cybersecurity' ||
-                    currentTitleLower === 'company updates' ||
-                    currentTitleLower === 'io intelligence' ||
-                    currentTitleLower === 'ai infrastructure compute' ||
-                    currentTitleLower === 'ai startup corner' ||
-                    currentTitleLower === 'developer resources' ||
-                    (currentTitleLower.includes('swarm community call') && currentTitleLower.includes('recap'))
-                  );
-                  
-                  if (isCurrentGeneric) {
-                    shouldDelete = true;
-                  }
-                }
-                
-                // Use article page date if available
-                if (metadata.pubDate) {
-                  try {
-                    const articlePageDate = new Date(metadata.pubDate);
-                    if (!isNaN(articlePageDate.getTime())) {
-                      improvedDate = articlePageDate;
-                    }
-                  } catch (e) {
-                    // Invalid date, skip
-                  }
-                }
-              } catch (metadataError) {
-                // If fetching fails, check if current article is clearly bad
-                const currentTitleLower = (existing.title || '').toLowerCase();
-                const isBadTitle = currentTitleLower.length < 25 && (
-                  currentTitleLower === 'blockchain web3' ||
-                  currentTitleLower === 'cybersecurity' ||
-                  currentTitleLower === 'company updates' ||
-                  currentTitleLower === 'io intelligence' ||
-                  currentTitleLower === 'ai infrastructure compute' ||
-                  currentTitleLower === 'ai startup corner' ||
-                  currentTitleLower === 'developer resources' ||
-                  (currentTitleLower.includes('swarm community call') && currentTitleLower.includes('recap'))
-                );
-                
-                const urlSuggestsNonArticle = article.link.includes('/search') ||
-                                             article.link.includes('/c/') ||
-                                             article.link.match(/\/tag[s]?\/|\/category\/|\/archive\/|\/author\//i);
-                
-                if (isBadTitle || urlSuggestsNonArticle) {
-                  shouldDelete = true;
-                }
-              }
-              
-              // Delete bad articles
-              if (shouldDelete) {
-                await database.deleteArticleByLink(article.link);
-                deleted++;
-                continue;
-              }
-              
-              const updatesToApply = {};
-              let hasUpdates = false;
-              
-              // Update title if better
-              const currentTitle = existing.title || '';
-              const isGeneric = improvedTitle.toLowerCase().includes('latest by topic') ||
-                               improvedTitle.toLowerCase().includes('mothership of ai') ||
-                               improvedTitle.toLowerCase().includes('backbone of ai infrastructure') ||
-                               (improvedTitle.length < 25 && (
-                                 improvedTitle.toLowerCase() === 'blockchain web3' ||
-                                 improvedTitle.toLowerCase() === 'cybersecurity' ||
-                                 improvedTitle.toLowerCase() === 'company updates'
-                               ));
-              
-              if (improvedTitle && 
-                  improvedTitle.length > 10 && 
-                  !isGeneric &&
-                  (improvedTitle !== currentTitle) &&
-                  (improvedTitle.length > currentTitle.length || currentTitle.length < 20)) {
-                updatesToApply.title = improvedTitle;
-                hasUpdates = true;
-              }
-              
-              // Update date if missing
-              if (improvedDate && !existing.pub_date) {
-                try {
-                  if (!isNaN(improvedDate.getTime())) {
-                    updatesToApply.pub_date = improvedDate.toISOString();
-                    hasUpdates = true;
-                  }
-                } catch (e) {
-                  // Invalid date, skip
-                }
-              }
-              
-              if (hasUpdates) {
-                await database.updateArticleByLink(article.link, updatesToApply);
-                updated++;
-              }
-            } catch (err) {
-              errors++;
-            }
-          }
-          
-          // Small delay between batches
-          if (j + batchSize < Math.min(articles.length, 10)) {
-            await new Promise(resolve => setTimeout(resolve, 200));
-          }
-        }
-        
-        totalUpdated += updated;
-        totalDeleted += deleted;
-        totalErrors += errors;
-        
-        results.push({
-          source_id: source.id,
-          source_name: source.name,
-          articles_found: articles.length,
-          articles_updated: updated,
-          articles_deleted: deleted,
-          errors: errors,
-          success: true
-        });
-        
-        console.log(`✅ [Bulk Re-scrape] [${source.name}] Complete: Updated ${updated} articles, deleted ${deleted} bad articles, ${errors} errors`);
-        
-        // CRITICAL: Force garbage collection between sources by adding a longer delay
-        // This allows Node.js to clean up memory (Playwright, articles, etc.) before processing next source
-        if (i < scrapingSources.length - 1) {
-          console.log(`⏸️  [Bulk Re-scrape] Pausing 3 seconds before next source to allow memory cleanup...`);
-          await new Promise(resolve => setTimeout(resolve, 3000));
-        }
-      } catch (error) {
-        console.error(`❌ Error re-scraping ${source.name}:`, error.message);
-        totalErrors++;
-        results.push({
-          source_id: source.id,
-          source_name: source.name,
-          success: false,
-          error: error.message
-        });
-      }
-    }
-    
-    console.log(`\n✅ Bulk re-scrape complete: ${totalUpdated} articles updated, ${totalDeleted} bad articles deleted, ${totalErrors} errors`);
-    
-    res.json({
-      success: true,
-      message: `Re-scraped ${scrapingSources.length} sources`,
-      sources_processed: scrapingSources.length,
-      total_articles_updated: totalUpdated,
-      total_articles_deleted: totalDeleted,
-      total_errors: totalErrors,
-      results: results
+  } catch (error) {
+    console.error('Error re-scraping source:', error);
+    res.status(500).json({ success: false, error: 'Failed to re-scrape source' });
+  }
+});
+
+// Re-scrape all scraping sources (bulk operation).
+// Queued as a scrape job; the job's result is
+// { success, message, sources_processed, total_articles_updated, total_articles_deleted, total_errors, results }.
+app.post('/api/sources/re-scrape-all', auth.requireRole('admin'), async (req, res) => {
+  try {
+    await sendQueuedJob(res, 'scrape', { kind: 're-scrape-all' }, {
+      dedupeKey: 'scrape:re-scrape-all',
+      requestedBy: req.user.display_name
     });
   } catch (error) {
     console.error('Error in bulk re-scrape:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to re-scrape sources',
-      details: error.message
-    });
-  } finally {
-    feedMonitor.isScrapingInProgress = false;
-    console.log('🔓 Resuming automatic feed monitoring');
+    res.status(500).json({ success: false, error: 'Failed to re-scrape sources' });
   }
 });
 
@@ -2496,27 +2872,19 @@ app.get('/api/sources/:id/scraping-status', async (req, res) => {
   }
 });
 
-// Get articles sent to Distro (for Already sent section)
-app.get('/api/articles/sent-to-distro', async (req, res) => {
-  try {
-    const articles = await database.getSentToDistro();
-    res.json(articles);
-  } catch (error) {
-    console.error('Error fetching sent-to-distro articles:', error);
-    res.status(500).json({ error: 'Failed to fetch articles sent to Distro' });
-  }
-});
-
-// Get articles sent to Telegram (for Already sent section)
-app.get('/api/articles/sent-to-telegram', async (req, res) => {
+// Legacy "Already sent" lists for the built-in destinations (see GET /api/destinations/:id/deliveries)
+const sentToDestinationRoute = (key, timestampField) => async (req, res) => {
   try {
-    const articles = await database.getSentToTelegram();
-    res.json(articles);
+    const destination = await database.getDestinationByKey(key);
+    const articles = destination ? await database.getDeliveredArticles(destination.id) : [];
+    res.json(articles.map(article => ({ ...article, [timestampField]: article.delivered_at })));
   } catch (error) {
-    console.error('Error fetching sent-to-telegram articles:', error);
-    res.status(500).json({ error: 'Failed to fetch articles sent to Telegram' });
+    console.error(`Error fetching articles sent to ${key}:`, error);
+    res.status(500).json({ error: `Failed to fetch articles sent to ${key}` });
   }
-});
+};
+app.get('/api/articles/sent-to-distro', sentToDestinationRoute('distro', 'sent_to_distro_at'));
+app.get('/api/articles/sent-to-telegram', sentToDestinationRoute('telegram', 'sent_to_telegram_at'));
 
 // Get sent articles
 app.get('/api/articles/sent', async (req, res) => {
@@ -2535,7 +2903,10 @@ app.get('/api/articles/sent', async (req, res) => {
       
       return {
         id: article.id,
-        author: "Author Name",
+        author: article.author || "Author Name",
+        tags: article.tags || [],
+        image_url: article.image_url || null,
+        updated_at_source: article.updated_at_source || null,
         more_info_url: actualLink,
         source: article.source_name || "Unknown Source",
         cost: 10,
@@ -2612,18 +2983,11 @@ app.get('/api/maintenance/junk-articles', async (req, res) => {
   }
 });
 
-// Maintenance: Delete junk/placeholder articles (placeholder URLs, "No results found", "FeaturedArticles", etc.)
+// Maintenance: Delete junk/placeholder articles (placeholder URLs, "No results found", "FeaturedArticles", etc.).
+// Runs the cleanup-junk-articles scheduled task on the worker; its result is on the Tasks page.
 app.post('/api/maintenance/cleanup-junk-articles', async (req, res) => {
   try {
-    if (typeof database.cleanupJunkArticles !== 'function') {
-      return res.status(501).json({ success: false, error: 'cleanupJunkArticles not available (Postgres only)' });
-    }
-    const deletedCount = await database.cleanupJunkArticles();
-    res.json({ 
-      success: true, 
-      message: `Removed ${deletedCount} junk/placeholder articles`,
-      deletedCount 
-    });
+    await sendTaskRun(res, 'cleanup-junk-articles', req.user.display_name);
   } catch (error) {
     console.error('Error cleaning up junk articles:', error);
     res.status(500).json({ success: false, error: 'Failed to clean up junk articles' });
@@ -2641,38 +3005,11 @@ app.get('/api/maintenance/database-stats', async (req, res) => {
   }
 });
 
-// Maintenance: backfill missing pub_date by re-parsing RSS items and matching by link
+// Maintenance: backfill missing pub_date by re-parsing RSS items and matching by link.
+// Runs the backfill-pubdates scheduled task on the worker; its result is on the Tasks page.
 app.post('/api/maintenance/backfill-pubdates', async (req, res) => {
   try {
-    const sources = await database.getAllSources();
-    const Parser = require('rss-parser');
-    const parser = new Parser();
-    let fixed = 0;
-
-    for (const source of sources) {
-      try {
-        const feed = await parser.parseURL(source.url);
-        for (const item of feed.items) {
-          const dateFields = [item.pubDate, item.isoDate, item.date, item.published, item['dc:date'], item['atom:published']];
-          let parsed = null;
-          for (const f of dateFields) {
-            if (f) {
-              const d = new Date(f);
-              if (!isNaN(d.getTime())) { parsed = d.toISOString(); break; }
-            }
-          }
-          if (parsed) {
-            // approximate link match (ignoring query string) and only fill missing
-            const updatedCount = await database.updateArticlePubDateByApproxLink(item.link, parsed);
-            fixed += updatedCount;
-          }
-        }
-      } catch (e) {
-        console.warn(`Backfill pubdates skipped for ${source.name}:`, e.message);
-      }
-    }
-
-    res.json({ success: true, fixed });
+    await sendTaskRun(res, 'backfill-pubdates', req.user.display_name);
   } catch (error) {
     console.error('Error backfilling pub dates:', error);
     res.status(500).json({ success: false, error: 'Failed to backfill pub dates' });
@@ -3009,20 +3346,14 @@ app.post('/api/maintenance/backfill-categories-table', async (req, res) => {
 });
 
 // Maintenance: Enrich articles with missing dates and descriptions
-// This fetches article pages to extract dates/descriptions that weren't captured during initial scraping
+// This fetches article pages to extract dates/descriptions that weren't captured during initial scraping.
+// Queued as an enrich job (one at a time); the job's result has { enriched, processed, stats }.
 app.post('/api/maintenance/enrich-articles', async (req, res) => {
   try {
     const limit = parseInt(req.body.limit) || 20;
-    console.log(`🔄 [API] Starting article enrichment (limit: ${limit})...`);
-    
-    const result = await articleEnrichment.runEnrichmentBatch(limit);
+    console.log(`🔄 [API] Queueing article enrichment (limit: ${limit})...`);
     
-    res.json({ 
-      success: true, 
-      message: `Enriched ${result.enriched} of ${result.processed} articles`,
-      ...result,
-      stats: articleEnrichment.getStats()
-    });
+    await sendQueuedJob(res, 'enrich', { kind: 'static', limit }, { dedupeKey: 'enrich:static', requestedBy: req.user.display_name });
   } catch (error) {
     console.error('Error enriching articles:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -3071,32 +3402,14 @@ app.get('/api/maintenance/enrichment-stats', async (req, res) => {
 });
 
 // Maintenance: Playwright-based enrichment for JS-rendered pages
-// Use this for articles where static enrichment failed (e.g., Vue/React sites)
+// Use this for articles where static enrichment failed (e.g., Vue/React sites).
+// Queued as an enrich job; the worker caps the batch at 5 and retries later while its memory is high.
 app.post('/api/maintenance/enrich-articles-playwright', async (req, res) => {
   try {
-    const { limit = 3 } = req.body; // Default to just 3 for memory safety
+    const limit = parseInt(req.body.limit) || 3; // Default to just 3 for memory safety
     console.log(`📡 [API] Playwright enrichment requested (limit: ${limit})`);
     
-    // Check current memory before starting
-    const currentMem = process.memoryUsage ? Math.round(process.memoryUsage().rss / 1024 / 1024) : 0;
-    if (currentMem > 350) {
-      return res.status(503).json({ 
-        success: false, 
-        error: `Memory too high (${currentMem}MB), try again later`,
-        currentMemoryMB: currentMem
-      });
-    }
-    
-    const result = await articleEnrichment.runPlaywrightEnrichmentBatch(Math.min(limit, 5)); // Cap at 5 for safety
-    const stats = articleEnrichment.getStats();
-    
-    res.json({
-      success: true,
-      message: `Enriched ${result.enriched} of ${result.processed} articles with Playwright`,
-      ...result,
-      stats,
-      memoryAfterMB: process.memoryUsage ? Math.round(process.memoryUsage().rss / 1024 / 1024) : 0
-    });
+    await sendQueuedJob(res, 'enrich', { kind: 'playwright', limit }, { dedupeKey: 'enrich:playwright', requestedBy: req.user.display_name });
   } catch (error) {
     console.error('Error in Playwright enrichment:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -3340,7 +3653,8 @@ app.get('/api/debug/scraping', async (req, res) => {
   }
 });
 
-// Generate AI summaries for selected articles
+// Generate AI summaries for selected articles. Queued as a summary job; the job's result is
+// { message, results: [{ success, articleId, title, summary | error }], successCount, failureCount }.
 app.post('/api/articles/generate-summaries', async (req, res) => {
   try {
     const { articleIds } = req.body;
@@ -3348,58 +3662,14 @@ app.post('/api/articles/generate-summaries', async (req, res) => {
     if (!articleIds || !Array.isArray(articleIds)) {
       return res.status(400).json({ error: 'Article IDs array is required' });
     }
+    const ids = articleIds.map(id => parseInt(id, 10)).filter(id => !isNaN(id));
     
-    const articles = await database.getArticlesByIds(articleIds);
-    const feedMonitor = require('./services/feedMonitor');
-    const llmService = require('./services/llmService');
-    
-    const results = [];
-    
-    for (const article of articles) {
-      try {
-        // Fetch full article content by scraping the website
-        const fullContent = await feedMonitor.fetchFullArticleContent(article.link);
-        
-        // Generate AI summary using the full content
-        const aiSummary = await llmService.summarizeArticle(
-          article.title, 
-          fullContent || article.content, 
-          article.source_name
-        );
-        
-        // Update the article with the AI summary
-        await database.updateArticle(article.id, { ai_summary: aiSummary });
-        
-        results.push({
-          success: true,
-          articleId: article.id,
-          title: article.title,
-          summary: aiSummary
-        });
-        
-      } catch (error) {
-        console.error(`Error generating summary for article ${article.id}:`, error.message);
-        results.push({
-          success: false,
-          articleId: article.id,
-          title: article.title,
-          error: error.message
-        });
-      }
-    }
-    
-    const successCount = results.filter(r => r.success).length;
-    const failureCount = results.filter(r => !r.success).length;
-    
-    res.json({
-      message: `Generated summaries for ${successCount} articles, ${failureCount} failed`,
-      results: results,
-      successCount: successCount,
-      failureCount: failureCount
+    await sendQueuedJob(res, 'summary', { articleIds: ids }, {
+      dedupeKey: jobQueue.requestKey('summary', ids),
+      requestedBy: req.user.display_name
     });
-    
   } catch (error) {
-    console.error('Error generating AI summaries:', error);
+    console.error('Error queueing AI summaries:', error);
     res.status(500).json({ error: 'Failed to generate AI summaries' });
   }
 });
@@ -3423,7 +3693,6 @@ app.post('/api/articles/fetch-url', async (req, res) => {
       });
     }
     
-    const feedMonitor = require('./services/feedMonitor');
     const llmService = require('./services/llmService');
     
     // Extract article metadata
@@ -3436,8 +3705,8 @@ app.post('/api/articles/fetch-url', async (req, res) => {
       metadata.sourceName
     );
     
-    // Add to database
-    const articleId = await database.addArticle({
+    // Add to database (watchlists, clustering, live clients and the article.created webhook, like polled articles)
+    const articleId = await feedMonitor.insertArticle({
       title: metadata.title,
       content: metadata.content,
       preview: metadata.description, // Use RSS-style description as preview
@@ -3485,6 +3754,48 @@ app.post('/api/articles/clear-session', async (req, res) => {
   }
 });
 
+// Outbound feeds for downstream readers (see services/publicFeeds). Private feeds (ones with
+// tokens, the selected feed and every workflow-state feed) need ?token= or Authorization: Bearer <token>;
+// ?destination= and ?limit= narrow sent feeds.
+async function sendPublicFeed(req, res, selection) {
+  try {
+    if (!selection) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+    const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    const token = req.query.token ? String(req.query.token) : bearer ? bearer[1] : null;
+    if (!(await publicFeeds.authorize(selection, token))) {
+      res.set('WWW-Authenticate', 'Bearer realm="feeds"');
+      return res.status(401).json({ error: token ? 'Invalid feed token' : 'This feed needs an access token' });
+    }
+
+    const feed = await publicFeeds.build(selection, {
+      format: req.params.format,
+      destination: req.query.destination || null,
+      limit: req.query.limit,
+      baseUrl: publicFeeds.baseUrl(req),
+      path: req.path
+    });
+    if (feed.error) {
+      return res.status(404).json({ error: feed.error });
+    }
+    // Token-protected feeds mustn't end up in shared caches
+    res.set('Cache-Control', token ? 'private, max-age=300' : 'public, max-age=300');
+    res.type(feed.contentType).send(feed.body);
+  } catch (error) {
+    console.error('Error building feed:', error);
+    res.status(500).json({ error: 'Failed to build feed' });
+  }
+}
+
+app.get('/feeds/category/:name.:format(xml|rss|atom|json)', (req, res) => {
+  sendPublicFeed(req, res, publicFeeds.parseFeedSelection('category', req.params.name));
+});
+
+app.get('/feeds/:feed.:format(xml|rss|atom|json)', (req, res) => {
+  sendPublicFeed(req, res, publicFeeds.parseFeedSelection(req.params.feed));
+});
+
 // Serve static files (both development and production)
 app.use(express.static(path.join(__dirname, '../client/build')));
 
@@ -3509,51 +3820,37 @@ const startServer = async () => {
       database.init()
         .then(() => {
           console.log('Database initialized successfully');
+
+          // Saved editorial workflow (the built-in one applies until it loads)
+          workflow.load().catch(err => console.error('❌ [WORKFLOW] Could not load the workflow:', err.message));
+
+          // First admin from ADMIN_USERNAME / ADMIN_PASSWORD while there are no users
+          auth.ensureAdmin().catch(err => console.error('❌ [AUTH] Could not create the first admin:', err.message));
+
+          // Check runs the previous process was in the middle of
+          checkRuns.interruptUnfinished().catch(err => console.error('❌ [CHECK RUNS] Could not close unfinished runs:', err.message));
           
-          // Start feed monitoring (only if ENABLE_AUTO_MONITORING is set)
-      // DISABLED BY DEFAULT to prevent memory issues on Render (512MB limit)
-      // Automatic monitoring runs every 30 minutes and can cause memory spikes
-      if (process.env.ENABLE_AUTO_MONITORING === 'true') {
-        console.log('⚠️  Automatic feed monitoring enabled (runs every 30 minutes)');
-        feedMonitor.startMonitoring();
-      } else {
-        console.log('ℹ️  Automatic feed monitoring disabled (use ENABLE_AUTO_MONITORING=true to enable)');
-        console.log('ℹ️  Use "Check Now" button for manual feed checks');
-      }
-      
-      // Optional: Run automatic cleanup of old articles (if enabled)
-      // This helps prevent database bloat and memory issues from accumulating articles
-      if (process.env.ENABLE_AUTO_CLEANUP === 'true') {
-        const cleanupDays = parseInt(process.env.CLEANUP_DAYS_OLD) || 90;
-        const cleanupInterval = parseInt(process.env.CLEANUP_INTERVAL_HOURS) || 24; // Default: daily
-        
-        console.log(`🧹 Automatic cleanup enabled: removing articles older than ${cleanupDays} days every ${cleanupInterval} hours`);
-        
-        // Run cleanup immediately on startup
-        database.cleanupOldArticles(cleanupDays).catch(err => {
-          console.error('Error in initial cleanup:', err);
-        });
-        
-        // Then run cleanup on schedule
-        setInterval(() => {
-          database.cleanupOldArticles(cleanupDays).catch(err => {
-            console.error('Error in scheduled cleanup:', err);
+        // Queued jobs, scheduled tasks (feed monitoring, cleanup, enrichment...), the Distro outbox,
+        // scheduled sends and digests run in the worker process (npm run worker); its live events
+        // come back over NOTIFY
+        if (config.jobs.runInApi) {
+          console.log('⚠️  Running background jobs in the API process (RUN_JOBS_IN_API=true)');
+          worker.startWorker({ relayEvents: false });
+        } else {
+          console.log('ℹ️  Background jobs run in the worker process (npm run worker)');
+          database.listen(eventStream.RELAY_CHANNEL, ({ type, data }) => eventStream.publish(type, data), {
+            connectionString: config.jobs.listenUrl || null
           });
-        }, cleanupInterval * 60 * 60 * 1000);
-      } else {
-          console.log('ℹ️  Automatic cleanup disabled (use ENABLE_AUTO_CLEANUP=true to enable)');
-          console.log('ℹ️  Use POST /api/maintenance/cleanup-old-articles for manual cleanup');
         }
-        
-        // Optional: Start automatic article enrichment (fills in missing dates/descriptions)
-        // This runs periodically to enrich articles that were scraped without dates
-        if (process.env.ENABLE_AUTO_ENRICHMENT === 'true') {
-          const enrichmentInterval = parseInt(process.env.ENRICHMENT_INTERVAL_MINUTES) || 30;
-          console.log(`📅 Automatic enrichment enabled: running every ${enrichmentInterval} minutes`);
-          articleEnrichment.startPeriodicEnrichment(enrichmentInterval);
+
+        // Outbound webhook queue (resumes deliveries left pending by a restart)
+        webhooks.start();
+
+        // WebSub lease renewal (only when hubs can reach us)
+        if (webSub.isEnabled()) {
+          webSub.startRenewal();
         } else {
-          console.log('ℹ️  Automatic enrichment disabled (use ENABLE_AUTO_ENRICHMENT=true to enable)');
-          console.log('ℹ️  Use POST /api/maintenance/enrich-articles for manual enrichment');
+          console.log('ℹ️  WebSub push disabled (set WEBSUB_CALLBACK_BASE_URL to enable)');
         }
         })
         .catch(err => {
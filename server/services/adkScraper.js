@@ -2019,3 +2019,5 @@ module.exports.getAxiosFinalUrl = getAxiosFinalUrl;
 /** For scripts/eval-url-canonical-effectiveness.js — mirrors ADK quality pass HTTP behavior. */
 module.exports.fetchArticleForQuality = fetchArticleForQuality;
 module.exports.canonicalizeKnownBlogUrl = canonicalizeKnownBlogUrl;
+/** Shared with services/storyClusters.js for cross-source near-duplicate detection. */
+module.exports.tokenizeForSimilarity = tokenizeForSimilarity;
@@ -12,11 +12,11 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
 const database = require('../database-postgres');
+const eventStream = require('./eventStream');
 
 class ArticleEnrichmentService {
   constructor() {
     this.isRunning = false;
-    this.enrichmentInterval = null;
     this.lastRunTime = null;
     this.stats = {
       articlesProcessed: 0,
@@ -466,6 +466,7 @@ class ArticleEnrichmentService {
           preview: enrichedDescription ? enrichedDescription.substring(0, 200) : null,
           publisherDescription: enrichedDescription
         });
+        this.publishEnrichment(article.id, enrichedDate, enrichedDescription);
         return true;
       } catch (dbError) {
         console.error(`❌ [ENRICH] Database update failed for article ${article.id}: ${dbError.message}`);
@@ -477,6 +478,19 @@ class ArticleEnrichmentService {
     return false;
   }
 
+  /**
+   * Tell live clients (SSE) which fields an enrichment pass filled in
+   */
+  publishEnrichment(articleId, pubDate, description) {
+    const update = { id: articleId };
+    if (pubDate) update.pub_date = pubDate;
+    if (description) {
+      update.preview = description.substring(0, 200);
+      update.publisher_description = description;
+    }
+    eventStream.publish('article-enriched', update);
+  }
+
   /**
    * Run enrichment for a batch of articles
    */
@@ -537,41 +551,6 @@ class ArticleEnrichmentService {
     }
   }
 
-  /**
-   * Start periodic enrichment
-   */
-  startPeriodicEnrichment(intervalMinutes = 30) {
-    if (this.enrichmentInterval) {
-      console.log('⚠️ [ENRICH] Periodic enrichment already running');
-      return;
-    }
-
-    console.log(`🚀 [ENRICH] Starting periodic enrichment every ${intervalMinutes} minutes`);
-    
-    // Run immediately
-    this.runEnrichmentBatch(20).catch(err => {
-      console.error('❌ [ENRICH] Initial enrichment failed:', err.message);
-    });
-
-    // Then run periodically
-    this.enrichmentInterval = setInterval(() => {
-      this.runEnrichmentBatch(20).catch(err => {
-        console.error('❌ [ENRICH] Periodic enrichment failed:', err.message);
-      });
-    }, intervalMinutes * 60 * 1000);
-  }
-
-  /**
-   * Stop periodic enrichment
-   */
-  stopPeriodicEnrichment() {
-    if (this.enrichmentInterval) {
-      clearInterval(this.enrichmentInterval);
-      this.enrichmentInterval = null;
-      console.log('🛑 [ENRICH] Stopped periodic enrichment');
-    }
-  }
-
   /**
    * Get current stats
    */
@@ -927,6 +906,7 @@ class ArticleEnrichmentService {
             preview: updateDesc ? updateDesc.substring(0, 200) : null,
             publisherDescription: updateDesc
           });
+          this.publishEnrichment(article.id, updateDate, updateDesc);
 
           if (updateDate) {
             this.stats.datesEnriched++;
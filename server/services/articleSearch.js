@@ -0,0 +1,215 @@
+/**
+ * Article Search
+ *
+ * Full-text search over the whole article archive. articles.search_vector is a
+ * weighted tsvector (title > AI summary / preview > content) kept current by a
+ * trigger, so every insert or update path stays searchable. Editor queries are
+ * translated into a Postgres tsquery here:
+ *   stablecoin regulation      both words (AND is implicit)
+ *   "circle ipo"               exact phrase
+ *   stable*                    prefix
+ *   etf OR etp                 either word
+ *   -sponsored / NOT sponsored exclude a word
+ * Operator precedence follows tsquery: NOT, then AND, then OR.
+ */
+
+const database = require('../database-postgres');
+
+const MAX_QUERY_LENGTH = 500;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SORTS = ['relevance', 'date'];
+const SAVED_FILTER_KEYS = ['source_id', 'category', 'status', 'from', 'to', 'sort'];
+// ts_headline markers, split back out into snippet parts so no HTML goes over the wire
+const HIGHLIGHT_START = '[[[';
+const HIGHLIGHT_STOP = ']]]';
+
+function lexemes(text) {
+  return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+// Words that the tokenizer splits ("u.s.", "layer-2") are matched as adjacent lexemes
+function wordExpression(text, prefix = false) {
+  const words = lexemes(text);
+  if (words.length === 0) return null;
+  if (prefix) words[words.length - 1] += ':*';
+  return words.length === 1 ? words[0] : `(${words.join(' <-> ')})`;
+}
+
+/**
+ * Translate an editor's search string into to_tsquery syntax. Returns null when
+ * nothing searchable is left.
+ */
+function parseSearchQuery(input) {
+  const tokens = String(input || '').match(/"[^"]*"?|[^\s"]+/g) || [];
+  const out = [];
+  let negate = false;
+  let pendingOr = false;
+
+  for (const token of tokens) {
+    if (token === 'OR' || token === '|') {
+      if (out.length > 0) pendingOr = true;
+      continue;
+    }
+    if (token === 'AND' || token === '&') continue;
+    if (token === 'NOT' || token === '-' || token === '!') {
+      negate = true;
+      continue;
+    }
+
+    let expression;
+    if (token.startsWith('"')) {
+      expression = wordExpression(token.replace(/"/g, ''));
+    } else {
+      let word = token;
+      if (word.startsWith('-') || word.startsWith('!')) {
+        negate = true;
+        word = word.slice(1);
+      }
+      expression = wordExpression(word.replace(/\*+$/, ''), word.endsWith('*'));
+    }
+    if (!expression) continue;
+
+    if (out.length > 0) out.push(pendingOr ? '|' : '&');
+    out.push(negate ? `!${expression}` : expression);
+    negate = false;
+    pendingOr = false;
+  }
+
+  return out.length > 0 ? out.join(' ') : null;
+}
+
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') return { date: null };
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? { error: true } : { date };
+}
+
+/**
+ * Validate GET /api/articles/search query parameters.
+ * Returns { error } or { params: { tsquery, sourceId, category, status, from, to, sort, limit, offset } }.
+ */
+function normalizeSearchParams(query = {}) {
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (!q) return { error: 'Search query (q) is required' };
+  if (q.length > MAX_QUERY_LENGTH) return { error: `Search query must be ${MAX_QUERY_LENGTH} characters or fewer` };
+  const tsquery = parseSearchQuery(q);
+  if (!tsquery) return { error: 'Search query has no searchable words' };
+
+  let sourceId = null;
+  if (query.source_id !== undefined && query.source_id !== '') {
+    sourceId = parseInt(query.source_id, 10);
+    if (isNaN(sourceId)) return { error: 'Valid source ID is required' };
+  }
+
+  const from = parseDate(query.from);
+  if (from.error) return { error: 'Invalid from date' };
+  const to = parseDate(query.to);
+  if (to.error) return { error: 'Invalid to date' };
+  // A bare YYYY-MM-DD "to" date includes that whole day
+  if (to.date && /^\d{4}-\d{2}-\d{2}$/.test(String(query.to))) {
+    to.date = new Date(to.date.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+
+  const sort = query.sort || 'relevance';
+  if (!SORTS.includes(sort)) return { error: `Sort must be one of: ${SORTS.join(', ')}` };
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+
+  return {
+    params: {
+      tsquery,
+      sourceId,
+      category: query.category || null,
+      status: query.status || null,
+      from: from.date,
+      to: to.date,
+      sort,
+      limit,
+      offset
+    }
+  };
+}
+
+/**
+ * Validate a saved search body: { name, query, filters }. Only known filter keys are kept.
+ * Returns { error } or { savedSearch: { name, query, filters } }.
+ */
+function normalizeSavedSearchInput(body = {}) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name) return { error: 'Saved search name is required' };
+  if (name.length > 100) return { error: 'Saved search name must be 100 characters or fewer' };
+
+  const query = typeof body.query === 'string' ? body.query.trim() : '';
+  if (!query) return { error: 'Search query is required' };
+  if (query.length > MAX_QUERY_LENGTH) return { error: `Search query must be ${MAX_QUERY_LENGTH} characters or fewer` };
+  if (!parseSearchQuery(query)) return { error: 'Search query has no searchable words' };
+
+  const filters = {};
+  for (const key of SAVED_FILTER_KEYS) {
+    const value = body.filters && body.filters[key];
+    if (value !== undefined && value !== null && value !== '') filters[key] = String(value);
+  }
+
+  return { savedSearch: { name, query, filters } };
+}
+
+/**
+ * Split ts_headline output into [{ text, match }] so the client can wrap matches without innerHTML.
+ */
+function snippetParts(headline) {
+  if (!headline) return [];
+  const parts = [];
+  let rest = headline;
+  while (rest.length > 0) {
+    const start = rest.indexOf(HIGHLIGHT_START);
+    const stop = start === -1 ? -1 : rest.indexOf(HIGHLIGHT_STOP, start + HIGHLIGHT_START.length);
+    if (start === -1 || stop === -1) {
+      parts.push({ text: rest, match: false });
+      break;
+    }
+    if (start > 0) parts.push({ text: rest.slice(0, start), match: false });
+    parts.push({ text: rest.slice(start + HIGHLIGHT_START.length, stop), match: true });
+    rest = rest.slice(stop + HIGHLIGHT_STOP.length);
+  }
+  return parts;
+}
+
+class ArticleSearchService {
+  /**
+   * Run a normalized search. Returns { total, results } with highlighted title/snippet parts.
+   */
+  async search(params) {
+    const rows = await database.searchArticles({
+      ...params,
+      highlightStart: HIGHLIGHT_START,
+      highlightStop: HIGHLIGHT_STOP
+    });
+
+    return {
+      total: rows.length > 0 ? parseInt(rows[0].total, 10) : 0,
+      results: rows.map(row => ({
+        id: row.id,
+        title: row.title,
+        link: row.link,
+        more_info_url: row.link,
+        source_id: row.source_id,
+        source_name: row.source_name || 'Unknown Source',
+        category: row.category,
+        status: row.status,
+        pub_date: row.pub_date,
+        created_at: row.created_at,
+        rank: Number(row.rank),
+        title_parts: snippetParts(row.title_headline),
+        snippet_parts: snippetParts(row.snippet_headline)
+      }))
+    };
+  }
+}
+
+module.exports = new ArticleSearchService();
+module.exports.parseSearchQuery = parseSearchQuery;
+module.exports.normalizeSearchParams = normalizeSearchParams;
+module.exports.snippetParts = snippetParts;
+module.exports.normalizeSavedSearchInput = normalizeSavedSearchInput;
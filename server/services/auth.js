@@ -0,0 +1,332 @@
+/**
+ * User accounts and API access
+ *
+ * Every /api route needs a signed-in user, except the few in PUBLIC_API_PATHS. The browser
+ * signs in with a username and password and gets a session cookie (HttpOnly, SameSite=Lax);
+ * scripts send an API key as `Authorization: Bearer ssk_...` or `X-API-Key`. A key acts as
+ * the user it belongs to, with that user's role.
+ *
+ * Roles are ordered viewer < editor < admin:
+ *   viewer  reads everything
+ *   editor  anything that changes data (reviewing, editing, sending, scheduling)
+ *   admin   users, maintenance, source deletion and integration settings (requireRole('admin'))
+ * Reads need viewer and writes editor by default; routes that need admin say so.
+ *
+ * Passwords are scrypt hashes. Session tokens and API keys are random and only their
+ * SHA-256 is stored.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const appConfig = require('../config');
+const database = require('../database-postgres');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'editor', 'admin'];
+const SESSION_COOKIE = 'scoopstream_session';
+const API_KEY_PREFIX = 'ssk_';
+const USERNAME_PATTERN = /^[a-z0-9][a-z0-9._-]{1,49}$/;
+const MIN_PASSWORD_LENGTH = 10;
+const MAX_PASSWORD_LENGTH = 200;
+const LOGIN_MAX_FAILURES = 10; // per username and IP, then locked for LOGIN_LOCK_MINUTES
+const LOGIN_LOCK_MINUTES = 15;
+const LOGIN_MAX_TRACKED = 10000; // failure records kept; the oldest go first past this
+
+// Reachable without signing in: probes, signing in/out, and WebSub hubs (they prove themselves
+// with the subscription's secret)
+const PUBLIC_API_PATHS = [/^\/health$/, /^\/auth\/(login|logout)$/, /^\/websub\/callback\//];
+// A signed-in user's own account (password, API keys) whatever their role
+const SELF_SERVICE_PATHS = [/^\/auth\//];
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index < 0) continue;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (e) {
+      // Malformed cookie values are ignored
+    }
+  }
+  return cookies;
+}
+
+// The credential a request carries: { kind: 'api_key' | 'session', token } or null
+function credentialsFrom(req) {
+  const authorization = req.get('authorization') || '';
+  const bearer = /^Bearer\s+(\S+)$/i.exec(authorization);
+  const apiKey = req.get('x-api-key') || (bearer && bearer[1].startsWith(API_KEY_PREFIX) ? bearer[1] : null);
+  if (apiKey) return { kind: 'api_key', token: apiKey.trim() };
+  if (bearer) return { kind: 'session', token: bearer[1] };
+  const cookie = parseCookies(req.get('cookie'))[SESSION_COOKIE];
+  return cookie ? { kind: 'session', token: cookie } : null;
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) return `Password must be ${MAX_PASSWORD_LENGTH} characters or fewer`;
+  return null;
+}
+
+/**
+ * Validate a user body: { username, displayName?, password, role? } (partial: any of
+ * displayName, password, role, isActive). Returns { error } or { user }.
+ */
+function normalizeUserInput(body = {}, { partial = false } = {}) {
+  const user = {};
+  if (!partial) {
+    const username = typeof body.username === 'string' ? body.username.trim().toLowerCase() : '';
+    if (!USERNAME_PATTERN.test(username)) {
+      return { error: 'username must be 2-50 characters: letters, digits, dot, dash or underscore' };
+    }
+    user.username = username;
+  }
+
+  if (body.displayName !== undefined || !partial) {
+    const displayName = typeof body.displayName === 'string' ? body.displayName.trim() : '';
+    if (displayName.length > 100) return { error: 'displayName must be 100 characters or fewer' };
+    if (displayName) user.displayName = displayName;
+    else if (partial) return { error: 'displayName cannot be empty' };
+    else user.displayName = user.username;
+  }
+
+  if (body.password !== undefined || !partial) {
+    const error = validatePassword(body.password);
+    if (error) return { error };
+    user.password = body.password;
+  }
+
+  if (body.role !== undefined || !partial) {
+    const role = body.role === undefined ? 'viewer' : body.role;
+    if (!ROLES.includes(role)) return { error: `role must be one of: ${ROLES.join(', ')}` };
+    user.role = role;
+  }
+
+  if (body.isActive !== undefined) {
+    if (typeof body.isActive !== 'boolean') return { error: 'isActive must be true or false' };
+    user.isActive = body.isActive;
+  }
+  return { user };
+}
+
+class AuthService {
+  constructor() {
+    this.failedLogins = new Map(); // 'username|ip' -> { count, lockedUntil, lastFailedAt }, oldest first
+  }
+
+  // Forget failures older than the lock window and locks that have run out, then drop the oldest
+  // records until there is room for one more under the cap
+  pruneFailedLogins(now) {
+    const lockMs = LOGIN_LOCK_MINUTES * 60 * 1000;
+    for (const [key, failures] of this.failedLogins) {
+      const expired = failures.lockedUntil
+        ? failures.lockedUntil <= now
+        : failures.lastFailedAt + lockMs <= now;
+      if (expired) this.failedLogins.delete(key);
+    }
+    for (const key of this.failedLogins.keys()) {
+      if (this.failedLogins.size < LOGIN_MAX_TRACKED) break;
+      this.failedLogins.delete(key);
+    }
+  }
+
+  /**
+   * Resolve the signed-in user of a request (req.user: { id, username, display_name, role, via })
+   * or null.
+   */
+  async authenticate(req) {
+    const credentials = credentialsFrom(req);
+    if (!credentials) return null;
+    const user = credentials.kind === 'api_key'
+      ? await database.getUserByApiKey(hashToken(credentials.token))
+      : await database.getUserBySession(hashToken(credentials.token));
+    return user ? { ...user, via: credentials.kind } : null;
+  }
+
+  /**
+   * Middleware for /api: 401 without a signed-in user, 403 when a viewer tries to change
+   * anything. Sets req.user.
+   */
+  middleware() {
+    return async (req, res, next) => {
+      if (PUBLIC_API_PATHS.some(pattern => pattern.test(req.path))) return next();
+      try {
+        req.user = await this.authenticate(req);
+      } catch (error) {
+        console.error('❌ [AUTH] Could not check credentials:', error.message);
+        return res.status(500).json({ error: 'Failed to check credentials' });
+      }
+      if (!req.user) {
+        return res.status(401).json({ error: 'Sign in or send an API key to use the API' });
+      }
+      const isRead = req.method === 'GET' || req.method === 'HEAD';
+      if (!isRead && !SELF_SERVICE_PATHS.some(pattern => pattern.test(req.path)) && !hasRole(req.user, 'editor')) {
+        return res.status(403).json({ error: 'Your role is read-only (viewer)' });
+      }
+      next();
+    };
+  }
+
+  // Route middleware: only users with this role or above
+  requireRole(role) {
+    return (req, res, next) => {
+      if (!hasRole(req.user, role)) {
+        return res.status(403).json({ error: `This needs the ${role} role` });
+      }
+      next();
+    };
+  }
+
+  /**
+   * Check a username and password from a client IP. Returns { user, token, expiresAt } for a
+   * new session, or { error, locked? } (the same message for an unknown user and a wrong
+   * password). Failures are counted per username and IP, so someone guessing can't lock the
+   * real user out from elsewhere.
+   */
+  async login(username, password, ip = null, now = new Date()) {
+    const name = String(username || '').trim().toLowerCase();
+    const key = `${name}|${ip || ''}`;
+    this.pruneFailedLogins(now.getTime());
+    const failures = this.failedLogins.get(key);
+    if (failures && failures.lockedUntil) {
+      return { error: `Too many failed sign-ins; try again in ${LOGIN_LOCK_MINUTES} minutes`, locked: true };
+    }
+
+    const user = name ? await database.getUserForLogin(name) : null;
+    const valid = Boolean(user) && user.is_active && await verifyPassword(password, user.password_hash);
+    if (!valid) {
+      const count = (failures ? failures.count : 0) + 1;
+      // Re-inserted so the map stays ordered by last failure for the size cap
+      this.failedLogins.delete(key);
+      this.failedLogins.set(key, {
+        count,
+        lockedUntil: count >= LOGIN_MAX_FAILURES ? now.getTime() + LOGIN_LOCK_MINUTES * 60 * 1000 : null,
+        lastFailedAt: now.getTime()
+      });
+      return { error: 'Wrong username or password' };
+    }
+
+    this.failedLogins.delete(key);
+    const { token, expiresAt } = await this.startSession(user.id, now);
+    console.log(`🔑 [AUTH] ${user.username} signed in`);
+    return { user, token, expiresAt };
+  }
+
+  // New session for a user: { token, expiresAt }
+  async startSession(userId, now = new Date()) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(now.getTime() + appConfig.auth.sessionDays * 24 * 60 * 60 * 1000);
+    await database.createUserSession(userId, hashToken(token), expiresAt);
+    return { token, expiresAt };
+  }
+
+  async logout(req) {
+    const credentials = credentialsFrom(req);
+    if (credentials && credentials.kind === 'session') {
+      await database.deleteUserSession(hashToken(credentials.token));
+    }
+  }
+
+  // Set-Cookie value for a session (an empty token with no expiry clears it)
+  sessionCookie(req, token, expiresAt = null) {
+    return [
+      `${SESSION_COOKIE}=${token ? encodeURIComponent(token) : ''}`,
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Lax',
+      req.secure ? 'Secure' : null,
+      expiresAt ? `Expires=${expiresAt.toUTCString()}` : 'Max-Age=0'
+    ].filter(Boolean).join('; ');
+  }
+
+  async createUser({ username, displayName, password, role }) {
+    return database.createUser({ username, displayName, passwordHash: await hashPassword(password), role });
+  }
+
+  /**
+   * Update a user: fields from normalizeUserInput({ partial: true }). Refuses to demote,
+   * disable or lock out the last active admin. A new password or disabling signs the user
+   * out everywhere. Returns { error } or { user } (user undefined when not found).
+   */
+  async updateUser(id, { displayName, password, role, isActive }) {
+    const losesAdmin = (role !== undefined && role !== 'admin') || isActive === false;
+    if (losesAdmin) {
+      const current = await database.getUserById(id);
+      if (current && current.role === 'admin' && current.is_active && await database.countOtherActiveAdmins(id) === 0) {
+        return { error: 'This is the last active admin; make someone else admin first' };
+      }
+    }
+    const user = await database.updateUser(id, {
+      displayName,
+      role,
+      isActive,
+      passwordHash: password !== undefined ? await hashPassword(password) : undefined
+    });
+    if (user && (password !== undefined || isActive === false)) {
+      await database.deleteUserSessions(id);
+    }
+    return { user };
+  }
+
+  // Issue an API key for a user. The plain key is only in this result.
+  async createApiKey({ userId, name }) {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const row = await database.createApiKey({ userId, name, keyHash: hashToken(key), keyHint: key.slice(-4) });
+    return { ...row, key };
+  }
+
+  // First start: create the admin from ADMIN_USERNAME / ADMIN_PASSWORD when there are no users
+  async ensureAdmin() {
+    if (await database.countUsers() > 0) return null;
+    const { adminUsername, adminPassword } = appConfig.auth;
+    if (!adminUsername || !adminPassword) {
+      console.warn('⚠️  [AUTH] No users yet: set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin');
+      return null;
+    }
+    const { error, user } = normalizeUserInput({ username: adminUsername, password: adminPassword, role: 'admin' });
+    if (error) {
+      console.error(`❌ [AUTH] Can't create the first admin: ${error}`);
+      return null;
+    }
+    const created = await this.createUser(user);
+    console.log(`🔑 [AUTH] Created admin user ${created.username}`);
+    return created;
+  }
+}
+
+module.exports = new AuthService();
+module.exports.ROLES = ROLES;
+module.exports.hasRole = hasRole;
+module.exports.hashPassword = hashPassword;
+module.exports.verifyPassword = verifyPassword;
+module.exports.hashToken = hashToken;
+module.exports.credentialsFrom = credentialsFrom;
+module.exports.normalizeUserInput = normalizeUserInput;
+module.exports.validatePassword = validatePassword;
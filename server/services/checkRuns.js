@@ -0,0 +1,215 @@
+/**
+ * Check run history
+ *
+ * Every feed check (a manual "Check Now" or a scheduled tick) is a row in `check_runs`:
+ * queued -> running -> completed | cancelled | failed, or skipped when there was nothing
+ * it could do (monitoring stopped, no active sources). Each source it got to adds a
+ * `check_run_sources` row with its outcome (success / failed / skipped), new article count,
+ * error, duration and the process memory afterwards.
+ *
+ * Recording is best effort: a database hiccup is logged and never stops the check itself.
+ * Runs a restart cut short are marked interrupted on the next start.
+ *
+ * A manual check can be targeted (see normalizeCheckSelection): chosen source ids,
+ * categories or monitoring types, or only the sources whose last check failed, in a chosen
+ * order. The selection is kept on the run.
+ */
+
+const database = require('../database-postgres');
+
+const RUN_STATUSES = ['queued', 'running', 'completed', 'cancelled', 'failed', 'skipped', 'interrupted'];
+const TRIGGERS = ['manual', 'scheduled'];
+const RETENTION_DAYS = 30;
+const MAX_LIST_LIMIT = 200;
+const PROCESS_STARTED_AT = new Date();
+const MONITORING_TYPES = ['RSS', 'SCRAPING', 'ADK'];
+// Order of sources within a run: by name (as listed), last run's failures first, or the
+// ones checked longest ago first
+const PRIORITIES = ['name', 'failed-first', 'least-recently-checked'];
+
+// A checkAllFeeds result -> 'success' | 'failed' | 'skipped'
+function outcomeOf(result) {
+  if (result.skipped) return 'skipped';
+  return result.success ? 'success' : 'failed';
+}
+
+/**
+ * Validate run list filters from a query string: { status?, trigger?, limit? }.
+ * Returns { error } or { filters }.
+ */
+function parseRunFilters(query = {}) {
+  const filters = { status: null, trigger: null, limit: 50 };
+  if (query.status) {
+    if (!RUN_STATUSES.includes(query.status)) return { error: `status must be one of: ${RUN_STATUSES.join(', ')}` };
+    filters.status = query.status;
+  }
+  if (query.trigger) {
+    if (!TRIGGERS.includes(query.trigger)) return { error: `trigger must be one of: ${TRIGGERS.join(', ')}` };
+    filters.trigger = query.trigger;
+  }
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (isNaN(limit) || limit < 1) return { error: 'limit must be a positive number' };
+    filters.limit = Math.min(limit, MAX_LIST_LIMIT);
+  }
+  return { filters };
+}
+
+/**
+ * Validate a Check Now body: { sourceIds?, categories?, monitoringTypes?, onlyFailed?, priority? }.
+ * Returns { error } or { selection } (null when nothing narrows or reorders the run).
+ */
+function normalizeCheckSelection(body = {}) {
+  const selection = {};
+
+  if (body.sourceIds !== undefined) {
+    if (!Array.isArray(body.sourceIds)) return { error: 'sourceIds must be an array of source IDs' };
+    const ids = [...new Set(body.sourceIds.map(id => parseInt(id, 10)))];
+    if (ids.length === 0 || ids.some(id => isNaN(id) || id < 1)) return { error: 'sourceIds must be an array of source IDs' };
+    selection.sourceIds = ids;
+  }
+
+  if (body.categories !== undefined) {
+    const categories = Array.isArray(body.categories)
+      ? [...new Set(body.categories.map(c => (typeof c === 'string' ? c.trim() : '')))]
+      : [];
+    if (categories.length === 0 || categories.includes('')) return { error: 'categories must be an array of category names' };
+    selection.categories = categories;
+  }
+
+  if (body.monitoringTypes !== undefined) {
+    const types = Array.isArray(body.monitoringTypes)
+      ? [...new Set(body.monitoringTypes.map(t => String(t).toUpperCase()))]
+      : [];
+    if (types.length === 0 || types.some(t => !MONITORING_TYPES.includes(t))) {
+      return { error: `monitoringTypes must be an array of: ${MONITORING_TYPES.join(', ')}` };
+    }
+    selection.monitoringTypes = types;
+  }
+
+  if (body.onlyFailed !== undefined) {
+    if (typeof body.onlyFailed !== 'boolean') return { error: 'onlyFailed must be true or false' };
+    if (body.onlyFailed) selection.onlyFailed = true;
+  }
+
+  if (body.priority !== undefined) {
+    if (!PRIORITIES.includes(body.priority)) return { error: `priority must be one of: ${PRIORITIES.join(', ')}` };
+    if (body.priority !== 'name') selection.priority = body.priority;
+  }
+
+  return { selection: Object.keys(selection).length > 0 ? selection : null };
+}
+
+/**
+ * The active sources a selection picks, in run order. lastOutcomes maps source id to the
+ * outcome of its last check (needed for onlyFailed and failed-first).
+ */
+function selectSources(sources, selection, lastOutcomes = {}) {
+  const categories = selection.categories && selection.categories.map(c => c.toLowerCase());
+  const failedLastTime = source => lastOutcomes[source.id] === 'failed';
+
+  const picked = sources.filter(source =>
+    !source.is_paused &&
+    (!selection.sourceIds || selection.sourceIds.includes(source.id)) &&
+    (!categories || categories.includes(String(source.category || '').toLowerCase())) &&
+    (!selection.monitoringTypes || selection.monitoringTypes.includes(source.monitoring_type || 'RSS')) &&
+    (!selection.onlyFailed || failedLastTime(source))
+  );
+
+  if (selection.priority === 'failed-first') {
+    return [...picked.filter(failedLastTime), ...picked.filter(source => !failedLastTime(source))];
+  }
+  if (selection.priority === 'least-recently-checked') {
+    const checkedAt = source => (source.last_checked ? new Date(source.last_checked).getTime() : 0);
+    return [...picked].sort((a, b) => checkedAt(a) - checkedAt(b));
+  }
+  return picked;
+}
+
+class CheckRunService {
+  // New queued run; throws so an API caller can report it
+  async create({ trigger, requestedBy = null, selection = null }) {
+    return database.createCheckRun({ trigger, requestedBy, selection });
+  }
+
+  // The sources a targeted check covers, in order (see selectSources)
+  async resolveSources(selection) {
+    const needsOutcomes = selection.onlyFailed || selection.priority === 'failed-first';
+    const [sources, lastOutcomes] = await Promise.all([
+      database.getAllSources(),
+      needsOutcomes ? database.getLastCheckOutcomes() : {}
+    ]);
+    return selectSources(sources, selection, lastOutcomes);
+  }
+
+  async begin(runId, totalSources) {
+    if (!runId) return;
+    try {
+      await database.startCheckRun(runId, totalSources);
+    } catch (error) {
+      console.error(`❌ [CHECK RUNS] Could not mark run ${runId} as running:`, error.message);
+    }
+  }
+
+  // One source's result from checkAllFeeds, with how long it took and memory afterwards
+  async recordSource(runId, source, result, { durationMs = null, memoryMB = null } = {}) {
+    if (!runId) return;
+    try {
+      await database.addCheckRunSource(runId, {
+        sourceId: source.id,
+        sourceName: source.name,
+        sourceUrl: source.url,
+        monitoringType: source.monitoring_type || 'RSS',
+        outcome: outcomeOf(result),
+        newArticles: result.newArticles || 0,
+        error: result.error || null,
+        durationMs,
+        memoryMB
+      });
+    } catch (error) {
+      console.error(`❌ [CHECK RUNS] Could not record ${source.name} for run ${runId}:`, error.message);
+    }
+  }
+
+  async finish(runId, { status, error = null }) {
+    if (!runId) return null;
+    try {
+      const run = await database.finishCheckRun(runId, { status, error });
+      console.log(`🗂️  [CHECK RUNS] Run ${runId} ${status}`);
+      await database.deleteCheckRunsOlderThan(RETENTION_DAYS);
+      return run;
+    } catch (err) {
+      console.error(`❌ [CHECK RUNS] Could not finish run ${runId}:`, err.message);
+      return null;
+    }
+  }
+
+  // Startup: runs the previous process never finished (not ones this process already started)
+  async interruptUnfinished() {
+    const count = await database.interruptUnfinishedCheckRuns(PROCESS_STARTED_AT);
+    if (count > 0) {
+      console.log(`🗂️  [CHECK RUNS] Marked ${count} unfinished run(s) from before the restart as interrupted`);
+    }
+    return count;
+  }
+
+  async list(filters) {
+    return database.getCheckRuns(filters);
+  }
+
+  // A run with its per-source rows, or null
+  async get(id) {
+    const run = await database.getCheckRunById(id);
+    if (!run) return null;
+    return { ...run, sources: await database.getCheckRunSources(id) };
+  }
+}
+
+module.exports = new CheckRunService();
+module.exports.RUN_STATUSES = RUN_STATUSES;
+module.exports.TRIGGERS = TRIGGERS;
+module.exports.outcomeOf = outcomeOf;
+module.exports.parseRunFilters = parseRunFilters;
+module.exports.PRIORITIES = PRIORITIES;
+module.exports.normalizeCheckSelection = normalizeCheckSelection;
+module.exports.selectSources = selectSources;
@@ -0,0 +1,79 @@
+/**
+ * Distro destination: posts articles to the Distro external news API.
+ *
+ * Two payload styles:
+ *   article - full post (content as HTML, feed author/image/tags), sent from Edit/Send
+ *   flash   - short news flash with preview and cost, sent alongside Telegram posts
+ */
+
+const appConfig = require('../../config');
+const { postWithRetry } = require('./http');
+
+const FORMATS = ['article', 'flash'];
+
+module.exports = {
+  type: 'distro',
+  label: 'Distro',
+  durable: true, // sends go through the outbox and are retried until Distro accepts them
+  fields: [
+    { name: 'endpoint', label: 'API endpoint' },
+    { name: 'apiKey', label: 'API key', secret: true },
+    { name: 'format', label: 'Payload format (article | flash)' },
+    { name: 'userName', label: 'Posting user name' }
+  ],
+
+  // Unset fields fall back to DISTRO_API_ENDPOINT / DISTRO_API_KEY
+  defaults() {
+    return {
+      endpoint: appConfig.distro.apiEndpoint,
+      apiKey: appConfig.distro.apiKey,
+      format: 'article'
+    };
+  },
+
+  validate(settings) {
+    if (!settings.endpoint) return 'Distro API endpoint is not configured';
+    if (!settings.apiKey) return 'Distro API key is not configured';
+    if (!FORMATS.includes(settings.format)) return `Distro format must be one of: ${FORMATS.join(', ')}`;
+    return null;
+  },
+
+  format(article, settings, options = {}) {
+    if (settings.format === 'flash') {
+      return {
+        user_info: { name: settings.userName || 'Distro DeAI News Flash' },
+        more_info_url: article.link,
+        source: article.source_name || 'Unknown',
+        cost: 10,
+        preview: article.ai_summary || article.publisher_description || article.preview || '',
+        title: article.title,
+        content: article.content || ''
+      };
+    }
+
+    const hotTake = article.content || article.ai_summary || article.publisher_description || article.preview || '';
+    // The signed-in user who sent it, else the destination's configured poster
+    const payload = {
+      user_info: { name: options.userName || settings.userName || 'Scoopstream' },
+      title: article.title,
+      content: `<p>${hotTake}</p>`,
+      more_info_url: article.link,
+      source: article.source_name || 'Unknown Source'
+    };
+    // Feed metadata, only when the source provided it
+    if (article.author) payload.author = article.author;
+    if (article.image_url) payload.image_url = article.image_url;
+    if (article.tags && article.tags.length > 0) payload.tags = article.tags;
+    return payload;
+  },
+
+  async send(payload, settings) {
+    const headers = { 'Content-Type': 'application/json', 'x-api-key': settings.apiKey };
+    if (settings.format === 'flash') headers['Authorization'] = `Bearer ${settings.apiKey}`;
+    const response = await postWithRetry(settings.endpoint, payload, headers, { label: 'DISTRO' });
+
+    const data = response.data || {};
+    const remoteId = data.id || data._id || data.news_id || (data.data && data.data.id) || null;
+    return { remoteId: remoteId !== null ? String(remoteId) : null, response: data };
+  }
+};
@@ -0,0 +1,179 @@
+/**
+ * Email destination: sends through SMTP to a named recipient list (`email_lists`), as one
+ * multipart message with HTML and plain-text bodies. Used for single-article alerts from
+ * Edit & Send and, via destinations.sendPayload, for scheduled digest emails.
+ *
+ * Each recipient's outcome is stored in `email_recipients`: accepted, rejected (refused at RCPT
+ * with the server's code) or failed (the whole send failed), and later bounced when a bounce
+ * is reported. A send counts as delivered when at least one recipient accepted it.
+ */
+
+const appConfig = require('../../config');
+const database = require('../../database-postgres');
+const { sendMail, parseAddressList, isValidEmail } = require('./smtp');
+
+const SECURITY_MODES = ['starttls', 'tls', 'none'];
+
+function escapeHtml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Alert email for one article: title (linked), hook, AI summary (or publisher description)
+ * and source. Returns { subject, html, text }.
+ */
+function buildEmailMessage(article) {
+  const title = article.title || 'Untitled Article';
+  const hook = (article.article_hook || '').trim();
+  const summary = (article.ai_summary || article.publisher_description || article.preview || '').trim();
+  const source = article.source_name || 'Unknown';
+  const link = /^https?:\/\//i.test(article.link || '') ? article.link : null;
+
+  const html = [
+    '<!DOCTYPE html>',
+    '<html><head><meta charset="utf-8"></head>',
+    '<body style="margin:0;padding:24px;font-family:Arial,Helvetica,sans-serif;color:#18181b;">',
+    '<div style="max-width:640px;margin:0 auto;">',
+    `<h1 style="font-size:20px;margin:0 0 8px;">${link ? `<a href="${escapeHtml(link)}" style="color:#1d4ed8;text-decoration:none;">${escapeHtml(title)}</a>` : escapeHtml(title)}</h1>`,
+    hook ? `<p style="margin:0 0 8px;font-size:15px;font-weight:bold;">${escapeHtml(hook)}</p>` : null,
+    summary ? `<p style="margin:0 0 12px;font-size:15px;line-height:1.5;">${escapeHtml(summary)}</p>` : null,
+    `<p style="margin:0;color:#71717a;font-size:13px;">📊 Source: ${escapeHtml(source)}${link ? ` · <a href="${escapeHtml(link)}" style="color:#1d4ed8;">Read more</a>` : ''}</p>`,
+    '</div>',
+    '</body></html>'
+  ].filter(Boolean).join('\n');
+
+  const text = [
+    title,
+    hook || null,
+    summary || null,
+    `Source: ${source}`,
+    link
+  ].filter(Boolean).join('\n\n');
+
+  return { subject: title, html, text: `${text}\n` };
+}
+
+/**
+ * Validate a recipient list body: { name, addresses } where addresses is an array or a
+ * comma/newline separated string. Returns { error } or { list: { name, addresses } }.
+ */
+function normalizeEmailListInput(body = {}) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name) return { error: 'List name is required' };
+  if (name.length > 100) return { error: 'List name must be 100 characters or fewer' };
+
+  const { addresses, invalid } = parseAddressList(body.addresses);
+  if (invalid.length > 0) return { error: `Invalid email address(es): ${invalid.slice(0, 5).join(', ')}` };
+  if (addresses.length === 0) return { error: 'At least one email address is required' };
+  return { list: { name, addresses } };
+}
+
+// email_recipients rows for a finished SMTP conversation
+function recipientRows(result) {
+  return [
+    ...result.accepted.map(address => ({ address, status: 'accepted', code: null, error: null })),
+    ...result.rejected.map(({ address, code, message }) => ({ address, status: 'rejected', code, error: message }))
+  ];
+}
+
+module.exports = {
+  type: 'email',
+  label: 'Email (SMTP)',
+  fields: [
+    { name: 'list', label: 'Recipient list name' },
+    { name: 'host', label: 'SMTP host' },
+    { name: 'port', label: 'SMTP port (587, 465 or 25)' },
+    { name: 'security', label: 'Security (starttls | tls | none)' },
+    { name: 'username', label: 'SMTP username' },
+    { name: 'password', label: 'SMTP password', secret: true },
+    { name: 'from', label: 'From address' },
+    { name: 'fromName', label: 'From name' },
+    { name: 'replyTo', label: 'Reply-To address' }
+  ],
+
+  // Unset fields fall back to SMTP_HOST / SMTP_PORT / SMTP_SECURITY / SMTP_USER / SMTP_PASS / SMTP_FROM / SMTP_FROM_NAME
+  defaults() {
+    return { ...appConfig.smtp };
+  },
+
+  // From and Reply-To end up in message headers: only plain addresses are stored
+  checkConfig(config) {
+    if (config.from !== undefined && !isValidEmail(config.from)) return 'From must be a valid email address';
+    if (config.replyTo !== undefined && !isValidEmail(config.replyTo)) return 'Reply-To must be a valid email address';
+    return null;
+  },
+
+  validate(settings) {
+    if (!settings.host) return 'SMTP host not configured. Please set SMTP_HOST or the destination\'s host.';
+    if (!isValidEmail(settings.from)) return 'A valid From address is required (SMTP_FROM or the destination\'s from)';
+    if (settings.replyTo && !isValidEmail(settings.replyTo)) return 'Reply-To must be a valid email address';
+    if (!SECURITY_MODES.includes(settings.security)) return `SMTP security must be one of: ${SECURITY_MODES.join(', ')}`;
+    if (isNaN(parseInt(settings.port, 10))) return 'SMTP port must be a number';
+    if (!settings.list) return 'A recipient list is required';
+    return null;
+  },
+
+  format(article) {
+    return buildEmailMessage(article);
+  },
+
+  /**
+   * context.deliveryId (article sends) or context.savedDigestId (digest emails) ties the
+   * per-recipient rows to what was sent.
+   */
+  async send(payload, settings, context = {}) {
+    const list = await database.getEmailListByName(settings.list);
+    if (!list) throw new Error(`Recipient list "${settings.list}" not found`);
+    if (list.addresses.length === 0) throw new Error(`Recipient list "${list.name}" is empty`);
+
+    const record = (messageId, rows) => database.recordEmailRecipients({
+      deliveryId: context.deliveryId || null,
+      savedDigestId: context.savedDigestId || null,
+      listName: list.name,
+      messageId,
+      recipients: rows
+    });
+
+    let result;
+    try {
+      result = await sendMail({
+        host: settings.host,
+        port: settings.port,
+        security: settings.security,
+        username: settings.username || null,
+        password: settings.password || null,
+        from: settings.from,
+        fromName: settings.fromName || null,
+        replyTo: settings.replyTo || null,
+        toLabel: list.name,
+        recipients: list.addresses,
+        subject: payload.subject,
+        html: payload.html,
+        text: payload.text
+      });
+    } catch (error) {
+      await record(null, list.addresses.map(address => ({ address, status: 'failed', code: error.smtpCode || null, error: error.message })));
+      throw error;
+    }
+
+    await record(result.messageId, recipientRows(result));
+    if (result.accepted.length === 0) {
+      throw new Error(`All ${result.rejected.length} recipient(s) on "${list.name}" were refused: ${result.rejected[0].message}`);
+    }
+    if (result.rejected.length > 0) {
+      console.warn(`⚠️ [EMAIL] ${result.rejected.length} of ${list.addresses.length} recipient(s) on "${list.name}" were refused`);
+    }
+    return {
+      remoteId: result.messageId,
+      response: { list: list.name, accepted: result.accepted.length, rejected: result.rejected.length, smtp: result.response }
+    };
+  }
+};
+
+module.exports.buildEmailMessage = buildEmailMessage;
+module.exports.normalizeEmailListInput = normalizeEmailListInput;
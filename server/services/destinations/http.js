@@ -0,0 +1,48 @@
+const axios = require('axios');
+
+const MAX_RETRY_AFTER_SECONDS = 60;
+
+/**
+ * How long to wait before retrying a failed POST, or null to give up. A 429 with Retry-After
+ * (in seconds, up to a minute) is retried after that wait. Timeouts, dropped connections and
+ * 5xx responses are retried with a 2s, 4s, ... backoff unless rateLimitedOnly is set: for posts
+ * that aren't safe to repeat, where a timeout may mean the message went out anyway.
+ */
+function retryDelayMs(error, attempt, { rateLimitedOnly = false } = {}) {
+  if (error.response?.status === 429) {
+    const retryAfter = parseInt(error.response.headers?.['retry-after'], 10);
+    return retryAfter >= 0 && retryAfter <= MAX_RETRY_AFTER_SECONDS ? retryAfter * 1000 : null;
+  }
+  if (rateLimitedOnly) return null;
+
+  const isTransient = error.code === 'ECONNABORTED' ||
+                      error.code === 'ETIMEDOUT' ||
+                      error.code === 'ECONNRESET' ||
+                      error.message?.includes('timeout') ||
+                      (error.response?.status >= 500);
+  return isTransient ? 2000 * attempt : null;
+}
+
+/**
+ * POST with retries (see retryDelayMs). Shared by destination adapters that talk to plain HTTP APIs.
+ */
+async function postWithRetry(url, payload, headers, { maxRetries = 2, timeout = 30000, label = 'DELIVERY', rateLimitedOnly = false } = {}) {
+  let lastError;
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      return await axios.post(url, payload, { headers, timeout });
+    } catch (error) {
+      lastError = error;
+      const delay = retryDelayMs(error, attempt, { rateLimitedOnly });
+      if (delay === null || attempt === maxRetries) {
+        throw error;
+      }
+
+      console.log(`⏳ [${label}] Retry ${attempt}/${maxRetries} after ${delay}ms (${error.message})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+  throw lastError;
+}
+
+module.exports = { postWithRetry, retryDelayMs };
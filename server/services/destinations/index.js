@@ -0,0 +1,461 @@
+/**
+ * Distribution destinations
+ *
+ * Every place an article can be sent (Distro, Telegram, Slack, email, ...) is a row in `destinations`
+ * with a type and per-destination config. The type picks an adapter module in this
+ * directory, and every adapter implements the same interface:
+ *
+ *   type, label        identifiers shown in the UI
+ *   fields             config keys the adapter understands ({ name, label, secret })
+ *   defaults()         optional fallbacks for unset config (usually env vars)
+ *   validate(settings) error string when the resolved config can't be used, else null
+ *   checkConfig(config) optional: error string for a saved value that is never valid (checked
+ *                       when a destination is created or updated; unset values may come from env)
+ *   format(article, settings, options)  payload for this channel
+ *   send(payload, settings, context)    -> { remoteId, response, threadId }; throws on failure.
+ *                                          context has the deliveryId being recorded, plus
+ *                                          { batchId, batchSize, threadId } when the article is
+ *                                          part of an editorial batch
+ *   update(delivery, payload, settings) optional: edit a delivered post in place -> response
+ *   remove(delivery, settings)          optional: delete a delivered post -> response
+ *   durable                             optional: true sends through the outbox (below)
+ *
+ * deliver() records each attempt in `article_deliveries` with its status, error and the
+ * id the remote system gave the post. Adding a channel means adding an adapter here.
+ *
+ * Durable destinations (Distro) go through an outbox in `delivery_jobs`: each send is a job
+ * (queued -> in_flight -> succeeded, or failed and retried with backoff until it is dead).
+ * The first attempt runs right away so the editor sees the result; a background worker
+ * retries the rest, including jobs a restart interrupted. Only a successful attempt records
+ * a 'sent' delivery, so an outage never makes an article look published.
+ */
+
+const database = require('../../database-postgres');
+const webhooks = require('../webhooks');
+const workflow = require('../workflow');
+const distro = require('./distro');
+const telegram = require('./telegram');
+const slack = require('./slack');
+const email = require('./email');
+
+const ADAPTERS = {
+  [distro.type]: distro,
+  [telegram.type]: telegram,
+  [slack.type]: slack,
+  [email.type]: email
+};
+
+const SECRET_MASK = '********';
+
+const OUTBOX_MAX_ATTEMPTS = 6;
+const OUTBOX_BASE_RETRY_SECONDS = 60; // 1m, 2m, 4m, 8m, 16m
+const OUTBOX_MAX_RETRY_SECONDS = 60 * 60;
+const OUTBOX_LEASE_SECONDS = 300; // longer than one send with its in-request retries
+const OUTBOX_POLL_SECONDS = 30;
+const OUTBOX_CLAIM_BATCH_SIZE = 10;
+
+function getAdapter(type) {
+  return ADAPTERS[type] || null;
+}
+
+function listDestinationTypes() {
+  return Object.values(ADAPTERS).map(adapter => ({ type: adapter.type, label: adapter.label, fields: adapter.fields }));
+}
+
+// Keep only the config keys the adapter declares; blank values are dropped so defaults apply
+function cleanConfig(adapter, config) {
+  const cleaned = {};
+  for (const field of adapter.fields) {
+    const value = config[field.name];
+    if (value === undefined || value === null || value === '') continue;
+    cleaned[field.name] = typeof value === 'string' ? value.trim() : value;
+  }
+  return cleaned;
+}
+
+/**
+ * Validate a destination body from the API.
+ * Returns { error } or { destination: { name, type, config, isActive } }.
+ * With partial=true, omitted fields stay undefined (for updates); config is merged by the caller.
+ */
+function normalizeDestinationInput(body = {}, { partial = false } = {}) {
+  const destination = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'Destination name is required' };
+    if (name.length > 100) return { error: 'Destination name must be 100 characters or fewer' };
+    destination.name = name;
+  }
+
+  if (!partial || body.type !== undefined) {
+    if (!getAdapter(body.type)) {
+      return { error: `Destination type must be one of: ${Object.keys(ADAPTERS).join(', ')}` };
+    }
+    destination.type = body.type;
+  }
+
+  if (!partial || body.config !== undefined) {
+    const config = body.config === undefined ? {} : body.config;
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return { error: 'Destination config must be an object' };
+    }
+    destination.config = config;
+  }
+
+  if (!partial || body.is_active !== undefined) {
+    destination.isActive = body.is_active === undefined ? true : Boolean(body.is_active);
+  }
+
+  return { destination };
+}
+
+/**
+ * Apply a config update on top of the stored config. Masked secrets (as returned by the API)
+ * keep their stored value; empty strings clear a key.
+ */
+function mergeConfig(adapter, stored = {}, incoming = {}) {
+  const merged = { ...stored };
+  for (const field of adapter.fields) {
+    if (!(field.name in incoming)) continue;
+    const value = incoming[field.name];
+    if (value === SECRET_MASK) continue;
+    if (value === undefined || value === null || value === '') {
+      delete merged[field.name];
+    } else {
+      merged[field.name] = value;
+    }
+  }
+  return cleanConfig(adapter, merged);
+}
+
+// API view of a destination: secrets replaced with a mask
+function presentDestination(row) {
+  const adapter = getAdapter(row.type);
+  const config = { ...(row.config || {}) };
+  if (adapter) {
+    for (const field of adapter.fields) {
+      if (field.secret && config[field.name]) config[field.name] = SECRET_MASK;
+    }
+  }
+  return { ...row, config, type_label: adapter ? adapter.label : row.type };
+}
+
+function resolveSettings(adapter, destination) {
+  return { ...(adapter.defaults ? adapter.defaults() : {}), ...(destination.config || {}) };
+}
+
+function outboxRetryDelaySeconds(attempts) {
+  return Math.min(OUTBOX_MAX_RETRY_SECONDS, OUTBOX_BASE_RETRY_SECONDS * 2 ** Math.max(0, attempts - 1));
+}
+
+// Job state after an attempt: succeeded, failed (retry scheduled) or dead (out of attempts)
+function nextJobState(sent, attempts) {
+  if (sent) return { status: 'succeeded', retryInSeconds: null };
+  if (attempts >= OUTBOX_MAX_ATTEMPTS) return { status: 'dead', retryInSeconds: null };
+  return { status: 'failed', retryInSeconds: outboxRetryDelaySeconds(attempts) };
+}
+
+// Id shared by the deliveries of one editorial send (threaded channels group on it)
+function createBatchId() {
+  return `batch_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+}
+
+class DestinationService {
+  constructor() {
+    this.outboxInterval = null;
+    this.isProcessingOutbox = false;
+  }
+
+  /**
+   * Send one article to one destination and record the attempt. Never throws;
+   * returns { delivery_id, destination_id, destination, type, status, remote_id, error }.
+   */
+  async deliver(article, destination, options = {}) {
+    const batchId = options.batchId || null;
+    const delivery = await database.createArticleDelivery(article.id, destination.id, batchId);
+    const result = {
+      delivery_id: delivery.id,
+      destination_id: destination.id,
+      destination: destination.name,
+      type: destination.type
+    };
+
+    try {
+      const adapter = getAdapter(destination.type);
+      if (!adapter) throw new Error(`Unknown destination type "${destination.type}"`);
+      if (!destination.is_active) throw new Error(`Destination "${destination.name}" is disabled`);
+
+      const settings = resolveSettings(adapter, destination);
+      const configError = adapter.validate(settings);
+      if (configError) throw new Error(configError);
+
+      const context = { deliveryId: delivery.id, batchId, batchSize: options.batchSize || 1, threadId: null };
+      if (batchId) context.threadId = await database.getBatchThreadId(destination.id, batchId);
+
+      const payload = adapter.format(article, settings, options);
+      const { remoteId, response, threadId = null } = await adapter.send(payload, settings, context);
+
+      await database.updateArticleDelivery(delivery.id, { status: 'sent', remoteId, threadId, response });
+      const moved = await database.markArticleSent(article.id, {
+        actor: options.actor || 'system',
+        note: `Sent to ${destination.name}`,
+        closedStates: workflow.closedStates(workflow.get())
+      });
+      if (!moved) {
+        console.warn(`⚠️ [DELIVERY] Article ${article.id} was closed while it was being sent to ${destination.name}; it keeps its state`);
+      }
+      console.log(`📤 [DELIVERY] "${(article.title || '').substring(0, 60)}" sent to ${destination.name}${remoteId ? ` (remote id ${remoteId})` : ''}`);
+      webhooks.emit('article.sent', {
+        article: { id: article.id, title: article.title, link: article.link, source_name: article.source_name || null },
+        destination: { id: destination.id, name: destination.name, type: destination.type },
+        delivery_id: delivery.id,
+        remote_id: remoteId || null,
+        batch_id: batchId
+      });
+      return { ...result, status: 'sent', remote_id: remoteId || null, error: null };
+    } catch (error) {
+      console.error(`❌ [DELIVERY] "${(article.title || '').substring(0, 60)}" to ${destination.name} failed: ${error.message}`);
+      await database.updateArticleDelivery(delivery.id, { status: 'failed', error: error.message });
+      return { ...result, status: 'failed', remote_id: null, error: error.message };
+    }
+  }
+
+  /**
+   * Send a ready-made payload that isn't an article (a digest email) to a destination. Nothing
+   * is recorded in article_deliveries. Throws on failure, else returns the adapter's send() result.
+   */
+  async sendPayload(destination, payload, context = {}) {
+    const adapter = getAdapter(destination.type);
+    if (!adapter) throw new Error(`Unknown destination type "${destination.type}"`);
+    if (!destination.is_active) throw new Error(`Destination "${destination.name}" is disabled`);
+
+    const settings = resolveSettings(adapter, destination);
+    const configError = adapter.validate(settings);
+    if (configError) throw new Error(configError);
+    return adapter.send(payload, settings, context);
+  }
+
+  /**
+   * Deliver an article to several destinations in order. Returns null when the article doesn't exist.
+   * options.sentSince (a retried send job): destinations that got the article since then are
+   * reported as sent instead of being sent twice.
+   */
+  async deliverArticle(articleId, destinationIds, { sentSince = null, ...options } = {}) {
+    // getArticlesByIds joins the source name the adapters put in their posts
+    const [article] = await database.getArticlesByIds([articleId]);
+    if (!article) return null;
+
+    const alreadySent = new Map();
+    if (sentSince) {
+      const deliveries = (await database.getSuccessfulDeliveriesForArticles([articleId])).get(articleId) || [];
+      for (const delivery of deliveries) {
+        if (new Date(delivery.delivered_at) >= new Date(sentSince)) alreadySent.set(delivery.destination_id, delivery);
+      }
+    }
+
+    const blocked = workflow.sendBlockedReason(article);
+    if (blocked) {
+      return { article, results: destinationIds.map(id => ({ destination_id: id, status: 'failed', remote_id: null, error: blocked })) };
+    }
+
+    const destinations = await database.getDestinationsByIds(destinationIds);
+    const byId = new Map(destinations.map(d => [d.id, d]));
+    const results = [];
+    for (const id of destinationIds) {
+      const destination = byId.get(id);
+      const earlier = alreadySent.get(id);
+      if (earlier) {
+        results.push({ destination_id: id, destination: earlier.destination, type: destination ? destination.type : null, status: 'sent', remote_id: earlier.remote_id || null, error: null, already_sent: true });
+        continue;
+      }
+      if (!destination) {
+        results.push({ destination_id: id, status: 'failed', remote_id: null, error: 'Destination not found' });
+        continue;
+      }
+      const adapter = getAdapter(destination.type);
+      results.push(adapter && adapter.durable
+        ? await this.queueDelivery(article, destination, options)
+        : await this.deliver(article, destination, options));
+    }
+    return { article, results };
+  }
+
+  /**
+   * Put a send in the outbox and make its first attempt now. Returns deliver()'s result plus
+   * job_id / job_status; an article that already has an unfinished job isn't queued twice.
+   */
+  async queueDelivery(article, destination, options = {}) {
+    const job = await database.createDeliveryJob(article.id, destination.id, options, OUTBOX_LEASE_SECONDS);
+    if (!job) {
+      const existing = await database.getActiveDeliveryJob(article.id, destination.id);
+      return {
+        destination_id: destination.id,
+        destination: destination.name,
+        type: destination.type,
+        status: 'queued',
+        remote_id: null,
+        error: 'Already queued for delivery; it will be retried automatically',
+        job_id: existing ? existing.id : null,
+        job_status: existing ? existing.status : null
+      };
+    }
+    return this.runDeliveryJob(job, article, destination);
+  }
+
+  // One attempt of a claimed job; records the outcome on the job
+  async runDeliveryJob(job, article, destination) {
+    const result = await this.deliver(article, destination, job.options || {});
+    const attempts = job.attempts + 1;
+    const { status, retryInSeconds } = nextJobState(result.status === 'sent', attempts);
+    await database.recordDeliveryJobAttempt(job.id, {
+      status,
+      attempts,
+      retryInSeconds,
+      error: result.error || null,
+      deliveryId: result.delivery_id || null
+    });
+    if (status === 'failed') {
+      console.log(`⏳ [OUTBOX] Job ${job.id} to ${destination.name} failed (attempt ${attempts}/${OUTBOX_MAX_ATTEMPTS}); retrying in ${retryInSeconds}s`);
+    } else if (status === 'dead') {
+      console.error(`💀 [OUTBOX] Job ${job.id} to ${destination.name} gave up after ${attempts} attempts: ${result.error}`);
+    }
+    return { ...result, job_id: job.id, job_status: status, retry_in_seconds: retryInSeconds };
+  }
+
+  /**
+   * Run every due outbox job (retries, and jobs left in flight by a restart). One run at a time.
+   */
+  async processOutbox() {
+    if (this.isProcessingOutbox) return 0;
+    this.isProcessingOutbox = true;
+    let processed = 0;
+    try {
+      let claimed;
+      do {
+        claimed = await database.claimDueDeliveryJobs(OUTBOX_CLAIM_BATCH_SIZE, OUTBOX_LEASE_SECONDS);
+        for (const job of claimed) {
+          if (await this.runClaimedJob(job)) processed++;
+        }
+      } while (claimed.length === OUTBOX_CLAIM_BATCH_SIZE);
+    } finally {
+      this.isProcessingOutbox = false;
+    }
+    return processed;
+  }
+
+  /**
+   * Retry a failed or dead job now. Returns null when there is no such job, { error } when it
+   * isn't retryable (already succeeded or in flight), else the attempt's result.
+   */
+  async retryDeliveryJob(jobId) {
+    const existing = await database.getDeliveryJobById(jobId);
+    if (!existing) return null;
+    const job = await database.claimDeliveryJobForRetry(jobId, OUTBOX_LEASE_SECONDS);
+    if (!job) return { error: `Job is ${existing.status}; only failed or dead jobs can be retried` };
+
+    return (await this.runClaimedJob(job)) || { error: 'Article or destination no longer exists' };
+  }
+
+  // Load a claimed job's article and destination and attempt it; null (job marked dead) if either is gone.
+  // A story closed since the job was queued isn't sent: the job is dead with the reason.
+  async runClaimedJob(job) {
+    const [article] = await database.getArticlesByIds([job.article_id]);
+    const destination = await database.getDestinationById(job.destination_id);
+    if (!article || !destination) {
+      await database.recordDeliveryJobAttempt(job.id, { status: 'dead', attempts: job.attempts, error: 'Article or destination no longer exists' });
+      return null;
+    }
+    const blocked = workflow.sendBlockedReason(article);
+    if (blocked) {
+      await database.recordDeliveryJobAttempt(job.id, { status: 'dead', attempts: job.attempts, error: blocked });
+      return { destination_id: destination.id, destination: destination.name, type: destination.type, status: 'failed', remote_id: null, error: blocked, job_id: job.id, job_status: 'dead' };
+    }
+    return this.runDeliveryJob(job, article, destination);
+  }
+
+  startOutbox(pollSeconds = OUTBOX_POLL_SECONDS) {
+    if (this.outboxInterval) return;
+    console.log(`🚀 [OUTBOX] Delivery outbox polling every ${pollSeconds}s`);
+    const run = () => this.processOutbox().catch(err => console.error('❌ [OUTBOX] Outbox run failed:', err.message));
+    run(); // resume jobs a restart left behind
+    this.outboxInterval = setInterval(run, pollSeconds * 1000);
+  }
+
+  stopOutbox() {
+    if (this.outboxInterval) {
+      clearInterval(this.outboxInterval);
+      this.outboxInterval = null;
+    }
+  }
+
+  /**
+   * Deliver several articles as one editorial batch, in order. Destinations that thread
+   * batches (Slack with threadBatches) put every article in a single thread.
+   * Returns { batchId, articles: [{ article_id, title, results }] }; missing articles are reported, not thrown.
+   */
+  async deliverBatch(articleIds, destinationIds, options = {}) {
+    const batchId = createBatchId();
+    const articles = [];
+    for (const articleId of articleIds) {
+      const delivery = await this.deliverArticle(articleId, destinationIds, { ...options, batchId, batchSize: articleIds.length });
+      if (!delivery) {
+        articles.push({ article_id: articleId, title: null, results: [], error: 'Article not found' });
+        continue;
+      }
+      articles.push({ article_id: articleId, title: delivery.article.title, results: delivery.results });
+    }
+    return { batchId, articles };
+  }
+
+  /**
+   * Re-render a delivered post from the article's current text (update) or take it down (remove).
+   * Returns null when the delivery doesn't exist, { error, rejected: true } when the post can't be
+   * changed, { error } when the remote call failed, else { delivery }.
+   */
+  async changeDelivery(deliveryId, action) {
+    const delivery = await database.getArticleDeliveryById(deliveryId);
+    if (!delivery) return null;
+    if (delivery.status !== 'sent') {
+      return { error: `Only sent deliveries can be changed (this one is ${delivery.status})`, rejected: true };
+    }
+
+    const destination = await database.getDestinationById(delivery.destination_id);
+    const adapter = destination && getAdapter(destination.type);
+    if (!adapter || typeof adapter[action] !== 'function') {
+      const verb = action === 'update' ? 'editing' : 'deleting';
+      return { error: `${destination ? destination.name : 'This destination'} does not support ${verb} posts`, rejected: true };
+    }
+
+    const settings = resolveSettings(adapter, destination);
+    try {
+      let response;
+      if (action === 'update') {
+        const [article] = await database.getArticlesByIds([delivery.article_id]);
+        if (!article) return { error: 'Article not found', rejected: true };
+        response = await adapter.update(delivery, adapter.format(article, settings, {}), settings);
+      } else {
+        response = await adapter.remove(delivery, settings);
+      }
+      const updated = await database.markArticleDeliveryChanged(delivery.id, {
+        status: action === 'update' ? 'sent' : 'deleted',
+        response
+      });
+      console.log(`✏️ [DELIVERY] ${action === 'update' ? 'Updated' : 'Deleted'} delivery ${delivery.id} on ${destination.name}`);
+      return { delivery: updated };
+    } catch (error) {
+      console.error(`❌ [DELIVERY] ${action} of delivery ${delivery.id} on ${destination.name} failed: ${error.message}`);
+      return { error: error.message };
+    }
+  }
+}
+
+module.exports = new DestinationService();
+module.exports.getAdapter = getAdapter;
+module.exports.listDestinationTypes = listDestinationTypes;
+module.exports.normalizeDestinationInput = normalizeDestinationInput;
+module.exports.mergeConfig = mergeConfig;
+module.exports.presentDestination = presentDestination;
+module.exports.SECRET_MASK = SECRET_MASK;
+module.exports.OUTBOX_MAX_ATTEMPTS = OUTBOX_MAX_ATTEMPTS;
+module.exports.nextJobState = nextJobState;
@@ -0,0 +1,210 @@
+/**
+ * Slack destination: posts an article as Block Kit blocks (title header, hook, AI summary,
+ * source and a "Read more" button) through an incoming webhook or the chat.postMessage API.
+ *
+ * Only the Web API (bot token + channel) returns the message ts, which is what threads,
+ * chat.update and chat.delete need; webhook posts are fire-and-forget. With threadBatches on,
+ * the first article of an editorial batch opens a thread and the rest of the batch replies in it.
+ * Text is trimmed at sentence/word boundaries to Slack's block limits (150 for headers, 3000 for sections).
+ */
+
+const appConfig = require('../../config');
+const { postWithRetry } = require('./http');
+const { truncateText } = require('./text');
+
+const SLACK_API_URL = 'https://slack.com/api';
+const HEADER_LIMIT = 150;
+const SECTION_LIMIT = 3000;
+const FALLBACK_TEXT_LIMIT = 3000;
+const SOURCE_LIMIT = 200;
+const BUTTON_URL_LIMIT = 3000;
+
+// mrkdwn only needs &, < and > escaped (they delimit links and mentions)
+function escapeMrkdwn(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Truncate, then escape; shrink again if escaping pushed the text back over the limit
+function fitMrkdwn(text, limit) {
+  const raw = String(text || '');
+  let budget = limit;
+  let fitted = escapeMrkdwn(truncateText(raw, budget));
+  while (fitted.length > limit && budget > 0) {
+    budget -= fitted.length - limit;
+    fitted = escapeMrkdwn(truncateText(raw, budget));
+  }
+  return fitted;
+}
+
+function isEnabled(value) {
+  return value === true || value === 'true';
+}
+
+/**
+ * Block Kit message for an article. Returns { text, blocks, truncated }; `text` is the
+ * notification/fallback text Slack shows where blocks can't be rendered.
+ */
+function buildSlackMessage(article) {
+  let truncated = false;
+  const fit = (value, limit) => {
+    const fitted = fitMrkdwn(value, limit);
+    if (fitted !== escapeMrkdwn(value)) truncated = true;
+    return fitted;
+  };
+
+  const title = article.title || 'Untitled Article';
+  const header = truncateText(title, HEADER_LIMIT);
+  if (header !== title) truncated = true;
+  const source = fit(article.source_name || 'Unknown', SOURCE_LIMIT);
+
+  const blocks = [{ type: 'header', text: { type: 'plain_text', text: header, emoji: true } }];
+
+  // Bold only survives on a single line without surrounding spaces
+  const hook = (article.article_hook || '').replace(/\s+/g, ' ').trim();
+  if (hook) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*${fit(hook, SECTION_LIMIT - 2)}*` } });
+  }
+
+  const summary = (article.ai_summary || article.publisher_description || article.preview || '').trim();
+  if (summary) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: fit(summary, SECTION_LIMIT) } });
+  }
+
+  blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `📊 Source: *${source}*` }] });
+
+  if (article.link && article.link.length <= BUTTON_URL_LIMIT) {
+    blocks.push({
+      type: 'actions',
+      elements: [{ type: 'button', text: { type: 'plain_text', text: 'Read more', emoji: true }, url: article.link }]
+    });
+  }
+
+  const text = fitMrkdwn(`📰 ${title} (${article.source_name || 'Unknown'})`, FALLBACK_TEXT_LIMIT);
+  return { text, blocks, truncated };
+}
+
+// Webhook errors come back as plain-text bodies (e.g. "invalid_blocks", "channel_not_found")
+function describeSlackError(error) {
+  const data = error.response && error.response.data;
+  if (data) {
+    const reason = typeof data === 'string' ? data : data.error;
+    return `Slack API error ${error.response.status}${reason ? `: ${reason}` : ''}`;
+  }
+  if (error.request && !error.response) {
+    return 'No response from Slack - Check your webhook URL or Slack status';
+  }
+  return error.message || 'Failed to send to Slack';
+}
+
+// Web API call; Slack answers 200 with ok: false for most failures. Posts are only retried when
+// Slack asks (429 with Retry-After): a timed-out chat.postMessage may still have posted.
+async function callSlackApi(method, body, botToken) {
+  let response;
+  try {
+    response = await postWithRetry(`${SLACK_API_URL}/${method}`, body, {
+      'Content-Type': 'application/json; charset=utf-8',
+      Authorization: `Bearer ${botToken}`
+    }, { label: 'SLACK', timeout: 15000, rateLimitedOnly: true });
+  } catch (error) {
+    throw new Error(describeSlackError(error));
+  }
+  if (!response.data || !response.data.ok) {
+    throw new Error(`Slack ${method} failed: ${(response.data && response.data.error) || 'unknown error'}`);
+  }
+  return response.data;
+}
+
+// chat.update / chat.delete need the channel ID and ts recorded when the message was posted
+function postedMessage(delivery, settings) {
+  const channel = delivery.response && delivery.response.channel;
+  if (!settings.botToken) throw new Error('Editing Slack posts needs a bot token');
+  if (!channel || !delivery.remote_id) throw new Error('This Slack post has no recorded message ts (sent through a webhook?)');
+  return { channel, ts: delivery.remote_id };
+}
+
+module.exports = {
+  type: 'slack',
+  label: 'Slack',
+  fields: [
+    { name: 'webhookUrl', label: 'Incoming webhook URL', secret: true },
+    { name: 'botToken', label: 'Bot token (xoxb-...)', secret: true },
+    { name: 'channel', label: 'Channel ID (with bot token)' },
+    { name: 'threadBatches', label: 'Post each batch as one thread (true | false)' }
+  ],
+
+  // Unset fields fall back to SLACK_WEBHOOK_URL / SLACK_BOT_TOKEN / SLACK_CHANNEL
+  defaults() {
+    return {
+      webhookUrl: appConfig.slack.webhookUrl,
+      botToken: appConfig.slack.botToken,
+      channel: appConfig.slack.channel
+    };
+  },
+
+  validate(settings) {
+    if (settings.botToken) {
+      if (!settings.channel) return 'Slack channel is required when posting with a bot token';
+      return null;
+    }
+    if (!settings.webhookUrl) {
+      return 'Slack webhook URL or bot token not configured. Please set SLACK_WEBHOOK_URL, or SLACK_BOT_TOKEN and SLACK_CHANNEL.';
+    }
+    if (isEnabled(settings.threadBatches)) return 'Threaded batches need a bot token; incoming webhooks cannot reply in threads';
+    return null;
+  },
+
+  format(article, settings) {
+    const { text, blocks, truncated } = buildSlackMessage(article);
+    if (truncated) {
+      console.log(`⚠️ [SLACK] Message for "${(article.title || '').substring(0, 60)}" was truncated to fit Slack block limits`);
+    }
+    const payload = { text, blocks, unfurl_links: false, unfurl_media: false };
+    if (settings.botToken) payload.channel = settings.channel;
+    return payload;
+  },
+
+  async send(payload, settings, context = {}) {
+    if (!settings.botToken) {
+      try {
+        await postWithRetry(settings.webhookUrl, payload, { 'Content-Type': 'application/json' }, { label: 'SLACK', timeout: 15000, rateLimitedOnly: true });
+      } catch (error) {
+        throw new Error(describeSlackError(error));
+      }
+      return { remoteId: null, response: { via: 'webhook' } };
+    }
+
+    const message = { ...payload };
+    let threadId = null;
+    if (isEnabled(settings.threadBatches) && context.batchId) {
+      threadId = context.threadId;
+      if (!threadId) {
+        const stories = context.batchSize > 1 ? `${context.batchSize} stories` : 'New story';
+        const parent = await callSlackApi('chat.postMessage', { channel: settings.channel, text: `🗞️ ${stories} from Scoopstream` }, settings.botToken);
+        threadId = parent.ts;
+      }
+      message.thread_ts = threadId;
+    }
+
+    const data = await callSlackApi('chat.postMessage', message, settings.botToken);
+    return { remoteId: data.ts, threadId, response: { channel: data.channel, ts: data.ts, thread_ts: threadId } };
+  },
+
+  async update(delivery, payload, settings) {
+    const { channel, ts } = postedMessage(delivery, settings);
+    await callSlackApi('chat.update', { channel, ts, text: payload.text, blocks: payload.blocks }, settings.botToken);
+    return { channel, ts, thread_ts: delivery.thread_id || null };
+  },
+
+  async remove(delivery, settings) {
+    const { channel, ts } = postedMessage(delivery, settings);
+    await callSlackApi('chat.delete', { channel, ts }, settings.botToken);
+    return { channel, ts, thread_ts: delivery.thread_id || null };
+  }
+};
+
+module.exports.buildSlackMessage = buildSlackMessage;
+module.exports.escapeMrkdwn = escapeMrkdwn;
@@ -0,0 +1,96 @@
+/**
+ * SMTP sending for the email destination, through nodemailer: one connection per message,
+ * implicit TLS or STARTTLS, and a multipart/alternative (HTML + text) body. Every recipient
+ * gets its own RCPT TO, so the server's verdict is known per address: one rejected recipient
+ * doesn't fail the rest. Bounces that arrive later by email are reported through the API.
+ */
+
+const nodemailer = require('nodemailer');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const EMAIL_PATTERN = /^[^\s@<>()[\],;:"]+@[^\s@<>()[\],;:"]+\.[^\s@<>()[\],;:"]+$/;
+
+function isValidEmail(address) {
+  return typeof address === 'string' && address.length <= 254 && EMAIL_PATTERN.test(address);
+}
+
+/**
+ * Split a list of addresses (array, or a string separated by commas, semicolons or newlines),
+ * lowercased and de-duplicated. Returns { addresses, invalid }.
+ */
+function parseAddressList(value) {
+  const raw = Array.isArray(value) ? value : String(value || '').split(/[,;\n]/);
+  const addresses = [];
+  const invalid = [];
+  for (const entry of raw) {
+    const address = String(entry || '').trim().toLowerCase();
+    if (!address) continue;
+    if (!isValidEmail(address)) invalid.push(address);
+    else if (!addresses.includes(address)) addresses.push(address);
+  }
+  return { addresses, invalid };
+}
+
+// nodemailer's refusal of one recipient (RCPT TO) as { address, code, message }
+function describeRejection(error) {
+  return { address: error.recipient, code: error.responseCode || null, message: error.response || error.message };
+}
+
+/**
+ * Send one message to a list of recipients.
+ * security: 'starttls' (upgrade before auth; required), 'tls' (implicit, usually port 465) or 'none'.
+ * Recipients go in the envelope only; the To header is the list name (or
+ * "undisclosed-recipients") so subscribers don't see each other.
+ * Resolves { messageId, accepted: [address], rejected: [{ address, code, message }], response }
+ * once the server has taken the message; when every recipient is refused nothing is sent and
+ * accepted is empty. Connection, TLS, auth and DATA failures throw (with smtpCode when the
+ * server answered).
+ */
+async function sendMail({
+  host, port = 587, security = 'starttls', username = null, password = null,
+  from, fromName = null, toLabel = null, replyTo = null, recipients, subject, html, text,
+  timeoutMs = DEFAULT_TIMEOUT_MS, clientName = undefined
+}) {
+  const transport = nodemailer.createTransport({
+    host,
+    port: parseInt(port, 10),
+    secure: security === 'tls',
+    requireTLS: security === 'starttls',
+    ignoreTLS: security === 'none',
+    auth: username ? { user: username, pass: password || '' } : undefined,
+    name: clientName,
+    connectionTimeout: timeoutMs,
+    greetingTimeout: timeoutMs,
+    socketTimeout: timeoutMs
+  });
+  const group = String(toLabel || '').replace(/[^\w .-]+/g, '').trim() || 'undisclosed-recipients';
+
+  try {
+    const info = await transport.sendMail({
+      from: fromName ? { name: fromName, address: from } : from,
+      replyTo: replyTo || undefined,
+      subject,
+      html,
+      text,
+      headers: { To: `${group}:;` },
+      envelope: { from, to: recipients }
+    });
+    return {
+      messageId: info.messageId,
+      accepted: info.accepted,
+      rejected: (info.rejectedErrors || []).map(describeRejection),
+      response: info.response
+    };
+  } catch (error) {
+    // Every recipient refused: nothing was sent
+    if (error.code === 'EENVELOPE' && error.rejectedErrors && error.rejectedErrors.length === recipients.length) {
+      return { messageId: null, accepted: [], rejected: error.rejectedErrors.map(describeRejection), response: null };
+    }
+    if (error.responseCode) error.smtpCode = error.responseCode;
+    throw error;
+  } finally {
+    transport.close();
+  }
+}
+
+module.exports = { sendMail, parseAddressList, isValidEmail };
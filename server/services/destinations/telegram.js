@@ -0,0 +1,141 @@
+/**
+ * Telegram destination: posts an HTML-formatted message to a channel (optionally a topic)
+ * through the Bot API. Messages are kept under Telegram's 4096 character limit by trimming
+ * the preview at a sentence or word boundary.
+ */
+
+const axios = require('axios');
+const appConfig = require('../../config');
+const { findTruncationPoint } = require('./text');
+
+const MAX_MESSAGE_LENGTH = 4096;
+const SAFETY_BUFFER = 50;
+
+// Escape HTML special characters for Telegram HTML parse mode
+function escapeHtml(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * 📰 title, preview, link and source as Telegram HTML, trimmed to fit the message limit.
+ * Returns { text, truncated }.
+ */
+function buildTelegramMessage(article) {
+  const title = escapeHtml(article.title || 'Untitled Article');
+  const source = escapeHtml(article.source_name || 'Unknown');
+  const link = escapeHtml(article.link);
+  const build = (preview) => `📰 <b>${title}</b>\n\n${preview}\n\n🔗 <a href="${link}">Read more</a>\n📊 Source: ${source}`;
+
+  let preview = escapeHtml(article.ai_summary || article.publisher_description || article.preview || article.content || 'No preview available');
+  let text = build(preview);
+  if (text.length <= MAX_MESSAGE_LENGTH) return { text, truncated: false };
+
+  // Trim until the whole message fits; each pass cuts at a sentence/word boundary
+  while (text.length > MAX_MESSAGE_LENGTH) {
+    const base = preview.endsWith('...') ? preview.slice(0, -3) : preview;
+    const excess = text.length - MAX_MESSAGE_LENGTH + SAFETY_BUFFER;
+    const target = Math.max(50, base.length - excess - 3);
+    const cut = base.substring(0, findTruncationPoint(base, target)).trim();
+    preview = `${cut.length < base.length ? cut : base.substring(0, target)}...`;
+    text = build(preview);
+    if (target === 50) break;
+  }
+  return { text, truncated: true };
+}
+
+/**
+ * Channel IDs may carry a topic ("-1001234567890_529"); bare numeric channel IDs need the -100 prefix.
+ */
+function parseChatTarget(channelId, messageThreadId) {
+  let chatId = String(channelId);
+  let threadId = messageThreadId || null;
+  if (chatId.includes('_')) {
+    [chatId, threadId] = chatId.split('_');
+  }
+  if (/^\d+$/.test(chatId)) {
+    chatId = `-100${chatId}`;
+  }
+  return { chatId, threadId: threadId ? parseInt(threadId, 10) : null };
+}
+
+// Turn Bot API failures into something an editor can act on
+function describeTelegramError(error) {
+  const data = error.response && error.response.data;
+  if (data) {
+    const errorCodes = {
+      400: 'Bad Request - Check your channel ID or message format',
+      401: 'Unauthorized - Check your bot token',
+      403: 'Forbidden - Bot may not have permission to post to channel',
+      404: 'Chat not found - Check your channel ID'
+    };
+    return data.description || errorCodes[data.error_code] || `Telegram API error ${data.error_code || error.response.status}`;
+  }
+  if (error.request && !error.response) {
+    return 'No response from Telegram API - Check your internet connection or Telegram API status';
+  }
+  return error.message || 'Failed to send to Telegram';
+}
+
+module.exports = {
+  type: 'telegram',
+  label: 'Telegram',
+  fields: [
+    { name: 'botToken', label: 'Bot token', secret: true },
+    { name: 'channelId', label: 'Channel ID or @username' },
+    { name: 'messageThreadId', label: 'Topic (message thread) ID' }
+  ],
+
+  // Unset fields fall back to TELEGRAM_BOT_TOKEN / TELEGRAM_CHANNEL_ID / TELEGRAM_MESSAGE_THREAD_ID
+  defaults() {
+    return {
+      botToken: appConfig.telegram.botToken,
+      channelId: appConfig.telegram.channelId,
+      messageThreadId: appConfig.telegram.messageThreadId
+    };
+  },
+
+  validate(settings) {
+    if (!settings.botToken || !settings.channelId) {
+      return 'Telegram bot token or channel ID not configured. Please set TELEGRAM_BOT_TOKEN and TELEGRAM_CHANNEL_ID in environment variables.';
+    }
+    return null;
+  },
+
+  format(article, settings) {
+    const { text, truncated } = buildTelegramMessage(article);
+    if (truncated) {
+      console.log(`⚠️ [TELEGRAM] Message for "${(article.title || '').substring(0, 60)}" was truncated to fit ${MAX_MESSAGE_LENGTH} characters`);
+    }
+    const { chatId, threadId } = parseChatTarget(settings.channelId, settings.messageThreadId);
+    const payload = {
+      chat_id: chatId,
+      text,
+      parse_mode: 'HTML',
+      disable_web_page_preview: false
+    };
+    if (threadId) payload.message_thread_id = threadId;
+    return payload;
+  },
+
+  async send(payload, settings) {
+    let response;
+    try {
+      response = await axios.post(`https://api.telegram.org/bot${settings.botToken}/sendMessage`, payload, { timeout: 10000 });
+    } catch (error) {
+      throw new Error(describeTelegramError(error));
+    }
+    if (!response.data || !response.data.ok) {
+      throw new Error((response.data && response.data.description) || 'Unknown Telegram API error');
+    }
+    return { remoteId: String(response.data.result.message_id), response: response.data.result };
+  }
+};
+
+module.exports.buildTelegramMessage = buildTelegramMessage;
+module.exports.parseChatTarget = parseChatTarget;
@@ -0,0 +1,46 @@
+/**
+ * Text helpers shared by destination adapters that have to fit a message into a channel's
+ * character limits (Telegram's 4096, Slack's per-block limits, ...).
+ */
+
+// Last sentence end (or else word boundary) at or before targetLength
+function findTruncationPoint(text, targetLength) {
+  if (text.length <= targetLength) return text.length;
+
+  const searchStart = Math.max(0, targetLength - 1000);
+  const searchText = text.substring(searchStart, Math.min(text.length, targetLength + 100));
+  let lastSentenceEnd = -1;
+  for (let i = searchText.length - 1; i >= 0; i--) {
+    if (searchText[i] === '.' && (i + 1 < searchText.length) && /\s/.test(searchText[i + 1])) {
+      lastSentenceEnd = searchStart + i + 1;
+      if (lastSentenceEnd <= targetLength) break;
+    }
+  }
+  if (lastSentenceEnd > searchStart && lastSentenceEnd <= targetLength) {
+    return lastSentenceEnd;
+  }
+
+  const wordSearchStart = Math.max(0, targetLength - 500);
+  const wordSearchText = text.substring(wordSearchStart, Math.min(text.length, targetLength + 50));
+  const lastSpace = wordSearchText.lastIndexOf(' ', targetLength - wordSearchStart);
+  if (lastSpace > 0) {
+    const spacePos = wordSearchStart + lastSpace;
+    if (spacePos <= targetLength) return spacePos;
+  }
+
+  return targetLength;
+}
+
+/**
+ * Cut text to at most maxLength characters (ellipsis included) at a sentence or word
+ * boundary. Text that already fits is returned unchanged.
+ */
+function truncateText(text, maxLength, ellipsis = '...') {
+  const value = String(text || '');
+  if (value.length <= maxLength) return value;
+  const target = Math.max(0, maxLength - ellipsis.length);
+  const cut = value.substring(0, findTruncationPoint(value, target)).trim();
+  return `${cut}${ellipsis}`;
+}
+
+module.exports = { findTruncationPoint, truncateText };
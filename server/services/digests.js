@@ -0,0 +1,661 @@
+/**
+ * Digests
+ *
+ * Compiles a set of articles into a newsletter: HTML for email, Markdown and plain text.
+ * The articles are either picked by id (the Edit & Send list) or found by a query such as
+ * "sent to Distro in the last 24h in category X". They are grouped by category or source
+ * and rendered through a digest template. A saved digest stores the query and template so
+ * the same newsletter can be rebuilt every day.
+ *
+ * Templates use a small Mustache subset:
+ *   {{name}}             value, escaped for the output format (HTML entities, Markdown punctuation)
+ *   {{{name}}}           value, unescaped
+ *   {{#name}}..{{/name}} repeated for each item of a list, or rendered once if the value is truthy
+ *   {{^name}}..{{/name}} rendered when the value is missing, false or an empty list
+ * Names are looked up from the innermost section outwards. A section tag on a line of its
+ * own takes the whole line with it, so Markdown and text templates can put one tag per line.
+ *
+ * A saved digest can also be emailed every day at send_time in its time zone through an email
+ * destination; a worker checks every minute for digests whose slot has come.
+ */
+
+const database = require('../database-postgres');
+const destinations = require('./destinations');
+
+const FORMATS = {
+  html: { contentType: 'text/html', extension: 'html' },
+  markdown: { contentType: 'text/markdown', extension: 'md' },
+  text: { contentType: 'text/plain', extension: 'txt' }
+};
+const GROUP_BY = ['category', 'source', 'none'];
+const MAX_ARTICLES = 200;
+const MAX_SINCE_HOURS = 30 * 24;
+const MAX_TEMPLATE_LENGTH = 100000;
+const DEFAULT_TITLE = 'Daily digest';
+const SCHEDULE_POLL_SECONDS = 60;
+const SEND_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DEFAULT_TEMPLATE = {
+  subject: '{{title}} — {{date}}',
+  html: `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>{{subject}}</title>
+</head>
+<body style="margin:0;padding:24px;background:#f4f4f5;font-family:Arial,Helvetica,sans-serif;color:#18181b;">
+<div style="max-width:640px;margin:0 auto;background:#ffffff;padding:24px;border-radius:8px;">
+<h1 style="font-size:24px;margin:0 0 4px;">{{title}}</h1>
+<p style="margin:0 0 20px;color:#71717a;font-size:14px;">{{date}} · {{article_count_label}}</p>
+{{#intro}}
+<p style="margin:0 0 20px;font-size:15px;line-height:1.5;">{{intro}}</p>
+{{/intro}}
+{{#groups}}
+{{#name}}
+<h2 style="font-size:18px;margin:28px 0 12px;padding-bottom:6px;border-bottom:2px solid #e4e4e7;">{{name}}</h2>
+{{/name}}
+{{#articles}}
+<div style="margin:0 0 22px;">
+<h3 style="font-size:16px;margin:0 0 6px;">{{#link}}<a href="{{link}}" style="color:#1d4ed8;text-decoration:none;">{{title}}</a>{{/link}}{{^link}}{{title}}{{/link}}</h3>
+{{#hook}}
+<p style="margin:0 0 6px;font-size:15px;font-weight:bold;">{{hook}}</p>
+{{/hook}}
+{{#summary}}
+<p style="margin:0 0 6px;font-size:15px;line-height:1.5;">{{summary}}</p>
+{{/summary}}
+<p style="margin:0;color:#71717a;font-size:13px;">{{source_name}}{{#published}} · {{published}}{{/published}}</p>
+</div>
+{{/articles}}
+{{/groups}}
+</div>
+</body>
+</html>
+`,
+  markdown: `# {{title}}
+
+_{{date}} · {{article_count_label}}_
+{{#intro}}
+
+{{intro}}
+{{/intro}}
+{{#groups}}
+{{#name}}
+
+## {{name}}
+{{/name}}
+{{#articles}}
+
+### {{#link}}[{{title}}]({{link}}){{/link}}{{^link}}{{title}}{{/link}}
+{{#hook}}
+
+**{{hook}}**
+{{/hook}}
+{{#summary}}
+
+{{summary}}
+{{/summary}}
+
+_{{source_name}}{{#published}} · {{published}}{{/published}}_
+{{/articles}}
+{{/groups}}
+`,
+  text: `{{title}}
+{{date}} · {{article_count_label}}
+{{#intro}}
+
+{{intro}}
+{{/intro}}
+{{#groups}}
+{{#name}}
+
+== {{name}} ==
+{{/name}}
+{{#articles}}
+
+{{title}}
+{{#hook}}
+{{hook}}
+{{/hook}}
+{{#summary}}
+{{summary}}
+{{/summary}}
+{{source_name}}{{#published}} · {{published}}{{/published}}
+{{#link}}
+{{link}}
+{{/link}}
+{{/articles}}
+{{/groups}}
+`
+};
+
+const ESCAPERS = {
+  html: value => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;'),
+  markdown: value => value.replace(/([\\`*_[\]<>])/g, '\\$1'),
+  text: value => value
+};
+
+const TAG_PATTERN = /\{\{(\{)?\s*([#^/])?\s*([\w.]+)\s*\}?\}\}/g;
+
+/**
+ * Parse a template into a tree of text, variable and section nodes.
+ * Throws with a readable message on unbalanced sections.
+ */
+function parseTemplate(template) {
+  const root = { children: [] };
+  const stack = [root];
+  let cursor = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(template)) !== null) {
+    const [tag, triple, sigil, name] = match;
+    const start = match.index;
+    const end = start + tag.length;
+    let textEnd = start;
+    let next = end;
+
+    // Standalone section tags swallow their line
+    if (sigil) {
+      const lineStart = template.lastIndexOf('\n', start - 1) + 1;
+      let lineEnd = template.indexOf('\n', end);
+      if (lineEnd === -1) lineEnd = template.length;
+      if (lineStart >= cursor && /^[ \t]*$/.test(template.slice(lineStart, start)) && /^[ \t\r]*$/.test(template.slice(end, lineEnd))) {
+        textEnd = lineStart;
+        next = Math.min(lineEnd + 1, template.length);
+      }
+    }
+
+    const parent = stack[stack.length - 1];
+    if (textEnd > cursor) parent.children.push({ type: 'text', value: template.slice(cursor, textEnd) });
+    cursor = next;
+
+    if (sigil === '#' || sigil === '^') {
+      const section = { type: 'section', name, inverted: sigil === '^', children: [] };
+      parent.children.push(section);
+      stack.push(section);
+    } else if (sigil === '/') {
+      if (stack.length === 1 || parent.name !== name) {
+        throw new Error(`Unexpected {{/${name}}}${stack.length > 1 ? ` (expected {{/${parent.name}}})` : ''}`);
+      }
+      stack.pop();
+    } else {
+      parent.children.push({ type: 'variable', name, raw: Boolean(triple) });
+    }
+  }
+
+  if (stack.length > 1) throw new Error(`Unclosed section {{#${stack[stack.length - 1].name}}}`);
+  if (cursor < template.length) root.children.push({ type: 'text', value: template.slice(cursor) });
+  return root.children;
+}
+
+// Resolve a (dotted) name against the section stack, innermost first
+function lookup(stack, name) {
+  if (name === '.') return stack[stack.length - 1];
+  const [head, ...rest] = name.split('.');
+  for (let i = stack.length - 1; i >= 0; i--) {
+    const context = stack[i];
+    if (context && typeof context === 'object' && head in context) {
+      return rest.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), context[head]);
+    }
+  }
+  return undefined;
+}
+
+function renderNodes(nodes, stack, escape) {
+  let output = '';
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'variable') {
+      const value = lookup(stack, node.name);
+      if (value === undefined || value === null) continue;
+      output += node.raw ? String(value) : escape(String(value));
+    } else {
+      const value = lookup(stack, node.name);
+      const empty = !value || (Array.isArray(value) && value.length === 0);
+      if (node.inverted) {
+        if (empty) output += renderNodes(node.children, stack, escape);
+      } else if (!empty) {
+        const items = Array.isArray(value) ? value : [value];
+        for (const item of items) output += renderNodes(node.children, [...stack, item], escape);
+      }
+    }
+  }
+  return output;
+}
+
+function renderTemplate(template, view, format = 'text') {
+  return renderNodes(parseTemplate(template), [view], ESCAPERS[format] || ESCAPERS.text);
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+function formatDate(date, timeZone, withYear = true) {
+  return date.toLocaleDateString('en-US', {
+    timeZone,
+    weekday: withYear ? 'long' : undefined,
+    month: withYear ? 'long' : 'short',
+    day: 'numeric',
+    year: withYear ? 'numeric' : undefined
+  });
+}
+
+// One digest entry; the summary prefers the AI summary and falls back to the publisher's description
+function presentEntry(article, timeZone) {
+  const published = article.pub_date || article.created_at;
+  return {
+    id: article.id,
+    title: article.title || 'Untitled article',
+    link: isHttpUrl(article.link) ? article.link : null,
+    source_name: article.source_name || 'Unknown source',
+    category: article.category || null,
+    hook: article.article_hook || null,
+    summary: article.ai_summary || article.publisher_description || null,
+    ai_summary: article.ai_summary || null,
+    publisher_description: article.publisher_description || null,
+    published: published ? formatDate(new Date(published), timeZone, false) : null,
+    pub_date: published ? new Date(published).toISOString() : null
+  };
+}
+
+/**
+ * Build the template view: digest-level fields plus `groups`, each { name, article_count, articles }.
+ * Groups are alphabetical with "Uncategorized" / "Unknown source" last; articles newest first.
+ * With groupBy 'none' there is one group whose name is null.
+ */
+function buildDigestView(articles, { title = DEFAULT_TITLE, intro = null, groupBy = 'category', timeZone = 'UTC', now = new Date() } = {}) {
+  const entries = articles
+    .map(article => presentEntry(article, timeZone))
+    .sort((a, b) => (b.pub_date || '').localeCompare(a.pub_date || ''));
+
+  const fallback = groupBy === 'source' ? 'Unknown source' : 'Uncategorized';
+  const groupMap = new Map();
+  for (const entry of entries) {
+    let name = null;
+    if (groupBy === 'category') name = entry.category || fallback;
+    if (groupBy === 'source') name = entry.source_name || fallback;
+    if (!groupMap.has(name)) groupMap.set(name, []);
+    groupMap.get(name).push(entry);
+  }
+  const groups = [...groupMap.entries()]
+    .sort(([a], [b]) => {
+      if (a === b) return 0;
+      if (a === fallback) return 1;
+      if (b === fallback) return -1;
+      return String(a).localeCompare(String(b));
+    })
+    .map(([name, groupArticles]) => ({ name, article_count: groupArticles.length, articles: groupArticles }));
+
+  return {
+    title,
+    intro,
+    date: formatDate(now, timeZone),
+    generated_at: now.toISOString(),
+    article_count: entries.length,
+    article_count_label: `${entries.length} ${entries.length === 1 ? 'story' : 'stories'}`,
+    group_count: groups.length,
+    groups
+  };
+}
+
+/**
+ * Render a digest in every format. Template fields left empty fall back to the default template.
+ * Returns { subject, html, markdown, text, article_count, group_count }.
+ */
+function renderDigest(articles, template = {}, options = {}) {
+  const view = buildDigestView(articles, options);
+  const pick = field => (template[field] && template[field].trim() ? template[field] : DEFAULT_TEMPLATE[field]);
+  const subject = renderTemplate(pick('subject'), view, 'text').replace(/\s+/g, ' ').trim();
+  const withSubject = { ...view, subject };
+  return {
+    subject,
+    html: renderTemplate(pick('html'), withSubject, 'html'),
+    markdown: renderTemplate(pick('markdown'), withSubject, 'markdown'),
+    text: renderTemplate(pick('text'), withSubject, 'text'),
+    article_count: view.article_count,
+    group_count: view.group_count
+  };
+}
+
+// File name for a download, e.g. daily-digest-2026-03-02.md
+function digestFilename(title, format, now = new Date()) {
+  const slug = String(title || DEFAULT_TITLE).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'digest';
+  return `${slug}-${now.toISOString().substring(0, 10)}.${FORMATS[format].extension}`;
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function parseOptionalId(value) {
+  if (value === undefined || value === null || value === '') return { id: null };
+  const id = parseInt(value, 10);
+  return isNaN(id) ? { error: true } : { id };
+}
+
+/**
+ * Validate an article query: { destination?, sinceHours?, category?, sourceId? }.
+ * destination is a destination id or key (e.g. 'distro') and restricts to articles sent there
+ * within the window; without it the window applies to when articles were added.
+ */
+function normalizeDigestQuery(query) {
+  if (!query || typeof query !== 'object' || Array.isArray(query)) return { error: 'query must be an object' };
+
+  const sinceHours = query.sinceHours === undefined ? 24 : parseInt(query.sinceHours, 10);
+  if (isNaN(sinceHours) || sinceHours < 1 || sinceHours > MAX_SINCE_HOURS) {
+    return { error: `sinceHours must be between 1 and ${MAX_SINCE_HOURS}` };
+  }
+
+  let destination = null;
+  if (query.destination !== undefined && query.destination !== null && query.destination !== '') {
+    destination = /^\d+$/.test(String(query.destination)) ? parseInt(query.destination, 10) : String(query.destination).trim();
+  }
+
+  const sourceId = parseOptionalId(query.sourceId);
+  if (sourceId.error) return { error: 'sourceId must be a source ID' };
+
+  const category = typeof query.category === 'string' && query.category.trim() ? query.category.trim() : null;
+  return { query: { destination, sinceHours, category, sourceId: sourceId.id } };
+}
+
+/**
+ * Validate a digest request: articleIds or query (exactly one), plus
+ * { title?, intro?, groupBy?, templateId?, timeZone? }. A saved digest needs a name and a
+ * query (article ids aren't worth keeping), and can have a daily email:
+ * { emailDestinationId, sendTime: 'HH:MM' } in its timeZone. Returns { error } or { digest }.
+ */
+function normalizeDigestInput(body = {}, { saved = false } = {}) {
+  const digest = {};
+
+  if (saved) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'Digest name is required' };
+    if (name.length > 100) return { error: 'Digest name must be 100 characters or fewer' };
+    digest.name = name;
+  }
+
+  const hasIds = body.articleIds !== undefined;
+  if (saved && hasIds) return { error: 'A saved digest uses a query, not article IDs' };
+  if (hasIds === (body.query !== undefined)) return { error: 'Provide either articleIds or query' };
+
+  if (hasIds) {
+    const rawIds = Array.isArray(body.articleIds) ? body.articleIds : [];
+    const articleIds = [...new Set(rawIds.map(id => parseInt(id, 10)).filter(id => !isNaN(id)))];
+    if (articleIds.length === 0) return { error: 'At least one article ID is required' };
+    if (articleIds.length > MAX_ARTICLES) return { error: `A digest can include at most ${MAX_ARTICLES} articles` };
+    digest.articleIds = articleIds;
+  } else {
+    const { error, query } = normalizeDigestQuery(body.query);
+    if (error) return { error };
+    digest.query = query;
+  }
+
+  const title = typeof body.title === 'string' && body.title.trim() ? body.title.trim() : DEFAULT_TITLE;
+  if (title.length > 200) return { error: 'Title must be 200 characters or fewer' };
+  digest.title = title;
+  digest.intro = typeof body.intro === 'string' && body.intro.trim() ? body.intro.trim().substring(0, 2000) : null;
+
+  digest.groupBy = body.groupBy === undefined ? 'category' : body.groupBy;
+  if (!GROUP_BY.includes(digest.groupBy)) return { error: `groupBy must be one of: ${GROUP_BY.join(', ')}` };
+
+  const templateId = parseOptionalId(body.templateId);
+  if (templateId.error) return { error: 'templateId must be a template ID' };
+  digest.templateId = templateId.id;
+
+  digest.timeZone = body.timeZone || 'UTC';
+  if (!isValidTimeZone(digest.timeZone)) return { error: `Unknown time zone: ${body.timeZone}` };
+
+  if (saved) {
+    const emailDestinationId = parseOptionalId(body.emailDestinationId);
+    if (emailDestinationId.error) return { error: 'emailDestinationId must be a destination ID' };
+    digest.emailDestinationId = emailDestinationId.id;
+
+    digest.sendTime = body.sendTime ? String(body.sendTime).trim() : null;
+    if (digest.sendTime && !SEND_TIME_PATTERN.test(digest.sendTime)) return { error: 'sendTime must be HH:MM (24-hour)' };
+    if (digest.sendTime && !digest.emailDestinationId) return { error: 'A daily send needs an email destination' };
+  }
+
+  return { digest };
+}
+
+// Wall-clock date and time of an instant in a time zone
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date);
+  const get = type => parseInt(parts.find(part => part.type === type).value, 10);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+}
+
+// The instant a wall-clock time happens in a time zone (second pass settles DST changes)
+function zonedTimeToUtc({ year, month, day, hour, minute }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = instant => {
+    const p = zonedParts(new Date(instant), timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - instant;
+  };
+  const guess = wallClock - offsetAt(wallClock);
+  return new Date(wallClock - offsetAt(guess));
+}
+
+/**
+ * Most recent daily slot at or before now: today's sendTime in timeZone if it has passed,
+ * else yesterday's.
+ */
+function lastScheduledSlot(sendTime, timeZone, now = new Date()) {
+  const [hour, minute] = sendTime.split(':').map(Number);
+  const today = zonedParts(now, timeZone);
+  const slot = zonedTimeToUtc({ ...today, hour, minute }, timeZone);
+  if (slot <= now) return slot;
+  const yesterday = new Date(Date.UTC(today.year, today.month - 1, today.day - 1));
+  return zonedTimeToUtc({
+    year: yesterday.getUTCFullYear(), month: yesterday.getUTCMonth() + 1, day: yesterday.getUTCDate(), hour, minute
+  }, timeZone);
+}
+
+/**
+ * The slot a saved digest should be emailed for now, or null. A slot is due once, and only
+ * if it came after the digest was created (a new 08:00 digest saved at 10:00 starts tomorrow).
+ */
+function dueSlot(saved, now = new Date()) {
+  if (!saved.send_time || !saved.email_destination_id) return null;
+  const slot = lastScheduledSlot(saved.send_time, saved.time_zone || 'UTC', now);
+  const since = saved.last_run_at || saved.created_at;
+  return !since || slot > new Date(since) ? slot : null;
+}
+
+/**
+ * Validate a template body: { name, subject?, html?, markdown?, text? }. Formats left empty use
+ * the default template. Returns { error } or { template }.
+ */
+function normalizeTemplateInput(body = {}) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name) return { error: 'Template name is required' };
+  if (name.length > 100) return { error: 'Template name must be 100 characters or fewer' };
+
+  const template = { name };
+  for (const field of ['subject', 'html', 'markdown', 'text']) {
+    const value = typeof body[field] === 'string' && body[field].trim() ? body[field] : null;
+    if (value && value.length > MAX_TEMPLATE_LENGTH) {
+      return { error: `The ${field} template must be ${MAX_TEMPLATE_LENGTH} characters or fewer` };
+    }
+    if (value) {
+      try {
+        parseTemplate(value);
+      } catch (error) {
+        return { error: `The ${field} template is invalid: ${error.message}` };
+      }
+    }
+    template[field] = value;
+  }
+  return { template };
+}
+
+class DigestService {
+  constructor() {
+    this.pollInterval = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Find the articles for a validated digest. Returns { error } when the destination is
+   * unknown, otherwise { articles }.
+   */
+  async resolveArticles(digest) {
+    if (digest.articleIds) {
+      return { articles: await database.getArticlesByIds(digest.articleIds) };
+    }
+
+    const { destination, sinceHours, category, sourceId } = digest.query;
+    let destinationId = null;
+    if (destination !== null && destination !== undefined) {
+      const row = typeof destination === 'number'
+        ? await database.getDestinationById(destination)
+        : await database.getDestinationByKey(destination);
+      if (!row) return { error: `Destination not found: ${destination}` };
+      destinationId = row.id;
+    }
+    const articles = await database.getDigestArticles({ destinationId, sinceHours, category, sourceId, limit: MAX_ARTICLES });
+    return { articles };
+  }
+
+  /**
+   * Build a digest from a validated request. Returns { error } for an unknown template or
+   * destination, otherwise { digest: { subject, html, markdown, text, article_count, group_count } }.
+   */
+  async build(digest, now = new Date()) {
+    let template = {};
+    if (digest.templateId) {
+      template = await database.getDigestTemplateById(digest.templateId);
+      if (!template) return { error: 'Digest template not found' };
+    }
+
+    const { error, articles } = await this.resolveArticles(digest);
+    if (error) return { error };
+
+    const options = { title: digest.title, intro: digest.intro, groupBy: digest.groupBy, timeZone: digest.timeZone, now };
+    return { digest: renderDigest(articles, template, options) };
+  }
+
+  // Build a saved digest (a saved_digests row) with the current articles; same result as build()
+  async buildSaved(saved, { timeZone = saved.time_zone || 'UTC' } = {}, now = new Date()) {
+    return this.build({
+      query: saved.query,
+      title: saved.title,
+      intro: saved.intro,
+      groupBy: saved.group_by,
+      templateId: saved.template_id,
+      timeZone
+    }, now);
+  }
+
+  /**
+   * Email a saved digest to its email destination now. Never throws; records the outcome on the
+   * digest and returns { status: 'sent' | 'skipped' | 'failed', error, article_count, accepted, rejected }.
+   * A digest with no matching articles is skipped rather than sent empty.
+   */
+  async sendSavedDigest(saved, now = new Date()) {
+    let outcome;
+    try {
+      const destination = saved.email_destination_id ? await database.getDestinationById(saved.email_destination_id) : null;
+      if (!destination || destination.type !== 'email') {
+        outcome = { status: 'failed', error: 'This digest has no email destination' };
+      } else {
+        const built = await this.buildSaved(saved, {}, now);
+        if (built.error) {
+          outcome = { status: 'failed', error: built.error };
+        } else if (built.digest.article_count === 0) {
+          outcome = { status: 'skipped', error: null, article_count: 0 };
+        } else {
+          const { subject, html, text, article_count: articleCount } = built.digest;
+          const { response } = await destinations.sendPayload(destination, { subject, html, text }, { savedDigestId: saved.id });
+          outcome = { status: 'sent', error: null, article_count: articleCount, accepted: response.accepted, rejected: response.rejected };
+        }
+      }
+    } catch (error) {
+      outcome = { status: 'failed', error: error.message };
+    }
+
+    await database.recordSavedDigestSend(saved.id, { sent: outcome.status === 'sent', error: outcome.error })
+      .catch(error => console.error(`❌ [DIGESTS] Could not record send of "${saved.name}":`, error.message));
+    if (outcome.status === 'sent') {
+      console.log(`📧 [DIGESTS] "${saved.name}" emailed (${outcome.article_count} stories, ${outcome.accepted} recipient(s))`);
+    } else if (outcome.status === 'skipped') {
+      console.log(`⏭️ [DIGESTS] "${saved.name}" had no stories; nothing sent`);
+    } else {
+      console.error(`❌ [DIGESTS] "${saved.name}" could not be emailed: ${outcome.error}`);
+    }
+    return outcome;
+  }
+
+  /**
+   * Email every saved digest whose daily slot has come. Each slot is claimed first, so it is
+   * sent once. Returns the number of digests handled; one run at a time per process.
+   */
+  async processScheduled(now = new Date()) {
+    if (this.isProcessing) return 0;
+    this.isProcessing = true;
+    let handled = 0;
+    try {
+      const scheduled = await database.getScheduledSavedDigests();
+      for (const saved of scheduled) {
+        const slot = dueSlot(saved, now);
+        if (!slot) continue;
+        const claimed = await database.claimSavedDigestRun(saved.id, slot, saved.last_run_at);
+        if (!claimed) continue;
+        await this.sendSavedDigest(claimed, now);
+        handled++;
+      }
+    } finally {
+      this.isProcessing = false;
+    }
+    return handled;
+  }
+
+  start(pollSeconds = SCHEDULE_POLL_SECONDS) {
+    if (this.pollInterval) return;
+    console.log(`🚀 [DIGESTS] Checking for due digest emails every ${pollSeconds}s`);
+    const run = () => this.processScheduled().catch(err => console.error('❌ [DIGESTS] Run failed:', err.message));
+    run();
+    this.pollInterval = setInterval(run, pollSeconds * 1000);
+  }
+
+  stop() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
+  }
+}
+
+module.exports = new DigestService();
+module.exports.FORMATS = FORMATS;
+module.exports.GROUP_BY = GROUP_BY;
+module.exports.DEFAULT_TEMPLATE = DEFAULT_TEMPLATE;
+module.exports.parseTemplate = parseTemplate;
+module.exports.renderTemplate = renderTemplate;
+module.exports.buildDigestView = buildDigestView;
+module.exports.renderDigest = renderDigest;
+module.exports.digestFilename = digestFilename;
+module.exports.isValidTimeZone = isValidTimeZone;
+module.exports.normalizeDigestQuery = normalizeDigestQuery;
+module.exports.normalizeDigestInput = normalizeDigestInput;
+module.exports.normalizeTemplateInput = normalizeTemplateInput;
+module.exports.lastScheduledSlot = lastScheduledSlot;
+module.exports.dueSlot = dueSlot;
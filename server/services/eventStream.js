@@ -0,0 +1,119 @@
+/**
+ * Server-Sent Events stream
+ *
+ * Pushes what the monitor is doing to open browser tabs as it happens, so the
+ * landing page and Sources manager don't have to poll or re-fetch:
+ *   - check-started / check-progress / check-finished   (a full "Check Now" or scheduled run)
+ *   - source-check-started / source-check-finished     (each source inside a run)
+ *   - article-inserted                                  (a new article card)
+ *   - article-enriched                                  (date/description filled in later)
+ *
+ * Each event gets an increasing id and the last few hundred are kept in memory, so a
+ * browser that reconnects with Last-Event-ID receives what it missed.
+ *
+ * Checks run in the worker process, which has no browsers attached: it sets a relay that
+ * forwards every event to the API over Postgres NOTIFY, and the API publishes it here.
+ */
+
+const HEARTBEAT_SECONDS = 25;
+const REPLAY_BUFFER_SIZE = 200;
+// NOTIFY channel the worker relays its events on
+const RELAY_CHANNEL = 'scoopstream_events';
+
+class EventStream {
+  constructor() {
+    this.clients = new Set();
+    this.buffer = [];
+    this.lastEventId = 0;
+    this.heartbeatInterval = null;
+    this.relay = null;
+  }
+
+  // relay(type, data) also receives every published event (null to stop)
+  setRelay(relay) {
+    this.relay = relay;
+  }
+
+  /**
+   * Attach an Express response as an SSE client; the connection stays open until the browser disconnects.
+   */
+  addClient(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // disable proxy buffering (nginx / Render)
+    });
+    res.write(`retry: 5000\n\n`);
+
+    const lastSeen = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+    if (!isNaN(lastSeen)) {
+      for (const event of this.buffer) {
+        if (event.id > lastSeen) res.write(event.frame);
+      }
+    }
+
+    this.clients.add(res);
+    this.startHeartbeat();
+
+    req.on('close', () => {
+      this.clients.delete(res);
+      if (this.clients.size === 0) this.stopHeartbeat();
+    });
+  }
+
+  /**
+   * Send an event to every connected client. Safe to call with no clients.
+   */
+  publish(type, data = {}) {
+    if (this.relay) {
+      try {
+        this.relay(type, data);
+      } catch (err) {
+        console.error(`❌ [EVENTS] Could not relay ${type}:`, err.message);
+      }
+    }
+
+    const id = ++this.lastEventId;
+    const frame = `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify({ ...data, at: new Date().toISOString() })}\n\n`;
+
+    this.buffer.push({ id, frame });
+    if (this.buffer.length > REPLAY_BUFFER_SIZE) this.buffer.shift();
+
+    for (const res of this.clients) {
+      try {
+        res.write(frame);
+      } catch (err) {
+        this.clients.delete(res);
+      }
+    }
+  }
+
+  startHeartbeat() {
+    if (this.heartbeatInterval) return;
+    // Comment lines keep proxies from closing idle connections
+    this.heartbeatInterval = setInterval(() => {
+      for (const res of this.clients) {
+        try {
+          res.write(': ping\n\n');
+        } catch (err) {
+          this.clients.delete(res);
+        }
+      }
+    }, HEARTBEAT_SECONDS * 1000);
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+  }
+
+  getStatus() {
+    return { clients: this.clients.size, lastEventId: this.lastEventId };
+  }
+}
+
+module.exports = new EventStream();
+module.exports.RELAY_CHANNEL = RELAY_CHANNEL;
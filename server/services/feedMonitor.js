@@ -6,8 +6,152 @@ const FeedDiscovery = require('./feedDiscovery');
 const WebScraper = require('./webScraper');
 const ADKScraper = require('./adkScraper');
 const config = require('../config');
+const sourceScheduler = require('./sourceScheduler');
+const watchlists = require('./watchlists');
+const eventStream = require('./eventStream');
+const webhooks = require('./webhooks');
+const storyClusters = require('./storyClusters');
+const checkRuns = require('./checkRuns');
+const jobQueue = require('./jobQueue');
+const { runPool, createLimiter } = require('./sourcePool');
 
-const parser = new Parser();
+// Pull the metadata rss-parser drops by default: Media RSS images, Atom
+// <updated>/<published>/<category term>/<link rel="enclosure">, and Dublin Core subjects
+const parser = new Parser({
+  customFields: {
+    item: [
+      ['media:thumbnail', 'mediaThumbnails', { keepArray: true }],
+      ['media:content', 'mediaContents', { keepArray: true }],
+      ['media:group', 'mediaGroups', { keepArray: true }],
+      ['category', 'categoryElements', { keepArray: true }],
+      ['dc:subject', 'dcSubjects', { keepArray: true }],
+      ['link', 'linkElements', { keepArray: true }],
+      ['author', 'authorElements', { keepArray: true }],
+      'updated',
+      'published',
+      'dcterms:modified'
+    ]
+  }
+});
+
+const MAX_ITEM_TAGS = 20;
+const IMAGE_URL_PATTERN = /\.(jpe?g|png|gif|webp|avif)(\?|#|$)/i;
+
+// One headless Chromium at a time across the whole process: with feed checks running in
+// parallel, several sources could otherwise launch browsers at once and blow the 512MB limit
+const browserSlot = createLimiter(1);
+
+// Dedupe key of the scrape job for a check run: one check queued or running at a time
+const CHECK_JOB_KEY = 'feed-check';
+// How often a running check looks for a Stop pressed in another process
+const CANCEL_POLL_SECONDS = 5;
+
+// XML text nodes come back from xml2js either as strings or as { _: text, $: attrs }
+function xmlText(value) {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) return xmlText(value[0]);
+  if (typeof value === 'object') {
+    if (value._ !== undefined) return xmlText(value._);
+    if (value.name !== undefined) return xmlText(value.name); // Atom <author><name>, JSON Feed authors
+    if (value.$ && value.$.term) return xmlText(value.$.term); // Atom <category term="...">
+    return null;
+  }
+  const text = String(value).trim();
+  return text || null;
+}
+
+function isImageMedia(attrs = {}) {
+  if (!attrs.url && !attrs.href) return false;
+  if (attrs.medium) return attrs.medium === 'image';
+  if (attrs.type) return /^image\//i.test(attrs.type);
+  return IMAGE_URL_PATTERN.test(attrs.url || attrs.href);
+}
+
+function firstMediaImage(item) {
+  const groups = item.mediaGroups || [];
+  const thumbnails = [
+    ...(item.mediaThumbnails || []),
+    ...groups.flatMap(group => group['media:thumbnail'] || [])
+  ];
+  for (const thumb of thumbnails) {
+    if (thumb && thumb.$ && thumb.$.url) return thumb.$.url;
+  }
+
+  const contents = [
+    ...(item.mediaContents || []),
+    ...groups.flatMap(group => group['media:content'] || [])
+  ];
+  for (const media of contents) {
+    if (media && media.$ && isImageMedia(media.$)) return media.$.url;
+    // <media:content> wrapping its own <media:thumbnail> (e.g. videos)
+    const nested = media && media['media:thumbnail'];
+    if (nested && nested[0] && nested[0].$ && nested[0].$.url) return nested[0].$.url;
+  }
+  return null;
+}
+
+/**
+ * Map the optional metadata of a parsed feed item (RSS 2.0, RSS 1.0/RDF, Atom, or a
+ * JSON Feed item run through jsonFeedToRssLike) onto article columns.
+ * Returns { author, tags, imageUrl, updatedAtSource }; missing values are null / [].
+ */
+function extractItemMetadata(item) {
+  // Authors: dc:creator / RSS <author> / Atom <author><name> / JSON Feed authors
+  const authorNames = [];
+  const addAuthor = value => {
+    const name = xmlText(value);
+    if (name && !authorNames.some(existing => existing.toLowerCase() === name.toLowerCase())) {
+      authorNames.push(name);
+    }
+  };
+  (item.authors || []).forEach(addAuthor);
+  (item.authorElements || []).forEach(addAuthor);
+  [item.creator, item['dc:creator'], item.author].forEach(addAuthor);
+
+  // Tags: RSS <category>, Atom <category term>, dc:subject, JSON Feed tags
+  const tags = [];
+  const addTag = value => {
+    const tag = xmlText(value);
+    if (tag && tag.length <= 100 && !tags.some(existing => existing.toLowerCase() === tag.toLowerCase())) {
+      tags.push(tag);
+    }
+  };
+  [item.categories, item.categoryElements, item.dcSubjects, item.tags].forEach(list => {
+    if (Array.isArray(list)) list.forEach(addTag);
+    else if (list) addTag(list);
+  });
+
+  // Lead image: Media RSS > image enclosure > Atom enclosure link > iTunes > JSON Feed image/banner_image
+  let imageUrl = firstMediaImage(item);
+  if (!imageUrl && item.enclosure && isImageMedia(item.enclosure)) {
+    imageUrl = item.enclosure.url;
+  }
+  if (!imageUrl) {
+    const enclosureLink = (item.linkElements || []).find(link => link && link.$ && link.$.rel === 'enclosure' && isImageMedia(link.$));
+    if (enclosureLink) imageUrl = enclosureLink.$.href;
+  }
+  if (!imageUrl && item.itunes && item.itunes.image) {
+    imageUrl = item.itunes.image;
+  }
+  if (!imageUrl) {
+    imageUrl = item.image || item.bannerImage || null;
+  }
+
+  // Atom <updated> (rss-parser folds it into pubDate when <published> is missing), dcterms:modified, JSON Feed date_modified
+  let updatedAtSource = null;
+  const updatedValue = xmlText(item.updated) || xmlText(item['dcterms:modified']);
+  if (updatedValue) {
+    const parsed = new Date(updatedValue);
+    if (!isNaN(parsed.getTime())) updatedAtSource = parsed.toISOString();
+  }
+
+  return {
+    author: authorNames.length > 0 ? authorNames.join(', ').substring(0, 500) : null,
+    tags: tags.slice(0, MAX_ITEM_TAGS),
+    imageUrl: imageUrl && /^https?:\/\//i.test(imageUrl) ? imageUrl : null,
+    updatedAtSource
+  };
+}
 
 // Lightweight URL validator to avoid storing obvious 404 / error pages
 async function isArticleUrlLikelyValid(link, sourceName = 'Unknown') {
@@ -48,8 +192,6 @@ async function isArticleUrlLikelyValid(link, sourceName = 'Unknown') {
 
 class FeedMonitor {
   constructor() {
-    this.isMonitoring = false;
-    this.monitoringInterval = null;
     this.feedDiscovery = new FeedDiscovery();
     this.webScraper = new WebScraper();
     // ADK: only when SCOOPSTREAM_MODE=v2 (and SCOOPSTREAM_ENABLE_ADK is not false). V1 never uses ADK.
@@ -59,19 +201,141 @@ class FeedMonitor {
     if (!this.enableAdk) {
       console.log('⚙️ [CONFIG] ADK disabled for this instance (RSS + scraping only).');
     }
-    this.isScrapingInProgress = false; // Lock to prevent concurrent scraping
     this.isCheckNowCancelled = false; // Flag to cancel "Check Now" operation
     this.currentCheckOperation = null; // Track current check operation for status
   }
   
-  // Cancel the current "Check Now" operation
-  cancelCheckNow() {
-    if (this.currentCheckOperation) {
-      console.log('🛑 [CHECK NOW] Cancellation requested by user');
-      this.isCheckNowCancelled = true;
-      return { success: true, message: 'Cancellation requested. Will stop after current source completes.' };
+  /**
+   * Queue a manual check, of every active source or of a selection from
+   * checkRuns.normalizeCheckSelection. Returns { run } for the new run right away,
+   * { alreadyRunning: true, runId } when a check is queued or in progress, or
+   * { noSources: true } when the selection matches no active source.
+   */
+  async startManualCheck({ requestedBy = null, selection = null } = {}) {
+    let sources = null;
+    if (selection) {
+      sources = await checkRuns.resolveSources(selection);
+      if (sources.length === 0) return { noSources: true };
+    }
+    return this.queueCheck({ trigger: 'manual', requestedBy, selection, sources });
+  }
+
+  /**
+   * Create a check run and queue it as a scrape job for the worker (runCheckJob). sources: the
+   * rows to check, in order (null: every active source when the job runs). One check at a time:
+   * returns { alreadyRunning: true, runId } while another is queued or running, else { run }.
+   */
+  async queueCheck({ trigger, requestedBy = null, selection = null, sources = null }) {
+    const active = await jobQueue.findActive(CHECK_JOB_KEY);
+    if (active) return { alreadyRunning: true, runId: active.payload.runId || null };
+
+    const run = await checkRuns.create({ trigger, requestedBy, selection });
+    const { duplicate } = await jobQueue.enqueue('scrape', {
+      runId: run.id,
+      trigger,
+      sourceIds: sources ? sources.map(source => source.id) : null
+    }, { dedupeKey: CHECK_JOB_KEY, requestedBy });
+    if (duplicate) {
+      // Another request queued one in between (a double click)
+      await checkRuns.finish(run.id, { status: 'skipped', error: 'Another check was queued first' });
+      return { alreadyRunning: true, runId: duplicate.payload.runId || null };
     }
-    return { success: false, message: 'No check operation in progress' };
+    return { run };
+  }
+
+  /**
+   * Worker side of queueCheck: run the check a scrape job describes. A retried job whose run
+   * an earlier attempt already started gets a fresh run. Stop (cancelCheckNow, possibly in
+   * another process) is picked up from the run row. Returns a summary for the job's result.
+   */
+  async runCheckJob(payload, { job = null } = {}) {
+    let runId = payload.runId || null;
+    const previous = runId ? await database.getCheckRunById(runId) : null;
+    if (!previous || previous.status !== 'queued') {
+      if (previous && previous.status === 'running') {
+        await checkRuns.finish(runId, { status: 'interrupted', error: 'The worker stopped during this check; it was run again' });
+      }
+      const run = await checkRuns.create({
+        trigger: payload.trigger,
+        requestedBy: job ? job.requested_by : null,
+        selection: previous ? previous.selection : null
+      });
+      runId = run.id;
+      if (job) await database.updateJobPayload(job.id, { ...payload, runId });
+    }
+
+    let sources = null;
+    if (payload.sourceIds) {
+      const byId = new Map((await database.getAllSources()).map(source => [source.id, source]));
+      sources = payload.sourceIds.map(id => byId.get(id)).filter(Boolean);
+    }
+
+    this.resetCancellation();
+    const cancelWatch = setInterval(() => {
+      database.isCheckRunCancelRequested(runId)
+        .then(requested => {
+          if (requested) this.isCheckNowCancelled = true;
+        })
+        .catch(err => console.warn(`⚠️  [CHECK NOW] Could not look for a Stop on run ${runId}: ${err.message}`));
+    }, CANCEL_POLL_SECONDS * 1000);
+
+    const runStartedAt = new Date();
+    try {
+      await this.checkAllFeeds(payload.trigger === 'manual', { runId, sources, fromQueue: true });
+    } finally {
+      clearInterval(cancelWatch);
+    }
+
+    // Scheduled runs re-tune adaptive sources from what they found
+    const adaptiveSources = payload.trigger === 'scheduled' && sources
+      ? sources.filter(source => source.schedule_type === 'adaptive')
+      : [];
+    if (adaptiveSources.length > 0) {
+      await sourceScheduler.updateAdaptiveIntervals(adaptiveSources, runStartedAt);
+    }
+
+    const run = await database.getCheckRunById(runId);
+    return {
+      runId,
+      status: run ? run.status : null,
+      processedSources: run ? run.processed_sources : 0,
+      newArticles: run ? run.new_articles : 0
+    };
+  }
+
+  /**
+   * Stop the current check. One still waiting in the queue is dropped; one a worker is running
+   * is flagged on its run, and stops starting sources once the worker notices.
+   */
+  async cancelCheckNow() {
+    const job = await jobQueue.findActive(CHECK_JOB_KEY);
+    const operation = this.currentCheckOperation;
+    if (!job && !operation) {
+      return { success: false, message: 'No check operation in progress' };
+    }
+    console.log('🛑 [CHECK NOW] Cancellation requested by user');
+
+    const runId = job ? job.payload.runId : operation.runId;
+    if (job && job.status === 'queued') {
+      const cancelled = await jobQueue.cancel(job.id);
+      if (cancelled && cancelled.job) {
+        await checkRuns.finish(runId, { status: 'cancelled' });
+        this.publishCheckFinished({
+          runId,
+          trigger: job.payload.trigger === 'manual' ? 'MANUAL' : 'SCHEDULED',
+          cancelled: true,
+          processedSources: 0,
+          totalSources: 0,
+          newArticles: 0,
+          durationMs: 0
+        });
+        return { success: true, message: 'Check cancelled before it started.' };
+      }
+    }
+
+    if (runId) await database.requestCheckRunCancel(runId);
+    if (operation && operation.runId === runId) this.isCheckNowCancelled = true;
+    return { success: true, message: 'Cancellation requested. Will stop once the sources in progress complete.' };
   }
   
   // Check if cancellation was requested
@@ -282,32 +546,30 @@ class FeedMonitor {
   }
 
   // Check all monitored sources for new articles
-  // allowManual: if true, allows the check to run even if monitoring is stopped (for manual triggers)
-  async checkAllFeeds(allowManual = false) {
+  // allowManual: a Check Now (recorded as manual) rather than a scheduled check
+  // options.sources: check only these source rows (used by the per-source scheduler)
+  // options.runId: check_runs row to record into (runCheckJob); otherwise one is created
+  async checkAllFeeds(allowManual = false, options = {}) {
     const startTime = Date.now();
     const triggerType = allowManual ? 'MANUAL' : 'SCHEDULED';
+    let runId = options.runId || null;
     console.log(`\n🚀 [CHECK NOW] Starting ${triggerType} feed check at ${new Date().toISOString()}`);
-    
-    if (!this.isMonitoring && !allowManual) {
-      console.log('⚠️  [CHECK NOW] Feed monitoring is stopped, skipping scheduled check');
+
+    // Nothing to do: close the run we were given and let the client that started it know
+    const skipRun = async (reason) => {
+      if (runId) {
+        await checkRuns.finish(runId, { status: 'skipped', error: reason });
+        this.currentCheckOperation = null;
+        eventStream.publish('check-finished', { runId, trigger: triggerType, skipped: true, reason });
+      }
       return [];
-    }
-    
-    if (!this.isMonitoring && allowManual) {
-      console.log('ℹ️  [CHECK NOW] Feed monitoring is stopped, but allowing manual check');
-    }
+    };
     
-    // Skip if scraping is in progress (re-scrape or other scraping operations)
-    if (this.isScrapingInProgress) {
-      console.log('⏸️  [CHECK NOW] Feed monitoring paused: scraping operation in progress');
-      return [];
-    }
-
     try {
-      const sources = await database.getAllSources();
+      const sources = options.sources || await database.getAllSources();
       if (sources.length === 0) {
         console.log('ℹ️  [CHECK NOW] No sources to check');
-        return [];
+        return skipRun('No sources to check');
       }
 
       // Filter out paused sources
@@ -320,14 +582,14 @@ class FeedMonitor {
 
       if (activeSources.length === 0) {
         console.log('ℹ️  [CHECK NOW] No active sources to check');
-        return [];
+        return skipRun('No active sources to check');
       }
 
       console.log(`🔍 [CHECK NOW] Checking ${activeSources.length} active sources for new articles...`);
       const results = [];
       
-      // Process sources sequentially; for manual checks we skip heavy metadata fetches
-      // and for both manual/auto we now avoid artificial delays to improve speed.
+      // Sources run through a worker pool (RSS lane and browser lane, see sourcePool.js);
+      // for manual checks we skip heavy metadata fetches.
       const isManual = allowManual;
       const BATCH_SIZE = 3; // Process articles in batches to control memory
       let totalNewArticlesProcessed = 0;
@@ -356,10 +618,6 @@ class FeedMonitor {
         return null;
       };
       
-      const MEMORY_LIMIT_MB = 350; // More conservative: stop if we exceed 350MB (was 380MB)
-      const PLAYWRIGHT_MEMORY_LIMIT_MB = 280; // Lower limit: 280MB before allowing Playwright (was 300MB)
-      const CRITICAL_MEMORY_MB = 370; // If we hit this, skip ALL scraping for remainder
-      
       // Track consecutive Playwright fallbacks to prevent memory accumulation
       // If too many ADK failures in a row cause Playwright fallback, skip some to let memory recover
       let consecutivePlaywrightCount = 0;
@@ -375,27 +633,70 @@ class FeedMonitor {
         'Hyper Cycle'
       ];
       
-      // Reset cancellation flag at start of check
-      this.resetCancellation();
-      this.currentCheckOperation = { startTime, totalSources: activeSources.length, processedSources: 0 };
-      
-      for (let i = 0; i < activeSources.length; i++) {
-        // Check for cancellation before processing each source
-        if (this.shouldCancelCheck()) {
-          console.log(`\n🛑 [CHECK NOW] Cancelled by user after processing ${i} of ${activeSources.length} sources`);
-          this.currentCheckOperation = null;
-          return {
-            cancelled: true,
-            processedSources: i,
-            totalSources: activeSources.length,
-            results,
-            message: `Check cancelled. Processed ${i} of ${activeSources.length} sources.`
-          };
+      if (!runId) {
+        runId = await checkRuns.create({ trigger: allowManual ? 'manual' : 'scheduled' })
+          .then(run => run.id)
+          .catch(error => {
+            console.error('❌ [CHECK RUNS] Could not create a run record:', error.message);
+            return null;
+          });
+      }
+      await checkRuns.begin(runId, activeSources.length);
+
+      // Reset cancellation flag at start of check (runCheckJob already did, and a Stop
+      // pressed since then should still count)
+      if (!options.runId) this.resetCancellation();
+      this.currentCheckOperation = { runId, startTime, totalSources: activeSources.length, processedSources: 0 };
+      eventStream.publish('check-started', { runId, trigger: triggerType, totalSources: activeSources.length });
+
+      // Record a source's result (run history, live clients, webhooks) and how far the run has got
+      const pushResult = async (source, startedAt, result) => {
+        results.push(result);
+        await checkRuns.recordSource(runId, source, result, {
+          durationMs: Date.now() - startedAt,
+          memoryMB: getMemoryMB()
+        });
+        eventStream.publish('source-check-finished', {
+          sourceId: source.id,
+          name: source.name,
+          success: result.success,
+          skipped: !!result.skipped,
+          newArticles: result.newArticles,
+          error: result.error || null
+        });
+        if (!result.success && !result.skipped) {
+          webhooks.emit('source.failed', {
+            source: { id: source.id, name: source.name, url: source.url, monitoring_type: source.monitoring_type || 'RSS' },
+            error: result.error || null,
+            trigger: triggerType
+          });
         }
-        
-        const source = activeSources[i];
-        this.currentCheckOperation.processedSources = i + 1;
-        console.log(`\n📊 [CHECK NOW] [${i + 1}/${activeSources.length}] Processing source: ${source.name}`);
+        eventStream.publish('check-progress', {
+          runId,
+          processedSources: results.length,
+          totalSources: activeSources.length,
+          newArticles: results.reduce((sum, r) => sum + (r.newArticles || 0), 0)
+        });
+      };
+      
+      // Feeds and Playwright/ADK sources go in separate lanes; the shared webScraper and
+      // adkScraper are closed after every source, so the browser lane runs one at a time
+      const laneOf = source => ((source.monitoring_type || 'RSS') === 'RSS' ? 'rss' : 'browser');
+      let startedSources = 0;
+
+      // One source, start to finish
+      const checkSource = async (source) => {
+        const index = startedSources++;
+        const sourceStartedAt = Date.now();
+        this.currentCheckOperation.processedSources = index + 1;
+        console.log(`\n📊 [CHECK NOW] [${index + 1}/${activeSources.length}] Processing source: ${source.name}`);
+        eventStream.publish('source-check-started', {
+          sourceId: source.id,
+          name: source.name,
+          monitoringType: source.monitoring_type || 'RSS',
+          index: index + 1,
+          totalSources: activeSources.length
+        });
         
         // Skip problematic sources
         const shouldSkip = SKIP_SOURCES.some(skipPattern => 
@@ -405,7 +706,7 @@ class FeedMonitor {
         
         if (shouldSkip) {
           console.warn(`⚠️  [CHECK NOW] Skipping problematic source "${source.name}" (known to cause memory issues)`);
-          results.push({
+          await pushResult(source, sourceStartedAt, {
             source: source.name,
             url: source.url,
             newArticles: 0,
@@ -413,57 +714,7 @@ class FeedMonitor {
             error: 'Skipped - known problematic source',
             skipped: true
           });
-          continue;
-        }
-        
-        // Memory check: Skip scraping sources if memory is too high (but continue with RSS)
-        const currentMemMB = getMemoryMB();
-        const memDetails = getMemoryDetails();
-        
-        // CRITICAL: Force GC periodically every 5 sources to prevent memory buildup
-        if (i > 0 && i % 5 === 0 && global.gc) {
-          global.gc();
-          const afterGC = getMemoryMB();
-          console.log(`🧹 [CHECK NOW] Periodic GC at source ${i}: ${currentMemMB}MB -> ${afterGC}MB`);
-        }
-        
-        // CRITICAL memory check - if we're too high, skip ALL scraping
-        if (currentMemMB > CRITICAL_MEMORY_MB) {
-          if (source.monitoring_type === 'SCRAPING') {
-            const detailsStr = memDetails ? ` (RSS=${memDetails.rss}MB, heap=${memDetails.heapUsed}MB, external=${memDetails.external}MB)` : '';
-            console.warn(`🚨 [CHECK NOW] CRITICAL memory (${currentMemMB}MB > ${CRITICAL_MEMORY_MB}MB)${detailsStr}. Skipping ALL scraping sources to prevent OOM.`);
-            results.push({
-              source: source.name,
-              url: source.url,
-              newArticles: 0,
-              success: false,
-              error: 'Skipped - critical memory pressure',
-              skipped: true
-            });
-            continue;
-          }
-        } else if (currentMemMB > MEMORY_LIMIT_MB) {
-          if (source.monitoring_type === 'SCRAPING') {
-            const detailsStr = memDetails ? ` (RSS=${memDetails.rss}MB, heap=${memDetails.heapUsed}MB, external=${memDetails.external}MB)` : '';
-            console.warn(`⚠️  [CHECK NOW] Memory usage (${currentMemMB}MB) exceeds limit (${MEMORY_LIMIT_MB}MB)${detailsStr}. Skipping scraping source "${source.name}" to prevent crash.`);
-            results.push({
-              source: source.name,
-              url: source.url,
-              newArticles: 0,
-              success: false,
-              error: 'Skipped due to memory limit',
-              skipped: true
-            });
-            continue; // Skip this scraping source, but continue with others
-          }
-          // RSS feeds are lightweight, so continue processing them
-        }
-        
-        // If memory is getting high, add extra delay and force GC before scraping
-        if (source.monitoring_type === 'SCRAPING' && currentMemMB > 320) {
-          console.warn(`⚠️  [CHECK NOW] Memory is elevated (${currentMemMB}MB), forcing GC before scraping "${source.name}"...`);
-          if (global.gc) global.gc();
-          await new Promise(resolve => setTimeout(resolve, 1500)); // Extra 1.5s delay
+          return;
         }
         
         try {
@@ -591,14 +842,6 @@ class FeedMonitor {
                     `🧹 [CHECK NOW] [${source.name}] Cleaned up ADK session, memory: ${memAfterCleanup}MB`
                   );
                 }
-                // Force GC after EVERY ADK source to prevent memory buildup
-                if (global.gc) {
-                  global.gc();
-                  const memAfterGC = getMemoryMB();
-                  if (memAfterGC > HIGH_MEMORY_MB) {
-                    console.warn(`⚠️ [CHECK NOW] [${source.name}] Memory still high after GC: ${memAfterGC}MB`);
-                  }
-                }
               } catch (cleanupErr) {
                 // Ignore cleanup errors
               }
@@ -625,13 +868,10 @@ class FeedMonitor {
               let skipPlaywright = false;
               let skipReason = '';
               
-              // CRITICAL: If memory is dangerously high, skip Playwright entirely
-              if (currentMemMB > CRITICAL_MEMORY_MB) {
-                skipPlaywright = true;
-                skipReason = `CRITICAL memory ${currentMemMB}MB exceeds ${CRITICAL_MEMORY_MB}MB - skipping to prevent OOM`;
-              } else if (currentMemMB > PLAYWRIGHT_MEMORY_LIMIT_MB) {
+              // Memory can have grown since the pool admitted this source (ADK, parallel feeds)
+              if (currentMemMB > config.checks.browserMemoryBudgetMB) {
                 skipPlaywright = true;
-                skipReason = `Memory ${currentMemMB}MB exceeds Playwright limit (${PLAYWRIGHT_MEMORY_LIMIT_MB}MB)`;
+                skipReason = `Memory ${currentMemMB}MB exceeds the browser budget (${config.checks.browserMemoryBudgetMB}MB)`;
               } else if (playwrightSkipRemaining > 0) {
                 // We're in a cooldown period - skip unless we have our one-time allowance for a source that got 0 from ADK
                 if (allowOneZeroAdkFallbackDuringCooldown) {
@@ -654,18 +894,13 @@ class FeedMonitor {
               if (skipPlaywright) {
                 console.warn(`⚠️  [CHECK NOW] [${source.name}] Skipping Playwright fallback: ${skipReason}`);
                 articles = []; // Skip scraping
-                // Force GC when skipping to help memory
-                if (global.gc) {
-                  global.gc();
-                  console.log(`🧹 [CHECK NOW] Forced GC after skipping Playwright`);
-                }
               } else {
                 console.log(`🔄 [CHECK NOW] [${source.name}] ADK returned 0 articles, falling back to traditional scraper (Playwright/static)...`);
                 consecutivePlaywrightCount++; // Increment counter
                 console.log(`📊 [CHECK NOW] Consecutive Playwright fallbacks: ${consecutivePlaywrightCount}/${MAX_CONSECUTIVE_PLAYWRIGHT}`);
                 
               try {
-                articles = await this.webScraper.scrapeArticles(source);
+                articles = await browserSlot.run(() => this.webScraper.scrapeArticles(source));
                 const fallbackDuration = Date.now() - scrapeStartTime;
                 if (articles.length > 0) {
                   console.log(`✅ [CHECK NOW] [${source.name}] Traditional scraper extracted ${articles.length} articles in ${fallbackDuration}ms`);
@@ -699,29 +934,10 @@ class FeedMonitor {
               console.log(`⏳ [CHECK NOW] [${source.name}] Waiting for Playwright browser cleanup (3s delay)...`);
               await new Promise(resolve => setTimeout(resolve, 3000));
               
-              // Force garbage collection after Playwright cleanup
-              try {
-              if (global.gc) {
-                global.gc();
-                  console.log(`🧹 [CHECK NOW] [${source.name}] Forced garbage collection after Playwright cleanup`);
-              }
-              } catch (gcError) {
-              // Ignore cleanup errors
-            }
-            
               // Mark that Playwright was used so we can add extra delay between sources
               source._playwrightUsed = true;
             }
             
-            // Memory cleanup (for ADK-only sources too)
-            try {
-              if (global.gc) {
-                global.gc();
-              }
-            } catch (gcError) {
-              // Ignore cleanup errors
-            }
-            
             // Small delay for stability (reduced for ADK-only, longer already added for Playwright)
             const delayMs = articles.length > 0 && articles[0].link ? 500 : 1000;
             await new Promise(resolve => setTimeout(resolve, delayMs));
@@ -1088,7 +1304,7 @@ class FeedMonitor {
                       continue;
                     }
                     
-                    await database.addArticle(articleObj);
+                    await this.insertArticle(articleObj);
                     newArticles.push({
                       id: articleObj.sourceId,
                       title: articleObj.title,
@@ -1151,7 +1367,7 @@ class FeedMonitor {
             }
           }
           
-          results.push({
+          await pushResult(source, sourceStartedAt, {
             source: source.name,
             url: source.url,
             newArticles: newArticles.length,
@@ -1159,9 +1375,9 @@ class FeedMonitor {
             monitoring_type: monitoringType
           });
           
-          // MEMORY OPTIMIZATION: Delay between sources to allow memory to settle
+          // MEMORY OPTIMIZATION: Hold the browser lane a moment so memory can settle before its next source
           // V2 mode: ADK creates new sessions for each source - need delay to let GC work
-          if ((monitoringType === 'SCRAPING' || monitoringType === 'ADK') && i < activeSources.length - 1) {
+          if (monitoringType === 'SCRAPING' || monitoringType === 'ADK') {
             // V2 ADK needs longer delay (1.5s) to prevent OOM - sessions/models accumulate
             const delayMs = source._playwrightUsed ? 2000 : (config.mode === 'v2' ? 1500 : 500);
             if (source._playwrightUsed) {
@@ -1177,27 +1393,30 @@ class FeedMonitor {
           }
           
           // Log memory usage if available (for monitoring) - use RSS for total memory
-          if (process.memoryUsage && i % 3 === 0) {
+          if (process.memoryUsage && index % 3 === 0) {
             const memDetails = getMemoryDetails();
             if (memDetails) {
-              console.log(`💾 [CHECK NOW] Memory after source ${i + 1}: RSS=${memDetails.rss}MB (heap=${memDetails.heapUsed}MB, external=${memDetails.external}MB)`);
+              console.log(`💾 [CHECK NOW] Memory after source ${index + 1}: RSS=${memDetails.rss}MB (heap=${memDetails.heapUsed}MB, external=${memDetails.external}MB)`);
             }
           }
         } catch (error) {
           console.error(`❌ [CHECK NOW] [${source.name}] Error checking ${source.monitoring_type || 'RSS'} source:`, error.message);
           
-          // Ensure browser is closed even if error occurred
-          try {
-            await this.webScraper.close();
-            // MEMORY FIX: Also clean up ADK scraper sessions
-            if (this.adkScraper && typeof this.adkScraper.close === 'function') {
-              await this.adkScraper.close();
+          // Ensure browser is closed even if error occurred (only the browser lane uses them;
+          // RSS sources in flight next to this one must not lose theirs)
+          if (laneOf(source) === 'browser') {
+            try {
+              await this.webScraper.close();
+              // MEMORY FIX: Also clean up ADK scraper sessions
+              if (this.adkScraper && typeof this.adkScraper.close === 'function') {
+                await this.adkScraper.close();
+              }
+            } catch (closeError) {
+              // Ignore close errors during error handling
             }
-          } catch (closeError) {
-            // Ignore close errors during error handling
           }
           
-          results.push({
+          await pushResult(source, sourceStartedAt, {
             source: source.name,
             url: source.url,
             newArticles: 0,
@@ -1205,9 +1424,58 @@ class FeedMonitor {
             error: error.message
           });
           
-          // Continue to next source - don't crash the entire process
+          // Continue with the other sources - don't crash the entire process
           console.log(`⏭️  [CHECK NOW] Continuing with next source despite error...`);
         }
+      };
+
+      const { stopped } = await runPool(activeSources, {
+        laneOf,
+        lanes: {
+          rss: { concurrency: config.checks.rssConcurrency, memoryBudgetMB: config.checks.memoryBudgetMB, overBudget: 'run' },
+          browser: { concurrency: 1, memoryBudgetMB: config.checks.browserMemoryBudgetMB, overBudget: 'skip' }
+        },
+        worker: checkSource,
+        // Browser-lane source while memory stays over budget even after GC
+        onSkip: async (source, memoryMB) => {
+          const memDetails = getMemoryDetails();
+          const detailsStr = memDetails ? ` (RSS=${memDetails.rss}MB, heap=${memDetails.heapUsed}MB, external=${memDetails.external}MB)` : '';
+          console.warn(`⚠️  [CHECK NOW] Memory usage (${memoryMB}MB) exceeds the browser budget (${config.checks.browserMemoryBudgetMB}MB)${detailsStr}. Skipping "${source.name}" to prevent crash.`);
+          await pushResult(source, Date.now(), {
+            source: source.name,
+            url: source.url,
+            newArticles: 0,
+            success: false,
+            error: 'Skipped due to memory limit',
+            skipped: true
+          });
+        },
+        shouldStop: () => this.shouldCancelCheck(),
+        getMemoryMB
+      });
+
+      if (stopped) {
+        const processedSources = results.length;
+        console.log(`\n🛑 [CHECK NOW] Cancelled by user after processing ${processedSources} of ${activeSources.length} sources`);
+        this.currentCheckOperation = null;
+        await checkRuns.finish(runId, { status: 'cancelled' });
+        this.publishCheckFinished({
+          runId,
+          trigger: triggerType,
+          cancelled: true,
+          processedSources,
+          totalSources: activeSources.length,
+          newArticles: results.reduce((sum, r) => sum + (r.newArticles || 0), 0),
+          durationMs: Date.now() - startTime
+        });
+        return {
+          cancelled: true,
+          runId,
+          processedSources,
+          totalSources: activeSources.length,
+          results,
+          message: `Check cancelled. Processed ${processedSources} of ${activeSources.length} sources.`
+        };
       }
       
       const totalDuration = Date.now() - startTime;
@@ -1238,16 +1506,66 @@ class FeedMonitor {
       
       // Clear operation tracker
       this.currentCheckOperation = null;
+      await checkRuns.finish(runId, { status: 'completed' });
+      this.publishCheckFinished({
+        runId,
+        trigger: triggerType,
+        cancelled: false,
+        processedSources: results.length,
+        totalSources: activeSources.length,
+        successfulSources,
+        newArticles: totalNewArticles,
+        durationMs: totalDuration
+      });
       
       return results;
     } catch (error) {
       console.error('Error checking all feeds:', error.message || error);
+      await checkRuns.finish(runId, { status: 'failed', error: error.message || String(error) });
       // Clear operation tracker on error
+      if (this.currentCheckOperation) {
+        this.publishCheckFinished({ runId, trigger: triggerType, cancelled: false, error: error.message });
+      }
       this.currentCheckOperation = null;
       throw error;
     }
   }
 
+  // Convert a parsed JSON Feed document to the RSS-like shape rss-parser returns
+  jsonFeedToRssLike(jsonFeed, url) {
+    if (!jsonFeed || !jsonFeed.version || !jsonFeed.items) {
+      throw new Error('Invalid JSON Feed format');
+    }
+
+    // JSON Feed 1.1 uses `authors`; 1.0 used a single `author`. Items inherit the feed's authors.
+    const feedAuthors = jsonFeed.authors || (jsonFeed.author ? [jsonFeed.author] : []);
+
+    return {
+      title: jsonFeed.title || '',
+      description: jsonFeed.description || '',
+      link: jsonFeed.home_page_url || jsonFeed.feed_url || url,
+      items: jsonFeed.items.map(item => {
+        const authors = item.authors || (item.author ? [item.author] : feedAuthors);
+        return {
+          title: item.title || '',
+          link: item.url || item.id || '',
+          pubDate: item.date_published || item.date_modified || null,
+          isoDate: item.date_published || item.date_modified || null,
+          updated: item.date_modified || null,
+          content: item.content_html || item.content_text || item.summary || '',
+          contentSnippet: item.content_text || item.summary || '',
+          description: item.summary || item.content_text || '',
+          author: authors.length > 0 ? authors[0].name : null,
+          authors: authors,
+          tags: Array.isArray(item.tags) ? item.tags : [],
+          image: item.image || null,
+          bannerImage: item.banner_image || null,
+          id: item.id || item.url || ''
+        };
+      })
+    };
+  }
+
   // Check a single feed for new articles
   // Convert JSON Feed to RSS-like format for compatibility
   async parseJSONFeed(url) {
@@ -1260,36 +1578,104 @@ class FeedMonitor {
       });
       
       const jsonFeed = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
-      
-      if (!jsonFeed || !jsonFeed.version || !jsonFeed.items) {
-        throw new Error('Invalid JSON Feed format');
-      }
-      
-      // Convert JSON Feed to RSS-like format
-      const rssLikeFeed = {
-        title: jsonFeed.title || '',
-        description: jsonFeed.description || '',
-        link: jsonFeed.home_page_url || jsonFeed.feed_url || url,
-        items: jsonFeed.items.map(item => ({
-          title: item.title || '',
-          link: item.url || item.id || '',
-          pubDate: item.date_published || item.date_modified || null,
-          isoDate: item.date_published || item.date_modified || null,
-          content: item.content_html || item.content_text || item.summary || '',
-          contentSnippet: item.content_text || item.summary || '',
-          description: item.summary || item.content_text || '',
-          author: item.authors && item.authors.length > 0 ? item.authors[0].name : null,
-          id: item.id || item.url || ''
-        }))
-      };
-      
-      return rssLikeFeed;
+      return this.jsonFeedToRssLike(jsonFeed, url);
     } catch (error) {
       console.error('Error parsing JSON Feed:', error.message);
       throw error;
     }
   }
 
+  // Download an RSS/Atom/JSON feed once and parse it, using the source's stored
+  // ETag / Last-Modified so unchanged feeds come back as a cheap 304.
+  // Returns { notModified: true } on 304, otherwise { feed, fetched }. The caller records
+  // `fetched` (the new validators) with recordFeedFetch only once the items are stored: saved
+  // earlier, a failed ingest would get a 304 next time and its items would never be read.
+  async fetchFeed(source) {
+    const headers = {
+      'User-Agent': 'Mozilla/5.0 (compatible; RSS Feed Parser)',
+      'Accept': 'application/rss+xml, application/atom+xml, application/feed+json, application/json, application/xml;q=0.9, text/xml;q=0.9, */*;q=0.8'
+    };
+    if (source.feed_etag) {
+      headers['If-None-Match'] = source.feed_etag;
+    }
+    if (source.feed_last_modified) {
+      headers['If-Modified-Since'] = source.feed_last_modified;
+    }
+
+    const response = await axios.get(source.url, {
+      timeout: 15000,
+      headers,
+      responseType: 'text',
+      transformResponse: [data => data], // Keep the raw body; we decide how to parse it
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 304
+    });
+
+    const previousStats = (source.last_scraping_result && source.last_scraping_result.conditionalGet) || {};
+
+    if (response.status === 304) {
+      // Nothing changed; count the last full download as bandwidth saved
+      const bytesSaved = previousStats.lastFeedBytes || 0;
+      await this.recordFeedFetch(source, {
+        notModified: true,
+        bytes: 0,
+        bytesSaved,
+        etag: source.feed_etag || null,
+        lastModified: source.feed_last_modified || null
+      });
+      console.log(`📭 [CHECK NOW] [${source.name}] Feed not modified (304), skipped download/parse (~${Math.round(bytesSaved / 1024)}KB saved)`);
+      return { notModified: true };
+    }
+
+    const body = typeof response.data === 'string' ? response.data : String(response.data || '');
+    const bytes = Buffer.byteLength(body, 'utf8');
+    const feed = await this.parseFeedBody(body, response.headers['content-type'], source.url);
+
+    const fetched = {
+      notModified: false,
+      bytes,
+      bytesSaved: 0,
+      etag: response.headers.etag || source.feed_etag || null,
+      lastModified: response.headers['last-modified'] || source.feed_last_modified || null
+    };
+    return { feed, fetched };
+  }
+
+  // Parse a raw RSS/Atom/RDF or JSON Feed body into the rss-parser item shape
+  async parseFeedBody(body, contentType, url) {
+    const type = (contentType || '').toLowerCase();
+    if (type.includes('json') || /^\s*\{/.test(body)) {
+      return this.jsonFeedToRssLike(JSON.parse(body), url);
+    }
+    return parser.parseString(body);
+  }
+
+  // Persist validators and update conditional GET stats in the source's scraping health
+  async recordFeedFetch(source, { notModified, bytes, bytesSaved, etag, lastModified }) {
+    if (!source.id) return;
+    const previous = (source.last_scraping_result && source.last_scraping_result.conditionalGet) || {};
+    const requests = (previous.requests || 0) + 1;
+    const notModifiedCount = (previous.notModified || 0) + (notModified ? 1 : 0);
+    const stats = {
+      requests,
+      notModified: notModifiedCount,
+      hitRate: Math.round((notModifiedCount / requests) * 1000) / 1000,
+      bytesDownloaded: (previous.bytesDownloaded || 0) + bytes,
+      bytesSaved: (previous.bytesSaved || 0) + bytesSaved,
+      lastFeedBytes: notModified ? (previous.lastFeedBytes || 0) : bytes,
+      lastStatus: notModified ? 304 : 200,
+      lastFetchedAt: new Date().toISOString()
+    };
+    try {
+      await database.updateFeedFetchState(source.id, { etag, lastModified, conditionalGet: stats });
+      // Keep the in-memory row current in case the same object is checked again
+      source.feed_etag = etag;
+      source.feed_last_modified = lastModified;
+      source.last_scraping_result = { ...(source.last_scraping_result || {}), conditionalGet: stats };
+    } catch (err) {
+      console.warn(`⚠️  [CHECK NOW] [${source.name}] Could not record feed fetch stats: ${err.message}`);
+    }
+  }
+
   // Check if URL is a JSON Feed
   async isJSONFeed(url) {
     try {
@@ -1319,198 +1705,244 @@ class FeedMonitor {
     }
   }
 
-  // Check feed with limited number of articles (for new sources)
+  // End of a check run: live clients get check-finished, webhook subscribers check.completed
+  publishCheckFinished(summary) {
+    eventStream.publish('check-finished', summary);
+    webhooks.emit('check.completed', summary);
+  }
+
+  // Insert an article, run watchlist rules and story clustering on it and push it to live clients. Returns the new article id.
+  async insertArticle(article) {
+    const articleId = await database.addArticle(article);
+    const watchlistMatches = await watchlists.evaluateArticle(articleId, article);
+    const cluster = await storyClusters.assignArticle(articleId, article);
+
+    const sourceName = article.source_name || article.sourceName || 'Unknown Source';
+    const inserted = {
+      id: articleId,
+      title: article.title,
+      link: article.link,
+      more_info_url: article.link,
+      source_id: article.source_id || article.sourceId || null,
+      source_name: sourceName,
+      source: sourceName,
+      category: article.category || null,
+      pub_date: article.pub_date || article.pubDate || null,
+      created_at: new Date().toISOString(),
+      preview: article.publisher_description || article.publisherDescription || article.preview || null,
+      publisher_description: article.publisher_description || article.publisherDescription || null,
+      author: article.author || null,
+      tags: article.tags || [],
+      image_url: article.image_url || article.imageUrl || null,
+      watchlist_matches: watchlistMatches,
+      cluster_id: cluster ? cluster.clusterId : null,
+      cluster_lead_id: cluster ? cluster.leadArticleId : null
+    };
+    eventStream.publish('article-inserted', {
+      article: inserted,
+      // Lets clients regroup cards that were already on screen (the matched article may have just gained a cluster)
+      cluster
+    });
+    webhooks.emit('article.created', { article: inserted });
+    return articleId;
+  }
+
+  // Insert new articles from parsed feed items (shared by polling and WebSub pushes).
   // allowManual: if true, skip expensive content enhancement to speed up
-  async checkFeedLimited(source, maxArticles = 5, allowManual = false) {
-    try {
-      // Check if it's a JSON Feed first
-      let feed;
-      const isJSON = await this.isJSONFeed(source.url);
-      
-      if (isJSON) {
-        feed = await this.parseJSONFeed(source.url);
-      } else {
-        feed = await parser.parseURL(source.url);
-      }
-      
-      const newArticles = [];
-      
-      // Generate session ID for this batch of articles
-      const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      // Limit to only the most recent articles
-      const limitedItems = feed.items.slice(0, maxArticles);
-      console.log(`📰 [CHECK NOW] Processing ${limitedItems.length} most recent articles from ${source.name} (feed has ${feed.items.length} total, checking up to ${maxArticles})`);
-      
-      let rssFetchBodyCount = 0; // cap fetches when feed has no body (e.g. Medium)
-      for (const item of limitedItems) {
-        try {
-          // Skip if no link
-          if (!item.link) {
-            continue;
-          }
-          
+  async ingestFeedItems(source, items, allowManual = false) {
+    const newArticles = [];
+    
+    // Generate session ID for this batch of articles
+    const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    
+    let rssFetchBodyCount = 0; // cap fetches when feed has no body (e.g. Medium)
+    for (const item of items) {
+      try {
+        // Skip if no link
+        if (!item.link) {
+          continue;
+        }
+        
         // Check if article already exists (exact or normalized link)
         let exists = await database.articleExists(item.link);
         if (!exists && database.articleExistsByNormalizedLink) {
           exists = await database.articleExistsByNormalizedLink(item.link);
         }
-          if (exists) {
-            continue; // Skip existing articles
-          }
-          
-          // Generate AI-enhanced content (skip for manual checks to speed up)
-          const enhancedContent = allowManual 
-            ? { title: item.title || 'Untitled', content: item.content || item.contentSnippet || item.description || '', preview: (item.contentSnippet || item.description || '').substring(0, 200) }
-            : await this.enhanceArticleContent(item);
-          
-          // Extract publication date from multiple possible fields
-          let pubDate = null;
-          const dateFields = [
-            item.pubDate,
-            item.isoDate,
-            item.date,
-            item.published,
-            item['dc:date'],
-            item['atom:published']
-          ];
-          
-          // Debug: Log available date fields for first few articles
-          if (newArticles.length < 3) {
-            console.log(`Debug - Available date fields for "${item.title}":`, {
-              pubDate: item.pubDate,
-              isoDate: item.isoDate,
-              date: item.date,
-              published: item.published,
-              'dc:date': item['dc:date'],
-              'atom:published': item['atom:published']
-            });
-          }
-          
-          for (const dateField of dateFields) {
-            if (dateField) {
-              try {
-                pubDate = new Date(dateField);
-                if (!isNaN(pubDate.getTime())) {
-                  if (newArticles.length < 3) {
-                    console.log(`Debug - Using date field: ${dateField} -> ${pubDate.toISOString()}`);
-                  }
-                  break; // Valid date found
+        if (exists) {
+          continue; // Skip existing articles
+        }
+        
+        // Generate AI-enhanced content (skip for manual checks to speed up)
+        const enhancedContent = allowManual 
+          ? { title: item.title || 'Untitled', content: item.content || item.contentSnippet || item.description || '', preview: (item.contentSnippet || item.description || '').substring(0, 200) }
+          : await this.enhanceArticleContent(item);
+        
+        // Extract publication date from multiple possible fields
+        let pubDate = null;
+        const dateFields = [
+          item.pubDate,
+          item.isoDate,
+          item.date,
+          item.published,
+          item['dc:date'],
+          item['atom:published']
+        ];
+        
+        // Debug: Log available date fields for first few articles
+        if (newArticles.length < 3) {
+          console.log(`Debug - Available date fields for "${item.title}":`, {
+            pubDate: item.pubDate,
+            isoDate: item.isoDate,
+            date: item.date,
+            published: item.published,
+            'dc:date': item['dc:date'],
+            'atom:published': item['atom:published']
+          });
+        }
+        
+        for (const dateField of dateFields) {
+          if (dateField) {
+            try {
+              pubDate = new Date(dateField);
+              if (!isNaN(pubDate.getTime())) {
+                if (newArticles.length < 3) {
+                  console.log(`Debug - Using date field: ${dateField} -> ${pubDate.toISOString()}`);
                 }
-              } catch (e) {
-                // Continue to next date field
+                break; // Valid date found
               }
+            } catch (e) {
+              // Continue to next date field
             }
           }
-          
-          // If no valid date found, leave as null so UI shows "Date unavailable"
-          if (!pubDate || isNaN(pubDate.getTime())) {
-            pubDate = null;
-          }
+        }
+        
+        // If no valid date found, leave as null so UI shows "Date unavailable"
+        if (!pubDate || isNaN(pubDate.getTime())) {
+          pubDate = null;
+        }
 
-          // Extract author information from RSS fields
-          let author = item.creator || item.author || item['dc:creator'] || null;
-          if (author && typeof author === 'object' && author.name) {
-            author = author.name;
-          }
+        // Author, tags, lead image and Atom <updated> from the feed item
+        const metadata = extractItemMetadata(item);
 
-          // Use description as publisher description (limit to 300 chars)
-          let publisherDescription = item.description || item.contentSnippet || null;
-          if (publisherDescription && publisherDescription.length > 300) {
-            publisherDescription = publisherDescription.substring(0, 300);
-          }
+        // Use description as publisher description (limit to 300 chars)
+        let publisherDescription = item.description || item.contentSnippet || null;
+        if (publisherDescription && publisherDescription.length > 300) {
+          publisherDescription = publisherDescription.substring(0, 300);
+        }
 
-          // Generate concise hook for dashboard (helps users quickly understand if they're interested)
-          let articleHook = null;
-          try {
-            const llmService = require('./llmService');
-            const hookContent = enhancedContent.content || item.content || item.description || item.contentSnippet || '';
-            if (hookContent.length > 50) {
-              articleHook = await llmService.generateArticleHook(
-                enhancedContent.title || item.title || 'Untitled',
-                hookContent,
-                source.name
-              );
-            }
-          } catch (hookError) {
-            // If hook generation fails, continue without it (non-blocking)
-            console.log(`⚠️  [CHECK NOW] [${source.name}] Hook generation failed: ${hookError.message} (continuing without hook)`);
+        // Generate concise hook for dashboard (helps users quickly understand if they're interested)
+        let articleHook = null;
+        try {
+          const llmService = require('./llmService');
+          const hookContent = enhancedContent.content || item.content || item.description || item.contentSnippet || '';
+          if (hookContent.length > 50) {
+            articleHook = await llmService.generateArticleHook(
+              enhancedContent.title || item.title || 'Untitled',
+              hookContent,
+              source.name
+            );
           }
+        } catch (hookError) {
+          // If hook generation fails, continue without it (non-blocking)
+          console.log(`⚠️  [CHECK NOW] [${source.name}] Hook generation failed: ${hookError.message} (continuing without hook)`);
+        }
 
-          let content = enhancedContent.content || item.contentSnippet || item.content || item.description || '';
-          let preview = enhancedContent.preview || (item.contentSnippet || item.content || item.description || '').substring(0, 200) + (content.length > 200 ? '...' : '');
-          const previewShortOrUseless = !(preview || '').trim() || (preview || '').trim().length < 40 || /^(continue reading|read more|\.\.\.|see more|view more)$/i.test((preview || '').trim());
-          const shouldFetchRssBody = (content.trim().length < 80 || previewShortOrUseless) && rssFetchBodyCount < 3 && item.link;
-          if (shouldFetchRssBody) {
-            const fetched = await this.fetchArticleBodyForRss(item.link);
-            if (fetched && fetched.content) {
-              content = fetched.content;
-              preview = fetched.preview || fetched.content.substring(0, 300);
-              rssFetchBodyCount++;
-            }
-          }
-          if (!preview || preview.trim().length < 20) {
-            preview = ((enhancedContent.title || item.title || 'Untitled') + ' — ' + source.name).substring(0, 200);
+        let content = enhancedContent.content || item.contentSnippet || item.content || item.description || '';
+        let preview = enhancedContent.preview || (item.contentSnippet || item.content || item.description || '').substring(0, 200) + (content.length > 200 ? '...' : '');
+        const previewShortOrUseless = !(preview || '').trim() || (preview || '').trim().length < 40 || /^(continue reading|read more|\.\.\.|see more|view more)$/i.test((preview || '').trim());
+        const shouldFetchRssBody = (content.trim().length < 80 || previewShortOrUseless) && rssFetchBodyCount < 3 && item.link;
+        if (shouldFetchRssBody) {
+          const fetched = await this.fetchArticleBodyForRss(item.link);
+          if (fetched && fetched.content) {
+            content = fetched.content;
+            preview = fetched.preview || fetched.content.substring(0, 300);
+            rssFetchBodyCount++;
           }
+        }
+        if (!preview || preview.trim().length < 20) {
+          preview = ((enhancedContent.title || item.title || 'Untitled') + ' — ' + source.name).substring(0, 200);
+        }
 
-          const article = {
-            sourceId: source.id,
-            title: enhancedContent.title || item.title || 'Untitled',
-            link: item.link || '',
-            content,
-            preview,
-            enhanced_content: enhancedContent,
-            pubDate: pubDate ? pubDate.toISOString() : null,
-            sourceName: source.name || 'Unknown Source',
-            category: source.category || 'General',
-            author: author,
-            publisherDescription: publisherDescription,
-            articleHook: articleHook, // Concise one-liner hook for dashboard
-            sessionId: sessionId
-          };
+        const article = {
+          sourceId: source.id,
+          title: enhancedContent.title || item.title || 'Untitled',
+          link: item.link || '',
+          content,
+          preview,
+          enhanced_content: enhancedContent,
+          pubDate: pubDate ? pubDate.toISOString() : null,
+          sourceName: source.name || 'Unknown Source',
+          category: source.category || 'General',
+          author: metadata.author,
+          tags: metadata.tags,
+          imageUrl: metadata.imageUrl,
+          updatedAtSource: metadata.updatedAtSource,
+          publisherDescription: publisherDescription,
+          articleHook: articleHook, // Concise one-liner hook for dashboard
+          sessionId: sessionId
+        };
 
-          // Validate required fields before database insertion
-          if (!article.title || article.title === 'Untitled') {
-            console.log(`⚠️ Skipping article with invalid title: ${item.link}`);
-            continue;
-          }
-          if (!article.link) {
-            console.log(`⚠️ Skipping article with no link: ${article.title}`);
+        // Validate required fields before database insertion
+        if (!article.title || article.title === 'Untitled') {
+          console.log(`⚠️ Skipping article with invalid title: ${item.link}`);
+          continue;
+        }
+        if (!article.link) {
+          console.log(`⚠️ Skipping article with no link: ${article.title}`);
+          continue;
+        }
+        // Dedup: skip if same source already has this title
+        if (database.articleExistsBySourceIdAndTitle && source.id && article.title) {
+          const duplicateTitle = await database.articleExistsBySourceIdAndTitle(source.id, article.title);
+          if (duplicateTitle) {
             continue;
           }
-          // Dedup: skip if same source already has this title
-          if (database.articleExistsBySourceIdAndTitle && source.id && article.title) {
-            const duplicateTitle = await database.articleExistsBySourceIdAndTitle(source.id, article.title);
-            if (duplicateTitle) {
-              continue;
-            }
-          }
+        }
 
-          // Try to add article, handle duplicate key errors gracefully
-          try {
-          const articleId = await database.addArticle(article);
+        // Try to add article, handle duplicate key errors gracefully
+        try {
+          const articleId = await this.insertArticle(article);
           newArticles.push({
             id: articleId,
             title: article.title,
             link: article.link
           });
-          } catch (addError) {
-            // Handle duplicate key error gracefully (might happen due to race conditions)
-            if (addError.code === '23505' || addError.message?.includes('duplicate key')) {
-              console.log(`ℹ️  Article already exists (race condition): ${item.link}`);
-              continue; // Skip this article, it was added by another process
-            }
-            // Re-throw other errors
-            throw addError;
+        } catch (addError) {
+          // Handle duplicate key error gracefully (might happen due to race conditions)
+          if (addError.code === '23505' || addError.message?.includes('duplicate key')) {
+            console.log(`ℹ️  Article already exists (race condition): ${item.link}`);
+            continue; // Skip this article, it was added by another process
           }
-        } catch (itemError) {
-          console.error(`❌ Error processing RSS item from ${source.name}:`, itemError.message);
-          // Continue with next item instead of crashing
-          continue;
+          // Re-throw other errors
+          throw addError;
         }
+      } catch (itemError) {
+        console.error(`❌ Error processing RSS item from ${source.name}:`, itemError.message);
+        // Continue with next item instead of crashing
+        continue;
       }
+    }
+
+    console.log(`📝 Added ${newArticles.length} new articles from ${source.name}`);
+    return newArticles;
+  }
 
-      console.log(`📝 Added ${newArticles.length} new articles from ${source.name}`);
+  // Check feed with limited number of articles (for new sources)
+  // allowManual: if true, skip expensive content enhancement to speed up
+  async checkFeedLimited(source, maxArticles = 5, allowManual = false) {
+    try {
+      // Single conditional download; RSS/Atom vs JSON Feed is decided from the response
+      const { feed, notModified, fetched } = await this.fetchFeed(source);
+      if (notModified) {
+        await database.updateSourceLastChecked(source.id);
+        return [];
+      }
+      
+      // Limit to only the most recent articles
+      const limitedItems = feed.items.slice(0, maxArticles);
+      console.log(`📰 [CHECK NOW] Processing ${limitedItems.length} most recent articles from ${source.name} (feed has ${feed.items.length} total, checking up to ${maxArticles})`);
+      const newArticles = await this.ingestFeedItems(source, limitedItems, allowManual);
+      await this.recordFeedFetch(source, fetched);
       
       // Update last_checked timestamp for this source
       await database.updateSourceLastChecked(source.id);
@@ -1524,14 +1956,10 @@ class FeedMonitor {
 
   async checkFeed(source) {
     try {
-      // Check if it's a JSON Feed first
-      let feed;
-      const isJSON = await this.isJSONFeed(source.url);
-      
-      if (isJSON) {
-        feed = await this.parseJSONFeed(source.url);
-      } else {
-        feed = await parser.parseURL(source.url);
+      const { feed, notModified, fetched } = await this.fetchFeed(source);
+      if (notModified) {
+        await database.updateSourceLastChecked(source.id);
+        return [];
       }
       
       const newArticles = [];
@@ -1600,11 +2028,8 @@ class FeedMonitor {
           }
           
 
-          // Extract author and publisher description for this method too
-          let author = item.creator || item.author || item['dc:creator'] || null;
-          if (author && typeof author === 'object' && author.name) {
-            author = author.name;
-          }
+          // Extract feed metadata and publisher description for this method too
+          const metadata = extractItemMetadata(item);
 
           let publisherDescription = item.description || item.contentSnippet || null;
           if (publisherDescription && publisherDescription.length > 300) {
@@ -1645,7 +2070,7 @@ class FeedMonitor {
           }
 
           // Add to database with session ID
-          const articleId = await database.addArticle({
+          const articleId = await this.insertArticle({
             title: enhancedContent.title || 'Untitled',
             content: content,
             preview: preview,
@@ -1654,7 +2079,10 @@ class FeedMonitor {
             sourceId: source.id,
             sourceName: source.name,
             category: source.category,
-            author: author,
+            author: metadata.author,
+            tags: metadata.tags,
+            imageUrl: metadata.imageUrl,
+            updatedAtSource: metadata.updatedAtSource,
             publisherDescription: publisherDescription,
             articleHook: articleHook, // Concise one-liner hook for dashboard
             sessionId: sessionId
@@ -1667,6 +2095,7 @@ class FeedMonitor {
           });
         }
       }
+      await this.recordFeedFetch(source, fetched);
       
       // Update last_checked timestamp for this source
       await database.updateSourceLastChecked(source.id);
@@ -1799,6 +2228,7 @@ class FeedMonitor {
       const { chromium } = require('playwright');
       let browser = null;
       let page = null;
+      const releaseBrowserSlot = await browserSlot.acquire();
       
       try {
         browser = await chromium.launch({
@@ -1941,6 +2371,8 @@ class FeedMonitor {
           }
         }
         // Continue to static scraping fallback
+      } finally {
+        releaseBrowserSlot();
       }
     } catch (playwrightNotAvailable) {
       // Playwright not available - use static scraping
@@ -2366,6 +2798,7 @@ class FeedMonitor {
     
     let browser = null;
     let page = null;
+    const releaseBrowserSlot = await browserSlot.acquire();
     
     try {
       const { chromium } = require('playwright');
@@ -2573,6 +3006,8 @@ class FeedMonitor {
         console.log(`⚠️  [DATE-PW] Playwright date extraction failed: ${err.message?.substring(0, 50)}`);
       }
       return null;
+    } finally {
+      releaseBrowserSlot();
     }
   }
   
@@ -2722,6 +3157,7 @@ class FeedMonitor {
             
             if (metadata && metadata.pubDate) {
               await database.updateArticle(article.id, { pub_date: metadata.pubDate });
+              eventStream.publish('article-enriched', { id: article.id, pub_date: metadata.pubDate });
               enriched++;
               console.log(`   ✅ [ENRICH] Enriched date (${metadata.pubDate}) for: ${article.title?.substring(0, 50)}...`);
             } else {
@@ -2771,6 +3207,7 @@ class FeedMonitor {
       const { chromium } = require('playwright');
       let browser = null;
       let page = null;
+      const releaseBrowserSlot = await browserSlot.acquire();
       
       try {
         browser = await chromium.launch({
@@ -3019,6 +3456,8 @@ class FeedMonitor {
           }
         }
         // Continue to static scraping fallback
+      } finally {
+        releaseBrowserSlot();
       }
     } catch (playwrightNotAvailable) {
       // Playwright not available - use static scraping
@@ -3659,40 +4098,54 @@ class FeedMonitor {
     return cleaned;
   }
 
-  // Start automatic monitoring
-  startMonitoring() {
-    if (this.isMonitoring) {
-      console.log('Feed monitoring is already running');
-      return;
-    }
-
-    this.isMonitoring = true;
-    console.log('Starting feed monitoring...');
-    
-    // Check feeds immediately
-    this.checkAllFeeds().catch(error => {
-      console.error('Error in initial feed check:', error.message || error);
-    });
-    
-    // Then check every 30 minutes
-    this.monitoringInterval = setInterval(() => {
-      if (this.isMonitoring) {
-        this.checkAllFeeds().catch(error => {
-          console.error('Error in scheduled feed check:', error.message || error);
-        });
+  /**
+   * Queue a scheduled check of the sources whose own schedule is due (the feed-monitoring
+   * scheduled task). Sources stay due while a check is queued or running.
+   */
+  async queueDueSources() {
+    return sourceScheduler.tick({
+      isBusy: async () => !!(await jobQueue.findActive(CHECK_JOB_KEY)),
+      runDueSources: async (sources) => {
+        const queued = await this.queueCheck({ trigger: 'scheduled', sources });
+        return queued.run ? { runId: queued.run.id } : { alreadyRunning: true, runId: queued.runId };
       }
-    }, 30 * 60 * 1000); // 30 minutes
+    });
   }
 
-  // Stop monitoring
-  stopMonitoring() {
-    if (this.monitoringInterval) {
-      clearInterval(this.monitoringInterval);
-      this.monitoringInterval = null;
+  /**
+   * Fill in missing pub_date on stored articles by re-reading every source's feed and
+   * matching items by link. Sources whose feed can't be read are skipped.
+   */
+  async backfillPubDates() {
+    const sources = await database.getAllSources();
+    let fixed = 0;
+
+    for (const source of sources) {
+      try {
+        const feed = await parser.parseURL(source.url);
+        for (const item of feed.items) {
+          const dateFields = [item.pubDate, item.isoDate, item.date, item.published, item['dc:date'], item['atom:published']];
+          let parsed = null;
+          for (const f of dateFields) {
+            if (f) {
+              const d = new Date(f);
+              if (!isNaN(d.getTime())) { parsed = d.toISOString(); break; }
+            }
+          }
+          if (parsed) {
+            // approximate link match (ignoring query string) and only fill missing
+            const updatedCount = await database.updateArticlePubDateByApproxLink(item.link, parsed);
+            fixed += updatedCount;
+          }
+        }
+      } catch (e) {
+        console.warn(`Backfill pubdates skipped for ${source.name}:`, e.message);
+      }
     }
-    this.isMonitoring = false;
-    console.log('Feed monitoring stopped');
+    return { fixed };
   }
 }
 
 module.exports = new FeedMonitor();
+module.exports.CHECK_JOB_KEY = CHECK_JOB_KEY;
+module.exports.extractItemMetadata = extractItemMetadata;
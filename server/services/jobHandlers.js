@@ -0,0 +1,201 @@
+/**
+ * What the worker does with each job type (see jobQueue.js). Each handler takes the job's
+ * payload and returns the result the API used to send back directly, so callers that wait
+ * for the job (GET /api/jobs/:id) read the same shape they always did.
+ */
+
+const database = require('../database-postgres');
+const feedMonitor = require('./feedMonitor');
+const sourceScraping = require('./sourceScraping');
+const articleEnrichment = require('./articleEnrichment');
+const destinations = require('./destinations');
+const llmService = require('./llmService');
+const webSub = require('./webSub');
+const { residentMemoryMB } = require('./sourcePool');
+
+const PLAYWRIGHT_ENRICH_MAX = 5;
+const PLAYWRIGHT_ENRICH_MEMORY_LIMIT_MB = 350;
+
+// { runId, trigger, sourceIds } from feedMonitor.queueCheck, or a source scrape queued by the API:
+// { kind: 'setup', url, name, category }, { kind: 're-scrape', sourceId }, { kind: 're-scrape-all' },
+// or feed content a WebSub hub pushed: { kind: 'push', sourceId, body (base64), contentType }
+async function scrape(payload, context) {
+  if (payload.kind === 'push') {
+    const newArticles = await webSub.ingestPush(payload.sourceId, Buffer.from(payload.body || '', 'base64'), payload.contentType);
+    console.log(`✅ [WEBSUB] Source ${payload.sourceId}: ${newArticles.length} new article(s) from push`);
+    return { sourceId: payload.sourceId, newArticles: newArticles.length };
+  }
+  if (payload.kind === 'setup') return sourceScraping.setupScrapingSource(payload);
+  if (payload.kind === 're-scrape') {
+    const source = await database.getSourceById(payload.sourceId);
+    if (!source) return { success: false, error: 'Source not found' };
+    return sourceScraping.rescrapeSource(source);
+  }
+  if (payload.kind === 're-scrape-all') return sourceScraping.rescrapeAllSources();
+  return feedMonitor.runCheckJob(payload, context);
+}
+
+// { kind: 'static' | 'playwright', limit }
+async function enrich({ kind = 'static', limit = 20 }) {
+  if (kind === 'playwright') {
+    // Thrown so the job is retried once memory has come down
+    const memoryMB = residentMemoryMB();
+    if (memoryMB > PLAYWRIGHT_ENRICH_MEMORY_LIMIT_MB) {
+      throw new Error(`Memory too high (${memoryMB}MB), try again later`);
+    }
+    const result = await articleEnrichment.runPlaywrightEnrichmentBatch(Math.min(limit, PLAYWRIGHT_ENRICH_MAX));
+    return {
+      success: true,
+      message: `Enriched ${result.enriched} of ${result.processed} articles with Playwright`,
+      ...result,
+      stats: articleEnrichment.getStats(),
+      memoryAfterMB: residentMemoryMB()
+    };
+  }
+
+  const result = await articleEnrichment.runEnrichmentBatch(limit);
+  return {
+    success: true,
+    message: `Enriched ${result.enriched} of ${result.processed} articles`,
+    ...result,
+    stats: articleEnrichment.getStats()
+  };
+}
+
+// { articleIds }: fetch each article's full text and have the LLM summarize it
+async function summary({ articleIds = [] }) {
+  const articles = await database.getArticlesByIds(articleIds);
+  const results = [];
+
+  // Safe to repeat: a retry just writes the summaries again
+  for (const article of articles) {
+    try {
+      // Fetch full article content by scraping the website
+      const fullContent = await feedMonitor.fetchFullArticleContent(article.link);
+
+      // Generate AI summary using the full content
+      const aiSummary = await llmService.summarizeArticle(
+        article.title,
+        fullContent || article.content,
+        article.source_name
+      );
+
+      await database.updateArticle(article.id, { ai_summary: aiSummary });
+      results.push({ success: true, articleId: article.id, title: article.title, summary: aiSummary });
+    } catch (error) {
+      console.error(`Error generating summary for article ${article.id}:`, error.message);
+      results.push({ success: false, articleId: article.id, title: article.title, error: error.message });
+    }
+  }
+
+  const successCount = results.filter(r => r.success).length;
+  const failureCount = results.length - successCount;
+  return {
+    message: `Generated summaries for ${successCount} articles, ${failureCount} failed`,
+    results,
+    successCount,
+    failureCount
+  };
+}
+
+// POST /api/articles/send: each article to the Distro destination, answered the way that route always did
+async function legacyDistroSend(articleIds, destinationIds, options) {
+  const results = [];
+  for (const articleId of articleIds) {
+    const delivery = await destinations.deliverArticle(articleId, destinationIds, options);
+    if (!delivery) continue;
+    const [result] = delivery.results;
+    results.push({
+      success: result.status === 'sent',
+      article: delivery.article.title,
+      remoteId: result.remote_id,
+      error: result.error || undefined,
+      retrying: result.job_status === 'failed' || result.status === 'queued'
+    });
+  }
+
+  const successCount = results.filter(r => r.success).length;
+  const failureCount = results.length - successCount;
+  const plural = n => (n > 1 ? 's' : '');
+  let message;
+  if (successCount === 0 && failureCount > 0) {
+    message = `Failed to send ${failureCount} article${plural(failureCount)} to Distro. Please check your API key and endpoint. Failed sends are retried automatically.`;
+  } else if (successCount > 0 && failureCount > 0) {
+    message = `Successfully sent ${successCount} article${plural(successCount)} to Distro, but ${failureCount} failed and will be retried automatically.`;
+  } else if (successCount > 0) {
+    message = `Successfully sent ${successCount} article${plural(successCount)} to Distro!`;
+  } else {
+    message = 'No articles were sent. Please check your configuration.';
+  }
+
+  return { message, results, count: results.length, successCount, failureCount, success: successCount > 0 };
+}
+
+// POST /api/articles/send-telegram: one article to Telegram plus the Distro news flash
+async function legacyTelegramSend(articleId, { telegramId, flashId }, options) {
+  const delivery = await destinations.deliverArticle(articleId, [telegramId, flashId].filter(Boolean), options);
+  if (!delivery) {
+    return { success: false, error: 'Article not found' };
+  }
+
+  const toLegacy = (destinationId) => {
+    const result = destinationId && delivery.results.find(r => r.destination_id === destinationId);
+    if (!result) return { success: false, error: 'Destination is not configured' };
+    return { success: result.status === 'sent', error: result.error, messageId: result.remote_id };
+  };
+  const telegram = toLegacy(telegramId);
+  const externalApi = toLegacy(flashId);
+
+  if (!telegram.success) {
+    return { success: false, error: telegram.error || 'Failed to send to Telegram', telegram, externalApi };
+  }
+  return {
+    success: true,
+    message: externalApi.success
+      ? 'Article sent to Telegram and external API successfully'
+      : 'Article sent to Telegram successfully, but failed to send to external API',
+    telegram,
+    externalApi
+  };
+}
+
+/**
+ * { articleIds, destinationIds, batch, userName, actor }: one article (batch false) or an
+ * editorial batch. A retry doesn't send again to destinations an earlier attempt reached.
+ * The legacy send routes add legacy: 'distro' (every article to destinationIds) or
+ * 'telegram' (with telegramId and flashId) and get their old response shapes back.
+ */
+async function send({ articleIds = [], destinationIds = [], batch = false, legacy = null, telegramId = null, flashId = null, userName = null, actor = null }, { job } = {}) {
+  const options = { userName, actor };
+  if (job && job.attempts > 1) options.sentSince = job.created_at;
+
+  if (legacy === 'distro') return legacyDistroSend(articleIds, destinationIds, options);
+  if (legacy === 'telegram') return legacyTelegramSend(articleIds[0], { telegramId, flashId }, options);
+
+  if (batch) {
+    const delivered = await destinations.deliverBatch(articleIds, destinationIds, options);
+    const results = delivered.articles.flatMap(a => a.results);
+    const successCount = results.filter(r => r.status === 'sent').length;
+    return {
+      batchId: delivered.batchId,
+      success: successCount > 0 && successCount === results.length,
+      successCount,
+      failureCount: results.length - successCount,
+      articles: delivered.articles
+    };
+  }
+
+  const delivery = await destinations.deliverArticle(articleIds[0], destinationIds, options);
+  if (!delivery) {
+    return { success: false, successCount: 0, failureCount: 0, results: [], error: 'Article not found' };
+  }
+  const successCount = delivery.results.filter(r => r.status === 'sent').length;
+  return {
+    success: successCount === delivery.results.length,
+    successCount,
+    failureCount: delivery.results.length - successCount,
+    results: delivery.results
+  };
+}
+
+module.exports = { scrape, enrich, summary, send };
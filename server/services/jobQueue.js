@@ -0,0 +1,328 @@
+/**
+ * Background job queue
+ *
+ * Work that fetches pages or calls out to other systems doesn't run in the API process: the
+ * API puts a row in `jobs` and a worker process (server/worker.js) runs it, so a Playwright
+ * memory spike can't take the UI down with it. Job types:
+ *   scrape    a feed check run (feedMonitor.runCheckJob), or setting up or re-scraping a
+ *             scraping source (sourceScraping)
+ *   enrich    a static or Playwright enrichment batch
+ *   summary   AI summaries for selected articles
+ *   send      an editor's send to destinations
+ *
+ * A job goes queued -> in_flight -> succeeded, or failed and retried with backoff until it
+ * is dead; cancelled ones were discarded before a worker got to them. Workers claim with
+ * FOR UPDATE SKIP LOCKED, so several can share the table. A claim is a lease (visibility
+ * timeout) the worker renews while the handler runs; when a worker dies its job becomes
+ * claimable again once the lease runs out, as another attempt. Dead jobs stay until an admin
+ * retries or discards them.
+ *
+ * Handlers get (payload, { job }) and return a JSON result the API hands back to whoever
+ * queued the job; throwing fails the attempt. A handler may run again after a crash, so it
+ * has to cope with work an earlier attempt already did.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const config = require('../config');
+const database = require('../database-postgres');
+
+const JOB_TYPES = ['scrape', 'enrich', 'summary', 'send'];
+const JOB_STATUSES = ['queued', 'in_flight', 'succeeded', 'failed', 'dead', 'cancelled'];
+// leaseSeconds: how long a worker that stopped heartbeating keeps a job
+const JOB_SETTINGS = {
+  scrape: { leaseSeconds: 180, maxAttempts: 2 },
+  enrich: { leaseSeconds: 180, maxAttempts: 3 },
+  summary: { leaseSeconds: 120, maxAttempts: 3 },
+  send: { leaseSeconds: 120, maxAttempts: 3 }
+};
+const BASE_RETRY_SECONDS = 30; // 30s, 1m, 2m ... capped below
+const MAX_RETRY_SECONDS = 30 * 60;
+const RETENTION_DAYS = 14;
+const MAX_LIST_LIMIT = 200;
+const WAKE_CHANNEL = 'scoopstream_jobs';
+
+function retryDelaySeconds(attempts) {
+  return Math.min(MAX_RETRY_SECONDS, BASE_RETRY_SECONDS * 2 ** Math.max(0, attempts - 1));
+}
+
+// Job state after a failed attempt: failed (retry scheduled) or dead (out of attempts)
+function failedJobState(attempts, maxAttempts) {
+  if (attempts >= maxAttempts) return { status: 'dead', retryInSeconds: null };
+  return { status: 'failed', retryInSeconds: retryDelaySeconds(attempts) };
+}
+
+// Dedupe key for "the same request again" (a double click): type plus a hash of what it covers
+function requestKey(type, value) {
+  return `${type}:${crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex').slice(0, 24)}`;
+}
+
+/**
+ * Validate job list filters from a query string: { status?, type?, limit? }.
+ * Returns { error } or { filters }.
+ */
+function parseJobFilters(query = {}) {
+  const filters = { statuses: null, type: null, limit: 50 };
+  if (query.status) {
+    const statuses = String(query.status).split(',');
+    if (statuses.some(status => !JOB_STATUSES.includes(status))) {
+      return { error: `status must be one or more of: ${JOB_STATUSES.join(', ')}` };
+    }
+    filters.statuses = statuses;
+  }
+  if (query.type) {
+    if (!JOB_TYPES.includes(query.type)) return { error: `type must be one of: ${JOB_TYPES.join(', ')}` };
+    filters.type = query.type;
+  }
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (isNaN(limit) || limit < 1) return { error: 'limit must be a positive number' };
+    filters.limit = Math.min(limit, MAX_LIST_LIMIT);
+  }
+  return { filters };
+}
+
+class JobQueue {
+  constructor() {
+    this.running = false;
+    this.handlers = {};
+    this.workerId = null;
+    this.pollSeconds = config.jobs.pollSeconds;
+    this.loop = null;
+    this.currentJob = null;
+    this.wakeUp = null;
+    this.stopListening = null;
+  }
+
+  /**
+   * Queue a job. With a dedupeKey, a key that already has an unfinished job isn't queued
+   * twice. Returns { job } or { duplicate } (the unfinished job holding the key).
+   */
+  async enqueue(type, payload = {}, { dedupeKey = null, requestedBy = null, runAt = null } = {}) {
+    const settings = JOB_SETTINGS[type];
+    if (!settings) throw new Error(`Unknown job type "${type}"`);
+
+    const job = await database.createJob({ type, payload, dedupeKey, requestedBy, maxAttempts: settings.maxAttempts, runAt });
+    if (!job) return { duplicate: await database.getActiveJobByDedupeKey(dedupeKey) };
+
+    console.log(`📥 [JOBS] Queued ${type} job ${job.id}${requestedBy ? ` for ${requestedBy}` : ''}`);
+    this.notifyWorkers(job);
+    return { job };
+  }
+
+  // Wake idle workers now rather than at their next poll (best effort: polling finds it anyway)
+  notifyWorkers(job) {
+    if (this.running) this.wake();
+    database.notify(WAKE_CHANNEL, { id: job.id, type: job.type }).catch(err => {
+      console.warn(`⚠️  [JOBS] Could not notify workers about job ${job.id}: ${err.message}`);
+    });
+  }
+
+  // The unfinished job holding a dedupe key, or null
+  async findActive(dedupeKey) {
+    return database.getActiveJobByDedupeKey(dedupeKey);
+  }
+
+  async list(filters) {
+    return database.getJobs(filters);
+  }
+
+  async get(id) {
+    return database.getJobById(id);
+  }
+
+  /**
+   * Run a failed or dead job again now. Returns null when there is no such job, { error }
+   * when it isn't retryable, else { job }.
+   */
+  async retry(id) {
+    const existing = await database.getJobById(id);
+    if (!existing) return null;
+    const job = await database.retryJob(id);
+    if (!job) return { error: `Job is ${existing.status}; only failed or dead jobs can be retried` };
+    console.log(`🔁 [JOBS] Job ${id} (${job.type}) queued again by hand`);
+    this.notifyWorkers(job);
+    return { job };
+  }
+
+  /**
+   * Discard a job no worker is running. Returns null when there is no such job, { error }
+   * when it is running or finished, else { job }.
+   */
+  async cancel(id) {
+    const existing = await database.getJobById(id);
+    if (!existing) return null;
+    const job = await database.cancelJob(id);
+    if (!job) return { error: `Job is ${existing.status}; only queued, failed or dead jobs can be cancelled` };
+    console.log(`🗑️  [JOBS] Job ${id} (${job.type}) cancelled`);
+    return { job };
+  }
+
+  /**
+   * Start taking jobs: handlers maps job type -> async (payload, { job }) => result. Runs one
+   * job at a time; between jobs it waits pollSeconds or until a NOTIFY wakes it.
+   */
+  start({ handlers, workerId = `${os.hostname()}:${process.pid}`, pollSeconds = config.jobs.pollSeconds, listen = true }) {
+    if (this.running) {
+      console.log('⚠️  [JOBS] Worker already running');
+      return;
+    }
+    this.running = true;
+    this.handlers = handlers;
+    this.workerId = workerId;
+    this.pollSeconds = pollSeconds;
+    console.log(`🚀 [JOBS] Worker ${workerId} taking ${Object.keys(handlers).join(', ')} jobs (polling every ${pollSeconds}s)`);
+
+    if (listen) {
+      this.stopListening = database.listen(WAKE_CHANNEL, () => this.wake(), { connectionString: config.jobs.listenUrl || null });
+    }
+    this.loop = this.runLoop();
+  }
+
+  /**
+   * Stop taking jobs. The job in hand gets graceSeconds to finish; after that it is handed
+   * back to the queue (without using up an attempt) for another worker to pick up.
+   */
+  async stop(graceSeconds = config.jobs.shutdownGraceSeconds) {
+    if (!this.running) return;
+    this.running = false;
+    if (this.stopListening) {
+      this.stopListening();
+      this.stopListening = null;
+    }
+    this.wake();
+
+    const job = this.currentJob;
+    let graceTimer = null;
+    const finished = await Promise.race([
+      this.loop.then(() => true),
+      new Promise(resolve => {
+        graceTimer = setTimeout(() => resolve(false), graceSeconds * 1000);
+      })
+    ]);
+    clearTimeout(graceTimer);
+
+    if (!finished && job) {
+      try {
+        if (await database.releaseJob(job.id, this.workerId)) {
+          console.log(`↩️  [JOBS] Handed job ${job.id} (${job.type}) back to the queue`);
+        }
+      } catch (error) {
+        console.error(`❌ [JOBS] Could not hand job ${job.id} back (it will be retried when its lease runs out):`, error.message);
+      }
+    }
+    console.log(`🛑 [JOBS] Worker ${this.workerId} stopped`);
+  }
+
+  wake() {
+    if (this.wakeUp) this.wakeUp();
+  }
+
+  sleep(seconds) {
+    return new Promise(resolve => {
+      const timer = setTimeout(done, seconds * 1000);
+      function done() {
+        clearTimeout(timer);
+        resolve();
+      }
+      this.wakeUp = done;
+    }).then(() => {
+      this.wakeUp = null;
+    });
+  }
+
+  async runLoop() {
+    let lastCleanup = 0;
+    while (this.running) {
+      let job = null;
+      try {
+        job = await this.claimNext();
+        if (Date.now() - lastCleanup > 60 * 60 * 1000) {
+          lastCleanup = Date.now();
+          await database.deleteFinishedJobsOlderThan(RETENTION_DAYS);
+        }
+      } catch (error) {
+        console.error('❌ [JOBS] Could not claim a job:', error.message);
+      }
+
+      if (!job) {
+        await this.sleep(this.pollSeconds);
+        continue;
+      }
+      try {
+        await this.runJob(job);
+      } catch (error) {
+        // Couldn't record the outcome; the lease runs out and the job is tried again
+        console.error(`❌ [JOBS] Could not record the outcome of job ${job.id}:`, error.message);
+      }
+    }
+  }
+
+  // Dead-letter jobs whose final attempt's worker vanished, then claim the next due one
+  async claimNext() {
+    for (const dead of await database.deadLetterExpiredJobs()) {
+      console.error(`💀 [JOBS] Job ${dead.id} (${dead.type}) gave up: its worker stopped during attempt ${dead.attempts}/${dead.max_attempts}`);
+    }
+    const types = Object.keys(this.handlers);
+    const leases = Object.fromEntries(types.map(type => [type, JOB_SETTINGS[type].leaseSeconds]));
+    return database.claimJob(types, this.workerId, leases);
+  }
+
+  // Run one claimed job, renewing its lease meanwhile, and record the outcome
+  async runJob(job) {
+    const { leaseSeconds } = JOB_SETTINGS[job.type];
+    this.currentJob = job;
+    console.log(`▶️  [JOBS] Job ${job.id} (${job.type}) attempt ${job.attempts}/${job.max_attempts}`);
+
+    const heartbeat = setInterval(() => {
+      database.extendJobLease(job.id, this.workerId, leaseSeconds)
+        .then(held => {
+          if (!held) console.warn(`⚠️  [JOBS] Job ${job.id} is no longer held by this worker`);
+        })
+        .catch(err => console.warn(`⚠️  [JOBS] Could not renew the lease on job ${job.id}: ${err.message}`));
+    }, Math.max(1, Math.floor(leaseSeconds / 3)) * 1000);
+
+    try {
+      const result = await this.handlers[job.type](job.payload || {}, { job });
+      const finished = await database.finishJob(job.id, this.workerId, { status: 'succeeded', result: result === undefined ? null : result });
+      if (!finished) {
+        // Handed back on shutdown or taken over after the lease ran out
+        console.warn(`⚠️  [JOBS] Job ${job.id} (${job.type}) finished but is no longer held by this worker; outcome not recorded`);
+        return null;
+      }
+      console.log(`✅ [JOBS] Job ${job.id} (${job.type}) succeeded`);
+      return finished;
+    } catch (error) {
+      const message = error.message || String(error);
+      const { status, retryInSeconds } = failedJobState(job.attempts, job.max_attempts);
+      const finished = await database.finishJob(job.id, this.workerId, { status, error: message, retryInSeconds });
+      if (!finished) {
+        console.warn(`⚠️  [JOBS] Job ${job.id} (${job.type}) failed but is no longer held by this worker: ${message}`);
+      } else if (status === 'failed') {
+        console.log(`⏳ [JOBS] Job ${job.id} (${job.type}) failed (attempt ${job.attempts}/${job.max_attempts}); retrying in ${retryInSeconds}s: ${message}`);
+      } else {
+        console.error(`💀 [JOBS] Job ${job.id} (${job.type}) gave up after ${job.attempts} attempts: ${message}`);
+      }
+      return finished;
+    } finally {
+      clearInterval(heartbeat);
+      this.currentJob = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      running: this.running,
+      workerId: this.workerId,
+      currentJob: this.currentJob ? { id: this.currentJob.id, type: this.currentJob.type } : null
+    };
+  }
+}
+
+module.exports = new JobQueue();
+module.exports.JOB_TYPES = JOB_TYPES;
+module.exports.JOB_STATUSES = JOB_STATUSES;
+module.exports.JOB_SETTINGS = JOB_SETTINGS;
+module.exports.failedJobState = failedJobState;
+module.exports.parseJobFilters = parseJobFilters;
+module.exports.requestKey = requestKey;
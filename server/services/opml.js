@@ -0,0 +1,297 @@
+/**
+ * OPML Import / Export
+ *
+ * Moves the source list between instances (e.g. the v1 and v2 Render services)
+ * without re-adding every URL by hand. Category outlines map to `categories`
+ * rows; outlines with an xmlUrl become RSS sources, and outlines with only a
+ * website URL go through the same feed discovery as POST /api/sources/check-feed,
+ * falling back to a SCRAPING source when no feed is found.
+ */
+
+const cheerio = require('cheerio');
+const database = require('../database-postgres');
+const FeedDiscovery = require('./feedDiscovery');
+const feedMonitor = require('./feedMonitor');
+
+const MAX_OPML_ENTRIES = 1000;
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Comparison key for duplicate detection: ignores scheme, "www.", case, trailing slashes and fragments.
+ */
+function sourceUrlKey(url) {
+  if (!url) return '';
+  try {
+    const parsed = new URL(url.trim());
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const path = parsed.pathname.replace(/\/+$/, '');
+    return `${host}${parsed.port ? `:${parsed.port}` : ''}${path}${parsed.search}`;
+  } catch (e) {
+    return url.trim().toLowerCase().replace(/^https?:\/\/(www\.)?/, '').replace(/[#].*$/, '').replace(/\/+$/, '');
+  }
+}
+
+function isHttpUrl(url) {
+  return typeof url === 'string' && /^https?:\/\/[^\s]+$/i.test(url.trim());
+}
+
+/**
+ * Parse an OPML document into { title, categories, entries }.
+ * Each entry is { name, feedUrl, siteUrl, category }. The category comes from the
+ * nearest enclosing outline without a URL, or the first value of a `category` attribute.
+ */
+function parseOpml(xml) {
+  const $ = cheerio.load(String(xml || ''), { xmlMode: true });
+  const body = $('opml > body');
+  if (body.length === 0) {
+    throw new Error('Not an OPML document (missing <opml><body>)');
+  }
+
+  const categories = [];
+  const entries = [];
+
+  const walk = (elements, category) => {
+    elements.each((_, el) => {
+      const outline = $(el);
+      const attr = name => {
+        const value = outline.attr(name);
+        return value && value.trim() ? value.trim() : null;
+      };
+      const feedUrl = attr('xmlUrl') || attr('xmlurl');
+      const siteUrl = attr('htmlUrl') || attr('htmlurl') || attr('url');
+      const label = attr('title') || attr('text');
+
+      if (!feedUrl && !siteUrl) {
+        // Folder outline: its label is the category for everything inside it
+        const folder = label || category;
+        if (label && !categories.includes(label)) categories.push(label);
+        walk(outline.children('outline'), folder);
+        return;
+      }
+
+      // OPML's category attribute is a comma-separated list of slash-delimited paths
+      const attrCategory = (attr('category') || '')
+        .split(',')[0]
+        .split('/')
+        .filter(Boolean)
+        .pop() || null;
+      const entryCategory = category || (attrCategory ? attrCategory.trim() : null);
+      if (entryCategory && !categories.includes(entryCategory)) categories.push(entryCategory);
+
+      entries.push({
+        name: label || siteUrl || feedUrl,
+        feedUrl,
+        siteUrl,
+        category: entryCategory
+      });
+    });
+  };
+  walk(body.children('outline'), null);
+
+  return {
+    title: $('opml > head > title').first().text().trim() || null,
+    categories,
+    entries
+  };
+}
+
+/**
+ * Build an OPML 2.0 document from source rows, with one folder outline per category.
+ * SCRAPING sources are written as type="link" outlines (htmlUrl only) so they import back as websites.
+ */
+function buildOpml(sources, { title = 'Scoopstream sources', dateCreated = new Date() } = {}) {
+  const byCategory = new Map();
+  for (const source of sources) {
+    const key = source.category || '';
+    if (!byCategory.has(key)) byCategory.set(key, []);
+    byCategory.get(key).push(source);
+  }
+
+  const outlineFor = (source, indent) => {
+    const name = escapeXml(source.name || source.url);
+    if (source.monitoring_type === 'SCRAPING') {
+      return `${indent}<outline type="link" text="${name}" title="${name}" htmlUrl="${escapeXml(source.url)}" url="${escapeXml(source.url)}" />`;
+    }
+    return `${indent}<outline type="rss" text="${name}" title="${name}" xmlUrl="${escapeXml(source.url)}" />`;
+  };
+
+  const lines = [];
+  const categoryNames = [...byCategory.keys()].filter(Boolean).sort((a, b) => a.localeCompare(b));
+  for (const category of categoryNames) {
+    lines.push(`    <outline text="${escapeXml(category)}" title="${escapeXml(category)}">`);
+    byCategory.get(category).forEach(source => lines.push(outlineFor(source, '      ')));
+    lines.push('    </outline>');
+  }
+  (byCategory.get('') || []).forEach(source => lines.push(outlineFor(source, '    ')));
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head>
+    <title>${escapeXml(title)}</title>
+    <dateCreated>${dateCreated.toUTCString()}</dateCreated>
+  </head>
+  <body>
+${lines.join('\n')}
+  </body>
+</opml>
+`;
+}
+
+/**
+ * Mark each parsed entry with what an import would do, given the existing sources.
+ * action: 'add_rss' | 'discover' | 'duplicate' | 'duplicate_in_file' | 'invalid'
+ */
+function planOpmlImport(parsed, existingSources) {
+  const existingByKey = new Map();
+  for (const source of existingSources) {
+    existingByKey.set(sourceUrlKey(source.url), source);
+  }
+  const seenInFile = new Set();
+
+  const entries = parsed.entries.map(entry => {
+    const url = entry.feedUrl || entry.siteUrl;
+    const planned = { ...entry, url, action: null, reason: null, existingSourceId: null };
+
+    if (!isHttpUrl(url)) {
+      return { ...planned, action: 'invalid', reason: 'URL must start with http:// or https://' };
+    }
+
+    const key = sourceUrlKey(url);
+    const existing = existingByKey.get(key);
+    if (existing) {
+      return { ...planned, action: 'duplicate', reason: `Already monitored as "${existing.name}"`, existingSourceId: existing.id };
+    }
+    if (seenInFile.has(key)) {
+      return { ...planned, action: 'duplicate_in_file', reason: 'Listed more than once in this file' };
+    }
+    seenInFile.add(key);
+
+    return entry.feedUrl
+      ? { ...planned, action: 'add_rss' }
+      : { ...planned, action: 'discover', reason: 'No feed URL; feed discovery will run, falling back to scraping' };
+  });
+
+  const summary = entries.reduce((counts, entry) => {
+    counts[entry.action] = (counts[entry.action] || 0) + 1;
+    return counts;
+  }, {});
+
+  return {
+    title: parsed.title,
+    categories: parsed.categories,
+    entries,
+    summary: { total: entries.length, ...summary }
+  };
+}
+
+class OpmlService {
+  /**
+   * Parse an OPML document and compare it against the current sources without changing anything.
+   */
+  async previewImport(xml) {
+    const parsed = parseOpml(xml);
+    if (parsed.entries.length > MAX_OPML_ENTRIES) {
+      throw new Error(`OPML has ${parsed.entries.length} entries; the limit is ${MAX_OPML_ENTRIES}`);
+    }
+    const existingSources = await database.getAllSources();
+    const existingCategories = await database.getAllCategories();
+
+    // Reuse existing category names when they only differ by case
+    const knownByLower = new Map(existingCategories.map(c => [c.name.toLowerCase(), c.name]));
+    const canonical = name => (name ? knownByLower.get(name.toLowerCase()) || name : null);
+    parsed.categories = [...new Set(parsed.categories.map(canonical))];
+    parsed.entries = parsed.entries.map(entry => ({ ...entry, category: canonical(entry.category) }));
+
+    const plan = planOpmlImport(parsed, existingSources);
+    plan.newCategories = plan.categories.filter(name => !knownByLower.has(name.toLowerCase()));
+    return plan;
+  }
+
+  /**
+   * Same as check-feed: is the URL itself a feed, or does the site advertise one?
+   * Returns the feed URL or null.
+   */
+  async discoverFeed(url) {
+    if (await feedMonitor.validateFeed(url)) return url;
+
+    const feedDiscovery = new FeedDiscovery();
+    const discoveredFeed = await feedDiscovery.discoverFeedUrl(url);
+    if (!discoveredFeed || discoveredFeed.includes('sitemap')) return null;
+    return (await feedMonitor.validateFeed(discoveredFeed)) ? discoveredFeed : null;
+  }
+
+  /**
+   * Create categories and sources from an OPML document. Duplicates and invalid entries are skipped.
+   * New sources have no next_check_at, so the scheduler picks them up on its next tick.
+   */
+  async importOpml(xml) {
+    const plan = await this.previewImport(xml);
+
+    for (const name of plan.categories) {
+      await database.addCategory(name);
+    }
+
+    const results = [];
+    const createdSources = [];
+    for (const entry of plan.entries) {
+      if (entry.action !== 'add_rss' && entry.action !== 'discover') {
+        results.push({ name: entry.name, url: entry.url, status: 'skipped', action: entry.action, reason: entry.reason });
+        continue;
+      }
+
+      let url = entry.feedUrl;
+      let monitoringType = 'RSS';
+      if (entry.action === 'discover') {
+        try {
+          const feedUrl = await this.discoverFeed(entry.siteUrl);
+          url = feedUrl || entry.siteUrl;
+          monitoringType = feedUrl ? 'RSS' : 'SCRAPING';
+        } catch (err) {
+          console.warn(`⚠️  [OPML] Feed discovery failed for ${entry.siteUrl}: ${err.message}`);
+          url = entry.siteUrl;
+          monitoringType = 'SCRAPING';
+        }
+      }
+
+      try {
+        const source = await database.addSource(entry.name, url, entry.category, monitoringType);
+        createdSources.push(source);
+        results.push({ name: entry.name, url, status: 'added', monitoring_type: monitoringType, id: source.id });
+        console.log(`📥 [OPML] Added ${monitoringType} source: ${entry.name} (${url})`);
+      } catch (dbError) {
+        if (dbError.code === '23505' || dbError.message.includes('duplicate key')) {
+          results.push({ name: entry.name, url, status: 'skipped', action: 'duplicate', reason: 'This source already exists.' });
+          continue;
+        }
+        results.push({ name: entry.name, url, status: 'failed', reason: dbError.message });
+      }
+    }
+
+    return {
+      categories: plan.categories,
+      results,
+      createdSources,
+      added: results.filter(r => r.status === 'added').length,
+      skipped: results.filter(r => r.status === 'skipped').length,
+      failed: results.filter(r => r.status === 'failed').length
+    };
+  }
+
+  async exportOpml() {
+    const sources = await database.getAllSources();
+    return buildOpml(sources);
+  }
+}
+
+module.exports = new OpmlService();
+module.exports.parseOpml = parseOpml;
+module.exports.buildOpml = buildOpml;
+module.exports.planOpmlImport = planOpmlImport;
+module.exports.sourceUrlKey = sourceUrlKey;
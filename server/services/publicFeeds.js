@@ -0,0 +1,292 @@
+/**
+ * Outbound feeds
+ *
+ * Lets downstream readers subscribe to what the desk curates:
+ *   /feeds/sent.{xml|rss|atom|json}              articles delivered to a destination (?destination= narrows it)
+ *   /feeds/category/:name.{xml|rss|atom|json}    sent articles in one category
+ *   /feeds/selected.{...}                        everything picked but not yet sent
+ *   /feeds/<state>.{...}                         articles in that workflow state (e.g. new, approved)
+ * as RSS 2.0 (.xml / .rss), Atom 1.0 (.atom) or JSON Feed 1.1 (.json). Items carry our edited
+ * title, the hook and AI summary, and the original link.
+ *
+ * Sent and category feeds are public until an access token is added for them; from then on they
+ * need ?token= (or Authorization: Bearer). The selected and workflow-state feeds hold unpublished
+ * work (drafts, stories in review, rejected ones), so they are private from the start: only
+ * readable once an admin issues a token for them. Each partner gets its own token, so one can be revoked without
+ * touching the others. Only a hash of each token is stored.
+ */
+
+const crypto = require('crypto');
+const appConfig = require('../config');
+const database = require('../database-postgres');
+const workflow = require('./workflow');
+
+const FORMATS = {
+  xml: { kind: 'rss', contentType: 'application/rss+xml; charset=utf-8' },
+  rss: { kind: 'rss', contentType: 'application/rss+xml; charset=utf-8' },
+  atom: { kind: 'atom', contentType: 'application/atom+xml; charset=utf-8' },
+  json: { kind: 'json', contentType: 'application/feed+json; charset=utf-8' }
+};
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const GENERATOR = 'Scoopstream';
+
+function escapeXml(text) {
+  return String(text == null ? '' : text)
+    // Control characters aren't allowed anywhere in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * What a feed URL selects. feed is 'sent', 'category' with a name, 'selected' (every active
+ * workflow state) or a workflow state key. Returns null for anything else, else
+ * { key, kind, statuses, category, title, label, isPublic }; key is what access tokens are
+ * issued for, isPublic whether the feed can be read while it has no tokens.
+ */
+function parseFeedSelection(feed, name = null, current = workflow.get()) {
+  if (feed === 'sent') {
+    return { key: 'sent', kind: 'sent', statuses: null, category: null, title: 'Sent stories', label: 'sent', isPublic: true };
+  }
+  if (feed === 'category') {
+    const category = String(name || '').trim();
+    if (!category || category.length > 255) return null;
+    return { key: `category/${category.toLowerCase()}`, kind: 'sent', statuses: null, category, title: category, label: 'sent', isPublic: true };
+  }
+  if (feed === 'selected') {
+    return { key: 'selected', kind: 'status', statuses: workflow.activeStates(current), category: null, title: 'Selected stories', label: 'selected', isPublic: false };
+  }
+  const state = current.states.find(s => s.key === feed);
+  if (state) {
+    return { key: feed, kind: 'status', statuses: [feed], category: null, title: `${state.label} stories`, label: state.label.toLowerCase(), isPublic: false };
+  }
+  return null;
+}
+
+/**
+ * Validate an access token request: { feed, name } where feed is 'sent', 'selected', a workflow
+ * state or 'category/<name>'. Returns { error } or { token: { feedKey, name } }.
+ */
+function normalizeFeedTokenInput(body = {}) {
+  const feed = typeof body.feed === 'string' ? body.feed.trim() : '';
+  const [kind, ...rest] = feed.split('/');
+  const selection = parseFeedSelection(kind, rest.length > 0 ? rest.join('/') : null);
+  if (!selection || (kind === 'category') !== (rest.length > 0)) {
+    return { error: 'feed must be sent, selected, a workflow state or category/<name>' };
+  }
+
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name) return { error: 'Token name is required (e.g. the partner it is for)' };
+  if (name.length > 100) return { error: 'Token name must be 100 characters or fewer' };
+  return { token: { feedKey: selection.key, name } };
+}
+
+function isoDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.toISOString() : null;
+}
+
+// One feed item, shared by every format
+function presentItem(article) {
+  const summary = (article.ai_summary || article.publisher_description || '').trim();
+  const hook = (article.article_hook || '').trim();
+  const source = article.source_name || null;
+  const link = /^https?:\/\//i.test(article.link || '') ? article.link : null;
+  const contentHtml = [
+    hook ? `<p><strong>${escapeXml(hook)}</strong></p>` : null,
+    summary ? `<p>${escapeXml(summary)}</p>` : null,
+    source ? `<p>Source: ${escapeXml(source)}</p>` : null
+  ].filter(Boolean).join('');
+
+  return {
+    id: `urn:scoopstream:article:${article.id}`,
+    title: article.title || 'Untitled Article',
+    url: link,
+    summary: summary || hook || null,
+    contentHtml: contentHtml || null,
+    published: isoDate(article.sent_at || article.pub_date || article.created_at),
+    updated: isoDate(article.updated_at || article.sent_at || article.pub_date || article.created_at),
+    author: article.author || source,
+    category: article.category || null
+  };
+}
+
+function newest(items, now) {
+  const dates = items.map(item => item.updated || item.published).filter(Boolean).sort();
+  return dates.length > 0 ? dates[dates.length - 1] : now.toISOString();
+}
+
+/**
+ * feed: { title, description, homeUrl, feedUrl }. Returns the RSS 2.0 document.
+ */
+function renderRss(feed, items, now = new Date()) {
+  const rfc822 = iso => new Date(iso).toUTCString();
+  const entries = items.map(item => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    item.url ? `      <link>${escapeXml(item.url)}</link>` : null,
+    `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+    item.published ? `      <pubDate>${rfc822(item.published)}</pubDate>` : null,
+    item.author ? `      <dc:creator>${escapeXml(item.author)}</dc:creator>` : null,
+    item.category ? `      <category>${escapeXml(item.category)}</category>` : null,
+    item.contentHtml ? `      <description>${escapeXml(item.contentHtml)}</description>` : null,
+    '    </item>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.homeUrl)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${rfc822(newest(items, now))}</lastBuildDate>`,
+    `    <generator>${GENERATOR}</generator>`,
+    ...entries,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
+
+function renderAtom(feed, items, now = new Date()) {
+  const entries = items.map(item => [
+    '  <entry>',
+    `    <id>${escapeXml(item.id)}</id>`,
+    `    <title>${escapeXml(item.title)}</title>`,
+    item.url ? `    <link rel="alternate" href="${escapeXml(item.url)}"/>` : null,
+    `    <updated>${item.updated || now.toISOString()}</updated>`,
+    item.published ? `    <published>${item.published}</published>` : null,
+    `    <author><name>${escapeXml(item.author || GENERATOR)}</name></author>`,
+    item.category ? `    <category term="${escapeXml(item.category)}"/>` : null,
+    item.summary ? `    <summary type="text">${escapeXml(item.summary)}</summary>` : null,
+    item.contentHtml ? `    <content type="html">${escapeXml(item.contentHtml)}</content>` : null,
+    '  </entry>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.feedUrl)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <updated>${newest(items, now)}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>`,
+    `  <link rel="alternate" href="${escapeXml(feed.homeUrl)}"/>`,
+    `  <author><name>${GENERATOR}</name></author>`,
+    `  <generator>${GENERATOR}</generator>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+function renderJsonFeed(feed, items) {
+  return `${JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    description: feed.description,
+    items: items.map(item => ({
+      id: item.id,
+      url: item.url || undefined,
+      title: item.title,
+      content_html: item.contentHtml || '',
+      summary: item.summary || undefined,
+      date_published: item.published || undefined,
+      date_modified: item.updated || undefined,
+      authors: item.author ? [{ name: item.author }] : undefined,
+      tags: item.category ? [item.category] : undefined
+    }))
+  }, null, 2)}\n`;
+}
+
+/**
+ * Render articles as a feed. format is a FORMATS key; feed is { title, description, homeUrl, feedUrl }.
+ * Returns { contentType, body }.
+ */
+function renderFeed(format, feed, articles, now = new Date()) {
+  const { kind, contentType } = FORMATS[format];
+  const items = articles.map(presentItem);
+  const body = kind === 'rss' ? renderRss(feed, items, now) : kind === 'atom' ? renderAtom(feed, items, now) : renderJsonFeed(feed, items);
+  return { contentType, body };
+}
+
+class PublicFeedService {
+  // Base for self links: PUBLIC_BASE_URL when set (behind a proxy), else what the request came in on
+  baseUrl(req) {
+    return appConfig.feeds.baseUrl || `${req.protocol}://${req.get('host')}`;
+  }
+
+  /**
+   * Whether a request may read a feed (a parseFeedSelection result): with one of the feed's
+   * tokens, or without one while a public feed has no tokens. The selected and workflow-state
+   * feeds always need a token.
+   */
+  async authorize(selection, token) {
+    const { tokenCount, tokenId } = await database.checkFeedToken(selection.key, token ? hashToken(token) : null);
+    if (tokenId) return true;
+    return selection.isPublic && tokenCount === 0;
+  }
+
+  /**
+   * Build a feed. options: { format, destination (id or key, sent feeds only), limit, baseUrl, path }.
+   * Returns { error } or { contentType, body }.
+   */
+  async build(selection, { format, destination = null, limit = DEFAULT_LIMIT, baseUrl, path }) {
+    let destinationId = null;
+    let title = selection.title;
+    if (destination && selection.kind === 'sent') {
+      const row = /^\d+$/.test(String(destination))
+        ? await database.getDestinationById(parseInt(destination, 10))
+        : await database.getDestinationByKey(String(destination));
+      if (!row) return { error: `Destination not found: ${destination}` };
+      destinationId = row.id;
+      title = `${title} — ${row.name}`;
+    }
+
+    const articles = await database.getFeedArticles({
+      kind: selection.kind,
+      statuses: selection.statuses,
+      category: selection.category,
+      destinationId,
+      limit: Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT)
+    });
+    const query = destinationId ? `?destination=${encodeURIComponent(destination)}` : '';
+    return renderFeed(format, {
+      title: `Scoopstream: ${title}`,
+      description: selection.kind === 'sent'
+        ? `Stories the Scoopstream desk has sent${selection.category ? ` in ${selection.category}` : ''}`
+        : `Stories marked ${selection.label} on the Scoopstream desk`,
+      homeUrl: `${baseUrl}/`,
+      feedUrl: `${baseUrl}${path}${query}`
+    }, articles);
+  }
+
+  // Issue a token for a feed. The plain token is only in this result (the database keeps a hash).
+  async createToken({ feedKey, name }) {
+    const token = generateToken();
+    const row = await database.createFeedToken({ feedKey, name, tokenHash: hashToken(token), tokenHint: token.slice(-4) });
+    return { ...row, token };
+  }
+}
+
+module.exports = new PublicFeedService();
+module.exports.FORMATS = FORMATS;
+module.exports.parseFeedSelection = parseFeedSelection;
+module.exports.normalizeFeedTokenInput = normalizeFeedTokenInput;
+module.exports.renderFeed = renderFeed;
+module.exports.hashToken = hashToken;
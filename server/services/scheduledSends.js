@@ -0,0 +1,125 @@
+/**
+ * Scheduled sends
+ *
+ * Editors can queue an article for a destination at a set time (an embargo lifting, the
+ * morning newsletter slot) instead of sending it now. Each article/destination pair is a
+ * row in `scheduled_sends`: scheduled -> sending -> sent | failed, or cancelled. A worker
+ * polls for due rows and fires them through destinations.deliverArticle, the same path as
+ * "send now" (so Distro still goes through its outbox). Rows live in Postgres, so a restart
+ * only delays them until the next poll.
+ */
+
+const database = require('../database-postgres');
+const destinations = require('./destinations');
+
+const POLL_SECONDS = 30;
+const CLAIM_BATCH_SIZE = 20;
+const STALE_SENDING_MINUTES = 10; // a 'sending' row this old was interrupted by a restart
+const MAX_SCHEDULE_DAYS = 365;
+const PAST_TOLERANCE_MS = 60 * 1000; // "now" picked in the UI is already a few seconds old
+
+/**
+ * Parse a send time from the API (ISO 8601 with offset, e.g. from Date#toISOString).
+ * Returns { error } or { sendAt: Date }.
+ */
+function parseSendAt(value, now = new Date()) {
+  if (!value || typeof value !== 'string') return { error: 'sendAt is required (ISO 8601 date-time)' };
+  const sendAt = new Date(value);
+  if (isNaN(sendAt.getTime())) return { error: 'sendAt must be a valid ISO 8601 date-time' };
+  if (sendAt.getTime() < now.getTime() - PAST_TOLERANCE_MS) return { error: 'sendAt must be in the future' };
+  if (sendAt.getTime() > now.getTime() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `sendAt must be within ${MAX_SCHEDULE_DAYS} days` };
+  }
+  return { sendAt };
+}
+
+/**
+ * Validate a schedule request: { destinationIds, sendAt, note?, userName? }.
+ * Returns { error } or { schedule: { destinationIds, sendAt, note, options } }.
+ */
+function normalizeScheduleInput(body = {}, now = new Date()) {
+  const rawIds = Array.isArray(body.destinationIds) ? body.destinationIds : [];
+  const destinationIds = [...new Set(rawIds.map(id => parseInt(id, 10)).filter(id => !isNaN(id)))];
+  if (destinationIds.length === 0) return { error: 'At least one destination ID is required' };
+
+  const { error, sendAt } = parseSendAt(body.sendAt, now);
+  if (error) return { error };
+
+  const note = typeof body.note === 'string' && body.note.trim() ? body.note.trim().substring(0, 500) : null;
+  const options = body.userName ? { userName: String(body.userName) } : {};
+  return { schedule: { destinationIds, sendAt, note, options } };
+}
+
+class ScheduledSendService {
+  constructor() {
+    this.pollInterval = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * Fire every due send. Returns the number processed; one run at a time per process.
+   */
+  async processDue() {
+    if (this.isProcessing) return 0;
+    this.isProcessing = true;
+    let processed = 0;
+    try {
+      let claimed;
+      do {
+        claimed = await database.claimDueScheduledSends(CLAIM_BATCH_SIZE, STALE_SENDING_MINUTES);
+        for (const item of claimed) {
+          await this.fire(item);
+          processed++;
+        }
+      } while (claimed.length === CLAIM_BATCH_SIZE);
+    } finally {
+      this.isProcessing = false;
+    }
+    return processed;
+  }
+
+  // Send one claimed row and record how it went
+  async fire(item) {
+    try {
+      const delivery = await destinations.deliverArticle(item.article_id, [item.destination_id], item.options || {});
+      if (!delivery) {
+        await database.finishScheduledSend(item.id, { status: 'failed', error: 'Article not found' });
+        return;
+      }
+      const [result] = delivery.results;
+      if (result.status === 'sent') {
+        await database.finishScheduledSend(item.id, { status: 'sent', deliveryId: result.delivery_id });
+        console.log(`⏰ [SCHEDULED] "${(delivery.article.title || '').substring(0, 60)}" sent to ${result.destination}`);
+        return;
+      }
+      // Durable destinations keep retrying from the outbox; say so rather than just "failed"
+      const error = result.job_status === 'failed' || result.status === 'queued'
+        ? `${result.error} (retrying from the delivery outbox)`
+        : result.error;
+      await database.finishScheduledSend(item.id, { status: 'failed', error, deliveryId: result.delivery_id || null });
+      console.error(`❌ [SCHEDULED] Scheduled send ${item.id} failed: ${error}`);
+    } catch (error) {
+      console.error(`❌ [SCHEDULED] Scheduled send ${item.id} failed:`, error.message);
+      await database.finishScheduledSend(item.id, { status: 'failed', error: error.message }).catch(() => {});
+    }
+  }
+
+  start(pollSeconds = POLL_SECONDS) {
+    if (this.pollInterval) return;
+    console.log(`🚀 [SCHEDULED] Checking for due scheduled sends every ${pollSeconds}s`);
+    const run = () => this.processDue().catch(err => console.error('❌ [SCHEDULED] Run failed:', err.message));
+    run(); // anything that came due while the server was down
+    this.pollInterval = setInterval(run, pollSeconds * 1000);
+  }
+
+  stop() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
+  }
+}
+
+module.exports = new ScheduledSendService();
+module.exports.parseSendAt = parseSendAt;
+module.exports.normalizeScheduleInput = normalizeScheduleInput;
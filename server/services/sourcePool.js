@@ -0,0 +1,168 @@
+/**
+ * Bounded worker pool for feed checks
+ *
+ * Items are split into lanes, each with its own concurrency: RSS feeds are cheap HTTP
+ * fetches and run many at a time, Playwright and ADK sources get a small lane of their own.
+ * Within a lane items start in the order given.
+ *
+ * Admission control: before an item starts, process memory is compared with its lane's
+ * budget. Over budget, the pool waits for in-flight work to finish (every completion
+ * re-checks). With nothing left in flight it collects garbage once; if memory is still over
+ * budget the item either runs anyway (overBudget: 'run') or is handed to onSkip ('skip').
+ *
+ * createLimiter is the same idea for a single resource: at most n tasks at once, the rest
+ * wait their turn (used to keep to one headless Chromium per process).
+ */
+
+// Resident memory in MB (includes native memory, not just the JS heap)
+function residentMemoryMB() {
+  return process.memoryUsage ? Math.round(process.memoryUsage().rss / 1024 / 1024) : 0;
+}
+
+function collectGarbage() {
+  if (global.gc) global.gc();
+}
+
+/**
+ * Run worker(item) for every item, lane by lane.
+ * lanes: { [name]: { concurrency, memoryBudgetMB, overBudget: 'run' | 'skip' } }
+ * Stops starting new items once shouldStop() returns true. Resolves { stopped } after the
+ * last in-flight item; rejects with the first error a worker or onSkip threw (after the
+ * in-flight ones finish, starting nothing new).
+ */
+function runPool(items, {
+  laneOf,
+  lanes,
+  worker,
+  onSkip = async () => {},
+  shouldStop = () => false,
+  getMemoryMB = residentMemoryMB,
+  gc = collectGarbage
+}) {
+  return new Promise((resolve, reject) => {
+    const laneNames = Object.keys(lanes);
+    const queues = {};
+    const active = {};
+    for (const name of laneNames) {
+      queues[name] = [];
+      active[name] = 0;
+    }
+    for (const item of items) {
+      const lane = laneOf(item);
+      if (!queues[lane]) {
+        reject(new Error(`Unknown pool lane "${lane}"`));
+        return;
+      }
+      queues[lane].push(item);
+    }
+
+    let inFlight = 0;
+    let stopped = false;
+    let failure = null;
+    let settled = false;
+
+    const settle = () => {
+      if (settled || inFlight > 0) return;
+      settled = true;
+      if (failure) reject(failure);
+      else resolve({ stopped });
+    };
+
+    const launch = (lane, task) => {
+      inFlight++;
+      active[lane]++;
+      Promise.resolve()
+        .then(task)
+        .catch(error => {
+          if (!failure) failure = error;
+        })
+        .then(() => {
+          inFlight--;
+          active[lane]--;
+          pump();
+        });
+    };
+
+    const pump = () => {
+      if (!failure && !stopped && laneNames.some(name => queues[name].length > 0) && shouldStop()) {
+        stopped = true;
+      }
+      if (failure || stopped) {
+        settle();
+        return;
+      }
+
+      let collected = false;
+      for (const name of laneNames) {
+        const lane = lanes[name];
+        const queue = queues[name];
+        while (queue.length > 0 && active[name] < lane.concurrency) {
+          if (getMemoryMB() > lane.memoryBudgetMB) {
+            // Something finishing frees memory and pumps again
+            if (inFlight > 0) break;
+            if (!collected) {
+              gc();
+              collected = true;
+              continue;
+            }
+            const item = queue.shift();
+            if (lane.overBudget === 'skip') {
+              launch(name, () => onSkip(item, getMemoryMB()));
+            } else {
+              launch(name, () => worker(item));
+            }
+            continue;
+          }
+          const item = queue.shift();
+          launch(name, () => worker(item));
+        }
+      }
+
+      if (inFlight === 0 && laneNames.every(name => queues[name].length === 0)) settle();
+    };
+
+    pump();
+  });
+}
+
+// At most `limit` holders at once; run(task) waits for a free slot, then resolves with task()
+function createLimiter(limit) {
+  let active = 0;
+  const waiting = [];
+
+  // A finished task hands its slot straight to the next waiter
+  const release = () => {
+    if (waiting.length > 0) waiting.shift()();
+    else active--;
+  };
+
+  // Resolves with a release function once a slot is free; call it exactly once
+  const acquire = async () => {
+    if (active >= limit) {
+      await new Promise(resolve => waiting.push(resolve));
+    } else {
+      active++;
+    }
+    return release;
+  };
+
+  return {
+    acquire,
+    async run(task) {
+      const done = await acquire();
+      try {
+        return await task();
+      } finally {
+        done();
+      }
+    },
+    get active() {
+      return active;
+    },
+    get waiting() {
+      return waiting.length;
+    }
+  };
+}
+
+module.exports = { runPool, createLimiter, residentMemoryMB };
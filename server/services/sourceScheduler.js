@@ -0,0 +1,391 @@
+/**
+ * Source Scheduler
+ *
+ * Decides when each source is due for a check. Every row in `sources` carries
+ * its own cadence:
+ *   - 'interval': check every `schedule_interval_minutes`
+ *   - 'cron':     check on a 5-field cron expression (`schedule_cron`, server local time)
+ *   - 'adaptive': start from `schedule_interval_minutes`, then tighten on bursts of
+ *                 new articles and back off exponentially on quiet sources
+ *
+ * A tick looks up sources whose `next_check_at` has passed and hands only those to
+ * the feed monitor, which queues them as a check for the worker. The feed-monitoring
+ * scheduled task (taskScheduler.js) ticks every minute. Manual "Check Now" ignores
+ * schedules entirely.
+ */
+
+const database = require('../database-postgres');
+
+const SCHEDULE_TYPES = ['interval', 'cron', 'adaptive'];
+const DEFAULT_INTERVAL_MINUTES = 30;
+const MIN_INTERVAL_MINUTES = 1;
+const MAX_INTERVAL_MINUTES = 7 * 24 * 60; // One week
+
+// Adaptive polling bounds and thresholds
+const ADAPTIVE_MIN_MINUTES = 5;
+const ADAPTIVE_MAX_MINUTES = 24 * 60; // Quiet sources are still checked at least daily
+const BURST_THRESHOLD = 3; // New articles in one check that count as a burst
+const QUIET_BACKOFF_MINUTES = 24 * 60; // Start backing off after a day without new articles
+
+// Cron field bounds: minute, hour, day of month, month, day of week
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+function parseCronValue(value, field) {
+  if (field.names) {
+    const idx = field.names.indexOf(value.toLowerCase());
+    if (idx !== -1) {
+      return field.name === 'month' ? idx + 1 : idx;
+    }
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value "${value}"`);
+  }
+  const num = parseInt(value, 10);
+  if (num < field.min || num > field.max) {
+    throw new Error(`${field.name} value ${num} out of range (${field.min}-${field.max})`);
+  }
+  return num;
+}
+
+// Parse one cron field ("*", "*/5", "1-5", "mon-fri", "0,30") into a Set of allowed values
+function parseCronField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+    if (!step || step < 1 || (stepPart !== undefined && !/^\d+$/.test(stepPart))) {
+      throw new Error(`Invalid step in ${field.name} field "${part}"`);
+    }
+
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangePart.includes('-')) {
+      const [a, b] = rangePart.split('-');
+      start = parseCronValue(a, field);
+      end = parseCronValue(b, field);
+      if (start > end) {
+        throw new Error(`Invalid range in ${field.name} field "${part}"`);
+      }
+    } else {
+      start = parseCronValue(rangePart, field);
+      end = stepPart === undefined ? start : field.max;
+    }
+
+    for (let v = start; v <= end; v += step) {
+      values.add(v);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a standard 5-field cron expression (minute hour day-of-month month day-of-week).
+ * Throws with a readable message when the expression is invalid. This is the repo's only
+ * cron implementation (scheduled tasks use it too): it also computes the next fire time,
+ * which the cron libraries that only schedule callbacks don't expose.
+ */
+function parseCronExpression(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have 5 fields (minute hour day-of-month month day-of-week)');
+  }
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  // Both 0 and 7 mean Sunday
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+    daysOfWeek.delete(7);
+  }
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Standard (Vixie) cron semantics: when both day fields are restricted, either may match.
+    // A field starting with * (including a step like */2) doesn't count as restricted.
+    domRestricted: !parts[2].startsWith('*'),
+    dowRestricted: !parts[4].startsWith('*')
+  };
+}
+
+function cronDayMatches(parsed, date) {
+  const domMatch = parsed.daysOfMonth.has(date.getDate());
+  const dowMatch = parsed.daysOfWeek.has(date.getDay());
+  if (parsed.domRestricted && parsed.dowRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * Next time (strictly after `from`) the cron expression fires, or null if it
+ * never fires within the next ~4 years (e.g. "0 0 31 2 *").
+ */
+function getNextCronDate(expression, from = new Date()) {
+  const parsed = parseCronExpression(expression);
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = from.getTime() + 4 * 366 * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (!parsed.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cronDayMatches(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+  return null;
+}
+
+function formatMinutes(minutes) {
+  if (minutes >= 60 && minutes % 60 === 0) return `${minutes / 60}h`;
+  if (minutes >= 60) return `${(minutes / 60).toFixed(1)}h`;
+  return `${minutes} min`;
+}
+
+/**
+ * Pick the next adaptive interval from a source's publishing history.
+ * Pure function (no I/O) so the policy can be tested in isolation.
+ *
+ * @param {Object} history
+ * @param {number} history.currentMinutes - interval used for the check that just ran
+ * @param {number} history.baseMinutes - the source's configured starting interval
+ * @param {number} history.newArticles - articles inserted by the check that just ran
+ * @param {number} history.articlesLast7d - articles inserted in the last 7 days
+ * @param {Date|null} history.lastArticleAt - created_at of the newest article from this source
+ * @param {Object|null} history.scrapingResult - sources.last_scraping_result
+ * @returns {{ minutes: number, reason: string }}
+ */
+function computeAdaptiveInterval({
+  currentMinutes,
+  baseMinutes,
+  newArticles = 0,
+  articlesLast7d = 0,
+  lastArticleAt = null,
+  scrapingResult = null,
+  now = new Date()
+}) {
+  const base = baseMinutes || DEFAULT_INTERVAL_MINUTES;
+  const current = currentMinutes || base;
+  let minutes;
+  let reason;
+
+  if (newArticles >= BURST_THRESHOLD) {
+    minutes = current / 2;
+    reason = `Burst of ${newArticles} new articles in last check — tightening`;
+  } else if (newArticles > 0) {
+    if (articlesLast7d >= 2) {
+      // Aim for roughly two checks per typical gap between posts
+      const gapMinutes = (7 * 24 * 60) / articlesLast7d;
+      minutes = gapMinutes / 2;
+      reason = `Publishes ~${(articlesLast7d / 7).toFixed(1)}/day — checking about twice per gap`;
+    } else {
+      minutes = base;
+      reason = 'New article after a quiet spell — back to base interval';
+    }
+  } else {
+    const quietMinutes = lastArticleAt ? (now.getTime() - new Date(lastArticleAt).getTime()) / 60000 : Infinity;
+    const scrapeFoundNothing = scrapingResult && scrapingResult.success === false;
+    if (scrapeFoundNothing) {
+      minutes = current * 2;
+      reason = 'Last scrape found no articles — backing off';
+    } else if (quietMinutes >= QUIET_BACKOFF_MINUTES) {
+      minutes = current * 2;
+      reason = lastArticleAt
+        ? `No new articles for ${Math.floor(quietMinutes / (24 * 60))} day(s) — backing off`
+        : 'No articles yet — backing off';
+    } else if (current < base) {
+      minutes = Math.min(base, current * 2);
+      reason = 'Burst over — relaxing toward base interval';
+    } else {
+      minutes = current;
+      reason = 'No new articles in last check — holding interval';
+    }
+  }
+
+  minutes = Math.round(Math.min(ADAPTIVE_MAX_MINUTES, Math.max(ADAPTIVE_MIN_MINUTES, minutes)));
+  return { minutes, reason: `${reason} (every ${formatMinutes(minutes)})` };
+}
+
+/**
+ * Validate a schedule payload. Returns an error message, or null when valid.
+ */
+function validateSchedule({ scheduleType, intervalMinutes, cron }) {
+  if (!SCHEDULE_TYPES.includes(scheduleType)) {
+    return `Schedule type must be one of: ${SCHEDULE_TYPES.join(', ')}`;
+  }
+  if (scheduleType === 'cron') {
+    try {
+      if (!getNextCronDate(cron)) {
+        return 'Cron expression never fires';
+      }
+    } catch (err) {
+      return err.message;
+    }
+    return null;
+  }
+  const minutes = Number(intervalMinutes);
+  if (!Number.isInteger(minutes) || minutes < MIN_INTERVAL_MINUTES || minutes > MAX_INTERVAL_MINUTES) {
+    return `Interval must be a whole number of minutes between ${MIN_INTERVAL_MINUTES} and ${MAX_INTERVAL_MINUTES}`;
+  }
+  return null;
+}
+
+class SourceScheduler {
+  constructor() {
+    this.isTicking = false;
+    this.lastTickAt = null;
+  }
+
+  /**
+   * When should this source be checked next, counting from `from`?
+   */
+  computeNextCheckAt(source, from = new Date()) {
+    const scheduleType = source.schedule_type || 'interval';
+    if (scheduleType === 'cron' && source.schedule_cron) {
+      try {
+        const next = getNextCronDate(source.schedule_cron, from);
+        if (next) return next;
+      } catch (err) {
+        console.warn(`⚠️  [SCHEDULER] [${source.name}] Invalid cron "${source.schedule_cron}", falling back to interval: ${err.message}`);
+      }
+    }
+    const minutes = scheduleType === 'adaptive'
+      ? source.adaptive_interval_minutes || source.schedule_interval_minutes || DEFAULT_INTERVAL_MINUTES
+      : source.schedule_interval_minutes || DEFAULT_INTERVAL_MINUTES;
+    return new Date(from.getTime() + minutes * 60 * 1000);
+  }
+
+  /**
+   * The interval currently in effect for a source and why (shown in GET /api/sources).
+   */
+  describeSchedule(source) {
+    const scheduleType = source.schedule_type || 'interval';
+    const baseMinutes = source.schedule_interval_minutes || DEFAULT_INTERVAL_MINUTES;
+    if (scheduleType === 'cron') {
+      return { interval_minutes: null, reason: `Cron schedule "${source.schedule_cron}"` };
+    }
+    if (scheduleType === 'adaptive') {
+      return {
+        interval_minutes: source.adaptive_interval_minutes || baseMinutes,
+        reason: source.adaptive_reason || `Adaptive — starting at ${formatMinutes(baseMinutes)} until publishing history builds up`
+      };
+    }
+    return { interval_minutes: baseMinutes, reason: `Fixed interval (every ${formatMinutes(baseMinutes)})` };
+  }
+
+  /**
+   * After a scheduled run, re-tune adaptive sources from what the run found and
+   * their recent publishing history, and push next_check_at out accordingly.
+   * Called by whoever ran the check (feedMonitor.runCheckJob in the worker).
+   */
+  async updateAdaptiveIntervals(sources, runStartedAt) {
+    const elapsedSeconds = Math.ceil((Date.now() - runStartedAt.getTime()) / 1000) + 1;
+    for (const source of sources) {
+      try {
+        const stats = await database.getSourcePublishingStats(source.id, elapsedSeconds);
+        const fresh = await database.getSourceById(source.id);
+        if (!fresh || fresh.schedule_type !== 'adaptive') continue;
+
+        let scrapingResult = fresh.last_scraping_result;
+        if (typeof scrapingResult === 'string') {
+          try {
+            scrapingResult = JSON.parse(scrapingResult);
+          } catch (e) {
+            scrapingResult = null;
+          }
+        }
+
+        const { minutes, reason } = computeAdaptiveInterval({
+          currentMinutes: fresh.adaptive_interval_minutes,
+          baseMinutes: fresh.schedule_interval_minutes,
+          newArticles: stats.new_since,
+          articlesLast7d: stats.last_7d,
+          lastArticleAt: stats.last_article_at,
+          scrapingResult
+        });
+        const nextCheckAt = new Date(Date.now() + minutes * 60 * 1000);
+        await database.updateSourceAdaptiveInterval(source.id, minutes, reason, nextCheckAt);
+        if (minutes !== fresh.adaptive_interval_minutes) {
+          console.log(`📈 [SCHEDULER] [${source.name}] Adaptive interval ${fresh.adaptive_interval_minutes || fresh.schedule_interval_minutes} → ${minutes} min: ${reason}`);
+        }
+      } catch (err) {
+        console.warn(`⚠️  [SCHEDULER] [${source.name}] Could not update adaptive interval: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Queue the sources that are due: `runDueSources(sources)` is called with them and
+   * should resolve once they are on their way (queued). While `isBusy()` (may be async)
+   * returns true, e.g. a Check Now is queued or running, due sources wait for the next
+   * tick. Their next_check_at is claimed up front so a slow or crashed run doesn't
+   * re-queue the same sources on the next tick.
+   * Returns { skipped } or { dueSources, ...what runDueSources returned }.
+   */
+  async tick({ runDueSources, isBusy = () => false }) {
+    if (this.isTicking) {
+      return { skipped: 'The previous tick is still running' };
+    }
+    this.isTicking = true;
+    try {
+      if (await isBusy()) {
+        console.log('⏸️  [SCHEDULER] Another check is in progress, skipping this tick');
+        return { skipped: 'Another check is in progress' };
+      }
+      this.lastTickAt = new Date();
+      const dueSources = await database.getDueSources();
+      if (dueSources.length === 0) {
+        return { dueSources: 0 };
+      }
+
+      console.log(`⏰ [SCHEDULER] ${dueSources.length} source(s) due: ${dueSources.map(s => s.name).join(', ')}`);
+      for (const source of dueSources) {
+        await database.setSourceNextCheckAt(source.id, this.computeNextCheckAt(source, this.lastTickAt));
+      }
+
+      return { dueSources: dueSources.length, ...await runDueSources(dueSources) };
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  getStatus() {
+    return {
+      isTicking: this.isTicking,
+      lastTickAt: this.lastTickAt
+    };
+  }
+}
+
+module.exports = new SourceScheduler();
+module.exports.SCHEDULE_TYPES = SCHEDULE_TYPES;
+module.exports.DEFAULT_INTERVAL_MINUTES = DEFAULT_INTERVAL_MINUTES;
+module.exports.parseCronExpression = parseCronExpression;
+module.exports.getNextCronDate = getNextCronDate;
+module.exports.validateSchedule = validateSchedule;
+module.exports.computeAdaptiveInterval = computeAdaptiveInterval;
@@ -0,0 +1,137 @@
+/**
+ * Story Clustering
+ *
+ * seen_articles and articleExistsByNormalizedLink only catch identical URLs, so the
+ * same announcement syndicated by several outlets still lands as several articles.
+ * After each insert we compare the new article with recent articles from other
+ * sources (title and summary token overlap, built on adkScraper's
+ * tokenizeForSimilarity) and, when it is the same story, put both in a
+ * story_clusters row. Each cluster has a lead article: the one published first.
+ */
+
+const database = require('../database-postgres');
+const { tokenizeForSimilarity } = require('./adkScraper');
+
+const WINDOW_HOURS = 72; // only cluster against articles inserted in the last 3 days
+const MAX_CANDIDATES = 500;
+const TITLE_MATCH = 0.5; // title token overlap that alone means "same story"
+const TITLE_WITH_BODY_MATCH = 0.3; // weaker title overlap, confirmed by the summary
+const BODY_MATCH = 0.4;
+const MIN_TITLE_TOKENS = 3; // "Weekly update" style titles are too generic to cluster on
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'that', 'this', 'into', 'over', 'after', 'its', 'are',
+  'was', 'has', 'have', 'had', 'will', 'new', 'says', 'said', 'about', 'than', 'more', 'how',
+  'why', 'what', 'when', 'you', 'your', 'our', 'their', 'who', 'but', 'not', 'all', 'can',
+  'now', 'out', 'his', 'her', 'they', 'been', 'also', 'amid', 'per', 'via', 'just', 'here'
+]);
+
+function storyTokens(text) {
+  return new Set(tokenizeForSimilarity(text || '').filter(w => !STOPWORDS.has(w)));
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let inter = 0;
+  for (const token of a) {
+    if (b.has(token)) inter++;
+  }
+  return inter / (a.size + b.size - inter);
+}
+
+function summaryText(article) {
+  return (article.publisher_description || article.publisherDescription || article.preview || '').substring(0, 500);
+}
+
+function prepare(article) {
+  return {
+    article,
+    title: storyTokens(article.title),
+    body: storyTokens(`${article.title || ''} ${summaryText(article)}`)
+  };
+}
+
+/**
+ * Score how likely two articles cover the same story. Returns { same, titleScore, bodyScore }.
+ */
+function storySimilarity(a, b) {
+  const pa = a.title instanceof Set ? a : prepare(a);
+  const pb = b.title instanceof Set ? b : prepare(b);
+  const titleScore = jaccard(pa.title, pb.title);
+  const bodyScore = jaccard(pa.body, pb.body);
+  const enoughTitle = pa.title.size >= MIN_TITLE_TOKENS && pb.title.size >= MIN_TITLE_TOKENS;
+  const same = enoughTitle && (
+    titleScore >= TITLE_MATCH ||
+    (titleScore >= TITLE_WITH_BODY_MATCH && bodyScore >= BODY_MATCH)
+  );
+  return { same, titleScore, bodyScore };
+}
+
+/**
+ * Best same-story candidate for an article, or null. Candidates from the article's own source are ignored.
+ */
+function findBestMatch(article, candidates) {
+  const target = prepare(article);
+  const sourceId = article.source_id || article.sourceId || null;
+  let best = null;
+  for (const candidate of candidates) {
+    if (sourceId && candidate.source_id === sourceId) continue;
+    const result = storySimilarity(target, prepare(candidate));
+    if (!result.same) continue;
+    const score = result.titleScore + result.bodyScore;
+    if (!best || score > best.score) {
+      best = { article: candidate, score, ...result };
+    }
+  }
+  return best;
+}
+
+/**
+ * Lead = earliest published (falls back to first seen), then the one with the most content.
+ */
+function pickLeadArticle(articles) {
+  const time = a => new Date(a.pub_date || a.created_at || 0).getTime() || Number.MAX_SAFE_INTEGER;
+  return [...articles].sort((a, b) =>
+    time(a) - time(b) ||
+    (b.content_length || 0) - (a.content_length || 0) ||
+    a.id - b.id
+  )[0];
+}
+
+class StoryClusterService {
+  /**
+   * Attach a freshly inserted article to a story cluster when it matches a recent article
+   * from another source. Returns { clusterId, leadArticleId, articleIds } or null.
+   * Never throws: clustering must not block ingestion.
+   */
+  async assignArticle(articleId, article) {
+    try {
+      const sourceId = article.source_id || article.sourceId || null;
+      const candidates = await database.getClusteringCandidates(articleId, sourceId, WINDOW_HOURS, MAX_CANDIDATES);
+      const match = findBestMatch(article, candidates);
+      if (!match) return null;
+
+      let clusterId = match.article.cluster_id;
+      if (!clusterId) {
+        clusterId = await database.createStoryCluster(match.article.id, match.article.title);
+        await database.setArticleCluster(match.article.id, clusterId);
+      }
+      await database.setArticleCluster(articleId, clusterId);
+
+      const members = await database.getStoryClusterArticles(clusterId);
+      const lead = pickLeadArticle(members);
+      await database.updateStoryCluster(clusterId, { leadArticleId: lead.id, title: lead.title, articleCount: members.length });
+
+      console.log(`🧩 [CLUSTER] "${(article.title || '').substring(0, 60)}" joined story #${clusterId} (${members.length} sources, title overlap ${match.titleScore.toFixed(2)})`);
+      return { clusterId, leadArticleId: lead.id, articleIds: members.map(m => m.id) };
+    } catch (error) {
+      console.warn(`⚠️  [CLUSTER] Failed to cluster article ${articleId}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = new StoryClusterService();
+module.exports.storySimilarity = storySimilarity;
+module.exports.findBestMatch = findBestMatch;
+module.exports.pickLeadArticle = pickLeadArticle;
@@ -0,0 +1,256 @@
+/**
+ * Scheduled tasks
+ *
+ * The periodic work the worker does on its own: queueing due feed checks, cleanups,
+ * enrichment and backfills. Each task is defined below (what it runs, its default
+ * schedule) and has a row in `scheduled_tasks` holding its cron expression, whether it is
+ * enabled and how its last run went (status, result or error, duration). Admins enable,
+ * disable, reschedule and run tasks from the Tasks page; those settings live in the
+ * database, so ENABLE_AUTO_MONITORING / ENABLE_AUTO_CLEANUP / ENABLE_AUTO_ENRICHMENT and
+ * their interval variables only pick the defaults when a task's row is first created.
+ *
+ * Every TICK_SECONDS the worker claims the tasks that are due (one worker per task, even
+ * with several workers) and runs them one after another. Cron expressions use the same
+ * 5-field syntax as source schedules, in the server's local time.
+ */
+
+const database = require('../database-postgres');
+const feedMonitor = require('./feedMonitor');
+const jobHandlers = require('./jobHandlers');
+const { getNextCronDate } = require('./sourceScheduler');
+
+const TICK_SECONDS = 30;
+const STALE_RUN_MINUTES = 60; // a run this old belongs to a worker that died
+
+// Intervals cron steps can keep even: */N restarts at every hour (minutes) or midnight (hours),
+// so only divisors of 60 minutes and 24 hours give equal gaps
+const EVEN_INTERVALS = [1, 2, 3, 4, 5, 6, 10, 12, 15, 20, 30, 60, 120, 180, 240, 360, 480, 720, 1440];
+
+/**
+ * A legacy interval setting as a cron expression (first-start defaults only). The interval is
+ * rounded to the nearest one in EVEN_INTERVALS (the shorter one on a tie), so 45 minutes runs
+ * every 30 and 5 hours every 4; a day or more runs daily at 03:00.
+ */
+function intervalCron(minutes) {
+  const interval = EVEN_INTERVALS.reduce((best, candidate) =>
+    Math.abs(candidate - minutes) < Math.abs(best - minutes) ? candidate : best);
+  if (interval < 60) return `*/${interval} * * * *`;
+  if (interval === 60) return '0 * * * *';
+  if (interval < 1440) return `0 */${interval / 60} * * *`;
+  return '0 3 * * *';
+}
+
+// name -> { label, description, defaults(env) -> { cron, enabled }, run() -> JSON result }
+const TASKS = {
+  'feed-monitoring': {
+    label: 'Scheduled feed checks',
+    description: 'Queue a check of the sources whose own schedule is due',
+    defaults: env => ({ cron: '* * * * *', enabled: env.ENABLE_AUTO_MONITORING === 'true' }),
+    run: () => feedMonitor.queueDueSources()
+  },
+  'cleanup-old-articles': {
+    label: 'Delete old articles',
+    description: 'Delete unsent articles older than CLEANUP_DAYS_OLD days (90 by default)',
+    defaults: env => ({
+      cron: intervalCron((parseInt(env.CLEANUP_INTERVAL_HOURS) || 24) * 60),
+      enabled: env.ENABLE_AUTO_CLEANUP === 'true'
+    }),
+    run: async () => {
+      const daysOld = parseInt(process.env.CLEANUP_DAYS_OLD) || 90;
+      return { deletedCount: await database.cleanupOldArticles(daysOld), daysOld };
+    }
+  },
+  'enrich-articles': {
+    label: 'Enrich articles',
+    description: 'Fetch missing dates and descriptions for up to 20 articles',
+    defaults: env => ({
+      cron: intervalCron(parseInt(env.ENRICHMENT_INTERVAL_MINUTES) || 30),
+      enabled: env.ENABLE_AUTO_ENRICHMENT === 'true'
+    }),
+    run: () => jobHandlers.enrich({ kind: 'static', limit: 20 })
+  },
+  'enrich-articles-playwright': {
+    label: 'Enrich articles with Playwright',
+    description: 'Render up to 3 articles static enrichment could not read (JavaScript sites) in a browser',
+    defaults: () => ({ cron: '0 */6 * * *', enabled: false }),
+    run: () => jobHandlers.enrich({ kind: 'playwright', limit: 3 })
+  },
+  'backfill-pubdates': {
+    label: 'Backfill publication dates',
+    description: "Re-read every source's feed to fill in articles' missing dates",
+    defaults: () => ({ cron: '0 4 * * *', enabled: false }),
+    run: () => feedMonitor.backfillPubDates()
+  },
+  'cleanup-junk-articles': {
+    label: 'Delete junk articles',
+    description: 'Delete placeholder articles ("No results found", placeholder links)',
+    defaults: () => ({ cron: '30 3 * * *', enabled: false }),
+    run: async () => ({ deletedCount: await database.cleanupJunkArticles() })
+  }
+};
+
+/**
+ * Validate a task change from the API: { enabled?, cron? }.
+ * Returns { error } or { changes }.
+ */
+function normalizeTaskUpdate(body = {}) {
+  const changes = {};
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') return { error: 'enabled must be true or false' };
+    changes.enabled = body.enabled;
+  }
+  if (body.cron !== undefined) {
+    const cron = typeof body.cron === 'string' ? body.cron.trim().replace(/\s+/g, ' ') : '';
+    try {
+      if (!getNextCronDate(cron)) return { error: 'Cron expression never fires' };
+    } catch (err) {
+      return { error: err.message };
+    }
+    changes.cron = cron;
+  }
+  if (Object.keys(changes).length === 0) return { error: 'Nothing to change (send enabled and/or cron)' };
+  return { changes };
+}
+
+function isRunning(row, now = new Date()) {
+  return !!row.running_since && now.getTime() - new Date(row.running_since).getTime() < STALE_RUN_MINUTES * 60 * 1000;
+}
+
+// A task row as the API shows it: the row plus what the task is and whether it is running now
+function describeTask(row, now = new Date()) {
+  const task = TASKS[row.name];
+  return {
+    ...row,
+    label: task.label,
+    description: task.description,
+    default_cron: task.defaults(process.env).cron,
+    running: isRunning(row, now)
+  };
+}
+
+class TaskScheduler {
+  constructor() {
+    this.tickInterval = null;
+    this.isTicking = false;
+    this.workerId = null;
+    this.ensured = false;
+  }
+
+  // Give tasks that have no row yet their default schedule (once per process)
+  async ensureTasks(env = process.env, now = new Date()) {
+    if (this.ensured) return;
+    await database.ensureScheduledTasks(Object.entries(TASKS).map(([name, task]) => {
+      const { cron, enabled } = task.defaults(env);
+      return { name, cron, enabled, nextRunAt: getNextCronDate(cron, now) };
+    }));
+    this.ensured = true;
+  }
+
+  async list() {
+    await this.ensureTasks();
+    const rows = await database.getScheduledTasks();
+    return rows.filter(row => TASKS[row.name]).map(row => describeTask(row));
+  }
+
+  /**
+   * Enable, disable or reschedule a task; the next run is counted from now.
+   * Returns null when there is no such task, { error } for an invalid change, else { task }.
+   */
+  async update(name, body, updatedBy = null) {
+    if (!TASKS[name]) return null;
+    const { error, changes } = normalizeTaskUpdate(body);
+    if (error) return { error };
+
+    await this.ensureTasks();
+    const existing = await database.getScheduledTaskByName(name);
+    const enabled = changes.enabled !== undefined ? changes.enabled : existing.enabled;
+    const cron = changes.cron || existing.cron;
+    const row = await database.updateScheduledTask(name, { enabled, cron, nextRunAt: getNextCronDate(cron), updatedBy });
+    console.log(`🗓️  [TASKS] ${name} ${enabled ? `enabled ("${cron}")` : 'disabled'}${updatedBy ? ` by ${updatedBy}` : ''}`);
+    return { task: describeTask(row) };
+  }
+
+  /**
+   * Run a task at the next tick (within TICK_SECONDS), enabled or not.
+   * Returns null when there is no such task, { error } when it is running, else { task }.
+   */
+  async runNow(name, requestedBy = null) {
+    if (!TASKS[name]) return null;
+    await this.ensureTasks();
+    const existing = await database.getScheduledTaskByName(name);
+    if (isRunning(existing)) return { error: `${TASKS[name].label} is already running` };
+
+    const row = await database.requestScheduledTaskRun(name, requestedBy);
+    console.log(`▶️  [TASKS] ${name} requested${requestedBy ? ` by ${requestedBy}` : ''}`);
+    if (this.tickInterval) {
+      this.tick().catch(err => console.error('❌ [TASKS] Tick failed:', err.message));
+    }
+    return { task: describeTask(row) };
+  }
+
+  start({ workerId, tickSeconds = TICK_SECONDS }) {
+    if (this.tickInterval) return;
+    this.workerId = workerId;
+    console.log(`🚀 [TASKS] Checking for due scheduled tasks every ${tickSeconds}s`);
+    const run = () => this.tick().catch(err => console.error('❌ [TASKS] Tick failed:', err.message));
+    run();
+    this.tickInterval = setInterval(run, tickSeconds * 1000);
+  }
+
+  stop() {
+    if (this.tickInterval) {
+      clearInterval(this.tickInterval);
+      this.tickInterval = null;
+    }
+  }
+
+  // Claim and run every due task. Returns the finished rows; one tick at a time per process.
+  async tick() {
+    if (this.isTicking) return [];
+    this.isTicking = true;
+    try {
+      await this.ensureTasks();
+      const claimed = await database.claimDueScheduledTasks(this.workerId, STALE_RUN_MINUTES);
+      const finished = [];
+      for (const row of claimed) {
+        finished.push(await this.runTask(row));
+      }
+      return finished;
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  // Run one claimed task and record how it went and when it is next due
+  async runTask(row) {
+    const task = TASKS[row.name];
+    const startedAt = Date.now();
+    let outcome;
+    try {
+      if (!task) throw new Error('No such task in this version');
+      const result = await task.run();
+      outcome = { status: 'succeeded', result: result === undefined ? null : result };
+      console.log(`✅ [TASKS] ${row.name} finished in ${Date.now() - startedAt}ms`);
+    } catch (error) {
+      outcome = { status: 'failed', error: error.message || String(error) };
+      console.error(`❌ [TASKS] ${row.name} failed:`, outcome.error);
+    }
+
+    let nextRunAt = null;
+    try {
+      nextRunAt = getNextCronDate(row.cron);
+    } catch (err) {
+      console.error(`❌ [TASKS] ${row.name} has an invalid cron "${row.cron}":`, err.message);
+    }
+    return database.finishScheduledTask(row.name, this.workerId, { ...outcome, durationMs: Date.now() - startedAt, nextRunAt });
+  }
+
+  getStatus() {
+    return { running: !!this.tickInterval, isTicking: this.isTicking };
+  }
+}
+
+module.exports = new TaskScheduler();
+module.exports.TASKS = TASKS;
+module.exports.intervalCron = intervalCron;
+module.exports.normalizeTaskUpdate = normalizeTaskUpdate;
@@ -0,0 +1,194 @@
+/**
+ * Watchlists
+ *
+ * Named rule sets that flag articles mentioning the companies, people and tickers
+ * reporters follow. A watchlist matches when any include term or regex hits and no
+ * exclude term does, looking at the title only or at title + body depending on scope.
+ * Rules run on every article the feed monitor inserts; hits are stored in
+ * article_watchlist_matches together with the terms that matched.
+ */
+
+const database = require('../database-postgres');
+
+const SCOPES = ['title', 'body'];
+const MAX_TERMS = 100;
+const MAX_TERM_LENGTH = 200;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word, case-insensitive match that still works for terms like "$ETH" or "S&P 500"
+function termPattern(term) {
+  return new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegex(term)}(?![\\p{L}\\p{N}_])`, 'iu');
+}
+
+/**
+ * Accepts "/pattern/flags" or a bare pattern (case-insensitive by default).
+ */
+function parseRegex(source) {
+  const literal = source.match(/^\/(.+)\/([a-z]*)$/);
+  if (literal) {
+    const flags = literal[2].replace(/[gy]/g, ''); // stateful flags would break repeated .exec()
+    return new RegExp(literal[1], flags);
+  }
+  return new RegExp(source, 'i');
+}
+
+function cleanTerms(list) {
+  if (list === undefined || list === null) return [];
+  const values = Array.isArray(list) ? list : String(list).split(/[\n,]/);
+  return [...new Set(values.map(v => String(v).trim()).filter(Boolean))];
+}
+
+/**
+ * Validate and normalize a watchlist body from the API.
+ * Returns { error } or { watchlist: { name, includeTerms, excludeTerms, regexes, scope, isActive } }.
+ * With partial=true, omitted fields stay undefined (for updates).
+ */
+function normalizeWatchlistInput(body = {}, { partial = false } = {}) {
+  const watchlist = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'Watchlist name is required' };
+    if (name.length > 100) return { error: 'Watchlist name must be 100 characters or fewer' };
+    watchlist.name = name;
+  }
+
+  const lists = { includeTerms: body.include_terms, excludeTerms: body.exclude_terms, regexes: body.regexes };
+  for (const [key, raw] of Object.entries(lists)) {
+    if (partial && raw === undefined) continue;
+    const terms = cleanTerms(raw);
+    if (terms.length > MAX_TERMS) return { error: `At most ${MAX_TERMS} entries are allowed per list` };
+    if (terms.some(t => t.length > MAX_TERM_LENGTH)) return { error: `Entries must be ${MAX_TERM_LENGTH} characters or fewer` };
+    watchlist[key] = terms;
+  }
+
+  for (const pattern of watchlist.regexes || []) {
+    try {
+      parseRegex(pattern);
+    } catch (e) {
+      return { error: `Invalid regex ${pattern}: ${e.message}` };
+    }
+  }
+
+  if (!partial && watchlist.includeTerms.length === 0 && watchlist.regexes.length === 0) {
+    return { error: 'At least one include term or regex is required' };
+  }
+
+  if (!partial || body.scope !== undefined) {
+    const scope = body.scope || 'body';
+    if (!SCOPES.includes(scope)) return { error: `Scope must be one of: ${SCOPES.join(', ')}` };
+    watchlist.scope = scope;
+  }
+
+  if (body.is_active !== undefined) {
+    watchlist.isActive = !!body.is_active;
+  } else if (!partial) {
+    watchlist.isActive = true;
+  }
+
+  return { watchlist };
+}
+
+/**
+ * Pre-build the regexes for a watchlist row so evaluation is cheap per article.
+ */
+function compileWatchlist(row) {
+  const compiled = {
+    id: row.id,
+    name: row.name,
+    scope: row.scope || 'body',
+    include: (row.include_terms || []).map(term => ({ term, pattern: termPattern(term) })),
+    exclude: (row.exclude_terms || []).map(term => termPattern(term)),
+    regexes: []
+  };
+  for (const source of row.regexes || []) {
+    try {
+      compiled.regexes.push(parseRegex(source));
+    } catch (e) {
+      console.warn(`⚠️  [WATCHLIST] [${row.name}] Skipping invalid regex ${source}: ${e.message}`);
+    }
+  }
+  return compiled;
+}
+
+function articleText(article, scope) {
+  const title = article.title || '';
+  if (scope === 'title') return title;
+  const body = [article.preview, article.publisher_description || article.publisherDescription, article.content]
+    .filter(Boolean)
+    .join('\n');
+  return `${title}\n${body}`;
+}
+
+/**
+ * Evaluate one compiled watchlist against an article.
+ * Returns the matched terms (include terms as written, regex hits as found), or null.
+ */
+function matchWatchlist(compiled, article) {
+  const text = articleText(article, compiled.scope);
+  if (!text.trim()) return null;
+
+  if (compiled.exclude.some(pattern => pattern.test(text))) return null;
+
+  const terms = [];
+  for (const { term, pattern } of compiled.include) {
+    if (pattern.test(text)) terms.push(term);
+  }
+  for (const regex of compiled.regexes) {
+    const hit = text.match(regex);
+    if (hit && hit[0] && !terms.includes(hit[0])) terms.push(hit[0]);
+  }
+  return terms.length > 0 ? terms : null;
+}
+
+class WatchlistService {
+  constructor() {
+    this.compiled = null; // cache of active compiled watchlists; reset on any CRUD change
+  }
+
+  invalidate() {
+    this.compiled = null;
+  }
+
+  async getCompiledWatchlists() {
+    if (!this.compiled) {
+      const rows = await database.getActiveWatchlists();
+      this.compiled = rows.map(compileWatchlist);
+    }
+    return this.compiled;
+  }
+
+  /**
+   * Run all active watchlists against a newly inserted article and record hits.
+   * Never throws: a watchlist problem must not block ingestion.
+   */
+  async evaluateArticle(articleId, article) {
+    try {
+      const watchlists = await this.getCompiledWatchlists();
+      const hits = [];
+      for (const watchlist of watchlists) {
+        const terms = matchWatchlist(watchlist, article);
+        if (terms) {
+          await database.addArticleWatchlistMatch(articleId, watchlist.id, terms);
+          hits.push({ id: watchlist.id, name: watchlist.name, terms });
+        }
+      }
+      if (hits.length > 0) {
+        console.log(`🎯 [WATCHLIST] "${(article.title || '').substring(0, 60)}" matched ${hits.map(h => h.name).join(', ')}`);
+      }
+      return hits;
+    } catch (error) {
+      console.warn(`⚠️  [WATCHLIST] Failed to evaluate article ${articleId}: ${error.message}`);
+      return [];
+    }
+  }
+}
+
+module.exports = new WatchlistService();
+module.exports.SCOPES = SCOPES;
+module.exports.normalizeWatchlistInput = normalizeWatchlistInput;
+module.exports.compileWatchlist = compileWatchlist;
+module.exports.matchWatchlist = matchWatchlist;
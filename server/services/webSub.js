@@ -0,0 +1,294 @@
+/**
+ * WebSub (PubSubHubbub) Subscriber
+ *
+ * Many feeds (WordPress, Medium, Substack, Blogger) advertise a hub with
+ * <link rel="hub">. When an RSS source is saved we subscribe to that hub; the hub
+ * then verifies the subscription with a GET challenge on our callback and POSTs
+ * new feed content as it is published. The API checks a push's signature and
+ * queues it as a scrape job; the worker then runs the entries through
+ * feedMonitor.ingestFeedItems, the same insert path polling uses.
+ *
+ * Spec: https://www.w3.org/TR/websub/
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const database = require('../database-postgres');
+const feedMonitor = require('./feedMonitor');
+const config = require('../config');
+
+const SIGNATURE_ALGORITHMS = ['sha1', 'sha256', 'sha384', 'sha512'];
+const RENEW_WINDOW_SECONDS = 24 * 60 * 60; // Renew leases that end within a day
+
+function parseAttributes(tag) {
+  const attrs = {};
+  const attrRegex = /([a-zA-Z_:][\w:.-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = attrRegex.exec(tag)) !== null) {
+    attrs[match[1].toLowerCase()] = match[2] !== undefined ? match[2] : match[3];
+  }
+  return attrs;
+}
+
+/**
+ * Find the hub and self (topic) URLs a feed advertises, from the HTTP Link header,
+ * <link>/<atom:link> elements (RSS/Atom), or the `hubs` array (JSON Feed).
+ */
+function discoverWebSubLinks(body, headers = {}) {
+  const links = { hub: null, self: null };
+
+  const linkHeader = headers.link || headers.Link || '';
+  for (const part of String(linkHeader).split(',')) {
+    const match = part.match(/<([^>]+)>\s*;(.*)/);
+    if (!match) continue;
+    const rel = (match[2].match(/rel\s*=\s*"?([^";]+)"?/i) || [])[1] || '';
+    const rels = rel.toLowerCase().split(/\s+/);
+    if (!links.hub && rels.includes('hub')) links.hub = match[1].trim();
+    if (!links.self && rels.includes('self')) links.self = match[1].trim();
+  }
+
+  const text = typeof body === 'string' ? body : '';
+  if (/^\s*\{/.test(text)) {
+    try {
+      const jsonFeed = JSON.parse(text);
+      const hub = (jsonFeed.hubs || []).find(h => h && h.url && (!h.type || /websub|pubsubhubbub/i.test(h.type)));
+      if (!links.hub && hub) links.hub = hub.url;
+      if (!links.self && jsonFeed.feed_url) links.self = jsonFeed.feed_url;
+    } catch (e) {
+      // Not JSON after all
+    }
+    return links;
+  }
+
+  const tagRegex = /<(?:atom:)?link\b[^>]*>/gi;
+  let tag;
+  while ((tag = tagRegex.exec(text)) !== null) {
+    const attrs = parseAttributes(tag[0]);
+    if (!attrs.href || !attrs.rel) continue;
+    const rels = attrs.rel.toLowerCase().split(/\s+/);
+    if (!links.hub && rels.includes('hub')) links.hub = attrs.href;
+    if (!links.self && rels.includes('self')) links.self = attrs.href;
+  }
+  return links;
+}
+
+/**
+ * Check an X-Hub-Signature header ("sha256=<hex>") against the raw request body.
+ */
+function verifySignature(rawBody, secret, signatureHeader) {
+  if (!signatureHeader || !secret) return false;
+  const [algorithm, digest] = String(signatureHeader).split('=');
+  if (!SIGNATURE_ALGORITHMS.includes((algorithm || '').toLowerCase()) || !digest) return false;
+
+  const expected = crypto.createHmac(algorithm.toLowerCase(), secret).update(rawBody).digest('hex');
+  const expectedBuf = Buffer.from(expected, 'utf8');
+  const actualBuf = Buffer.from(digest.toLowerCase(), 'utf8');
+  return expectedBuf.length === actualBuf.length && crypto.timingSafeEqual(expectedBuf, actualBuf);
+}
+
+class WebSubSubscriber {
+  constructor() {
+    this.renewalInterval = null;
+  }
+
+  isEnabled() {
+    return !!config.websub.callbackBaseUrl;
+  }
+
+  callbackUrl(sourceId) {
+    return `${config.websub.callbackBaseUrl}/api/websub/callback/${sourceId}`;
+  }
+
+  /**
+   * Subscribe to the hub a source's feed advertises (no-op if it has none).
+   */
+  async subscribe(source) {
+    if (!this.isEnabled()) {
+      return { subscribed: false, reason: 'WEBSUB_CALLBACK_BASE_URL is not set' };
+    }
+
+    const response = await axios.get(source.url, {
+      timeout: 15000,
+      responseType: 'text',
+      transformResponse: [data => data],
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; RSS Feed Parser)' }
+    });
+    const { hub, self } = discoverWebSubLinks(response.data, response.headers);
+    if (!hub) {
+      return { subscribed: false, reason: 'Feed does not advertise a WebSub hub' };
+    }
+
+    return this.requestSubscription(source, hub, self || source.url);
+  }
+
+  async requestSubscription(source, hubUrl, topicUrl) {
+    const existing = await database.getWebSubSubscriptionBySourceId(source.id);
+    // Keep the secret stable across renewals so in-flight pushes still verify
+    const secret = existing?.secret || crypto.randomBytes(24).toString('hex');
+    const leaseSeconds = config.websub.leaseSeconds;
+
+    await database.upsertWebSubSubscription(source.id, { hubUrl, topicUrl, secret, leaseSeconds });
+
+    const params = new URLSearchParams({
+      'hub.mode': 'subscribe',
+      'hub.topic': topicUrl,
+      'hub.callback': this.callbackUrl(source.id),
+      'hub.secret': secret,
+      'hub.lease_seconds': String(leaseSeconds)
+    });
+
+    try {
+      // Hubs answer 202 Accepted and confirm asynchronously via GET on our callback
+      await axios.post(hubUrl, params.toString(), {
+        timeout: 15000,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+      console.log(`📮 [WEBSUB] [${source.name}] Subscription requested at ${hubUrl} for ${topicUrl}`);
+      return { subscribed: true, hub: hubUrl, topic: topicUrl };
+    } catch (err) {
+      const message = err.response ? `Hub responded ${err.response.status}` : err.message;
+      await database.updateWebSubSubscription(source.id, { last_error: message });
+      console.warn(`⚠️  [WEBSUB] [${source.name}] Subscription request failed: ${message}`);
+      return { subscribed: false, reason: message };
+    }
+  }
+
+  /**
+   * Ask the hub to stop pushing for a source (best-effort, e.g. before the source is removed).
+   */
+  async unsubscribe(sourceId) {
+    const sub = await database.getWebSubSubscriptionBySourceId(sourceId);
+    if (!sub || sub.status === 'unsubscribed') return;
+
+    await database.updateWebSubSubscription(sourceId, { status: 'unsubscribing' });
+    const params = new URLSearchParams({
+      'hub.mode': 'unsubscribe',
+      'hub.topic': sub.topic_url,
+      'hub.callback': this.callbackUrl(sourceId)
+    });
+    try {
+      await axios.post(sub.hub_url, params.toString(), {
+        timeout: 15000,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+      console.log(`📭 [WEBSUB] Unsubscribe requested for source ${sourceId}`);
+    } catch (err) {
+      console.warn(`⚠️  [WEBSUB] Unsubscribe request for source ${sourceId} failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * Answer the hub's verification GET. Returns { status, body }.
+   */
+  async handleVerification(sourceId, query) {
+    const mode = query['hub.mode'];
+    const topic = query['hub.topic'];
+    const challenge = query['hub.challenge'];
+    const sub = await database.getWebSubSubscriptionBySourceId(sourceId);
+
+    if (mode === 'denied') {
+      if (sub) {
+        await database.updateWebSubSubscription(sourceId, { status: 'denied', last_error: query['hub.reason'] || 'Denied by hub' });
+      }
+      console.warn(`⚠️  [WEBSUB] Hub denied subscription for source ${sourceId}: ${query['hub.reason'] || 'no reason given'}`);
+      return { status: 200, body: '' };
+    }
+
+    if (!challenge) {
+      return { status: 400, body: 'Missing hub.challenge' };
+    }
+
+    if (mode === 'unsubscribe') {
+      // Confirm when we asked for it, or when the source no longer exists here
+      if (!sub || sub.status === 'unsubscribing') {
+        if (sub) await database.updateWebSubSubscription(sourceId, { status: 'unsubscribed' });
+        return { status: 200, body: challenge };
+      }
+      return { status: 404, body: '' };
+    }
+
+    if (mode === 'subscribe' && sub && sub.topic_url === topic && sub.status !== 'unsubscribing' && sub.status !== 'unsubscribed') {
+      const leaseSeconds = parseInt(query['hub.lease_seconds'], 10) || sub.lease_seconds || config.websub.leaseSeconds;
+      await database.updateWebSubSubscription(sourceId, {
+        status: 'active',
+        lease_seconds: leaseSeconds,
+        expires_at: new Date(Date.now() + leaseSeconds * 1000),
+        last_error: null
+      });
+      console.log(`✅ [WEBSUB] Subscription verified for source ${sourceId} (lease ${leaseSeconds}s)`);
+      return { status: 200, body: challenge };
+    }
+
+    return { status: 404, body: '' };
+  }
+
+  /**
+   * Check a pushed notification's signature. Returns { status, accepted }.
+   * Per spec, a bad signature still gets a 2xx but the content is ignored.
+   */
+  async verifyPush(sourceId, rawBody, signatureHeader) {
+    const sub = await database.getWebSubSubscriptionBySourceId(sourceId);
+    if (!sub || sub.status === 'unsubscribed') {
+      return { status: 410, accepted: false };
+    }
+    if (!verifySignature(rawBody, sub.secret, signatureHeader)) {
+      console.warn(`⚠️  [WEBSUB] Ignoring push for source ${sourceId}: missing or invalid signature`);
+      return { status: 202, accepted: false };
+    }
+    return { status: 202, accepted: true };
+  }
+
+  /**
+   * Parse pushed feed content and insert new entries.
+   */
+  async ingestPush(sourceId, rawBody, contentType) {
+    const source = await database.getSourceById(sourceId);
+    if (!source) return [];
+
+    const feed = await feedMonitor.parseFeedBody(rawBody.toString('utf8'), contentType, source.url);
+    const items = feed.items || [];
+    console.log(`📬 [WEBSUB] [${source.name}] Push received with ${items.length} entr${items.length === 1 ? 'y' : 'ies'}`);
+
+    const newArticles = source.is_paused ? [] : await feedMonitor.ingestFeedItems(source, items);
+    await database.updateWebSubSubscription(sourceId, { last_push_at: new Date() });
+    await database.updateSourceLastChecked(sourceId);
+    return newArticles;
+  }
+
+  /**
+   * Re-subscribe every active subscription whose lease is about to expire.
+   */
+  async renewExpiring() {
+    const expiring = await database.getExpiringWebSubSubscriptions(RENEW_WINDOW_SECONDS);
+    for (const sub of expiring) {
+      console.log(`🔁 [WEBSUB] [${sub.source_name}] Renewing lease (expires ${new Date(sub.expires_at).toISOString()})`);
+      await this.requestSubscription({ id: sub.source_id, name: sub.source_name, url: sub.source_url }, sub.hub_url, sub.topic_url);
+    }
+    return expiring.length;
+  }
+
+  startRenewal(intervalMinutes = 60) {
+    if (this.renewalInterval || !this.isEnabled()) return;
+    console.log(`🚀 [WEBSUB] Checking subscription leases every ${intervalMinutes} minutes`);
+
+    this.renewExpiring().catch(err => {
+      console.error('❌ [WEBSUB] Initial lease renewal failed:', err.message);
+    });
+    this.renewalInterval = setInterval(() => {
+      this.renewExpiring().catch(err => {
+        console.error('❌ [WEBSUB] Lease renewal failed:', err.message);
+      });
+    }, intervalMinutes * 60 * 1000);
+  }
+
+  stopRenewal() {
+    if (this.renewalInterval) {
+      clearInterval(this.renewalInterval);
+      this.renewalInterval = null;
+    }
+  }
+}
+
+module.exports = new WebSubSubscriber();
+module.exports.discoverWebSubLinks = discoverWebSubLinks;
+module.exports.verifySignature = verifySignature;
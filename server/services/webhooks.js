@@ -0,0 +1,261 @@
+/**
+ * Outbound webhooks
+ *
+ * Downstream systems register a URL and the event types they care about:
+ *   article.created   a new article was inserted (polling, WebSub push, source setup or manual add)
+ *   article.selected  an editor picked an article for Edit/Send
+ *   article.sent      an article was delivered to a destination
+ *   source.failed     a source errored during a check
+ *   check.completed   a full or scheduled check run finished (or was cancelled)
+ *
+ * emit() queues one row per subscribed webhook in `webhook_deliveries`; the queue worker
+ * POSTs them with an HMAC signature and retries failures with exponential backoff. The queue
+ * lives in Postgres, so pending deliveries survive a restart and are picked up on the next poll.
+ *
+ * Each request body is { id, type, created_at, data }. Receivers verify it with
+ *   X-Scoopstream-Signature: sha256=HMAC_SHA256(secret, `${X-Scoopstream-Timestamp}.${body}`)
+ * and can drop duplicates by id (a redelivery keeps the event id).
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const database = require('../database-postgres');
+
+const EVENT_TYPES = ['article.created', 'article.selected', 'article.sent', 'source.failed', 'check.completed'];
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_SECONDS = 30; // 30s, 1m, 2m, 4m ... capped below
+const MAX_RETRY_SECONDS = 6 * 60 * 60;
+const REQUEST_TIMEOUT_MS = 10000;
+const POLL_SECONDS = 15;
+const CLAIM_BATCH_SIZE = 20;
+const CLAIM_LEASE_SECONDS = 120; // longer than one request can take
+const RESPONSE_BODY_LIMIT = 1000;
+const SECRET_MASK = '********';
+
+function retryDelaySeconds(attempts) {
+  return Math.min(MAX_RETRY_SECONDS, BASE_RETRY_SECONDS * 2 ** Math.max(0, attempts - 1));
+}
+
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function generateSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Validate a webhook body from the API.
+ * Returns { error } or { webhook: { name, url, secret, eventTypes, isActive } }.
+ * With partial=true, omitted fields stay undefined (for updates). A missing secret stays
+ * undefined too; the create route generates one.
+ */
+function normalizeWebhookInput(body = {}, { partial = false } = {}) {
+  const webhook = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'Webhook name is required' };
+    if (name.length > 100) return { error: 'Webhook name must be 100 characters or fewer' };
+    webhook.name = name;
+  }
+
+  if (!partial || body.url !== undefined) {
+    const url = typeof body.url === 'string' ? body.url.trim() : '';
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return { error: 'Webhook URL must be a valid http(s) URL' };
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return { error: 'Webhook URL must be a valid http(s) URL' };
+    }
+    webhook.url = url;
+  }
+
+  if (!partial || body.event_types !== undefined) {
+    const eventTypes = Array.isArray(body.event_types) ? [...new Set(body.event_types)] : [];
+    if (eventTypes.length === 0) {
+      return { error: `Subscribe to at least one event type: ${EVENT_TYPES.join(', ')}` };
+    }
+    const unknown = eventTypes.filter(t => !EVENT_TYPES.includes(t));
+    if (unknown.length > 0) {
+      return { error: `Unknown event type(s): ${unknown.join(', ')}. Use: ${EVENT_TYPES.join(', ')}` };
+    }
+    webhook.eventTypes = eventTypes;
+  }
+
+  // The masked value the API hands out means "keep the current secret"
+  if (body.secret !== undefined && body.secret !== SECRET_MASK) {
+    const secret = typeof body.secret === 'string' ? body.secret.trim() : '';
+    if (secret.length < 16) return { error: 'Webhook secret must be at least 16 characters' };
+    webhook.secret = secret;
+  }
+
+  if (!partial || body.is_active !== undefined) {
+    webhook.isActive = body.is_active === undefined ? true : Boolean(body.is_active);
+  }
+
+  return { webhook };
+}
+
+// API view of a webhook: the secret is only shown in full right after it is created
+function presentWebhook(row, { revealSecret = false } = {}) {
+  return { ...row, secret: revealSecret ? row.secret : SECRET_MASK };
+}
+
+class WebhookService {
+  constructor() {
+    this.pollInterval = null;
+    this.isProcessing = false;
+    this.processAgain = false;
+  }
+
+  /**
+   * Queue an event for every active webhook subscribed to it. Never throws (callers
+   * fire and forget); resolves to the number of deliveries queued.
+   */
+  async emit(eventType, data = {}) {
+    try {
+      const hooks = await database.getActiveWebhooksForEvent(eventType);
+      if (hooks.length === 0) return 0;
+
+      const event = { id: crypto.randomUUID(), type: eventType, created_at: new Date().toISOString(), data };
+      for (const hook of hooks) {
+        await database.createWebhookDelivery(hook.id, eventType, event.id, event);
+      }
+      this.kick();
+      return hooks.length;
+    } catch (error) {
+      console.error(`❌ [WEBHOOKS] Failed to queue ${eventType}: ${error.message}`);
+      return 0;
+    }
+  }
+
+  // Process the queue now instead of waiting for the next poll
+  kick() {
+    setImmediate(() => {
+      this.processQueue().catch(err => console.error('❌ [WEBHOOKS] Queue run failed:', err.message));
+    });
+  }
+
+  /**
+   * Send everything that is due. Only one run at a time per process; a kick that arrives
+   * mid-run makes the run go round again.
+   */
+  async processQueue() {
+    if (this.isProcessing) {
+      this.processAgain = true;
+      return 0;
+    }
+    this.isProcessing = true;
+    let sent = 0;
+    try {
+      do {
+        this.processAgain = false;
+        let claimed;
+        do {
+          claimed = await database.claimDueWebhookDeliveries(CLAIM_BATCH_SIZE, CLAIM_LEASE_SECONDS);
+          for (const delivery of claimed) {
+            if (await this.attempt(delivery)) sent++;
+          }
+        } while (claimed.length === CLAIM_BATCH_SIZE);
+      } while (this.processAgain);
+    } finally {
+      this.isProcessing = false;
+    }
+    return sent;
+  }
+
+  /**
+   * POST one claimed delivery and record the outcome. Any 2xx counts as delivered;
+   * everything else is retried until MAX_ATTEMPTS. Returns true when delivered.
+   */
+  async attempt(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempts = delivery.attempts + 1;
+
+    let statusCode = null;
+    let responseBody = null;
+    let error = null;
+    try {
+      const response = await axios.post(delivery.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Scoopstream-Webhooks/1.0',
+          'X-Scoopstream-Event': delivery.event_type,
+          'X-Scoopstream-Delivery': String(delivery.id),
+          'X-Scoopstream-Timestamp': String(timestamp),
+          'X-Scoopstream-Signature': signPayload(delivery.secret, timestamp, body)
+        },
+        timeout: REQUEST_TIMEOUT_MS,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        transformRequest: [data => data] // body is already the exact string that was signed
+      });
+      statusCode = response.status;
+      responseBody = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+      if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+    } catch (err) {
+      error = err.code ? `${err.code}: ${err.message}` : err.message;
+    }
+    if (responseBody) responseBody = responseBody.substring(0, RESPONSE_BODY_LIMIT);
+
+    if (!error) {
+      await database.recordWebhookAttempt(delivery.id, { status: 'delivered', attempts, statusCode, responseBody });
+      console.log(`📬 [WEBHOOKS] ${delivery.event_type} delivered to ${delivery.webhook_name} (HTTP ${statusCode})`);
+      return true;
+    }
+
+    if (attempts >= MAX_ATTEMPTS) {
+      await database.recordWebhookAttempt(delivery.id, { status: 'failed', attempts, statusCode, error, responseBody });
+      console.error(`❌ [WEBHOOKS] ${delivery.event_type} to ${delivery.webhook_name} failed after ${attempts} attempts: ${error}`);
+      return false;
+    }
+
+    const retryInSeconds = retryDelaySeconds(attempts);
+    await database.recordWebhookAttempt(delivery.id, { status: 'pending', attempts, retryInSeconds, statusCode, error, responseBody });
+    console.warn(`⏳ [WEBHOOKS] ${delivery.event_type} to ${delivery.webhook_name} failed (${error}); retry ${attempts}/${MAX_ATTEMPTS - 1} in ${retryInSeconds}s`);
+    return false;
+  }
+
+  /**
+   * Queue a fresh copy of a past delivery (same event id and payload, attempts reset).
+   * Returns null when the delivery doesn't exist.
+   */
+  async redeliver(deliveryId) {
+    const original = await database.getWebhookDeliveryById(deliveryId);
+    if (!original) return null;
+    const copy = await database.createWebhookDelivery(
+      original.webhook_id, original.event_type, original.event_id, original.payload, original.id
+    );
+    this.kick();
+    return copy;
+  }
+
+  start(pollSeconds = POLL_SECONDS) {
+    if (this.pollInterval) return;
+    console.log(`🚀 [WEBHOOKS] Delivery queue polling every ${pollSeconds}s`);
+    this.kick(); // pick up whatever was pending before a restart
+    this.pollInterval = setInterval(() => this.kick(), pollSeconds * 1000);
+  }
+
+  stop() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
+  }
+}
+
+module.exports = new WebhookService();
+module.exports.EVENT_TYPES = EVENT_TYPES;
+module.exports.MAX_ATTEMPTS = MAX_ATTEMPTS;
+module.exports.SECRET_MASK = SECRET_MASK;
+module.exports.retryDelaySeconds = retryDelaySeconds;
+module.exports.signPayload = signPayload;
+module.exports.generateSecret = generateSecret;
+module.exports.normalizeWebhookInput = normalizeWebhookInput;
+module.exports.presentWebhook = presentWebhook;
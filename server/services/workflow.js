@@ -0,0 +1,212 @@
+/**
+ * Editorial workflow
+ *
+ * Articles move through a configurable state machine. The default is
+ *   new → triaged → drafting → in_review → approved → sent
+ * with rejected and archived branches. Only the configured transitions are allowed, and every
+ * move is recorded in `article_events` with who made it, when, and an optional note.
+ *
+ * Three states are used by the rest of the app and must be in every configuration: 'new'
+ * (where fetched articles start), 'sent' (set by deliveries) and 'archived' (housekeeping).
+ * States marked closed (rejected and archived by default) are dropped stories.
+ *
+ * A delivery moves its article to 'sent' and records that too. Closed stories are never sent
+ * (reopen them first). With enforceOnSend, sends are also refused unless the article's state
+ * may move to 'sent' (approved in the default workflow).
+ */
+
+const database = require('../database-postgres');
+
+const DEFAULT_WORKFLOW = {
+  states: [
+    { key: 'new', label: 'New' },
+    { key: 'triaged', label: 'Triaged' },
+    { key: 'drafting', label: 'Drafting' },
+    { key: 'in_review', label: 'In review' },
+    { key: 'approved', label: 'Approved' },
+    { key: 'sent', label: 'Sent' },
+    { key: 'rejected', label: 'Rejected', closed: true },
+    { key: 'archived', label: 'Archived', closed: true }
+  ],
+  transitions: {
+    new: ['triaged', 'rejected', 'archived'],
+    triaged: ['drafting', 'new', 'rejected', 'archived'],
+    drafting: ['in_review', 'triaged', 'archived'],
+    in_review: ['approved', 'drafting', 'rejected'],
+    approved: ['sent', 'drafting', 'archived'],
+    sent: ['archived'],
+    rejected: ['new', 'archived'],
+    archived: ['new']
+  },
+  enforceOnSend: false
+};
+const REQUIRED_STATES = ['new', 'sent', 'archived'];
+const STATE_KEY_PATTERN = /^[a-z][a-z0-9_]{0,29}$/;
+const MAX_STATES = 30;
+
+/**
+ * Validate a workflow body: { states: [{ key, label?, closed? }], transitions: { from: [to] },
+ * enforceOnSend? }. Returns { error } or { workflow }.
+ */
+function normalizeWorkflowInput(body = {}) {
+  if (!Array.isArray(body.states) || body.states.length === 0) return { error: 'states must be a non-empty array' };
+  if (body.states.length > MAX_STATES) return { error: `A workflow can have at most ${MAX_STATES} states` };
+
+  const states = [];
+  for (const raw of body.states) {
+    const key = raw && typeof raw.key === 'string' ? raw.key.trim() : '';
+    if (!STATE_KEY_PATTERN.test(key)) {
+      return { error: `Invalid state key "${key}" (lowercase letters, digits and _, starting with a letter)` };
+    }
+    if (states.some(state => state.key === key)) return { error: `Duplicate state "${key}"` };
+    const label = typeof raw.label === 'string' && raw.label.trim() ? raw.label.trim().substring(0, 50) : key;
+    states.push({ key, label, ...(raw.closed ? { closed: true } : {}) });
+  }
+  const keys = states.map(state => state.key);
+  const missing = REQUIRED_STATES.filter(key => !keys.includes(key));
+  if (missing.length > 0) return { error: `The workflow must include the states: ${missing.join(', ')}` };
+
+  const rawTransitions = body.transitions && typeof body.transitions === 'object' && !Array.isArray(body.transitions)
+    ? body.transitions
+    : null;
+  if (!rawTransitions) return { error: 'transitions must be an object of state -> [next states]' };
+  const transitions = {};
+  for (const [from, targets] of Object.entries(rawTransitions)) {
+    if (!keys.includes(from)) return { error: `Transitions from unknown state "${from}"` };
+    if (!Array.isArray(targets)) return { error: `Transitions from "${from}" must be an array` };
+    const unknown = targets.find(to => !keys.includes(to));
+    if (unknown !== undefined) return { error: `Transition from "${from}" to unknown state "${unknown}"` };
+    if (targets.includes(from)) return { error: `"${from}" can't transition to itself` };
+    transitions[from] = [...new Set(targets)];
+  }
+
+  const enforceOnSend = body.enforceOnSend === true;
+  if (enforceOnSend && !keys.some(key => (transitions[key] || []).includes('sent'))) {
+    return { error: 'With enforceOnSend, at least one state must transition to "sent"' };
+  }
+  return { workflow: { states, transitions, enforceOnSend } };
+}
+
+function canTransition(workflow, from, to) {
+  return (workflow.transitions[from] || []).includes(to);
+}
+
+function hasState(workflow, key) {
+  return workflow.states.some(state => state.key === key);
+}
+
+// States between picking a story and sending it (not new, sent or closed): what Edit & Send works on
+function activeStates(workflow) {
+  return workflow.states.filter(state => !state.closed && !['new', 'sent'].includes(state.key)).map(state => state.key);
+}
+
+function closedStates(workflow) {
+  return workflow.states.filter(state => state.closed).map(state => state.key);
+}
+
+/**
+ * Validate a transition request: { to, actor, note? }. Returns { error } or { transition }.
+ */
+function normalizeTransitionInput(body = {}) {
+  const to = typeof body.to === 'string' ? body.to.trim() : '';
+  if (!to) return { error: 'Target state (to) is required' };
+  const actor = typeof body.actor === 'string' ? body.actor.trim() : '';
+  if (!actor) return { error: 'actor (who is making the change) is required' };
+  if (actor.length > 100) return { error: 'actor must be 100 characters or fewer' };
+  const note = typeof body.note === 'string' && body.note.trim() ? body.note.trim() : null;
+  if (note && note.length > 2000) return { error: 'note must be 2000 characters or fewer' };
+  return { transition: { to, actor, note } };
+}
+
+class WorkflowService {
+  constructor() {
+    this.workflow = DEFAULT_WORKFLOW;
+  }
+
+  get() {
+    return this.workflow;
+  }
+
+  // Load the saved workflow (keeps the current one, the default at startup, when there is none or it no longer validates)
+  async load() {
+    const saved = await database.getWorkflowConfig();
+    if (!saved) return this.workflow;
+    const { error, workflow } = normalizeWorkflowInput(saved);
+    if (error) {
+      console.error(`❌ [WORKFLOW] Saved workflow is invalid (${error}); keeping the current one`);
+      return this.workflow;
+    }
+    this.workflow = workflow;
+    return workflow;
+  }
+
+  /**
+   * Replace the workflow. Refused while articles are in a state it drops.
+   * Returns { error } or { workflow }.
+   */
+  async save(workflow) {
+    const counts = await database.countArticlesByStatus();
+    const stranded = counts.filter(row => !hasState(workflow, row.status));
+    if (stranded.length > 0) {
+      return { error: `Articles are still in states this workflow removes: ${stranded.map(row => `${row.status} (${row.count})`).join(', ')}` };
+    }
+    await database.saveWorkflowConfig(workflow);
+    this.workflow = workflow;
+    console.log(`🔀 [WORKFLOW] Saved workflow with ${workflow.states.length} states`);
+    return { workflow };
+  }
+
+  /**
+   * Move one article. Returns { event } or { error, reason } with reason
+   * 'not_found', 'invalid' (unknown or disallowed move) or 'conflict' (it moved meanwhile).
+   */
+  async transition(articleId, { to, actor, note = null }) {
+    const article = await database.getArticleById(articleId);
+    if (!article) return { error: 'Article not found', reason: 'not_found' };
+    if (!hasState(this.workflow, to)) return { error: `Unknown state "${to}"`, reason: 'invalid' };
+
+    const from = article.status;
+    if (!canTransition(this.workflow, from, to)) {
+      const allowed = this.workflow.transitions[from] || [];
+      return {
+        error: `Can't move from "${from}" to "${to}"${allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : ''}`,
+        reason: 'invalid'
+      };
+    }
+
+    const event = await database.transitionArticle(articleId, from, to, { actor, note });
+    if (!event) return { error: 'The article changed state meanwhile; reload and try again', reason: 'conflict' };
+    console.log(`🔀 [WORKFLOW] Article ${articleId}: ${from} → ${to} by ${actor}`);
+    return { event };
+  }
+
+  // Move several articles; one result per article: { article_id, success, event?, error? }
+  async transitionMany(articleIds, transition) {
+    const results = [];
+    for (const articleId of articleIds) {
+      const { event, error } = await this.transition(articleId, transition);
+      results.push(error ? { article_id: articleId, success: false, error } : { article_id: articleId, success: true, event });
+    }
+    return results;
+  }
+
+  // Why an article can't be sent: it is closed, or not ready under enforceOnSend. Else null (resends are always allowed)
+  sendBlockedReason(article) {
+    if (article.status === 'sent') return null;
+    if (closedStates(this.workflow).includes(article.status)) {
+      return `Article is "${article.status}"; closed stories can't be sent (reopen it first)`;
+    }
+    if (!this.workflow.enforceOnSend) return null;
+    if (canTransition(this.workflow, article.status, 'sent')) return null;
+    const ready = this.workflow.states.filter(state => canTransition(this.workflow, state.key, 'sent')).map(state => state.label.toLowerCase());
+    return `Article is "${article.status}"; it must be ${ready.join(' or ')} before it is sent`;
+  }
+}
+
+module.exports = new WorkflowService();
+module.exports.DEFAULT_WORKFLOW = DEFAULT_WORKFLOW;
+module.exports.normalizeWorkflowInput = normalizeWorkflowInput;
+module.exports.normalizeTransitionInput = normalizeTransitionInput;
+module.exports.canTransition = canTransition;
+module.exports.activeStates = activeStates;
+module.exports.closedStates = closedStates;
@@ -0,0 +1,109 @@
+/**
+ * Background worker process: `npm run worker`
+ *
+ * Runs the jobs the API queues (feed checks, WebSub pushes, source setup and re-scrapes,
+ * enrichment, AI summaries, sends; see services/jobQueue.js), the scheduled tasks (feed
+ * monitoring, cleanups, enrichment; see services/taskScheduler.js) and the background loops that
+ * send things: the Distro outbox, scheduled sends and digest emails. The scraping and enrichment jobs are the
+ * Playwright and ADK work, so a memory spike there takes down the worker (which the platform
+ * restarts and which picks its job up again) instead of the API.
+ *
+ * Live events (check progress, new articles) are relayed to the API over Postgres NOTIFY.
+ * With RUN_JOBS_IN_API=true the API calls startWorker() itself and no worker is needed.
+ */
+
+require('dotenv').config();
+const os = require('os');
+const config = require('./config');
+const database = require('./database-postgres');
+const workflow = require('./services/workflow');
+const checkRuns = require('./services/checkRuns');
+const eventStream = require('./services/eventStream');
+const jobQueue = require('./services/jobQueue');
+const jobHandlers = require('./services/jobHandlers');
+const destinations = require('./services/destinations');
+const scheduledSends = require('./services/scheduledSends');
+const digests = require('./services/digests');
+const taskScheduler = require('./services/taskScheduler');
+
+// Postgres caps NOTIFY payloads at 8000 bytes
+const MAX_RELAYED_EVENT_BYTES = 7900;
+
+// Forward this process's live events to the API, which has the browsers attached
+function relayEventsToApi() {
+  eventStream.setRelay((type, data) => {
+    const message = JSON.stringify({ type, data });
+    if (Buffer.byteLength(message) > MAX_RELAYED_EVENT_BYTES) {
+      console.warn(`⚠️  [WORKER] ${type} event too large to relay (${Buffer.byteLength(message)} bytes)`);
+      return;
+    }
+    database.notify(eventStream.RELAY_CHANNEL, { type, data }).catch(err => {
+      console.warn(`⚠️  [WORKER] Could not relay ${type}: ${err.message}`);
+    });
+  });
+}
+
+/**
+ * Start the job loop and the background senders. The database must already be initialized.
+ * relayEvents: forward live events to the API (false when running inside it).
+ */
+function startWorker({ relayEvents = true } = {}) {
+  if (relayEvents) relayEventsToApi();
+
+  const workerId = `${os.hostname()}:${process.pid}`;
+  jobQueue.start({ handlers: jobHandlers, workerId });
+
+  // Feed monitoring, cleanups and enrichment on the schedules set on the Tasks page
+  taskScheduler.start({ workerId });
+
+  // Distro outbox, scheduled sends and digest emails (all resume work left pending by a restart)
+  destinations.startOutbox();
+  scheduledSends.start();
+  digests.start();
+}
+
+// Finish (or hand back) the job in hand and stop the loops
+async function stopWorker() {
+  taskScheduler.stop();
+  digests.stop();
+  scheduledSends.stop();
+  destinations.stopOutbox();
+  await jobQueue.stop();
+}
+
+async function main() {
+  console.log(`Distro Scoopstream worker starting (mode: ${config.mode}, ADK=${config.adk.enabled ? 'on' : 'off'})`);
+  await database.init();
+  console.log('Database initialized successfully');
+
+  await workflow.load().catch(err => console.error('❌ [WORKFLOW] Could not load the workflow:', err.message));
+  // Check runs a worker that stopped was in the middle of (ones a live job still owns are kept)
+  await checkRuns.interruptUnfinished().catch(err => console.error('❌ [CHECK RUNS] Could not close unfinished runs:', err.message));
+
+  startWorker();
+
+  let stopping = false;
+  const shutdown = async (signal) => {
+    if (stopping) return;
+    stopping = true;
+    console.log(`\n🛑 [WORKER] ${signal} received, shutting down`);
+    try {
+      await stopWorker();
+      await database.close();
+    } catch (error) {
+      console.error('❌ [WORKER] Error during shutdown:', error.message);
+    }
+    process.exit(0);
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ [WORKER] Failed to start:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { startWorker, stopWorker };